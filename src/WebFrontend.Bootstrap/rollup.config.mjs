@@ -0,0 +1,43 @@
+import { nodeResolve } from '@rollup/plugin-node-resolve';
+import terser from '@rollup/plugin-terser';
+
+const DIST = '../WebFrontend/wwwroot/lib/bootstrap/dist/js';
+
+const banner = `/*!
+  * Bootstrap v5.3.3 (https://getbootstrap.com/), modified for WebFrontend (see src/WebFrontend.Bootstrap)
+  * Copyright 2011-2024 The Bootstrap Authors (https://github.com/twbs/bootstrap/graphs/contributors)
+  * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+  */`;
+
+const minify = terser({
+  compress: { passes: 2 },
+  format: { comments: /^!/ }
+});
+
+// Every variant keeps its own source map; the minified ones chain back to src/bootstrap.js
+const output = (file, options = {}) => [
+  { banner, file: `${DIST}/${file}.js`, generatedCode: 'es2015', sourcemap: true, ...options },
+  { banner, file: `${DIST}/${file}.min.js`, generatedCode: 'es2015', sourcemap: true, plugins: [minify], ...options }
+];
+
+const umd = {
+  format: 'umd',
+  name: 'bootstrap',
+  globals: { '@popperjs/core': 'Popper' }
+};
+
+export default [
+  {
+    input: 'src/bootstrap.js',
+    external: ['@popperjs/core'],
+    output: [
+      ...output('bootstrap.esm', { format: 'esm' }),
+      ...output('bootstrap', umd)
+    ]
+  },
+  {
+    input: 'src/bootstrap.js',
+    plugins: [nodeResolve()],
+    output: output('bootstrap.bundle', umd)
+  }
+];
@@ -0,0 +1,8337 @@
+import * as Popper from '@popperjs/core';
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap dom/data.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+/**
+ * Constants
+ */
+
+const elementMap = new Map();
+const Data = {
+  set(element, key, instance) {
+    if (!elementMap.has(element)) {
+      elementMap.set(element, new Map());
+    }
+
+    // instances are keyed by component type, so e.g. a Tooltip and a Dropdown can share an element
+    elementMap.get(element).set(key, instance);
+  },
+  get(element, key) {
+    if (elementMap.has(element)) {
+      return elementMap.get(element).get(key) || null;
+    }
+    return null;
+  },
+  getAll(element) {
+    if (!elementMap.has(element)) {
+      return [];
+    }
+    return Array.from(elementMap.get(element).values());
+  },
+  remove(element, key) {
+    if (!elementMap.has(element)) {
+      return;
+    }
+    const instanceMap = elementMap.get(element);
+    instanceMap.delete(key);
+
+    // free up element references if there are no instances left for an element
+    if (instanceMap.size === 0) {
+      elementMap.delete(element);
+    }
+  }
+};
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/index.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+const MAX_UID = 1000000;
+const MILLISECONDS_MULTIPLIER = 1000;
+const TRANSITION_END = 'transitionend';
+
+/**
+ * Properly escape IDs selectors to handle weird IDs
+ * @param {string} selector
+ * @returns {string}
+ */
+const parseSelector = selector => {
+  if (selector && window.CSS && window.CSS.escape) {
+    // document.querySelector needs escaping to handle IDs (html5+) containing for instance /
+    selector = selector.replace(/#([^\s"#']+)/g, (match, id) => `#${CSS.escape(id)}`);
+  }
+  return selector;
+};
+
+// Shout-out Angus Croll (https://goo.gl/pxwQGp)
+const toType = object => {
+  if (object === null || object === undefined) {
+    return `${object}`;
+  }
+  return Object.prototype.toString.call(object).match(/\s([a-z]+)/i)[1].toLowerCase();
+};
+
+/**
+ * Public Util API
+ */
+
+const getUID = prefix => {
+  do {
+    prefix += Math.floor(Math.random() * MAX_UID);
+  } while (document.getElementById(prefix));
+  return prefix;
+};
+const getTransitionDurationFromElement = element => {
+  if (!element) {
+    return 0;
+  }
+
+  // Get transition-duration of the element
+  let {
+    transitionDuration,
+    transitionDelay
+  } = window.getComputedStyle(element);
+  const floatTransitionDuration = Number.parseFloat(transitionDuration);
+  const floatTransitionDelay = Number.parseFloat(transitionDelay);
+
+  // Return 0 if element or transition duration is not found
+  if (!floatTransitionDuration && !floatTransitionDelay) {
+    return 0;
+  }
+
+  // If multiple durations are defined, take the first
+  transitionDuration = transitionDuration.split(',')[0];
+  transitionDelay = transitionDelay.split(',')[0];
+  return (Number.parseFloat(transitionDuration) + Number.parseFloat(transitionDelay)) * MILLISECONDS_MULTIPLIER;
+};
+const triggerTransitionEnd = element => {
+  element.dispatchEvent(new Event(TRANSITION_END));
+};
+const isElement = object => {
+  if (!object || typeof object !== 'object') {
+    return false;
+  }
+  if (typeof object.jquery !== 'undefined') {
+    object = object[0];
+  }
+  return typeof object.nodeType !== 'undefined';
+};
+const getElement = object => {
+  // it's a jQuery object or a node element
+  if (isElement(object)) {
+    return object.jquery ? object[0] : object;
+  }
+  if (typeof object === 'string' && object.length > 0) {
+    return document.querySelector(parseSelector(object));
+  }
+  return null;
+};
+const isVisible = element => {
+  if (!isElement(element) || element.getClientRects().length === 0) {
+    return false;
+  }
+  const elementIsVisible = getComputedStyle(element).getPropertyValue('visibility') === 'visible';
+  // Handle `details` element as its content may falsie appear visible when it is closed
+  const closedDetails = element.closest('details:not([open])');
+  if (!closedDetails) {
+    return elementIsVisible;
+  }
+  if (closedDetails !== element) {
+    const summary = element.closest('summary');
+    if (summary && summary.parentNode !== closedDetails) {
+      return false;
+    }
+    if (summary === null) {
+      return false;
+    }
+  }
+  return elementIsVisible;
+};
+const isDisabled = element => {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+    return true;
+  }
+  if (element.classList.contains('disabled')) {
+    return true;
+  }
+  if (typeof element.disabled !== 'undefined') {
+    return element.disabled;
+  }
+  return element.hasAttribute('disabled') && element.getAttribute('disabled') !== 'false';
+};
+const findShadowRoot = element => {
+  if (!document.documentElement.attachShadow) {
+    return null;
+  }
+
+  // Can find the shadow root otherwise it'll return the document
+  if (typeof element.getRootNode === 'function') {
+    const root = element.getRootNode();
+    return root instanceof ShadowRoot ? root : null;
+  }
+  if (element instanceof ShadowRoot) {
+    return element;
+  }
+
+  // when we don't find a shadow root
+  if (!element.parentNode) {
+    return null;
+  }
+  return findShadowRoot(element.parentNode);
+};
+const noop = () => {};
+
+/**
+ * Trick to restart an element's animation
+ *
+ * @param {HTMLElement} element
+ * @return void
+ *
+ * @see https://www.charistheo.io/blog/2021/02/restart-a-css-animation-with-javascript/#restarting-a-css-animation
+ */
+const reflow = element => {
+  element.offsetHeight; // eslint-disable-line no-unused-expressions
+};
+const getjQuery = () => {
+  if (window.jQuery && !document.body.hasAttribute('data-bs-no-jquery')) {
+    return window.jQuery;
+  }
+  return null;
+};
+const DOMContentLoadedCallbacks = [];
+const onDOMContentLoaded = callback => {
+  if (document.readyState === 'loading') {
+    // add listener on the first call when the document is in loading state
+    if (!DOMContentLoadedCallbacks.length) {
+      document.addEventListener('DOMContentLoaded', () => {
+        for (const callback of DOMContentLoadedCallbacks) {
+          callback();
+        }
+      });
+    }
+    DOMContentLoadedCallbacks.push(callback);
+  } else {
+    callback();
+  }
+};
+const isRTL = () => document.documentElement.dir === 'rtl';
+const defineJQueryPlugin = plugin => {
+  onDOMContentLoaded(() => {
+    const $ = getjQuery();
+    /* istanbul ignore if */
+    if ($) {
+      const name = plugin.NAME;
+      const JQUERY_NO_CONFLICT = $.fn[name];
+      $.fn[name] = plugin.jQueryInterface;
+      $.fn[name].Constructor = plugin;
+      $.fn[name].noConflict = () => {
+        $.fn[name] = JQUERY_NO_CONFLICT;
+        return plugin.jQueryInterface;
+      };
+    }
+  });
+};
+const execute = (possibleCallback, args = [], defaultValue = possibleCallback) => {
+  return typeof possibleCallback === 'function' ? possibleCallback(...args) : defaultValue;
+};
+const executeAfterTransition = (callback, transitionElement, waitForTransition = true) => {
+  if (!waitForTransition) {
+    execute(callback);
+    return;
+  }
+  const durationPadding = 5;
+  const emulatedDuration = getTransitionDurationFromElement(transitionElement) + durationPadding;
+  let called = false;
+  const handler = ({
+    target
+  }) => {
+    if (target !== transitionElement) {
+      return;
+    }
+    called = true;
+    transitionElement.removeEventListener(TRANSITION_END, handler);
+    execute(callback);
+  };
+  transitionElement.addEventListener(TRANSITION_END, handler);
+  setTimeout(() => {
+    if (!called) {
+      triggerTransitionEnd(transitionElement);
+    }
+  }, emulatedDuration);
+};
+
+/**
+ * Return the previous/next element of a list.
+ *
+ * @param {array} list    The list of elements
+ * @param activeElement   The active element
+ * @param shouldGetNext   Choose to get next or previous element
+ * @param isCycleAllowed
+ * @return {Element|elem} The proper element
+ */
+const getNextActiveElement = (list, activeElement, shouldGetNext, isCycleAllowed) => {
+  const listLength = list.length;
+  let index = list.indexOf(activeElement);
+
+  // if the element does not exist in the list return an element
+  // depending on the direction and if cycle is allowed
+  if (index === -1) {
+    return !shouldGetNext && isCycleAllowed ? list[listLength - 1] : list[0];
+  }
+  index += shouldGetNext ? 1 : -1;
+  if (isCycleAllowed) {
+    index = (index + listLength) % listLength;
+  }
+  return list[Math.max(0, Math.min(index, listLength - 1))];
+};
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap dom/event-handler.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const namespaceRegex = /[^.]*(?=\..*)\.|.*/;
+const stripNameRegex = /\..*/;
+const stripUidRegex = /::\d+$/;
+const eventRegistry = {}; // Events storage
+let uidEvent = 1;
+const customEvents = {
+  mouseenter: 'mouseover',
+  mouseleave: 'mouseout'
+};
+const nativeEvents = new Set(['click', 'dblclick', 'mouseup', 'mousedown', 'contextmenu', 'mousewheel', 'DOMMouseScroll', 'mouseover', 'mouseout', 'mousemove', 'selectstart', 'selectend', 'dragstart', 'dragover', 'drop', 'dragend', 'keydown', 'keypress', 'keyup', 'orientationchange', 'touchstart', 'touchmove', 'touchend', 'touchcancel', 'pointerdown', 'pointermove', 'pointerup', 'pointerleave', 'pointercancel', 'lostpointercapture', 'gesturestart', 'gesturechange', 'gestureend', 'focus', 'blur', 'change', 'input', 'paste', 'reset', 'select', 'submit', 'focusin', 'focusout', 'load', 'unload', 'popstate', 'beforeunload', 'resize', 'move', 'DOMContentLoaded', 'readystatechange', 'error', 'abort', 'scroll']);
+
+/**
+ * Private methods
+ */
+
+function makeEventUid(element, uid) {
+  return uid && `${uid}::${uidEvent++}` || element.uidEvent || uidEvent++;
+}
+function getElementEvents(element) {
+  const uid = makeEventUid(element);
+  element.uidEvent = uid;
+  eventRegistry[uid] = eventRegistry[uid] || {};
+  return eventRegistry[uid];
+}
+function bootstrapHandler(element, fn) {
+  return function handler(event) {
+    hydrateObj(event, {
+      delegateTarget: element
+    });
+    if (handler.oneOff) {
+      EventHandler.off(element, event.type, fn);
+    }
+    return fn.apply(element, [event]);
+  };
+}
+function bootstrapDelegationHandler(element, selector, fn) {
+  return function handler(event) {
+    const domElements = element.querySelectorAll(selector);
+    for (let {
+      target
+    } = event; target && target !== this; target = target.parentNode) {
+      for (const domElement of domElements) {
+        if (domElement !== target) {
+          continue;
+        }
+        hydrateObj(event, {
+          delegateTarget: target
+        });
+        if (handler.oneOff) {
+          EventHandler.off(element, event.type, selector, fn);
+        }
+        return fn.apply(target, [event]);
+      }
+    }
+  };
+}
+function findHandler(events, callable, delegationSelector = null) {
+  return Object.values(events).find(event => event.callable === callable && event.delegationSelector === delegationSelector);
+}
+function normalizeParameters(originalTypeEvent, handler, delegationFunction) {
+  const isDelegated = typeof handler === 'string';
+  // TODO: tooltip passes `false` instead of selector, so we need to check
+  const callable = isDelegated ? delegationFunction : handler || delegationFunction;
+  let typeEvent = getTypeEvent(originalTypeEvent);
+  if (!nativeEvents.has(typeEvent)) {
+    typeEvent = originalTypeEvent;
+  }
+  return [isDelegated, callable, typeEvent];
+}
+function addHandler(element, originalTypeEvent, handler, delegationFunction, oneOff) {
+  if (typeof originalTypeEvent !== 'string' || !element) {
+    return;
+  }
+  let [isDelegated, callable, typeEvent] = normalizeParameters(originalTypeEvent, handler, delegationFunction);
+
+  // in case of mouseenter or mouseleave wrap the handler within a function that checks for its DOM position
+  // this prevents the handler from being dispatched the same way as mouseover or mouseout does
+  if (originalTypeEvent in customEvents) {
+    const wrapFunction = fn => {
+      return function (event) {
+        if (!event.relatedTarget || event.relatedTarget !== event.delegateTarget && !event.delegateTarget.contains(event.relatedTarget)) {
+          return fn.call(this, event);
+        }
+      };
+    };
+    callable = wrapFunction(callable);
+  }
+  const events = getElementEvents(element);
+  const handlers = events[typeEvent] || (events[typeEvent] = {});
+  const previousFunction = findHandler(handlers, callable, isDelegated ? handler : null);
+  if (previousFunction) {
+    previousFunction.oneOff = previousFunction.oneOff && oneOff;
+    return;
+  }
+  const uid = makeEventUid(callable, originalTypeEvent.replace(namespaceRegex, ''));
+  const fn = isDelegated ? bootstrapDelegationHandler(element, handler, callable) : bootstrapHandler(element, callable);
+  fn.delegationSelector = isDelegated ? handler : null;
+  fn.callable = callable;
+  fn.oneOff = oneOff;
+  fn.uidEvent = uid;
+  handlers[uid] = fn;
+  element.addEventListener(typeEvent, fn, isDelegated);
+}
+function removeHandler(element, events, typeEvent, handler, delegationSelector) {
+  const fn = findHandler(events[typeEvent], handler, delegationSelector);
+  if (!fn) {
+    return;
+  }
+  element.removeEventListener(typeEvent, fn, Boolean(delegationSelector));
+  delete events[typeEvent][fn.uidEvent];
+}
+function removeNamespacedHandlers(element, events, typeEvent, namespace) {
+  const storeElementEvent = events[typeEvent] || {};
+  for (const [handlerKey, event] of Object.entries(storeElementEvent)) {
+    if (handlerKey.includes(namespace)) {
+      removeHandler(element, events, typeEvent, event.callable, event.delegationSelector);
+    }
+  }
+}
+function getTypeEvent(event) {
+  // allow to get the native events from namespaced events ('click.bs.button' --> 'click')
+  event = event.replace(stripNameRegex, '');
+  return customEvents[event] || event;
+}
+const EventHandler = {
+  on(element, event, handler, delegationFunction) {
+    addHandler(element, event, handler, delegationFunction, false);
+  },
+  one(element, event, handler, delegationFunction) {
+    addHandler(element, event, handler, delegationFunction, true);
+  },
+  off(element, originalTypeEvent, handler, delegationFunction) {
+    if (typeof originalTypeEvent !== 'string' || !element) {
+      return;
+    }
+    const [isDelegated, callable, typeEvent] = normalizeParameters(originalTypeEvent, handler, delegationFunction);
+    const inNamespace = typeEvent !== originalTypeEvent;
+    const events = getElementEvents(element);
+    const storeElementEvent = events[typeEvent] || {};
+    const isNamespace = originalTypeEvent.startsWith('.');
+    if (typeof callable !== 'undefined') {
+      // Simplest case: handler is passed, remove that listener ONLY.
+      if (!Object.keys(storeElementEvent).length) {
+        return;
+      }
+      removeHandler(element, events, typeEvent, callable, isDelegated ? handler : null);
+      return;
+    }
+    if (isNamespace) {
+      for (const elementEvent of Object.keys(events)) {
+        removeNamespacedHandlers(element, events, elementEvent, originalTypeEvent.slice(1));
+      }
+    }
+    for (const [keyHandlers, event] of Object.entries(storeElementEvent)) {
+      const handlerKey = keyHandlers.replace(stripUidRegex, '');
+      if (!inNamespace || originalTypeEvent.includes(handlerKey)) {
+        removeHandler(element, events, typeEvent, event.callable, event.delegationSelector);
+      }
+    }
+  },
+  trigger(element, event, args) {
+    if (typeof event !== 'string' || !element) {
+      return null;
+    }
+    const $ = getjQuery();
+    const typeEvent = getTypeEvent(event);
+    const inNamespace = event !== typeEvent;
+    let jQueryEvent = null;
+    let bubbles = true;
+    let nativeDispatch = true;
+    let defaultPrevented = false;
+    if (inNamespace && $) {
+      jQueryEvent = $.Event(event, args);
+      $(element).trigger(jQueryEvent);
+      bubbles = !jQueryEvent.isPropagationStopped();
+      nativeDispatch = !jQueryEvent.isImmediatePropagationStopped();
+      defaultPrevented = jQueryEvent.isDefaultPrevented();
+    }
+    const evt = hydrateObj(new Event(event, {
+      bubbles,
+      cancelable: true
+    }), args);
+    if (defaultPrevented) {
+      evt.preventDefault();
+    }
+    if (nativeDispatch) {
+      element.dispatchEvent(evt);
+    }
+    if (evt.defaultPrevented && jQueryEvent) {
+      jQueryEvent.preventDefault();
+    }
+    return evt;
+  }
+};
+function hydrateObj(obj, meta = {}) {
+  for (const [key, value] of Object.entries(meta)) {
+    try {
+      obj[key] = value;
+    } catch (_unused) {
+      Object.defineProperty(obj, key, {
+        configurable: true,
+        get() {
+          return value;
+        }
+      });
+    }
+  }
+  return obj;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap dom/manipulator.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+function normalizeData(value) {
+  if (value === 'true') {
+    return true;
+  }
+  if (value === 'false') {
+    return false;
+  }
+  if (value === Number(value).toString()) {
+    return Number(value);
+  }
+  if (value === '' || value === 'null') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(decodeURIComponent(value));
+  } catch (_unused) {
+    return value;
+  }
+}
+function normalizeDataKey(key) {
+  return key.replace(/[A-Z]/g, chr => `-${chr.toLowerCase()}`);
+}
+const Manipulator = {
+  setDataAttribute(element, key, value) {
+    element.setAttribute(`data-bs-${normalizeDataKey(key)}`, value);
+  },
+  removeDataAttribute(element, key) {
+    element.removeAttribute(`data-bs-${normalizeDataKey(key)}`);
+  },
+  getDataAttributes(element) {
+    if (!element) {
+      return {};
+    }
+    const attributes = {};
+    const bsKeys = Object.keys(element.dataset).filter(key => key.startsWith('bs') && !key.startsWith('bsConfig'));
+    for (const key of bsKeys) {
+      let pureKey = key.replace(/^bs/, '');
+      pureKey = pureKey.charAt(0).toLowerCase() + pureKey.slice(1, pureKey.length);
+      attributes[pureKey] = normalizeData(element.dataset[key]);
+    }
+    return attributes;
+  },
+  getDataAttribute(element, key) {
+    return normalizeData(element.getAttribute(`data-bs-${normalizeDataKey(key)}`));
+  }
+};
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/config.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Class definition
+ */
+
+class Config {
+  // Getters
+  static get Default() {
+    return {};
+  }
+  static get DefaultType() {
+    return {};
+  }
+  static get NAME() {
+    throw new Error('You have to implement the static method "NAME", for each component!');
+  }
+  _getConfig(config) {
+    config = this._mergeConfigObj(config);
+    config = this._configAfterMerge(config);
+    this._typeCheckConfig(config);
+    return config;
+  }
+  _configAfterMerge(config) {
+    return config;
+  }
+  _mergeConfigObj(config, element) {
+    const jsonConfig = isElement(element) ? Manipulator.getDataAttribute(element, 'config') : {}; // try to parse
+
+    return {
+      ...this.constructor.Default,
+      ...(typeof jsonConfig === 'object' ? jsonConfig : {}),
+      ...(isElement(element) ? Manipulator.getDataAttributes(element) : {}),
+      ...(typeof config === 'object' ? config : {})
+    };
+  }
+  _typeCheckConfig(config, configTypes = this.constructor.DefaultType) {
+    for (const [property, expectedTypes] of Object.entries(configTypes)) {
+      const value = config[property];
+      const valueType = isElement(value) ? 'element' : toType(value);
+      if (!new RegExp(expectedTypes).test(valueType)) {
+        throw new TypeError(`${this.constructor.NAME.toUpperCase()}: Option "${property}" provided type "${valueType}" but expected type "${expectedTypes}".`);
+      }
+    }
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap base-component.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const VERSION = '5.3.3';
+
+/**
+ * Class definition
+ */
+
+class BaseComponent extends Config {
+  constructor(element, config) {
+    super();
+    element = getElement(element);
+    if (!element) {
+      return;
+    }
+    this._element = element;
+    this._config = this._getConfig(config);
+    this._pendingTransitions = new Map();
+    Data.set(this._element, this.constructor.DATA_KEY, this);
+  }
+
+  // Public
+  dispose() {
+    this._cancelTransitions();
+    Data.remove(this._element, this.constructor.DATA_KEY);
+    EventHandler.off(this._element, this.constructor.EVENT_KEY);
+    for (const propertyName of Object.getOwnPropertyNames(this)) {
+      this[propertyName] = null;
+    }
+  }
+  _queueCallback(callback, element, isAnimated = true) {
+    executeAfterTransition(callback, element, isAnimated);
+  }
+
+  // Runs `action` and resolves with `true` once `endEventName` fires, or with `false`
+  // when `startEventName` was default-prevented, the action turned out to be a no-op,
+  // `interruptEventName` started the opposite transition first or the component was disposed
+  _transitionAsync(action, startEventName, endEventName, interruptEventName = null, hasStarted = () => true) {
+    const element = this._element;
+    const pendingTransitions = this._pendingTransitions;
+    return new Promise(resolve => {
+      let startEvent = null;
+      let isSettled = false;
+      const onStart = event => {
+        if (event.target === element) {
+          startEvent = event;
+        }
+      };
+      const settle = result => {
+        if (isSettled) {
+          return;
+        }
+        isSettled = true;
+        EventHandler.off(element, endEventName, onEnd);
+        if (interruptEventName) {
+          EventHandler.off(element, interruptEventName, onInterrupt);
+        }
+        pendingTransitions.delete(settle);
+        resolve(result);
+      };
+      const onEnd = event => {
+        if (event.target === element) {
+          settle(true);
+        }
+      };
+      const onInterrupt = event => {
+        if (event.target !== element) {
+          return;
+        }
+
+        // listeners after this one may still prevent the opposite transition
+        Promise.resolve().then(() => {
+          if (!event.defaultPrevented) {
+            settle(false);
+          }
+        });
+      };
+
+      // the end listener goes first, non-animated transitions complete synchronously
+      EventHandler.on(element, endEventName, onEnd);
+      EventHandler.on(element, startEventName, onStart);
+      try {
+        action();
+      } catch (error) {
+        EventHandler.off(element, endEventName, onEnd);
+        throw error;
+      } finally {
+        EventHandler.off(element, startEventName, onStart);
+      }
+      if (isSettled) {
+        return;
+      }
+      if (!startEvent || startEvent.defaultPrevented || !hasStarted()) {
+        settle(false);
+        return;
+      }
+      pendingTransitions.set(settle, endEventName);
+      if (interruptEventName) {
+        EventHandler.on(element, interruptEventName, onInterrupt);
+      }
+    });
+  }
+
+  // Resolves the pending `_transitionAsync` promises waiting for `endEventName` (or all of them) with `false`
+  _cancelTransitions(endEventName = null) {
+    for (const [settle, eventName] of this._pendingTransitions) {
+      if (!endEventName || eventName === endEventName) {
+        settle(false);
+      }
+    }
+  }
+  _getConfig(config) {
+    config = this._mergeConfigObj(config, this._element);
+    config = this._configAfterMerge(config);
+    this._typeCheckConfig(config);
+    return config;
+  }
+
+  // Static
+  static getInstance(element) {
+    return Data.get(getElement(element), this.DATA_KEY);
+  }
+  static getOrCreateInstance(element, config = {}) {
+    element = getElement(element);
+    return this.getInstance(element) || new this(element, typeof config === 'object' ? config : null);
+  }
+  static get VERSION() {
+    return VERSION;
+  }
+  static get DATA_KEY() {
+    return `bs.${this.NAME}`;
+  }
+  static get EVENT_KEY() {
+    return `.${this.DATA_KEY}`;
+  }
+  static eventName(name) {
+    return `${name}${this.EVENT_KEY}`;
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap dom/selector-engine.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+const getSelector = element => {
+  let selector = element.getAttribute('data-bs-target');
+  if (!selector || selector === '#') {
+    let hrefAttribute = element.getAttribute('href');
+
+    // The only valid content that could double as a selector are IDs or classes,
+    // so everything starting with `#` or `.`. If a "real" URL is used as the selector,
+    // `document.querySelector` will rightfully complain it is invalid.
+    // See https://github.com/twbs/bootstrap/issues/32273
+    if (!hrefAttribute || !hrefAttribute.includes('#') && !hrefAttribute.startsWith('.')) {
+      return null;
+    }
+
+    // Just in case some CMS puts out a full URL with the anchor appended
+    if (hrefAttribute.includes('#') && !hrefAttribute.startsWith('#')) {
+      hrefAttribute = `#${hrefAttribute.split('#')[1]}`;
+    }
+    selector = hrefAttribute && hrefAttribute !== '#' ? hrefAttribute.trim() : null;
+  }
+  return selector ? selector.split(',').map(sel => parseSelector(sel)).join(',') : null;
+};
+const SelectorEngine = {
+  find(selector, element = document.documentElement) {
+    return [].concat(...Element.prototype.querySelectorAll.call(element, selector));
+  },
+  findOne(selector, element = document.documentElement) {
+    return Element.prototype.querySelector.call(element, selector);
+  },
+  children(element, selector) {
+    return [].concat(...element.children).filter(child => child.matches(selector));
+  },
+  parents(element, selector) {
+    const parents = [];
+    let ancestor = element.parentNode.closest(selector);
+    while (ancestor) {
+      parents.push(ancestor);
+      ancestor = ancestor.parentNode.closest(selector);
+    }
+    return parents;
+  },
+  prev(element, selector) {
+    let previous = element.previousElementSibling;
+    while (previous) {
+      if (previous.matches(selector)) {
+        return [previous];
+      }
+      previous = previous.previousElementSibling;
+    }
+    return [];
+  },
+  // TODO: this is now unused; remove later along with prev()
+  next(element, selector) {
+    let next = element.nextElementSibling;
+    while (next) {
+      if (next.matches(selector)) {
+        return [next];
+      }
+      next = next.nextElementSibling;
+    }
+    return [];
+  },
+  focusableChildren(element) {
+    const focusables = ['a', 'button', 'input', 'textarea', 'select', 'details', '[tabindex]', '[contenteditable="true"]'].map(selector => `${selector}:not([tabindex^="-"])`).join(',');
+    return this.find(focusables, element).filter(el => !isDisabled(el) && isVisible(el));
+  },
+  getSelectorFromElement(element) {
+    const selector = getSelector(element);
+    if (selector) {
+      return SelectorEngine.findOne(selector) ? selector : null;
+    }
+    return null;
+  },
+  getElementFromSelector(element) {
+    const selector = getSelector(element);
+    return selector ? SelectorEngine.findOne(selector) : null;
+  },
+  getMultipleElementsFromSelector(element) {
+    const selector = getSelector(element);
+    return selector ? SelectorEngine.find(selector) : [];
+  }
+};
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/component-functions.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+const enableDismissTrigger = (component, method = 'hide') => {
+  const clickEvent = `click.dismiss${component.EVENT_KEY}`;
+  const name = component.NAME;
+  EventHandler.on(document, clickEvent, `[data-bs-dismiss="${name}"]`, function (event) {
+    if (['A', 'AREA'].includes(this.tagName)) {
+      event.preventDefault();
+    }
+    if (isDisabled(this)) {
+      return;
+    }
+    const target = SelectorEngine.getElementFromSelector(this) || this.closest(`.${name}`);
+    const instance = component.getOrCreateInstance(target);
+
+    // Method argument is left, for Alert and only, as it doesn't implement the 'hide' method
+    instance[method]();
+  });
+};
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap alert.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$f = 'alert';
+const DATA_KEY$a = 'bs.alert';
+const EVENT_KEY$b = `.${DATA_KEY$a}`;
+const EVENT_CLOSE = `close${EVENT_KEY$b}`;
+const EVENT_CLOSED = `closed${EVENT_KEY$b}`;
+const CLASS_NAME_FADE$5 = 'fade';
+const CLASS_NAME_SHOW$8 = 'show';
+
+/**
+ * Class definition
+ */
+
+class Alert extends BaseComponent {
+  // Getters
+  static get NAME() {
+    return NAME$f;
+  }
+
+  // Public
+  close() {
+    const closeEvent = EventHandler.trigger(this._element, EVENT_CLOSE);
+    if (closeEvent.defaultPrevented) {
+      return;
+    }
+    this._element.classList.remove(CLASS_NAME_SHOW$8);
+    const isAnimated = this._element.classList.contains(CLASS_NAME_FADE$5);
+    this._queueCallback(() => this._destroyElement(), this._element, isAnimated);
+  }
+
+  // Private
+  _destroyElement() {
+    this._element.remove();
+    EventHandler.trigger(this._element, EVENT_CLOSED);
+    this.dispose();
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = Alert.getOrCreateInstance(this);
+      if (typeof config !== 'string') {
+        return;
+      }
+      if (data[config] === undefined || config.startsWith('_') || config === 'constructor') {
+        throw new TypeError(`No method named "${config}"`);
+      }
+      data[config](this);
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+enableDismissTrigger(Alert, 'close');
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Alert);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap button.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$e = 'button';
+const DATA_KEY$9 = 'bs.button';
+const EVENT_KEY$a = `.${DATA_KEY$9}`;
+const DATA_API_KEY$6 = '.data-api';
+const CLASS_NAME_ACTIVE$3 = 'active';
+const SELECTOR_DATA_TOGGLE$5 = '[data-bs-toggle="button"]';
+const EVENT_CLICK_DATA_API$6 = `click${EVENT_KEY$a}${DATA_API_KEY$6}`;
+
+/**
+ * Class definition
+ */
+
+class Button extends BaseComponent {
+  // Getters
+  static get NAME() {
+    return NAME$e;
+  }
+
+  // Public
+  toggle() {
+    // Toggle class and sync the `aria-pressed` attribute with the return value of the `.toggle()` method
+    this._element.setAttribute('aria-pressed', this._element.classList.toggle(CLASS_NAME_ACTIVE$3));
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = Button.getOrCreateInstance(this);
+      if (config === 'toggle') {
+        data[config]();
+      }
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+EventHandler.on(document, EVENT_CLICK_DATA_API$6, SELECTOR_DATA_TOGGLE$5, event => {
+  event.preventDefault();
+  const button = event.target.closest(SELECTOR_DATA_TOGGLE$5);
+  const data = Button.getOrCreateInstance(button);
+  data.toggle();
+});
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Button);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/gesture.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$d = 'gesture';
+const EVENT_KEY$9 = '.bs.gesture';
+const EVENT_TOUCHSTART = `touchstart${EVENT_KEY$9}`;
+const EVENT_TOUCHMOVE = `touchmove${EVENT_KEY$9}`;
+const EVENT_TOUCHEND = `touchend${EVENT_KEY$9}`;
+const EVENT_TOUCHCANCEL = `touchcancel${EVENT_KEY$9}`;
+const EVENT_POINTERDOWN = `pointerdown${EVENT_KEY$9}`;
+const EVENT_POINTERMOVE = `pointermove${EVENT_KEY$9}`;
+const EVENT_POINTERUP = `pointerup${EVENT_KEY$9}`;
+const EVENT_POINTERCANCEL = `pointercancel${EVENT_KEY$9}`;
+const EVENT_POINTERLEAVE = `pointerleave${EVENT_KEY$9}`;
+const EVENT_LOST_POINTER_CAPTURE = `lostpointercapture${EVENT_KEY$9}`;
+const POINTER_TYPE_TOUCH = 'touch';
+const POINTER_TYPE_PEN = 'pen';
+const CLASS_NAME_POINTER_EVENT = 'pointer-event';
+const SWIPE_UP = 'up';
+const SWIPE_DOWN = 'down';
+const SWIPE_LEFT = 'left';
+const SWIPE_RIGHT = 'right';
+const VELOCITY_WINDOW = 100; // only the last milliseconds of a pan count towards its velocity
+const Default$c = {
+  endCallback: null,
+  longPressCallback: null,
+  longPressDelay: 500,
+  mouse: false,
+  panEndCallback: null,
+  panMoveCallback: null,
+  panStartCallback: null,
+  pinchCallback: null,
+  pinchEndCallback: null,
+  pinchStartCallback: null,
+  swipeCallback: null,
+  swipeThreshold: 40,
+  swipeVelocity: 0.3,
+  tolerance: 10,
+  touchAction: null
+};
+const DefaultType$c = {
+  endCallback: '(function|null)',
+  longPressCallback: '(function|null)',
+  longPressDelay: 'number',
+  mouse: 'boolean',
+  panEndCallback: '(function|null)',
+  panMoveCallback: '(function|null)',
+  panStartCallback: '(function|null)',
+  pinchCallback: '(function|null)',
+  pinchEndCallback: '(function|null)',
+  pinchStartCallback: '(function|null)',
+  swipeCallback: '(function|null)',
+  swipeThreshold: 'number',
+  swipeVelocity: 'number',
+  tolerance: 'number',
+  touchAction: '(string|null)'
+};
+const getDistance = ([first, second]) => Math.hypot(second.x - first.x, second.y - first.y);
+
+/**
+ * Class definition
+ */
+
+class Gesture extends Config {
+  constructor(element, config) {
+    super();
+    this._element = element;
+    this._config = this._getConfig(config);
+    if (!element || !this._config.mouse && !Gesture.isSupported()) {
+      return;
+    }
+    this._pointers = new Map();
+    this._capturedPointers = new Set();
+    this._start = null;
+    this._samples = [];
+    this._isPanning = false;
+    this._isPinching = false;
+    this._isLongPress = false;
+    this._pinchDistance = 0;
+    this._longPressTimeout = null;
+    this._supportPointerEvents = Boolean(window.PointerEvent);
+    this._initEvents();
+  }
+
+  // Getters
+  static get Default() {
+    return Default$c;
+  }
+  static get DefaultType() {
+    return DefaultType$c;
+  }
+  static get NAME() {
+    return NAME$d;
+  }
+
+  // Public
+  dispose() {
+    clearTimeout(this._longPressTimeout);
+    EventHandler.off(this._element, EVENT_KEY$9);
+  }
+
+  // Private
+  _down(id, x, y) {
+    this._pointers.set(id, {
+      x,
+      y
+    });
+    if (this._pointers.size === 1) {
+      this._start = {
+        x,
+        y
+      };
+      this._samples = [{
+        x,
+        y,
+        time: Date.now()
+      }];
+      this._isLongPress = false;
+
+      // a held finger only stops counting as a pan when something listens for long presses
+      if (this._config.longPressCallback) {
+        this._longPressTimeout = setTimeout(() => {
+          this._isLongPress = true;
+          execute(this._config.longPressCallback, [this._getState()]);
+        }, this._config.longPressDelay);
+      }
+      return;
+    }
+    clearTimeout(this._longPressTimeout);
+    if (this._pointers.size === 2) {
+      // a second finger turns a pan into a pinch
+      if (this._isPanning) {
+        this._isPanning = false;
+        execute(this._config.panEndCallback, [this._getState(true)]);
+      }
+      this._isPinching = true;
+      this._pinchDistance = getDistance([...this._pointers.values()]);
+      execute(this._config.pinchStartCallback, [this._getState()]);
+    }
+  }
+  _moveTo(id, x, y) {
+    const pointer = this._pointers.get(id);
+    if (!pointer) {
+      return;
+    }
+    pointer.x = x;
+    pointer.y = y;
+    if (this._isPinching) {
+      if (this._pointers.size > 1) {
+        execute(this._config.pinchCallback, [this._getState()]);
+      }
+      return;
+    }
+    this._addSample(x, y);
+    if (!this._isPanning && !this._isLongPress && Math.hypot(x - this._start.x, y - this._start.y) > this._config.tolerance) {
+      clearTimeout(this._longPressTimeout);
+      this._isPanning = true;
+      execute(this._config.panStartCallback, [this._getState()]);
+    }
+    if (this._isPanning) {
+      execute(this._config.panMoveCallback, [this._getState()]);
+    }
+  }
+  _up(id, isCancelled = false) {
+    if (!this._pointers.has(id)) {
+      return;
+    }
+    clearTimeout(this._longPressTimeout);
+    this._capturedPointers.delete(id);
+    if (!this._isPinching) {
+      // a drag that comes to rest before the release has no velocity left
+      const {
+        x,
+        y
+      } = this._pointers.get(id);
+      this._addSample(x, y);
+    }
+    const state = this._getState(isCancelled);
+    this._pointers.delete(id);
+    if (this._isPinching) {
+      if (this._pointers.size < 2) {
+        this._isPinching = false;
+        execute(this._config.pinchEndCallback, [state]);
+      }
+
+      // the fingers lifted after a pinch don't make a pan or swipe
+      if (!this._pointers.size) {
+        execute(this._config.endCallback, [state]);
+      }
+      return;
+    }
+    if (this._isPanning) {
+      this._isPanning = false;
+      execute(this._config.panEndCallback, [state]);
+    }
+    if (!isCancelled && !this._isLongPress) {
+      this._handleSwipe(state);
+    }
+    execute(this._config.endCallback, [state]);
+  }
+  _addSample(x, y) {
+    const time = Date.now();
+    this._samples = [...this._samples.filter(sample => time - sample.time <= VELOCITY_WINDOW), {
+      x,
+      y,
+      time
+    }];
+  }
+  _handleSwipe(state) {
+    const {
+      deltaX,
+      deltaY,
+      velocityX,
+      velocityY
+    } = state;
+    const isHorizontal = Math.abs(deltaX) >= Math.abs(deltaY);
+    const delta = isHorizontal ? deltaX : deltaY;
+    const velocity = isHorizontal ? velocityX : velocityY;
+
+    // a quick flick counts as a swipe even when it stays below the distance threshold
+    const isSwipe = Math.abs(delta) > this._config.swipeThreshold || Math.abs(delta) > this._config.tolerance && Math.abs(velocity) >= this._config.swipeVelocity;
+    if (!isSwipe) {
+      return;
+    }
+    if (isHorizontal) {
+      state.direction = delta > 0 ? SWIPE_RIGHT : SWIPE_LEFT;
+    } else {
+      state.direction = delta > 0 ? SWIPE_DOWN : SWIPE_UP;
+    }
+    execute(this._config.swipeCallback, [state]);
+  }
+  _getState(isCancelled = false) {
+    const pointers = [...this._pointers.values()];
+    const [pointer = this._start] = pointers;
+    const first = this._samples[0];
+    const last = this._samples[this._samples.length - 1];
+    const duration = last.time - first.time;
+    return {
+      clientX: pointer.x,
+      clientY: pointer.y,
+      deltaX: pointer.x - this._start.x,
+      deltaY: pointer.y - this._start.y,
+      velocityX: duration ? (last.x - first.x) / duration : 0,
+      velocityY: duration ? (last.y - first.y) / duration : 0,
+      direction: null,
+      scale: this._isPinching && pointers.length > 1 ? getDistance(pointers) / this._pinchDistance : 1,
+      isCancelled
+    };
+  }
+  _initEvents() {
+    if (this._supportPointerEvents) {
+      EventHandler.on(this._element, EVENT_POINTERDOWN, event => {
+        if (this._isTrackedPointer(event)) {
+          this._down(event.pointerId, event.clientX, event.clientY);
+        }
+      });
+      EventHandler.on(this._element, EVENT_POINTERMOVE, event => {
+        this._moveTo(event.pointerId, event.clientX, event.clientY);
+
+        // a pointer stays with the element once it pans, even when released outside; taps are not captured so their clicks keep their target
+        if ((this._isPanning || this._isPinching) && this._pointers.has(event.pointerId) && !this._element.hasPointerCapture(event.pointerId)) {
+          this._element.setPointerCapture(event.pointerId);
+          this._capturedPointers.add(event.pointerId);
+        }
+      });
+      EventHandler.on(this._element, EVENT_POINTERUP, event => this._up(event.pointerId));
+      EventHandler.on(this._element, EVENT_POINTERCANCEL, event => this._up(event.pointerId, true));
+      EventHandler.on(this._element, EVENT_LOST_POINTER_CAPTURE, event => {
+        // only losing a capture taken above cancels; a child losing the browser's implicit touch capture to it bubbles here too
+        if (event.target === this._element && this._capturedPointers.has(event.pointerId)) {
+          this._up(event.pointerId, true);
+        }
+      });
+      EventHandler.on(this._element, EVENT_POINTERLEAVE, event => {
+        // an uncaptured pointer leaving the element would never report its release here
+        if (!this._element.hasPointerCapture(event.pointerId)) {
+          this._up(event.pointerId, true);
+        }
+      });
+      this._element.classList.add(CLASS_NAME_POINTER_EVENT);
+    } else {
+      const forEachTouch = (event, callback) => {
+        for (const touch of event.changedTouches) {
+          callback(touch);
+        }
+      };
+      EventHandler.on(this._element, EVENT_TOUCHSTART, event => forEachTouch(event, touch => this._down(touch.identifier, touch.clientX, touch.clientY)));
+      EventHandler.on(this._element, EVENT_TOUCHMOVE, event => forEachTouch(event, touch => this._moveTo(touch.identifier, touch.clientX, touch.clientY)));
+      EventHandler.on(this._element, EVENT_TOUCHEND, event => forEachTouch(event, touch => this._up(touch.identifier)));
+      EventHandler.on(this._element, EVENT_TOUCHCANCEL, event => forEachTouch(event, touch => this._up(touch.identifier, true)));
+    }
+    if (this._config.touchAction) {
+      this._element.style.touchAction = this._config.touchAction;
+    }
+  }
+  _isTrackedPointer(event) {
+    return event.pointerType === POINTER_TYPE_PEN || event.pointerType === POINTER_TYPE_TOUCH || this._config.mouse;
+  }
+
+  // Static
+  static isSupported() {
+    return 'ontouchstart' in document.documentElement || navigator.maxTouchPoints > 0;
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap carousel.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$c = 'carousel';
+const DATA_KEY$8 = 'bs.carousel';
+const EVENT_KEY$8 = `.${DATA_KEY$8}`;
+const DATA_API_KEY$5 = '.data-api';
+const ARROW_LEFT_KEY$1 = 'ArrowLeft';
+const ARROW_RIGHT_KEY$1 = 'ArrowRight';
+const TOUCHEVENT_COMPAT_WAIT = 500; // Time for mouse compat events to fire after touch
+const SLIDE_BY_PAGE = 'page';
+const ATTRIBUTE_CLONE = 'data-bs-clone';
+const BREAKPOINTS = {
+  xs: 0,
+  sm: 576,
+  md: 768,
+  lg: 992,
+  xl: 1200,
+  xxl: 1400
+};
+
+const ORDER_NEXT = 'next';
+const ORDER_PREV = 'prev';
+const DIRECTION_LEFT = 'left';
+const DIRECTION_RIGHT = 'right';
+const EVENT_SLIDE = `slide${EVENT_KEY$8}`;
+const EVENT_SLID = `slid${EVENT_KEY$8}`;
+const EVENT_KEYDOWN$1 = `keydown${EVENT_KEY$8}`;
+const EVENT_MOUSEENTER$1 = `mouseenter${EVENT_KEY$8}`;
+const EVENT_MOUSELEAVE$1 = `mouseleave${EVENT_KEY$8}`;
+const EVENT_DRAG_START = `dragstart${EVENT_KEY$8}`;
+const EVENT_LAZY_LOADED = `lazyloaded${EVENT_KEY$8}`;
+const EVENT_LAZY_ERROR = `lazyerror${EVENT_KEY$8}`;
+const EVENT_MEDIA_LOAD = `load${EVENT_KEY$8}`;
+const EVENT_MEDIA_ERROR = `error${EVENT_KEY$8}`;
+const EVENT_RESIZE$3 = `resize${EVENT_KEY$8}`;
+const EVENT_FOCUSIN$3 = `focusin${EVENT_KEY$8}`;
+const EVENT_CLICK_ROTATION = `click${EVENT_KEY$8}`;
+const EVENT_LOAD_DATA_API$3 = `load${EVENT_KEY$8}${DATA_API_KEY$5}`;
+const EVENT_CLICK_DATA_API$5 = `click${EVENT_KEY$8}${DATA_API_KEY$5}`;
+const CLASS_NAME_CAROUSEL = 'carousel';
+const CLASS_NAME_ACTIVE$2 = 'active';
+const CLASS_NAME_SLIDE = 'slide';
+const CLASS_NAME_END = 'carousel-item-end';
+const CLASS_NAME_START = 'carousel-item-start';
+const CLASS_NAME_NEXT = 'carousel-item-next';
+const CLASS_NAME_PREV = 'carousel-item-prev';
+const CLASS_NAME_PLACEHOLDER = 'placeholder';
+const CLASS_NAME_ROTATION_CONTROL = 'carousel-rotation-control btn btn-sm btn-light position-absolute top-0 end-0 m-2';
+const CLASS_NAME_VISUALLY_HIDDEN$1 = 'visually-hidden';
+const SELECTOR_ACTIVE = '.active';
+const SELECTOR_ITEM = '.carousel-item';
+const SELECTOR_ORIGINAL_ITEM = `${SELECTOR_ITEM}:not([${ATTRIBUTE_CLONE}])`;
+const SELECTOR_CLONE = `[${ATTRIBUTE_CLONE}]`;
+const SELECTOR_INNER$1 = '.carousel-inner';
+const SELECTOR_ACTIVE_ITEM = SELECTOR_ACTIVE + SELECTOR_ITEM;
+const SELECTOR_ITEM_IMG = '.carousel-item img';
+const SELECTOR_LAZY = '[data-bs-src], [data-bs-srcset]';
+const SELECTOR_INDICATORS = '.carousel-indicators';
+const SELECTOR_DATA_SLIDE = '[data-bs-slide], [data-bs-slide-to]';
+const SELECTOR_DATA_RIDE = '[data-bs-ride="carousel"]';
+const KEY_TO_DIRECTION = {
+  [ARROW_LEFT_KEY$1]: DIRECTION_RIGHT,
+  [ARROW_RIGHT_KEY$1]: DIRECTION_LEFT
+};
+const Default$b = {
+  announce: true,
+  announcement: 'Slide {current} of {total}',
+  decode: false,
+  interval: 5026,
+  keyboard: true,
+  lazy: false,
+  pause: 'hover',
+  pauseLabel: 'Stop automatic slide show',
+  playLabel: 'Start automatic slide show',
+  preload: 1,
+  ride: false,
+  rotationControl: false,
+  slideBy: 'one',
+  slidesPerView: 1,
+  stopOnInteraction: true,
+  touch: true,
+  wrap: true
+};
+const DefaultType$b = {
+  announce: 'boolean',
+  announcement: 'string',
+  decode: 'boolean',
+  interval: '(number|boolean)',
+  // TODO:v6 remove boolean support
+  keyboard: 'boolean',
+  lazy: 'boolean',
+  pause: '(string|boolean)',
+  pauseLabel: 'string',
+  playLabel: 'string',
+  preload: 'number',
+  ride: '(boolean|string)',
+  rotationControl: 'boolean',
+  slideBy: 'string',
+  slidesPerView: '(number|object)',
+  stopOnInteraction: 'boolean',
+  touch: 'boolean',
+  wrap: 'boolean'
+};
+// media come in document order, so the <source> elements of a <picture> get their srcset before its image
+const revealMedia = media => {
+  for (const attribute of ['srcset', 'src']) {
+    const value = media.getAttribute(`data-bs-${attribute}`);
+    if (value !== null) {
+      media.setAttribute(attribute, value);
+      media.removeAttribute(`data-bs-${attribute}`);
+    }
+  }
+};
+const resetDragStyles = (...elements) => {
+  for (const element of elements) {
+    element.style.transition = '';
+    element.style.transform = '';
+  }
+};
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Class definition
+ */
+
+class Carousel extends BaseComponent {
+  constructor(element, config) {
+    super(element, config);
+    this._interval = null;
+    this._activeElement = null;
+    this._isSliding = false;
+    this.touchTimeout = null;
+    this._swipeHelper = null;
+    this._drag = null;
+    this._mediaLoads = new Map();
+    this._indicatorsElement = SelectorEngine.findOne(SELECTOR_INDICATORS, this._element);
+    this._isMultiItem = typeof this._config.slidesPerView === 'object' || this._config.slidesPerView > 1;
+    this._slidesPerView = 1;
+    this._index = 0;
+    this._originalIndicators = null;
+    this._resizeHandler = null;
+    // set once the user took over, auto-rotation then only resumes through the rotation control
+    this._isRotationStopped = false;
+    // set while rotation is only stopped because reduced motion is preferred
+    this._isStoppedForMotion = false;
+    this._isHoverPaused = false;
+    this._rotationControl = null;
+    this._liveRegion = null;
+    this._motionQuery = typeof window.matchMedia === 'function' ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+    this._motionHandler = null;
+    this._addEventListeners();
+    if (this._isMultiItem) {
+      this._initializeMultiItem();
+    }
+    if (this._config.lazy) {
+      this._initializeLazyMedia();
+    }
+    if (this._config.ride && this._motionQuery && this._motionQuery.matches) {
+      this._isRotationStopped = true;
+      this._isStoppedForMotion = true;
+    } else if (this._config.ride === CLASS_NAME_CAROUSEL) {
+      this.cycle();
+    }
+    if (this._config.rotationControl) {
+      this._createRotationControl();
+    }
+    if (this._config.announce) {
+      this._createLiveRegion();
+    }
+  }
+
+  // Getters
+  static get Default() {
+    return Default$b;
+  }
+  static get DefaultType() {
+    return DefaultType$b;
+  }
+  static get NAME() {
+    return NAME$c;
+  }
+
+  // Public
+  next() {
+    this._slide(ORDER_NEXT);
+  }
+  nextWhenVisible() {
+    // FIXME TODO use `document.visibilityState`
+    // Don't call next when the page isn't visible
+    // or the carousel or its parent isn't visible
+    if (!document.hidden && isVisible(this._element)) {
+      this.next();
+    }
+  }
+  prev() {
+    this._slide(ORDER_PREV);
+  }
+  pause() {
+    if (this._isSliding) {
+      triggerTransitionEnd(this._element);
+    }
+    this._clearInterval();
+    this._updateRotationState();
+  }
+  cycle() {
+    this._clearInterval();
+    this._updateInterval();
+    this._interval = setInterval(() => this.nextWhenVisible(), this._config.interval);
+    this._updateRotationState();
+  }
+  _maybeEnableCycle() {
+    if (!this._config.ride || this._isRotationStopped) {
+      return;
+    }
+    if (this._isSliding) {
+      EventHandler.one(this._element, EVENT_SLID, () => this.cycle());
+      return;
+    }
+    this.cycle();
+  }
+  to(index) {
+    const items = this._getItems();
+    if (index > items.length - 1 || index < 0) {
+      return;
+    }
+    if (this._isSliding) {
+      EventHandler.one(this._element, EVENT_SLID, () => this.to(index));
+      return;
+    }
+    const activeIndex = this._getItemIndex(this._getActive());
+    if (activeIndex === index) {
+      return;
+    }
+    const order = index > activeIndex ? ORDER_NEXT : ORDER_PREV;
+    this._slide(order, items[index]);
+  }
+  toAsync(index) {
+    if (this._isSliding) {
+      return new Promise(resolve => {
+        EventHandler.one(this._element, EVENT_SLID, () => resolve(this.toAsync(index)));
+      });
+    }
+    return this._transitionAsync(() => this.to(index), EVENT_SLIDE, EVENT_SLID, null, () => this._isSliding);
+  }
+  dispose() {
+    if (this._swipeHelper) {
+      this._swipeHelper.dispose();
+    }
+    for (const media of this._mediaLoads.keys()) {
+      EventHandler.off(media, EVENT_MEDIA_LOAD);
+      EventHandler.off(media, EVENT_MEDIA_ERROR);
+    }
+    if (this._isMultiItem) {
+      this._disposeMultiItem();
+    }
+    if (this._rotationControl) {
+      this._rotationControl.remove();
+    }
+    if (this._liveRegion) {
+      this._liveRegion.remove();
+    }
+    if (this._motionHandler) {
+      this._motionQuery.removeEventListener('change', this._motionHandler);
+    }
+    super.dispose();
+  }
+
+  // Private
+  _configAfterMerge(config) {
+    config.defaultInterval = config.interval;
+    return config;
+  }
+  _addEventListeners() {
+    if (this._config.keyboard) {
+      EventHandler.on(this._element, EVENT_KEYDOWN$1, event => this._keydown(event));
+    }
+    if (this._config.pause === 'hover') {
+      EventHandler.on(this._element, EVENT_MOUSEENTER$1, () => {
+        // a carousel paused under the mouse still counts as rotating
+        this._isHoverPaused = Boolean(this._interval);
+        this.pause();
+      });
+      EventHandler.on(this._element, EVENT_MOUSELEAVE$1, () => {
+        this._isHoverPaused = false;
+        this._maybeEnableCycle();
+        this._updateRotationState();
+      });
+    }
+    if (this._config.touch && Gesture.isSupported()) {
+      this._addTouchEventListeners();
+    }
+    if (this._motionQuery && typeof this._motionQuery.addEventListener === 'function') {
+      this._motionHandler = event => this._handleMotionChange(event.matches);
+      this._motionQuery.addEventListener('change', this._motionHandler);
+    }
+    if (this._config.stopOnInteraction) {
+      // keyboard focus moving into the slides stops the rotation, as the WAI-ARIA carousel pattern asks
+      EventHandler.on(this._element, EVENT_FOCUSIN$3, event => {
+        if (event.target !== this._rotationControl) {
+          this._stopRotation();
+        }
+      });
+    }
+    EventHandler.on(this._element, EVENT_SLID, event => {
+      if (event.target === this._element) {
+        this._announce(event.to);
+      }
+    });
+  }
+  _handleInteraction() {
+    if (this._config.stopOnInteraction) {
+      this._stopRotation();
+      return;
+    }
+    this._maybeEnableCycle();
+  }
+  _isRotating() {
+    return !this._isRotationStopped && (Boolean(this._interval) || this._isHoverPaused);
+  }
+  _stopRotation() {
+    this._isStoppedForMotion = false;
+    if (this._isRotationStopped) {
+      return;
+    }
+    this._isRotationStopped = true;
+    this._isHoverPaused = false;
+    this.pause();
+    this._updateRotationState();
+  }
+  _startRotation() {
+    this._isRotationStopped = false;
+    this._isStoppedForMotion = false;
+    // from now on it pauses on hover and resumes like a carousel that rides
+    this._config.ride = this._config.ride || true;
+    this.cycle();
+    this._updateRotationState();
+  }
+  _handleMotionChange(isReduced) {
+    if (!this._config.ride) {
+      return;
+    }
+    if (isReduced) {
+      if (!this._isRotationStopped) {
+        this._stopRotation();
+        this._isStoppedForMotion = true;
+      }
+      return;
+    }
+
+    // a rotation the user stopped stays stopped
+    if (!this._isStoppedForMotion) {
+      return;
+    }
+    this._isStoppedForMotion = false;
+    this._isRotationStopped = false;
+    if (this._config.ride === CLASS_NAME_CAROUSEL) {
+      this.cycle();
+    }
+    this._updateRotationState();
+  }
+  _createRotationControl() {
+    const control = document.createElement('button');
+    control.type = 'button';
+    control.className = CLASS_NAME_ROTATION_CONTROL;
+    control.style.zIndex = 3; // above the indicators and the prev/next controls
+    const icon = document.createElement('span');
+    icon.setAttribute('aria-hidden', 'true');
+    control.append(icon);
+    EventHandler.on(control, EVENT_CLICK_ROTATION, () => {
+      if (this._isRotating()) {
+        this._stopRotation();
+      } else {
+        this._startRotation();
+      }
+    });
+
+    // the rotation control comes first in the tab order
+    this._element.prepend(control);
+    this._rotationControl = control;
+    this._updateRotationState();
+  }
+  _createLiveRegion() {
+    const liveRegion = document.createElement('div');
+    liveRegion.className = CLASS_NAME_VISUALLY_HIDDEN$1;
+    liveRegion.setAttribute('aria-atomic', 'true');
+    this._element.append(liveRegion);
+    this._liveRegion = liveRegion;
+    this._updateRotationState();
+  }
+  _updateRotationState() {
+    const isRotating = this._isRotating();
+    if (this._rotationControl) {
+      this._rotationControl.setAttribute('aria-label', isRotating ? this._config.pauseLabel : this._config.playLabel);
+      this._rotationControl.firstElementChild.textContent = isRotating ? '\u23F8' : '\u25B6';
+    }
+
+    // slide changes are only announced while they aren't happening on their own
+    if (this._liveRegion) {
+      this._liveRegion.setAttribute('aria-live', isRotating ? 'off' : 'polite');
+    }
+  }
+  _announce(index) {
+    if (!this._liveRegion) {
+      return;
+    }
+    this._liveRegion.textContent = this._config.announcement.replace('{current}', index + 1).replace('{total}', this._getItems().length);
+  }
+  _addTouchEventListeners() {
+    for (const img of SelectorEngine.find(SELECTOR_ITEM_IMG, this._element)) {
+      EventHandler.on(img, EVENT_DRAG_START, event => event.preventDefault());
+    }
+    const endCallBack = () => {
+      if (this._config.pause !== 'hover') {
+        return;
+      }
+
+      // If it's a touch-enabled device, mouseenter/leave are fired as
+      // part of the mouse compatibility events on first tap - the carousel
+      // would stop cycling until user tapped out of it;
+      // here, we listen for touchend, explicitly pause the carousel
+      // (as if it's the second time we tap on it, mouseenter compat event
+      // is NOT fired) and after a timeout (to allow for mouse compatibility
+      // events to fire) we explicitly restart cycling
+
+      this.pause();
+      if (this.touchTimeout) {
+        clearTimeout(this.touchTimeout);
+      }
+      this.touchTimeout = setTimeout(() => this._maybeEnableCycle(), TOUCHEVENT_COMPAT_WAIT + this._config.interval);
+    };
+    const gestureConfig = {
+      panStartCallback: () => this._startDrag(),
+      panMoveCallback: ({
+        deltaX
+      }) => this._moveDrag(deltaX),
+      swipeCallback: ({
+        direction
+      }) => {
+        if (direction === SWIPE_LEFT || direction === SWIPE_RIGHT) {
+          this._releaseDrag(this._directionToOrder(direction === SWIPE_LEFT ? DIRECTION_LEFT : DIRECTION_RIGHT));
+        }
+      },
+      endCallback: () => {
+        // a drag that did not end in a swipe springs back into place
+        this._releaseDrag(null);
+        endCallBack();
+      }
+    };
+    this._swipeHelper = new Gesture(this._element, gestureConfig);
+  }
+  _startDrag() {
+    if (this._isSliding || this._getItems().length < 2) {
+      return;
+    }
+    this.pause();
+    this._drag = {
+      activeElement: this._getActive(),
+      neighbour: null
+    };
+  }
+
+  // Moves the slides along with the finger, showing the slide it drags in
+  _moveDrag(deltaX) {
+    if (!this._drag) {
+      return;
+    }
+    const isNext = this._directionToOrder(deltaX < 0 ? DIRECTION_LEFT : DIRECTION_RIGHT) === ORDER_NEXT;
+    if (this._isMultiItem) {
+      // past the ends of a carousel that does not wrap, the slides only give a little
+      const delta = this._getNextPosition(isNext) === this._index ? deltaX / 3 : deltaX;
+      for (const element of SelectorEngine.find(SELECTOR_ITEM, this._inner)) {
+        element.style.transition = 'none';
+        element.style.transform = `translateX(calc(${this._getOffset(this._index)}% + ${delta}px))`;
+      }
+      return;
+    }
+    const {
+      activeElement
+    } = this._drag;
+    const neighbour = getNextActiveElement(this._getItems(), activeElement, isNext, this._config.wrap);
+    if (this._drag.neighbour && this._drag.neighbour !== neighbour) {
+      resetDragStyles(this._drag.neighbour);
+      this._drag.neighbour.classList.remove(CLASS_NAME_NEXT, CLASS_NAME_PREV);
+    }
+    if (neighbour === activeElement) {
+      this._drag.neighbour = null;
+      activeElement.style.transition = 'none';
+      activeElement.style.transform = `translateX(${deltaX / 3}px)`;
+      return;
+    }
+    this._drag.neighbour = neighbour;
+    neighbour.classList.add(isNext ? CLASS_NAME_NEXT : CLASS_NAME_PREV);
+    for (const element of [activeElement, neighbour]) {
+      element.style.transition = 'none';
+    }
+    activeElement.style.transform = `translateX(${deltaX}px)`;
+    neighbour.style.transform = `translateX(calc(${deltaX < 0 ? 100 : -100}% + ${deltaX}px))`;
+  }
+
+  // Slides on in the given order from where the finger let go, or springs back without one
+  _releaseDrag(order) {
+    if (!this._drag) {
+      return;
+    }
+    const {
+      activeElement,
+      neighbour
+    } = this._drag;
+    this._drag = null;
+    if (order) {
+      this._slide(order);
+    }
+    if (this._isMultiItem) {
+      if (!this._isSliding) {
+        this._translate(this._index, this._isAnimated());
+      }
+      this._handleInteraction();
+      return;
+    }
+    if (this._isSliding && this._activeElement === neighbour) {
+      this._handleInteraction();
+      return;
+    }
+    resetDragStyles(activeElement);
+    if (neighbour) {
+      resetDragStyles(neighbour);
+      executeAfterTransition(() => {
+        if (neighbour !== this._activeElement && !(this._drag && this._drag.neighbour === neighbour)) {
+          neighbour.classList.remove(CLASS_NAME_NEXT, CLASS_NAME_PREV);
+        }
+      }, activeElement, this._isAnimated());
+    }
+    this._handleInteraction();
+  }
+  _keydown(event) {
+    if (/input|textarea/i.test(event.target.tagName)) {
+      return;
+    }
+    const direction = KEY_TO_DIRECTION[event.key];
+    if (direction) {
+      event.preventDefault();
+      this._slide(this._directionToOrder(direction));
+      this._handleInteraction();
+    }
+  }
+  _getItemIndex(element) {
+    return this._getItems().indexOf(element);
+  }
+  _setActiveIndicatorElement(index) {
+    if (!this._indicatorsElement) {
+      return;
+    }
+    const activeIndicator = SelectorEngine.findOne(SELECTOR_ACTIVE, this._indicatorsElement);
+    activeIndicator.classList.remove(CLASS_NAME_ACTIVE$2);
+    activeIndicator.removeAttribute('aria-current');
+    const newActiveIndicator = SelectorEngine.findOne(`[data-bs-slide-to="${index}"]`, this._indicatorsElement);
+    if (newActiveIndicator) {
+      newActiveIndicator.classList.add(CLASS_NAME_ACTIVE$2);
+      newActiveIndicator.setAttribute('aria-current', 'true');
+    }
+  }
+  _updateInterval() {
+    const element = this._activeElement || this._getActive();
+    if (!element) {
+      return;
+    }
+    const elementInterval = Number.parseInt(element.getAttribute('data-bs-interval'), 10);
+    this._config.interval = elementInterval || this._config.defaultInterval;
+  }
+  _slide(order, element = null) {
+    if (this._isSliding) {
+      return;
+    }
+    if (this._isMultiItem) {
+      this._slideMultiItem(order, element);
+      return;
+    }
+    const activeElement = this._getActive();
+    const isNext = order === ORDER_NEXT;
+    const nextElement = element || getNextActiveElement(this._getItems(), activeElement, isNext, this._config.wrap);
+    if (nextElement === activeElement) {
+      return;
+    }
+    const nextElementIndex = this._getItemIndex(nextElement);
+    const triggerEvent = eventName => {
+      return EventHandler.trigger(this._element, eventName, {
+        relatedTarget: nextElement,
+        direction: this._orderToDirection(order),
+        from: this._getItemIndex(activeElement),
+        to: nextElementIndex
+      });
+    };
+    const slideEvent = triggerEvent(EVENT_SLIDE);
+    if (slideEvent.defaultPrevented) {
+      return;
+    }
+    if (!activeElement || !nextElement) {
+      // Some weirdness is happening, so we bail
+      // TODO: change tests that use empty divs to avoid this check
+      return;
+    }
+    const isCycling = Boolean(this._interval);
+    this.pause();
+    this._isSliding = true;
+    this._activeElement = nextElement;
+    const startTransition = () => {
+      // the carousel may have been disposed while the next slide was decoding
+      if (!this._element) {
+        return;
+      }
+      this._setActiveIndicatorElement(nextElementIndex);
+      const directionalClassName = isNext ? CLASS_NAME_START : CLASS_NAME_END;
+      const orderClassName = isNext ? CLASS_NAME_NEXT : CLASS_NAME_PREV;
+      nextElement.classList.add(orderClassName);
+      reflow(nextElement);
+      activeElement.classList.add(directionalClassName);
+      nextElement.classList.add(directionalClassName);
+      // a drag leaves both slides where the finger let go, so they transition on from there
+      resetDragStyles(activeElement, nextElement);
+      const completeCallBack = () => {
+        nextElement.classList.remove(directionalClassName, orderClassName);
+        nextElement.classList.add(CLASS_NAME_ACTIVE$2);
+        activeElement.classList.remove(CLASS_NAME_ACTIVE$2, orderClassName, directionalClassName);
+        this._isSliding = false;
+        triggerEvent(EVENT_SLID);
+      };
+      this._queueCallback(completeCallBack, activeElement, this._isAnimated());
+    };
+    if (this._config.lazy) {
+      this._loadAround(nextElement);
+    }
+    if (this._config.decode) {
+      this._decodeItem(nextElement).then(startTransition);
+    } else {
+      startTransition();
+    }
+    if (isCycling) {
+      this.cycle();
+    }
+  }
+  _isAnimated() {
+    return this._element.classList.contains(CLASS_NAME_SLIDE);
+  }
+  _initializeLazyMedia() {
+    for (const media of SelectorEngine.find(SELECTOR_LAZY, this._element)) {
+      if (media.tagName === 'IMG') {
+        media.classList.add(CLASS_NAME_PLACEHOLDER);
+      }
+    }
+    const activeElement = this._getActive();
+    if (activeElement) {
+      this._loadVisible(this._getItems().indexOf(activeElement));
+    }
+  }
+
+  // Loads the slides in view from `index` on, along with their neighbours
+  _loadVisible(index) {
+    const items = this._getItems();
+    for (let offset = 0; offset < this._slidesPerView; offset++) {
+      this._loadAround(items[(index + offset) % items.length]);
+    }
+  }
+
+  // Loads the given slide and `preload` slides on each side of it
+  _loadAround(item) {
+    const items = this._getItems();
+    const index = items.indexOf(item);
+    for (let offset = -this._config.preload; offset <= this._config.preload; offset++) {
+      const neighbourIndex = index + offset;
+      if (this._config.wrap || neighbourIndex >= 0 && neighbourIndex < items.length) {
+        this._loadItem(items[(neighbourIndex % items.length + items.length) % items.length]);
+      }
+    }
+  }
+  _loadItem(item) {
+    const cloneMedia = SelectorEngine.find(`[${ATTRIBUTE_CLONE}="${this._getItems().indexOf(item)}"]`, this._element).map(clone => SelectorEngine.find(SELECTOR_LAZY, clone));
+    return Promise.all(SelectorEngine.find(SELECTOR_LAZY, item).map((media, index) => {
+      const copies = cloneMedia.map(clonedMedia => clonedMedia[index]).filter(Boolean);
+      for (const copy of copies) {
+        revealMedia(copy);
+      }
+      return this._loadMedia(media).then(() => {
+        for (const copy of copies) {
+          copy.classList.remove(CLASS_NAME_PLACEHOLDER);
+        }
+      });
+    }));
+  }
+  _loadMedia(media) {
+    if (this._mediaLoads.has(media)) {
+      return this._mediaLoads.get(media);
+    }
+    const promise = new Promise(resolve => {
+      if (media.tagName !== 'IMG') {
+        resolve();
+        return;
+      }
+      const complete = eventName => {
+        EventHandler.off(media, EVENT_MEDIA_LOAD);
+        EventHandler.off(media, EVENT_MEDIA_ERROR);
+        media.classList.remove(CLASS_NAME_PLACEHOLDER);
+        EventHandler.trigger(this._element, eventName, {
+          relatedTarget: media
+        });
+        resolve();
+      };
+      EventHandler.on(media, EVENT_MEDIA_LOAD, () => complete(EVENT_LAZY_LOADED));
+      EventHandler.on(media, EVENT_MEDIA_ERROR, () => complete(EVENT_LAZY_ERROR));
+    });
+    this._mediaLoads.set(media, promise);
+    revealMedia(media);
+    return promise;
+  }
+  _decodeItem(item) {
+    const images = SelectorEngine.find('img', item);
+    return Promise.all(images.map(image => (this._mediaLoads.get(image) || Promise.resolve()).then(() => image.decode ? image.decode() : null).catch(noop)));
+  }
+  _getActive() {
+    return SelectorEngine.findOne(SELECTOR_ACTIVE_ITEM, this._element);
+  }
+  _getItems() {
+    return SelectorEngine.find(SELECTOR_ORIGINAL_ITEM, this._element);
+  }
+  _initializeMultiItem() {
+    const index = this._getItemIndex(this._getActive());
+    this._index = Math.max(index, 0);
+    this._inner = SelectorEngine.findOne(SELECTOR_INNER$1, this._element);
+    this._inner.style.display = 'flex';
+    if (this._indicatorsElement) {
+      this._originalIndicators = [...this._indicatorsElement.children];
+    }
+    this._resizeHandler = () => {
+      this._layoutMultiItem();
+      // a wider layout can bring slides into view that were not loaded yet
+      if (this._config.lazy) {
+        this._loadVisible(this._index);
+      }
+    };
+    EventHandler.on(window, EVENT_RESIZE$3, this._resizeHandler);
+    this._layoutMultiItem(true);
+  }
+  _disposeMultiItem() {
+    EventHandler.off(window, EVENT_RESIZE$3, this._resizeHandler);
+    for (const clone of SelectorEngine.find(SELECTOR_CLONE, this._inner)) {
+      clone.remove();
+    }
+    for (const item of this._getItems()) {
+      for (const property of ['display', 'flex', 'float', 'marginRight', 'transform', 'transition']) {
+        item.style[property] = '';
+      }
+      item.removeAttribute('aria-hidden');
+    }
+    this._inner.style.display = '';
+    if (this._originalIndicators) {
+      this._indicatorsElement.replaceChildren(...this._originalIndicators);
+    }
+  }
+  _getSlidesPerView() {
+    const {
+      slidesPerView
+    } = this._config;
+    if (typeof slidesPerView === 'number') {
+      return Math.max(Math.floor(slidesPerView), 1);
+    }
+
+    // breakpoints are given as minimum widths, either in pixels or by their name
+    const breakpoints = Object.entries(slidesPerView).map(([breakpoint, value]) => [breakpoint in BREAKPOINTS ? BREAKPOINTS[breakpoint] : Number.parseInt(breakpoint, 10), value]).sort(([a], [b]) => a - b);
+    let perView = 1;
+    for (const [minWidth, value] of breakpoints) {
+      if (window.innerWidth >= minWidth) {
+        perView = value;
+      }
+    }
+    return Math.max(Math.floor(perView), 1);
+  }
+  _layoutMultiItem(force = false) {
+    const perView = this._getSlidesPerView();
+    if (!force && perView === this._slidesPerView) {
+      return;
+    }
+    this._slidesPerView = perView;
+    const items = this._getItems();
+    if (!this._config.wrap) {
+      this._index = Math.min(this._index, Math.max(items.length - perView, 0));
+    }
+
+    // an infinite loop shows clones of the items from the other end next to the first and last item
+    for (const clone of SelectorEngine.find(SELECTOR_CLONE, this._inner)) {
+      clone.remove();
+    }
+    if (this._config.wrap && items.length > perView) {
+      items[0].before(...items.slice(-perView).map(item => this._createClone(item)));
+      items[items.length - 1].after(...items.slice(0, perView).map(item => this._createClone(item)));
+    }
+    for (const item of SelectorEngine.find(SELECTOR_ITEM, this._inner)) {
+      item.style.display = 'block';
+      item.style.flex = `0 0 ${100 / perView}%`;
+      item.style.float = 'none';
+      item.style.marginRight = '0';
+    }
+    this._renderPageIndicators();
+    this._translate(this._index, false);
+    this._updateVisibleItems();
+  }
+  _createClone(item) {
+    const clone = item.cloneNode(true);
+    // clones remember the slide they copy, so lazy media load along with it
+    clone.setAttribute(ATTRIBUTE_CLONE, this._getItems().indexOf(item));
+    clone.setAttribute('aria-hidden', 'true');
+    clone.classList.remove(CLASS_NAME_ACTIVE$2);
+    for (const element of [clone, ...SelectorEngine.find('[id]', clone)]) {
+      element.removeAttribute('id');
+    }
+    return clone;
+  }
+  _renderPageIndicators() {
+    if (!this._indicatorsElement) {
+      return;
+    }
+    if (!this._element.id) {
+      this._element.id = getUID(NAME$c);
+    }
+    const perView = this._slidesPerView;
+    const pageCount = Math.ceil(this._getItems().length / perView);
+    const indicators = [];
+    for (let page = 0; page < pageCount; page++) {
+      const indicator = document.createElement('button');
+      indicator.type = 'button';
+      indicator.setAttribute('data-bs-target', `#${this._element.id}`);
+      indicator.setAttribute('data-bs-slide-to', page * perView);
+      indicator.setAttribute('aria-label', `Page ${page + 1}`);
+      indicators.push(indicator);
+    }
+    const activeIndicator = indicators[this._getPage(this._index)];
+    activeIndicator.classList.add(CLASS_NAME_ACTIVE$2);
+    activeIndicator.setAttribute('aria-current', 'true');
+    this._indicatorsElement.replaceChildren(...indicators);
+  }
+  _getPage(index) {
+    const count = this._getItems().length;
+    const perView = this._slidesPerView;
+    // the last page may start before a multiple of the slides per view
+    return index >= count - perView ? Math.ceil(count / perView) - 1 : Math.floor(index / perView);
+  }
+
+  // Positions may point at the clones, from `-slidesPerView` up to the item count
+  _translate(position, isAnimated) {
+    const offset = this._getOffset(position);
+    const elements = SelectorEngine.find(SELECTOR_ITEM, this._inner);
+    for (const element of elements) {
+      element.style.transition = isAnimated ? '' : 'none';
+      element.style.transform = `translateX(${offset}%)`;
+    }
+    if (!isAnimated) {
+      reflow(this._inner);
+      for (const element of elements) {
+        element.style.transition = '';
+      }
+    }
+  }
+  _getOffset(position) {
+    const clones = SelectorEngine.find(SELECTOR_CLONE, this._inner).length / 2;
+    return (position + clones) * 100 * (isRTL() ? 1 : -1);
+  }
+  _updateVisibleItems() {
+    const items = this._getItems();
+    for (const [index, item] of items.entries()) {
+      const isVisible = (index - this._index + items.length) % items.length < this._slidesPerView;
+      item.classList.toggle(CLASS_NAME_ACTIVE$2, index === this._index);
+      item.setAttribute('aria-hidden', !isVisible);
+    }
+  }
+  _getNextPosition(isNext) {
+    const count = this._getItems().length;
+    const step = this._config.slideBy === SLIDE_BY_PAGE ? this._slidesPerView : 1;
+    if (!this._config.wrap) {
+      const position = this._index + (isNext ? step : -step);
+      return Math.min(Math.max(position, 0), Math.max(count - this._slidesPerView, 0));
+    }
+    if (isNext) {
+      // paging past the end lands on the clone of the first item
+      return Math.min(this._index + step, count);
+    }
+    if (this._index === 0 && step > 1) {
+      return Math.floor((count - 1) / step) * step - count;
+    }
+    return this._index - step;
+  }
+  _slideMultiItem(order, element) {
+    const items = this._getItems();
+    const count = items.length;
+    if (count <= this._slidesPerView) {
+      return;
+    }
+    let position = element ? items.indexOf(element) : this._getNextPosition(order === ORDER_NEXT);
+    if (!this._config.wrap) {
+      position = Math.min(position, Math.max(count - this._slidesPerView, 0));
+    }
+    const from = this._index;
+    const to = (position % count + count) % count;
+    if (to === from) {
+      return;
+    }
+    const nextElement = items[to];
+    const triggerEvent = eventName => {
+      return EventHandler.trigger(this._element, eventName, {
+        relatedTarget: nextElement,
+        direction: this._orderToDirection(order),
+        from,
+        to
+      });
+    };
+    const slideEvent = triggerEvent(EVENT_SLIDE);
+    if (slideEvent.defaultPrevented) {
+      return;
+    }
+    const isCycling = Boolean(this._interval);
+    this.pause();
+    this._isSliding = true;
+    this._activeElement = nextElement;
+    if (this._config.lazy) {
+      this._loadVisible(to);
+    }
+    const startTransition = () => {
+      if (!this._element) {
+        return;
+      }
+      this._setActiveIndicatorElement(this._getPage(to) * this._slidesPerView);
+      const isAnimated = this._isAnimated();
+      this._translate(position, isAnimated);
+      const completeCallBack = () => {
+        this._index = to;
+        // coming to rest on a clone, jump to the item it was cloned from
+        if (position !== to) {
+          this._translate(to, false);
+        }
+        this._updateVisibleItems();
+        this._isSliding = false;
+        triggerEvent(EVENT_SLID);
+      };
+      this._queueCallback(completeCallBack, nextElement, isAnimated);
+    };
+    if (this._config.decode) {
+      this._decodeItem(nextElement).then(startTransition);
+    } else {
+      startTransition();
+    }
+    if (isCycling) {
+      this.cycle();
+    }
+  }
+  _clearInterval() {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+  }
+  _directionToOrder(direction) {
+    if (isRTL()) {
+      return direction === DIRECTION_LEFT ? ORDER_PREV : ORDER_NEXT;
+    }
+    return direction === DIRECTION_LEFT ? ORDER_NEXT : ORDER_PREV;
+  }
+  _orderToDirection(order) {
+    if (isRTL()) {
+      return order === ORDER_PREV ? DIRECTION_LEFT : DIRECTION_RIGHT;
+    }
+    return order === ORDER_PREV ? DIRECTION_RIGHT : DIRECTION_LEFT;
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = Carousel.getOrCreateInstance(this, config);
+      if (typeof config === 'number') {
+        data.to(config);
+        return;
+      }
+      if (typeof config === 'string') {
+        if (data[config] === undefined || config.startsWith('_') || config === 'constructor') {
+          throw new TypeError(`No method named "${config}"`);
+        }
+        data[config]();
+      }
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+EventHandler.on(document, EVENT_CLICK_DATA_API$5, SELECTOR_DATA_SLIDE, function (event) {
+  const target = SelectorEngine.getElementFromSelector(this);
+  if (!target || !target.classList.contains(CLASS_NAME_CAROUSEL)) {
+    return;
+  }
+  event.preventDefault();
+  const carousel = Carousel.getOrCreateInstance(target);
+  const slideIndex = this.getAttribute('data-bs-slide-to');
+  if (slideIndex) {
+    carousel.to(slideIndex);
+    carousel._handleInteraction();
+    return;
+  }
+  if (Manipulator.getDataAttribute(this, 'slide') === 'next') {
+    carousel.next();
+    carousel._handleInteraction();
+    return;
+  }
+  carousel.prev();
+  carousel._handleInteraction();
+});
+EventHandler.on(window, EVENT_LOAD_DATA_API$3, () => {
+  const carousels = SelectorEngine.find(SELECTOR_DATA_RIDE);
+  for (const carousel of carousels) {
+    Carousel.getOrCreateInstance(carousel);
+  }
+});
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Carousel);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap collapse.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$b = 'collapse';
+const DATA_KEY$7 = 'bs.collapse';
+const EVENT_KEY$7 = `.${DATA_KEY$7}`;
+const DATA_API_KEY$4 = '.data-api';
+const EVENT_SHOW$6 = `show${EVENT_KEY$7}`;
+const EVENT_SHOWN$6 = `shown${EVENT_KEY$7}`;
+const EVENT_HIDE$6 = `hide${EVENT_KEY$7}`;
+const EVENT_HIDDEN$6 = `hidden${EVENT_KEY$7}`;
+const EVENT_CLICK_DATA_API$4 = `click${EVENT_KEY$7}${DATA_API_KEY$4}`;
+const CLASS_NAME_SHOW$7 = 'show';
+const CLASS_NAME_COLLAPSE = 'collapse';
+const CLASS_NAME_COLLAPSING = 'collapsing';
+const CLASS_NAME_COLLAPSED = 'collapsed';
+const CLASS_NAME_DEEPER_CHILDREN = `:scope .${CLASS_NAME_COLLAPSE} .${CLASS_NAME_COLLAPSE}`;
+const CLASS_NAME_HORIZONTAL = 'collapse-horizontal';
+const WIDTH = 'width';
+const HEIGHT = 'height';
+const SELECTOR_ACTIVES = '.collapse.show, .collapse.collapsing';
+const SELECTOR_DATA_TOGGLE$4 = '[data-bs-toggle="collapse"]';
+const SELECTOR_DATA_PERSIST = '.collapse[data-bs-persist]';
+const STORAGE_KEY_PREFIX = 'bs.collapse.';
+const STATE_SHOWN = 'shown';
+const STATE_HIDDEN = 'hidden';
+const Default$a = {
+  parent: null,
+  persist: false,
+  storage: 'local',
+  toggle: true
+};
+const DefaultType$a = {
+  parent: '(null|element)',
+  persist: '(boolean|string)',
+  storage: '(string|object)',
+  toggle: 'boolean'
+};
+
+/**
+ * Class definition
+ */
+
+class Collapse extends BaseComponent {
+  constructor(element, config) {
+    super(element, config);
+    this._isTransitioning = false;
+    this._triggerArray = [];
+    const toggleList = SelectorEngine.find(SELECTOR_DATA_TOGGLE$4);
+    for (const elem of toggleList) {
+      const selector = SelectorEngine.getSelectorFromElement(elem);
+      const filterElement = SelectorEngine.find(selector).filter(foundElement => foundElement === this._element);
+      if (selector !== null && filterElement.length) {
+        this._triggerArray.push(elem);
+      }
+    }
+    this._restoreState();
+    this._initializeChildren();
+    if (!this._config.parent) {
+      this._addAriaAndCollapsedClass(this._triggerArray, this._isShown());
+    }
+    if (this._config.toggle) {
+      this.toggle();
+    }
+  }
+
+  // Getters
+  static get Default() {
+    return Default$a;
+  }
+  static get DefaultType() {
+    return DefaultType$a;
+  }
+  static get NAME() {
+    return NAME$b;
+  }
+
+  // Public
+  toggle() {
+    if (this._isShown()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+  show() {
+    if (this._isTransitioning || this._isShown()) {
+      return;
+    }
+    let activeChildren = [];
+
+    // find active children
+    if (this._config.parent) {
+      activeChildren = this._getFirstLevelChildren(SELECTOR_ACTIVES).filter(element => element !== this._element).map(element => Collapse.getOrCreateInstance(element, {
+        toggle: false
+      }));
+    }
+    if (activeChildren.length && activeChildren[0]._isTransitioning) {
+      return;
+    }
+    const startEvent = EventHandler.trigger(this._element, EVENT_SHOW$6);
+    if (startEvent.defaultPrevented) {
+      return;
+    }
+    for (const activeInstance of activeChildren) {
+      activeInstance.hide();
+    }
+    const dimension = this._getDimension();
+    this._element.classList.remove(CLASS_NAME_COLLAPSE);
+    this._element.classList.add(CLASS_NAME_COLLAPSING);
+    this._element.style[dimension] = 0;
+    this._addAriaAndCollapsedClass(this._triggerArray, true);
+    this._saveState(true);
+    this._isTransitioning = true;
+    const complete = () => {
+      this._isTransitioning = false;
+      this._element.classList.remove(CLASS_NAME_COLLAPSING);
+      this._element.classList.add(CLASS_NAME_COLLAPSE, CLASS_NAME_SHOW$7);
+      this._element.style[dimension] = '';
+      EventHandler.trigger(this._element, EVENT_SHOWN$6);
+    };
+    const capitalizedDimension = dimension[0].toUpperCase() + dimension.slice(1);
+    const scrollSize = `scroll${capitalizedDimension}`;
+    this._queueCallback(complete, this._element, true);
+    this._element.style[dimension] = `${this._element[scrollSize]}px`;
+  }
+  hide() {
+    if (this._isTransitioning || !this._isShown()) {
+      return;
+    }
+    const startEvent = EventHandler.trigger(this._element, EVENT_HIDE$6);
+    if (startEvent.defaultPrevented) {
+      return;
+    }
+    const dimension = this._getDimension();
+    this._element.style[dimension] = `${this._element.getBoundingClientRect()[dimension]}px`;
+    reflow(this._element);
+    this._element.classList.add(CLASS_NAME_COLLAPSING);
+    this._element.classList.remove(CLASS_NAME_COLLAPSE, CLASS_NAME_SHOW$7);
+    for (const trigger of this._triggerArray) {
+      const element = SelectorEngine.getElementFromSelector(trigger);
+      if (element && !this._isShown(element)) {
+        this._addAriaAndCollapsedClass([trigger], false);
+      }
+    }
+    this._saveState(false);
+    this._isTransitioning = true;
+    const complete = () => {
+      this._isTransitioning = false;
+      this._element.classList.remove(CLASS_NAME_COLLAPSING);
+      this._element.classList.add(CLASS_NAME_COLLAPSE);
+      EventHandler.trigger(this._element, EVENT_HIDDEN$6);
+    };
+    this._element.style[dimension] = '';
+    this._queueCallback(complete, this._element, true);
+  }
+  showAsync() {
+    return this._transitionAsync(() => this.show(), EVENT_SHOW$6, EVENT_SHOWN$6, EVENT_HIDE$6);
+  }
+  hideAsync() {
+    return this._transitionAsync(() => this.hide(), EVENT_HIDE$6, EVENT_HIDDEN$6, EVENT_SHOW$6);
+  }
+  _isShown(element = this._element) {
+    return element.classList.contains(CLASS_NAME_SHOW$7);
+  }
+
+  // Private
+  _configAfterMerge(config) {
+    config.toggle = Boolean(config.toggle); // Coerce string values
+    config.parent = getElement(config.parent);
+    // a bare `data-bs-persist` reads as null and a numeric key as a number
+    if (config.persist === null) {
+      config.persist = true;
+    } else if (typeof config.persist === 'number') {
+      config.persist = String(config.persist);
+    }
+    return config;
+  }
+  _getDimension() {
+    return this._element.classList.contains(CLASS_NAME_HORIZONTAL) ? WIDTH : HEIGHT;
+  }
+  _initializeChildren() {
+    if (!this._config.parent) {
+      return;
+    }
+    const children = this._getFirstLevelChildren(SELECTOR_DATA_TOGGLE$4);
+    for (const element of children) {
+      const selected = SelectorEngine.getElementFromSelector(element);
+      if (selected) {
+        this._addAriaAndCollapsedClass([element], this._isShown(selected));
+      }
+    }
+  }
+  _getStorage() {
+    if (typeof this._config.storage === 'object') {
+      return this._config.storage;
+    }
+    try {
+      return this._config.storage === 'session' ? window.sessionStorage : window.localStorage;
+    } catch (_unused) {
+      // access to web storage throws when it's disabled by the browser
+      return null;
+    }
+  }
+  _getStorageKey() {
+    const {
+      persist
+    } = this._config;
+    if (!persist || persist === true && !this._element.id) {
+      return null;
+    }
+    return `${STORAGE_KEY_PREFIX}${persist === true ? this._element.id : persist}`;
+  }
+  _saveState(isShown) {
+    const key = this._getStorageKey();
+    const storage = this._getStorage();
+    if (!key || !storage) {
+      return;
+    }
+    try {
+      storage.setItem(key, isShown ? STATE_SHOWN : STATE_HIDDEN);
+    } catch (_unused) {
+      // a full storage quota must not break the transition
+    }
+  }
+  _readState() {
+    const key = this._getStorageKey();
+    const storage = this._getStorage();
+    if (!key || !storage) {
+      return null;
+    }
+    try {
+      return storage.getItem(key);
+    } catch (_unused) {
+      return null;
+    }
+  }
+  _restoreState() {
+    const state = this._readState();
+    const isShown = state === STATE_SHOWN;
+    if (state !== STATE_SHOWN && state !== STATE_HIDDEN || isShown === this._isShown()) {
+      return;
+    }
+
+    // the stored state is applied right away, without the transition and its events
+    if (isShown && this._config.parent) {
+      for (const element of this._getFirstLevelChildren(SELECTOR_ACTIVES)) {
+        if (element === this._element) {
+          continue;
+        }
+        element.classList.remove(CLASS_NAME_SHOW$7);
+        const instance = Collapse.getInstance(element);
+        if (instance) {
+          instance._saveState(false);
+        }
+      }
+    }
+    this._element.classList.toggle(CLASS_NAME_SHOW$7, isShown);
+  }
+  _getFirstLevelChildren(selector) {
+    const children = SelectorEngine.find(CLASS_NAME_DEEPER_CHILDREN, this._config.parent);
+    // remove children if greater depth
+    return SelectorEngine.find(selector, this._config.parent).filter(element => !children.includes(element));
+  }
+  _addAriaAndCollapsedClass(triggerArray, isOpen) {
+    if (!triggerArray.length) {
+      return;
+    }
+    for (const element of triggerArray) {
+      element.classList.toggle(CLASS_NAME_COLLAPSED, !isOpen);
+      element.setAttribute('aria-expanded', isOpen);
+    }
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    const _config = {};
+    if (typeof config === 'string' && /show|hide/.test(config)) {
+      _config.toggle = false;
+    }
+    return this.each(function () {
+      const data = Collapse.getOrCreateInstance(this, _config);
+      if (typeof config === 'string') {
+        if (typeof data[config] === 'undefined') {
+          throw new TypeError(`No method named "${config}"`);
+        }
+        data[config]();
+      }
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+EventHandler.on(document, EVENT_CLICK_DATA_API$4, SELECTOR_DATA_TOGGLE$4, function (event) {
+  // preventDefault only for <a> elements (which change the URL) not inside the collapsible element
+  if (event.target.tagName === 'A' || event.delegateTarget && event.delegateTarget.tagName === 'A') {
+    event.preventDefault();
+  }
+  for (const element of SelectorEngine.getMultipleElementsFromSelector(this)) {
+    Collapse.getOrCreateInstance(element, {
+      toggle: false
+    }).toggle();
+  }
+});
+onDOMContentLoaded(() => {
+  for (const element of SelectorEngine.find(SELECTOR_DATA_PERSIST)) {
+    Collapse.getOrCreateInstance(element, {
+      toggle: false
+    });
+  }
+});
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Collapse);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/virtual-list.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$l = 'virtualList';
+const EVENT_SCROLL$1 = `scroll.bs.${NAME$l}`;
+const Default$i = {
+  itemHeight: 32,
+  items: [],
+  overscan: 3,
+  renderItem: null,
+  visibleItems: 10
+};
+const DefaultType$i = {
+  itemHeight: 'number',
+  items: 'array',
+  overscan: 'number',
+  renderItem: 'function',
+  visibleItems: 'number'
+};
+
+/**
+ * Class definition
+ */
+
+class VirtualList extends Config {
+  constructor(element, config) {
+    super();
+    this._element = element;
+    this._config = this._getConfig(config);
+    this._items = this._config.items;
+    this._start = 0;
+    this._end = 0;
+    this._rendered = new Map();
+    this._before = this._createSpacer();
+    this._after = this._createSpacer();
+    this._element.style.maxHeight = `${this._config.itemHeight * this._config.visibleItems}px`;
+    this._element.style.overflowY = 'auto';
+    EventHandler.on(this._element, EVENT_SCROLL$1, () => this._render());
+    this._render(true);
+  }
+
+  // Getters
+  static get Default() {
+    return Default$i;
+  }
+  static get DefaultType() {
+    return DefaultType$i;
+  }
+  static get NAME() {
+    return NAME$l;
+  }
+
+  // Public
+  getItems() {
+    return this._items;
+  }
+  setItems(items) {
+    this._items = items;
+    this._element.scrollTop = 0;
+    this._render(true);
+  }
+  refresh() {
+    this._render(true);
+  }
+
+  // Scrolls the item into the rendered window and returns its element
+  scrollToIndex(index) {
+    const {
+      itemHeight,
+      visibleItems
+    } = this._config;
+    const top = index * itemHeight;
+    const viewportHeight = this._element.clientHeight || itemHeight * visibleItems;
+    let {
+      scrollTop
+    } = this._element;
+    if (top < scrollTop) {
+      scrollTop = top;
+    } else if (top + itemHeight > scrollTop + viewportHeight) {
+      scrollTop = top + itemHeight - viewportHeight;
+    }
+
+    // render for the target position right away, the scroll event may only follow later
+    this._render(false, scrollTop);
+    this._element.scrollTop = scrollTop;
+    return this._rendered.get(index) || null;
+  }
+  dispose() {
+    EventHandler.off(this._element, EVENT_SCROLL$1);
+    this._element.replaceChildren();
+    this._element.style.maxHeight = '';
+    this._element.style.overflowY = '';
+    this._rendered.clear();
+  }
+
+  // Private
+  _createSpacer() {
+    const spacer = document.createElement('li');
+    spacer.setAttribute('role', 'presentation');
+    spacer.setAttribute('aria-hidden', 'true');
+    return spacer;
+  }
+  _render(force = false, scrollTop = this._element.scrollTop) {
+    const {
+      itemHeight,
+      overscan,
+      visibleItems
+    } = this._config;
+    const start = Math.max(0, Math.min(Math.floor(scrollTop / itemHeight), this._items.length - visibleItems) - overscan);
+    const end = Math.min(this._items.length, start + visibleItems + overscan * 2);
+    if (!force && start === this._start && end === this._end) {
+      return;
+    }
+    this._start = start;
+    this._end = end;
+    this._rendered.clear();
+    for (let index = start; index < end; index++) {
+      const element = this._config.renderItem(this._items[index], index);
+      // the set size and position describe the full dataset, not the rendered window
+      element.setAttribute('aria-setsize', this._items.length);
+      element.setAttribute('aria-posinset', index + 1);
+      element.setAttribute('data-bs-index', index);
+      element.style.height = `${itemHeight}px`;
+      this._rendered.set(index, element);
+    }
+    this._before.style.height = `${start * itemHeight}px`;
+    this._after.style.height = `${(this._items.length - end) * itemHeight}px`;
+    this._element.replaceChildren(this._before, ...this._rendered.values(), this._after);
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap dropdown.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$a = 'dropdown';
+const DATA_KEY$6 = 'bs.dropdown';
+const EVENT_KEY$6 = `.${DATA_KEY$6}`;
+const DATA_API_KEY$3 = '.data-api';
+const ESCAPE_KEY$2 = 'Escape';
+const TAB_KEY$1 = 'Tab';
+const ARROW_UP_KEY$1 = 'ArrowUp';
+const ARROW_DOWN_KEY$1 = 'ArrowDown';
+const SUBMENU_OPEN_KEY = isRTL() ? 'ArrowLeft' : 'ArrowRight';
+const SUBMENU_CLOSE_KEY = isRTL() ? 'ArrowRight' : 'ArrowLeft';
+const HOME_KEY$1 = 'Home';
+const END_KEY$1 = 'End';
+const PAGE_UP_KEY = 'PageUp';
+const PAGE_DOWN_KEY = 'PageDown';
+const SPACE_KEY = ' ';
+const CONTEXT_MENU_KEY = 'ContextMenu';
+const F10_KEY = 'F10';
+const TYPEAHEAD_TIMEOUT = 500;
+const PAGE_SIZE_FALLBACK = 10;
+const RIGHT_MOUSE_BUTTON = 2; // MouseEvent.button value for the secondary button, usually the right button
+
+const EVENT_HIDE$5 = `hide${EVENT_KEY$6}`;
+const EVENT_HIDDEN$5 = `hidden${EVENT_KEY$6}`;
+const EVENT_SHOW$5 = `show${EVENT_KEY$6}`;
+const EVENT_SHOWN$5 = `shown${EVENT_KEY$6}`;
+const EVENT_CLICK_DATA_API$3 = `click${EVENT_KEY$6}${DATA_API_KEY$3}`;
+const EVENT_KEYDOWN_DATA_API = `keydown${EVENT_KEY$6}${DATA_API_KEY$3}`;
+const EVENT_KEYUP_DATA_API = `keyup${EVENT_KEY$6}${DATA_API_KEY$3}`;
+const EVENT_MOUSEENTER_DATA_API = `mouseenter${EVENT_KEY$6}${DATA_API_KEY$3}`;
+const EVENT_CONTEXTMENU_DATA_API = `contextmenu${EVENT_KEY$6}${DATA_API_KEY$3}`;
+const EVENT_SELECTED$1 = `selected${EVENT_KEY$6}`;
+const EVENT_CLICK_ITEM = `click${EVENT_KEY$6}`;
+const EVENT_KEYDOWN_ITEM = `keydown${EVENT_KEY$6}`;
+const ENTER_KEY$3 = 'Enter';
+const CLASS_NAME_DROPDOWN_ITEM$1 = 'dropdown-item';
+const SELECTOR_VIRTUAL_ITEM = '[data-bs-index]';
+const CLASS_NAME_SHOW$6 = 'show';
+const CLASS_NAME_DROPUP = 'dropup';
+const CLASS_NAME_DROPEND = 'dropend';
+const CLASS_NAME_DROPSTART = 'dropstart';
+const CLASS_NAME_DROPUP_CENTER = 'dropup-center';
+const CLASS_NAME_DROPDOWN_CENTER = 'dropdown-center';
+const SELECTOR_DATA_TOGGLE$3 = '[data-bs-toggle="dropdown"]:not(.disabled):not(:disabled)';
+const SELECTOR_DATA_CONTEXT_TOGGLE = '[data-bs-toggle="contextmenu"]';
+const SELECTOR_ANY_TOGGLE = `${SELECTOR_DATA_TOGGLE$3},${SELECTOR_DATA_CONTEXT_TOGGLE}`;
+const SELECTOR_DATA_COMBOBOX_TOGGLE = '[data-bs-toggle="combobox"]';
+const SELECTOR_DATA_TOGGLE_SHOWN = `${SELECTOR_DATA_TOGGLE$3}.${CLASS_NAME_SHOW$6},${SELECTOR_DATA_CONTEXT_TOGGLE}.${CLASS_NAME_SHOW$6},${SELECTOR_DATA_COMBOBOX_TOGGLE}.${CLASS_NAME_SHOW$6}`;
+const SELECTOR_MENU = '.dropdown-menu';
+const SELECTOR_NAVBAR = '.navbar';
+const SELECTOR_NAVBAR_NAV = '.navbar-nav';
+const SELECTOR_VISIBLE_ITEMS = '.dropdown-menu .dropdown-item:not(.disabled):not(:disabled)';
+const SELECTOR_MENU_ITEM = '.dropdown-menu .dropdown-item';
+const PLACEMENT_TOP = isRTL() ? 'top-end' : 'top-start';
+const PLACEMENT_TOPEND = isRTL() ? 'top-start' : 'top-end';
+const PLACEMENT_BOTTOM = isRTL() ? 'bottom-end' : 'bottom-start';
+const PLACEMENT_BOTTOMEND = isRTL() ? 'bottom-start' : 'bottom-end';
+const PLACEMENT_RIGHT = isRTL() ? 'left-start' : 'right-start';
+const PLACEMENT_LEFT = isRTL() ? 'right-start' : 'left-start';
+const PLACEMENT_TOPCENTER = 'top';
+const PLACEMENT_BOTTOMCENTER = 'bottom';
+const Default$9 = {
+  autoClose: true,
+  boundary: 'clippingParents',
+  display: 'dynamic',
+  itemHeight: 32,
+  items: null,
+  offset: [0, 2],
+  popperConfig: null,
+  reference: 'toggle',
+  renderItem: null,
+  selector: false,
+  visibleItems: 10
+};
+const DefaultType$9 = {
+  autoClose: '(boolean|string)',
+  boundary: '(string|element)',
+  display: 'string',
+  itemHeight: 'number',
+  items: '(null|array)',
+  offset: '(array|string|function)',
+  popperConfig: '(null|object|function)',
+  reference: '(string|element|object)',
+  renderItem: '(null|function)',
+  selector: '(string|boolean)',
+  visibleItems: 'number'
+};
+
+/**
+ * Class definition
+ */
+
+class Dropdown extends BaseComponent {
+  constructor(element, config) {
+    super(element, config);
+    this._popper = null;
+    this._parent = this._element.parentNode; // dropdown wrapper
+    // TODO: v6 revert #37011 & change markup https://getbootstrap.com/docs/5.3/forms/input-group/
+    this._menu = SelectorEngine.next(this._element, SELECTOR_MENU)[0] || SelectorEngine.prev(this._element, SELECTOR_MENU)[0] || SelectorEngine.findOne(SELECTOR_MENU, this._parent);
+    this._inNavbar = this._detectNavbar();
+    this._parentMenu = this._parent.closest(SELECTOR_MENU); // set when this is a submenu
+    this._virtualReference = null; // set while opened as a context menu
+    this._contextTarget = null;
+    this._typeaheadBuffer = '';
+    this._typeaheadTimeout = null;
+    this._virtualList = this._config.items ? this._createVirtualList() : null; // renders only the visible window of `items`
+  }
+
+  // Getters
+  static get Default() {
+    return Default$9;
+  }
+  static get DefaultType() {
+    return DefaultType$9;
+  }
+  static get NAME() {
+    return NAME$a;
+  }
+
+  // Public
+  toggle() {
+    return this._isShown() ? this.hide() : this.show();
+  }
+  showAt(x, y, relatedTarget = this._element) {
+    if (this._isShown()) {
+      this.hide();
+      if (this._isShown()) {
+        return;
+      }
+    }
+    const rect = {
+      x,
+      y,
+      top: y,
+      right: x,
+      bottom: y,
+      left: x,
+      width: 0,
+      height: 0
+    };
+    this._virtualReference = {
+      getBoundingClientRect: () => rect,
+      contextElement: relatedTarget
+    };
+    this._contextTarget = relatedTarget;
+    this.show();
+    if (!this._isShown()) {
+      this._virtualReference = null;
+      this._contextTarget = null;
+    }
+  }
+  show() {
+    if (isDisabled(this._element) || this._isShown()) {
+      return;
+    }
+    const relatedTarget = {
+      relatedTarget: this._contextTarget || this._element
+    };
+    const showEvent = EventHandler.trigger(this._element, EVENT_SHOW$5, relatedTarget);
+    if (showEvent.defaultPrevented) {
+      return;
+    }
+    if (this._parentMenu) {
+      for (const sibling of this._getOpenSubmenus(this._parentMenu)) {
+        sibling.hide();
+      }
+    }
+    this._createPopper();
+
+    // If this is a touch-enabled device we add extra
+    // empty mouseover listeners to the body's immediate children;
+    // only needed because of broken event delegation on iOS
+    // https://www.quirksmode.org/blog/archives/2014/02/mouse_event_bub.html
+    if ('ontouchstart' in document.documentElement && !this._parent.closest(SELECTOR_NAVBAR_NAV)) {
+      for (const element of [].concat(...document.body.children)) {
+        EventHandler.on(element, 'mouseover', noop);
+      }
+    }
+    if (!this._virtualReference) {
+      this._element.focus();
+    }
+    this._element.setAttribute('aria-expanded', true);
+    this._menu.classList.add(CLASS_NAME_SHOW$6);
+    this._element.classList.add(CLASS_NAME_SHOW$6);
+    if (this._virtualReference) {
+      // a context menu has no toggle to keep the focus, so it moves into the menu
+      this._selectMenuItem({
+        key: HOME_KEY$1
+      });
+    }
+    EventHandler.trigger(this._element, EVENT_SHOWN$5, relatedTarget);
+  }
+  hide() {
+    if (isDisabled(this._element) || !this._isShown()) {
+      return;
+    }
+    const relatedTarget = {
+      relatedTarget: this._contextTarget || this._element
+    };
+    this._completeHide(relatedTarget);
+  }
+  setItems(items) {
+    if (this._virtualList) {
+      this._virtualList.setItems(items);
+      return;
+    }
+    this._config.items = items;
+    this._virtualList = this._createVirtualList();
+  }
+  dispose() {
+    clearTimeout(this._typeaheadTimeout);
+    if (this._popper) {
+      this._popper.destroy();
+    }
+    if (this._virtualList) {
+      EventHandler.off(this._menu, EVENT_KEY$6);
+      this._virtualList.dispose();
+    }
+    super.dispose();
+  }
+  update() {
+    this._inNavbar = this._detectNavbar();
+    if (this._popper) {
+      this._popper.update();
+    }
+  }
+
+  // Private
+  _completeHide(relatedTarget) {
+    const hideEvent = EventHandler.trigger(this._element, EVENT_HIDE$5, relatedTarget);
+    if (hideEvent.defaultPrevented) {
+      return;
+    }
+    for (const submenu of this._getOpenSubmenus()) {
+      submenu.hide();
+    }
+
+    // If this is a touch-enabled device we remove the extra
+    // empty mouseover listeners we added for iOS support
+    if ('ontouchstart' in document.documentElement) {
+      for (const element of [].concat(...document.body.children)) {
+        EventHandler.off(element, 'mouseover', noop);
+      }
+    }
+    if (this._popper) {
+      this._popper.destroy();
+    }
+    this._menu.classList.remove(CLASS_NAME_SHOW$6);
+    this._element.classList.remove(CLASS_NAME_SHOW$6);
+    this._element.setAttribute('aria-expanded', 'false');
+    Manipulator.removeDataAttribute(this._menu, 'popper');
+    this._virtualReference = null;
+    this._contextTarget = null;
+    EventHandler.trigger(this._element, EVENT_HIDDEN$5, relatedTarget);
+  }
+  _getConfig(config) {
+    config = super._getConfig(config);
+    if (typeof config.reference === 'object' && !isElement(config.reference) && typeof config.reference.getBoundingClientRect !== 'function') {
+      // Popper virtual elements require a getBoundingClientRect method
+      throw new TypeError(`${NAME$a.toUpperCase()}: Option "reference" provided type "object" without a required "getBoundingClientRect" method.`);
+    }
+    return config;
+  }
+  _createPopper() {
+    if (typeof Popper === 'undefined') {
+      throw new TypeError('Bootstrap\'s dropdowns require Popper (https://popper.js.org)');
+    }
+    let referenceElement = this._element;
+    if (this._virtualReference) {
+      referenceElement = this._virtualReference;
+    } else if (this._config.reference === 'parent') {
+      referenceElement = this._parent;
+    } else if (isElement(this._config.reference)) {
+      referenceElement = getElement(this._config.reference);
+    } else if (typeof this._config.reference === 'object') {
+      referenceElement = this._config.reference;
+    }
+    const popperConfig = this._getPopperConfig();
+    this._popper = Popper.createPopper(referenceElement, this._menu, popperConfig);
+  }
+  _isShown() {
+    return this._menu.classList.contains(CLASS_NAME_SHOW$6);
+  }
+  _getPlacement() {
+    const parentDropdown = this._parent;
+    if (this._parentMenu || parentDropdown.classList.contains(CLASS_NAME_DROPEND)) {
+      return PLACEMENT_RIGHT;
+    }
+    if (parentDropdown.classList.contains(CLASS_NAME_DROPSTART)) {
+      return PLACEMENT_LEFT;
+    }
+    if (parentDropdown.classList.contains(CLASS_NAME_DROPUP_CENTER)) {
+      return PLACEMENT_TOPCENTER;
+    }
+    if (parentDropdown.classList.contains(CLASS_NAME_DROPDOWN_CENTER)) {
+      return PLACEMENT_BOTTOMCENTER;
+    }
+
+    // We need to trim the value because custom properties can also include spaces
+    const isEnd = getComputedStyle(this._menu).getPropertyValue('--bs-position').trim() === 'end';
+    if (parentDropdown.classList.contains(CLASS_NAME_DROPUP)) {
+      return isEnd ? PLACEMENT_TOPEND : PLACEMENT_TOP;
+    }
+    return isEnd ? PLACEMENT_BOTTOMEND : PLACEMENT_BOTTOM;
+  }
+  _detectNavbar() {
+    return this._element.closest(SELECTOR_NAVBAR) !== null;
+  }
+  _getOffset() {
+    const {
+      offset
+    } = this._config;
+    if (typeof offset === 'string') {
+      return offset.split(',').map(value => Number.parseInt(value, 10));
+    }
+    if (typeof offset === 'function') {
+      return popperData => offset(popperData, this._element);
+    }
+    return offset;
+  }
+  _getPopperConfig() {
+    const defaultBsPopperConfig = {
+      placement: this._getPlacement(),
+      modifiers: [{
+        name: 'preventOverflow',
+        options: {
+          boundary: this._config.boundary
+        }
+      }, {
+        name: 'offset',
+        options: {
+          offset: this._getOffset()
+        }
+      }]
+    };
+
+    // Submenus flip to the other side of their parent menu at the viewport edge
+    if (this._parentMenu) {
+      defaultBsPopperConfig.modifiers.push({
+        name: 'flip',
+        options: {
+          fallbackPlacements: [PLACEMENT_LEFT]
+        }
+      });
+    }
+
+    // Disable Popper if we have a static display or Dropdown is in Navbar
+    if (this._inNavbar && !this._parentMenu && !this._virtualReference || this._config.display === 'static') {
+      Manipulator.setDataAttribute(this._menu, 'popper', 'static'); // TODO: v6 remove
+      defaultBsPopperConfig.modifiers = [{
+        name: 'applyStyles',
+        enabled: false
+      }];
+    }
+    return {
+      ...defaultBsPopperConfig,
+      ...execute(this._config.popperConfig, [defaultBsPopperConfig])
+    };
+  }
+  _createVirtualList() {
+    const virtualList = new VirtualList(this._menu, {
+      itemHeight: this._config.itemHeight,
+      items: this._config.items,
+      renderItem: (item, index) => this._config.renderItem ? this._config.renderItem(item, index) : this._renderItem(item),
+      visibleItems: this._config.visibleItems
+    });
+    this._menu.setAttribute('role', 'menu');
+    EventHandler.on(this._menu, EVENT_CLICK_ITEM, SELECTOR_VIRTUAL_ITEM, event => {
+      const index = Number.parseInt(event.delegateTarget.getAttribute('data-bs-index'), 10);
+      EventHandler.trigger(this._element, EVENT_SELECTED$1, {
+        item: virtualList.getItems()[index],
+        index
+      });
+    });
+
+    // rendered items aren't links or buttons, so they are activated from the keyboard here
+    EventHandler.on(this._menu, EVENT_KEYDOWN_ITEM, SELECTOR_VIRTUAL_ITEM, event => {
+      if (event.key === ENTER_KEY$3 || event.key === SPACE_KEY && !this._typeaheadBuffer) {
+        event.preventDefault();
+        event.delegateTarget.click();
+      }
+    });
+    return virtualList;
+  }
+  _renderItem(item) {
+    const element = document.createElement('li');
+    element.className = CLASS_NAME_DROPDOWN_ITEM$1;
+    element.setAttribute('role', 'menuitem');
+    element.tabIndex = -1;
+    element.textContent = this._getItemLabel(item);
+    return element;
+  }
+  _getItemLabel(item) {
+    return typeof item === 'object' && item !== null ? String(item.label) : String(item);
+  }
+  _getVirtualIndex(target) {
+    const element = target && this._menu.contains(target) ? target.closest(SELECTOR_VIRTUAL_ITEM) : null;
+    return element ? Number.parseInt(element.getAttribute('data-bs-index'), 10) : -1;
+  }
+  _selectVirtualItem(key, target) {
+    const count = this._virtualList.getItems().length;
+    if (!count) {
+      return;
+    }
+    const index = this._getVirtualIndex(target);
+    const pageSize = this._config.visibleItems;
+    const nextIndexes = {
+      [HOME_KEY$1]: 0,
+      [END_KEY$1]: count - 1,
+      [PAGE_UP_KEY]: Math.max(index - pageSize, 0),
+      [PAGE_DOWN_KEY]: Math.min(index + pageSize, count - 1),
+      [ARROW_UP_KEY$1]: index === -1 ? count - 1 : Math.max(index - 1, 0),
+      [ARROW_DOWN_KEY$1]: Math.min(index + 1, count - 1)
+    };
+    this._virtualList.scrollToIndex(nextIndexes[key]).focus();
+  }
+  _getMenuItems() {
+    return SelectorEngine.find(SELECTOR_VISIBLE_ITEMS, this._menu).filter(element => element.closest(SELECTOR_MENU) === this._menu && isVisible(element));
+  }
+  _getOpenSubmenus(menu = this._menu) {
+    return SelectorEngine.find(SELECTOR_DATA_TOGGLE_SHOWN, menu).filter(toggle => toggle.parentNode.closest(SELECTOR_MENU) === menu).map(toggle => Dropdown.getInstance(toggle)).filter(Boolean);
+  }
+  _getContextTarget(target) {
+    if (this._menu.contains(target)) {
+      return null;
+    }
+    if (!this._config.selector) {
+      return this._element;
+    }
+    const contextTarget = target.closest(this._config.selector);
+    return contextTarget && this._element.contains(contextTarget) ? contextTarget : null;
+  }
+  _isClosingEvent(event) {
+    if (this._config.autoClose === false) {
+      return false;
+    }
+
+    // Right clicks only close context menus, unless made within their own area or menu,
+    // while other clicks within the area of a context menu do close it
+    const composedPath = event.composedPath();
+    if (event.type === 'contextmenu' && (!this._virtualReference || composedPath.includes(this._element) || composedPath.includes(this._menu))) {
+      return false;
+    }
+    if (composedPath.includes(this._element) && !this._virtualReference) {
+      return false;
+    }
+
+    // Toggling a submenu never closes its parents and events within an open submenu
+    // only close them if they close the submenu as well
+    const submenu = this._getOpenSubmenus().find(instance => composedPath.includes(instance._menu) || composedPath.includes(instance._element));
+    if (submenu) {
+      return submenu._isClosingEvent(event);
+    }
+    const submenuToggle = event.target.closest && event.target.closest(SELECTOR_DATA_TOGGLE$3);
+    if (submenuToggle && this._menu.contains(submenuToggle)) {
+      return false;
+    }
+    const isMenuTarget = composedPath.includes(this._menu);
+    if (this._config.autoClose === 'inside' && !isMenuTarget || this._config.autoClose === 'outside' && isMenuTarget) {
+      return false;
+    }
+
+    // Tab navigation through the dropdown menu or events from contained inputs shouldn't close the menu
+    return !(this._menu.contains(event.target) && (event.type === 'keyup' && event.key === TAB_KEY$1 || /input|select|option|textarea|form/i.test(event.target.tagName)));
+  }
+  _getPageSize(items) {
+    const itemHeight = items[0].offsetHeight;
+    if (!itemHeight || !this._menu.clientHeight) {
+      return PAGE_SIZE_FALLBACK;
+    }
+    return Math.max(1, Math.floor(this._menu.clientHeight / itemHeight));
+  }
+  _selectMenuItem({
+    key,
+    target
+  }) {
+    if (this._virtualList) {
+      this._selectVirtualItem(key, target);
+      return;
+    }
+    const items = this._getMenuItems();
+    if (!items.length) {
+      return;
+    }
+    if ([HOME_KEY$1, END_KEY$1].includes(key)) {
+      items[key === HOME_KEY$1 ? 0 : items.length - 1].focus();
+      return;
+    }
+    if ([PAGE_UP_KEY, PAGE_DOWN_KEY].includes(key)) {
+      const index = items.indexOf(target);
+      const pageSize = this._getPageSize(items);
+      const nextIndex = key === PAGE_DOWN_KEY ? Math.min(index + pageSize, items.length - 1) : Math.max(index - pageSize, 0);
+      items[nextIndex].focus();
+      return;
+    }
+
+    // if target isn't included in items (e.g. when expanding the dropdown)
+    // allow cycling to get the last item in case key equals ARROW_UP_KEY
+    getNextActiveElement(items, target, key === ARROW_DOWN_KEY$1, !items.includes(target)).focus();
+  }
+  _typeahead(character, target) {
+    clearTimeout(this._typeaheadTimeout);
+    this._typeaheadTimeout = setTimeout(() => {
+      this._typeaheadBuffer = '';
+    }, TYPEAHEAD_TIMEOUT);
+    this._typeaheadBuffer += character.toLowerCase();
+    const buffer = this._typeaheadBuffer;
+    const items = this._virtualList ? this._virtualList.getItems() : this._getMenuItems();
+    const labels = items.map(item => (this._virtualList ? this._getItemLabel(item) : item.textContent).trim().toLowerCase());
+    const index = this._virtualList ? this._getVirtualIndex(target) : items.indexOf(target);
+
+    // repeating a single character cycles through the items starting with it,
+    // while a longer prefix keeps the current item as long as it still matches
+    const isRepeated = [...buffer].every(char => char === buffer[0]);
+    const prefix = isRepeated ? buffer[0] : buffer;
+    const start = isRepeated ? index + 1 : Math.max(index, 0);
+    const indexes = [...labels.keys()];
+    const match = [...indexes.slice(start), ...indexes.slice(0, start)].find(candidate => labels[candidate].startsWith(prefix));
+    if (match === undefined) {
+      return;
+    }
+    const element = this._virtualList ? this._virtualList.scrollToIndex(match) : items[match];
+    element.focus();
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = Dropdown.getOrCreateInstance(this, config);
+      if (typeof config !== 'string') {
+        return;
+      }
+      if (typeof data[config] === 'undefined') {
+        throw new TypeError(`No method named "${config}"`);
+      }
+      data[config]();
+    });
+  }
+  static clearMenus(event) {
+    if (event.button === RIGHT_MOUSE_BUTTON && event.type !== 'contextmenu' || event.type === 'keyup' && event.key !== TAB_KEY$1) {
+      return;
+    }
+    const openToggles = SelectorEngine.find(SELECTOR_DATA_TOGGLE_SHOWN);
+    for (const toggle of openToggles) {
+      const context = Dropdown.getInstance(toggle);
+      // submenus may already have been closed along with their parent
+      if (!context || !context._isShown() || !context._isClosingEvent(event)) {
+        continue;
+      }
+      const relatedTarget = {
+        relatedTarget: context._element
+      };
+      if (event.type === 'click') {
+        relatedTarget.clickEvent = event;
+      }
+      context._completeHide(relatedTarget);
+    }
+  }
+  static dataApiKeydownHandler(event) {
+    // If not an UP | DOWN | ESCAPE | navigation | submenu | printable key => not a dropdown command
+    // If input/textarea && if key is other than ESCAPE => not a dropdown command
+
+    const isInput = /input|textarea/i.test(event.target.tagName);
+    const isEscapeEvent = event.key === ESCAPE_KEY$2;
+    const isUpOrDownEvent = [ARROW_UP_KEY$1, ARROW_DOWN_KEY$1].includes(event.key);
+    const isJumpEvent = [HOME_KEY$1, END_KEY$1, PAGE_UP_KEY, PAGE_DOWN_KEY].includes(event.key);
+    const isSubmenuEvent = [SUBMENU_OPEN_KEY, SUBMENU_CLOSE_KEY].includes(event.key);
+    const isTypeaheadEvent = typeof event.key === 'string' && event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey;
+    if (!isUpOrDownEvent && !isEscapeEvent && !isJumpEvent && !isTypeaheadEvent && !isSubmenuEvent) {
+      return;
+    }
+    if (isInput && !isEscapeEvent) {
+      return;
+    }
+
+    // TODO: v6 revert #37011 & change markup https://getbootstrap.com/docs/5.3/forms/input-group/
+    const getToggleButton = this.matches(SELECTOR_DATA_TOGGLE$3) ? this : SelectorEngine.prev(this, SELECTOR_ANY_TOGGLE)[0] || SelectorEngine.next(this, SELECTOR_ANY_TOGGLE)[0] || SelectorEngine.findOne(SELECTOR_ANY_TOGGLE, event.delegateTarget.parentNode);
+    const instance = Dropdown.getOrCreateInstance(getToggleButton);
+
+    // A submenu toggle is an item of its parent menu as well: it only handles the key opening the submenu,
+    // the parent menu handles everything else
+    const isOwnToggle = this === getToggleButton;
+    if (isSubmenuEvent || isOwnToggle && instance._parentMenu) {
+      if (instance._parentMenu && (isOwnToggle ? event.key === SUBMENU_OPEN_KEY : event.key === SUBMENU_CLOSE_KEY)) {
+        event.preventDefault();
+        event.stopPropagation();
+        if (isOwnToggle) {
+          instance.show();
+          instance._selectMenuItem({
+            key: HOME_KEY$1
+          });
+        } else {
+          instance.hide();
+          getToggleButton.focus();
+        }
+      }
+      return;
+    }
+    if (isJumpEvent || isTypeaheadEvent) {
+      // these keys keep their usual meaning (scrolling, activating the toggle) unless the menu is open,
+      // and space only continues a typeahead search that is already in progress
+      if (!instance._isShown() || event.key === SPACE_KEY && !instance._typeaheadBuffer) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      if (isJumpEvent) {
+        instance._selectMenuItem(event);
+      } else {
+        instance._typeahead(event.key, event.target);
+      }
+      return;
+    }
+    event.preventDefault();
+    if (isUpOrDownEvent) {
+      event.stopPropagation();
+      instance.show();
+      instance._selectMenuItem(event);
+      return;
+    }
+    if (instance._isShown()) {
+      // else is escape and we check if it is shown
+      event.stopPropagation();
+      const returnFocusTo = instance._contextTarget || getToggleButton;
+      instance.hide();
+      returnFocusTo.focus();
+    }
+  }
+  static dataApiContextMenuHandler(event) {
+    const isKeyboardEvent = event.type === 'keydown';
+    if (isKeyboardEvent && !(event.key === CONTEXT_MENU_KEY || event.key === F10_KEY && event.shiftKey)) {
+      return;
+    }
+    const instance = Dropdown.getOrCreateInstance(this);
+    const target = instance._getContextTarget(event.target);
+    if (!target || isDisabled(this)) {
+      return;
+    }
+    event.preventDefault();
+    if (!isKeyboardEvent) {
+      instance.showAt(event.clientX, event.clientY, target);
+      return;
+    }
+    const rect = target.getBoundingClientRect();
+    instance.showAt(isRTL() ? rect.right : rect.left, rect.bottom, target);
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+EventHandler.on(document, EVENT_KEYDOWN_DATA_API, SELECTOR_DATA_TOGGLE$3, Dropdown.dataApiKeydownHandler);
+EventHandler.on(document, EVENT_KEYDOWN_DATA_API, SELECTOR_MENU, Dropdown.dataApiKeydownHandler);
+EventHandler.on(document, EVENT_CLICK_DATA_API$3, Dropdown.clearMenus);
+EventHandler.on(document, EVENT_KEYUP_DATA_API, Dropdown.clearMenus);
+EventHandler.on(document, EVENT_CONTEXTMENU_DATA_API, Dropdown.clearMenus);
+EventHandler.on(document, EVENT_CONTEXTMENU_DATA_API, SELECTOR_DATA_CONTEXT_TOGGLE, Dropdown.dataApiContextMenuHandler);
+EventHandler.on(document, EVENT_KEYDOWN_DATA_API, SELECTOR_DATA_CONTEXT_TOGGLE, Dropdown.dataApiContextMenuHandler);
+EventHandler.on(document, EVENT_CONTEXTMENU_DATA_API, SELECTOR_MENU, function (event) {
+  // keyboard triggered context menu events target the focused item of an open context menu
+  const isContextMenu = SelectorEngine.find(SELECTOR_DATA_TOGGLE_SHOWN).some(toggle => {
+    const instance = Dropdown.getInstance(toggle);
+    return instance && instance._virtualReference && instance._menu === this;
+  });
+  if (isContextMenu) {
+    event.preventDefault();
+  }
+});
+EventHandler.on(document, EVENT_CLICK_DATA_API$3, SELECTOR_DATA_TOGGLE$3, function (event) {
+  event.preventDefault();
+  Dropdown.getOrCreateInstance(this).toggle();
+});
+EventHandler.on(document, EVENT_MOUSEENTER_DATA_API, SELECTOR_MENU_ITEM, function () {
+  // Hovering an item of an open menu opens its submenu and closes the submenus of its siblings
+  const menu = this.closest(SELECTOR_MENU);
+  if (!menu.classList.contains(CLASS_NAME_SHOW$6)) {
+    return;
+  }
+  const isSubmenuToggle = this.matches(SELECTOR_DATA_TOGGLE$3);
+  for (const toggle of SelectorEngine.find(SELECTOR_DATA_TOGGLE_SHOWN, menu)) {
+    const submenu = Dropdown.getInstance(toggle);
+    if (submenu && toggle !== this && submenu._parentMenu === menu) {
+      submenu.hide();
+    }
+  }
+  if (isSubmenuToggle) {
+    Dropdown.getOrCreateInstance(this).show();
+  }
+});
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Dropdown);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/backdrop.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$9 = 'backdrop';
+const CLASS_NAME_FADE$4 = 'fade';
+const CLASS_NAME_SHOW$5 = 'show';
+const EVENT_MOUSEDOWN = `mousedown.bs.${NAME$9}`;
+const Default$8 = {
+  className: 'modal-backdrop',
+  clickCallback: null,
+  isAnimated: false,
+  isVisible: true,
+  // if false, we use the backdrop helper without adding any element to the dom
+  rootElement: 'body' // give the choice to place backdrop under different elements
+};
+const DefaultType$8 = {
+  className: 'string',
+  clickCallback: '(function|null)',
+  isAnimated: 'boolean',
+  isVisible: 'boolean',
+  rootElement: '(element|string)'
+};
+
+/**
+ * Class definition
+ */
+
+class Backdrop extends Config {
+  constructor(config) {
+    super();
+    this._config = this._getConfig(config);
+    this._isAppended = false;
+    this._element = null;
+    this._opacity = null;
+  }
+
+  // Getters
+  static get Default() {
+    return Default$8;
+  }
+  static get DefaultType() {
+    return DefaultType$8;
+  }
+  static get NAME() {
+    return NAME$9;
+  }
+
+  // Public
+  show(callback) {
+    if (!this._config.isVisible) {
+      execute(callback);
+      return;
+    }
+    this._append();
+    const element = this._getElement();
+    if (this._config.isAnimated) {
+      reflow(element);
+    }
+    element.classList.add(CLASS_NAME_SHOW$5);
+    this._emulateAnimation(() => {
+      execute(callback);
+    });
+  }
+  hide(callback) {
+    if (!this._config.isVisible) {
+      execute(callback);
+      return;
+    }
+    this._getElement().classList.remove(CLASS_NAME_SHOW$5);
+    this._emulateAnimation(() => {
+      this.dispose();
+      execute(callback);
+    });
+  }
+
+  // Fades the backdrop along with a drag of its component, `null` hands the opacity back to the stylesheet
+  track(progress) {
+    if (!this._config.isVisible) {
+      return;
+    }
+    const element = this._getElement();
+    if (progress === null) {
+      this._opacity = null;
+      element.style.transition = '';
+      element.style.opacity = '';
+      return;
+    }
+    this._append();
+    element.style.transition = 'none';
+    element.classList.add(CLASS_NAME_SHOW$5);
+    if (this._opacity === null) {
+      this._opacity = Number.parseFloat(getComputedStyle(element).opacity);
+    }
+    element.style.opacity = this._opacity * progress;
+  }
+  dispose() {
+    if (!this._isAppended) {
+      return;
+    }
+    EventHandler.off(this._element, EVENT_MOUSEDOWN);
+    this._element.remove();
+    this._isAppended = false;
+  }
+
+  // Private
+  _getElement() {
+    if (!this._element) {
+      const backdrop = document.createElement('div');
+      backdrop.className = this._config.className;
+      if (this._config.isAnimated) {
+        backdrop.classList.add(CLASS_NAME_FADE$4);
+      }
+      this._element = backdrop;
+    }
+    return this._element;
+  }
+  _configAfterMerge(config) {
+    // use getElement() with the default "body" to get a fresh Element on each instantiation
+    config.rootElement = getElement(config.rootElement);
+    return config;
+  }
+  _append() {
+    if (this._isAppended) {
+      return;
+    }
+    const element = this._getElement();
+    this._config.rootElement.append(element);
+    EventHandler.on(element, EVENT_MOUSEDOWN, () => {
+      execute(this._config.clickCallback);
+    });
+    this._isAppended = true;
+  }
+  _emulateAnimation(callback) {
+    executeAfterTransition(callback, this._getElement(), this._config.isAnimated);
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/focustrap.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$8 = 'focustrap';
+const DATA_KEY$5 = 'bs.focustrap';
+const EVENT_KEY$5 = `.${DATA_KEY$5}`;
+const EVENT_FOCUSIN$2 = `focusin${EVENT_KEY$5}`;
+const EVENT_KEYDOWN_TAB = `keydown.tab${EVENT_KEY$5}`;
+const TAB_KEY = 'Tab';
+const TAB_NAV_FORWARD = 'forward';
+const TAB_NAV_BACKWARD = 'backward';
+const Default$7 = {
+  autofocus: true,
+  trapElement: null // The element to trap focus inside of
+};
+const DefaultType$7 = {
+  autofocus: 'boolean',
+  trapElement: 'element'
+};
+
+/**
+ * Class definition
+ */
+
+class FocusTrap extends Config {
+  constructor(config) {
+    super();
+    this._config = this._getConfig(config);
+    this._isActive = false;
+    this._lastTabNavDirection = null;
+  }
+
+  // Getters
+  static get Default() {
+    return Default$7;
+  }
+  static get DefaultType() {
+    return DefaultType$7;
+  }
+  static get NAME() {
+    return NAME$8;
+  }
+
+  // Public
+  activate() {
+    if (this._isActive) {
+      return;
+    }
+    if (this._config.autofocus) {
+      this._config.trapElement.focus();
+    }
+    EventHandler.off(document, EVENT_KEY$5); // guard against infinite focus loop
+    EventHandler.on(document, EVENT_FOCUSIN$2, event => this._handleFocusin(event));
+    EventHandler.on(document, EVENT_KEYDOWN_TAB, event => this._handleKeydown(event));
+    this._isActive = true;
+  }
+  deactivate() {
+    if (!this._isActive) {
+      return;
+    }
+    this._isActive = false;
+    EventHandler.off(document, EVENT_KEY$5);
+  }
+
+  // Private
+  _handleFocusin(event) {
+    const {
+      trapElement
+    } = this._config;
+    if (event.target === document || event.target === trapElement || trapElement.contains(event.target)) {
+      return;
+    }
+    const elements = SelectorEngine.focusableChildren(trapElement);
+    if (elements.length === 0) {
+      trapElement.focus();
+    } else if (this._lastTabNavDirection === TAB_NAV_BACKWARD) {
+      elements[elements.length - 1].focus();
+    } else {
+      elements[0].focus();
+    }
+  }
+  _handleKeydown(event) {
+    if (event.key !== TAB_KEY) {
+      return;
+    }
+    this._lastTabNavDirection = event.shiftKey ? TAB_NAV_BACKWARD : TAB_NAV_FORWARD;
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/scrollBar.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const SELECTOR_FIXED_CONTENT = '.fixed-top, .fixed-bottom, .is-fixed, .sticky-top';
+const SELECTOR_STICKY_CONTENT = '.sticky-top';
+const PROPERTY_PADDING = 'padding-right';
+const PROPERTY_MARGIN = 'margin-right';
+
+/**
+ * Class definition
+ */
+
+class ScrollBarHelper {
+  constructor() {
+    this._element = document.body;
+  }
+
+  // Public
+  getWidth() {
+    // https://developer.mozilla.org/en-US/docs/Web/API/Window/innerWidth#usage_notes
+    const documentWidth = document.documentElement.clientWidth;
+    return Math.abs(window.innerWidth - documentWidth);
+  }
+  hide() {
+    const width = this.getWidth();
+    this._disableOverFlow();
+    // give padding to element to balance the hidden scrollbar width
+    this._setElementAttributes(this._element, PROPERTY_PADDING, calculatedValue => calculatedValue + width);
+    // trick: We adjust positive paddingRight and negative marginRight to sticky-top elements to keep showing fullwidth
+    this._setElementAttributes(SELECTOR_FIXED_CONTENT, PROPERTY_PADDING, calculatedValue => calculatedValue + width);
+    this._setElementAttributes(SELECTOR_STICKY_CONTENT, PROPERTY_MARGIN, calculatedValue => calculatedValue - width);
+  }
+  reset() {
+    this._resetElementAttributes(this._element, 'overflow');
+    this._resetElementAttributes(this._element, PROPERTY_PADDING);
+    this._resetElementAttributes(SELECTOR_FIXED_CONTENT, PROPERTY_PADDING);
+    this._resetElementAttributes(SELECTOR_STICKY_CONTENT, PROPERTY_MARGIN);
+  }
+  isOverflowing() {
+    return this.getWidth() > 0;
+  }
+
+  // Private
+  _disableOverFlow() {
+    this._saveInitialAttribute(this._element, 'overflow');
+    this._element.style.overflow = 'hidden';
+  }
+  _setElementAttributes(selector, styleProperty, callback) {
+    const scrollbarWidth = this.getWidth();
+    const manipulationCallBack = element => {
+      if (element !== this._element && window.innerWidth > element.clientWidth + scrollbarWidth) {
+        return;
+      }
+      this._saveInitialAttribute(element, styleProperty);
+      const calculatedValue = window.getComputedStyle(element).getPropertyValue(styleProperty);
+      element.style.setProperty(styleProperty, `${callback(Number.parseFloat(calculatedValue))}px`);
+    };
+    this._applyManipulationCallback(selector, manipulationCallBack);
+  }
+  _saveInitialAttribute(element, styleProperty) {
+    const actualValue = element.style.getPropertyValue(styleProperty);
+    if (actualValue) {
+      Manipulator.setDataAttribute(element, styleProperty, actualValue);
+    }
+  }
+  _resetElementAttributes(selector, styleProperty) {
+    const manipulationCallBack = element => {
+      const value = Manipulator.getDataAttribute(element, styleProperty);
+      // We only want to remove the property if the value is `null`; the value can also be zero
+      if (value === null) {
+        element.style.removeProperty(styleProperty);
+        return;
+      }
+      Manipulator.removeDataAttribute(element, styleProperty);
+      element.style.setProperty(styleProperty, value);
+    };
+    this._applyManipulationCallback(selector, manipulationCallBack);
+  }
+  _applyManipulationCallback(selector, callBack) {
+    if (isElement(selector)) {
+      callBack(selector);
+      return;
+    }
+    for (const sel of SelectorEngine.find(selector, this._element)) {
+      callBack(sel);
+    }
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap modal.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$7 = 'modal';
+const DATA_KEY$4 = 'bs.modal';
+const EVENT_KEY$4 = `.${DATA_KEY$4}`;
+const DATA_API_KEY$2 = '.data-api';
+const ESCAPE_KEY$1 = 'Escape';
+const EVENT_HIDE$4 = `hide${EVENT_KEY$4}`;
+const EVENT_HIDE_PREVENTED$1 = `hidePrevented${EVENT_KEY$4}`;
+const EVENT_HIDDEN$4 = `hidden${EVENT_KEY$4}`;
+const EVENT_SHOW$4 = `show${EVENT_KEY$4}`;
+const EVENT_SHOWN$4 = `shown${EVENT_KEY$4}`;
+const EVENT_RESIZE$1 = `resize${EVENT_KEY$4}`;
+const EVENT_CLICK_DISMISS = `click.dismiss${EVENT_KEY$4}`;
+const EVENT_MOUSEDOWN_DISMISS = `mousedown.dismiss${EVENT_KEY$4}`;
+const EVENT_KEYDOWN_DISMISS$1 = `keydown.dismiss${EVENT_KEY$4}`;
+const EVENT_CLICK_DATA_API$2 = `click${EVENT_KEY$4}${DATA_API_KEY$2}`;
+const CLASS_NAME_OPEN = 'modal-open';
+const CLASS_NAME_FADE$3 = 'fade';
+const CLASS_NAME_SHOW$4 = 'show';
+const CLASS_NAME_STATIC = 'modal-static';
+const SELECTOR_DIALOG = '.modal-dialog';
+const SELECTOR_MODAL_BODY = '.modal-body';
+const SELECTOR_DATA_TOGGLE$2 = '[data-bs-toggle="modal"]';
+const STACK_ZINDEX_STEP = 20;
+const STACK_ZINDEX_FALLBACK = 1055; // `--bs-modal-zindex`, the backdrop sits 5 below it
+const Default$6 = {
+  backdrop: true,
+  focus: true,
+  keyboard: true,
+  stack: false
+};
+const DefaultType$6 = {
+  backdrop: '(boolean|string)',
+  focus: 'boolean',
+  keyboard: 'boolean',
+  stack: 'boolean'
+};
+
+/**
+ * Modal stack, the last entry is the topmost open modal
+ */
+
+const modalStack = [];
+const ModalStack = {
+  push(modal) {
+    modalStack.push(modal);
+    return modalStack.length - 1;
+  },
+  remove(modal) {
+    const index = modalStack.indexOf(modal);
+    if (index !== -1) {
+      modalStack.splice(index, 1);
+    }
+  },
+  top() {
+    return modalStack[modalStack.length - 1] || null;
+  },
+  isTop(modal) {
+    return this.top() === modal;
+  },
+  size() {
+    return modalStack.length;
+  }
+};
+
+/**
+ * Class definition
+ */
+
+class Modal extends BaseComponent {
+  constructor(element, config) {
+    super(element, config);
+    this._dialog = SelectorEngine.findOne(SELECTOR_DIALOG, this._element);
+    this._backdrop = this._initializeBackDrop();
+    this._focustrap = this._initializeFocusTrap();
+    this._isShown = false;
+    this._isTransitioning = false;
+    this._scrollBar = new ScrollBarHelper();
+    this._previousActiveElement = null;
+    this._addEventListeners();
+  }
+
+  // Getters
+  static get Default() {
+    return Default$6;
+  }
+  static get DefaultType() {
+    return DefaultType$6;
+  }
+  static get NAME() {
+    return NAME$7;
+  }
+
+  // Public
+  toggle(relatedTarget) {
+    return this._isShown ? this.hide() : this.show(relatedTarget);
+  }
+  show(relatedTarget) {
+    if (this._isShown || this._isTransitioning) {
+      return;
+    }
+    const showEvent = EventHandler.trigger(this._element, EVENT_SHOW$4, {
+      relatedTarget
+    });
+    if (showEvent.defaultPrevented) {
+      return;
+    }
+    this._isShown = true;
+    this._isTransitioning = true;
+    this._pushToStack();
+    this._adjustDialog();
+    this._backdrop.show(() => this._showElement(relatedTarget));
+  }
+  hide() {
+    if (!this._isShown || this._isTransitioning) {
+      return;
+    }
+    const hideEvent = EventHandler.trigger(this._element, EVENT_HIDE$4);
+    if (hideEvent.defaultPrevented) {
+      return;
+    }
+    this._isShown = false;
+    this._isTransitioning = true;
+    this._focustrap.deactivate();
+    this._element.classList.remove(CLASS_NAME_SHOW$4);
+    this._queueCallback(() => this._hideModal(), this._element, this._isAnimated());
+  }
+  showAsync(relatedTarget) {
+    return this._transitionAsync(() => this.show(relatedTarget), EVENT_SHOW$4, EVENT_SHOWN$4, EVENT_HIDE$4);
+  }
+  hideAsync() {
+    return this._transitionAsync(() => this.hide(), EVENT_HIDE$4, EVENT_HIDDEN$4, EVENT_SHOW$4);
+  }
+  dispose() {
+    ModalStack.remove(this);
+    EventHandler.off(window, EVENT_KEY$4);
+    EventHandler.off(this._dialog, EVENT_KEY$4);
+    this._backdrop.dispose();
+    this._focustrap.deactivate();
+    super.dispose();
+  }
+  handleUpdate() {
+    this._adjustDialog();
+  }
+
+  // Private
+  _initializeBackDrop() {
+    return new Backdrop({
+      isVisible: Boolean(this._config.backdrop),
+      // 'static' option will be translated to true, and booleans will keep their value,
+      isAnimated: this._isAnimated()
+    });
+  }
+  _initializeFocusTrap() {
+    return new FocusTrap({
+      trapElement: this._element
+    });
+  }
+  _showElement(relatedTarget) {
+    // try to append dynamic modal
+    if (!document.body.contains(this._element)) {
+      document.body.append(this._element);
+    }
+    this._element.style.display = 'block';
+    this._element.removeAttribute('aria-hidden');
+    this._element.setAttribute('aria-modal', true);
+    this._element.setAttribute('role', 'dialog');
+    this._element.scrollTop = 0;
+    const modalBody = SelectorEngine.findOne(SELECTOR_MODAL_BODY, this._dialog);
+    if (modalBody) {
+      modalBody.scrollTop = 0;
+    }
+    reflow(this._element);
+    this._element.classList.add(CLASS_NAME_SHOW$4);
+    const transitionComplete = () => {
+      if (this._config.focus) {
+        this._focustrap.activate();
+      }
+      this._isTransitioning = false;
+      EventHandler.trigger(this._element, EVENT_SHOWN$4, {
+        relatedTarget
+      });
+    };
+    this._queueCallback(transitionComplete, this._dialog, this._isAnimated());
+  }
+  _addEventListeners() {
+    EventHandler.on(this._element, EVENT_KEYDOWN_DISMISS$1, event => {
+      // only the topmost modal reacts, the event may bubble up from a modal nested in this one
+      if (event.key !== ESCAPE_KEY$1 || !ModalStack.isTop(this)) {
+        return;
+      }
+      if (this._config.keyboard) {
+        this.hide();
+        return;
+      }
+      this._triggerBackdropTransition();
+    });
+    EventHandler.on(window, EVENT_RESIZE$1, () => {
+      if (this._isShown && !this._isTransitioning) {
+        this._adjustDialog();
+      }
+    });
+    EventHandler.on(this._element, EVENT_MOUSEDOWN_DISMISS, event => {
+      // a bad trick to segregate clicks that may start inside dialog but end outside, and avoid listen to scrollbar clicks
+      EventHandler.one(this._element, EVENT_CLICK_DISMISS, event2 => {
+        if (this._element !== event.target || this._element !== event2.target || !ModalStack.isTop(this)) {
+          return;
+        }
+        if (this._config.backdrop === 'static') {
+          this._triggerBackdropTransition();
+          return;
+        }
+        if (this._config.backdrop) {
+          this.hide();
+        }
+      });
+    });
+  }
+  _hideModal() {
+    this._element.style.display = 'none';
+    this._element.setAttribute('aria-hidden', true);
+    this._element.removeAttribute('aria-modal');
+    this._element.removeAttribute('role');
+    this._isTransitioning = false;
+    this._backdrop.hide(() => {
+      this._resetAdjustments();
+      this._popFromStack();
+      EventHandler.trigger(this._element, EVENT_HIDDEN$4);
+    });
+  }
+  _pushToStack() {
+    const previousModal = ModalStack.top();
+    const level = ModalStack.push(this);
+    if (!previousModal) {
+      this._scrollBar.hide();
+      document.body.classList.add(CLASS_NAME_OPEN);
+      return;
+    }
+
+    // the previous modal gets its focus trap back once this one is closed
+    this._previousActiveElement = document.activeElement;
+    previousModal._focustrap.deactivate();
+    const previousZIndex = Number.parseInt(getComputedStyle(previousModal._element).zIndex, 10) || STACK_ZINDEX_FALLBACK + (level - 1) * STACK_ZINDEX_STEP;
+    this._element.style.zIndex = previousZIndex + STACK_ZINDEX_STEP;
+    this._backdrop._getElement().style.zIndex = previousZIndex + STACK_ZINDEX_STEP / 2;
+  }
+  _popFromStack() {
+    ModalStack.remove(this);
+    this._element.style.zIndex = '';
+    this._backdrop._getElement().style.zIndex = '';
+    const previousModal = ModalStack.top();
+    if (!previousModal) {
+      document.body.classList.remove(CLASS_NAME_OPEN);
+      this._scrollBar.reset();
+      return;
+    }
+    if (previousModal._config.focus) {
+      previousModal._focustrap.activate();
+    }
+    if (this._previousActiveElement && previousModal._element.contains(this._previousActiveElement)) {
+      this._previousActiveElement.focus();
+    }
+    this._previousActiveElement = null;
+  }
+  _isAnimated() {
+    return this._element.classList.contains(CLASS_NAME_FADE$3);
+  }
+  _triggerBackdropTransition() {
+    const hideEvent = EventHandler.trigger(this._element, EVENT_HIDE_PREVENTED$1);
+    if (hideEvent.defaultPrevented) {
+      return;
+    }
+    const isModalOverflowing = this._element.scrollHeight > document.documentElement.clientHeight;
+    const initialOverflowY = this._element.style.overflowY;
+    // return if the following background transition hasn't yet completed
+    if (initialOverflowY === 'hidden' || this._element.classList.contains(CLASS_NAME_STATIC)) {
+      return;
+    }
+    if (!isModalOverflowing) {
+      this._element.style.overflowY = 'hidden';
+    }
+    this._element.classList.add(CLASS_NAME_STATIC);
+    this._queueCallback(() => {
+      this._element.classList.remove(CLASS_NAME_STATIC);
+      this._queueCallback(() => {
+        this._element.style.overflowY = initialOverflowY;
+      }, this._dialog);
+    }, this._dialog);
+    this._element.focus();
+  }
+
+  /**
+   * The following methods are used to handle overflowing modals
+   */
+
+  _adjustDialog() {
+    const isModalOverflowing = this._element.scrollHeight > document.documentElement.clientHeight;
+    const scrollbarWidth = this._scrollBar.getWidth();
+    const isBodyOverflowing = scrollbarWidth > 0;
+    if (isBodyOverflowing && !isModalOverflowing) {
+      const property = isRTL() ? 'paddingLeft' : 'paddingRight';
+      this._element.style[property] = `${scrollbarWidth}px`;
+    }
+    if (!isBodyOverflowing && isModalOverflowing) {
+      const property = isRTL() ? 'paddingRight' : 'paddingLeft';
+      this._element.style[property] = `${scrollbarWidth}px`;
+    }
+  }
+  _resetAdjustments() {
+    this._element.style.paddingLeft = '';
+    this._element.style.paddingRight = '';
+  }
+
+  // Static
+  static confirm(config) {
+    return new ModalDialog(config).open();
+  }
+  static prompt(config) {
+    return new ModalDialog({
+      ...config,
+      input: true
+    }).open();
+  }
+  static jQueryInterface(config, relatedTarget) {
+    return this.each(function () {
+      const data = Modal.getOrCreateInstance(this, config);
+      if (typeof config !== 'string') {
+        return;
+      }
+      if (typeof data[config] === 'undefined') {
+        throw new TypeError(`No method named "${config}"`);
+      }
+      data[config](relatedTarget);
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+EventHandler.on(document, EVENT_CLICK_DATA_API$2, SELECTOR_DATA_TOGGLE$2, function (event) {
+  const target = SelectorEngine.getElementFromSelector(this);
+  if (['A', 'AREA'].includes(this.tagName)) {
+    event.preventDefault();
+  }
+  EventHandler.one(target, EVENT_SHOW$4, showEvent => {
+    if (showEvent.defaultPrevented) {
+      // only register focus restorer if modal will actually get shown
+      return;
+    }
+    EventHandler.one(target, EVENT_HIDDEN$4, () => {
+      if (isVisible(this)) {
+        this.focus();
+      }
+    });
+  });
+
+  // avoid conflict when clicking modal toggler while another one is open,
+  // unless the new modal is set to stack on top of it
+  const data = Modal.getOrCreateInstance(target);
+  const alreadyOpen = ModalStack.top();
+  if (alreadyOpen && alreadyOpen !== data && !data._config.stack) {
+    alreadyOpen.hide();
+  }
+  data.toggle(this);
+});
+enableDismissTrigger(Modal);
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Modal);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap offcanvas.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$6 = 'offcanvas';
+const DATA_KEY$3 = 'bs.offcanvas';
+const EVENT_KEY$3 = `.${DATA_KEY$3}`;
+const DATA_API_KEY$1 = '.data-api';
+const EVENT_LOAD_DATA_API$2 = `load${EVENT_KEY$3}${DATA_API_KEY$1}`;
+const ESCAPE_KEY = 'Escape';
+const CLASS_NAME_SHOW$3 = 'show';
+const CLASS_NAME_SHOWING$1 = 'showing';
+const CLASS_NAME_HIDING = 'hiding';
+const CLASS_NAME_BACKDROP = 'offcanvas-backdrop';
+const CLASS_NAME_EDGE = 'offcanvas-edge';
+const PLACEMENTS = ['start', 'end', 'top', 'bottom'];
+const SWIPE_VELOCITY = 0.3; // px per millisecond, a faster flick settles the panel whatever the distance
+const EDGE_ZINDEX_OFFSET = 6; // the backdrop sits 5 below the panel, the edge strip goes just under it
+const OPEN_SELECTOR = '.offcanvas.show';
+const EVENT_SHOW$3 = `show${EVENT_KEY$3}`;
+const EVENT_SHOWN$3 = `shown${EVENT_KEY$3}`;
+const EVENT_HIDE$3 = `hide${EVENT_KEY$3}`;
+const EVENT_HIDE_PREVENTED = `hidePrevented${EVENT_KEY$3}`;
+const EVENT_HIDDEN$3 = `hidden${EVENT_KEY$3}`;
+const EVENT_RESIZE = `resize${EVENT_KEY$3}`;
+const EVENT_CLICK_DATA_API$1 = `click${EVENT_KEY$3}${DATA_API_KEY$1}`;
+const EVENT_KEYDOWN_DISMISS = `keydown.dismiss${EVENT_KEY$3}`;
+const SELECTOR_DATA_TOGGLE$1 = '[data-bs-toggle="offcanvas"]';
+const SELECTOR_DATA_EDGE_SWIPE = '.offcanvas[data-bs-edge-swipe]';
+const Default$5 = {
+  backdrop: true,
+  edgeSwipe: false,
+  edgeSwipeWidth: 20,
+  keyboard: true,
+  scroll: false,
+  swipe: true,
+  swipeThreshold: 0.4
+};
+const DefaultType$5 = {
+  backdrop: '(boolean|string)',
+  edgeSwipe: 'boolean',
+  edgeSwipeWidth: 'number',
+  keyboard: 'boolean',
+  scroll: 'boolean',
+  swipe: 'boolean',
+  swipeThreshold: 'number'
+};
+
+/**
+ * Class definition
+ */
+
+class Offcanvas extends BaseComponent {
+  constructor(element, config) {
+    super(element, config);
+    this._isShown = false;
+    this._backdrop = this._initializeBackDrop();
+    this._focustrap = this._initializeFocusTrap();
+    this._drag = null;
+    this._gesture = null;
+    this._edge = null;
+    this._edgeGesture = null;
+    this._resizeHandler = null;
+    this._addEventListeners();
+    this._initializeGestures();
+  }
+
+  // Getters
+  static get Default() {
+    return Default$5;
+  }
+  static get DefaultType() {
+    return DefaultType$5;
+  }
+  static get NAME() {
+    return NAME$6;
+  }
+
+  // Public
+  toggle(relatedTarget) {
+    return this._isShown ? this.hide() : this.show(relatedTarget);
+  }
+  show(relatedTarget) {
+    if (this._isShown) {
+      return;
+    }
+    const showEvent = EventHandler.trigger(this._element, EVENT_SHOW$3, {
+      relatedTarget
+    });
+    if (showEvent.defaultPrevented) {
+      return;
+    }
+    this._isShown = true;
+    this._updateEdge();
+    this._backdrop.show();
+    if (!this._config.scroll) {
+      new ScrollBarHelper().hide();
+    }
+    this._element.setAttribute('aria-modal', true);
+    this._element.setAttribute('role', 'dialog');
+    this._element.classList.add(CLASS_NAME_SHOWING$1);
+    const completeCallBack = () => {
+      if (!this._config.scroll || this._config.backdrop) {
+        this._focustrap.activate();
+      }
+      this._element.classList.add(CLASS_NAME_SHOW$3);
+      this._element.classList.remove(CLASS_NAME_SHOWING$1);
+      EventHandler.trigger(this._element, EVENT_SHOWN$3, {
+        relatedTarget
+      });
+    };
+    this._queueCallback(completeCallBack, this._element, true);
+  }
+  hide() {
+    if (!this._isShown) {
+      return;
+    }
+    const hideEvent = EventHandler.trigger(this._element, EVENT_HIDE$3);
+    if (hideEvent.defaultPrevented) {
+      return;
+    }
+    this._focustrap.deactivate();
+    this._element.blur();
+    this._isShown = false;
+    this._element.classList.add(CLASS_NAME_HIDING);
+    this._backdrop.hide();
+    const completeCallback = () => {
+      this._element.classList.remove(CLASS_NAME_SHOW$3, CLASS_NAME_HIDING);
+      this._element.removeAttribute('aria-modal');
+      this._element.removeAttribute('role');
+      if (!this._config.scroll) {
+        new ScrollBarHelper().reset();
+      }
+      this._updateEdge();
+      EventHandler.trigger(this._element, EVENT_HIDDEN$3);
+    };
+    this._queueCallback(completeCallback, this._element, true);
+  }
+  showAsync(relatedTarget) {
+    return this._transitionAsync(() => this.show(relatedTarget), EVENT_SHOW$3, EVENT_SHOWN$3, EVENT_HIDE$3);
+  }
+  hideAsync() {
+    return this._transitionAsync(() => this.hide(), EVENT_HIDE$3, EVENT_HIDDEN$3, EVENT_SHOW$3);
+  }
+  dispose() {
+    this._backdrop.dispose();
+    this._focustrap.deactivate();
+    if (this._gesture) {
+      this._gesture.dispose();
+    }
+    if (this._edgeGesture) {
+      this._edgeGesture.dispose();
+      this._edge.remove();
+      EventHandler.off(window, EVENT_RESIZE, this._resizeHandler);
+    }
+    super.dispose();
+  }
+
+  // Private
+  _initializeBackDrop() {
+    const clickCallback = () => {
+      if (this._config.backdrop === 'static') {
+        EventHandler.trigger(this._element, EVENT_HIDE_PREVENTED);
+        return;
+      }
+      this.hide();
+    };
+
+    // 'static' option will be translated to true, and booleans will keep their value
+    const isVisible = Boolean(this._config.backdrop);
+    return new Backdrop({
+      className: CLASS_NAME_BACKDROP,
+      isVisible,
+      isAnimated: true,
+      rootElement: this._element.parentNode,
+      clickCallback: isVisible ? clickCallback : null
+    });
+  }
+  _initializeFocusTrap() {
+    return new FocusTrap({
+      trapElement: this._element
+    });
+  }
+  _addEventListeners() {
+    EventHandler.on(this._element, EVENT_KEYDOWN_DISMISS, event => {
+      if (event.key !== ESCAPE_KEY) {
+        return;
+      }
+      if (this._config.keyboard) {
+        this.hide();
+        return;
+      }
+      EventHandler.trigger(this._element, EVENT_HIDE_PREVENTED);
+    });
+  }
+  _initializeGestures() {
+    const placement = this._getPlacement();
+    if (!placement) {
+      return;
+    }
+    const getGestureConfig = isOpening => ({
+      panStartCallback: state => this._startDrag(state, isOpening),
+      panMoveCallback: state => this._moveDrag(state),
+      panEndCallback: state => this._endDrag(state),
+      touchAction: placement.isHorizontal ? 'pan-y' : 'pan-x'
+    });
+    if (this._config.swipe) {
+      this._gesture = new Gesture(this._element, getGestureConfig(false));
+    }
+    if (this._config.edgeSwipe) {
+      this._edge = this._createEdge(placement);
+      this._edgeGesture = new Gesture(this._edge, {
+        ...getGestureConfig(true),
+        touchAction: 'none'
+      });
+      this._resizeHandler = () => this._updateEdge();
+      EventHandler.on(window, EVENT_RESIZE, this._resizeHandler);
+      this._updateEdge();
+    }
+  }
+
+  // The invisible strip along the placement side of the viewport that drags the hidden panel in
+  _createEdge({
+    isHorizontal,
+    direction
+  }) {
+    const edge = document.createElement('div');
+    edge.className = CLASS_NAME_EDGE;
+    edge.style.position = 'fixed';
+    const zIndex = Number.parseInt(getComputedStyle(this._element).zIndex, 10);
+    if (!Number.isNaN(zIndex)) {
+      edge.style.zIndex = zIndex - EDGE_ZINDEX_OFFSET;
+    }
+    edge.style[isHorizontal ? 'width' : 'height'] = `${this._config.edgeSwipeWidth}px`;
+    edge.style[isHorizontal ? 'top' : 'left'] = '0';
+    edge.style[isHorizontal ? 'bottom' : 'right'] = '0';
+    if (isHorizontal) {
+      edge.style[direction < 0 ? 'left' : 'right'] = '0';
+    } else {
+      edge.style[direction < 0 ? 'top' : 'bottom'] = '0';
+    }
+    this._element.before(edge);
+    return edge;
+  }
+
+  // The strip only takes pointers while there is a hidden drawer to pull in, it never covers the open panel or the page above the breakpoint
+  _updateEdge() {
+    if (!this._edge) {
+      return;
+    }
+    const isEnabled = !this._isShown && getComputedStyle(this._element).position === 'fixed';
+    this._edge.style.display = isEnabled ? '' : 'none';
+  }
+
+  // Returns the axis the panel slides along and the sign of its way out, or null without a placement class
+  _getPlacement() {
+    const placement = PLACEMENTS.find(name => this._element.classList.contains(`${NAME$6}-${name}`));
+    if (!placement) {
+      return null;
+    }
+    const isHorizontal = placement === 'start' || placement === 'end';
+    const isTowardStart = placement === 'start' || placement === 'top';
+    return {
+      isHorizontal,
+      direction: isTowardStart !== (isHorizontal && isRTL()) ? -1 : 1
+    };
+  }
+  _startDrag(state, isOpening) {
+    const placement = this._getPlacement();
+    if (!placement || isOpening === this._isShown || this._element.classList.contains(CLASS_NAME_SHOWING$1) || this._element.classList.contains(CLASS_NAME_HIDING)) {
+      return;
+    }
+
+    // pans across the placement axis are left to scrolling
+    if (placement.isHorizontal !== (Math.abs(state.deltaX) > Math.abs(state.deltaY))) {
+      return;
+    }
+
+    // responsive offcanvases are part of the page above their breakpoint
+    if (isOpening && getComputedStyle(this._element).position !== 'fixed') {
+      return;
+    }
+    this._drag = {
+      ...placement,
+      isOpening,
+      openness: isOpening ? 0 : 1,
+      size: placement.isHorizontal ? this._element.offsetWidth : this._element.offsetHeight
+    };
+    this._element.style.transition = 'none';
+    if (isOpening) {
+      this._element.style.visibility = 'visible';
+    }
+    this._moveDrag(state);
+  }
+
+  // Moves the panel along with the finger, the backdrop fades in step
+  _moveDrag(state) {
+    if (!this._drag) {
+      return;
+    }
+    const {
+      isHorizontal,
+      direction,
+      isOpening,
+      size
+    } = this._drag;
+    const delta = direction * (isHorizontal ? state.deltaX : state.deltaY);
+    const distance = Math.min(Math.max(isOpening ? size + delta : delta, 0), size);
+    this._drag.openness = size ? 1 - distance / size : 1;
+    this._element.style.transform = `translate${isHorizontal ? 'X' : 'Y'}(${direction * distance}px)`;
+    this._backdrop.track(this._drag.openness);
+  }
+  _endDrag(state) {
+    if (!this._drag) {
+      return;
+    }
+    const {
+      isHorizontal,
+      direction,
+      isOpening,
+      openness
+    } = this._drag;
+    this._drag = null;
+    const velocity = direction * (isHorizontal ? state.velocityX : state.velocityY);
+    let shouldOpen = isOpening ? openness > this._config.swipeThreshold : openness > 1 - this._config.swipeThreshold;
+    if (Math.abs(velocity) >= SWIPE_VELOCITY) {
+      shouldOpen = velocity < 0;
+    }
+    if (state.isCancelled) {
+      shouldOpen = !isOpening;
+    }
+    if (shouldOpen && !this._isShown) {
+      this.show();
+    } else if (!shouldOpen && this._isShown) {
+      this.hide();
+    }
+
+    // the panel and backdrop transition on from where the finger let go
+    this._element.style.transition = '';
+    this._element.style.transform = '';
+    this._element.style.visibility = '';
+    this._backdrop.track(null);
+    if (isOpening && !this._isShown) {
+      // keep the panel visible while it slides back out
+      this._element.classList.add(CLASS_NAME_HIDING);
+      this._backdrop.hide();
+      this._queueCallback(() => this._element.classList.remove(CLASS_NAME_HIDING), this._element, true);
+    }
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = Offcanvas.getOrCreateInstance(this, config);
+      if (typeof config !== 'string') {
+        return;
+      }
+      if (data[config] === undefined || config.startsWith('_') || config === 'constructor') {
+        throw new TypeError(`No method named "${config}"`);
+      }
+      data[config](this);
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+EventHandler.on(document, EVENT_CLICK_DATA_API$1, SELECTOR_DATA_TOGGLE$1, function (event) {
+  const target = SelectorEngine.getElementFromSelector(this);
+  if (['A', 'AREA'].includes(this.tagName)) {
+    event.preventDefault();
+  }
+  if (isDisabled(this)) {
+    return;
+  }
+  EventHandler.one(target, EVENT_HIDDEN$3, () => {
+    // focus on trigger when it is closed
+    if (isVisible(this)) {
+      this.focus();
+    }
+  });
+
+  // avoid conflict when clicking a toggler of an offcanvas, while another is open
+  const alreadyOpen = SelectorEngine.findOne(OPEN_SELECTOR);
+  if (alreadyOpen && alreadyOpen !== target) {
+    Offcanvas.getInstance(alreadyOpen).hide();
+  }
+  const data = Offcanvas.getOrCreateInstance(target);
+  data.toggle(this);
+});
+EventHandler.on(window, EVENT_LOAD_DATA_API$2, () => {
+  for (const selector of SelectorEngine.find(OPEN_SELECTOR)) {
+    Offcanvas.getOrCreateInstance(selector).show();
+  }
+
+  // the edge swipe zone needs an instance before anything toggled the offcanvas
+  for (const element of SelectorEngine.find(SELECTOR_DATA_EDGE_SWIPE)) {
+    Offcanvas.getOrCreateInstance(element);
+  }
+});
+EventHandler.on(window, EVENT_RESIZE, () => {
+  for (const element of SelectorEngine.find('[aria-modal][class*=show][class*=offcanvas-]')) {
+    if (getComputedStyle(element).position !== 'fixed') {
+      Offcanvas.getOrCreateInstance(element).hide();
+    }
+  }
+});
+enableDismissTrigger(Offcanvas);
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Offcanvas);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/sanitizer.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+// js-docs-start allow-list
+const ARIA_ATTRIBUTE_PATTERN = /^aria-[\w-]*$/i;
+const DefaultAllowlist = {
+  // Global attributes allowed on any supplied element below.
+  '*': ['class', 'dir', 'id', 'lang', 'role', ARIA_ATTRIBUTE_PATTERN],
+  a: ['target', 'href', 'title', 'rel'],
+  area: [],
+  b: [],
+  br: [],
+  col: [],
+  code: [],
+  dd: [],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  hr: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  i: [],
+  img: ['src', 'srcset', 'alt', 'title', 'width', 'height'],
+  li: [],
+  ol: [],
+  p: [],
+  pre: [],
+  s: [],
+  small: [],
+  span: [],
+  sub: [],
+  sup: [],
+  strong: [],
+  u: [],
+  ul: []
+};
+// js-docs-end allow-list
+
+const uriAttributes = new Set(['background', 'cite', 'href', 'itemtype', 'longdesc', 'poster', 'src', 'xlink:href']);
+
+/**
+ * A pattern that recognizes URLs that are safe wrt. XSS in URL navigation
+ * contexts.
+ *
+ * Shout-out to Angular https://github.com/angular/angular/blob/15.2.8/packages/core/src/sanitization/url_sanitizer.ts#L38
+ */
+// eslint-disable-next-line unicorn/better-regex
+const SAFE_URL_PATTERN = /^(?!javascript:)(?:[a-z0-9+.-]+:|[^&:/?#]*(?:[/?#]|$))/i;
+const allowedAttribute = (attribute, allowedAttributeList) => {
+  const attributeName = attribute.nodeName.toLowerCase();
+  if (allowedAttributeList.includes(attributeName)) {
+    if (uriAttributes.has(attributeName)) {
+      return Boolean(SAFE_URL_PATTERN.test(attribute.nodeValue));
+    }
+    return true;
+  }
+
+  // Check if a regular expression validates the attribute.
+  return allowedAttributeList.filter(attributeRegex => attributeRegex instanceof RegExp).some(regex => regex.test(attributeName));
+};
+function sanitizeHtml(unsafeHtml, allowList, sanitizeFunction) {
+  if (!unsafeHtml.length) {
+    return unsafeHtml;
+  }
+  if (sanitizeFunction && typeof sanitizeFunction === 'function') {
+    return sanitizeFunction(unsafeHtml);
+  }
+  const domParser = new window.DOMParser();
+  const createdDocument = domParser.parseFromString(unsafeHtml, 'text/html');
+  const elements = [].concat(...createdDocument.body.querySelectorAll('*'));
+  for (const element of elements) {
+    const elementName = element.nodeName.toLowerCase();
+    if (!Object.keys(allowList).includes(elementName)) {
+      element.remove();
+      continue;
+    }
+    const attributeList = [].concat(...element.attributes);
+    const allowedAttributes = [].concat(allowList['*'] || [], allowList[elementName] || []);
+    for (const attribute of attributeList) {
+      if (!allowedAttribute(attribute, allowedAttributes)) {
+        element.removeAttribute(attribute.nodeName);
+      }
+    }
+  }
+  return createdDocument.body.innerHTML;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/template-factory.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$5 = 'TemplateFactory';
+const Default$4 = {
+  allowList: DefaultAllowlist,
+  content: {},
+  // { selector : text ,  selector2 : text2 , }
+  extraClass: '',
+  html: false,
+  sanitize: true,
+  sanitizeFn: null,
+  template: '<div></div>'
+};
+const DefaultType$4 = {
+  allowList: 'object',
+  content: 'object',
+  extraClass: '(string|function)',
+  html: 'boolean',
+  sanitize: 'boolean',
+  sanitizeFn: '(null|function)',
+  template: 'string'
+};
+const DefaultContentType = {
+  entry: '(string|element|function|null)',
+  selector: '(string|element)'
+};
+
+/**
+ * Class definition
+ */
+
+class TemplateFactory extends Config {
+  constructor(config) {
+    super();
+    this._config = this._getConfig(config);
+  }
+
+  // Getters
+  static get Default() {
+    return Default$4;
+  }
+  static get DefaultType() {
+    return DefaultType$4;
+  }
+  static get NAME() {
+    return NAME$5;
+  }
+
+  // Public
+  getContent() {
+    return Object.values(this._config.content).map(config => this._resolvePossibleFunction(config)).filter(Boolean);
+  }
+  hasContent() {
+    return this.getContent().length > 0;
+  }
+  changeContent(content) {
+    this._checkContent(content);
+    this._config.content = {
+      ...this._config.content,
+      ...content
+    };
+    return this;
+  }
+  toHtml() {
+    const templateWrapper = document.createElement('div');
+    templateWrapper.innerHTML = this._maybeSanitize(this._config.template);
+    for (const [selector, text] of Object.entries(this._config.content)) {
+      this._setContent(templateWrapper, text, selector);
+    }
+    const template = templateWrapper.children[0];
+    const extraClass = this._resolvePossibleFunction(this._config.extraClass);
+    if (extraClass) {
+      template.classList.add(...extraClass.split(' '));
+    }
+    return template;
+  }
+
+  // Private
+  _typeCheckConfig(config) {
+    super._typeCheckConfig(config);
+    this._checkContent(config.content);
+  }
+  _checkContent(arg) {
+    for (const [selector, content] of Object.entries(arg)) {
+      super._typeCheckConfig({
+        selector,
+        entry: content
+      }, DefaultContentType);
+    }
+  }
+  _setContent(template, content, selector) {
+    const templateElement = SelectorEngine.findOne(selector, template);
+    if (!templateElement) {
+      return;
+    }
+    content = this._resolvePossibleFunction(content);
+    if (!content) {
+      templateElement.remove();
+      return;
+    }
+    if (isElement(content)) {
+      this._putElementInTemplate(getElement(content), templateElement);
+      return;
+    }
+    if (this._config.html) {
+      templateElement.innerHTML = this._maybeSanitize(content);
+      return;
+    }
+    templateElement.textContent = content;
+  }
+  _maybeSanitize(arg) {
+    return this._config.sanitize ? sanitizeHtml(arg, this._config.allowList, this._config.sanitizeFn) : arg;
+  }
+  _resolvePossibleFunction(arg) {
+    return execute(arg, [this]);
+  }
+  _putElementInTemplate(element, templateElement) {
+    if (this._config.html) {
+      templateElement.innerHTML = '';
+      templateElement.append(element);
+      return;
+    }
+    templateElement.textContent = element.textContent;
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap tooltip.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$4 = 'tooltip';
+const DISALLOWED_ATTRIBUTES = new Set(['sanitize', 'allowList', 'sanitizeFn']);
+const CLASS_NAME_FADE$2 = 'fade';
+const CLASS_NAME_MODAL = 'modal';
+const CLASS_NAME_SHOW$2 = 'show';
+const SELECTOR_TOOLTIP_INNER = '.tooltip-inner';
+const SELECTOR_MODAL = `.${CLASS_NAME_MODAL}`;
+const EVENT_MODAL_HIDE = 'hide.bs.modal';
+const TRIGGER_HOVER = 'hover';
+const TRIGGER_FOCUS = 'focus';
+const TRIGGER_CLICK = 'click';
+const TRIGGER_MANUAL = 'manual';
+const TRIGGER_TIP_HOVER = 'tipHover';
+const TRIGGER_TIP_FOCUS = 'tipFocus';
+const EVENT_HIDE$2 = 'hide';
+const EVENT_HIDDEN$2 = 'hidden';
+const EVENT_SHOW$2 = 'show';
+const EVENT_SHOWN$2 = 'shown';
+const EVENT_INSERTED = 'inserted';
+const EVENT_CLICK$1 = 'click';
+const EVENT_FOCUSIN$1 = 'focusin';
+const EVENT_FOCUSOUT$1 = 'focusout';
+const EVENT_MOUSEENTER = 'mouseenter';
+const EVENT_MOUSELEAVE = 'mouseleave';
+const AttachmentMap = {
+  AUTO: 'auto',
+  TOP: 'top',
+  RIGHT: isRTL() ? 'left' : 'right',
+  BOTTOM: 'bottom',
+  LEFT: isRTL() ? 'right' : 'left'
+};
+const Default$3 = {
+  allowList: DefaultAllowlist,
+  animation: true,
+  boundary: 'clippingParents',
+  container: false,
+  customClass: '',
+  delay: 0,
+  fallbackPlacements: ['top', 'right', 'bottom', 'left'],
+  html: false,
+  interactive: false,
+  interactiveDelay: 100,
+  loadingContent: 'Loading…',
+  offset: [0, 6],
+  placement: 'top',
+  popperConfig: null,
+  sanitize: true,
+  sanitizeFn: null,
+  selector: false,
+  template: '<div class="tooltip" role="tooltip">' + '<div class="tooltip-arrow"></div>' + '<div class="tooltip-inner"></div>' + '</div>',
+  title: '',
+  trigger: 'hover focus',
+  url: null
+};
+const DefaultType$3 = {
+  allowList: 'object',
+  animation: 'boolean',
+  boundary: '(string|element)',
+  container: '(string|element|boolean)',
+  customClass: '(string|function)',
+  delay: '(number|object)',
+  fallbackPlacements: 'array',
+  html: 'boolean',
+  interactive: 'boolean',
+  interactiveDelay: 'number',
+  loadingContent: '(string|element)',
+  offset: '(array|string|function)',
+  placement: '(string|function)',
+  popperConfig: '(null|object|function)',
+  sanitize: 'boolean',
+  sanitizeFn: '(null|function)',
+  selector: '(string|boolean)',
+  template: 'string',
+  title: '(string|element|function)',
+  trigger: 'string',
+  url: '(null|string)'
+};
+
+/**
+ * Class definition
+ */
+
+class Tooltip extends BaseComponent {
+  constructor(element, config) {
+    if (typeof Popper === 'undefined') {
+      throw new TypeError('Bootstrap\'s tooltips require Popper (https://popper.js.org)');
+    }
+    super(element, config);
+
+    // Private
+    this._isEnabled = true;
+    this._timeout = 0;
+    this._isHovered = null;
+    this._activeTrigger = {};
+    this._popper = null;
+    this._templateFactory = null;
+    this._newContent = null;
+    this._contentCache = new Map();
+    this._contentRequests = new Map();
+
+    // Protected
+    this.tip = null;
+    this._setListeners();
+    if (!this._config.selector) {
+      this._fixTitle();
+    }
+  }
+
+  // Getters
+  static get Default() {
+    return Default$3;
+  }
+  static get DefaultType() {
+    return DefaultType$3;
+  }
+  static get NAME() {
+    return NAME$4;
+  }
+
+  // Public
+  enable() {
+    this._isEnabled = true;
+  }
+  disable() {
+    this._isEnabled = false;
+  }
+  toggleEnabled() {
+    this._isEnabled = !this._isEnabled;
+  }
+  toggle() {
+    if (!this._isEnabled) {
+      return;
+    }
+    this._activeTrigger.click = !this._activeTrigger.click;
+    if (this._isShown()) {
+      this._leave();
+      return;
+    }
+    this._enter();
+  }
+  dispose() {
+    clearTimeout(this._timeout);
+    this._abortContentRequests();
+    EventHandler.off(this._element.closest(SELECTOR_MODAL), EVENT_MODAL_HIDE, this._hideModalHandler);
+    if (this._element.getAttribute('data-bs-original-title')) {
+      this._element.setAttribute('title', this._element.getAttribute('data-bs-original-title'));
+    }
+    this._disposePopper();
+    super.dispose();
+  }
+  show() {
+    if (this._element.style.display === 'none') {
+      throw new Error('Please use show on visible elements');
+    }
+    if (!(this._isWithContent() && this._isEnabled)) {
+      return;
+    }
+    const showEvent = EventHandler.trigger(this._element, this.constructor.eventName(EVENT_SHOW$2));
+    const shadowRoot = findShadowRoot(this._element);
+    const isInTheDom = (shadowRoot || this._element.ownerDocument.documentElement).contains(this._element);
+    if (showEvent.defaultPrevented || !isInTheDom) {
+      return;
+    }
+
+    // TODO: v6 remove this or make it optional
+    this._disposePopper();
+    const tip = this._getTipElement();
+    this._element.setAttribute('aria-describedby', tip.getAttribute('id'));
+    const {
+      container
+    } = this._config;
+    if (!this._element.ownerDocument.documentElement.contains(this.tip)) {
+      container.append(tip);
+      EventHandler.trigger(this._element, this.constructor.eventName(EVENT_INSERTED));
+    }
+    this._popper = this._createPopper(tip);
+    tip.classList.add(CLASS_NAME_SHOW$2);
+
+    // If this is a touch-enabled device we add extra
+    // empty mouseover listeners to the body's immediate children;
+    // only needed because of broken event delegation on iOS
+    // https://www.quirksmode.org/blog/archives/2014/02/mouse_event_bub.html
+    if ('ontouchstart' in document.documentElement) {
+      for (const element of [].concat(...document.body.children)) {
+        EventHandler.on(element, 'mouseover', noop);
+      }
+    }
+    const complete = () => {
+      EventHandler.trigger(this._element, this.constructor.eventName(EVENT_SHOWN$2));
+      if (this._isHovered === false) {
+        this._leave();
+      }
+      this._isHovered = false;
+    };
+    this._queueCallback(complete, this.tip, this._isAnimated());
+  }
+  hide() {
+    if (!this._isShown()) {
+      return;
+    }
+    const hideEvent = EventHandler.trigger(this._element, this.constructor.eventName(EVENT_HIDE$2));
+    if (hideEvent.defaultPrevented) {
+      return;
+    }
+    this._abortContentRequests();
+    const tip = this._getTipElement();
+    tip.classList.remove(CLASS_NAME_SHOW$2);
+
+    // If this is a touch-enabled device we remove the extra
+    // empty mouseover listeners we added for iOS support
+    if ('ontouchstart' in document.documentElement) {
+      for (const element of [].concat(...document.body.children)) {
+        EventHandler.off(element, 'mouseover', noop);
+      }
+    }
+    this._activeTrigger[TRIGGER_CLICK] = false;
+    this._activeTrigger[TRIGGER_FOCUS] = false;
+    this._activeTrigger[TRIGGER_HOVER] = false;
+    this._activeTrigger[TRIGGER_TIP_HOVER] = false;
+    this._activeTrigger[TRIGGER_TIP_FOCUS] = false;
+    this._isHovered = null; // it is a trick to support manual triggering
+
+    const complete = () => {
+      if (this._isWithActiveTrigger()) {
+        // the tip stays, so the hidden event never comes
+        this._cancelTransitions(this.constructor.eventName(EVENT_HIDDEN$2));
+        return;
+      }
+      if (!this._isHovered) {
+        this._disposePopper();
+      }
+      this._element.removeAttribute('aria-describedby');
+      EventHandler.trigger(this._element, this.constructor.eventName(EVENT_HIDDEN$2));
+    };
+    this._queueCallback(complete, this.tip, this._isAnimated());
+  }
+  showAsync() {
+    // show() bails out silently after the show event for elements outside of the DOM
+    return this._transitionAsync(() => this.show(), this.constructor.eventName(EVENT_SHOW$2), this.constructor.eventName(EVENT_SHOWN$2), this.constructor.eventName(EVENT_HIDE$2), () => this._isShown());
+  }
+  hideAsync() {
+    return this._transitionAsync(() => this.hide(), this.constructor.eventName(EVENT_HIDE$2), this.constructor.eventName(EVENT_HIDDEN$2), this.constructor.eventName(EVENT_SHOW$2));
+  }
+  update() {
+    if (this._popper) {
+      this._popper.update();
+    }
+  }
+
+  // Protected
+  _isWithContent() {
+    return Boolean(this._getTitle());
+  }
+  _getTipElement() {
+    if (!this.tip) {
+      this.tip = this._createTipElement(this._newContent || this._getContentForTemplate());
+    }
+    return this.tip;
+  }
+  _createTipElement(content) {
+    const tip = this._getTemplateFactory(content).toHtml();
+
+    // TODO: remove this check in v6
+    if (!tip) {
+      return null;
+    }
+    tip.classList.remove(CLASS_NAME_FADE$2, CLASS_NAME_SHOW$2);
+    // TODO: v6 the following can be achieved with CSS only
+    tip.classList.add(`bs-${this.constructor.NAME}-auto`);
+    const tipId = getUID(this.constructor.NAME).toString();
+    tip.setAttribute('id', tipId);
+    if (this._isAnimated()) {
+      tip.classList.add(CLASS_NAME_FADE$2);
+    }
+    if (this._config.interactive) {
+      this._setTipListeners(tip);
+    }
+    return tip;
+  }
+  setContent(content) {
+    this._newContent = content;
+    if (this._isShown()) {
+      this._disposePopper();
+      this.show();
+    }
+  }
+  _getTemplateFactory(content) {
+    if (this._templateFactory) {
+      this._templateFactory.changeContent(content);
+    } else {
+      this._templateFactory = new TemplateFactory({
+        ...this._config,
+        // the `content` var has to be after `this._config`
+        // to override config.content in case of popover
+        content,
+        extraClass: this._resolvePossibleFunction(this._config.customClass)
+      });
+    }
+    return this._templateFactory;
+  }
+  _getContentForTemplate() {
+    return {
+      [SELECTOR_TOOLTIP_INNER]: this._getTitle()
+    };
+  }
+  _getTitle() {
+    return this._resolveContent('title', this._config.title) || this._element.getAttribute('data-bs-original-title');
+  }
+  _getUrlOption() {
+    return 'title';
+  }
+
+  // Functions may return a Promise; the loading placeholder is shown until it settles
+  _resolveContent(key, content) {
+    if (this._contentCache.has(key)) {
+      return this._contentCache.get(key);
+    }
+    if (this._contentRequests.has(key)) {
+      return this._config.loadingContent;
+    }
+    const controller = new AbortController();
+    const result = execute(content, [this._element, controller.signal]);
+    if (!result || typeof result.then !== 'function') {
+      return result;
+    }
+    this._contentRequests.set(key, controller);
+    result.then(value => {
+      if (controller.signal.aborted) {
+        return;
+      }
+      this._contentRequests.delete(key);
+      this._contentCache.set(key, value);
+      if (!this._isWithActiveTrigger()) {
+        // re-showing must not be mistaken for a pointer leave when triggered manually
+        this._isHovered = null;
+      }
+      this.setContent(this._getContentForTemplate());
+    }, () => {
+      if (controller.signal.aborted) {
+        return;
+      }
+      this._contentRequests.delete(key);
+      this.hide();
+    });
+    return this._config.loadingContent;
+  }
+  _abortContentRequests() {
+    for (const controller of this._contentRequests.values()) {
+      controller.abort();
+    }
+    this._contentRequests.clear();
+  }
+
+  // Private
+  _initializeOnDelegatedTarget(event) {
+    return this.constructor.getOrCreateInstance(event.delegateTarget, this._getDelegateConfig());
+  }
+  _isAnimated() {
+    return this._config.animation || this.tip && this.tip.classList.contains(CLASS_NAME_FADE$2);
+  }
+  _isShown() {
+    return this.tip && this.tip.classList.contains(CLASS_NAME_SHOW$2);
+  }
+  _createPopper(tip) {
+    const placement = execute(this._config.placement, [this, tip, this._element]);
+    const attachment = AttachmentMap[placement.toUpperCase()];
+    return Popper.createPopper(this._element, tip, this._getPopperConfig(attachment));
+  }
+  _getOffset() {
+    const {
+      offset
+    } = this._config;
+    if (typeof offset === 'string') {
+      return offset.split(',').map(value => Number.parseInt(value, 10));
+    }
+    if (typeof offset === 'function') {
+      return popperData => offset(popperData, this._element);
+    }
+    return offset;
+  }
+  _resolvePossibleFunction(arg) {
+    return execute(arg, [this._element]);
+  }
+  _getPopperConfig(attachment) {
+    const defaultBsPopperConfig = {
+      placement: attachment,
+      modifiers: [{
+        name: 'flip',
+        options: {
+          fallbackPlacements: this._config.fallbackPlacements
+        }
+      }, {
+        name: 'offset',
+        options: {
+          offset: this._getOffset()
+        }
+      }, {
+        name: 'preventOverflow',
+        options: {
+          boundary: this._config.boundary
+        }
+      }, {
+        name: 'arrow',
+        options: {
+          element: `.${this.constructor.NAME}-arrow`
+        }
+      }, {
+        name: 'preSetPlacement',
+        enabled: true,
+        phase: 'beforeMain',
+        fn: data => {
+          // Pre-set Popper's placement attribute in order to read the arrow sizes properly.
+          // Otherwise, Popper mixes up the width and height dimensions since the initial arrow style is for top placement
+          this._getTipElement().setAttribute('data-popper-placement', data.state.placement);
+        }
+      }]
+    };
+    return {
+      ...defaultBsPopperConfig,
+      ...execute(this._config.popperConfig, [defaultBsPopperConfig])
+    };
+  }
+  _setListeners() {
+    const triggers = this._config.trigger.split(' ');
+    for (const trigger of triggers) {
+      if (trigger === 'click') {
+        EventHandler.on(this._element, this.constructor.eventName(EVENT_CLICK$1), this._config.selector, event => {
+          const context = this._initializeOnDelegatedTarget(event);
+          context.toggle();
+        });
+      } else if (trigger !== TRIGGER_MANUAL) {
+        const eventIn = trigger === TRIGGER_HOVER ? this.constructor.eventName(EVENT_MOUSEENTER) : this.constructor.eventName(EVENT_FOCUSIN$1);
+        const eventOut = trigger === TRIGGER_HOVER ? this.constructor.eventName(EVENT_MOUSELEAVE) : this.constructor.eventName(EVENT_FOCUSOUT$1);
+        EventHandler.on(this._element, eventIn, this._config.selector, event => {
+          const context = this._initializeOnDelegatedTarget(event);
+          context._activeTrigger[event.type === 'focusin' ? TRIGGER_FOCUS : TRIGGER_HOVER] = true;
+          context._enter();
+        });
+        EventHandler.on(this._element, eventOut, this._config.selector, event => {
+          const context = this._initializeOnDelegatedTarget(event);
+          context._activeTrigger[event.type === 'focusout' ? TRIGGER_FOCUS : TRIGGER_HOVER] = context._element.contains(event.relatedTarget);
+          context._leave();
+        });
+      }
+    }
+    this._hideModalHandler = () => {
+      if (this._element) {
+        this.hide();
+      }
+    };
+    EventHandler.on(this._element.closest(SELECTOR_MODAL), EVENT_MODAL_HIDE, this._hideModalHandler);
+  }
+  _setTipListeners(tip) {
+    // hovering or focusing the tip itself counts as an active trigger, so its content stays reachable
+    EventHandler.on(tip, this.constructor.eventName(EVENT_MOUSEENTER), () => {
+      this._activeTrigger[TRIGGER_TIP_HOVER] = true;
+      this._enter();
+    });
+    EventHandler.on(tip, this.constructor.eventName(EVENT_MOUSELEAVE), event => {
+      this._activeTrigger[TRIGGER_TIP_HOVER] = tip.contains(event.relatedTarget);
+      this._leave();
+    });
+    EventHandler.on(tip, this.constructor.eventName(EVENT_FOCUSIN$1), () => {
+      this._activeTrigger[TRIGGER_TIP_FOCUS] = true;
+      this._enter();
+    });
+    EventHandler.on(tip, this.constructor.eventName(EVENT_FOCUSOUT$1), event => {
+      this._activeTrigger[TRIGGER_TIP_FOCUS] = tip.contains(event.relatedTarget);
+      this._leave();
+    });
+  }
+  _fixTitle() {
+    const title = this._element.getAttribute('title');
+    if (!title) {
+      return;
+    }
+    if (!this._element.getAttribute('aria-label') && !this._element.textContent.trim()) {
+      this._element.setAttribute('aria-label', title);
+    }
+    this._element.setAttribute('data-bs-original-title', title); // DO NOT USE IT. Is only for backwards compatibility
+    this._element.removeAttribute('title');
+  }
+  _enter() {
+    if (this._isShown() || this._isHovered) {
+      this._isHovered = true;
+      return;
+    }
+    this._isHovered = true;
+    this._setTimeout(() => {
+      if (this._isHovered) {
+        this.show();
+      }
+    }, this._config.delay.show);
+  }
+  _leave() {
+    if (this._isWithActiveTrigger()) {
+      return;
+    }
+    this._isHovered = false;
+    // leave time to cross the gap between the trigger and an interactive tip
+    const delay = this._config.interactive ? Math.max(this._config.delay.hide, this._config.interactiveDelay) : this._config.delay.hide;
+    this._setTimeout(() => {
+      if (!this._isHovered) {
+        this.hide();
+      }
+    }, delay);
+  }
+  _setTimeout(handler, timeout) {
+    clearTimeout(this._timeout);
+    this._timeout = setTimeout(handler, timeout);
+  }
+  _isWithActiveTrigger() {
+    return Object.values(this._activeTrigger).includes(true);
+  }
+  _getConfig(config) {
+    const dataAttributes = Manipulator.getDataAttributes(this._element);
+    for (const dataAttribute of Object.keys(dataAttributes)) {
+      if (DISALLOWED_ATTRIBUTES.has(dataAttribute)) {
+        delete dataAttributes[dataAttribute];
+      }
+    }
+    config = {
+      ...dataAttributes,
+      ...(typeof config === 'object' && config ? config : {})
+    };
+    config = this._mergeConfigObj(config);
+    config = this._configAfterMerge(config);
+    this._typeCheckConfig(config);
+    return config;
+  }
+  _configAfterMerge(config) {
+    config.container = config.container === false ? document.body : getElement(config.container);
+    if (typeof config.delay === 'number') {
+      config.delay = {
+        show: config.delay,
+        hide: config.delay
+      };
+    }
+    if (typeof config.title === 'number') {
+      config.title = config.title.toString();
+    }
+    if (typeof config.content === 'number') {
+      config.content = config.content.toString();
+    }
+    if (config.url) {
+      const {
+        url
+      } = config;
+      config[this._getUrlOption()] = (element, signal) => fetch(url, {
+        signal
+      }).then(response => {
+        if (!response.ok) {
+          throw new Error(`${this.constructor.NAME.toUpperCase()}: Request to "${url}" failed with status ${response.status}.`);
+        }
+        return response.text();
+      });
+    }
+    return config;
+  }
+  _getDelegateConfig() {
+    const config = {};
+    for (const [key, value] of Object.entries(this._config)) {
+      if (this.constructor.Default[key] !== value) {
+        config[key] = value;
+      }
+    }
+    config.selector = false;
+    config.trigger = 'manual';
+
+    // In the future can be replaced with:
+    // const keysWithDifferentValues = Object.entries(this._config).filter(entry => this.constructor.Default[entry[0]] !== this._config[entry[0]])
+    // `Object.fromEntries(keysWithDifferentValues)`
+    return config;
+  }
+  _disposePopper() {
+    if (this._popper) {
+      this._popper.destroy();
+      this._popper = null;
+    }
+    if (this.tip) {
+      EventHandler.off(this.tip, this.constructor.EVENT_KEY);
+      this.tip.remove();
+      this.tip = null;
+    }
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = Tooltip.getOrCreateInstance(this, config);
+      if (typeof config !== 'string') {
+        return;
+      }
+      if (typeof data[config] === 'undefined') {
+        throw new TypeError(`No method named "${config}"`);
+      }
+      data[config]();
+    });
+  }
+}
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Tooltip);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap popover.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$3 = 'popover';
+const SELECTOR_TITLE = '.popover-header';
+const SELECTOR_CONTENT = '.popover-body';
+const Default$2 = {
+  ...Tooltip.Default,
+  content: '',
+  offset: [0, 8],
+  placement: 'right',
+  template: '<div class="popover" role="tooltip">' + '<div class="popover-arrow"></div>' + '<h3 class="popover-header"></h3>' + '<div class="popover-body"></div>' + '</div>',
+  trigger: 'click'
+};
+const DefaultType$2 = {
+  ...Tooltip.DefaultType,
+  content: '(null|string|element|function)'
+};
+
+/**
+ * Class definition
+ */
+
+class Popover extends Tooltip {
+  // Getters
+  static get Default() {
+    return Default$2;
+  }
+  static get DefaultType() {
+    return DefaultType$2;
+  }
+  static get NAME() {
+    return NAME$3;
+  }
+
+  // Overrides
+  _isWithContent() {
+    return this._getTitle() || this._getContent();
+  }
+
+  // Private
+  _getContentForTemplate() {
+    return {
+      [SELECTOR_TITLE]: this._getTitle(),
+      [SELECTOR_CONTENT]: this._getContent()
+    };
+  }
+  _getContent() {
+    return this._resolveContent('content', this._config.content);
+  }
+  _getUrlOption() {
+    return 'content';
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = Popover.getOrCreateInstance(this, config);
+      if (typeof config !== 'string') {
+        return;
+      }
+      if (typeof data[config] === 'undefined') {
+        throw new TypeError(`No method named "${config}"`);
+      }
+      data[config]();
+    });
+  }
+}
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Popover);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap scrollspy.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$2 = 'scrollspy';
+const DATA_KEY$2 = 'bs.scrollspy';
+const EVENT_KEY$2 = `.${DATA_KEY$2}`;
+const DATA_API_KEY = '.data-api';
+const EVENT_ACTIVATE = `activate${EVENT_KEY$2}`;
+const EVENT_CLICK = `click${EVENT_KEY$2}`;
+const EVENT_LOAD_DATA_API$1 = `load${EVENT_KEY$2}${DATA_API_KEY}`;
+const CLASS_NAME_DROPDOWN_ITEM = 'dropdown-item';
+const CLASS_NAME_ACTIVE$1 = 'active';
+const SELECTOR_DATA_SPY = '[data-bs-spy="scroll"]';
+const SELECTOR_TARGET_LINKS = '[href]';
+const SELECTOR_NAV_LIST_GROUP = '.nav, .list-group';
+const SELECTOR_NAV_LINKS = '.nav-link';
+const SELECTOR_NAV_ITEMS = '.nav-item';
+const SELECTOR_LIST_ITEMS = '.list-group-item';
+const SELECTOR_LINK_ITEMS = `${SELECTOR_NAV_LINKS}, ${SELECTOR_NAV_ITEMS} > ${SELECTOR_NAV_LINKS}, ${SELECTOR_LIST_ITEMS}`;
+const SELECTOR_DROPDOWN = '.dropdown';
+const SELECTOR_DROPDOWN_TOGGLE$1 = '.dropdown-toggle';
+const Default$1 = {
+  offset: null,
+  // TODO: v6 @deprecated, keep it for backwards compatibility reasons
+  rootMargin: '0px 0px -25%',
+  smoothScroll: false,
+  target: null,
+  threshold: [0.1, 0.5, 1]
+};
+const DefaultType$1 = {
+  offset: '(number|null)',
+  // TODO v6 @deprecated, keep it for backwards compatibility reasons
+  rootMargin: 'string',
+  smoothScroll: 'boolean',
+  target: 'element',
+  threshold: 'array'
+};
+
+/**
+ * Class definition
+ */
+
+class ScrollSpy extends BaseComponent {
+  constructor(element, config) {
+    super(element, config);
+
+    // this._element is the observablesContainer and config.target the menu links wrapper
+    this._targetLinks = new Map();
+    this._observableSections = new Map();
+    this._rootElement = getComputedStyle(this._element).overflowY === 'visible' ? null : this._element;
+    this._activeTarget = null;
+    this._observer = null;
+    this._previousScrollData = {
+      visibleEntryTop: 0,
+      parentScrollTop: 0
+    };
+    this.refresh(); // initialize
+  }
+
+  // Getters
+  static get Default() {
+    return Default$1;
+  }
+  static get DefaultType() {
+    return DefaultType$1;
+  }
+  static get NAME() {
+    return NAME$2;
+  }
+
+  // Public
+  refresh() {
+    this._initializeTargetsAndObservables();
+    this._maybeEnableSmoothScroll();
+    if (this._observer) {
+      this._observer.disconnect();
+    } else {
+      this._observer = this._getNewObserver();
+    }
+    for (const section of this._observableSections.values()) {
+      this._observer.observe(section);
+    }
+  }
+  dispose() {
+    this._observer.disconnect();
+    super.dispose();
+  }
+
+  // Private
+  _configAfterMerge(config) {
+    // TODO: on v6 target should be given explicitly & remove the {target: 'ss-target'} case
+    config.target = getElement(config.target) || document.body;
+
+    // TODO: v6 Only for backwards compatibility reasons. Use rootMargin only
+    config.rootMargin = config.offset ? `${config.offset}px 0px -30%` : config.rootMargin;
+    if (typeof config.threshold === 'string') {
+      config.threshold = config.threshold.split(',').map(value => Number.parseFloat(value));
+    }
+    return config;
+  }
+  _maybeEnableSmoothScroll() {
+    if (!this._config.smoothScroll) {
+      return;
+    }
+
+    // unregister any previous listeners
+    EventHandler.off(this._config.target, EVENT_CLICK);
+    EventHandler.on(this._config.target, EVENT_CLICK, SELECTOR_TARGET_LINKS, event => {
+      const observableSection = this._observableSections.get(event.target.hash);
+      if (observableSection) {
+        event.preventDefault();
+        const root = this._rootElement || window;
+        const height = observableSection.offsetTop - this._element.offsetTop;
+        if (root.scrollTo) {
+          root.scrollTo({
+            top: height,
+            behavior: 'smooth'
+          });
+          return;
+        }
+
+        // Chrome 60 doesn't support `scrollTo`
+        root.scrollTop = height;
+      }
+    });
+  }
+  _getNewObserver() {
+    const options = {
+      root: this._rootElement,
+      threshold: this._config.threshold,
+      rootMargin: this._config.rootMargin
+    };
+    return new IntersectionObserver(entries => this._observerCallback(entries), options);
+  }
+
+  // The logic of selection
+  _observerCallback(entries) {
+    const targetElement = entry => this._targetLinks.get(`#${entry.target.id}`);
+    const activate = entry => {
+      this._previousScrollData.visibleEntryTop = entry.target.offsetTop;
+      this._process(targetElement(entry));
+    };
+    const parentScrollTop = (this._rootElement || document.documentElement).scrollTop;
+    const userScrollsDown = parentScrollTop >= this._previousScrollData.parentScrollTop;
+    this._previousScrollData.parentScrollTop = parentScrollTop;
+    for (const entry of entries) {
+      if (!entry.isIntersecting) {
+        this._activeTarget = null;
+        this._clearActiveClass(targetElement(entry));
+        continue;
+      }
+      const entryIsLowerThanPrevious = entry.target.offsetTop >= this._previousScrollData.visibleEntryTop;
+      // if we are scrolling down, pick the bigger offsetTop
+      if (userScrollsDown && entryIsLowerThanPrevious) {
+        activate(entry);
+        // if parent isn't scrolled, let's keep the first visible item, breaking the iteration
+        if (!parentScrollTop) {
+          return;
+        }
+        continue;
+      }
+
+      // if we are scrolling up, pick the smallest offsetTop
+      if (!userScrollsDown && !entryIsLowerThanPrevious) {
+        activate(entry);
+      }
+    }
+  }
+  _initializeTargetsAndObservables() {
+    this._targetLinks = new Map();
+    this._observableSections = new Map();
+    const targetLinks = SelectorEngine.find(SELECTOR_TARGET_LINKS, this._config.target);
+    for (const anchor of targetLinks) {
+      // ensure that the anchor has an id and is not disabled
+      if (!anchor.hash || isDisabled(anchor)) {
+        continue;
+      }
+      const observableSection = SelectorEngine.findOne(decodeURI(anchor.hash), this._element);
+
+      // ensure that the observableSection exists & is visible
+      if (isVisible(observableSection)) {
+        this._targetLinks.set(decodeURI(anchor.hash), anchor);
+        this._observableSections.set(anchor.hash, observableSection);
+      }
+    }
+  }
+  _process(target) {
+    if (this._activeTarget === target) {
+      return;
+    }
+    this._clearActiveClass(this._config.target);
+    this._activeTarget = target;
+    target.classList.add(CLASS_NAME_ACTIVE$1);
+    this._activateParents(target);
+    EventHandler.trigger(this._element, EVENT_ACTIVATE, {
+      relatedTarget: target
+    });
+  }
+  _activateParents(target) {
+    // Activate dropdown parents
+    if (target.classList.contains(CLASS_NAME_DROPDOWN_ITEM)) {
+      SelectorEngine.findOne(SELECTOR_DROPDOWN_TOGGLE$1, target.closest(SELECTOR_DROPDOWN)).classList.add(CLASS_NAME_ACTIVE$1);
+      return;
+    }
+    for (const listGroup of SelectorEngine.parents(target, SELECTOR_NAV_LIST_GROUP)) {
+      // Set triggered links parents as active
+      // With both <ul> and <nav> markup a parent is the previous sibling of any nav ancestor
+      for (const item of SelectorEngine.prev(listGroup, SELECTOR_LINK_ITEMS)) {
+        item.classList.add(CLASS_NAME_ACTIVE$1);
+      }
+    }
+  }
+  _clearActiveClass(parent) {
+    parent.classList.remove(CLASS_NAME_ACTIVE$1);
+    const activeNodes = SelectorEngine.find(`${SELECTOR_TARGET_LINKS}.${CLASS_NAME_ACTIVE$1}`, parent);
+    for (const node of activeNodes) {
+      node.classList.remove(CLASS_NAME_ACTIVE$1);
+    }
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = ScrollSpy.getOrCreateInstance(this, config);
+      if (typeof config !== 'string') {
+        return;
+      }
+      if (data[config] === undefined || config.startsWith('_') || config === 'constructor') {
+        throw new TypeError(`No method named "${config}"`);
+      }
+      data[config]();
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+EventHandler.on(window, EVENT_LOAD_DATA_API$1, () => {
+  for (const spy of SelectorEngine.find(SELECTOR_DATA_SPY)) {
+    ScrollSpy.getOrCreateInstance(spy);
+  }
+});
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(ScrollSpy);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap tab.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$1 = 'tab';
+const DATA_KEY$1 = 'bs.tab';
+const EVENT_KEY$1 = `.${DATA_KEY$1}`;
+const EVENT_HIDE$1 = `hide${EVENT_KEY$1}`;
+const EVENT_HIDDEN$1 = `hidden${EVENT_KEY$1}`;
+const EVENT_SHOW$1 = `show${EVENT_KEY$1}`;
+const EVENT_SHOWN$1 = `shown${EVENT_KEY$1}`;
+const EVENT_CLICK_DATA_API = `click${EVENT_KEY$1}`;
+const EVENT_KEYDOWN = `keydown${EVENT_KEY$1}`;
+const EVENT_LOAD_DATA_API = `load${EVENT_KEY$1}`;
+const EVENT_POPSTATE = `popstate${EVENT_KEY$1}`;
+const EVENT_LOADED = `loaded${EVENT_KEY$1}`;
+const EVENT_LOAD_ERROR = `loaderror${EVENT_KEY$1}`;
+const EVENT_CLOSE$1 = `close${EVENT_KEY$1}`;
+const EVENT_CLOSED$1 = `closed${EVENT_KEY$1}`;
+const EVENT_MOVED = `moved${EVENT_KEY$1}`;
+const EVENT_CLICK_CLOSE = `click${EVENT_KEY$1}`;
+const EVENT_DRAG_START$1 = `dragstart${EVENT_KEY$1}`;
+const EVENT_DRAG_OVER = `dragover${EVENT_KEY$1}`;
+const EVENT_DROP = `drop${EVENT_KEY$1}`;
+const EVENT_DRAG_END = `dragend${EVENT_KEY$1}`;
+const EVENT_RESIZE$2 = `resize${EVENT_KEY$1}`;
+const ARROW_LEFT_KEY = 'ArrowLeft';
+const ARROW_RIGHT_KEY = 'ArrowRight';
+const ARROW_UP_KEY = 'ArrowUp';
+const ARROW_DOWN_KEY = 'ArrowDown';
+const HOME_KEY = 'Home';
+const END_KEY = 'End';
+const DELETE_KEY = 'Delete';
+const CLASS_NAME_ACTIVE = 'active';
+const CLASS_NAME_FADE$1 = 'fade';
+const CLASS_NAME_SHOW$1 = 'show';
+const CLASS_DROPDOWN = 'dropdown';
+const CLASS_NAME_CLOSE$1 = 'btn-close';
+const CLASS_NAME_CLOSABLE = 'd-flex align-items-center';
+const CLASS_NAME_NAV_ITEM = 'nav-item';
+const CLASS_NAME_NAV_LINK = 'nav-link';
+const CLASS_NAME_DROPDOWN_ITEM$2 = 'dropdown-item';
+const CLASS_NAME_OVERFLOW_HIDDEN = 'd-none';
+const CLASS_NAME_NOWRAP = 'flex-nowrap';
+const CLASS_NAME_VERTICAL = 'flex-column';
+const CLASS_NAME_LOADING = 'd-flex justify-content-center p-3';
+const CLASS_NAME_SPINNER = 'spinner-border';
+const CLASS_NAME_VISUALLY_HIDDEN = 'visually-hidden';
+const SELECTOR_DROPDOWN_TOGGLE = '.dropdown-toggle';
+const SELECTOR_DROPDOWN_MENU = '.dropdown-menu';
+const NOT_SELECTOR_DROPDOWN_TOGGLE = `:not(${SELECTOR_DROPDOWN_TOGGLE})`;
+const SELECTOR_TAB_PANEL = '.list-group, .nav, [role="tablist"]';
+const SELECTOR_OUTER = '.nav-item, .list-group-item';
+const SELECTOR_INNER = `.nav-link${NOT_SELECTOR_DROPDOWN_TOGGLE}, .list-group-item${NOT_SELECTOR_DROPDOWN_TOGGLE}, [role="tab"]${NOT_SELECTOR_DROPDOWN_TOGGLE}`;
+const SELECTOR_DATA_TOGGLE = '[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]'; // TODO: could only be `tab` in v6
+const SELECTOR_INNER_ELEM = `${SELECTOR_INNER}, ${SELECTOR_DATA_TOGGLE}`;
+const SELECTOR_DATA_TOGGLE_ACTIVE = `.${CLASS_NAME_ACTIVE}[data-bs-toggle="tab"], .${CLASS_NAME_ACTIVE}[data-bs-toggle="pill"], .${CLASS_NAME_ACTIVE}[data-bs-toggle="list"]`;
+const SELECTOR_DATA_SYNC = '[data-bs-sync]';
+const SELECTOR_DATA_LIST_FEATURES = '[data-bs-closable], [data-bs-reorderable], [data-bs-overflow]';
+const SELECTOR_OVERFLOW = '[data-bs-tab-overflow]';
+const SYNC_QUERY = 'query';
+const HISTORY_PUSH = 'push';
+const Default$j = {
+  allowList: DefaultAllowlist,
+  closable: false,
+  closeLabel: 'Close',
+  history: 'replace',
+  loader: null,
+  loadingText: 'Loading…',
+  moreLabel: 'More',
+  overflow: false,
+  reload: false,
+  reorderable: false,
+  sanitize: true,
+  sanitizeFn: null,
+  sync: false,
+  syncParam: 'tab'
+};
+const DefaultType$j = {
+  allowList: 'object',
+  closable: 'boolean',
+  closeLabel: 'string',
+  history: 'string',
+  loader: '(null|string|function)',
+  loadingText: 'string',
+  moreLabel: 'string',
+  overflow: 'boolean',
+  reload: 'boolean',
+  reorderable: 'boolean',
+  sanitize: 'boolean',
+  sanitizeFn: '(null|function)',
+  sync: '(boolean|string)',
+  syncParam: 'string'
+};
+
+// set while tabs are shown from the current URL, which must not be written back to the history
+let isShowingFromLocation = false;
+
+// fragments carrying parameters (e.g. `#access_token=…` of an OAuth callback) are never tab ids
+const isParameterFragment = hash => hash.includes('=');
+// the tab each synced list showed before the URL was first read, shown again when the URL names none of its tabs
+const initialTabs = new WeakMap();
+// the list item being dragged and its index when the drag started
+let draggedItem = null;
+let dragStartIndex = -1;
+
+// direct children of a tab list (or of a menu in it) holding tabs, in their visual order
+const getTabItems = container => [...container.children].filter(child => !child.matches(SELECTOR_OVERFLOW) && (child.matches(SELECTOR_INNER_ELEM) || SelectorEngine.findOne(SELECTOR_INNER_ELEM, child)));
+const setOverflowed = (item, isOverflowed) => {
+  item.classList.toggle(CLASS_NAME_NAV_ITEM, !isOverflowed);
+  const link = item.matches(SELECTOR_INNER_ELEM) ? item : SelectorEngine.findOne(SELECTOR_INNER_ELEM, item);
+  if (link) {
+    link.classList.toggle(CLASS_NAME_NAV_LINK, !isOverflowed);
+    link.classList.toggle(CLASS_NAME_DROPDOWN_ITEM$2, isOverflowed);
+  }
+};
+
+// moves the overflowed tabs back in the list, returns the "more" item if the list has one
+const restoreOverflow = list => {
+  const more = SelectorEngine.findOne(`:scope > ${SELECTOR_OVERFLOW}`, list);
+  if (!more) {
+    return null;
+  }
+  for (const item of getTabItems(SelectorEngine.findOne(SELECTOR_DROPDOWN_MENU, more))) {
+    setOverflowed(item, false);
+    more.before(item);
+  }
+  return more;
+};
+const layoutOverflow = list => {
+  const more = restoreOverflow(list);
+  if (!more) {
+    return;
+  }
+  const menu = SelectorEngine.findOne(SELECTOR_DROPDOWN_MENU, more);
+  more.classList.add(CLASS_NAME_OVERFLOW_HIDDEN);
+  if (list.scrollWidth > list.clientWidth) {
+    more.classList.remove(CLASS_NAME_OVERFLOW_HIDDEN);
+    const items = getTabItems(list);
+    while (items.length && list.scrollWidth > list.clientWidth) {
+      const item = items.pop();
+      setOverflowed(item, true);
+      menu.prepend(item);
+    }
+  }
+  const isActiveOverflowed = SelectorEngine.find(SELECTOR_INNER_ELEM, menu).some(element => element.classList.contains(CLASS_NAME_ACTIVE));
+  SelectorEngine.findOne(SELECTOR_DROPDOWN_TOGGLE, more).classList.toggle(CLASS_NAME_ACTIVE, isActiveOverflowed);
+};
+const setupOverflow = (list, label) => {
+  if (SelectorEngine.findOne(`:scope > ${SELECTOR_OVERFLOW}`, list)) {
+    return;
+  }
+  const more = document.createElement('li');
+  more.className = `${CLASS_NAME_NAV_ITEM} ${CLASS_DROPDOWN}`;
+  more.setAttribute('data-bs-tab-overflow', '');
+  more.setAttribute('role', 'presentation');
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = `${CLASS_NAME_NAV_LINK} dropdown-toggle`;
+  toggle.setAttribute('data-bs-toggle', 'dropdown');
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.textContent = label;
+  const menu = document.createElement('ul');
+  menu.className = 'dropdown-menu dropdown-menu-end';
+  more.append(toggle, menu);
+  list.classList.add(CLASS_NAME_NOWRAP);
+  list.append(more);
+  layoutOverflow(list);
+};
+const getFragmentId = () => {
+  const {
+    hash
+  } = window.location;
+  if (!hash || isParameterFragment(hash)) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(hash.slice(1));
+  } catch (_unused) {
+    return null;
+  }
+};
+
+/**
+ * Class definition
+ */
+
+class Tab extends BaseComponent {
+  constructor(element, config) {
+    super(element, config);
+    this._parent = this._element.closest(SELECTOR_TAB_PANEL);
+    if (!this._parent) {
+      return;
+      // TODO: should throw exception in v6
+      // throw new TypeError(`${element.outerHTML} has not a valid parent ${SELECTOR_INNER_ELEM}`)
+    }
+
+    // Set up initial aria attributes
+    this._setInitialAttributes(this._parent, this._getChildren());
+    EventHandler.on(this._element, EVENT_KEYDOWN, event => this._keydown(event));
+    this._isLoaded = false;
+    this._loadController = null;
+    this._closeWrapper = null;
+    if (this._config.loader && this._elemIsActive(this._element)) {
+      this._load();
+    }
+    this._closeButton = this._config.closable ? this._createCloseButton() : null;
+    if (this._config.reorderable) {
+      this._setDragListeners();
+    }
+    if (this._config.overflow) {
+      setupOverflow(this._parent, this._config.moreLabel);
+    }
+  }
+
+  // Getters
+  static get Default() {
+    return Default$j;
+  }
+  static get DefaultType() {
+    return DefaultType$j;
+  }
+  static get NAME() {
+    return NAME$1;
+  }
+
+  // Public
+  show() {
+    // Shows this elem and deactivate the active sibling if exists
+    const innerElem = this._element;
+    if (this._elemIsActive(innerElem)) {
+      return;
+    }
+
+    // Search for active tab on same parent to deactivate it
+    const active = this._getActiveElem();
+    const hideEvent = active ? EventHandler.trigger(active, EVENT_HIDE$1, {
+      relatedTarget: innerElem
+    }) : null;
+    const showEvent = EventHandler.trigger(innerElem, EVENT_SHOW$1, {
+      relatedTarget: active
+    });
+    if (showEvent.defaultPrevented || hideEvent && hideEvent.defaultPrevented) {
+      return;
+    }
+    this._deactivate(active, innerElem);
+    this._activate(innerElem, active);
+    if (this._config.sync && !isShowingFromLocation) {
+      this._updateLocation();
+    }
+    if (this._config.loader && !this._loadController && (!this._isLoaded || this._config.reload)) {
+      this._load();
+    }
+  }
+  close() {
+    const element = this._element;
+    const list = this._parent;
+    const panel = SelectorEngine.getElementFromSelector(element);
+    const closeEvent = EventHandler.trigger(element, EVENT_CLOSE$1, {
+      relatedTarget: panel
+    });
+    if (closeEvent.defaultPrevented) {
+      return;
+    }
+    const hadFocus = document.activeElement === element;
+    const item = this._getListItem();
+    if (this._elemIsActive(element)) {
+      const children = this._getChildren().filter(child => child === element || !isDisabled(child));
+      const index = children.indexOf(element);
+      const neighbour = children[index + 1] || children[index - 1];
+      if (neighbour) {
+        Tab.getOrCreateInstance(neighbour).show();
+      }
+    }
+    item.remove();
+    if (panel) {
+      panel.remove();
+    }
+    const active = this._getActiveElem();
+    if (hadFocus && active) {
+      active.focus();
+    }
+    EventHandler.trigger(element, EVENT_CLOSED$1, {
+      relatedTarget: panel
+    });
+    this.dispose();
+    layoutOverflow(list);
+  }
+  dispose() {
+    this._abortLoad();
+    if (this._parent && this._config.reorderable) {
+      const item = this._getListItem();
+      EventHandler.off(item, EVENT_KEY$1);
+      item.removeAttribute('draggable');
+    }
+    if (this._closeButton) {
+      EventHandler.off(this._closeButton, EVENT_KEY$1);
+      this._closeButton.remove();
+    }
+    if (this._closeWrapper) {
+      this._closeWrapper.replaceWith(this._element);
+    }
+    super.dispose();
+  }
+
+  // Private
+  _mergeConfigObj(config, element) {
+    // URL sync is usually set up once on the tab list and loaders are declared on the panes, so both fill in
+    // for the tab's defaults; the tab's own attributes and the JS config still win over them
+    const pickOptions = source => source ? Object.fromEntries(Object.entries(Manipulator.getDataAttributes(source)).filter(([key]) => key in Default$j)) : {};
+    const list = isElement(element) ? element.closest(SELECTOR_TAB_PANEL) : null;
+    const panel = isElement(element) ? SelectorEngine.getElementFromSelector(element) : null;
+    const jsonConfig = isElement(element) ? Manipulator.getDataAttribute(element, 'config') : {};
+    return {
+      ...this.constructor.Default,
+      ...pickOptions(list),
+      ...pickOptions(panel),
+      ...(typeof jsonConfig === 'object' ? jsonConfig : {}),
+      ...(isElement(element) ? Manipulator.getDataAttributes(element) : {}),
+      ...(typeof config === 'object' ? config : {})
+    };
+  }
+  _configAfterMerge(config) {
+    if (typeof config.loader === 'string') {
+      const url = config.loader;
+      config.loader = (panel, signal) => fetch(url, {
+        signal
+      }).then(response => {
+        if (!response.ok) {
+          throw new Error(`${this.constructor.NAME.toUpperCase()}: Request to "${url}" failed with status ${response.status}.`);
+        }
+        return response.text();
+      });
+    }
+    return config;
+  }
+  _load() {
+    const panel = SelectorEngine.getElementFromSelector(this._element);
+    if (!panel) {
+      return;
+    }
+    this._abortLoad();
+    const controller = new AbortController();
+    this._loadController = controller;
+    panel.setAttribute('aria-busy', 'true');
+    panel.replaceChildren(this._createSpinner());
+    Promise.resolve().then(() => execute(this._config.loader, [panel, controller.signal])).then(content => {
+      if (controller.signal.aborted) {
+        return;
+      }
+      this._loadController = null;
+      this._isLoaded = true;
+      panel.removeAttribute('aria-busy');
+      if (isElement(content)) {
+        panel.replaceChildren(content);
+      } else {
+        panel.innerHTML = this._config.sanitize ? sanitizeHtml(String(content), this._config.allowList, this._config.sanitizeFn) : String(content);
+      }
+      EventHandler.trigger(this._element, EVENT_LOADED, {
+        relatedTarget: panel
+      });
+    }, error => {
+      if (controller.signal.aborted) {
+        return;
+      }
+      this._loadController = null;
+      panel.removeAttribute('aria-busy');
+      panel.replaceChildren();
+      EventHandler.trigger(this._element, EVENT_LOAD_ERROR, {
+        relatedTarget: panel,
+        error
+      });
+    });
+  }
+  _abortLoad() {
+    if (this._loadController) {
+      this._loadController.abort();
+      this._loadController = null;
+    }
+  }
+  _createSpinner() {
+    const wrapper = document.createElement('div');
+    wrapper.className = CLASS_NAME_LOADING;
+    const spinner = document.createElement('div');
+    spinner.className = CLASS_NAME_SPINNER;
+    spinner.setAttribute('role', 'status');
+    const label = document.createElement('span');
+    label.className = CLASS_NAME_VISUALLY_HIDDEN;
+    label.textContent = this._config.loadingText;
+    spinner.append(label);
+    wrapper.append(spinner);
+    return wrapper;
+  }
+  _updateLocation() {
+    const panel = SelectorEngine.getElementFromSelector(this._element);
+    if (!panel || !panel.id) {
+      return;
+    }
+    const url = new URL(window.location.href);
+    if (this._config.sync === SYNC_QUERY) {
+      url.searchParams.set(this._config.syncParam, panel.id);
+    } else if (isParameterFragment(url.hash)) {
+      // leave callback fragments alone until the page consuming them has read them
+      return;
+    } else {
+      url.hash = panel.id;
+    }
+    if (url.href === window.location.href) {
+      return;
+    }
+    if (this._config.history === HISTORY_PUSH) {
+      window.history.pushState(null, '', url.href);
+      return;
+    }
+    window.history.replaceState(window.history.state, '', url.href);
+  }
+  _activate(element, relatedElem) {
+    if (!element) {
+      return;
+    }
+    element.classList.add(CLASS_NAME_ACTIVE);
+    this._activate(SelectorEngine.getElementFromSelector(element)); // Search and activate/show the proper section
+
+    const complete = () => {
+      if (element.getAttribute('role') !== 'tab') {
+        element.classList.add(CLASS_NAME_SHOW$1);
+        return;
+      }
+      element.removeAttribute('tabindex');
+      element.setAttribute('aria-selected', true);
+      this._toggleDropDown(element, true);
+      EventHandler.trigger(element, EVENT_SHOWN$1, {
+        relatedTarget: relatedElem
+      });
+    };
+    this._queueCallback(complete, element, element.classList.contains(CLASS_NAME_FADE$1));
+  }
+  _deactivate(element, relatedElem) {
+    if (!element) {
+      return;
+    }
+    element.classList.remove(CLASS_NAME_ACTIVE);
+    element.blur();
+    this._deactivate(SelectorEngine.getElementFromSelector(element)); // Search and deactivate the shown section too
+
+    const complete = () => {
+      if (element.getAttribute('role') !== 'tab') {
+        element.classList.remove(CLASS_NAME_SHOW$1);
+        return;
+      }
+      element.setAttribute('aria-selected', false);
+      element.setAttribute('tabindex', '-1');
+      this._toggleDropDown(element, false);
+      EventHandler.trigger(element, EVENT_HIDDEN$1, {
+        relatedTarget: relatedElem
+      });
+    };
+    this._queueCallback(complete, element, element.classList.contains(CLASS_NAME_FADE$1));
+  }
+  _keydown(event) {
+    if (event.key === DELETE_KEY && this._config.closable) {
+      event.preventDefault();
+      this.close();
+      return;
+    }
+    if (event.ctrlKey && this._config.reorderable && [ARROW_LEFT_KEY, ARROW_RIGHT_KEY, ARROW_UP_KEY, ARROW_DOWN_KEY].includes(event.key)) {
+      event.stopPropagation();
+      event.preventDefault();
+      this._move([ARROW_RIGHT_KEY, ARROW_DOWN_KEY].includes(event.key) ? 1 : -1);
+      return;
+    }
+    if (![ARROW_LEFT_KEY, ARROW_RIGHT_KEY, ARROW_UP_KEY, ARROW_DOWN_KEY, HOME_KEY, END_KEY].includes(event.key)) {
+      return;
+    }
+    event.stopPropagation(); // stopPropagation/preventDefault both added to support up/down keys without scrolling the page
+    event.preventDefault();
+    const children = this._getChildren().filter(element => !isDisabled(element));
+    let nextActiveElement;
+    if ([HOME_KEY, END_KEY].includes(event.key)) {
+      nextActiveElement = children[event.key === HOME_KEY ? 0 : children.length - 1];
+    } else {
+      const isNext = [ARROW_RIGHT_KEY, ARROW_DOWN_KEY].includes(event.key);
+      nextActiveElement = getNextActiveElement(children, event.target, isNext, true);
+    }
+    if (nextActiveElement) {
+      nextActiveElement.focus({
+        preventScroll: true
+      });
+      Tab.getOrCreateInstance(nextActiveElement).show();
+    }
+  }
+  _createCloseButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = CLASS_NAME_CLOSE$1;
+    button.tabIndex = -1; // closed from the keyboard with the Delete key on the tab itself
+    button.setAttribute('aria-label', this._config.closeLabel);
+    let item = this._getListItem();
+    if (item === this._element && this._element.classList.contains(CLASS_NAME_NAV_LINK)) {
+      // a bare tab is wrapped with its close button, so both are closed and reordered as one item
+      item = document.createElement('div');
+      item.className = CLASS_NAME_NAV_ITEM;
+      item.setAttribute('role', 'presentation');
+      this._element.before(item);
+      item.append(this._element);
+      this._closeWrapper = item;
+    }
+    this._element.after(button);
+    if (item !== this._element) {
+      item.classList.add(...CLASS_NAME_CLOSABLE.split(' '));
+    }
+    EventHandler.on(button, EVENT_CLICK_CLOSE, () => this.close());
+    return button;
+  }
+  _setDragListeners() {
+    const item = this._getListItem();
+    item.draggable = true;
+    EventHandler.on(item, EVENT_DRAG_START$1, event => {
+      draggedItem = item;
+      dragStartIndex = getTabItems(item.parentElement).indexOf(item);
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', this._element.textContent.trim());
+    });
+    EventHandler.on(item, EVENT_DRAG_OVER, event => {
+      if (!draggedItem || draggedItem === item || draggedItem.parentElement !== item.parentElement) {
+        return;
+      }
+      event.preventDefault();
+      const rect = item.getBoundingClientRect();
+      const isVertical = this._parent.classList.contains(CLASS_NAME_VERTICAL) || this._parent.getAttribute('aria-orientation') === 'vertical';
+      const isPastMiddle = isVertical ? event.clientY > rect.top + rect.height / 2 : event.clientX > rect.left + rect.width / 2;
+      if (isPastMiddle !== (isRTL() && !isVertical)) {
+        item.after(draggedItem);
+      } else {
+        item.before(draggedItem);
+      }
+    });
+    EventHandler.on(item, EVENT_DROP, event => {
+      if (draggedItem) {
+        event.preventDefault();
+      }
+    });
+    EventHandler.on(item, EVENT_DRAG_END, () => {
+      const from = dragStartIndex;
+      const to = getTabItems(item.parentElement).indexOf(item);
+      draggedItem = null;
+      dragStartIndex = -1;
+      layoutOverflow(this._parent);
+      if (from !== to) {
+        EventHandler.trigger(this._element, EVENT_MOVED, {
+          from,
+          to
+        });
+      }
+    });
+  }
+  _move(offset) {
+    // reordering happens on the full list, the overflow menu is laid out again afterwards
+    restoreOverflow(this._parent);
+    const item = this._getListItem();
+    const items = getTabItems(item.parentElement);
+    const from = items.indexOf(item);
+    const to = from + offset;
+    if (to < 0 || to >= items.length) {
+      layoutOverflow(this._parent);
+      return;
+    }
+    if (offset > 0) {
+      items[to].after(item);
+    } else {
+      items[to].before(item);
+    }
+    layoutOverflow(this._parent);
+    this._element.focus({
+      preventScroll: true
+    });
+    EventHandler.trigger(this._element, EVENT_MOVED, {
+      from,
+      to
+    });
+  }
+
+  // The child of the tab list (or of a dropdown menu in it) holding the tab
+  _getListItem() {
+    if (!this._element.parentElement) {
+      return this._element;
+    }
+    const container = this._element.parentElement.closest(`${SELECTOR_DROPDOWN_MENU}, ${SELECTOR_TAB_PANEL}`);
+    let item = this._element;
+    while (item.parentElement && item.parentElement !== container) {
+      item = item.parentElement;
+    }
+    return item;
+  }
+  _getChildren() {
+    // collection of inner elements
+    return SelectorEngine.find(SELECTOR_INNER_ELEM, this._parent);
+  }
+  _getActiveElem() {
+    return this._getChildren().find(child => this._elemIsActive(child)) || null;
+  }
+  _setInitialAttributes(parent, children) {
+    this._setAttributeIfNotExists(parent, 'role', 'tablist');
+    for (const child of children) {
+      this._setInitialAttributesOnChild(child);
+    }
+  }
+  _setInitialAttributesOnChild(child) {
+    child = this._getInnerElement(child);
+    const isActive = this._elemIsActive(child);
+    const outerElem = this._getOuterElement(child);
+    child.setAttribute('aria-selected', isActive);
+    if (outerElem !== child) {
+      this._setAttributeIfNotExists(outerElem, 'role', 'presentation');
+    }
+    if (!isActive) {
+      child.setAttribute('tabindex', '-1');
+    }
+    this._setAttributeIfNotExists(child, 'role', 'tab');
+
+    // set attributes to the related panel too
+    this._setInitialAttributesOnTargetPanel(child);
+  }
+  _setInitialAttributesOnTargetPanel(child) {
+    const target = SelectorEngine.getElementFromSelector(child);
+    if (!target) {
+      return;
+    }
+    this._setAttributeIfNotExists(target, 'role', 'tabpanel');
+    if (child.id) {
+      this._setAttributeIfNotExists(target, 'aria-labelledby', `${child.id}`);
+    }
+  }
+  _toggleDropDown(element, open) {
+    const outerElem = this._getOuterElement(element);
+    if (!outerElem.classList.contains(CLASS_DROPDOWN)) {
+      return;
+    }
+    const toggle = (selector, className) => {
+      const element = SelectorEngine.findOne(selector, outerElem);
+      if (element) {
+        element.classList.toggle(className, open);
+      }
+    };
+    toggle(SELECTOR_DROPDOWN_TOGGLE, CLASS_NAME_ACTIVE);
+    // the overflow menu is opened and closed by its own dropdown
+    if (outerElem.matches(SELECTOR_OVERFLOW)) {
+      return;
+    }
+    toggle(SELECTOR_DROPDOWN_MENU, CLASS_NAME_SHOW$1);
+    outerElem.setAttribute('aria-expanded', open);
+  }
+  _setAttributeIfNotExists(element, attribute, value) {
+    if (!element.hasAttribute(attribute)) {
+      element.setAttribute(attribute, value);
+    }
+  }
+  _elemIsActive(elem) {
+    return elem.classList.contains(CLASS_NAME_ACTIVE);
+  }
+
+  // Try to get the inner element (usually the .nav-link)
+  _getInnerElement(elem) {
+    return elem.matches(SELECTOR_INNER_ELEM) ? elem : SelectorEngine.findOne(SELECTOR_INNER_ELEM, elem);
+  }
+
+  // Try to get the outer element (usually the .nav-item)
+  _getOuterElement(elem) {
+    return elem.closest(SELECTOR_OUTER) || elem;
+  }
+
+  // Static
+  static showFromLocation(root = document.documentElement) {
+    const lists = SelectorEngine.find(SELECTOR_DATA_SYNC, root);
+    if (root.matches(SELECTOR_DATA_SYNC)) {
+      lists.unshift(root);
+    }
+
+    // lists come in document order, so outer tab sets are shown before the ones nested in their panels
+    for (const list of lists.filter(element => element.matches(SELECTOR_TAB_PANEL))) {
+      const tabs = SelectorEngine.find(SELECTOR_INNER_ELEM, list).filter(element => element.closest(SELECTOR_TAB_PANEL) === list);
+      if (!tabs.length) {
+        continue;
+      }
+      const config = Tab.getOrCreateInstance(tabs[0])._config;
+      if (!config.sync) {
+        continue;
+      }
+      if (!initialTabs.has(list)) {
+        initialTabs.set(list, tabs.find(element => element.classList.contains(CLASS_NAME_ACTIVE)) || tabs[0]);
+      }
+      const id = config.sync === SYNC_QUERY ? new URLSearchParams(window.location.search).get(config.syncParam) : getFragmentId();
+      const target = id ? document.getElementById(id) : null;
+
+      // a fragment may point to a panel nested in one of this list's panels, or to content elsewhere that leaves the tabs alone
+      const tab = target ? tabs.find(element => {
+        const panel = SelectorEngine.getElementFromSelector(element);
+        return panel && panel.contains(target);
+      }) : initialTabs.get(list);
+      if (!tab || isDisabled(tab)) {
+        continue;
+      }
+      isShowingFromLocation = true;
+      try {
+        Tab.getOrCreateInstance(tab).show();
+      } finally {
+        isShowingFromLocation = false;
+      }
+    }
+  }
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = Tab.getOrCreateInstance(this);
+      if (typeof config !== 'string') {
+        return;
+      }
+      if (data[config] === undefined || config.startsWith('_') || config === 'constructor') {
+        throw new TypeError(`No method named "${config}"`);
+      }
+      data[config]();
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+EventHandler.on(document, EVENT_CLICK_DATA_API, SELECTOR_DATA_TOGGLE, function (event) {
+  if (['A', 'AREA'].includes(this.tagName)) {
+    event.preventDefault();
+  }
+  if (isDisabled(this)) {
+    return;
+  }
+  Tab.getOrCreateInstance(this).show();
+});
+
+/**
+ * Initialize on focus
+ */
+EventHandler.on(window, EVENT_LOAD_DATA_API, () => {
+  for (const element of SelectorEngine.find(SELECTOR_DATA_TOGGLE_ACTIVE)) {
+    Tab.getOrCreateInstance(element);
+  }
+
+  // close buttons, drag handles and the overflow menu are set up by the tabs themselves
+  for (const list of SelectorEngine.find(SELECTOR_DATA_LIST_FEATURES)) {
+    for (const element of SelectorEngine.find(SELECTOR_DATA_TOGGLE, list)) {
+      Tab.getOrCreateInstance(element);
+    }
+  }
+  Tab.showFromLocation();
+});
+EventHandler.on(window, EVENT_RESIZE$2, () => {
+  for (const more of SelectorEngine.find(SELECTOR_OVERFLOW)) {
+    layoutOverflow(more.parentElement);
+  }
+});
+EventHandler.on(window, EVENT_POPSTATE, () => {
+  Tab.showFromLocation();
+});
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Tab);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap toast.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME = 'toast';
+const DATA_KEY = 'bs.toast';
+const EVENT_KEY = `.${DATA_KEY}`;
+const EVENT_MOUSEOVER = `mouseover${EVENT_KEY}`;
+const EVENT_MOUSEOUT = `mouseout${EVENT_KEY}`;
+const EVENT_FOCUSIN = `focusin${EVENT_KEY}`;
+const EVENT_FOCUSOUT = `focusout${EVENT_KEY}`;
+const EVENT_HIDE = `hide${EVENT_KEY}`;
+const EVENT_HIDDEN = `hidden${EVENT_KEY}`;
+const EVENT_SHOW = `show${EVENT_KEY}`;
+const EVENT_SHOWN = `shown${EVENT_KEY}`;
+const EVENT_WINDOW_BLUR = `blur${EVENT_KEY}`;
+const EVENT_WINDOW_FOCUS = `focus${EVENT_KEY}`;
+const CLASS_NAME_FADE = 'fade';
+const CLASS_NAME_HIDE = 'hide'; // @deprecated - kept here only for backwards compatibility
+const CLASS_NAME_SHOW = 'show';
+const CLASS_NAME_SHOWING = 'showing';
+const CLASS_NAME_PROGRESS = 'progress';
+const CLASS_NAME_PROGRESS_BAR = 'progress-bar';
+const PROGRESS_HEIGHT = '.25rem';
+const DefaultType = {
+  animation: 'boolean',
+  autohide: 'boolean',
+  delay: 'number',
+  progress: 'boolean'
+};
+const Default = {
+  animation: true,
+  autohide: true,
+  delay: 5026,
+  progress: false
+};
+
+/**
+ * Class definition
+ */
+
+class Toast extends BaseComponent {
+  constructor(element, config) {
+    super(element, config);
+    this._timeout = null;
+    this._remaining = null;
+    this._startedAt = null;
+    this._hasMouseInteraction = false;
+    this._hasKeyboardInteraction = false;
+    this._hasWindowBlur = false;
+    this._progressElement = null;
+    this._progressBar = null;
+    this._setListeners();
+    this._createProgress();
+  }
+
+  // Getters
+  static get Default() {
+    return Default;
+  }
+  static get DefaultType() {
+    return DefaultType;
+  }
+  static get NAME() {
+    return NAME;
+  }
+
+  // Public
+  show() {
+    const showEvent = EventHandler.trigger(this._element, EVENT_SHOW);
+    if (showEvent.defaultPrevented) {
+      return;
+    }
+    this._clearTimeout();
+    this._remaining = null;
+    this._updateProgress(false);
+    if (this._config.animation) {
+      this._element.classList.add(CLASS_NAME_FADE);
+    }
+    const complete = () => {
+      this._element.classList.remove(CLASS_NAME_SHOWING);
+      EventHandler.trigger(this._element, EVENT_SHOWN);
+      this._maybeScheduleHide();
+    };
+    this._element.classList.remove(CLASS_NAME_HIDE); // @deprecated
+    reflow(this._element);
+    this._element.classList.add(CLASS_NAME_SHOW, CLASS_NAME_SHOWING);
+    this._queueCallback(complete, this._element, this._config.animation);
+  }
+  hide() {
+    if (!this.isShown()) {
+      return;
+    }
+    const hideEvent = EventHandler.trigger(this._element, EVENT_HIDE);
+    if (hideEvent.defaultPrevented) {
+      return;
+    }
+    const complete = () => {
+      this._element.classList.add(CLASS_NAME_HIDE); // @deprecated
+      this._element.classList.remove(CLASS_NAME_SHOWING, CLASS_NAME_SHOW);
+      this._clearTimeout();
+      this._remaining = null;
+      EventHandler.trigger(this._element, EVENT_HIDDEN);
+    };
+    this._element.classList.add(CLASS_NAME_SHOWING);
+    this._queueCallback(complete, this._element, this._config.animation);
+  }
+  showAsync() {
+    return this._transitionAsync(() => this.show(), EVENT_SHOW, EVENT_SHOWN, EVENT_HIDE);
+  }
+  hideAsync() {
+    return this._transitionAsync(() => this.hide(), EVENT_HIDE, EVENT_HIDDEN, EVENT_SHOW);
+  }
+  dispose() {
+    this._clearTimeout();
+    EventHandler.off(window, EVENT_WINDOW_BLUR, this._windowBlurHandler);
+    EventHandler.off(window, EVENT_WINDOW_FOCUS, this._windowFocusHandler);
+    if (this._progressElement) {
+      this._progressElement.remove();
+    }
+    if (this.isShown()) {
+      this._element.classList.remove(CLASS_NAME_SHOW);
+    }
+    super.dispose();
+  }
+  isShown() {
+    return this._element.classList.contains(CLASS_NAME_SHOW);
+  }
+
+  // Private
+
+  _maybeScheduleHide() {
+    if (!this._config.autohide || this._timeout) {
+      return;
+    }
+
+    // resume with whatever was left when the countdown got paused; a toast shown while paused starts with the full delay
+    if (this._remaining === null) {
+      this._remaining = this._config.delay;
+    }
+    if (this._hasMouseInteraction || this._hasKeyboardInteraction || this._hasWindowBlur) {
+      return;
+    }
+    this._startedAt = Date.now();
+    this._timeout = setTimeout(() => {
+      this._timeout = null;
+      this.hide();
+    }, this._remaining);
+    this._updateProgress(true);
+  }
+  _pauseHide() {
+    if (!this._timeout) {
+      return;
+    }
+    this._remaining = Math.max(0, this._remaining - (Date.now() - this._startedAt));
+    this._clearTimeout();
+    this._updateProgress(false);
+  }
+  _createProgress() {
+    if (!this._config.progress) {
+      return;
+    }
+    const progress = document.createElement('div');
+    progress.className = CLASS_NAME_PROGRESS;
+    progress.style.setProperty('--bs-progress-height', PROGRESS_HEIGHT);
+    progress.setAttribute('aria-hidden', true);
+    const bar = document.createElement('div');
+    bar.className = CLASS_NAME_PROGRESS_BAR;
+    progress.append(bar);
+    this._element.append(progress);
+    this._progressElement = progress;
+    this._progressBar = bar;
+  }
+  _updateProgress(isRunning) {
+    if (!this._progressBar) {
+      return;
+    }
+    const remaining = this._remaining === null ? this._config.delay : this._remaining;
+    const ratio = this._config.delay > 0 ? remaining / this._config.delay : 0;
+    this._progressBar.style.transition = 'none';
+    this._progressBar.style.width = `${ratio * 100}%`;
+    if (!isRunning) {
+      return;
+    }
+    reflow(this._progressBar);
+    this._progressBar.style.transition = `width ${remaining}ms linear`;
+    this._progressBar.style.width = '0%';
+  }
+  _onInteraction(event, isInteracting) {
+    switch (event.type) {
+      case 'mouseover':
+      case 'mouseout':
+        {
+          this._hasMouseInteraction = isInteracting;
+          break;
+        }
+      case 'focusin':
+      case 'focusout':
+        {
+          this._hasKeyboardInteraction = isInteracting;
+          break;
+        }
+    }
+    if (isInteracting) {
+      this._pauseHide();
+      return;
+    }
+    const nextElement = event.relatedTarget;
+    if (this._element === nextElement || this._element.contains(nextElement)) {
+      return;
+    }
+    this._maybeScheduleHide();
+  }
+  _setListeners() {
+    EventHandler.on(this._element, EVENT_MOUSEOVER, event => this._onInteraction(event, true));
+    EventHandler.on(this._element, EVENT_MOUSEOUT, event => this._onInteraction(event, false));
+    EventHandler.on(this._element, EVENT_FOCUSIN, event => this._onInteraction(event, true));
+    EventHandler.on(this._element, EVENT_FOCUSOUT, event => this._onInteraction(event, false));
+    this._windowBlurHandler = () => {
+      this._hasWindowBlur = true;
+      this._pauseHide();
+    };
+    this._windowFocusHandler = () => {
+      this._hasWindowBlur = false;
+      // hidden toasts have no countdown to resume
+      if (this._remaining !== null) {
+        this._maybeScheduleHide();
+      }
+    };
+    EventHandler.on(window, EVENT_WINDOW_BLUR, this._windowBlurHandler);
+    EventHandler.on(window, EVENT_WINDOW_FOCUS, this._windowFocusHandler);
+  }
+  _clearTimeout() {
+    clearTimeout(this._timeout);
+    this._timeout = null;
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = Toast.getOrCreateInstance(this, config);
+      if (typeof config === 'string') {
+        if (typeof data[config] === 'undefined') {
+          throw new TypeError(`No method named "${config}"`);
+        }
+        data[config](this);
+      }
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+enableDismissTrigger(Toast);
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Toast);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap toast-service.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$h = 'toastService';
+const CLASS_NAME_TOAST_CONTAINER = 'toast-container';
+const CLASS_NAME_CLOSE = 'btn-close';
+const SELECTOR_TOAST_HEADER = '.toast-header';
+const SELECTOR_TOAST_TITLE = '.toast-header > strong';
+const SELECTOR_TOAST_BODY = '.toast-body';
+const VARIANTS_ASSERTIVE = new Set(['danger', 'warning']);
+const PLACEMENT_CLASSES = {
+  'top-start': ['top-0', 'start-0'],
+  'top-center': ['top-0', 'start-50', 'translate-middle-x'],
+  'top-end': ['top-0', 'end-0'],
+  'middle-start': ['top-50', 'start-0', 'translate-middle-y'],
+  'middle-center': ['top-50', 'start-50', 'translate-middle'],
+  'middle-end': ['top-50', 'end-0', 'translate-middle-y'],
+  'bottom-start': ['bottom-0', 'start-0'],
+  'bottom-center': ['bottom-0', 'start-50', 'translate-middle-x'],
+  'bottom-end': ['bottom-0', 'end-0']
+};
+const Default$e = {
+  allowList: DefaultAllowlist,
+  container: 'body',
+  html: false,
+  maxVisible: 3,
+  placement: 'top-end',
+  sanitize: true,
+  sanitizeFn: null,
+  template: '<div class="toast" role="status" aria-live="polite" aria-atomic="true">' + '<div class="toast-header"><strong class="me-auto"></strong></div>' + '<div class="toast-body"></div>' + '</div>'
+};
+const DefaultType$e = {
+  allowList: 'object',
+  container: '(string|element)',
+  html: 'boolean',
+  maxVisible: 'number',
+  placement: 'string',
+  sanitize: 'boolean',
+  sanitizeFn: '(null|function)',
+  template: 'string'
+};
+const DefaultMessage = {
+  animation: true,
+  autohide: true,
+  body: '',
+  delay: Default.delay,
+  progress: false,
+  title: null,
+  variant: null
+};
+const DefaultMessageType = {
+  animation: 'boolean',
+  autohide: 'boolean',
+  body: '(string|element|function)',
+  delay: 'number',
+  progress: 'boolean',
+  title: '(null|string|element|function)',
+  variant: '(null|string)'
+};
+
+/**
+ * Class definition
+ */
+
+class ToastService extends Config {
+  constructor(config) {
+    super();
+    this._config = this._getConfig(config);
+    this._containerElement = null;
+    this._visible = new Set();
+    this._queue = [];
+    this._keys = new Set();
+  }
+
+  // Getters
+  static get Default() {
+    return Default$e;
+  }
+  static get DefaultType() {
+    return DefaultType$e;
+  }
+  static get NAME() {
+    return NAME$h;
+  }
+
+  // Public
+  push(message) {
+    message = {
+      ...DefaultMessage,
+      ...message
+    };
+    this._typeCheckConfig(message, DefaultMessageType);
+    const key = this._getMessageKey(message);
+    if (key !== null && this._keys.has(key)) {
+      return false;
+    }
+    message.key = key;
+    if (key !== null) {
+      this._keys.add(key);
+    }
+    if (this._visible.size >= this._config.maxVisible) {
+      this._queue.push(message);
+      return true;
+    }
+    this._display(message);
+    return true;
+  }
+  clear() {
+    this._clearQueue();
+    for (const toast of this._visible) {
+      toast.hide();
+    }
+  }
+  dispose() {
+    this._clearQueue();
+    for (const toast of this._visible) {
+      toast.dispose();
+    }
+    this._visible.clear();
+    this._keys.clear();
+    if (this._containerElement) {
+      this._containerElement.remove();
+      this._containerElement = null;
+    }
+  }
+
+  // Private
+  _configAfterMerge(config) {
+    if (!PLACEMENT_CLASSES[config.placement]) {
+      throw new TypeError(`${NAME$h.toUpperCase()}: Option "placement" provided value "${config.placement}" but expected one of "${Object.keys(PLACEMENT_CLASSES).join(', ')}".`);
+    }
+
+    // use getElement() with the default "body" to get a fresh Element on each instantiation
+    config.container = getElement(config.container);
+    return config;
+  }
+  _display(message) {
+    const element = this._createToastElement(message);
+    this._getContainer().append(element);
+    const toast = Toast.getOrCreateInstance(element, {
+      animation: message.animation,
+      autohide: message.autohide,
+      delay: message.delay,
+      progress: message.progress
+    });
+    this._visible.add(toast);
+    EventHandler.one(element, EVENT_HIDDEN, () => {
+      this._visible.delete(toast);
+      this._keys.delete(message.key);
+      toast.dispose();
+      element.remove();
+      this._displayNext();
+    });
+    toast.show();
+  }
+  _clearQueue() {
+    // dropped messages may be pushed again later
+    for (const message of this._queue) {
+      this._keys.delete(message.key);
+    }
+    this._queue = [];
+  }
+  _displayNext() {
+    if (!this._queue.length || this._visible.size >= this._config.maxVisible) {
+      return;
+    }
+    this._display(this._queue.shift());
+  }
+  _createToastElement(message) {
+    const {
+      allowList,
+      html,
+      sanitize,
+      sanitizeFn,
+      template
+    } = this._config;
+    const element = new TemplateFactory({
+      allowList,
+      content: {
+        [SELECTOR_TOAST_TITLE]: message.title,
+        [SELECTOR_TOAST_BODY]: message.body
+      },
+      extraClass: message.variant ? `text-bg-${message.variant}` : '',
+      html,
+      sanitize,
+      sanitizeFn,
+      template
+    }).toHtml();
+    if (VARIANTS_ASSERTIVE.has(message.variant)) {
+      element.setAttribute('role', 'alert');
+      element.setAttribute('aria-live', 'assertive');
+    }
+
+    // the close button is added here so the sanitized template can keep the default allow list
+    const header = SelectorEngine.findOne(SELECTOR_TOAST_HEADER, element);
+    if (header) {
+      const closeButton = document.createElement('button');
+      closeButton.type = 'button';
+      closeButton.className = CLASS_NAME_CLOSE;
+      closeButton.setAttribute('data-bs-dismiss', NAME);
+      closeButton.setAttribute('aria-label', 'Close');
+      header.append(closeButton);
+    }
+    return element;
+  }
+  _getContainer() {
+    if (!this._containerElement) {
+      const container = document.createElement('div');
+      container.classList.add(CLASS_NAME_TOAST_CONTAINER, 'position-fixed', 'p-3', ...PLACEMENT_CLASSES[this._config.placement]);
+      this._config.container.append(container);
+      this._containerElement = container;
+    }
+    return this._containerElement;
+  }
+  _getMessageKey(message) {
+    // only plain text messages can be compared
+    if (![message.title, message.body].every(part => part === null || typeof part === 'string')) {
+      return null;
+    }
+    return JSON.stringify([message.variant, message.title, message.body]);
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap modal-dialog.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$i = 'modalDialog';
+const ENTER_KEY = 'Enter';
+const EVENT_KEYDOWN_INPUT = `keydown${EVENT_KEY$4}`;
+const EVENT_CLICK_CONFIRM = `click${EVENT_KEY$4}`;
+const CLASS_NAME_INVALID = 'is-invalid';
+const SELECTOR_DIALOG_TITLE = '.modal-title';
+const SELECTOR_DIALOG_BODY = '.modal-body';
+const SELECTOR_DIALOG_TEXT = '.modal-body > div';
+const SELECTOR_DIALOG_FOOTER = '.modal-footer';
+const Default$f = {
+  allowList: DefaultAllowlist,
+  body: '',
+  cancelText: 'Cancel',
+  confirmText: 'OK',
+  html: false,
+  input: false,
+  inputType: 'text',
+  placeholder: '',
+  required: false,
+  sanitize: true,
+  sanitizeFn: null,
+  template: '<div class="modal fade">' + '<div class="modal-dialog modal-dialog-centered">' + '<div class="modal-content">' + '<div class="modal-header"><h5 class="modal-title"></h5></div>' + '<div class="modal-body"><div></div></div>' + '<div class="modal-footer"></div>' + '</div></div></div>',
+  title: '',
+  value: '',
+  variant: 'primary'
+};
+const DefaultType$f = {
+  allowList: 'object',
+  body: '(string|element|function)',
+  cancelText: 'string',
+  confirmText: 'string',
+  html: 'boolean',
+  input: 'boolean',
+  inputType: 'string',
+  placeholder: 'string',
+  required: 'boolean',
+  sanitize: 'boolean',
+  sanitizeFn: '(null|function)',
+  template: 'string',
+  title: '(string|element|function)',
+  value: 'string',
+  variant: 'string'
+};
+
+/**
+ * Class definition
+ */
+
+class ModalDialog extends Config {
+  constructor(config) {
+    super();
+    this._config = this._getConfig(config);
+    this._input = null;
+    this._confirmButton = null;
+  }
+
+  // Getters
+  static get Default() {
+    return Default$f;
+  }
+  static get DefaultType() {
+    return DefaultType$f;
+  }
+  static get NAME() {
+    return NAME$i;
+  }
+
+  // Public
+  open() {
+    const element = this._createElement();
+    const confirmButton = this._confirmButton;
+
+    // the dialog is removed once closed, so it hands focus back to whatever opened it
+    const previousActiveElement = document.activeElement;
+    document.body.append(element);
+    const modal = new Modal(element);
+    let result = this._config.input ? null : false;
+    const confirm = () => {
+      if (this._input && this._config.required && !this._input.value.trim()) {
+        this._input.classList.add(CLASS_NAME_INVALID);
+        this._input.focus();
+        return;
+      }
+      result = this._input ? this._input.value : true;
+      modal.hide();
+    };
+    EventHandler.on(confirmButton, EVENT_CLICK_CONFIRM, confirm);
+    if (this._input) {
+      EventHandler.on(this._input, EVENT_KEYDOWN_INPUT, event => {
+        if (event.key === ENTER_KEY) {
+          event.preventDefault();
+          confirm();
+        }
+      });
+    }
+    return new Promise(resolve => {
+      EventHandler.one(element, EVENT_SHOWN$4, () => {
+        (this._input || confirmButton).focus();
+      });
+
+      // cancel, Escape and backdrop clicks all end up here with the initial result
+      EventHandler.one(element, EVENT_HIDDEN$4, () => {
+        if (previousActiveElement && isVisible(previousActiveElement)) {
+          previousActiveElement.focus();
+        }
+        modal.dispose();
+        element.remove();
+        resolve(result);
+      });
+      modal.show();
+    });
+  }
+
+  // Private
+  _createElement() {
+    const {
+      allowList,
+      body,
+      html,
+      sanitize,
+      sanitizeFn,
+      template,
+      title
+    } = this._config;
+    const element = new TemplateFactory({
+      allowList,
+      content: {
+        [SELECTOR_DIALOG_TITLE]: title,
+        [SELECTOR_DIALOG_TEXT]: body
+      },
+      html,
+      sanitize,
+      sanitizeFn,
+      template
+    }).toHtml();
+    element.setAttribute('tabindex', '-1'); // not part of the sanitizer allow list
+    const titleElement = SelectorEngine.findOne(SELECTOR_DIALOG_TITLE, element);
+    if (titleElement) {
+      titleElement.id = getUID(NAME$i);
+      element.setAttribute('aria-labelledby', titleElement.id);
+    }
+
+    // controls are created here so the sanitized template can keep the default allow list
+    if (this._config.input) {
+      this._input = document.createElement('input');
+      this._input.className = 'form-control mt-3';
+      this._input.type = this._config.inputType;
+      this._input.value = this._config.value;
+      this._input.placeholder = this._config.placeholder;
+      if (titleElement) {
+        this._input.setAttribute('aria-labelledby', titleElement.id);
+      }
+      SelectorEngine.findOne(SELECTOR_DIALOG_BODY, element).append(this._input);
+    }
+    const footer = SelectorEngine.findOne(SELECTOR_DIALOG_FOOTER, element);
+    this._confirmButton = this._createButton(this._config.confirmText, `btn-${this._config.variant}`, false);
+    footer.append(this._createButton(this._config.cancelText, 'btn-secondary', true), this._confirmButton);
+    return element;
+  }
+  _createButton(text, className, isDismiss) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn ${className}`;
+    button.textContent = text;
+    if (isDismiss) {
+      button.setAttribute('data-bs-dismiss', NAME$7);
+    }
+    return button;
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap combobox.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$j = 'combobox';
+const DATA_KEY$b = 'bs.combobox';
+const EVENT_KEY$c = `.${DATA_KEY$b}`;
+const DATA_API_KEY$7 = '.data-api';
+const ESCAPE_KEY$3 = 'Escape';
+const ENTER_KEY$1 = 'Enter';
+const ARROW_UP_KEY$2 = 'ArrowUp';
+const ARROW_DOWN_KEY$2 = 'ArrowDown';
+const EVENT_SELECTED = `selected${EVENT_KEY$c}`;
+const EVENT_INPUT = `input${EVENT_KEY$c}`;
+const EVENT_KEYDOWN$2 = `keydown${EVENT_KEY$c}`;
+const EVENT_CLICK$2 = `click${EVENT_KEY$c}`;
+const EVENT_MOUSEDOWN$1 = `mousedown${EVENT_KEY$c}`;
+const EVENT_FOCUSOUT$2 = `focusout${EVENT_KEY$c}`;
+const EVENT_DROPDOWN_HIDDEN = 'hidden.bs.dropdown';
+const EVENT_FOCUSIN_DATA_API = `focusin${EVENT_KEY$c}${DATA_API_KEY$7}`;
+const CLASS_NAME_ACTIVE$4 = 'active';
+const CLASS_NAME_MENU = 'dropdown-menu';
+const CLASS_NAME_ITEM = 'dropdown-item';
+const CLASS_NAME_ITEM_TEXT = 'dropdown-item-text';
+const SELECTOR_DATA_TOGGLE$6 = '[data-bs-toggle="combobox"]';
+const SELECTOR_MENU$1 = '.dropdown-menu';
+const SELECTOR_ITEM$1 = '.dropdown-item';
+const SELECTOR_OPTION = '[role="option"]';
+const Default$g = {
+  delay: 150,
+  highlight: true,
+  itemHeight: 32,
+  loadingText: 'Loading…',
+  maxResults: 50,
+  minLength: 1,
+  noResultsText: 'No results',
+  restricted: false,
+  source: null,
+  virtual: false,
+  visibleItems: 8
+};
+const DefaultType$g = {
+  delay: 'number',
+  highlight: 'boolean',
+  itemHeight: 'number',
+  loadingText: 'string',
+  maxResults: 'number',
+  minLength: 'number',
+  noResultsText: 'string',
+  restricted: 'boolean',
+  source: '(null|array|function)',
+  virtual: 'boolean',
+  visibleItems: 'number'
+};
+const normalizeOption = option => typeof option === 'object' && option !== null ? {
+  value: option.value,
+  label: String(option.label === undefined || option.label === null ? option.value : option.label)
+} : {
+  value: option,
+  label: String(option)
+};
+
+/**
+ * Class definition
+ */
+
+class Combobox extends BaseComponent {
+  constructor(element, config) {
+    super(element, config);
+    this._generatedMenu = null;
+    this._menu = SelectorEngine.next(this._element, SELECTOR_MENU$1)[0] || this._createMenu();
+    this._options = this._getStaticOptions();
+    this._results = [];
+    this._query = '';
+    this._virtualList = null;
+    this._activeIndex = -1;
+    this._selection = null;
+    this._timeout = null;
+    this._controller = null;
+    this._setAriaAttributes();
+    // positioning and closing on outside clicks are left to a regular dropdown
+    this._dropdown = Dropdown.getOrCreateInstance(this._element);
+    this._addEventListeners();
+  }
+
+  // Getters
+  static get Default() {
+    return Default$g;
+  }
+  static get DefaultType() {
+    return DefaultType$g;
+  }
+  static get NAME() {
+    return NAME$j;
+  }
+
+  // Public
+  show() {
+    this._search(this._element.value, true);
+  }
+  hide() {
+    this._dropdown.hide();
+  }
+  dispose() {
+    this._cancelSearch();
+    EventHandler.off(this._menu, EVENT_KEY$c);
+    if (this._virtualList) {
+      this._virtualList.dispose();
+    }
+    this._dropdown.dispose();
+    if (this._generatedMenu) {
+      this._generatedMenu.remove();
+    }
+    super.dispose();
+  }
+
+  // Private
+  _createMenu() {
+    const menu = document.createElement('ul');
+    menu.className = CLASS_NAME_MENU;
+    this._element.after(menu);
+    this._generatedMenu = menu;
+    return menu;
+  }
+  _getStaticOptions() {
+    if (this._config.source) {
+      return Array.isArray(this._config.source) ? this._config.source.map(normalizeOption) : [];
+    }
+
+    // without a source the options are read from the items of the markup
+    return SelectorEngine.find(SELECTOR_ITEM$1, this._menu).map(item => {
+      const label = item.textContent.trim();
+      return {
+        value: item.hasAttribute('data-bs-value') ? item.getAttribute('data-bs-value') : label,
+        label
+      };
+    });
+  }
+  _setAriaAttributes() {
+    if (!this._menu.id) {
+      this._menu.id = getUID(NAME$j);
+    }
+    this._menu.setAttribute('role', 'listbox');
+    this._element.setAttribute('role', 'combobox');
+    this._element.setAttribute('aria-autocomplete', 'list');
+    this._element.setAttribute('aria-controls', this._menu.id);
+    this._element.setAttribute('autocomplete', 'off');
+  }
+  _addEventListeners() {
+    EventHandler.on(this._element, EVENT_INPUT, () => this._search(this._element.value));
+    EventHandler.on(this._element, EVENT_KEYDOWN$2, event => this._keydown(event));
+    EventHandler.on(this._element, EVENT_CLICK$2, () => {
+      if (!this._dropdown._isShown() && this._element.value.length >= this._config.minLength) {
+        this.show();
+      }
+    });
+    EventHandler.on(this._element, EVENT_FOCUSOUT$2, event => {
+      if (!this._menu.contains(event.relatedTarget)) {
+        this.hide();
+        if (!this._config.restricted) {
+          this._commitText();
+        }
+      }
+    });
+    EventHandler.on(this._element, EVENT_DROPDOWN_HIDDEN, () => this._handleHidden());
+
+    // keep the focus in the input while an option is picked with the pointer
+    EventHandler.on(this._menu, EVENT_MOUSEDOWN$1, event => event.preventDefault());
+    EventHandler.on(this._menu, EVENT_CLICK$2, SELECTOR_OPTION, event => {
+      this._select(this._results[Number.parseInt(event.delegateTarget.getAttribute('data-bs-index'), 10)]);
+    });
+  }
+  _keydown(event) {
+    const isShown = this._dropdown._isShown();
+    if (event.key === ENTER_KEY$1 && (!isShown || this._activeIndex === -1) && !this._config.restricted) {
+      // like picking an option, committing new text consumes the Enter
+      if (this._commitText()) {
+        event.preventDefault();
+        this.hide();
+      }
+      return;
+    }
+    if (event.key === ARROW_DOWN_KEY$2 || event.key === ARROW_UP_KEY$2) {
+      event.preventDefault();
+      if (!isShown) {
+        this.show();
+      } else if (!event.altKey) {
+        this._moveActive(event.key === ARROW_DOWN_KEY$2);
+      }
+      return;
+    }
+    if (!isShown) {
+      return;
+    }
+    if (event.key === ENTER_KEY$1 && this._activeIndex > -1) {
+      event.preventDefault();
+      this._select(this._results[this._activeIndex]);
+      return;
+    }
+    if (event.key === ESCAPE_KEY$3) {
+      event.preventDefault();
+      this.hide();
+    }
+  }
+  _search(query, force = false) {
+    this._cancelSearch();
+    if (!force && query.length < this._config.minLength) {
+      this.hide();
+      return;
+    }
+    const {
+      source
+    } = this._config;
+    if (typeof source !== 'function') {
+      const needle = query.toLowerCase();
+      const results = this._options.filter(option => option.label.toLowerCase().includes(needle));
+      this._render(query, this._limit(results));
+      return;
+    }
+    const controller = new AbortController();
+    this._controller = controller;
+    this._renderMessage(this._config.loadingText);
+    this._timeout = setTimeout(() => {
+      // a throwing source or one resolving to anything but an array ends up with no results
+      new Promise(resolve => resolve(source(query, controller.signal))).then(options => {
+        if (!Array.isArray(options)) {
+          throw new TypeError(`${NAME$j.toUpperCase()}: Option "source" must return or resolve to an array.`);
+        }
+        return options.map(normalizeOption);
+      }).then(results => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        this._controller = null;
+        this._render(query, this._limit(results));
+      }, () => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        this._controller = null;
+        this._render(query, []);
+      });
+    }, this._config.delay);
+  }
+  _cancelSearch() {
+    clearTimeout(this._timeout);
+    if (this._controller) {
+      this._controller.abort();
+      this._controller = null;
+    }
+  }
+  _limit(results) {
+    // a virtual menu only renders the visible options, so it can show every result
+    return this._config.virtual ? results : results.slice(0, this._config.maxResults);
+  }
+  _render(query, results) {
+    this._results = results;
+    this._query = query;
+    this._setActive(-1);
+    if (!results.length) {
+      this._renderMessage(this._config.noResultsText);
+      return;
+    }
+    if (this._config.virtual) {
+      this._getVirtualList().setItems(results);
+    } else {
+      this._menu.replaceChildren(...results.map((option, index) => this._renderOption(option, index)));
+    }
+    this._showMenu();
+  }
+  _renderOption(option, index) {
+    const isActive = index === this._activeIndex;
+    const item = document.createElement('li');
+    item.className = CLASS_NAME_ITEM;
+    item.classList.toggle(CLASS_NAME_ACTIVE$4, isActive);
+    item.id = `${this._menu.id}-option-${index}`;
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', isActive);
+    item.setAttribute('data-bs-index', index);
+    item.append(...this._highlight(option.label, this._query));
+    return item;
+  }
+  _getVirtualList() {
+    if (!this._virtualList) {
+      this._virtualList = new VirtualList(this._menu, {
+        itemHeight: this._config.itemHeight,
+        renderItem: (option, index) => this._renderOption(option, index),
+        visibleItems: this._config.visibleItems
+      });
+    }
+    return this._virtualList;
+  }
+  _renderMessage(text) {
+    if (this._virtualList) {
+      this._virtualList.setItems([]);
+    }
+    const item = document.createElement('li');
+    item.className = CLASS_NAME_ITEM_TEXT;
+    item.textContent = text;
+    this._menu.replaceChildren(item);
+    this._showMenu();
+  }
+  _highlight(label, query) {
+    const index = query ? label.toLowerCase().indexOf(query.toLowerCase()) : -1;
+    if (!this._config.highlight || index === -1) {
+      return [label];
+    }
+    const mark = document.createElement('mark');
+    mark.textContent = label.slice(index, index + query.length);
+    return [label.slice(0, index), mark, label.slice(index + query.length)];
+  }
+  _showMenu() {
+    if (this._dropdown._isShown()) {
+      this._dropdown.update();
+      return;
+    }
+    this._dropdown.show();
+  }
+  _moveActive(isNext) {
+    const count = this._results.length;
+    if (!count) {
+      return;
+    }
+    if (this._activeIndex === -1) {
+      this._setActive(isNext ? 0 : count - 1);
+      return;
+    }
+    this._setActive((this._activeIndex + (isNext ? 1 : -1) + count) % count);
+  }
+  _setActive(index) {
+    this._activeIndex = index;
+    const active = index === -1 ? null : this._getOption(index);
+    for (const option of SelectorEngine.find(SELECTOR_OPTION, this._menu)) {
+      option.classList.toggle(CLASS_NAME_ACTIVE$4, option === active);
+      option.setAttribute('aria-selected', option === active);
+    }
+    if (!active) {
+      this._element.removeAttribute('aria-activedescendant');
+      return;
+    }
+    this._element.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({
+      block: 'nearest'
+    });
+  }
+  _getOption(index) {
+    if (this._virtualList) {
+      return this._virtualList.scrollToIndex(index);
+    }
+    return SelectorEngine.find(SELECTOR_OPTION, this._menu)[index] || null;
+  }
+  _select(option) {
+    if (!option) {
+      return;
+    }
+    this._selection = option;
+    this._element.value = option.label;
+    this.hide();
+    EventHandler.trigger(this._element, EVENT_SELECTED, {
+      value: option.value,
+      label: option.label
+    });
+  }
+  // Reports typed text that isn't one of the options as a selection of its own
+  _commitText() {
+    const text = this._element.value.trim();
+    if (text === (this._selection ? this._selection.label : '')) {
+      return false;
+    }
+    const match = [...this._results, ...this._options].find(option => option.label.toLowerCase() === text.toLowerCase());
+    if (match) {
+      this._select(match);
+      return true;
+    }
+    this._selection = text ? {
+      value: text,
+      label: text
+    } : null;
+    EventHandler.trigger(this._element, EVENT_SELECTED, {
+      value: text || null,
+      label: text
+    });
+    return true;
+  }
+  _handleHidden() {
+    this._cancelSearch();
+    this._setActive(-1);
+    if (this._config.restricted) {
+      this._enforceSelection();
+    }
+  }
+  _enforceSelection() {
+    const text = this._element.value.trim().toLowerCase();
+    if (this._selection && this._selection.label.toLowerCase() === text) {
+      return;
+    }
+    if (!text) {
+      this._selection = null;
+      EventHandler.trigger(this._element, EVENT_SELECTED, {
+        value: null,
+        label: ''
+      });
+      return;
+    }
+
+    // only text matching one of the options is kept in restricted mode
+    const match = [...this._results, ...this._options].find(option => option.label.toLowerCase() === text);
+    if (match) {
+      this._select(match);
+      return;
+    }
+    this._element.value = this._selection ? this._selection.label : '';
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = Combobox.getOrCreateInstance(this, config);
+      if (typeof config !== 'string') {
+        return;
+      }
+      if (data[config] === undefined || config.startsWith('_') || config === 'constructor') {
+        throw new TypeError(`No method named "${config}"`);
+      }
+      data[config]();
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+EventHandler.on(document, EVENT_FOCUSIN_DATA_API, SELECTOR_DATA_TOGGLE$6, function () {
+  Combobox.getOrCreateInstance(this);
+});
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(Combobox);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap tag-input.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$k = 'taginput';
+const DATA_KEY$c = 'bs.taginput';
+const EVENT_KEY$d = `.${DATA_KEY$c}`;
+const DATA_API_KEY$8 = '.data-api';
+const ENTER_KEY$2 = 'Enter';
+const BACKSPACE_KEY = 'Backspace';
+const EVENT_ADD = `add${EVENT_KEY$d}`;
+const EVENT_REMOVE = `remove${EVENT_KEY$d}`;
+const EVENT_INVALID = `invalid${EVENT_KEY$d}`;
+const EVENT_CHANGE = 'change';
+const EVENT_KEYDOWN$3 = `keydown${EVENT_KEY$d}`;
+const EVENT_PASTE = `paste${EVENT_KEY$d}`;
+const EVENT_CLICK$3 = `click${EVENT_KEY$d}`;
+const EVENT_COMBOBOX_SELECTED = 'selected.bs.combobox';
+const EVENT_LOAD_DATA_API$4 = `load${EVENT_KEY$d}${DATA_API_KEY$8}`;
+const CLASS_NAME_CONTROL = 'form-control d-flex flex-wrap align-items-center gap-1';
+const CLASS_NAME_CHIP = 'badge text-bg-secondary d-inline-flex align-items-center gap-1';
+const CLASS_NAME_CHIP_CLOSE = 'btn-close btn-close-white';
+const CLASS_NAME_TEXT_INPUT = 'border-0 flex-grow-1 p-0';
+const CLASS_NAME_HIDDEN = 'd-none';
+const SELECTOR_DATA_TOGGLE$7 = '[data-bs-toggle="taginput"]';
+const SELECTOR_CHIP_CLOSE = '.btn-close';
+const REASON_DUPLICATE = 'duplicate';
+const REASON_MAX = 'max';
+const Default$h = {
+  allowDuplicates: false,
+  delimiter: ',',
+  maxTags: null,
+  placeholder: '',
+  suggestions: null
+};
+const DefaultType$h = {
+  allowDuplicates: 'boolean',
+  delimiter: 'string',
+  maxTags: '(null|number)',
+  placeholder: 'string',
+  suggestions: '(null|array|function)'
+};
+
+/**
+ * Class definition
+ */
+
+class TagInput extends BaseComponent {
+  constructor(element, config) {
+    super(element, config);
+    this._isSelect = this._element.tagName === 'SELECT';
+    this._tags = this._getInitialTags();
+    this._label = null;
+    this._labelFor = null;
+    this._control = this._createControl();
+    this._input = SelectorEngine.findOne('input', this._control);
+    this._combobox = this._createCombobox();
+    this._element.classList.add(CLASS_NAME_HIDDEN);
+    this._render();
+    this._addEventListeners();
+  }
+
+  // Getters
+  static get Default() {
+    return Default$h;
+  }
+  static get DefaultType() {
+    return DefaultType$h;
+  }
+  static get NAME() {
+    return NAME$k;
+  }
+
+  // Public
+  getValues() {
+    return [...this._tags];
+  }
+  add(value) {
+    const tag = this._toValue(String(value).trim());
+    if (!tag) {
+      return false;
+    }
+    const reason = this._getInvalidReason(tag);
+    if (reason) {
+      EventHandler.trigger(this._element, EVENT_INVALID, {
+        value: tag,
+        reason
+      });
+      return false;
+    }
+    const addEvent = EventHandler.trigger(this._element, EVENT_ADD, {
+      value: tag
+    });
+    if (addEvent.defaultPrevented) {
+      return false;
+    }
+    this._tags.push(tag);
+    this._update();
+    return true;
+  }
+  remove(value) {
+    const index = this._tags.indexOf(value);
+    if (index === -1) {
+      return false;
+    }
+    const removeEvent = EventHandler.trigger(this._element, EVENT_REMOVE, {
+      value
+    });
+    if (removeEvent.defaultPrevented) {
+      return false;
+    }
+    this._tags.splice(index, 1);
+    this._update();
+    return true;
+  }
+  clear() {
+    for (const tag of [...this._tags].reverse()) {
+      this.remove(tag);
+    }
+  }
+  dispose() {
+    if (this._combobox) {
+      this._combobox.dispose();
+    }
+    this._control.remove();
+    this._element.classList.remove(CLASS_NAME_HIDDEN);
+    if (this._label) {
+      this._label.htmlFor = this._labelFor;
+    }
+    super.dispose();
+  }
+
+  // Private
+  _getInitialTags() {
+    if (this._isSelect) {
+      return [...this._element.selectedOptions].map(option => option.value);
+    }
+    return this._split(this._element.value);
+  }
+  _split(text) {
+    return text.split(this._config.delimiter).map(tag => tag.trim()).filter(Boolean);
+  }
+  _createControl() {
+    const control = document.createElement('div');
+    control.className = CLASS_NAME_CONTROL;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = CLASS_NAME_TEXT_INPUT;
+    input.placeholder = this._config.placeholder;
+    // the label points at the text input while the tag input is active, and back at the element once disposed
+    const label = this._element.id && document.querySelector(`label[for="${this._element.id}"]`);
+    if (label) {
+      this._label = label;
+      this._labelFor = label.htmlFor;
+      input.id = getUID(NAME$k);
+      label.htmlFor = input.id;
+    }
+    control.append(input);
+    this._element.after(control);
+    return control;
+  }
+  _createCombobox() {
+    const suggestions = this._getSuggestions();
+    if (!suggestions) {
+      return null;
+    }
+
+    // the list is positioned below the whole control instead of the text input
+    const menu = document.createElement('ul');
+    menu.className = CLASS_NAME_MENU;
+    this._input.after(menu);
+    Dropdown.getOrCreateInstance(this._input, {
+      reference: 'parent'
+    });
+    return new Combobox(this._input, {
+      delay: 0,
+      source: (query, signal) => Promise.resolve(execute(suggestions, [query, signal])).then(options => options.filter(option => {
+        const value = typeof option === 'object' && option !== null ? option.value : option;
+        return !this._getInvalidReason(String(value));
+      }))
+    });
+  }
+  _getSuggestions() {
+    if (typeof this._config.suggestions === 'function') {
+      return this._config.suggestions;
+    }
+    const options = this._config.suggestions || (this._isSelect ? [...this._element.options].map(option => ({
+      value: option.value,
+      label: option.textContent
+    })) : null);
+    if (!options) {
+      return null;
+    }
+    return query => options.filter(option => {
+      const label = typeof option === 'object' ? option.label || option.value : option;
+      return String(label).toLowerCase().includes(query.toLowerCase());
+    });
+  }
+  _getInvalidReason(tag) {
+    if (!this._config.allowDuplicates && this._tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      return REASON_DUPLICATE;
+    }
+    if (this._config.maxTags !== null && this._tags.length >= this._config.maxTags) {
+      return REASON_MAX;
+    }
+    return null;
+  }
+  _addEventListeners() {
+    EventHandler.on(this._input, EVENT_KEYDOWN$3, event => this._keydown(event));
+    EventHandler.on(this._input, EVENT_PASTE, event => {
+      const text = (event.clipboardData || window.clipboardData).getData('text');
+      if (!text.includes(this._config.delimiter)) {
+        return;
+      }
+      event.preventDefault();
+      for (const tag of this._split(text)) {
+        this.add(tag);
+      }
+    });
+    EventHandler.on(this._input, EVENT_COMBOBOX_SELECTED, event => {
+      if (event.value !== null && this.add(event.value)) {
+        this._input.value = '';
+      }
+    });
+    EventHandler.on(this._control, EVENT_CLICK$3, event => {
+      const close = event.target.closest(SELECTOR_CHIP_CLOSE);
+      if (close) {
+        this.remove(close.parentNode.getAttribute('data-bs-value'));
+        return;
+      }
+      this._input.focus();
+    });
+  }
+  _keydown(event) {
+    // the combobox has already handled keys picking a suggestion
+    if (event.defaultPrevented) {
+      return;
+    }
+    if (event.key === ENTER_KEY$2 || event.key === this._config.delimiter) {
+      if (!this._input.value.trim()) {
+        return;
+      }
+      event.preventDefault();
+      if (this.add(this._input.value)) {
+        this._input.value = '';
+        if (this._combobox) {
+          this._combobox.hide();
+        }
+      }
+      return;
+    }
+    if (event.key === BACKSPACE_KEY && !this._input.value && this._tags.length) {
+      this.remove(this._tags[this._tags.length - 1]);
+    }
+  }
+  _update() {
+    this._render();
+    this._sync();
+    EventHandler.trigger(this._element, EVENT_CHANGE);
+  }
+  _render() {
+    const chips = this._tags.map(tag => {
+      const chip = document.createElement('span');
+      chip.className = CLASS_NAME_CHIP;
+      chip.setAttribute('data-bs-value', tag);
+      const label = this._getLabel(tag);
+      chip.textContent = label;
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = CLASS_NAME_CHIP_CLOSE;
+      close.setAttribute('aria-label', `Remove ${label}`);
+      chip.append(close);
+      return chip;
+    });
+    this._control.replaceChildren(...chips, this._input, ...(this._combobox ? [this._combobox._menu] : []));
+  }
+  _getOption(predicate) {
+    return this._isSelect ? [...this._element.options].find(predicate) || null : null;
+  }
+
+  // Chips show an option's label while the select submits its value
+  _getLabel(tag) {
+    const option = this._getOption(option => option.value === tag);
+    return option ? option.label : tag;
+  }
+
+  // Typed text naming an option of the select stands for that option's value
+  _toValue(text) {
+    if (this._getOption(option => option.value === text)) {
+      return text;
+    }
+    const option = this._getOption(option => option.label.toLowerCase() === text.toLowerCase());
+    return option ? option.value : text;
+  }
+  _sync() {
+    if (!this._isSelect) {
+      this._element.value = this._tags.join(this._config.delimiter);
+      return;
+    }
+    for (const tag of this._tags) {
+      if (![...this._element.options].some(option => option.value === tag)) {
+        this._element.add(new Option(tag, tag));
+      }
+    }
+    for (const option of this._element.options) {
+      option.selected = this._tags.includes(option.value);
+    }
+  }
+
+  // Static
+  static jQueryInterface(config) {
+    return this.each(function () {
+      const data = TagInput.getOrCreateInstance(this, config);
+      if (typeof config !== 'string') {
+        return;
+      }
+      if (data[config] === undefined || config.startsWith('_') || config === 'constructor') {
+        throw new TypeError(`No method named "${config}"`);
+      }
+      data[config]();
+    });
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+EventHandler.on(window, EVENT_LOAD_DATA_API$4, () => {
+  for (const element of SelectorEngine.find(SELECTOR_DATA_TOGGLE$7)) {
+    TagInput.getOrCreateInstance(element);
+  }
+});
+
+/**
+ * jQuery
+ */
+
+defineJQueryPlugin(TagInput);
+
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap util/component-observer.js
+ * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
+ * --------------------------------------------------------------------------
+ */
+
+
+/**
+ * Constants
+ */
+
+const NAME$g = 'componentObserver';
+const ATTRIBUTE_OBSERVE = 'data-bs-observe';
+const SELECTOR_OBSERVE_TOOLTIP = '[data-bs-toggle="tooltip"]';
+const SELECTOR_OBSERVE_POPOVER = '[data-bs-toggle="popover"]';
+const SELECTOR_OBSERVE_TOAST = '.toast[data-bs-autoshow]';
+const SELECTOR_OBSERVE_SPY = '[data-bs-spy]';
+const SELECTOR_OBSERVE_CAROUSEL = '[data-bs-ride="carousel"]';
+const SELECTOR_OBSERVE_TAG_INPUT = '[data-bs-toggle="taginput"]';
+const SELECTOR_OBSERVE_COLLAPSE = '.collapse[data-bs-persist]';
+const SELECTOR_OBSERVE_TAB_SYNC = '[data-bs-sync]';
+const SELECTOR_OBSERVE_TAB_LIST = '[data-bs-closable], [data-bs-reorderable], [data-bs-overflow]';
+const SELECTOR_OBSERVE_TAB = '[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]';
+const SELECTOR_OBSERVE_OFFCANVAS = '.offcanvas[data-bs-edge-swipe]';
+const Default$d = {
+  autoDispose: true,
+  autoInit: true,
+  root: 'body'
+};
+const DefaultType$d = {
+  autoDispose: 'boolean',
+  autoInit: 'boolean',
+  root: '(element|string)'
+};
+const initializers = new Map([[SELECTOR_OBSERVE_TOOLTIP, element => Tooltip.getOrCreateInstance(element)], [SELECTOR_OBSERVE_POPOVER, element => Popover.getOrCreateInstance(element)], [SELECTOR_OBSERVE_TOAST, element => {
+  const toast = Toast.getOrCreateInstance(element);
+  if (!toast.isShown()) {
+    toast.show();
+  }
+}], [SELECTOR_OBSERVE_SPY, element => ScrollSpy.getOrCreateInstance(element)], [SELECTOR_OBSERVE_CAROUSEL, element => Carousel.getOrCreateInstance(element)], [SELECTOR_OBSERVE_TAG_INPUT, element => TagInput.getOrCreateInstance(element)], [SELECTOR_OBSERVE_COLLAPSE, element => Collapse.getOrCreateInstance(element, {
+  toggle: false
+})], [SELECTOR_OBSERVE_TAB_LIST, element => {
+  for (const tab of SelectorEngine.find(SELECTOR_OBSERVE_TAB, element)) {
+    Tab.getOrCreateInstance(tab);
+  }
+}], [SELECTOR_OBSERVE_TAB_SYNC, element => Tab.showFromLocation(element)], [SELECTOR_OBSERVE_OFFCANVAS, element => Offcanvas.getOrCreateInstance(element)]]);
+let activeObserver = null;
+
+/**
+ * Class definition
+ */
+
+class ComponentObserver extends Config {
+  constructor(config) {
+    super();
+    this._config = this._getConfig(config);
+    this._observer = null;
+  }
+
+  // Getters
+  static get Default() {
+    return Default$d;
+  }
+  static get DefaultType() {
+    return DefaultType$d;
+  }
+  static get NAME() {
+    return NAME$g;
+  }
+
+  // Public
+  observe() {
+    if (this._observer) {
+      return;
+    }
+    if (this._config.autoInit) {
+      this._initialize(this._config.root);
+    }
+    this._observer = new MutationObserver(records => this._handleMutations(records));
+    this._observer.observe(this._config.root, {
+      childList: true,
+      subtree: true
+    });
+  }
+  disconnect() {
+    if (!this._observer) {
+      return;
+    }
+    this._observer.disconnect();
+    this._observer = null;
+  }
+
+  // Private
+  _configAfterMerge(config) {
+    // use getElement() with the default "body" to get a fresh Element on each instantiation
+    config.root = getElement(config.root);
+    return config;
+  }
+  _handleMutations(records) {
+    const removedNodes = [];
+    for (const record of records) {
+      for (const node of record.addedNodes) {
+        // a node might have been detached again by a later mutation of the same batch
+        if (this._config.autoInit && node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+          this._initialize(node);
+        }
+      }
+      for (const node of record.removedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          removedNodes.push(node);
+        }
+      }
+    }
+    if (this._config.autoDispose && removedNodes.length) {
+      this._disposeDetached(removedNodes);
+    }
+  }
+  _initialize(parent) {
+    for (const [selector, callback] of initializers) {
+      const elements = SelectorEngine.find(selector, parent);
+      if (parent.matches(selector)) {
+        elements.unshift(parent);
+      }
+      for (const element of elements) {
+        callback(element);
+      }
+    }
+  }
+  _disposeDetached(removedNodes) {
+    for (const element of elementMap.keys()) {
+      // nodes moved around by the renderer are reattached by now and keep their instances
+      if (element.isConnected || !removedNodes.some(node => node.contains(element))) {
+        continue;
+      }
+      for (const instance of Data.getAll(element)) {
+        instance.dispose();
+      }
+    }
+  }
+
+  // Static
+  static register(selector, callback) {
+    initializers.set(selector, callback);
+  }
+  static enable(config) {
+    ComponentObserver.disable();
+    activeObserver = new ComponentObserver(config);
+    activeObserver.observe();
+    return activeObserver;
+  }
+  static disable() {
+    if (activeObserver) {
+      activeObserver.disconnect();
+      activeObserver = null;
+    }
+  }
+}
+
+/**
+ * Data API implementation
+ */
+
+onDOMContentLoaded(() => {
+  if (document.body.hasAttribute(ATTRIBUTE_OBSERVE)) {
+    ComponentObserver.enable();
+  }
+});
+
+export { Alert, Button, Carousel, Collapse, Combobox, ComponentObserver, Dropdown, Modal, Offcanvas, Popover, ScrollSpy, Tab, TagInput, Toast, ToastService, Tooltip };
@@ -1,7 +1,7 @@
 /*!
-  * Bootstrap v5.3.3 (https://getbootstrap.com/)
+  * Bootstrap v5.3.3 (https://getbootstrap.com/), modified for WebFrontend (see src/WebFrontend.Bootstrap)
   * Copyright 2011-2024 The Bootstrap Authors (https://github.com/twbs/bootstrap/graphs/contributors)
   * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
   */
-!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?module.exports=e():"function"==typeof define&&define.amd?define(e):(t="undefined"!=typeof globalThis?globalThis:t||self).bootstrap=e()}(this,(function(){"use strict";const t=new Map,e={set(e,i,n){t.has(e)||t.set(e,new Map);const s=t.get(e);s.has(i)||0===s.size?s.set(i,n):console.error(`Bootstrap doesn't allow more than one instance per element. Bound instance: ${Array.from(s.keys())[0]}.`)},get:(e,i)=>t.has(e)&&t.get(e).get(i)||null,remove(e,i){if(!t.has(e))return;const n=t.get(e);n.delete(i),0===n.size&&t.delete(e)}},i="transitionend",n=t=>(t&&window.CSS&&window.CSS.escape&&(t=t.replace(/#([^\s"#']+)/g,((t,e)=>`#${CSS.escape(e)}`))),t),s=t=>{t.dispatchEvent(new Event(i))},o=t=>!(!t||"object"!=typeof t)&&(void 0!==t.jquery&&(t=t[0]),void 0!==t.nodeType),r=t=>o(t)?t.jquery?t[0]:t:"string"==typeof t&&t.length>0?document.querySelector(n(t)):null,a=t=>{if(!o(t)||0===t.getClientRects().length)return!1;const e="visible"===getComputedStyle(t).getPropertyValue("visibility"),i=t.closest("details:not([open])");if(!i)return e;if(i!==t){const e=t.closest("summary");if(e&&e.parentNode!==i)return!1;if(null===e)return!1}return e},l=t=>!t||t.nodeType!==Node.ELEMENT_NODE||!!t.classList.contains("disabled")||(void 0!==t.disabled?t.disabled:t.hasAttribute("disabled")&&"false"!==t.getAttribute("disabled")),c=t=>{if(!document.documentElement.attachShadow)return null;if("function"==typeof t.getRootNode){const e=t.getRootNode();return e instanceof ShadowRoot?e:null}return t instanceof ShadowRoot?t:t.parentNode?c(t.parentNode):null},h=()=>{},d=t=>{t.offsetHeight},u=()=>window.jQuery&&!document.body.hasAttribute("data-bs-no-jquery")?window.jQuery:null,f=[],p=()=>"rtl"===document.documentElement.dir,m=t=>{var e;e=()=>{const e=u();if(e){const i=t.NAME,n=e.fn[i];e.fn[i]=t.jQueryInterface,e.fn[i].Constructor=t,e.fn[i].noConflict=()=>(e.fn[i]=n,t.jQueryInterface)}},"loading"===document.readyState?(f.length||document.addEventListener("DOMContentLoaded",(()=>{for(const t of f)t()})),f.push(e)):e()},g=(t,e=[],i=t)=>"function"==typeof t?t(...e):i,_=(t,e,n=!0)=>{if(!n)return void g(t);const o=(t=>{if(!t)return 0;let{transitionDuration:e,transitionDelay:i}=window.getComputedStyle(t);const n=Number.parseFloat(e),s=Number.parseFloat(i);return n||s?(e=e.split(",")[0],i=i.split(",")[0],1e3*(Number.parseFloat(e)+Number.parseFloat(i))):0})(e)+5;let r=!1;const a=({target:n})=>{n===e&&(r=!0,e.removeEventListener(i,a),g(t))};e.addEventListener(i,a),setTimeout((()=>{r||s(e)}),o)},b=(t,e,i,n)=>{const s=t.length;let o=t.indexOf(e);return-1===o?!i&&n?t[s-1]:t[0]:(o+=i?1:-1,n&&(o=(o+s)%s),t[Math.max(0,Math.min(o,s-1))])},v=/[^.]*(?=\..*)\.|.*/,y=/\..*/,w=/::\d+$/,A={};let E=1;const T={mouseenter:"mouseover",mouseleave:"mouseout"},C=new Set(["click","dblclick","mouseup","mousedown","contextmenu","mousewheel","DOMMouseScroll","mouseover","mouseout","mousemove","selectstart","selectend","keydown","keypress","keyup","orientationchange","touchstart","touchmove","touchend","touchcancel","pointerdown","pointermove","pointerup","pointerleave","pointercancel","gesturestart","gesturechange","gestureend","focus","blur","change","reset","select","submit","focusin","focusout","load","unload","beforeunload","resize","move","DOMContentLoaded","readystatechange","error","abort","scroll"]);function O(t,e){return e&&`${e}::${E++}`||t.uidEvent||E++}function x(t){const e=O(t);return t.uidEvent=e,A[e]=A[e]||{},A[e]}function k(t,e,i=null){return Object.values(t).find((t=>t.callable===e&&t.delegationSelector===i))}function L(t,e,i){const n="string"==typeof e,s=n?i:e||i;let o=I(t);return C.has(o)||(o=t),[n,s,o]}function S(t,e,i,n,s){if("string"!=typeof e||!t)return;let[o,r,a]=L(e,i,n);if(e in T){const t=t=>function(e){if(!e.relatedTarget||e.relatedTarget!==e.delegateTarget&&!e.delegateTarget.contains(e.relatedTarget))return t.call(this,e)};r=t(r)}const l=x(t),c=l[a]||(l[a]={}),h=k(c,r,o?i:null);if(h)return void(h.oneOff=h.oneOff&&s);const d=O(r,e.replace(v,"")),u=o?function(t,e,i){return function n(s){const o=t.querySelectorAll(e);for(let{target:r}=s;r&&r!==this;r=r.parentNode)for(const a of o)if(a===r)return P(s,{delegateTarget:r}),n.oneOff&&N.off(t,s.type,e,i),i.apply(r,[s])}}(t,i,r):function(t,e){return function i(n){return P(n,{delegateTarget:t}),i.oneOff&&N.off(t,n.type,e),e.apply(t,[n])}}(t,r);u.delegationSelector=o?i:null,u.callable=r,u.oneOff=s,u.uidEvent=d,c[d]=u,t.addEventListener(a,u,o)}function D(t,e,i,n,s){const o=k(e[i],n,s);o&&(t.removeEventListener(i,o,Boolean(s)),delete e[i][o.uidEvent])}function $(t,e,i,n){const s=e[i]||{};for(const[o,r]of Object.entries(s))o.includes(n)&&D(t,e,i,r.callable,r.delegationSelector)}function I(t){return t=t.replace(y,""),T[t]||t}const N={on(t,e,i,n){S(t,e,i,n,!1)},one(t,e,i,n){S(t,e,i,n,!0)},off(t,e,i,n){if("string"!=typeof e||!t)return;const[s,o,r]=L(e,i,n),a=r!==e,l=x(t),c=l[r]||{},h=e.startsWith(".");if(void 0===o){if(h)for(const i of Object.keys(l))$(t,l,i,e.slice(1));for(const[i,n]of Object.entries(c)){const s=i.replace(w,"");a&&!e.includes(s)||D(t,l,r,n.callable,n.delegationSelector)}}else{if(!Object.keys(c).length)return;D(t,l,r,o,s?i:null)}},trigger(t,e,i){if("string"!=typeof e||!t)return null;const n=u();let s=null,o=!0,r=!0,a=!1;e!==I(e)&&n&&(s=n.Event(e,i),n(t).trigger(s),o=!s.isPropagationStopped(),r=!s.isImmediatePropagationStopped(),a=s.isDefaultPrevented());const l=P(new Event(e,{bubbles:o,cancelable:!0}),i);return a&&l.preventDefault(),r&&t.dispatchEvent(l),l.defaultPrevented&&s&&s.preventDefault(),l}};function P(t,e={}){for(const[i,n]of Object.entries(e))try{t[i]=n}catch(e){Object.defineProperty(t,i,{configurable:!0,get:()=>n})}return t}function j(t){if("true"===t)return!0;if("false"===t)return!1;if(t===Number(t).toString())return Number(t);if(""===t||"null"===t)return null;if("string"!=typeof t)return t;try{return JSON.parse(decodeURIComponent(t))}catch(e){return t}}function M(t){return t.replace(/[A-Z]/g,(t=>`-${t.toLowerCase()}`))}const F={setDataAttribute(t,e,i){t.setAttribute(`data-bs-${M(e)}`,i)},removeDataAttribute(t,e){t.removeAttribute(`data-bs-${M(e)}`)},getDataAttributes(t){if(!t)return{};const e={},i=Object.keys(t.dataset).filter((t=>t.startsWith("bs")&&!t.startsWith("bsConfig")));for(const n of i){let i=n.replace(/^bs/,"");i=i.charAt(0).toLowerCase()+i.slice(1,i.length),e[i]=j(t.dataset[n])}return e},getDataAttribute:(t,e)=>j(t.getAttribute(`data-bs-${M(e)}`))};class H{static get Default(){return{}}static get DefaultType(){return{}}static get NAME(){throw new Error('You have to implement the static method "NAME", for each component!')}_getConfig(t){return t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){return t}_mergeConfigObj(t,e){const i=o(e)?F.getDataAttribute(e,"config"):{};return{...this.constructor.Default,..."object"==typeof i?i:{},...o(e)?F.getDataAttributes(e):{},..."object"==typeof t?t:{}}}_typeCheckConfig(t,e=this.constructor.DefaultType){for(const[n,s]of Object.entries(e)){const e=t[n],r=o(e)?"element":null==(i=e)?`${i}`:Object.prototype.toString.call(i).match(/\s([a-z]+)/i)[1].toLowerCase();if(!new RegExp(s).test(r))throw new TypeError(`${this.constructor.NAME.toUpperCase()}: Option "${n}" provided type "${r}" but expected type "${s}".`)}var i}}class W extends H{constructor(t,i){super(),(t=r(t))&&(this._element=t,this._config=this._getConfig(i),e.set(this._element,this.constructor.DATA_KEY,this))}dispose(){e.remove(this._element,this.constructor.DATA_KEY),N.off(this._element,this.constructor.EVENT_KEY);for(const t of Object.getOwnPropertyNames(this))this[t]=null}_queueCallback(t,e,i=!0){_(t,e,i)}_getConfig(t){return t=this._mergeConfigObj(t,this._element),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}static getInstance(t){return e.get(r(t),this.DATA_KEY)}static getOrCreateInstance(t,e={}){return this.getInstance(t)||new this(t,"object"==typeof e?e:null)}static get VERSION(){return"5.3.3"}static get DATA_KEY(){return`bs.${this.NAME}`}static get EVENT_KEY(){return`.${this.DATA_KEY}`}static eventName(t){return`${t}${this.EVENT_KEY}`}}const B=t=>{let e=t.getAttribute("data-bs-target");if(!e||"#"===e){let i=t.getAttribute("href");if(!i||!i.includes("#")&&!i.startsWith("."))return null;i.includes("#")&&!i.startsWith("#")&&(i=`#${i.split("#")[1]}`),e=i&&"#"!==i?i.trim():null}return e?e.split(",").map((t=>n(t))).join(","):null},z={find:(t,e=document.documentElement)=>[].concat(...Element.prototype.querySelectorAll.call(e,t)),findOne:(t,e=document.documentElement)=>Element.prototype.querySelector.call(e,t),children:(t,e)=>[].concat(...t.children).filter((t=>t.matches(e))),parents(t,e){const i=[];let n=t.parentNode.closest(e);for(;n;)i.push(n),n=n.parentNode.closest(e);return i},prev(t,e){let i=t.previousElementSibling;for(;i;){if(i.matches(e))return[i];i=i.previousElementSibling}return[]},next(t,e){let i=t.nextElementSibling;for(;i;){if(i.matches(e))return[i];i=i.nextElementSibling}return[]},focusableChildren(t){const e=["a","button","input","textarea","select","details","[tabindex]",'[contenteditable="true"]'].map((t=>`${t}:not([tabindex^="-"])`)).join(",");return this.find(e,t).filter((t=>!l(t)&&a(t)))},getSelectorFromElement(t){const e=B(t);return e&&z.findOne(e)?e:null},getElementFromSelector(t){const e=B(t);return e?z.findOne(e):null},getMultipleElementsFromSelector(t){const e=B(t);return e?z.find(e):[]}},R=(t,e="hide")=>{const i=`click.dismiss${t.EVENT_KEY}`,n=t.NAME;N.on(document,i,`[data-bs-dismiss="${n}"]`,(function(i){if(["A","AREA"].includes(this.tagName)&&i.preventDefault(),l(this))return;const s=z.getElementFromSelector(this)||this.closest(`.${n}`);t.getOrCreateInstance(s)[e]()}))},q=".bs.alert",V=`close${q}`,K=`closed${q}`;class Q extends W{static get NAME(){return"alert"}close(){if(N.trigger(this._element,V).defaultPrevented)return;this._element.classList.remove("show");const t=this._element.classList.contains("fade");this._queueCallback((()=>this._destroyElement()),this._element,t)}_destroyElement(){this._element.remove(),N.trigger(this._element,K),this.dispose()}static jQueryInterface(t){return this.each((function(){const e=Q.getOrCreateInstance(this);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t](this)}}))}}R(Q,"close"),m(Q);const X='[data-bs-toggle="button"]';class Y extends W{static get NAME(){return"button"}toggle(){this._element.setAttribute("aria-pressed",this._element.classList.toggle("active"))}static jQueryInterface(t){return this.each((function(){const e=Y.getOrCreateInstance(this);"toggle"===t&&e[t]()}))}}N.on(document,"click.bs.button.data-api",X,(t=>{t.preventDefault();const e=t.target.closest(X);Y.getOrCreateInstance(e).toggle()})),m(Y);const U=".bs.swipe",G=`touchstart${U}`,J=`touchmove${U}`,Z=`touchend${U}`,tt=`pointerdown${U}`,et=`pointerup${U}`,it={endCallback:null,leftCallback:null,rightCallback:null},nt={endCallback:"(function|null)",leftCallback:"(function|null)",rightCallback:"(function|null)"};class st extends H{constructor(t,e){super(),this._element=t,t&&st.isSupported()&&(this._config=this._getConfig(e),this._deltaX=0,this._supportPointerEvents=Boolean(window.PointerEvent),this._initEvents())}static get Default(){return it}static get DefaultType(){return nt}static get NAME(){return"swipe"}dispose(){N.off(this._element,U)}_start(t){this._supportPointerEvents?this._eventIsPointerPenTouch(t)&&(this._deltaX=t.clientX):this._deltaX=t.touches[0].clientX}_end(t){this._eventIsPointerPenTouch(t)&&(this._deltaX=t.clientX-this._deltaX),this._handleSwipe(),g(this._config.endCallback)}_move(t){this._deltaX=t.touches&&t.touches.length>1?0:t.touches[0].clientX-this._deltaX}_handleSwipe(){const t=Math.abs(this._deltaX);if(t<=40)return;const e=t/this._deltaX;this._deltaX=0,e&&g(e>0?this._config.rightCallback:this._config.leftCallback)}_initEvents(){this._supportPointerEvents?(N.on(this._element,tt,(t=>this._start(t))),N.on(this._element,et,(t=>this._end(t))),this._element.classList.add("pointer-event")):(N.on(this._element,G,(t=>this._start(t))),N.on(this._element,J,(t=>this._move(t))),N.on(this._element,Z,(t=>this._end(t))))}_eventIsPointerPenTouch(t){return this._supportPointerEvents&&("pen"===t.pointerType||"touch"===t.pointerType)}static isSupported(){return"ontouchstart"in document.documentElement||navigator.maxTouchPoints>0}}const ot=".bs.carousel",rt=".data-api",at="next",lt="prev",ct="left",ht="right",dt=`slide${ot}`,ut=`slid${ot}`,ft=`keydown${ot}`,pt=`mouseenter${ot}`,mt=`mouseleave${ot}`,gt=`dragstart${ot}`,_t=`load${ot}${rt}`,bt=`click${ot}${rt}`,vt="carousel",yt="active",wt=".active",At=".carousel-item",Et=wt+At,Tt={ArrowLeft:ht,ArrowRight:ct},Ct={interval:5e3,keyboard:!0,pause:"hover",ride:!1,touch:!0,wrap:!0},Ot={interval:"(number|boolean)",keyboard:"boolean",pause:"(string|boolean)",ride:"(boolean|string)",touch:"boolean",wrap:"boolean"};class xt extends W{constructor(t,e){super(t,e),this._interval=null,this._activeElement=null,this._isSliding=!1,this.touchTimeout=null,this._swipeHelper=null,this._indicatorsElement=z.findOne(".carousel-indicators",this._element),this._addEventListeners(),this._config.ride===vt&&this.cycle()}static get Default(){return Ct}static get DefaultType(){return Ot}static get NAME(){return"carousel"}next(){this._slide(at)}nextWhenVisible(){!document.hidden&&a(this._element)&&this.next()}prev(){this._slide(lt)}pause(){this._isSliding&&s(this._element),this._clearInterval()}cycle(){this._clearInterval(),this._updateInterval(),this._interval=setInterval((()=>this.nextWhenVisible()),this._config.interval)}_maybeEnableCycle(){this._config.ride&&(this._isSliding?N.one(this._element,ut,(()=>this.cycle())):this.cycle())}to(t){const e=this._getItems();if(t>e.length-1||t<0)return;if(this._isSliding)return void N.one(this._element,ut,(()=>this.to(t)));const i=this._getItemIndex(this._getActive());if(i===t)return;const n=t>i?at:lt;this._slide(n,e[t])}dispose(){this._swipeHelper&&this._swipeHelper.dispose(),super.dispose()}_configAfterMerge(t){return t.defaultInterval=t.interval,t}_addEventListeners(){this._config.keyboard&&N.on(this._element,ft,(t=>this._keydown(t))),"hover"===this._config.pause&&(N.on(this._element,pt,(()=>this.pause())),N.on(this._element,mt,(()=>this._maybeEnableCycle()))),this._config.touch&&st.isSupported()&&this._addTouchEventListeners()}_addTouchEventListeners(){for(const t of z.find(".carousel-item img",this._element))N.on(t,gt,(t=>t.preventDefault()));const t={leftCallback:()=>this._slide(this._directionToOrder(ct)),rightCallback:()=>this._slide(this._directionToOrder(ht)),endCallback:()=>{"hover"===this._config.pause&&(this.pause(),this.touchTimeout&&clearTimeout(this.touchTimeout),this.touchTimeout=setTimeout((()=>this._maybeEnableCycle()),500+this._config.interval))}};this._swipeHelper=new st(this._element,t)}_keydown(t){if(/input|textarea/i.test(t.target.tagName))return;const e=Tt[t.key];e&&(t.preventDefault(),this._slide(this._directionToOrder(e)))}_getItemIndex(t){return this._getItems().indexOf(t)}_setActiveIndicatorElement(t){if(!this._indicatorsElement)return;const e=z.findOne(wt,this._indicatorsElement);e.classList.remove(yt),e.removeAttribute("aria-current");const i=z.findOne(`[data-bs-slide-to="${t}"]`,this._indicatorsElement);i&&(i.classList.add(yt),i.setAttribute("aria-current","true"))}_updateInterval(){const t=this._activeElement||this._getActive();if(!t)return;const e=Number.parseInt(t.getAttribute("data-bs-interval"),10);this._config.interval=e||this._config.defaultInterval}_slide(t,e=null){if(this._isSliding)return;const i=this._getActive(),n=t===at,s=e||b(this._getItems(),i,n,this._config.wrap);if(s===i)return;const o=this._getItemIndex(s),r=e=>N.trigger(this._element,e,{relatedTarget:s,direction:this._orderToDirection(t),from:this._getItemIndex(i),to:o});if(r(dt).defaultPrevented)return;if(!i||!s)return;const a=Boolean(this._interval);this.pause(),this._isSliding=!0,this._setActiveIndicatorElement(o),this._activeElement=s;const l=n?"carousel-item-start":"carousel-item-end",c=n?"carousel-item-next":"carousel-item-prev";s.classList.add(c),d(s),i.classList.add(l),s.classList.add(l),this._queueCallback((()=>{s.classList.remove(l,c),s.classList.add(yt),i.classList.remove(yt,c,l),this._isSliding=!1,r(ut)}),i,this._isAnimated()),a&&this.cycle()}_isAnimated(){return this._element.classList.contains("slide")}_getActive(){return z.findOne(Et,this._element)}_getItems(){return z.find(At,this._element)}_clearInterval(){this._interval&&(clearInterval(this._interval),this._interval=null)}_directionToOrder(t){return p()?t===ct?lt:at:t===ct?at:lt}_orderToDirection(t){return p()?t===lt?ct:ht:t===lt?ht:ct}static jQueryInterface(t){return this.each((function(){const e=xt.getOrCreateInstance(this,t);if("number"!=typeof t){if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}}else e.to(t)}))}}N.on(document,bt,"[data-bs-slide], [data-bs-slide-to]",(function(t){const e=z.getElementFromSelector(this);if(!e||!e.classList.contains(vt))return;t.preventDefault();const i=xt.getOrCreateInstance(e),n=this.getAttribute("data-bs-slide-to");return n?(i.to(n),void i._maybeEnableCycle()):"next"===F.getDataAttribute(this,"slide")?(i.next(),void i._maybeEnableCycle()):(i.prev(),void i._maybeEnableCycle())})),N.on(window,_t,(()=>{const t=z.find('[data-bs-ride="carousel"]');for(const e of t)xt.getOrCreateInstance(e)})),m(xt);const kt=".bs.collapse",Lt=`show${kt}`,St=`shown${kt}`,Dt=`hide${kt}`,$t=`hidden${kt}`,It=`click${kt}.data-api`,Nt="show",Pt="collapse",jt="collapsing",Mt=`:scope .${Pt} .${Pt}`,Ft='[data-bs-toggle="collapse"]',Ht={parent:null,toggle:!0},Wt={parent:"(null|element)",toggle:"boolean"};class Bt extends W{constructor(t,e){super(t,e),this._isTransitioning=!1,this._triggerArray=[];const i=z.find(Ft);for(const t of i){const e=z.getSelectorFromElement(t),i=z.find(e).filter((t=>t===this._element));null!==e&&i.length&&this._triggerArray.push(t)}this._initializeChildren(),this._config.parent||this._addAriaAndCollapsedClass(this._triggerArray,this._isShown()),this._config.toggle&&this.toggle()}static get Default(){return Ht}static get DefaultType(){return Wt}static get NAME(){return"collapse"}toggle(){this._isShown()?this.hide():this.show()}show(){if(this._isTransitioning||this._isShown())return;let t=[];if(this._config.parent&&(t=this._getFirstLevelChildren(".collapse.show, .collapse.collapsing").filter((t=>t!==this._element)).map((t=>Bt.getOrCreateInstance(t,{toggle:!1})))),t.length&&t[0]._isTransitioning)return;if(N.trigger(this._element,Lt).defaultPrevented)return;for(const e of t)e.hide();const e=this._getDimension();this._element.classList.remove(Pt),this._element.classList.add(jt),this._element.style[e]=0,this._addAriaAndCollapsedClass(this._triggerArray,!0),this._isTransitioning=!0;const i=`scroll${e[0].toUpperCase()+e.slice(1)}`;this._queueCallback((()=>{this._isTransitioning=!1,this._element.classList.remove(jt),this._element.classList.add(Pt,Nt),this._element.style[e]="",N.trigger(this._element,St)}),this._element,!0),this._element.style[e]=`${this._element[i]}px`}hide(){if(this._isTransitioning||!this._isShown())return;if(N.trigger(this._element,Dt).defaultPrevented)return;const t=this._getDimension();this._element.style[t]=`${this._element.getBoundingClientRect()[t]}px`,d(this._element),this._element.classList.add(jt),this._element.classList.remove(Pt,Nt);for(const t of this._triggerArray){const e=z.getElementFromSelector(t);e&&!this._isShown(e)&&this._addAriaAndCollapsedClass([t],!1)}this._isTransitioning=!0,this._element.style[t]="",this._queueCallback((()=>{this._isTransitioning=!1,this._element.classList.remove(jt),this._element.classList.add(Pt),N.trigger(this._element,$t)}),this._element,!0)}_isShown(t=this._element){return t.classList.contains(Nt)}_configAfterMerge(t){return t.toggle=Boolean(t.toggle),t.parent=r(t.parent),t}_getDimension(){return this._element.classList.contains("collapse-horizontal")?"width":"height"}_initializeChildren(){if(!this._config.parent)return;const t=this._getFirstLevelChildren(Ft);for(const e of t){const t=z.getElementFromSelector(e);t&&this._addAriaAndCollapsedClass([e],this._isShown(t))}}_getFirstLevelChildren(t){const e=z.find(Mt,this._config.parent);return z.find(t,this._config.parent).filter((t=>!e.includes(t)))}_addAriaAndCollapsedClass(t,e){if(t.length)for(const i of t)i.classList.toggle("collapsed",!e),i.setAttribute("aria-expanded",e)}static jQueryInterface(t){const e={};return"string"==typeof t&&/show|hide/.test(t)&&(e.toggle=!1),this.each((function(){const i=Bt.getOrCreateInstance(this,e);if("string"==typeof t){if(void 0===i[t])throw new TypeError(`No method named "${t}"`);i[t]()}}))}}N.on(document,It,Ft,(function(t){("A"===t.target.tagName||t.delegateTarget&&"A"===t.delegateTarget.tagName)&&t.preventDefault();for(const t of z.getMultipleElementsFromSelector(this))Bt.getOrCreateInstance(t,{toggle:!1}).toggle()})),m(Bt);var zt="top",Rt="bottom",qt="right",Vt="left",Kt="auto",Qt=[zt,Rt,qt,Vt],Xt="start",Yt="end",Ut="clippingParents",Gt="viewport",Jt="popper",Zt="reference",te=Qt.reduce((function(t,e){return t.concat([e+"-"+Xt,e+"-"+Yt])}),[]),ee=[].concat(Qt,[Kt]).reduce((function(t,e){return t.concat([e,e+"-"+Xt,e+"-"+Yt])}),[]),ie="beforeRead",ne="read",se="afterRead",oe="beforeMain",re="main",ae="afterMain",le="beforeWrite",ce="write",he="afterWrite",de=[ie,ne,se,oe,re,ae,le,ce,he];function ue(t){return t?(t.nodeName||"").toLowerCase():null}function fe(t){if(null==t)return window;if("[object Window]"!==t.toString()){var e=t.ownerDocument;return e&&e.defaultView||window}return t}function pe(t){return t instanceof fe(t).Element||t instanceof Element}function me(t){return t instanceof fe(t).HTMLElement||t instanceof HTMLElement}function ge(t){return"undefined"!=typeof ShadowRoot&&(t instanceof fe(t).ShadowRoot||t instanceof ShadowRoot)}const _e={name:"applyStyles",enabled:!0,phase:"write",fn:function(t){var e=t.state;Object.keys(e.elements).forEach((function(t){var i=e.styles[t]||{},n=e.attributes[t]||{},s=e.elements[t];me(s)&&ue(s)&&(Object.assign(s.style,i),Object.keys(n).forEach((function(t){var e=n[t];!1===e?s.removeAttribute(t):s.setAttribute(t,!0===e?"":e)})))}))},effect:function(t){var e=t.state,i={popper:{position:e.options.strategy,left:"0",top:"0",margin:"0"},arrow:{position:"absolute"},reference:{}};return Object.assign(e.elements.popper.style,i.popper),e.styles=i,e.elements.arrow&&Object.assign(e.elements.arrow.style,i.arrow),function(){Object.keys(e.elements).forEach((function(t){var n=e.elements[t],s=e.attributes[t]||{},o=Object.keys(e.styles.hasOwnProperty(t)?e.styles[t]:i[t]).reduce((function(t,e){return t[e]="",t}),{});me(n)&&ue(n)&&(Object.assign(n.style,o),Object.keys(s).forEach((function(t){n.removeAttribute(t)})))}))}},requires:["computeStyles"]};function be(t){return t.split("-")[0]}var ve=Math.max,ye=Math.min,we=Math.round;function Ae(){var t=navigator.userAgentData;return null!=t&&t.brands&&Array.isArray(t.brands)?t.brands.map((function(t){return t.brand+"/"+t.version})).join(" "):navigator.userAgent}function Ee(){return!/^((?!chrome|android).)*safari/i.test(Ae())}function Te(t,e,i){void 0===e&&(e=!1),void 0===i&&(i=!1);var n=t.getBoundingClientRect(),s=1,o=1;e&&me(t)&&(s=t.offsetWidth>0&&we(n.width)/t.offsetWidth||1,o=t.offsetHeight>0&&we(n.height)/t.offsetHeight||1);var r=(pe(t)?fe(t):window).visualViewport,a=!Ee()&&i,l=(n.left+(a&&r?r.offsetLeft:0))/s,c=(n.top+(a&&r?r.offsetTop:0))/o,h=n.width/s,d=n.height/o;return{width:h,height:d,top:c,right:l+h,bottom:c+d,left:l,x:l,y:c}}function Ce(t){var e=Te(t),i=t.offsetWidth,n=t.offsetHeight;return Math.abs(e.width-i)<=1&&(i=e.width),Math.abs(e.height-n)<=1&&(n=e.height),{x:t.offsetLeft,y:t.offsetTop,width:i,height:n}}function Oe(t,e){var i=e.getRootNode&&e.getRootNode();if(t.contains(e))return!0;if(i&&ge(i)){var n=e;do{if(n&&t.isSameNode(n))return!0;n=n.parentNode||n.host}while(n)}return!1}function xe(t){return fe(t).getComputedStyle(t)}function ke(t){return["table","td","th"].indexOf(ue(t))>=0}function Le(t){return((pe(t)?t.ownerDocument:t.document)||window.document).documentElement}function Se(t){return"html"===ue(t)?t:t.assignedSlot||t.parentNode||(ge(t)?t.host:null)||Le(t)}function De(t){return me(t)&&"fixed"!==xe(t).position?t.offsetParent:null}function $e(t){for(var e=fe(t),i=De(t);i&&ke(i)&&"static"===xe(i).position;)i=De(i);return i&&("html"===ue(i)||"body"===ue(i)&&"static"===xe(i).position)?e:i||function(t){var e=/firefox/i.test(Ae());if(/Trident/i.test(Ae())&&me(t)&&"fixed"===xe(t).position)return null;var i=Se(t);for(ge(i)&&(i=i.host);me(i)&&["html","body"].indexOf(ue(i))<0;){var n=xe(i);if("none"!==n.transform||"none"!==n.perspective||"paint"===n.contain||-1!==["transform","perspective"].indexOf(n.willChange)||e&&"filter"===n.willChange||e&&n.filter&&"none"!==n.filter)return i;i=i.parentNode}return null}(t)||e}function Ie(t){return["top","bottom"].indexOf(t)>=0?"x":"y"}function Ne(t,e,i){return ve(t,ye(e,i))}function Pe(t){return Object.assign({},{top:0,right:0,bottom:0,left:0},t)}function je(t,e){return e.reduce((function(e,i){return e[i]=t,e}),{})}const Me={name:"arrow",enabled:!0,phase:"main",fn:function(t){var e,i=t.state,n=t.name,s=t.options,o=i.elements.arrow,r=i.modifiersData.popperOffsets,a=be(i.placement),l=Ie(a),c=[Vt,qt].indexOf(a)>=0?"height":"width";if(o&&r){var h=function(t,e){return Pe("number"!=typeof(t="function"==typeof t?t(Object.assign({},e.rects,{placement:e.placement})):t)?t:je(t,Qt))}(s.padding,i),d=Ce(o),u="y"===l?zt:Vt,f="y"===l?Rt:qt,p=i.rects.reference[c]+i.rects.reference[l]-r[l]-i.rects.popper[c],m=r[l]-i.rects.reference[l],g=$e(o),_=g?"y"===l?g.clientHeight||0:g.clientWidth||0:0,b=p/2-m/2,v=h[u],y=_-d[c]-h[f],w=_/2-d[c]/2+b,A=Ne(v,w,y),E=l;i.modifiersData[n]=((e={})[E]=A,e.centerOffset=A-w,e)}},effect:function(t){var e=t.state,i=t.options.element,n=void 0===i?"[data-popper-arrow]":i;null!=n&&("string"!=typeof n||(n=e.elements.popper.querySelector(n)))&&Oe(e.elements.popper,n)&&(e.elements.arrow=n)},requires:["popperOffsets"],requiresIfExists:["preventOverflow"]};function Fe(t){return t.split("-")[1]}var He={top:"auto",right:"auto",bottom:"auto",left:"auto"};function We(t){var e,i=t.popper,n=t.popperRect,s=t.placement,o=t.variation,r=t.offsets,a=t.position,l=t.gpuAcceleration,c=t.adaptive,h=t.roundOffsets,d=t.isFixed,u=r.x,f=void 0===u?0:u,p=r.y,m=void 0===p?0:p,g="function"==typeof h?h({x:f,y:m}):{x:f,y:m};f=g.x,m=g.y;var _=r.hasOwnProperty("x"),b=r.hasOwnProperty("y"),v=Vt,y=zt,w=window;if(c){var A=$e(i),E="clientHeight",T="clientWidth";A===fe(i)&&"static"!==xe(A=Le(i)).position&&"absolute"===a&&(E="scrollHeight",T="scrollWidth"),(s===zt||(s===Vt||s===qt)&&o===Yt)&&(y=Rt,m-=(d&&A===w&&w.visualViewport?w.visualViewport.height:A[E])-n.height,m*=l?1:-1),s!==Vt&&(s!==zt&&s!==Rt||o!==Yt)||(v=qt,f-=(d&&A===w&&w.visualViewport?w.visualViewport.width:A[T])-n.width,f*=l?1:-1)}var C,O=Object.assign({position:a},c&&He),x=!0===h?function(t,e){var i=t.x,n=t.y,s=e.devicePixelRatio||1;return{x:we(i*s)/s||0,y:we(n*s)/s||0}}({x:f,y:m},fe(i)):{x:f,y:m};return f=x.x,m=x.y,l?Object.assign({},O,((C={})[y]=b?"0":"",C[v]=_?"0":"",C.transform=(w.devicePixelRatio||1)<=1?"translate("+f+"px, "+m+"px)":"translate3d("+f+"px, "+m+"px, 0)",C)):Object.assign({},O,((e={})[y]=b?m+"px":"",e[v]=_?f+"px":"",e.transform="",e))}const Be={name:"computeStyles",enabled:!0,phase:"beforeWrite",fn:function(t){var e=t.state,i=t.options,n=i.gpuAcceleration,s=void 0===n||n,o=i.adaptive,r=void 0===o||o,a=i.roundOffsets,l=void 0===a||a,c={placement:be(e.placement),variation:Fe(e.placement),popper:e.elements.popper,popperRect:e.rects.popper,gpuAcceleration:s,isFixed:"fixed"===e.options.strategy};null!=e.modifiersData.popperOffsets&&(e.styles.popper=Object.assign({},e.styles.popper,We(Object.assign({},c,{offsets:e.modifiersData.popperOffsets,position:e.options.strategy,adaptive:r,roundOffsets:l})))),null!=e.modifiersData.arrow&&(e.styles.arrow=Object.assign({},e.styles.arrow,We(Object.assign({},c,{offsets:e.modifiersData.arrow,position:"absolute",adaptive:!1,roundOffsets:l})))),e.attributes.popper=Object.assign({},e.attributes.popper,{"data-popper-placement":e.placement})},data:{}};var ze={passive:!0};const Re={name:"eventListeners",enabled:!0,phase:"write",fn:function(){},effect:function(t){var e=t.state,i=t.instance,n=t.options,s=n.scroll,o=void 0===s||s,r=n.resize,a=void 0===r||r,l=fe(e.elements.popper),c=[].concat(e.scrollParents.reference,e.scrollParents.popper);return o&&c.forEach((function(t){t.addEventListener("scroll",i.update,ze)})),a&&l.addEventListener("resize",i.update,ze),function(){o&&c.forEach((function(t){t.removeEventListener("scroll",i.update,ze)})),a&&l.removeEventListener("resize",i.update,ze)}},data:{}};var qe={left:"right",right:"left",bottom:"top",top:"bottom"};function Ve(t){return t.replace(/left|right|bottom|top/g,(function(t){return qe[t]}))}var Ke={start:"end",end:"start"};function Qe(t){return t.replace(/start|end/g,(function(t){return Ke[t]}))}function Xe(t){var e=fe(t);return{scrollLeft:e.pageXOffset,scrollTop:e.pageYOffset}}function Ye(t){return Te(Le(t)).left+Xe(t).scrollLeft}function Ue(t){var e=xe(t),i=e.overflow,n=e.overflowX,s=e.overflowY;return/auto|scroll|overlay|hidden/.test(i+s+n)}function Ge(t){return["html","body","#document"].indexOf(ue(t))>=0?t.ownerDocument.body:me(t)&&Ue(t)?t:Ge(Se(t))}function Je(t,e){var i;void 0===e&&(e=[]);var n=Ge(t),s=n===(null==(i=t.ownerDocument)?void 0:i.body),o=fe(n),r=s?[o].concat(o.visualViewport||[],Ue(n)?n:[]):n,a=e.concat(r);return s?a:a.concat(Je(Se(r)))}function Ze(t){return Object.assign({},t,{left:t.x,top:t.y,right:t.x+t.width,bottom:t.y+t.height})}function ti(t,e,i){return e===Gt?Ze(function(t,e){var i=fe(t),n=Le(t),s=i.visualViewport,o=n.clientWidth,r=n.clientHeight,a=0,l=0;if(s){o=s.width,r=s.height;var c=Ee();(c||!c&&"fixed"===e)&&(a=s.offsetLeft,l=s.offsetTop)}return{width:o,height:r,x:a+Ye(t),y:l}}(t,i)):pe(e)?function(t,e){var i=Te(t,!1,"fixed"===e);return i.top=i.top+t.clientTop,i.left=i.left+t.clientLeft,i.bottom=i.top+t.clientHeight,i.right=i.left+t.clientWidth,i.width=t.clientWidth,i.height=t.clientHeight,i.x=i.left,i.y=i.top,i}(e,i):Ze(function(t){var e,i=Le(t),n=Xe(t),s=null==(e=t.ownerDocument)?void 0:e.body,o=ve(i.scrollWidth,i.clientWidth,s?s.scrollWidth:0,s?s.clientWidth:0),r=ve(i.scrollHeight,i.clientHeight,s?s.scrollHeight:0,s?s.clientHeight:0),a=-n.scrollLeft+Ye(t),l=-n.scrollTop;return"rtl"===xe(s||i).direction&&(a+=ve(i.clientWidth,s?s.clientWidth:0)-o),{width:o,height:r,x:a,y:l}}(Le(t)))}function ei(t){var e,i=t.reference,n=t.element,s=t.placement,o=s?be(s):null,r=s?Fe(s):null,a=i.x+i.width/2-n.width/2,l=i.y+i.height/2-n.height/2;switch(o){case zt:e={x:a,y:i.y-n.height};break;case Rt:e={x:a,y:i.y+i.height};break;case qt:e={x:i.x+i.width,y:l};break;case Vt:e={x:i.x-n.width,y:l};break;default:e={x:i.x,y:i.y}}var c=o?Ie(o):null;if(null!=c){var h="y"===c?"height":"width";switch(r){case Xt:e[c]=e[c]-(i[h]/2-n[h]/2);break;case Yt:e[c]=e[c]+(i[h]/2-n[h]/2)}}return e}function ii(t,e){void 0===e&&(e={});var i=e,n=i.placement,s=void 0===n?t.placement:n,o=i.strategy,r=void 0===o?t.strategy:o,a=i.boundary,l=void 0===a?Ut:a,c=i.rootBoundary,h=void 0===c?Gt:c,d=i.elementContext,u=void 0===d?Jt:d,f=i.altBoundary,p=void 0!==f&&f,m=i.padding,g=void 0===m?0:m,_=Pe("number"!=typeof g?g:je(g,Qt)),b=u===Jt?Zt:Jt,v=t.rects.popper,y=t.elements[p?b:u],w=function(t,e,i,n){var s="clippingParents"===e?function(t){var e=Je(Se(t)),i=["absolute","fixed"].indexOf(xe(t).position)>=0&&me(t)?$e(t):t;return pe(i)?e.filter((function(t){return pe(t)&&Oe(t,i)&&"body"!==ue(t)})):[]}(t):[].concat(e),o=[].concat(s,[i]),r=o[0],a=o.reduce((function(e,i){var s=ti(t,i,n);return e.top=ve(s.top,e.top),e.right=ye(s.right,e.right),e.bottom=ye(s.bottom,e.bottom),e.left=ve(s.left,e.left),e}),ti(t,r,n));return a.width=a.right-a.left,a.height=a.bottom-a.top,a.x=a.left,a.y=a.top,a}(pe(y)?y:y.contextElement||Le(t.elements.popper),l,h,r),A=Te(t.elements.reference),E=ei({reference:A,element:v,strategy:"absolute",placement:s}),T=Ze(Object.assign({},v,E)),C=u===Jt?T:A,O={top:w.top-C.top+_.top,bottom:C.bottom-w.bottom+_.bottom,left:w.left-C.left+_.left,right:C.right-w.right+_.right},x=t.modifiersData.offset;if(u===Jt&&x){var k=x[s];Object.keys(O).forEach((function(t){var e=[qt,Rt].indexOf(t)>=0?1:-1,i=[zt,Rt].indexOf(t)>=0?"y":"x";O[t]+=k[i]*e}))}return O}function ni(t,e){void 0===e&&(e={});var i=e,n=i.placement,s=i.boundary,o=i.rootBoundary,r=i.padding,a=i.flipVariations,l=i.allowedAutoPlacements,c=void 0===l?ee:l,h=Fe(n),d=h?a?te:te.filter((function(t){return Fe(t)===h})):Qt,u=d.filter((function(t){return c.indexOf(t)>=0}));0===u.length&&(u=d);var f=u.reduce((function(e,i){return e[i]=ii(t,{placement:i,boundary:s,rootBoundary:o,padding:r})[be(i)],e}),{});return Object.keys(f).sort((function(t,e){return f[t]-f[e]}))}const si={name:"flip",enabled:!0,phase:"main",fn:function(t){var e=t.state,i=t.options,n=t.name;if(!e.modifiersData[n]._skip){for(var s=i.mainAxis,o=void 0===s||s,r=i.altAxis,a=void 0===r||r,l=i.fallbackPlacements,c=i.padding,h=i.boundary,d=i.rootBoundary,u=i.altBoundary,f=i.flipVariations,p=void 0===f||f,m=i.allowedAutoPlacements,g=e.options.placement,_=be(g),b=l||(_!==g&&p?function(t){if(be(t)===Kt)return[];var e=Ve(t);return[Qe(t),e,Qe(e)]}(g):[Ve(g)]),v=[g].concat(b).reduce((function(t,i){return t.concat(be(i)===Kt?ni(e,{placement:i,boundary:h,rootBoundary:d,padding:c,flipVariations:p,allowedAutoPlacements:m}):i)}),[]),y=e.rects.reference,w=e.rects.popper,A=new Map,E=!0,T=v[0],C=0;C<v.length;C++){var O=v[C],x=be(O),k=Fe(O)===Xt,L=[zt,Rt].indexOf(x)>=0,S=L?"width":"height",D=ii(e,{placement:O,boundary:h,rootBoundary:d,altBoundary:u,padding:c}),$=L?k?qt:Vt:k?Rt:zt;y[S]>w[S]&&($=Ve($));var I=Ve($),N=[];if(o&&N.push(D[x]<=0),a&&N.push(D[$]<=0,D[I]<=0),N.every((function(t){return t}))){T=O,E=!1;break}A.set(O,N)}if(E)for(var P=function(t){var e=v.find((function(e){var i=A.get(e);if(i)return i.slice(0,t).every((function(t){return t}))}));if(e)return T=e,"break"},j=p?3:1;j>0&&"break"!==P(j);j--);e.placement!==T&&(e.modifiersData[n]._skip=!0,e.placement=T,e.reset=!0)}},requiresIfExists:["offset"],data:{_skip:!1}};function oi(t,e,i){return void 0===i&&(i={x:0,y:0}),{top:t.top-e.height-i.y,right:t.right-e.width+i.x,bottom:t.bottom-e.height+i.y,left:t.left-e.width-i.x}}function ri(t){return[zt,qt,Rt,Vt].some((function(e){return t[e]>=0}))}const ai={name:"hide",enabled:!0,phase:"main",requiresIfExists:["preventOverflow"],fn:function(t){var e=t.state,i=t.name,n=e.rects.reference,s=e.rects.popper,o=e.modifiersData.preventOverflow,r=ii(e,{elementContext:"reference"}),a=ii(e,{altBoundary:!0}),l=oi(r,n),c=oi(a,s,o),h=ri(l),d=ri(c);e.modifiersData[i]={referenceClippingOffsets:l,popperEscapeOffsets:c,isReferenceHidden:h,hasPopperEscaped:d},e.attributes.popper=Object.assign({},e.attributes.popper,{"data-popper-reference-hidden":h,"data-popper-escaped":d})}},li={name:"offset",enabled:!0,phase:"main",requires:["popperOffsets"],fn:function(t){var e=t.state,i=t.options,n=t.name,s=i.offset,o=void 0===s?[0,0]:s,r=ee.reduce((function(t,i){return t[i]=function(t,e,i){var n=be(t),s=[Vt,zt].indexOf(n)>=0?-1:1,o="function"==typeof i?i(Object.assign({},e,{placement:t})):i,r=o[0],a=o[1];return r=r||0,a=(a||0)*s,[Vt,qt].indexOf(n)>=0?{x:a,y:r}:{x:r,y:a}}(i,e.rects,o),t}),{}),a=r[e.placement],l=a.x,c=a.y;null!=e.modifiersData.popperOffsets&&(e.modifiersData.popperOffsets.x+=l,e.modifiersData.popperOffsets.y+=c),e.modifiersData[n]=r}},ci={name:"popperOffsets",enabled:!0,phase:"read",fn:function(t){var e=t.state,i=t.name;e.modifiersData[i]=ei({reference:e.rects.reference,element:e.rects.popper,strategy:"absolute",placement:e.placement})},data:{}},hi={name:"preventOverflow",enabled:!0,phase:"main",fn:function(t){var e=t.state,i=t.options,n=t.name,s=i.mainAxis,o=void 0===s||s,r=i.altAxis,a=void 0!==r&&r,l=i.boundary,c=i.rootBoundary,h=i.altBoundary,d=i.padding,u=i.tether,f=void 0===u||u,p=i.tetherOffset,m=void 0===p?0:p,g=ii(e,{boundary:l,rootBoundary:c,padding:d,altBoundary:h}),_=be(e.placement),b=Fe(e.placement),v=!b,y=Ie(_),w="x"===y?"y":"x",A=e.modifiersData.popperOffsets,E=e.rects.reference,T=e.rects.popper,C="function"==typeof m?m(Object.assign({},e.rects,{placement:e.placement})):m,O="number"==typeof C?{mainAxis:C,altAxis:C}:Object.assign({mainAxis:0,altAxis:0},C),x=e.modifiersData.offset?e.modifiersData.offset[e.placement]:null,k={x:0,y:0};if(A){if(o){var L,S="y"===y?zt:Vt,D="y"===y?Rt:qt,$="y"===y?"height":"width",I=A[y],N=I+g[S],P=I-g[D],j=f?-T[$]/2:0,M=b===Xt?E[$]:T[$],F=b===Xt?-T[$]:-E[$],H=e.elements.arrow,W=f&&H?Ce(H):{width:0,height:0},B=e.modifiersData["arrow#persistent"]?e.modifiersData["arrow#persistent"].padding:{top:0,right:0,bottom:0,left:0},z=B[S],R=B[D],q=Ne(0,E[$],W[$]),V=v?E[$]/2-j-q-z-O.mainAxis:M-q-z-O.mainAxis,K=v?-E[$]/2+j+q+R+O.mainAxis:F+q+R+O.mainAxis,Q=e.elements.arrow&&$e(e.elements.arrow),X=Q?"y"===y?Q.clientTop||0:Q.clientLeft||0:0,Y=null!=(L=null==x?void 0:x[y])?L:0,U=I+K-Y,G=Ne(f?ye(N,I+V-Y-X):N,I,f?ve(P,U):P);A[y]=G,k[y]=G-I}if(a){var J,Z="x"===y?zt:Vt,tt="x"===y?Rt:qt,et=A[w],it="y"===w?"height":"width",nt=et+g[Z],st=et-g[tt],ot=-1!==[zt,Vt].indexOf(_),rt=null!=(J=null==x?void 0:x[w])?J:0,at=ot?nt:et-E[it]-T[it]-rt+O.altAxis,lt=ot?et+E[it]+T[it]-rt-O.altAxis:st,ct=f&&ot?function(t,e,i){var n=Ne(t,e,i);return n>i?i:n}(at,et,lt):Ne(f?at:nt,et,f?lt:st);A[w]=ct,k[w]=ct-et}e.modifiersData[n]=k}},requiresIfExists:["offset"]};function di(t,e,i){void 0===i&&(i=!1);var n,s,o=me(e),r=me(e)&&function(t){var e=t.getBoundingClientRect(),i=we(e.width)/t.offsetWidth||1,n=we(e.height)/t.offsetHeight||1;return 1!==i||1!==n}(e),a=Le(e),l=Te(t,r,i),c={scrollLeft:0,scrollTop:0},h={x:0,y:0};return(o||!o&&!i)&&(("body"!==ue(e)||Ue(a))&&(c=(n=e)!==fe(n)&&me(n)?{scrollLeft:(s=n).scrollLeft,scrollTop:s.scrollTop}:Xe(n)),me(e)?((h=Te(e,!0)).x+=e.clientLeft,h.y+=e.clientTop):a&&(h.x=Ye(a))),{x:l.left+c.scrollLeft-h.x,y:l.top+c.scrollTop-h.y,width:l.width,height:l.height}}function ui(t){var e=new Map,i=new Set,n=[];function s(t){i.add(t.name),[].concat(t.requires||[],t.requiresIfExists||[]).forEach((function(t){if(!i.has(t)){var n=e.get(t);n&&s(n)}})),n.push(t)}return t.forEach((function(t){e.set(t.name,t)})),t.forEach((function(t){i.has(t.name)||s(t)})),n}var fi={placement:"bottom",modifiers:[],strategy:"absolute"};function pi(){for(var t=arguments.length,e=new Array(t),i=0;i<t;i++)e[i]=arguments[i];return!e.some((function(t){return!(t&&"function"==typeof t.getBoundingClientRect)}))}function mi(t){void 0===t&&(t={});var e=t,i=e.defaultModifiers,n=void 0===i?[]:i,s=e.defaultOptions,o=void 0===s?fi:s;return function(t,e,i){void 0===i&&(i=o);var s,r,a={placement:"bottom",orderedModifiers:[],options:Object.assign({},fi,o),modifiersData:{},elements:{reference:t,popper:e},attributes:{},styles:{}},l=[],c=!1,h={state:a,setOptions:function(i){var s="function"==typeof i?i(a.options):i;d(),a.options=Object.assign({},o,a.options,s),a.scrollParents={reference:pe(t)?Je(t):t.contextElement?Je(t.contextElement):[],popper:Je(e)};var r,c,u=function(t){var e=ui(t);return de.reduce((function(t,i){return t.concat(e.filter((function(t){return t.phase===i})))}),[])}((r=[].concat(n,a.options.modifiers),c=r.reduce((function(t,e){var i=t[e.name];return t[e.name]=i?Object.assign({},i,e,{options:Object.assign({},i.options,e.options),data:Object.assign({},i.data,e.data)}):e,t}),{}),Object.keys(c).map((function(t){return c[t]}))));return a.orderedModifiers=u.filter((function(t){return t.enabled})),a.orderedModifiers.forEach((function(t){var e=t.name,i=t.options,n=void 0===i?{}:i,s=t.effect;if("function"==typeof s){var o=s({state:a,name:e,instance:h,options:n});l.push(o||function(){})}})),h.update()},forceUpdate:function(){if(!c){var t=a.elements,e=t.reference,i=t.popper;if(pi(e,i)){a.rects={reference:di(e,$e(i),"fixed"===a.options.strategy),popper:Ce(i)},a.reset=!1,a.placement=a.options.placement,a.orderedModifiers.forEach((function(t){return a.modifiersData[t.name]=Object.assign({},t.data)}));for(var n=0;n<a.orderedModifiers.length;n++)if(!0!==a.reset){var s=a.orderedModifiers[n],o=s.fn,r=s.options,l=void 0===r?{}:r,d=s.name;"function"==typeof o&&(a=o({state:a,options:l,name:d,instance:h})||a)}else a.reset=!1,n=-1}}},update:(s=function(){return new Promise((function(t){h.forceUpdate(),t(a)}))},function(){return r||(r=new Promise((function(t){Promise.resolve().then((function(){r=void 0,t(s())}))}))),r}),destroy:function(){d(),c=!0}};if(!pi(t,e))return h;function d(){l.forEach((function(t){return t()})),l=[]}return h.setOptions(i).then((function(t){!c&&i.onFirstUpdate&&i.onFirstUpdate(t)})),h}}var gi=mi(),_i=mi({defaultModifiers:[Re,ci,Be,_e]}),bi=mi({defaultModifiers:[Re,ci,Be,_e,li,si,hi,Me,ai]});const vi=Object.freeze(Object.defineProperty({__proto__:null,afterMain:ae,afterRead:se,afterWrite:he,applyStyles:_e,arrow:Me,auto:Kt,basePlacements:Qt,beforeMain:oe,beforeRead:ie,beforeWrite:le,bottom:Rt,clippingParents:Ut,computeStyles:Be,createPopper:bi,createPopperBase:gi,createPopperLite:_i,detectOverflow:ii,end:Yt,eventListeners:Re,flip:si,hide:ai,left:Vt,main:re,modifierPhases:de,offset:li,placements:ee,popper:Jt,popperGenerator:mi,popperOffsets:ci,preventOverflow:hi,read:ne,reference:Zt,right:qt,start:Xt,top:zt,variationPlacements:te,viewport:Gt,write:ce},Symbol.toStringTag,{value:"Module"})),yi="dropdown",wi=".bs.dropdown",Ai=".data-api",Ei="ArrowUp",Ti="ArrowDown",Ci=`hide${wi}`,Oi=`hidden${wi}`,xi=`show${wi}`,ki=`shown${wi}`,Li=`click${wi}${Ai}`,Si=`keydown${wi}${Ai}`,Di=`keyup${wi}${Ai}`,$i="show",Ii='[data-bs-toggle="dropdown"]:not(.disabled):not(:disabled)',Ni=`${Ii}.${$i}`,Pi=".dropdown-menu",ji=p()?"top-end":"top-start",Mi=p()?"top-start":"top-end",Fi=p()?"bottom-end":"bottom-start",Hi=p()?"bottom-start":"bottom-end",Wi=p()?"left-start":"right-start",Bi=p()?"right-start":"left-start",zi={autoClose:!0,boundary:"clippingParents",display:"dynamic",offset:[0,2],popperConfig:null,reference:"toggle"},Ri={autoClose:"(boolean|string)",boundary:"(string|element)",display:"string",offset:"(array|string|function)",popperConfig:"(null|object|function)",reference:"(string|element|object)"};class qi extends W{constructor(t,e){super(t,e),this._popper=null,this._parent=this._element.parentNode,this._menu=z.next(this._element,Pi)[0]||z.prev(this._element,Pi)[0]||z.findOne(Pi,this._parent),this._inNavbar=this._detectNavbar()}static get Default(){return zi}static get DefaultType(){return Ri}static get NAME(){return yi}toggle(){return this._isShown()?this.hide():this.show()}show(){if(l(this._element)||this._isShown())return;const t={relatedTarget:this._element};if(!N.trigger(this._element,xi,t).defaultPrevented){if(this._createPopper(),"ontouchstart"in document.documentElement&&!this._parent.closest(".navbar-nav"))for(const t of[].concat(...document.body.children))N.on(t,"mouseover",h);this._element.focus(),this._element.setAttribute("aria-expanded",!0),this._menu.classList.add($i),this._element.classList.add($i),N.trigger(this._element,ki,t)}}hide(){if(l(this._element)||!this._isShown())return;const t={relatedTarget:this._element};this._completeHide(t)}dispose(){this._popper&&this._popper.destroy(),super.dispose()}update(){this._inNavbar=this._detectNavbar(),this._popper&&this._popper.update()}_completeHide(t){if(!N.trigger(this._element,Ci,t).defaultPrevented){if("ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))N.off(t,"mouseover",h);this._popper&&this._popper.destroy(),this._menu.classList.remove($i),this._element.classList.remove($i),this._element.setAttribute("aria-expanded","false"),F.removeDataAttribute(this._menu,"popper"),N.trigger(this._element,Oi,t)}}_getConfig(t){if("object"==typeof(t=super._getConfig(t)).reference&&!o(t.reference)&&"function"!=typeof t.reference.getBoundingClientRect)throw new TypeError(`${yi.toUpperCase()}: Option "reference" provided type "object" without a required "getBoundingClientRect" method.`);return t}_createPopper(){if(void 0===vi)throw new TypeError("Bootstrap's dropdowns require Popper (https://popper.js.org)");let t=this._element;"parent"===this._config.reference?t=this._parent:o(this._config.reference)?t=r(this._config.reference):"object"==typeof this._config.reference&&(t=this._config.reference);const e=this._getPopperConfig();this._popper=bi(t,this._menu,e)}_isShown(){return this._menu.classList.contains($i)}_getPlacement(){const t=this._parent;if(t.classList.contains("dropend"))return Wi;if(t.classList.contains("dropstart"))return Bi;if(t.classList.contains("dropup-center"))return"top";if(t.classList.contains("dropdown-center"))return"bottom";const e="end"===getComputedStyle(this._menu).getPropertyValue("--bs-position").trim();return t.classList.contains("dropup")?e?Mi:ji:e?Hi:Fi}_detectNavbar(){return null!==this._element.closest(".navbar")}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map((t=>Number.parseInt(t,10))):"function"==typeof t?e=>t(e,this._element):t}_getPopperConfig(){const t={placement:this._getPlacement(),modifiers:[{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"offset",options:{offset:this._getOffset()}}]};return(this._inNavbar||"static"===this._config.display)&&(F.setDataAttribute(this._menu,"popper","static"),t.modifiers=[{name:"applyStyles",enabled:!1}]),{...t,...g(this._config.popperConfig,[t])}}_selectMenuItem({key:t,target:e}){const i=z.find(".dropdown-menu .dropdown-item:not(.disabled):not(:disabled)",this._menu).filter((t=>a(t)));i.length&&b(i,e,t===Ti,!i.includes(e)).focus()}static jQueryInterface(t){return this.each((function(){const e=qi.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}}))}static clearMenus(t){if(2===t.button||"keyup"===t.type&&"Tab"!==t.key)return;const e=z.find(Ni);for(const i of e){const e=qi.getInstance(i);if(!e||!1===e._config.autoClose)continue;const n=t.composedPath(),s=n.includes(e._menu);if(n.includes(e._element)||"inside"===e._config.autoClose&&!s||"outside"===e._config.autoClose&&s)continue;if(e._menu.contains(t.target)&&("keyup"===t.type&&"Tab"===t.key||/input|select|option|textarea|form/i.test(t.target.tagName)))continue;const o={relatedTarget:e._element};"click"===t.type&&(o.clickEvent=t),e._completeHide(o)}}static dataApiKeydownHandler(t){const e=/input|textarea/i.test(t.target.tagName),i="Escape"===t.key,n=[Ei,Ti].includes(t.key);if(!n&&!i)return;if(e&&!i)return;t.preventDefault();const s=this.matches(Ii)?this:z.prev(this,Ii)[0]||z.next(this,Ii)[0]||z.findOne(Ii,t.delegateTarget.parentNode),o=qi.getOrCreateInstance(s);if(n)return t.stopPropagation(),o.show(),void o._selectMenuItem(t);o._isShown()&&(t.stopPropagation(),o.hide(),s.focus())}}N.on(document,Si,Ii,qi.dataApiKeydownHandler),N.on(document,Si,Pi,qi.dataApiKeydownHandler),N.on(document,Li,qi.clearMenus),N.on(document,Di,qi.clearMenus),N.on(document,Li,Ii,(function(t){t.preventDefault(),qi.getOrCreateInstance(this).toggle()})),m(qi);const Vi="backdrop",Ki="show",Qi=`mousedown.bs.${Vi}`,Xi={className:"modal-backdrop",clickCallback:null,isAnimated:!1,isVisible:!0,rootElement:"body"},Yi={className:"string",clickCallback:"(function|null)",isAnimated:"boolean",isVisible:"boolean",rootElement:"(element|string)"};class Ui extends H{constructor(t){super(),this._config=this._getConfig(t),this._isAppended=!1,this._element=null}static get Default(){return Xi}static get DefaultType(){return Yi}static get NAME(){return Vi}show(t){if(!this._config.isVisible)return void g(t);this._append();const e=this._getElement();this._config.isAnimated&&d(e),e.classList.add(Ki),this._emulateAnimation((()=>{g(t)}))}hide(t){this._config.isVisible?(this._getElement().classList.remove(Ki),this._emulateAnimation((()=>{this.dispose(),g(t)}))):g(t)}dispose(){this._isAppended&&(N.off(this._element,Qi),this._element.remove(),this._isAppended=!1)}_getElement(){if(!this._element){const t=document.createElement("div");t.className=this._config.className,this._config.isAnimated&&t.classList.add("fade"),this._element=t}return this._element}_configAfterMerge(t){return t.rootElement=r(t.rootElement),t}_append(){if(this._isAppended)return;const t=this._getElement();this._config.rootElement.append(t),N.on(t,Qi,(()=>{g(this._config.clickCallback)})),this._isAppended=!0}_emulateAnimation(t){_(t,this._getElement(),this._config.isAnimated)}}const Gi=".bs.focustrap",Ji=`focusin${Gi}`,Zi=`keydown.tab${Gi}`,tn="backward",en={autofocus:!0,trapElement:null},nn={autofocus:"boolean",trapElement:"element"};class sn extends H{constructor(t){super(),this._config=this._getConfig(t),this._isActive=!1,this._lastTabNavDirection=null}static get Default(){return en}static get DefaultType(){return nn}static get NAME(){return"focustrap"}activate(){this._isActive||(this._config.autofocus&&this._config.trapElement.focus(),N.off(document,Gi),N.on(document,Ji,(t=>this._handleFocusin(t))),N.on(document,Zi,(t=>this._handleKeydown(t))),this._isActive=!0)}deactivate(){this._isActive&&(this._isActive=!1,N.off(document,Gi))}_handleFocusin(t){const{trapElement:e}=this._config;if(t.target===document||t.target===e||e.contains(t.target))return;const i=z.focusableChildren(e);0===i.length?e.focus():this._lastTabNavDirection===tn?i[i.length-1].focus():i[0].focus()}_handleKeydown(t){"Tab"===t.key&&(this._lastTabNavDirection=t.shiftKey?tn:"forward")}}const on=".fixed-top, .fixed-bottom, .is-fixed, .sticky-top",rn=".sticky-top",an="padding-right",ln="margin-right";class cn{constructor(){this._element=document.body}getWidth(){const t=document.documentElement.clientWidth;return Math.abs(window.innerWidth-t)}hide(){const t=this.getWidth();this._disableOverFlow(),this._setElementAttributes(this._element,an,(e=>e+t)),this._setElementAttributes(on,an,(e=>e+t)),this._setElementAttributes(rn,ln,(e=>e-t))}reset(){this._resetElementAttributes(this._element,"overflow"),this._resetElementAttributes(this._element,an),this._resetElementAttributes(on,an),this._resetElementAttributes(rn,ln)}isOverflowing(){return this.getWidth()>0}_disableOverFlow(){this._saveInitialAttribute(this._element,"overflow"),this._element.style.overflow="hidden"}_setElementAttributes(t,e,i){const n=this.getWidth();this._applyManipulationCallback(t,(t=>{if(t!==this._element&&window.innerWidth>t.clientWidth+n)return;this._saveInitialAttribute(t,e);const s=window.getComputedStyle(t).getPropertyValue(e);t.style.setProperty(e,`${i(Number.parseFloat(s))}px`)}))}_saveInitialAttribute(t,e){const i=t.style.getPropertyValue(e);i&&F.setDataAttribute(t,e,i)}_resetElementAttributes(t,e){this._applyManipulationCallback(t,(t=>{const i=F.getDataAttribute(t,e);null!==i?(F.removeDataAttribute(t,e),t.style.setProperty(e,i)):t.style.removeProperty(e)}))}_applyManipulationCallback(t,e){if(o(t))e(t);else for(const i of z.find(t,this._element))e(i)}}const hn=".bs.modal",dn=`hide${hn}`,un=`hidePrevented${hn}`,fn=`hidden${hn}`,pn=`show${hn}`,mn=`shown${hn}`,gn=`resize${hn}`,_n=`click.dismiss${hn}`,bn=`mousedown.dismiss${hn}`,vn=`keydown.dismiss${hn}`,yn=`click${hn}.data-api`,wn="modal-open",An="show",En="modal-static",Tn={backdrop:!0,focus:!0,keyboard:!0},Cn={backdrop:"(boolean|string)",focus:"boolean",keyboard:"boolean"};class On extends W{constructor(t,e){super(t,e),this._dialog=z.findOne(".modal-dialog",this._element),this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._isShown=!1,this._isTransitioning=!1,this._scrollBar=new cn,this._addEventListeners()}static get Default(){return Tn}static get DefaultType(){return Cn}static get NAME(){return"modal"}toggle(t){return this._isShown?this.hide():this.show(t)}show(t){this._isShown||this._isTransitioning||N.trigger(this._element,pn,{relatedTarget:t}).defaultPrevented||(this._isShown=!0,this._isTransitioning=!0,this._scrollBar.hide(),document.body.classList.add(wn),this._adjustDialog(),this._backdrop.show((()=>this._showElement(t))))}hide(){this._isShown&&!this._isTransitioning&&(N.trigger(this._element,dn).defaultPrevented||(this._isShown=!1,this._isTransitioning=!0,this._focustrap.deactivate(),this._element.classList.remove(An),this._queueCallback((()=>this._hideModal()),this._element,this._isAnimated())))}dispose(){N.off(window,hn),N.off(this._dialog,hn),this._backdrop.dispose(),this._focustrap.deactivate(),super.dispose()}handleUpdate(){this._adjustDialog()}_initializeBackDrop(){return new Ui({isVisible:Boolean(this._config.backdrop),isAnimated:this._isAnimated()})}_initializeFocusTrap(){return new sn({trapElement:this._element})}_showElement(t){document.body.contains(this._element)||document.body.append(this._element),this._element.style.display="block",this._element.removeAttribute("aria-hidden"),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.scrollTop=0;const e=z.findOne(".modal-body",this._dialog);e&&(e.scrollTop=0),d(this._element),this._element.classList.add(An),this._queueCallback((()=>{this._config.focus&&this._focustrap.activate(),this._isTransitioning=!1,N.trigger(this._element,mn,{relatedTarget:t})}),this._dialog,this._isAnimated())}_addEventListeners(){N.on(this._element,vn,(t=>{"Escape"===t.key&&(this._config.keyboard?this.hide():this._triggerBackdropTransition())})),N.on(window,gn,(()=>{this._isShown&&!this._isTransitioning&&this._adjustDialog()})),N.on(this._element,bn,(t=>{N.one(this._element,_n,(e=>{this._element===t.target&&this._element===e.target&&("static"!==this._config.backdrop?this._config.backdrop&&this.hide():this._triggerBackdropTransition())}))}))}_hideModal(){this._element.style.display="none",this._element.setAttribute("aria-hidden",!0),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._isTransitioning=!1,this._backdrop.hide((()=>{document.body.classList.remove(wn),this._resetAdjustments(),this._scrollBar.reset(),N.trigger(this._element,fn)}))}_isAnimated(){return this._element.classList.contains("fade")}_triggerBackdropTransition(){if(N.trigger(this._element,un).defaultPrevented)return;const t=this._element.scrollHeight>document.documentElement.clientHeight,e=this._element.style.overflowY;"hidden"===e||this._element.classList.contains(En)||(t||(this._element.style.overflowY="hidden"),this._element.classList.add(En),this._queueCallback((()=>{this._element.classList.remove(En),this._queueCallback((()=>{this._element.style.overflowY=e}),this._dialog)}),this._dialog),this._element.focus())}_adjustDialog(){const t=this._element.scrollHeight>document.documentElement.clientHeight,e=this._scrollBar.getWidth(),i=e>0;if(i&&!t){const t=p()?"paddingLeft":"paddingRight";this._element.style[t]=`${e}px`}if(!i&&t){const t=p()?"paddingRight":"paddingLeft";this._element.style[t]=`${e}px`}}_resetAdjustments(){this._element.style.paddingLeft="",this._element.style.paddingRight=""}static jQueryInterface(t,e){return this.each((function(){const i=On.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===i[t])throw new TypeError(`No method named "${t}"`);i[t](e)}}))}}N.on(document,yn,'[data-bs-toggle="modal"]',(function(t){const e=z.getElementFromSelector(this);["A","AREA"].includes(this.tagName)&&t.preventDefault(),N.one(e,pn,(t=>{t.defaultPrevented||N.one(e,fn,(()=>{a(this)&&this.focus()}))}));const i=z.findOne(".modal.show");i&&On.getInstance(i).hide(),On.getOrCreateInstance(e).toggle(this)})),R(On),m(On);const xn=".bs.offcanvas",kn=".data-api",Ln=`load${xn}${kn}`,Sn="show",Dn="showing",$n="hiding",In=".offcanvas.show",Nn=`show${xn}`,Pn=`shown${xn}`,jn=`hide${xn}`,Mn=`hidePrevented${xn}`,Fn=`hidden${xn}`,Hn=`resize${xn}`,Wn=`click${xn}${kn}`,Bn=`keydown.dismiss${xn}`,zn={backdrop:!0,keyboard:!0,scroll:!1},Rn={backdrop:"(boolean|string)",keyboard:"boolean",scroll:"boolean"};class qn extends W{constructor(t,e){super(t,e),this._isShown=!1,this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._addEventListeners()}static get Default(){return zn}static get DefaultType(){return Rn}static get NAME(){return"offcanvas"}toggle(t){return this._isShown?this.hide():this.show(t)}show(t){this._isShown||N.trigger(this._element,Nn,{relatedTarget:t}).defaultPrevented||(this._isShown=!0,this._backdrop.show(),this._config.scroll||(new cn).hide(),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.classList.add(Dn),this._queueCallback((()=>{this._config.scroll&&!this._config.backdrop||this._focustrap.activate(),this._element.classList.add(Sn),this._element.classList.remove(Dn),N.trigger(this._element,Pn,{relatedTarget:t})}),this._element,!0))}hide(){this._isShown&&(N.trigger(this._element,jn).defaultPrevented||(this._focustrap.deactivate(),this._element.blur(),this._isShown=!1,this._element.classList.add($n),this._backdrop.hide(),this._queueCallback((()=>{this._element.classList.remove(Sn,$n),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._config.scroll||(new cn).reset(),N.trigger(this._element,Fn)}),this._element,!0)))}dispose(){this._backdrop.dispose(),this._focustrap.deactivate(),super.dispose()}_initializeBackDrop(){const t=Boolean(this._config.backdrop);return new Ui({className:"offcanvas-backdrop",isVisible:t,isAnimated:!0,rootElement:this._element.parentNode,clickCallback:t?()=>{"static"!==this._config.backdrop?this.hide():N.trigger(this._element,Mn)}:null})}_initializeFocusTrap(){return new sn({trapElement:this._element})}_addEventListeners(){N.on(this._element,Bn,(t=>{"Escape"===t.key&&(this._config.keyboard?this.hide():N.trigger(this._element,Mn))}))}static jQueryInterface(t){return this.each((function(){const e=qn.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t](this)}}))}}N.on(document,Wn,'[data-bs-toggle="offcanvas"]',(function(t){const e=z.getElementFromSelector(this);if(["A","AREA"].includes(this.tagName)&&t.preventDefault(),l(this))return;N.one(e,Fn,(()=>{a(this)&&this.focus()}));const i=z.findOne(In);i&&i!==e&&qn.getInstance(i).hide(),qn.getOrCreateInstance(e).toggle(this)})),N.on(window,Ln,(()=>{for(const t of z.find(In))qn.getOrCreateInstance(t).show()})),N.on(window,Hn,(()=>{for(const t of z.find("[aria-modal][class*=show][class*=offcanvas-]"))"fixed"!==getComputedStyle(t).position&&qn.getOrCreateInstance(t).hide()})),R(qn),m(qn);const Vn={"*":["class","dir","id","lang","role",/^aria-[\w-]*$/i],a:["target","href","title","rel"],area:[],b:[],br:[],col:[],code:[],dd:[],div:[],dl:[],dt:[],em:[],hr:[],h1:[],h2:[],h3:[],h4:[],h5:[],h6:[],i:[],img:["src","srcset","alt","title","width","height"],li:[],ol:[],p:[],pre:[],s:[],small:[],span:[],sub:[],sup:[],strong:[],u:[],ul:[]},Kn=new Set(["background","cite","href","itemtype","longdesc","poster","src","xlink:href"]),Qn=/^(?!javascript:)(?:[a-z0-9+.-]+:|[^&:/?#]*(?:[/?#]|$))/i,Xn=(t,e)=>{const i=t.nodeName.toLowerCase();return e.includes(i)?!Kn.has(i)||Boolean(Qn.test(t.nodeValue)):e.filter((t=>t instanceof RegExp)).some((t=>t.test(i)))},Yn={allowList:Vn,content:{},extraClass:"",html:!1,sanitize:!0,sanitizeFn:null,template:"<div></div>"},Un={allowList:"object",content:"object",extraClass:"(string|function)",html:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},Gn={entry:"(string|element|function|null)",selector:"(string|element)"};class Jn extends H{constructor(t){super(),this._config=this._getConfig(t)}static get Default(){return Yn}static get DefaultType(){return Un}static get NAME(){return"TemplateFactory"}getContent(){return Object.values(this._config.content).map((t=>this._resolvePossibleFunction(t))).filter(Boolean)}hasContent(){return this.getContent().length>0}changeContent(t){return this._checkContent(t),this._config.content={...this._config.content,...t},this}toHtml(){const t=document.createElement("div");t.innerHTML=this._maybeSanitize(this._config.template);for(const[e,i]of Object.entries(this._config.content))this._setContent(t,i,e);const e=t.children[0],i=this._resolvePossibleFunction(this._config.extraClass);return i&&e.classList.add(...i.split(" ")),e}_typeCheckConfig(t){super._typeCheckConfig(t),this._checkContent(t.content)}_checkContent(t){for(const[e,i]of Object.entries(t))super._typeCheckConfig({selector:e,entry:i},Gn)}_setContent(t,e,i){const n=z.findOne(i,t);n&&((e=this._resolvePossibleFunction(e))?o(e)?this._putElementInTemplate(r(e),n):this._config.html?n.innerHTML=this._maybeSanitize(e):n.textContent=e:n.remove())}_maybeSanitize(t){return this._config.sanitize?function(t,e,i){if(!t.length)return t;if(i&&"function"==typeof i)return i(t);const n=(new window.DOMParser).parseFromString(t,"text/html"),s=[].concat(...n.body.querySelectorAll("*"));for(const t of s){const i=t.nodeName.toLowerCase();if(!Object.keys(e).includes(i)){t.remove();continue}const n=[].concat(...t.attributes),s=[].concat(e["*"]||[],e[i]||[]);for(const e of n)Xn(e,s)||t.removeAttribute(e.nodeName)}return n.body.innerHTML}(t,this._config.allowList,this._config.sanitizeFn):t}_resolvePossibleFunction(t){return g(t,[this])}_putElementInTemplate(t,e){if(this._config.html)return e.innerHTML="",void e.append(t);e.textContent=t.textContent}}const Zn=new Set(["sanitize","allowList","sanitizeFn"]),ts="fade",es="show",is=".modal",ns="hide.bs.modal",ss="hover",os="focus",rs={AUTO:"auto",TOP:"top",RIGHT:p()?"left":"right",BOTTOM:"bottom",LEFT:p()?"right":"left"},as={allowList:Vn,animation:!0,boundary:"clippingParents",container:!1,customClass:"",delay:0,fallbackPlacements:["top","right","bottom","left"],html:!1,offset:[0,6],placement:"top",popperConfig:null,sanitize:!0,sanitizeFn:null,selector:!1,template:'<div class="tooltip" role="tooltip"><div class="tooltip-arrow"></div><div class="tooltip-inner"></div></div>',title:"",trigger:"hover focus"},ls={allowList:"object",animation:"boolean",boundary:"(string|element)",container:"(string|element|boolean)",customClass:"(string|function)",delay:"(number|object)",fallbackPlacements:"array",html:"boolean",offset:"(array|string|function)",placement:"(string|function)",popperConfig:"(null|object|function)",sanitize:"boolean",sanitizeFn:"(null|function)",selector:"(string|boolean)",template:"string",title:"(string|element|function)",trigger:"string"};class cs extends W{constructor(t,e){if(void 0===vi)throw new TypeError("Bootstrap's tooltips require Popper (https://popper.js.org)");super(t,e),this._isEnabled=!0,this._timeout=0,this._isHovered=null,this._activeTrigger={},this._popper=null,this._templateFactory=null,this._newContent=null,this.tip=null,this._setListeners(),this._config.selector||this._fixTitle()}static get Default(){return as}static get DefaultType(){return ls}static get NAME(){return"tooltip"}enable(){this._isEnabled=!0}disable(){this._isEnabled=!1}toggleEnabled(){this._isEnabled=!this._isEnabled}toggle(){this._isEnabled&&(this._activeTrigger.click=!this._activeTrigger.click,this._isShown()?this._leave():this._enter())}dispose(){clearTimeout(this._timeout),N.off(this._element.closest(is),ns,this._hideModalHandler),this._element.getAttribute("data-bs-original-title")&&this._element.setAttribute("title",this._element.getAttribute("data-bs-original-title")),this._disposePopper(),super.dispose()}show(){if("none"===this._element.style.display)throw new Error("Please use show on visible elements");if(!this._isWithContent()||!this._isEnabled)return;const t=N.trigger(this._element,this.constructor.eventName("show")),e=(c(this._element)||this._element.ownerDocument.documentElement).contains(this._element);if(t.defaultPrevented||!e)return;this._disposePopper();const i=this._getTipElement();this._element.setAttribute("aria-describedby",i.getAttribute("id"));const{container:n}=this._config;if(this._element.ownerDocument.documentElement.contains(this.tip)||(n.append(i),N.trigger(this._element,this.constructor.eventName("inserted"))),this._popper=this._createPopper(i),i.classList.add(es),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))N.on(t,"mouseover",h);this._queueCallback((()=>{N.trigger(this._element,this.constructor.eventName("shown")),!1===this._isHovered&&this._leave(),this._isHovered=!1}),this.tip,this._isAnimated())}hide(){if(this._isShown()&&!N.trigger(this._element,this.constructor.eventName("hide")).defaultPrevented){if(this._getTipElement().classList.remove(es),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))N.off(t,"mouseover",h);this._activeTrigger.click=!1,this._activeTrigger[os]=!1,this._activeTrigger[ss]=!1,this._isHovered=null,this._queueCallback((()=>{this._isWithActiveTrigger()||(this._isHovered||this._disposePopper(),this._element.removeAttribute("aria-describedby"),N.trigger(this._element,this.constructor.eventName("hidden")))}),this.tip,this._isAnimated())}}update(){this._popper&&this._popper.update()}_isWithContent(){return Boolean(this._getTitle())}_getTipElement(){return this.tip||(this.tip=this._createTipElement(this._newContent||this._getContentForTemplate())),this.tip}_createTipElement(t){const e=this._getTemplateFactory(t).toHtml();if(!e)return null;e.classList.remove(ts,es),e.classList.add(`bs-${this.constructor.NAME}-auto`);const i=(t=>{do{t+=Math.floor(1e6*Math.random())}while(document.getElementById(t));return t})(this.constructor.NAME).toString();return e.setAttribute("id",i),this._isAnimated()&&e.classList.add(ts),e}setContent(t){this._newContent=t,this._isShown()&&(this._disposePopper(),this.show())}_getTemplateFactory(t){return this._templateFactory?this._templateFactory.changeContent(t):this._templateFactory=new Jn({...this._config,content:t,extraClass:this._resolvePossibleFunction(this._config.customClass)}),this._templateFactory}_getContentForTemplate(){return{".tooltip-inner":this._getTitle()}}_getTitle(){return this._resolvePossibleFunction(this._config.title)||this._element.getAttribute("data-bs-original-title")}_initializeOnDelegatedTarget(t){return this.constructor.getOrCreateInstance(t.delegateTarget,this._getDelegateConfig())}_isAnimated(){return this._config.animation||this.tip&&this.tip.classList.contains(ts)}_isShown(){return this.tip&&this.tip.classList.contains(es)}_createPopper(t){const e=g(this._config.placement,[this,t,this._element]),i=rs[e.toUpperCase()];return bi(this._element,t,this._getPopperConfig(i))}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map((t=>Number.parseInt(t,10))):"function"==typeof t?e=>t(e,this._element):t}_resolvePossibleFunction(t){return g(t,[this._element])}_getPopperConfig(t){const e={placement:t,modifiers:[{name:"flip",options:{fallbackPlacements:this._config.fallbackPlacements}},{name:"offset",options:{offset:this._getOffset()}},{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"arrow",options:{element:`.${this.constructor.NAME}-arrow`}},{name:"preSetPlacement",enabled:!0,phase:"beforeMain",fn:t=>{this._getTipElement().setAttribute("data-popper-placement",t.state.placement)}}]};return{...e,...g(this._config.popperConfig,[e])}}_setListeners(){const t=this._config.trigger.split(" ");for(const e of t)if("click"===e)N.on(this._element,this.constructor.eventName("click"),this._config.selector,(t=>{this._initializeOnDelegatedTarget(t).toggle()}));else if("manual"!==e){const t=e===ss?this.constructor.eventName("mouseenter"):this.constructor.eventName("focusin"),i=e===ss?this.constructor.eventName("mouseleave"):this.constructor.eventName("focusout");N.on(this._element,t,this._config.selector,(t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusin"===t.type?os:ss]=!0,e._enter()})),N.on(this._element,i,this._config.selector,(t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusout"===t.type?os:ss]=e._element.contains(t.relatedTarget),e._leave()}))}this._hideModalHandler=()=>{this._element&&this.hide()},N.on(this._element.closest(is),ns,this._hideModalHandler)}_fixTitle(){const t=this._element.getAttribute("title");t&&(this._element.getAttribute("aria-label")||this._element.textContent.trim()||this._element.setAttribute("aria-label",t),this._element.setAttribute("data-bs-original-title",t),this._element.removeAttribute("title"))}_enter(){this._isShown()||this._isHovered?this._isHovered=!0:(this._isHovered=!0,this._setTimeout((()=>{this._isHovered&&this.show()}),this._config.delay.show))}_leave(){this._isWithActiveTrigger()||(this._isHovered=!1,this._setTimeout((()=>{this._isHovered||this.hide()}),this._config.delay.hide))}_setTimeout(t,e){clearTimeout(this._timeout),this._timeout=setTimeout(t,e)}_isWithActiveTrigger(){return Object.values(this._activeTrigger).includes(!0)}_getConfig(t){const e=F.getDataAttributes(this._element);for(const t of Object.keys(e))Zn.has(t)&&delete e[t];return t={...e,..."object"==typeof t&&t?t:{}},t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){return t.container=!1===t.container?document.body:r(t.container),"number"==typeof t.delay&&(t.delay={show:t.delay,hide:t.delay}),"number"==typeof t.title&&(t.title=t.title.toString()),"number"==typeof t.content&&(t.content=t.content.toString()),t}_getDelegateConfig(){const t={};for(const[e,i]of Object.entries(this._config))this.constructor.Default[e]!==i&&(t[e]=i);return t.selector=!1,t.trigger="manual",t}_disposePopper(){this._popper&&(this._popper.destroy(),this._popper=null),this.tip&&(this.tip.remove(),this.tip=null)}static jQueryInterface(t){return this.each((function(){const e=cs.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}}))}}m(cs);const hs={...cs.Default,content:"",offset:[0,8],placement:"right",template:'<div class="popover" role="tooltip"><div class="popover-arrow"></div><h3 class="popover-header"></h3><div class="popover-body"></div></div>',trigger:"click"},ds={...cs.DefaultType,content:"(null|string|element|function)"};class us extends cs{static get Default(){return hs}static get DefaultType(){return ds}static get NAME(){return"popover"}_isWithContent(){return this._getTitle()||this._getContent()}_getContentForTemplate(){return{".popover-header":this._getTitle(),".popover-body":this._getContent()}}_getContent(){return this._resolvePossibleFunction(this._config.content)}static jQueryInterface(t){return this.each((function(){const e=us.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}}))}}m(us);const fs=".bs.scrollspy",ps=`activate${fs}`,ms=`click${fs}`,gs=`load${fs}.data-api`,_s="active",bs="[href]",vs=".nav-link",ys=`${vs}, .nav-item > ${vs}, .list-group-item`,ws={offset:null,rootMargin:"0px 0px -25%",smoothScroll:!1,target:null,threshold:[.1,.5,1]},As={offset:"(number|null)",rootMargin:"string",smoothScroll:"boolean",target:"element",threshold:"array"};class Es extends W{constructor(t,e){super(t,e),this._targetLinks=new Map,this._observableSections=new Map,this._rootElement="visible"===getComputedStyle(this._element).overflowY?null:this._element,this._activeTarget=null,this._observer=null,this._previousScrollData={visibleEntryTop:0,parentScrollTop:0},this.refresh()}static get Default(){return ws}static get DefaultType(){return As}static get NAME(){return"scrollspy"}refresh(){this._initializeTargetsAndObservables(),this._maybeEnableSmoothScroll(),this._observer?this._observer.disconnect():this._observer=this._getNewObserver();for(const t of this._observableSections.values())this._observer.observe(t)}dispose(){this._observer.disconnect(),super.dispose()}_configAfterMerge(t){return t.target=r(t.target)||document.body,t.rootMargin=t.offset?`${t.offset}px 0px -30%`:t.rootMargin,"string"==typeof t.threshold&&(t.threshold=t.threshold.split(",").map((t=>Number.parseFloat(t)))),t}_maybeEnableSmoothScroll(){this._config.smoothScroll&&(N.off(this._config.target,ms),N.on(this._config.target,ms,bs,(t=>{const e=this._observableSections.get(t.target.hash);if(e){t.preventDefault();const i=this._rootElement||window,n=e.offsetTop-this._element.offsetTop;if(i.scrollTo)return void i.scrollTo({top:n,behavior:"smooth"});i.scrollTop=n}})))}_getNewObserver(){const t={root:this._rootElement,threshold:this._config.threshold,rootMargin:this._config.rootMargin};return new IntersectionObserver((t=>this._observerCallback(t)),t)}_observerCallback(t){const e=t=>this._targetLinks.get(`#${t.target.id}`),i=t=>{this._previousScrollData.visibleEntryTop=t.target.offsetTop,this._process(e(t))},n=(this._rootElement||document.documentElement).scrollTop,s=n>=this._previousScrollData.parentScrollTop;this._previousScrollData.parentScrollTop=n;for(const o of t){if(!o.isIntersecting){this._activeTarget=null,this._clearActiveClass(e(o));continue}const t=o.target.offsetTop>=this._previousScrollData.visibleEntryTop;if(s&&t){if(i(o),!n)return}else s||t||i(o)}}_initializeTargetsAndObservables(){this._targetLinks=new Map,this._observableSections=new Map;const t=z.find(bs,this._config.target);for(const e of t){if(!e.hash||l(e))continue;const t=z.findOne(decodeURI(e.hash),this._element);a(t)&&(this._targetLinks.set(decodeURI(e.hash),e),this._observableSections.set(e.hash,t))}}_process(t){this._activeTarget!==t&&(this._clearActiveClass(this._config.target),this._activeTarget=t,t.classList.add(_s),this._activateParents(t),N.trigger(this._element,ps,{relatedTarget:t}))}_activateParents(t){if(t.classList.contains("dropdown-item"))z.findOne(".dropdown-toggle",t.closest(".dropdown")).classList.add(_s);else for(const e of z.parents(t,".nav, .list-group"))for(const t of z.prev(e,ys))t.classList.add(_s)}_clearActiveClass(t){t.classList.remove(_s);const e=z.find(`${bs}.${_s}`,t);for(const t of e)t.classList.remove(_s)}static jQueryInterface(t){return this.each((function(){const e=Es.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}}))}}N.on(window,gs,(()=>{for(const t of z.find('[data-bs-spy="scroll"]'))Es.getOrCreateInstance(t)})),m(Es);const Ts=".bs.tab",Cs=`hide${Ts}`,Os=`hidden${Ts}`,xs=`show${Ts}`,ks=`shown${Ts}`,Ls=`click${Ts}`,Ss=`keydown${Ts}`,Ds=`load${Ts}`,$s="ArrowLeft",Is="ArrowRight",Ns="ArrowUp",Ps="ArrowDown",js="Home",Ms="End",Fs="active",Hs="fade",Ws="show",Bs=".dropdown-toggle",zs=`:not(${Bs})`,Rs='[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]',qs=`.nav-link${zs}, .list-group-item${zs}, [role="tab"]${zs}, ${Rs}`,Vs=`.${Fs}[data-bs-toggle="tab"], .${Fs}[data-bs-toggle="pill"], .${Fs}[data-bs-toggle="list"]`;class Ks extends W{constructor(t){super(t),this._parent=this._element.closest('.list-group, .nav, [role="tablist"]'),this._parent&&(this._setInitialAttributes(this._parent,this._getChildren()),N.on(this._element,Ss,(t=>this._keydown(t))))}static get NAME(){return"tab"}show(){const t=this._element;if(this._elemIsActive(t))return;const e=this._getActiveElem(),i=e?N.trigger(e,Cs,{relatedTarget:t}):null;N.trigger(t,xs,{relatedTarget:e}).defaultPrevented||i&&i.defaultPrevented||(this._deactivate(e,t),this._activate(t,e))}_activate(t,e){t&&(t.classList.add(Fs),this._activate(z.getElementFromSelector(t)),this._queueCallback((()=>{"tab"===t.getAttribute("role")?(t.removeAttribute("tabindex"),t.setAttribute("aria-selected",!0),this._toggleDropDown(t,!0),N.trigger(t,ks,{relatedTarget:e})):t.classList.add(Ws)}),t,t.classList.contains(Hs)))}_deactivate(t,e){t&&(t.classList.remove(Fs),t.blur(),this._deactivate(z.getElementFromSelector(t)),this._queueCallback((()=>{"tab"===t.getAttribute("role")?(t.setAttribute("aria-selected",!1),t.setAttribute("tabindex","-1"),this._toggleDropDown(t,!1),N.trigger(t,Os,{relatedTarget:e})):t.classList.remove(Ws)}),t,t.classList.contains(Hs)))}_keydown(t){if(![$s,Is,Ns,Ps,js,Ms].includes(t.key))return;t.stopPropagation(),t.preventDefault();const e=this._getChildren().filter((t=>!l(t)));let i;if([js,Ms].includes(t.key))i=e[t.key===js?0:e.length-1];else{const n=[Is,Ps].includes(t.key);i=b(e,t.target,n,!0)}i&&(i.focus({preventScroll:!0}),Ks.getOrCreateInstance(i).show())}_getChildren(){return z.find(qs,this._parent)}_getActiveElem(){return this._getChildren().find((t=>this._elemIsActive(t)))||null}_setInitialAttributes(t,e){this._setAttributeIfNotExists(t,"role","tablist");for(const t of e)this._setInitialAttributesOnChild(t)}_setInitialAttributesOnChild(t){t=this._getInnerElement(t);const e=this._elemIsActive(t),i=this._getOuterElement(t);t.setAttribute("aria-selected",e),i!==t&&this._setAttributeIfNotExists(i,"role","presentation"),e||t.setAttribute("tabindex","-1"),this._setAttributeIfNotExists(t,"role","tab"),this._setInitialAttributesOnTargetPanel(t)}_setInitialAttributesOnTargetPanel(t){const e=z.getElementFromSelector(t);e&&(this._setAttributeIfNotExists(e,"role","tabpanel"),t.id&&this._setAttributeIfNotExists(e,"aria-labelledby",`${t.id}`))}_toggleDropDown(t,e){const i=this._getOuterElement(t);if(!i.classList.contains("dropdown"))return;const n=(t,n)=>{const s=z.findOne(t,i);s&&s.classList.toggle(n,e)};n(Bs,Fs),n(".dropdown-menu",Ws),i.setAttribute("aria-expanded",e)}_setAttributeIfNotExists(t,e,i){t.hasAttribute(e)||t.setAttribute(e,i)}_elemIsActive(t){return t.classList.contains(Fs)}_getInnerElement(t){return t.matches(qs)?t:z.findOne(qs,t)}_getOuterElement(t){return t.closest(".nav-item, .list-group-item")||t}static jQueryInterface(t){return this.each((function(){const e=Ks.getOrCreateInstance(this);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}}))}}N.on(document,Ls,Rs,(function(t){["A","AREA"].includes(this.tagName)&&t.preventDefault(),l(this)||Ks.getOrCreateInstance(this).show()})),N.on(window,Ds,(()=>{for(const t of z.find(Vs))Ks.getOrCreateInstance(t)})),m(Ks);const Qs=".bs.toast",Xs=`mouseover${Qs}`,Ys=`mouseout${Qs}`,Us=`focusin${Qs}`,Gs=`focusout${Qs}`,Js=`hide${Qs}`,Zs=`hidden${Qs}`,to=`show${Qs}`,eo=`shown${Qs}`,io="hide",no="show",so="showing",oo={animation:"boolean",autohide:"boolean",delay:"number"},ro={animation:!0,autohide:!0,delay:5e3};class ao extends W{constructor(t,e){super(t,e),this._timeout=null,this._hasMouseInteraction=!1,this._hasKeyboardInteraction=!1,this._setListeners()}static get Default(){return ro}static get DefaultType(){return oo}static get NAME(){return"toast"}show(){N.trigger(this._element,to).defaultPrevented||(this._clearTimeout(),this._config.animation&&this._element.classList.add("fade"),this._element.classList.remove(io),d(this._element),this._element.classList.add(no,so),this._queueCallback((()=>{this._element.classList.remove(so),N.trigger(this._element,eo),this._maybeScheduleHide()}),this._element,this._config.animation))}hide(){this.isShown()&&(N.trigger(this._element,Js).defaultPrevented||(this._element.classList.add(so),this._queueCallback((()=>{this._element.classList.add(io),this._element.classList.remove(so,no),N.trigger(this._element,Zs)}),this._element,this._config.animation)))}dispose(){this._clearTimeout(),this.isShown()&&this._element.classList.remove(no),super.dispose()}isShown(){return this._element.classList.contains(no)}_maybeScheduleHide(){this._config.autohide&&(this._hasMouseInteraction||this._hasKeyboardInteraction||(this._timeout=setTimeout((()=>{this.hide()}),this._config.delay)))}_onInteraction(t,e){switch(t.type){case"mouseover":case"mouseout":this._hasMouseInteraction=e;break;case"focusin":case"focusout":this._hasKeyboardInteraction=e}if(e)return void this._clearTimeout();const i=t.relatedTarget;this._element===i||this._element.contains(i)||this._maybeScheduleHide()}_setListeners(){N.on(this._element,Xs,(t=>this._onInteraction(t,!0))),N.on(this._element,Ys,(t=>this._onInteraction(t,!1))),N.on(this._element,Us,(t=>this._onInteraction(t,!0))),N.on(this._element,Gs,(t=>this._onInteraction(t,!1)))}_clearTimeout(){clearTimeout(this._timeout),this._timeout=null}static jQueryInterface(t){return this.each((function(){const e=ao.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t](this)}}))}}return R(ao),m(ao),{Alert:Q,Button:Y,Carousel:xt,Collapse:Bt,Dropdown:qi,Modal:On,Offcanvas:qn,Popover:us,ScrollSpy:Es,Tab:Ks,Toast:ao,Tooltip:cs}}));
-//# sourceMappingURL=bootstrap.bundle.min.js.map
\ No newline at end of file
+!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?e(exports):"function"==typeof define&&define.amd?define(["exports"],e):e((t="undefined"!=typeof globalThis?globalThis:t||self).bootstrap={})}(this,function(t){"use strict";var e="top",i="bottom",s="right",n="left",o="auto",r=[e,i,s,n],a="start",l="end",c="clippingParents",h="viewport",d="popper",u="reference",_=r.reduce(function(t,e){return t.concat([e+"-"+a,e+"-"+l])},[]),f=[].concat(r,[o]).reduce(function(t,e){return t.concat([e,e+"-"+a,e+"-"+l])},[]),g="beforeRead",p="read",m="afterRead",b="beforeMain",v="main",y="afterMain",w="beforeWrite",A="write",x="afterWrite",C=[g,p,m,b,v,y,w,A,x];function E(t){return t?(t.nodeName||"").toLowerCase():null}function T(t){if(null==t)return window;if("[object Window]"!==t.toString()){var e=t.ownerDocument;return e&&e.defaultView||window}return t}function L(t){return t instanceof T(t).Element||t instanceof Element}function I(t){return t instanceof T(t).HTMLElement||t instanceof HTMLElement}function S(t){return"undefined"!=typeof ShadowRoot&&(t instanceof T(t).ShadowRoot||t instanceof ShadowRoot)}const O={name:"applyStyles",enabled:!0,phase:"write",fn:function(t){var e=t.state;Object.keys(e.elements).forEach(function(t){var i=e.styles[t]||{},s=e.attributes[t]||{},n=e.elements[t];I(n)&&E(n)&&(Object.assign(n.style,i),Object.keys(s).forEach(function(t){var e=s[t];!1===e?n.removeAttribute(t):n.setAttribute(t,!0===e?"":e)}))})},effect:function(t){var e=t.state,i={popper:{position:e.options.strategy,left:"0",top:"0",margin:"0"},arrow:{position:"absolute"},reference:{}};return Object.assign(e.elements.popper.style,i.popper),e.styles=i,e.elements.arrow&&Object.assign(e.elements.arrow.style,i.arrow),function(){Object.keys(e.elements).forEach(function(t){var s=e.elements[t],n=e.attributes[t]||{},o=Object.keys(e.styles.hasOwnProperty(t)?e.styles[t]:i[t]).reduce(function(t,e){return t[e]="",t},{});I(s)&&E(s)&&(Object.assign(s.style,o),Object.keys(n).forEach(function(t){s.removeAttribute(t)}))})}},requires:["computeStyles"]};function k(t){return t.split("-")[0]}var M=Math.max,$=Math.min,D=Math.round;function P(){var t=navigator.userAgentData;return null!=t&&t.brands&&Array.isArray(t.brands)?t.brands.map(function(t){return t.brand+"/"+t.version}).join(" "):navigator.userAgent}function N(){return!/^((?!chrome|android).)*safari/i.test(P())}function j(t,e,i){void 0===e&&(e=!1),void 0===i&&(i=!1);var s=t.getBoundingClientRect(),n=1,o=1;e&&I(t)&&(n=t.offsetWidth>0&&D(s.width)/t.offsetWidth||1,o=t.offsetHeight>0&&D(s.height)/t.offsetHeight||1);var r=(L(t)?T(t):window).visualViewport,a=!N()&&i,l=(s.left+(a&&r?r.offsetLeft:0))/n,c=(s.top+(a&&r?r.offsetTop:0))/o,h=s.width/n,d=s.height/o;return{width:h,height:d,top:c,right:l+h,bottom:c+d,left:l,x:l,y:c}}function R(t){var e=j(t),i=t.offsetWidth,s=t.offsetHeight;return Math.abs(e.width-i)<=1&&(i=e.width),Math.abs(e.height-s)<=1&&(s=e.height),{x:t.offsetLeft,y:t.offsetTop,width:i,height:s}}function H(t,e){var i=e.getRootNode&&e.getRootNode();if(t.contains(e))return!0;if(i&&S(i)){var s=e;do{if(s&&t.isSameNode(s))return!0;s=s.parentNode||s.host}while(s)}return!1}function z(t){return T(t).getComputedStyle(t)}function F(t){return["table","td","th"].indexOf(E(t))>=0}function B(t){return((L(t)?t.ownerDocument:t.document)||window.document).documentElement}function V(t){return"html"===E(t)?t:t.assignedSlot||t.parentNode||(S(t)?t.host:null)||B(t)}function W(t){return I(t)&&"fixed"!==z(t).position?t.offsetParent:null}function q(t){for(var e=T(t),i=W(t);i&&F(i)&&"static"===z(i).position;)i=W(i);return i&&("html"===E(i)||"body"===E(i)&&"static"===z(i).position)?e:i||function(t){var e=/firefox/i.test(P());if(/Trident/i.test(P())&&I(t)&&"fixed"===z(t).position)return null;var i=V(t);for(S(i)&&(i=i.host);I(i)&&["html","body"].indexOf(E(i))<0;){var s=z(i);if("none"!==s.transform||"none"!==s.perspective||"paint"===s.contain||-1!==["transform","perspective"].indexOf(s.willChange)||e&&"filter"===s.willChange||e&&s.filter&&"none"!==s.filter)return i;i=i.parentNode}return null}(t)||e}function Y(t){return["top","bottom"].indexOf(t)>=0?"x":"y"}function K(t,e,i){return M(t,$(e,i))}function Q(t){return Object.assign({},{top:0,right:0,bottom:0,left:0},t)}function U(t,e){return e.reduce(function(e,i){return e[i]=t,e},{})}const X={name:"arrow",enabled:!0,phase:"main",fn:function(t){var o,a=t.state,l=t.name,c=t.options,h=a.elements.arrow,d=a.modifiersData.popperOffsets,u=k(a.placement),_=Y(u),f=[n,s].indexOf(u)>=0?"height":"width";if(h&&d){var g=function(t,e){return Q("number"!=typeof(t="function"==typeof t?t(Object.assign({},e.rects,{placement:e.placement})):t)?t:U(t,r))}(c.padding,a),p=R(h),m="y"===_?e:n,b="y"===_?i:s,v=a.rects.reference[f]+a.rects.reference[_]-d[_]-a.rects.popper[f],y=d[_]-a.rects.reference[_],w=q(h),A=w?"y"===_?w.clientHeight||0:w.clientWidth||0:0,x=v/2-y/2,C=g[m],E=A-p[f]-g[b],T=A/2-p[f]/2+x,L=K(C,T,E),I=_;a.modifiersData[l]=((o={})[I]=L,o.centerOffset=L-T,o)}},effect:function(t){var e=t.state,i=t.options.element,s=void 0===i?"[data-popper-arrow]":i;null!=s&&("string"!=typeof s||(s=e.elements.popper.querySelector(s)))&&H(e.elements.popper,s)&&(e.elements.arrow=s)},requires:["popperOffsets"],requiresIfExists:["preventOverflow"]};function G(t){return t.split("-")[1]}var J={top:"auto",right:"auto",bottom:"auto",left:"auto"};function Z(t){var o,r=t.popper,a=t.popperRect,c=t.placement,h=t.variation,d=t.offsets,u=t.position,_=t.gpuAcceleration,f=t.adaptive,g=t.roundOffsets,p=t.isFixed,m=d.x,b=void 0===m?0:m,v=d.y,y=void 0===v?0:v,w="function"==typeof g?g({x:b,y:y}):{x:b,y:y};b=w.x,y=w.y;var A=d.hasOwnProperty("x"),x=d.hasOwnProperty("y"),C=n,E=e,L=window;if(f){var I=q(r),S="clientHeight",O="clientWidth";I===T(r)&&"static"!==z(I=B(r)).position&&"absolute"===u&&(S="scrollHeight",O="scrollWidth"),(c===e||(c===n||c===s)&&h===l)&&(E=i,y-=(p&&I===L&&L.visualViewport?L.visualViewport.height:I[S])-a.height,y*=_?1:-1),c!==n&&(c!==e&&c!==i||h!==l)||(C=s,b-=(p&&I===L&&L.visualViewport?L.visualViewport.width:I[O])-a.width,b*=_?1:-1)}var k,M=Object.assign({position:u},f&&J),$=!0===g?function(t,e){var i=t.x,s=t.y,n=e.devicePixelRatio||1;return{x:D(i*n)/n||0,y:D(s*n)/n||0}}({x:b,y:y},T(r)):{x:b,y:y};return b=$.x,y=$.y,_?Object.assign({},M,((k={})[E]=x?"0":"",k[C]=A?"0":"",k.transform=(L.devicePixelRatio||1)<=1?"translate("+b+"px, "+y+"px)":"translate3d("+b+"px, "+y+"px, 0)",k)):Object.assign({},M,((o={})[E]=x?y+"px":"",o[C]=A?b+"px":"",o.transform="",o))}const tt={name:"computeStyles",enabled:!0,phase:"beforeWrite",fn:function(t){var e=t.state,i=t.options,s=i.gpuAcceleration,n=void 0===s||s,o=i.adaptive,r=void 0===o||o,a=i.roundOffsets,l=void 0===a||a,c={placement:k(e.placement),variation:G(e.placement),popper:e.elements.popper,popperRect:e.rects.popper,gpuAcceleration:n,isFixed:"fixed"===e.options.strategy};null!=e.modifiersData.popperOffsets&&(e.styles.popper=Object.assign({},e.styles.popper,Z(Object.assign({},c,{offsets:e.modifiersData.popperOffsets,position:e.options.strategy,adaptive:r,roundOffsets:l})))),null!=e.modifiersData.arrow&&(e.styles.arrow=Object.assign({},e.styles.arrow,Z(Object.assign({},c,{offsets:e.modifiersData.arrow,position:"absolute",adaptive:!1,roundOffsets:l})))),e.attributes.popper=Object.assign({},e.attributes.popper,{"data-popper-placement":e.placement})},data:{}};var et={passive:!0};const it={name:"eventListeners",enabled:!0,phase:"write",fn:function(){},effect:function(t){var e=t.state,i=t.instance,s=t.options,n=s.scroll,o=void 0===n||n,r=s.resize,a=void 0===r||r,l=T(e.elements.popper),c=[].concat(e.scrollParents.reference,e.scrollParents.popper);return o&&c.forEach(function(t){t.addEventListener("scroll",i.update,et)}),a&&l.addEventListener("resize",i.update,et),function(){o&&c.forEach(function(t){t.removeEventListener("scroll",i.update,et)}),a&&l.removeEventListener("resize",i.update,et)}},data:{}};var st={left:"right",right:"left",bottom:"top",top:"bottom"};function nt(t){return t.replace(/left|right|bottom|top/g,function(t){return st[t]})}var ot={start:"end",end:"start"};function rt(t){return t.replace(/start|end/g,function(t){return ot[t]})}function at(t){var e=T(t);return{scrollLeft:e.pageXOffset,scrollTop:e.pageYOffset}}function lt(t){return j(B(t)).left+at(t).scrollLeft}function ct(t){var e=z(t),i=e.overflow,s=e.overflowX,n=e.overflowY;return/auto|scroll|overlay|hidden/.test(i+n+s)}function ht(t){return["html","body","#document"].indexOf(E(t))>=0?t.ownerDocument.body:I(t)&&ct(t)?t:ht(V(t))}function dt(t,e){var i;void 0===e&&(e=[]);var s=ht(t),n=s===(null==(i=t.ownerDocument)?void 0:i.body),o=T(s),r=n?[o].concat(o.visualViewport||[],ct(s)?s:[]):s,a=e.concat(r);return n?a:a.concat(dt(V(r)))}function ut(t){return Object.assign({},t,{left:t.x,top:t.y,right:t.x+t.width,bottom:t.y+t.height})}function _t(t,e,i){return e===h?ut(function(t,e){var i=T(t),s=B(t),n=i.visualViewport,o=s.clientWidth,r=s.clientHeight,a=0,l=0;if(n){o=n.width,r=n.height;var c=N();(c||!c&&"fixed"===e)&&(a=n.offsetLeft,l=n.offsetTop)}return{width:o,height:r,x:a+lt(t),y:l}}(t,i)):L(e)?function(t,e){var i=j(t,!1,"fixed"===e);return i.top=i.top+t.clientTop,i.left=i.left+t.clientLeft,i.bottom=i.top+t.clientHeight,i.right=i.left+t.clientWidth,i.width=t.clientWidth,i.height=t.clientHeight,i.x=i.left,i.y=i.top,i}(e,i):ut(function(t){var e,i=B(t),s=at(t),n=null==(e=t.ownerDocument)?void 0:e.body,o=M(i.scrollWidth,i.clientWidth,n?n.scrollWidth:0,n?n.clientWidth:0),r=M(i.scrollHeight,i.clientHeight,n?n.scrollHeight:0,n?n.clientHeight:0),a=-s.scrollLeft+lt(t),l=-s.scrollTop;return"rtl"===z(n||i).direction&&(a+=M(i.clientWidth,n?n.clientWidth:0)-o),{width:o,height:r,x:a,y:l}}(B(t)))}function ft(t){var o,r=t.reference,c=t.element,h=t.placement,d=h?k(h):null,u=h?G(h):null,_=r.x+r.width/2-c.width/2,f=r.y+r.height/2-c.height/2;switch(d){case e:o={x:_,y:r.y-c.height};break;case i:o={x:_,y:r.y+r.height};break;case s:o={x:r.x+r.width,y:f};break;case n:o={x:r.x-c.width,y:f};break;default:o={x:r.x,y:r.y}}var g=d?Y(d):null;if(null!=g){var p="y"===g?"height":"width";switch(u){case a:o[g]=o[g]-(r[p]/2-c[p]/2);break;case l:o[g]=o[g]+(r[p]/2-c[p]/2)}}return o}function gt(t,n){void 0===n&&(n={});var o=n,a=o.placement,l=void 0===a?t.placement:a,_=o.strategy,f=void 0===_?t.strategy:_,g=o.boundary,p=void 0===g?c:g,m=o.rootBoundary,b=void 0===m?h:m,v=o.elementContext,y=void 0===v?d:v,w=o.altBoundary,A=void 0!==w&&w,x=o.padding,C=void 0===x?0:x,T=Q("number"!=typeof C?C:U(C,r)),S=y===d?u:d,O=t.rects.popper,k=t.elements[A?S:y],D=function(t,e,i,s){var n="clippingParents"===e?function(t){var e=dt(V(t)),i=["absolute","fixed"].indexOf(z(t).position)>=0&&I(t)?q(t):t;return L(i)?e.filter(function(t){return L(t)&&H(t,i)&&"body"!==E(t)}):[]}(t):[].concat(e),o=[].concat(n,[i]),r=o[0],a=o.reduce(function(e,i){var n=_t(t,i,s);return e.top=M(n.top,e.top),e.right=$(n.right,e.right),e.bottom=$(n.bottom,e.bottom),e.left=M(n.left,e.left),e},_t(t,r,s));return a.width=a.right-a.left,a.height=a.bottom-a.top,a.x=a.left,a.y=a.top,a}(L(k)?k:k.contextElement||B(t.elements.popper),p,b,f),P=j(t.elements.reference),N=ft({reference:P,element:O,placement:l}),R=ut(Object.assign({},O,N)),F=y===d?R:P,W={top:D.top-F.top+T.top,bottom:F.bottom-D.bottom+T.bottom,left:D.left-F.left+T.left,right:F.right-D.right+T.right},Y=t.modifiersData.offset;if(y===d&&Y){var K=Y[l];Object.keys(W).forEach(function(t){var n=[s,i].indexOf(t)>=0?1:-1,o=[e,i].indexOf(t)>=0?"y":"x";W[t]+=K[o]*n})}return W}function pt(t,e){void 0===e&&(e={});var i=e,s=i.placement,n=i.boundary,o=i.rootBoundary,a=i.padding,l=i.flipVariations,c=i.allowedAutoPlacements,h=void 0===c?f:c,d=G(s),u=d?l?_:_.filter(function(t){return G(t)===d}):r,g=u.filter(function(t){return h.indexOf(t)>=0});0===g.length&&(g=u);var p=g.reduce(function(e,i){return e[i]=gt(t,{placement:i,boundary:n,rootBoundary:o,padding:a})[k(i)],e},{});return Object.keys(p).sort(function(t,e){return p[t]-p[e]})}const mt={name:"flip",enabled:!0,phase:"main",fn:function(t){var r=t.state,l=t.options,c=t.name;if(!r.modifiersData[c]._skip){for(var h=l.mainAxis,d=void 0===h||h,u=l.altAxis,_=void 0===u||u,f=l.fallbackPlacements,g=l.padding,p=l.boundary,m=l.rootBoundary,b=l.altBoundary,v=l.flipVariations,y=void 0===v||v,w=l.allowedAutoPlacements,A=r.options.placement,x=k(A),C=f||(x!==A&&y?function(t){if(k(t)===o)return[];var e=nt(t);return[rt(t),e,rt(e)]}(A):[nt(A)]),E=[A].concat(C).reduce(function(t,e){return t.concat(k(e)===o?pt(r,{placement:e,boundary:p,rootBoundary:m,padding:g,flipVariations:y,allowedAutoPlacements:w}):e)},[]),T=r.rects.reference,L=r.rects.popper,I=new Map,S=!0,O=E[0],M=0;M<E.length;M++){var $=E[M],D=k($),P=G($)===a,N=[e,i].indexOf(D)>=0,j=N?"width":"height",R=gt(r,{placement:$,boundary:p,rootBoundary:m,altBoundary:b,padding:g}),H=N?P?s:n:P?i:e;T[j]>L[j]&&(H=nt(H));var z=nt(H),F=[];if(d&&F.push(R[D]<=0),_&&F.push(R[H]<=0,R[z]<=0),F.every(function(t){return t})){O=$,S=!1;break}I.set($,F)}if(S)for(var B=function(t){var e=E.find(function(e){var i=I.get(e);if(i)return i.slice(0,t).every(function(t){return t})});if(e)return O=e,"break"},V=y?3:1;V>0&&"break"!==B(V);V--);r.placement!==O&&(r.modifiersData[c]._skip=!0,r.placement=O,r.reset=!0)}},requiresIfExists:["offset"],data:{_skip:!1}};function bt(t,e,i){return void 0===i&&(i={x:0,y:0}),{top:t.top-e.height-i.y,right:t.right-e.width+i.x,bottom:t.bottom-e.height+i.y,left:t.left-e.width-i.x}}function vt(t){return[e,s,i,n].some(function(e){return t[e]>=0})}const yt={name:"hide",enabled:!0,phase:"main",requiresIfExists:["preventOverflow"],fn:function(t){var e=t.state,i=t.name,s=e.rects.reference,n=e.rects.popper,o=e.modifiersData.preventOverflow,r=gt(e,{elementContext:"reference"}),a=gt(e,{altBoundary:!0}),l=bt(r,s),c=bt(a,n,o),h=vt(l),d=vt(c);e.modifiersData[i]={referenceClippingOffsets:l,popperEscapeOffsets:c,isReferenceHidden:h,hasPopperEscaped:d},e.attributes.popper=Object.assign({},e.attributes.popper,{"data-popper-reference-hidden":h,"data-popper-escaped":d})}},wt={name:"offset",enabled:!0,phase:"main",requires:["popperOffsets"],fn:function(t){var i=t.state,o=t.options,r=t.name,a=o.offset,l=void 0===a?[0,0]:a,c=f.reduce(function(t,o){return t[o]=function(t,i,o){var r=k(t),a=[n,e].indexOf(r)>=0?-1:1,l="function"==typeof o?o(Object.assign({},i,{placement:t})):o,c=l[0],h=l[1];return c=c||0,h=(h||0)*a,[n,s].indexOf(r)>=0?{x:h,y:c}:{x:c,y:h}}(o,i.rects,l),t},{}),h=c[i.placement],d=h.x,u=h.y;null!=i.modifiersData.popperOffsets&&(i.modifiersData.popperOffsets.x+=d,i.modifiersData.popperOffsets.y+=u),i.modifiersData[r]=c}},At={name:"popperOffsets",enabled:!0,phase:"read",fn:function(t){var e=t.state,i=t.name;e.modifiersData[i]=ft({reference:e.rects.reference,element:e.rects.popper,placement:e.placement})},data:{}},xt={name:"preventOverflow",enabled:!0,phase:"main",fn:function(t){var o=t.state,r=t.options,l=t.name,c=r.mainAxis,h=void 0===c||c,d=r.altAxis,u=void 0!==d&&d,_=r.boundary,f=r.rootBoundary,g=r.altBoundary,p=r.padding,m=r.tether,b=void 0===m||m,v=r.tetherOffset,y=void 0===v?0:v,w=gt(o,{boundary:_,rootBoundary:f,padding:p,altBoundary:g}),A=k(o.placement),x=G(o.placement),C=!x,E=Y(A),T="x"===E?"y":"x",L=o.modifiersData.popperOffsets,I=o.rects.reference,S=o.rects.popper,O="function"==typeof y?y(Object.assign({},o.rects,{placement:o.placement})):y,D="number"==typeof O?{mainAxis:O,altAxis:O}:Object.assign({mainAxis:0,altAxis:0},O),P=o.modifiersData.offset?o.modifiersData.offset[o.placement]:null,N={x:0,y:0};if(L){if(h){var j,H="y"===E?e:n,z="y"===E?i:s,F="y"===E?"height":"width",B=L[E],V=B+w[H],W=B-w[z],Q=b?-S[F]/2:0,U=x===a?I[F]:S[F],X=x===a?-S[F]:-I[F],J=o.elements.arrow,Z=b&&J?R(J):{width:0,height:0},tt=o.modifiersData["arrow#persistent"]?o.modifiersData["arrow#persistent"].padding:{top:0,right:0,bottom:0,left:0},et=tt[H],it=tt[z],st=K(0,I[F],Z[F]),nt=C?I[F]/2-Q-st-et-D.mainAxis:U-st-et-D.mainAxis,ot=C?-I[F]/2+Q+st+it+D.mainAxis:X+st+it+D.mainAxis,rt=o.elements.arrow&&q(o.elements.arrow),at=rt?"y"===E?rt.clientTop||0:rt.clientLeft||0:0,lt=null!=(j=null==P?void 0:P[E])?j:0,ct=B+ot-lt,ht=K(b?$(V,B+nt-lt-at):V,B,b?M(W,ct):W);L[E]=ht,N[E]=ht-B}if(u){var dt,ut="x"===E?e:n,_t="x"===E?i:s,ft=L[T],pt="y"===T?"height":"width",mt=ft+w[ut],bt=ft-w[_t],vt=-1!==[e,n].indexOf(A),yt=null!=(dt=null==P?void 0:P[T])?dt:0,wt=vt?mt:ft-I[pt]-S[pt]-yt+D.altAxis,At=vt?ft+I[pt]+S[pt]-yt-D.altAxis:bt,xt=b&&vt?function(t,e,i){var s=K(t,e,i);return s>i?i:s}(wt,ft,At):K(b?wt:mt,ft,b?At:bt);L[T]=xt,N[T]=xt-ft}o.modifiersData[l]=N}},requiresIfExists:["offset"]};function Ct(t,e,i){void 0===i&&(i=!1);var s,n,o=I(e),r=I(e)&&function(t){var e=t.getBoundingClientRect(),i=D(e.width)/t.offsetWidth||1,s=D(e.height)/t.offsetHeight||1;return 1!==i||1!==s}(e),a=B(e),l=j(t,r,i),c={scrollLeft:0,scrollTop:0},h={x:0,y:0};return(o||!o&&!i)&&(("body"!==E(e)||ct(a))&&(c=(s=e)!==T(s)&&I(s)?{scrollLeft:(n=s).scrollLeft,scrollTop:n.scrollTop}:at(s)),I(e)?((h=j(e,!0)).x+=e.clientLeft,h.y+=e.clientTop):a&&(h.x=lt(a))),{x:l.left+c.scrollLeft-h.x,y:l.top+c.scrollTop-h.y,width:l.width,height:l.height}}function Et(t){var e=new Map,i=new Set,s=[];function n(t){i.add(t.name),[].concat(t.requires||[],t.requiresIfExists||[]).forEach(function(t){if(!i.has(t)){var s=e.get(t);s&&n(s)}}),s.push(t)}return t.forEach(function(t){e.set(t.name,t)}),t.forEach(function(t){i.has(t.name)||n(t)}),s}var Tt={placement:"bottom",modifiers:[],strategy:"absolute"};function Lt(){for(var t=arguments.length,e=new Array(t),i=0;i<t;i++)e[i]=arguments[i];return!e.some(function(t){return!(t&&"function"==typeof t.getBoundingClientRect)})}function It(t){void 0===t&&(t={});var e=t,i=e.defaultModifiers,s=void 0===i?[]:i,n=e.defaultOptions,o=void 0===n?Tt:n;return function(t,e,i){void 0===i&&(i=o);var n,r,a={placement:"bottom",orderedModifiers:[],options:Object.assign({},Tt,o),modifiersData:{},elements:{reference:t,popper:e},attributes:{},styles:{}},l=[],c=!1,h={state:a,setOptions:function(i){var n="function"==typeof i?i(a.options):i;d(),a.options=Object.assign({},o,a.options,n),a.scrollParents={reference:L(t)?dt(t):t.contextElement?dt(t.contextElement):[],popper:dt(e)};var r,c,u=function(t){var e=Et(t);return C.reduce(function(t,i){return t.concat(e.filter(function(t){return t.phase===i}))},[])}((r=[].concat(s,a.options.modifiers),c=r.reduce(function(t,e){var i=t[e.name];return t[e.name]=i?Object.assign({},i,e,{options:Object.assign({},i.options,e.options),data:Object.assign({},i.data,e.data)}):e,t},{}),Object.keys(c).map(function(t){return c[t]})));return a.orderedModifiers=u.filter(function(t){return t.enabled}),a.orderedModifiers.forEach(function(t){var e=t.name,i=t.options,s=void 0===i?{}:i,n=t.effect;if("function"==typeof n){var o=n({state:a,name:e,instance:h,options:s});l.push(o||function(){})}}),h.update()},forceUpdate:function(){if(!c){var t=a.elements,e=t.reference,i=t.popper;if(Lt(e,i)){a.rects={reference:Ct(e,q(i),"fixed"===a.options.strategy),popper:R(i)},a.reset=!1,a.placement=a.options.placement,a.orderedModifiers.forEach(function(t){return a.modifiersData[t.name]=Object.assign({},t.data)});for(var s=0;s<a.orderedModifiers.length;s++)if(!0!==a.reset){var n=a.orderedModifiers[s],o=n.fn,r=n.options,l=void 0===r?{}:r,d=n.name;"function"==typeof o&&(a=o({state:a,options:l,name:d,instance:h})||a)}else a.reset=!1,s=-1}}},update:(n=function(){return new Promise(function(t){h.forceUpdate(),t(a)})},function(){return r||(r=new Promise(function(t){Promise.resolve().then(function(){r=void 0,t(n())})})),r}),destroy:function(){d(),c=!0}};if(!Lt(t,e))return h;function d(){l.forEach(function(t){return t()}),l=[]}return h.setOptions(i).then(function(t){!c&&i.onFirstUpdate&&i.onFirstUpdate(t)}),h}}var St=It({defaultModifiers:[it,At,tt,O,wt,mt,xt,X,yt]});const Ot=Object.freeze(Object.defineProperty({__proto__:null,afterMain:y,afterRead:m,afterWrite:x,applyStyles:O,arrow:X,auto:o,basePlacements:r,beforeMain:b,beforeRead:g,beforeWrite:w,bottom:i,clippingParents:c,computeStyles:tt,createPopper:St,detectOverflow:gt,end:l,eventListeners:it,flip:mt,hide:yt,left:n,main:v,modifierPhases:C,offset:wt,placements:f,popper:d,popperGenerator:It,popperOffsets:At,preventOverflow:xt,read:p,reference:u,right:s,start:a,top:e,variationPlacements:_,viewport:h,write:A},Symbol.toStringTag,{value:"Module"})),kt=new Map,Mt={set(t,e,i){kt.has(t)||kt.set(t,new Map),kt.get(t).set(e,i)},get:(t,e)=>kt.has(t)&&kt.get(t).get(e)||null,getAll:t=>kt.has(t)?Array.from(kt.get(t).values()):[],remove(t,e){if(!kt.has(t))return;const i=kt.get(t);i.delete(e),0===i.size&&kt.delete(t)}},$t="transitionend",Dt=t=>(t&&window.CSS&&window.CSS.escape&&(t=t.replace(/#([^\s"#']+)/g,(t,e)=>`#${CSS.escape(e)}`)),t),Pt=t=>null==t?`${t}`:Object.prototype.toString.call(t).match(/\s([a-z]+)/i)[1].toLowerCase(),Nt=t=>{do{t+=Math.floor(1e6*Math.random())}while(document.getElementById(t));return t},jt=t=>{t.dispatchEvent(new Event($t))},Rt=t=>!(!t||"object"!=typeof t)&&(void 0!==t.jquery&&(t=t[0]),void 0!==t.nodeType),Ht=t=>Rt(t)?t.jquery?t[0]:t:"string"==typeof t&&t.length>0?document.querySelector(Dt(t)):null,zt=t=>{if(!Rt(t)||0===t.getClientRects().length)return!1;const e="visible"===getComputedStyle(t).getPropertyValue("visibility"),i=t.closest("details:not([open])");if(!i)return e;if(i!==t){const e=t.closest("summary");if(e&&e.parentNode!==i)return!1;if(null===e)return!1}return e},Ft=t=>!t||t.nodeType!==Node.ELEMENT_NODE||!!t.classList.contains("disabled")||(void 0!==t.disabled?t.disabled:t.hasAttribute("disabled")&&"false"!==t.getAttribute("disabled")),Bt=t=>{if(!document.documentElement.attachShadow)return null;if("function"==typeof t.getRootNode){const e=t.getRootNode();return e instanceof ShadowRoot?e:null}return t instanceof ShadowRoot?t:t.parentNode?Bt(t.parentNode):null},Vt=()=>{},Wt=t=>{t.offsetHeight},qt=()=>window.jQuery&&!document.body.hasAttribute("data-bs-no-jquery")?window.jQuery:null,Yt=[],Kt=t=>{"loading"===document.readyState?(Yt.length||document.addEventListener("DOMContentLoaded",()=>{for(const t of Yt)t()}),Yt.push(t)):t()},Qt=()=>"rtl"===document.documentElement.dir,Ut=t=>{Kt(()=>{const e=qt();if(e){const i=t.NAME,s=e.fn[i];e.fn[i]=t.jQueryInterface,e.fn[i].Constructor=t,e.fn[i].noConflict=()=>(e.fn[i]=s,t.jQueryInterface)}})},Xt=(t,e=[],i=t)=>"function"==typeof t?t(...e):i,Gt=(t,e,i=!0)=>{if(!i)return void Xt(t);const s=(t=>{if(!t)return 0;let{transitionDuration:e,transitionDelay:i}=window.getComputedStyle(t);const s=Number.parseFloat(e),n=Number.parseFloat(i);return s||n?(e=e.split(",")[0],i=i.split(",")[0],1e3*(Number.parseFloat(e)+Number.parseFloat(i))):0})(e)+5;let n=!1;const o=({target:i})=>{i===e&&(n=!0,e.removeEventListener($t,o),Xt(t))};e.addEventListener($t,o),setTimeout(()=>{n||jt(e)},s)},Jt=(t,e,i,s)=>{const n=t.length;let o=t.indexOf(e);return-1===o?!i&&s?t[n-1]:t[0]:(o+=i?1:-1,s&&(o=(o+n)%n),t[Math.max(0,Math.min(o,n-1))])},Zt=/[^.]*(?=\..*)\.|.*/,te=/\..*/,ee=/::\d+$/,ie={};let se=1;const ne={mouseenter:"mouseover",mouseleave:"mouseout"},oe=new Set(["click","dblclick","mouseup","mousedown","contextmenu","mousewheel","DOMMouseScroll","mouseover","mouseout","mousemove","selectstart","selectend","dragstart","dragover","drop","dragend","keydown","keypress","keyup","orientationchange","touchstart","touchmove","touchend","touchcancel","pointerdown","pointermove","pointerup","pointerleave","pointercancel","lostpointercapture","gesturestart","gesturechange","gestureend","focus","blur","change","input","paste","reset","select","submit","focusin","focusout","load","unload","popstate","beforeunload","resize","move","DOMContentLoaded","readystatechange","error","abort","scroll"]);function re(t,e){return e&&`${e}::${se++}`||t.uidEvent||se++}function ae(t){const e=re(t);return t.uidEvent=e,ie[e]=ie[e]||{},ie[e]}function le(t,e,i=null){return Object.values(t).find(t=>t.callable===e&&t.delegationSelector===i)}function ce(t,e,i){const s="string"==typeof e,n=s?i:e||i;let o=_e(t);return oe.has(o)||(o=t),[s,n,o]}function he(t,e,i,s,n){if("string"!=typeof e||!t)return;let[o,r,a]=ce(e,i,s);if(e in ne){const t=t=>function(e){if(!e.relatedTarget||e.relatedTarget!==e.delegateTarget&&!e.delegateTarget.contains(e.relatedTarget))return t.call(this,e)};r=t(r)}const l=ae(t),c=l[a]||(l[a]={}),h=le(c,r,o?i:null);if(h)return void(h.oneOff=h.oneOff&&n);const d=re(r,e.replace(Zt,"")),u=o?function(t,e,i){return function s(n){const o=t.querySelectorAll(e);for(let{target:r}=n;r&&r!==this;r=r.parentNode)for(const a of o)if(a===r)return ge(n,{delegateTarget:r}),s.oneOff&&fe.off(t,n.type,e,i),i.apply(r,[n])}}(t,i,r):function(t,e){return function i(s){return ge(s,{delegateTarget:t}),i.oneOff&&fe.off(t,s.type,e),e.apply(t,[s])}}(t,r);u.delegationSelector=o?i:null,u.callable=r,u.oneOff=n,u.uidEvent=d,c[d]=u,t.addEventListener(a,u,o)}function de(t,e,i,s,n){const o=le(e[i],s,n);o&&(t.removeEventListener(i,o,Boolean(n)),delete e[i][o.uidEvent])}function ue(t,e,i,s){const n=e[i]||{};for(const[o,r]of Object.entries(n))o.includes(s)&&de(t,e,i,r.callable,r.delegationSelector)}function _e(t){return t=t.replace(te,""),ne[t]||t}const fe={on(t,e,i,s){he(t,e,i,s,!1)},one(t,e,i,s){he(t,e,i,s,!0)},off(t,e,i,s){if("string"!=typeof e||!t)return;const[n,o,r]=ce(e,i,s),a=r!==e,l=ae(t),c=l[r]||{},h=e.startsWith(".");if(void 0===o){if(h)for(const i of Object.keys(l))ue(t,l,i,e.slice(1));for(const[i,s]of Object.entries(c)){const n=i.replace(ee,"");a&&!e.includes(n)||de(t,l,r,s.callable,s.delegationSelector)}}else{if(!Object.keys(c).length)return;de(t,l,r,o,n?i:null)}},trigger(t,e,i){if("string"!=typeof e||!t)return null;const s=qt();let n=null,o=!0,r=!0,a=!1;e!==_e(e)&&s&&(n=s.Event(e,i),s(t).trigger(n),o=!n.isPropagationStopped(),r=!n.isImmediatePropagationStopped(),a=n.isDefaultPrevented());const l=ge(new Event(e,{bubbles:o,cancelable:!0}),i);return a&&l.preventDefault(),r&&t.dispatchEvent(l),l.defaultPrevented&&n&&n.preventDefault(),l}};function ge(t,e={}){for(const[i,s]of Object.entries(e))try{t[i]=s}catch(e){Object.defineProperty(t,i,{configurable:!0,get:()=>s})}return t}function pe(t){if("true"===t)return!0;if("false"===t)return!1;if(t===Number(t).toString())return Number(t);if(""===t||"null"===t)return null;if("string"!=typeof t)return t;try{return JSON.parse(decodeURIComponent(t))}catch(e){return t}}function me(t){return t.replace(/[A-Z]/g,t=>`-${t.toLowerCase()}`)}const be={setDataAttribute(t,e,i){t.setAttribute(`data-bs-${me(e)}`,i)},removeDataAttribute(t,e){t.removeAttribute(`data-bs-${me(e)}`)},getDataAttributes(t){if(!t)return{};const e={},i=Object.keys(t.dataset).filter(t=>t.startsWith("bs")&&!t.startsWith("bsConfig"));for(const s of i){let i=s.replace(/^bs/,"");i=i.charAt(0).toLowerCase()+i.slice(1,i.length),e[i]=pe(t.dataset[s])}return e},getDataAttribute:(t,e)=>pe(t.getAttribute(`data-bs-${me(e)}`))};class ve{static get Default(){return{}}static get DefaultType(){return{}}static get NAME(){throw new Error('You have to implement the static method "NAME", for each component!')}_getConfig(t){return t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){return t}_mergeConfigObj(t,e){const i=Rt(e)?be.getDataAttribute(e,"config"):{};return{...this.constructor.Default,..."object"==typeof i?i:{},...Rt(e)?be.getDataAttributes(e):{},..."object"==typeof t?t:{}}}_typeCheckConfig(t,e=this.constructor.DefaultType){for(const[i,s]of Object.entries(e)){const e=t[i],n=Rt(e)?"element":Pt(e);if(!new RegExp(s).test(n))throw new TypeError(`${this.constructor.NAME.toUpperCase()}: Option "${i}" provided type "${n}" but expected type "${s}".`)}}}class ye extends ve{constructor(t,e){super(),(t=Ht(t))&&(this._element=t,this._config=this._getConfig(e),this._pendingTransitions=new Map,Mt.set(this._element,this.constructor.DATA_KEY,this))}dispose(){this._cancelTransitions(),Mt.remove(this._element,this.constructor.DATA_KEY),fe.off(this._element,this.constructor.EVENT_KEY);for(const t of Object.getOwnPropertyNames(this))this[t]=null}_queueCallback(t,e,i=!0){Gt(t,e,i)}_transitionAsync(t,e,i,s=null,n=()=>!0){const o=this._element,r=this._pendingTransitions;return new Promise(a=>{let l=null,c=!1;const h=t=>{t.target===o&&(l=t)},d=t=>{c||(c=!0,fe.off(o,i,u),s&&fe.off(o,s,_),r.delete(d),a(t))},u=t=>{t.target===o&&d(!0)},_=t=>{t.target===o&&Promise.resolve().then(()=>{t.defaultPrevented||d(!1)})};fe.on(o,i,u),fe.on(o,e,h);try{t()}catch(t){throw fe.off(o,i,u),t}finally{fe.off(o,e,h)}c||(l&&!l.defaultPrevented&&n()?(r.set(d,i),s&&fe.on(o,s,_)):d(!1))})}_cancelTransitions(t=null){for(const[e,i]of this._pendingTransitions)t&&i!==t||e(!1)}_getConfig(t){return t=this._mergeConfigObj(t,this._element),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}static getInstance(t){return Mt.get(Ht(t),this.DATA_KEY)}static getOrCreateInstance(t,e={}){return t=Ht(t),this.getInstance(t)||new this(t,"object"==typeof e?e:null)}static get VERSION(){return"5.3.3"}static get DATA_KEY(){return`bs.${this.NAME}`}static get EVENT_KEY(){return`.${this.DATA_KEY}`}static eventName(t){return`${t}${this.EVENT_KEY}`}}const we=t=>{let e=t.getAttribute("data-bs-target");if(!e||"#"===e){let i=t.getAttribute("href");if(!i||!i.includes("#")&&!i.startsWith("."))return null;i.includes("#")&&!i.startsWith("#")&&(i=`#${i.split("#")[1]}`),e=i&&"#"!==i?i.trim():null}return e?e.split(",").map(t=>Dt(t)).join(","):null},Ae={find:(t,e=document.documentElement)=>[].concat(...Element.prototype.querySelectorAll.call(e,t)),findOne:(t,e=document.documentElement)=>Element.prototype.querySelector.call(e,t),children:(t,e)=>[].concat(...t.children).filter(t=>t.matches(e)),parents(t,e){const i=[];let s=t.parentNode.closest(e);for(;s;)i.push(s),s=s.parentNode.closest(e);return i},prev(t,e){let i=t.previousElementSibling;for(;i;){if(i.matches(e))return[i];i=i.previousElementSibling}return[]},next(t,e){let i=t.nextElementSibling;for(;i;){if(i.matches(e))return[i];i=i.nextElementSibling}return[]},focusableChildren(t){const e=["a","button","input","textarea","select","details","[tabindex]",'[contenteditable="true"]'].map(t=>`${t}:not([tabindex^="-"])`).join(",");return this.find(e,t).filter(t=>!Ft(t)&&zt(t))},getSelectorFromElement(t){const e=we(t);return e&&Ae.findOne(e)?e:null},getElementFromSelector(t){const e=we(t);return e?Ae.findOne(e):null},getMultipleElementsFromSelector(t){const e=we(t);return e?Ae.find(e):[]}},xe=(t,e="hide")=>{const i=`click.dismiss${t.EVENT_KEY}`,s=t.NAME;fe.on(document,i,`[data-bs-dismiss="${s}"]`,function(i){if(["A","AREA"].includes(this.tagName)&&i.preventDefault(),Ft(this))return;const n=Ae.getElementFromSelector(this)||this.closest(`.${s}`);t.getOrCreateInstance(n)[e]()})},Ce=".bs.alert",Ee=`close${Ce}`,Te=`closed${Ce}`;class Le extends ye{static get NAME(){return"alert"}close(){if(fe.trigger(this._element,Ee).defaultPrevented)return;this._element.classList.remove("show");const t=this._element.classList.contains("fade");this._queueCallback(()=>this._destroyElement(),this._element,t)}_destroyElement(){this._element.remove(),fe.trigger(this._element,Te),this.dispose()}static jQueryInterface(t){return this.each(function(){const e=Le.getOrCreateInstance(this);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t](this)}})}}xe(Le,"close"),Ut(Le);const Ie='[data-bs-toggle="button"]';class Se extends ye{static get NAME(){return"button"}toggle(){this._element.setAttribute("aria-pressed",this._element.classList.toggle("active"))}static jQueryInterface(t){return this.each(function(){const e=Se.getOrCreateInstance(this);"toggle"===t&&e[t]()})}}fe.on(document,"click.bs.button.data-api",Ie,t=>{t.preventDefault();const e=t.target.closest(Ie);Se.getOrCreateInstance(e).toggle()}),Ut(Se);const Oe=".bs.gesture",ke=`touchstart${Oe}`,Me=`touchmove${Oe}`,$e=`touchend${Oe}`,De=`touchcancel${Oe}`,Pe=`pointerdown${Oe}`,Ne=`pointermove${Oe}`,je=`pointerup${Oe}`,Re=`pointercancel${Oe}`,He=`pointerleave${Oe}`,ze=`lostpointercapture${Oe}`,Fe="left",Be="right",Ve={endCallback:null,longPressCallback:null,longPressDelay:500,mouse:!1,panEndCallback:null,panMoveCallback:null,panStartCallback:null,pinchCallback:null,pinchEndCallback:null,pinchStartCallback:null,swipeCallback:null,swipeThreshold:40,swipeVelocity:.3,tolerance:10,touchAction:null},We={endCallback:"(function|null)",longPressCallback:"(function|null)",longPressDelay:"number",mouse:"boolean",panEndCallback:"(function|null)",panMoveCallback:"(function|null)",panStartCallback:"(function|null)",pinchCallback:"(function|null)",pinchEndCallback:"(function|null)",pinchStartCallback:"(function|null)",swipeCallback:"(function|null)",swipeThreshold:"number",swipeVelocity:"number",tolerance:"number",touchAction:"(string|null)"},qe=([t,e])=>Math.hypot(e.x-t.x,e.y-t.y);class Ye extends ve{constructor(t,e){super(),this._element=t,this._config=this._getConfig(e),t&&(this._config.mouse||Ye.isSupported())&&(this._pointers=new Map,this._capturedPointers=new Set,this._start=null,this._samples=[],this._isPanning=!1,this._isPinching=!1,this._isLongPress=!1,this._pinchDistance=0,this._longPressTimeout=null,this._supportPointerEvents=Boolean(window.PointerEvent),this._initEvents())}static get Default(){return Ve}static get DefaultType(){return We}static get NAME(){return"gesture"}dispose(){clearTimeout(this._longPressTimeout),fe.off(this._element,Oe)}_down(t,e,i){if(this._pointers.set(t,{x:e,y:i}),1===this._pointers.size)return this._start={x:e,y:i},this._samples=[{x:e,y:i,time:Date.now()}],this._isLongPress=!1,void(this._config.longPressCallback&&(this._longPressTimeout=setTimeout(()=>{this._isLongPress=!0,Xt(this._config.longPressCallback,[this._getState()])},this._config.longPressDelay)));clearTimeout(this._longPressTimeout),2===this._pointers.size&&(this._isPanning&&(this._isPanning=!1,Xt(this._config.panEndCallback,[this._getState(!0)])),this._isPinching=!0,this._pinchDistance=qe([...this._pointers.values()]),Xt(this._config.pinchStartCallback,[this._getState()]))}_moveTo(t,e,i){const s=this._pointers.get(t);s&&(s.x=e,s.y=i,this._isPinching?this._pointers.size>1&&Xt(this._config.pinchCallback,[this._getState()]):(this._addSample(e,i),!this._isPanning&&!this._isLongPress&&Math.hypot(e-this._start.x,i-this._start.y)>this._config.tolerance&&(clearTimeout(this._longPressTimeout),this._isPanning=!0,Xt(this._config.panStartCallback,[this._getState()])),this._isPanning&&Xt(this._config.panMoveCallback,[this._getState()])))}_up(t,e=!1){if(!this._pointers.has(t))return;if(clearTimeout(this._longPressTimeout),this._capturedPointers.delete(t),!this._isPinching){const{x:e,y:i}=this._pointers.get(t);this._addSample(e,i)}const i=this._getState(e);if(this._pointers.delete(t),this._isPinching)return this._pointers.size<2&&(this._isPinching=!1,Xt(this._config.pinchEndCallback,[i])),void(this._pointers.size||Xt(this._config.endCallback,[i]));this._isPanning&&(this._isPanning=!1,Xt(this._config.panEndCallback,[i])),e||this._isLongPress||this._handleSwipe(i),Xt(this._config.endCallback,[i])}_addSample(t,e){const i=Date.now();this._samples=[...this._samples.filter(t=>i-t.time<=100),{x:t,y:e,time:i}]}_handleSwipe(t){const{deltaX:e,deltaY:i,velocityX:s,velocityY:n}=t,o=Math.abs(e)>=Math.abs(i),r=o?e:i,a=o?s:n;(Math.abs(r)>this._config.swipeThreshold||Math.abs(r)>this._config.tolerance&&Math.abs(a)>=this._config.swipeVelocity)&&(t.direction=o?r>0?Be:Fe:r>0?"down":"up",Xt(this._config.swipeCallback,[t]))}_getState(t=!1){const e=[...this._pointers.values()],[i=this._start]=e,s=this._samples[0],n=this._samples[this._samples.length-1],o=n.time-s.time;return{clientX:i.x,clientY:i.y,deltaX:i.x-this._start.x,deltaY:i.y-this._start.y,velocityX:o?(n.x-s.x)/o:0,velocityY:o?(n.y-s.y)/o:0,direction:null,scale:this._isPinching&&e.length>1?qe(e)/this._pinchDistance:1,isCancelled:t}}_initEvents(){if(this._supportPointerEvents)fe.on(this._element,Pe,t=>{this._isTrackedPointer(t)&&this._down(t.pointerId,t.clientX,t.clientY)}),fe.on(this._element,Ne,t=>{this._moveTo(t.pointerId,t.clientX,t.clientY),(this._isPanning||this._isPinching)&&this._pointers.has(t.pointerId)&&!this._element.hasPointerCapture(t.pointerId)&&(this._element.setPointerCapture(t.pointerId),this._capturedPointers.add(t.pointerId))}),fe.on(this._element,je,t=>this._up(t.pointerId)),fe.on(this._element,Re,t=>this._up(t.pointerId,!0)),fe.on(this._element,ze,t=>{t.target===this._element&&this._capturedPointers.has(t.pointerId)&&this._up(t.pointerId,!0)}),fe.on(this._element,He,t=>{this._element.hasPointerCapture(t.pointerId)||this._up(t.pointerId,!0)}),this._element.classList.add("pointer-event");else{const t=(t,e)=>{for(const i of t.changedTouches)e(i)};fe.on(this._element,ke,e=>t(e,t=>this._down(t.identifier,t.clientX,t.clientY))),fe.on(this._element,Me,e=>t(e,t=>this._moveTo(t.identifier,t.clientX,t.clientY))),fe.on(this._element,$e,e=>t(e,t=>this._up(t.identifier))),fe.on(this._element,De,e=>t(e,t=>this._up(t.identifier,!0)))}this._config.touchAction&&(this._element.style.touchAction=this._config.touchAction)}_isTrackedPointer(t){return"pen"===t.pointerType||"touch"===t.pointerType||this._config.mouse}static isSupported(){return"ontouchstart"in document.documentElement||navigator.maxTouchPoints>0}}const Ke="carousel",Qe=".bs.carousel",Ue=".data-api",Xe="ArrowLeft",Ge="ArrowRight",Je="data-bs-clone",Ze={xs:0,sm:576,md:768,lg:992,xl:1200,xxl:1400},ti="next",ei="prev",ii="left",si="right",ni=`slide${Qe}`,oi=`slid${Qe}`,ri=`keydown${Qe}`,ai=`mouseenter${Qe}`,li=`mouseleave${Qe}`,ci=`dragstart${Qe}`,hi=`lazyloaded${Qe}`,di=`lazyerror${Qe}`,ui=`load${Qe}`,_i=`error${Qe}`,fi=`resize${Qe}`,gi=`focusin${Qe}`,pi=`click${Qe}`,mi=`load${Qe}${Ue}`,bi=`click${Qe}${Ue}`,vi="carousel",yi="active",wi="carousel-item-next",Ai="carousel-item-prev",xi="placeholder",Ci=".active",Ei=".carousel-item",Ti=`${Ei}:not([${Je}])`,Li=`[${Je}]`,Ii=Ci+Ei,Si="[data-bs-src], [data-bs-srcset]",Oi={[Xe]:si,[Ge]:ii},ki={announce:!0,announcement:"Slide {current} of {total}",decode:!1,interval:5026,keyboard:!0,lazy:!1,pause:"hover",pauseLabel:"Stop automatic slide show",playLabel:"Start automatic slide show",preload:1,ride:!1,rotationControl:!1,slideBy:"one",slidesPerView:1,stopOnInteraction:!0,touch:!0,wrap:!0},Mi={announce:"boolean",announcement:"string",decode:"boolean",interval:"(number|boolean)",keyboard:"boolean",lazy:"boolean",pause:"(string|boolean)",pauseLabel:"string",playLabel:"string",preload:"number",ride:"(boolean|string)",rotationControl:"boolean",slideBy:"string",slidesPerView:"(number|object)",stopOnInteraction:"boolean",touch:"boolean",wrap:"boolean"},$i=t=>{for(const e of["srcset","src"]){const i=t.getAttribute(`data-bs-${e}`);null!==i&&(t.setAttribute(e,i),t.removeAttribute(`data-bs-${e}`))}},Di=(...t)=>{for(const e of t)e.style.transition="",e.style.transform=""};class Pi extends ye{constructor(t,e){super(t,e),this._interval=null,this._activeElement=null,this._isSliding=!1,this.touchTimeout=null,this._swipeHelper=null,this._drag=null,this._mediaLoads=new Map,this._indicatorsElement=Ae.findOne(".carousel-indicators",this._element),this._isMultiItem="object"==typeof this._config.slidesPerView||this._config.slidesPerView>1,this._slidesPerView=1,this._index=0,this._originalIndicators=null,this._resizeHandler=null,this._isRotationStopped=!1,this._isStoppedForMotion=!1,this._isHoverPaused=!1,this._rotationControl=null,this._liveRegion=null,this._motionQuery="function"==typeof window.matchMedia?window.matchMedia("(prefers-reduced-motion: reduce)"):null,this._motionHandler=null,this._addEventListeners(),this._isMultiItem&&this._initializeMultiItem(),this._config.lazy&&this._initializeLazyMedia(),this._config.ride&&this._motionQuery&&this._motionQuery.matches?(this._isRotationStopped=!0,this._isStoppedForMotion=!0):this._config.ride===vi&&this.cycle(),this._config.rotationControl&&this._createRotationControl(),this._config.announce&&this._createLiveRegion()}static get Default(){return ki}static get DefaultType(){return Mi}static get NAME(){return Ke}next(){this._slide(ti)}nextWhenVisible(){!document.hidden&&zt(this._element)&&this.next()}prev(){this._slide(ei)}pause(){this._isSliding&&jt(this._element),this._clearInterval(),this._updateRotationState()}cycle(){this._clearInterval(),this._updateInterval(),this._interval=setInterval(()=>this.nextWhenVisible(),this._config.interval),this._updateRotationState()}_maybeEnableCycle(){this._config.ride&&!this._isRotationStopped&&(this._isSliding?fe.one(this._element,oi,()=>this.cycle()):this.cycle())}to(t){const e=this._getItems();if(t>e.length-1||t<0)return;if(this._isSliding)return void fe.one(this._element,oi,()=>this.to(t));const i=this._getItemIndex(this._getActive());if(i===t)return;const s=t>i?ti:ei;this._slide(s,e[t])}toAsync(t){return this._isSliding?new Promise(e=>{fe.one(this._element,oi,()=>e(this.toAsync(t)))}):this._transitionAsync(()=>this.to(t),ni,oi,null,()=>this._isSliding)}dispose(){this._swipeHelper&&this._swipeHelper.dispose();for(const t of this._mediaLoads.keys())fe.off(t,ui),fe.off(t,_i);this._isMultiItem&&this._disposeMultiItem(),this._rotationControl&&this._rotationControl.remove(),this._liveRegion&&this._liveRegion.remove(),this._motionHandler&&this._motionQuery.removeEventListener("change",this._motionHandler),super.dispose()}_configAfterMerge(t){return t.defaultInterval=t.interval,t}_addEventListeners(){this._config.keyboard&&fe.on(this._element,ri,t=>this._keydown(t)),"hover"===this._config.pause&&(fe.on(this._element,ai,()=>{this._isHoverPaused=Boolean(this._interval),this.pause()}),fe.on(this._element,li,()=>{this._isHoverPaused=!1,this._maybeEnableCycle(),this._updateRotationState()})),this._config.touch&&Ye.isSupported()&&this._addTouchEventListeners(),this._motionQuery&&"function"==typeof this._motionQuery.addEventListener&&(this._motionHandler=t=>this._handleMotionChange(t.matches),this._motionQuery.addEventListener("change",this._motionHandler)),this._config.stopOnInteraction&&fe.on(this._element,gi,t=>{t.target!==this._rotationControl&&this._stopRotation()}),fe.on(this._element,oi,t=>{t.target===this._element&&this._announce(t.to)})}_handleInteraction(){this._config.stopOnInteraction?this._stopRotation():this._maybeEnableCycle()}_isRotating(){return!this._isRotationStopped&&(Boolean(this._interval)||this._isHoverPaused)}_stopRotation(){this._isStoppedForMotion=!1,this._isRotationStopped||(this._isRotationStopped=!0,this._isHoverPaused=!1,this.pause(),this._updateRotationState())}_startRotation(){this._isRotationStopped=!1,this._isStoppedForMotion=!1,this._config.ride=this._config.ride||!0,this.cycle(),this._updateRotationState()}_handleMotionChange(t){this._config.ride&&(t?this._isRotationStopped||(this._stopRotation(),this._isStoppedForMotion=!0):this._isStoppedForMotion&&(this._isStoppedForMotion=!1,this._isRotationStopped=!1,this._config.ride===vi&&this.cycle(),this._updateRotationState()))}_createRotationControl(){const t=document.createElement("button");t.type="button",t.className="carousel-rotation-control btn btn-sm btn-light position-absolute top-0 end-0 m-2",t.style.zIndex=3;const e=document.createElement("span");e.setAttribute("aria-hidden","true"),t.append(e),fe.on(t,pi,()=>{this._isRotating()?this._stopRotation():this._startRotation()}),this._element.prepend(t),this._rotationControl=t,this._updateRotationState()}_createLiveRegion(){const t=document.createElement("div");t.className="visually-hidden",t.setAttribute("aria-atomic","true"),this._element.append(t),this._liveRegion=t,this._updateRotationState()}_updateRotationState(){const t=this._isRotating();this._rotationControl&&(this._rotationControl.setAttribute("aria-label",t?this._config.pauseLabel:this._config.playLabel),this._rotationControl.firstElementChild.textContent=t?"⏸":"▶"),this._liveRegion&&this._liveRegion.setAttribute("aria-live",t?"off":"polite")}_announce(t){this._liveRegion&&(this._liveRegion.textContent=this._config.announcement.replace("{current}",t+1).replace("{total}",this._getItems().length))}_addTouchEventListeners(){for(const t of Ae.find(".carousel-item img",this._element))fe.on(t,ci,t=>t.preventDefault());const t=()=>{"hover"===this._config.pause&&(this.pause(),this.touchTimeout&&clearTimeout(this.touchTimeout),this.touchTimeout=setTimeout(()=>this._maybeEnableCycle(),500+this._config.interval))},e={panStartCallback:()=>this._startDrag(),panMoveCallback:({deltaX:t})=>this._moveDrag(t),swipeCallback:({direction:t})=>{t!==Fe&&t!==Be||this._releaseDrag(this._directionToOrder(t===Fe?ii:si))},endCallback:()=>{this._releaseDrag(null),t()}};this._swipeHelper=new Ye(this._element,e)}_startDrag(){this._isSliding||this._getItems().length<2||(this.pause(),this._drag={activeElement:this._getActive(),neighbour:null})}_moveDrag(t){if(!this._drag)return;const e=this._directionToOrder(t<0?ii:si)===ti;if(this._isMultiItem){const i=this._getNextPosition(e)===this._index?t/3:t;for(const t of Ae.find(Ei,this._inner))t.style.transition="none",t.style.transform=`translateX(calc(${this._getOffset(this._index)}% + ${i}px))`;return}const{activeElement:i}=this._drag,s=Jt(this._getItems(),i,e,this._config.wrap);if(this._drag.neighbour&&this._drag.neighbour!==s&&(Di(this._drag.neighbour),this._drag.neighbour.classList.remove(wi,Ai)),s===i)return this._drag.neighbour=null,i.style.transition="none",void(i.style.transform=`translateX(${t/3}px)`);this._drag.neighbour=s,s.classList.add(e?wi:Ai);for(const t of[i,s])t.style.transition="none";i.style.transform=`translateX(${t}px)`,s.style.transform=`translateX(calc(${t<0?100:-100}% + ${t}px))`}_releaseDrag(t){if(!this._drag)return;const{activeElement:e,neighbour:i}=this._drag;if(this._drag=null,t&&this._slide(t),this._isMultiItem)return this._isSliding||this._translate(this._index,this._isAnimated()),void this._handleInteraction();this._isSliding&&this._activeElement===i||(Di(e),i&&(Di(i),Gt(()=>{i===this._activeElement||this._drag&&this._drag.neighbour===i||i.classList.remove(wi,Ai)},e,this._isAnimated()))),this._handleInteraction()}_keydown(t){if(/input|textarea/i.test(t.target.tagName))return;const e=Oi[t.key];e&&(t.preventDefault(),this._slide(this._directionToOrder(e)),this._handleInteraction())}_getItemIndex(t){return this._getItems().indexOf(t)}_setActiveIndicatorElement(t){if(!this._indicatorsElement)return;const e=Ae.findOne(Ci,this._indicatorsElement);e.classList.remove(yi),e.removeAttribute("aria-current");const i=Ae.findOne(`[data-bs-slide-to="${t}"]`,this._indicatorsElement);i&&(i.classList.add(yi),i.setAttribute("aria-current","true"))}_updateInterval(){const t=this._activeElement||this._getActive();if(!t)return;const e=Number.parseInt(t.getAttribute("data-bs-interval"),10);this._config.interval=e||this._config.defaultInterval}_slide(t,e=null){if(this._isSliding)return;if(this._isMultiItem)return void this._slideMultiItem(t,e);const i=this._getActive(),s=t===ti,n=e||Jt(this._getItems(),i,s,this._config.wrap);if(n===i)return;const o=this._getItemIndex(n),r=e=>fe.trigger(this._element,e,{relatedTarget:n,direction:this._orderToDirection(t),from:this._getItemIndex(i),to:o});if(r(ni).defaultPrevented)return;if(!i||!n)return;const a=Boolean(this._interval);this.pause(),this._isSliding=!0,this._activeElement=n;const l=()=>{if(!this._element)return;this._setActiveIndicatorElement(o);const t=s?"carousel-item-start":"carousel-item-end",e=s?wi:Ai;n.classList.add(e),Wt(n),i.classList.add(t),n.classList.add(t),Di(i,n),this._queueCallback(()=>{n.classList.remove(t,e),n.classList.add(yi),i.classList.remove(yi,e,t),this._isSliding=!1,r(oi)},i,this._isAnimated())};this._config.lazy&&this._loadAround(n),this._config.decode?this._decodeItem(n).then(l):l(),a&&this.cycle()}_isAnimated(){return this._element.classList.contains("slide")}_initializeLazyMedia(){for(const t of Ae.find(Si,this._element))"IMG"===t.tagName&&t.classList.add(xi);const t=this._getActive();t&&this._loadVisible(this._getItems().indexOf(t))}_loadVisible(t){const e=this._getItems();for(let i=0;i<this._slidesPerView;i++)this._loadAround(e[(t+i)%e.length])}_loadAround(t){const e=this._getItems(),i=e.indexOf(t);for(let t=-this._config.preload;t<=this._config.preload;t++){const s=i+t;(this._config.wrap||s>=0&&s<e.length)&&this._loadItem(e[(s%e.length+e.length)%e.length])}}_loadItem(t){const e=Ae.find(`[${Je}="${this._getItems().indexOf(t)}"]`,this._element).map(t=>Ae.find(Si,t));return Promise.all(Ae.find(Si,t).map((t,i)=>{const s=e.map(t=>t[i]).filter(Boolean);for(const t of s)$i(t);return this._loadMedia(t).then(()=>{for(const t of s)t.classList.remove(xi)})}))}_loadMedia(t){if(this._mediaLoads.has(t))return this._mediaLoads.get(t);const e=new Promise(e=>{if("IMG"!==t.tagName)return void e();const i=i=>{fe.off(t,ui),fe.off(t,_i),t.classList.remove(xi),fe.trigger(this._element,i,{relatedTarget:t}),e()};fe.on(t,ui,()=>i(hi)),fe.on(t,_i,()=>i(di))});return this._mediaLoads.set(t,e),$i(t),e}_decodeItem(t){const e=Ae.find("img",t);return Promise.all(e.map(t=>(this._mediaLoads.get(t)||Promise.resolve()).then(()=>t.decode?t.decode():null).catch(Vt)))}_getActive(){return Ae.findOne(Ii,this._element)}_getItems(){return Ae.find(Ti,this._element)}_initializeMultiItem(){const t=this._getItemIndex(this._getActive());this._index=Math.max(t,0),this._inner=Ae.findOne(".carousel-inner",this._element),this._inner.style.display="flex",this._indicatorsElement&&(this._originalIndicators=[...this._indicatorsElement.children]),this._resizeHandler=()=>{this._layoutMultiItem(),this._config.lazy&&this._loadVisible(this._index)},fe.on(window,fi,this._resizeHandler),this._layoutMultiItem(!0)}_disposeMultiItem(){fe.off(window,fi,this._resizeHandler);for(const t of Ae.find(Li,this._inner))t.remove();for(const t of this._getItems()){for(const e of["display","flex","float","marginRight","transform","transition"])t.style[e]="";t.removeAttribute("aria-hidden")}this._inner.style.display="",this._originalIndicators&&this._indicatorsElement.replaceChildren(...this._originalIndicators)}_getSlidesPerView(){const{slidesPerView:t}=this._config;if("number"==typeof t)return Math.max(Math.floor(t),1);const e=Object.entries(t).map(([t,e])=>[t in Ze?Ze[t]:Number.parseInt(t,10),e]).sort(([t],[e])=>t-e);let i=1;for(const[t,s]of e)window.innerWidth>=t&&(i=s);return Math.max(Math.floor(i),1)}_layoutMultiItem(t=!1){const e=this._getSlidesPerView();if(!t&&e===this._slidesPerView)return;this._slidesPerView=e;const i=this._getItems();this._config.wrap||(this._index=Math.min(this._index,Math.max(i.length-e,0)));for(const t of Ae.find(Li,this._inner))t.remove();this._config.wrap&&i.length>e&&(i[0].before(...i.slice(-e).map(t=>this._createClone(t))),i[i.length-1].after(...i.slice(0,e).map(t=>this._createClone(t))));for(const t of Ae.find(Ei,this._inner))t.style.display="block",t.style.flex=`0 0 ${100/e}%`,t.style.float="none",t.style.marginRight="0";this._renderPageIndicators(),this._translate(this._index,!1),this._updateVisibleItems()}_createClone(t){const e=t.cloneNode(!0);e.setAttribute(Je,this._getItems().indexOf(t)),e.setAttribute("aria-hidden","true"),e.classList.remove(yi);for(const t of[e,...Ae.find("[id]",e)])t.removeAttribute("id");return e}_renderPageIndicators(){if(!this._indicatorsElement)return;this._element.id||(this._element.id=Nt(Ke));const t=this._slidesPerView,e=Math.ceil(this._getItems().length/t),i=[];for(let s=0;s<e;s++){const e=document.createElement("button");e.type="button",e.setAttribute("data-bs-target",`#${this._element.id}`),e.setAttribute("data-bs-slide-to",s*t),e.setAttribute("aria-label",`Page ${s+1}`),i.push(e)}const s=i[this._getPage(this._index)];s.classList.add(yi),s.setAttribute("aria-current","true"),this._indicatorsElement.replaceChildren(...i)}_getPage(t){const e=this._getItems().length,i=this._slidesPerView;return t>=e-i?Math.ceil(e/i)-1:Math.floor(t/i)}_translate(t,e){const i=this._getOffset(t),s=Ae.find(Ei,this._inner);for(const t of s)t.style.transition=e?"":"none",t.style.transform=`translateX(${i}%)`;if(!e){Wt(this._inner);for(const t of s)t.style.transition=""}}_getOffset(t){return 100*(t+Ae.find(Li,this._inner).length/2)*(Qt()?1:-1)}_updateVisibleItems(){const t=this._getItems();for(const[e,i]of t.entries()){const s=(e-this._index+t.length)%t.length<this._slidesPerView;i.classList.toggle(yi,e===this._index),i.setAttribute("aria-hidden",!s)}}_getNextPosition(t){const e=this._getItems().length,i="page"===this._config.slideBy?this._slidesPerView:1;if(!this._config.wrap){const s=this._index+(t?i:-i);return Math.min(Math.max(s,0),Math.max(e-this._slidesPerView,0))}return t?Math.min(this._index+i,e):0===this._index&&i>1?Math.floor((e-1)/i)*i-e:this._index-i}_slideMultiItem(t,e){const i=this._getItems(),s=i.length;if(s<=this._slidesPerView)return;let n=e?i.indexOf(e):this._getNextPosition(t===ti);this._config.wrap||(n=Math.min(n,Math.max(s-this._slidesPerView,0)));const o=this._index,r=(n%s+s)%s;if(r===o)return;const a=i[r],l=e=>fe.trigger(this._element,e,{relatedTarget:a,direction:this._orderToDirection(t),from:o,to:r});if(l(ni).defaultPrevented)return;const c=Boolean(this._interval);this.pause(),this._isSliding=!0,this._activeElement=a,this._config.lazy&&this._loadVisible(r);const h=()=>{if(!this._element)return;this._setActiveIndicatorElement(this._getPage(r)*this._slidesPerView);const t=this._isAnimated();this._translate(n,t),this._queueCallback(()=>{this._index=r,n!==r&&this._translate(r,!1),this._updateVisibleItems(),this._isSliding=!1,l(oi)},a,t)};this._config.decode?this._decodeItem(a).then(h):h(),c&&this.cycle()}_clearInterval(){this._interval&&(clearInterval(this._interval),this._interval=null)}_directionToOrder(t){return Qt()?t===ii?ei:ti:t===ii?ti:ei}_orderToDirection(t){return Qt()?t===ei?ii:si:t===ei?si:ii}static jQueryInterface(t){return this.each(function(){const e=Pi.getOrCreateInstance(this,t);if("number"!=typeof t){if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}}else e.to(t)})}}fe.on(document,bi,"[data-bs-slide], [data-bs-slide-to]",function(t){const e=Ae.getElementFromSelector(this);if(!e||!e.classList.contains(vi))return;t.preventDefault();const i=Pi.getOrCreateInstance(e),s=this.getAttribute("data-bs-slide-to");return s?(i.to(s),void i._handleInteraction()):"next"===be.getDataAttribute(this,"slide")?(i.next(),void i._handleInteraction()):(i.prev(),void i._handleInteraction())}),fe.on(window,mi,()=>{const t=Ae.find('[data-bs-ride="carousel"]');for(const e of t)Pi.getOrCreateInstance(e)}),Ut(Pi);const Ni=".bs.collapse",ji=`show${Ni}`,Ri=`shown${Ni}`,Hi=`hide${Ni}`,zi=`hidden${Ni}`,Fi=`click${Ni}.data-api`,Bi="show",Vi="collapse",Wi="collapsing",qi=`:scope .${Vi} .${Vi}`,Yi=".collapse.show, .collapse.collapsing",Ki='[data-bs-toggle="collapse"]',Qi="shown",Ui="hidden",Xi={parent:null,persist:!1,storage:"local",toggle:!0},Gi={parent:"(null|element)",persist:"(boolean|string)",storage:"(string|object)",toggle:"boolean"};class Ji extends ye{constructor(t,e){super(t,e),this._isTransitioning=!1,this._triggerArray=[];const i=Ae.find(Ki);for(const t of i){const e=Ae.getSelectorFromElement(t),i=Ae.find(e).filter(t=>t===this._element);null!==e&&i.length&&this._triggerArray.push(t)}this._restoreState(),this._initializeChildren(),this._config.parent||this._addAriaAndCollapsedClass(this._triggerArray,this._isShown()),this._config.toggle&&this.toggle()}static get Default(){return Xi}static get DefaultType(){return Gi}static get NAME(){return"collapse"}toggle(){this._isShown()?this.hide():this.show()}show(){if(this._isTransitioning||this._isShown())return;let t=[];if(this._config.parent&&(t=this._getFirstLevelChildren(Yi).filter(t=>t!==this._element).map(t=>Ji.getOrCreateInstance(t,{toggle:!1}))),t.length&&t[0]._isTransitioning)return;if(fe.trigger(this._element,ji).defaultPrevented)return;for(const e of t)e.hide();const e=this._getDimension();this._element.classList.remove(Vi),this._element.classList.add(Wi),this._element.style[e]=0,this._addAriaAndCollapsedClass(this._triggerArray,!0),this._saveState(!0),this._isTransitioning=!0;const i=`scroll${e[0].toUpperCase()+e.slice(1)}`;this._queueCallback(()=>{this._isTransitioning=!1,this._element.classList.remove(Wi),this._element.classList.add(Vi,Bi),this._element.style[e]="",fe.trigger(this._element,Ri)},this._element,!0),this._element.style[e]=`${this._element[i]}px`}hide(){if(this._isTransitioning||!this._isShown())return;if(fe.trigger(this._element,Hi).defaultPrevented)return;const t=this._getDimension();this._element.style[t]=`${this._element.getBoundingClientRect()[t]}px`,Wt(this._element),this._element.classList.add(Wi),this._element.classList.remove(Vi,Bi);for(const t of this._triggerArray){const e=Ae.getElementFromSelector(t);e&&!this._isShown(e)&&this._addAriaAndCollapsedClass([t],!1)}this._saveState(!1),this._isTransitioning=!0,this._element.style[t]="",this._queueCallback(()=>{this._isTransitioning=!1,this._element.classList.remove(Wi),this._element.classList.add(Vi),fe.trigger(this._element,zi)},this._element,!0)}showAsync(){return this._transitionAsync(()=>this.show(),ji,Ri,Hi)}hideAsync(){return this._transitionAsync(()=>this.hide(),Hi,zi,ji)}_isShown(t=this._element){return t.classList.contains(Bi)}_configAfterMerge(t){return t.toggle=Boolean(t.toggle),t.parent=Ht(t.parent),null===t.persist?t.persist=!0:"number"==typeof t.persist&&(t.persist=String(t.persist)),t}_getDimension(){return this._element.classList.contains("collapse-horizontal")?"width":"height"}_initializeChildren(){if(!this._config.parent)return;const t=this._getFirstLevelChildren(Ki);for(const e of t){const t=Ae.getElementFromSelector(e);t&&this._addAriaAndCollapsedClass([e],this._isShown(t))}}_getStorage(){if("object"==typeof this._config.storage)return this._config.storage;try{return"session"===this._config.storage?window.sessionStorage:window.localStorage}catch(t){return null}}_getStorageKey(){const{persist:t}=this._config;return!t||!0===t&&!this._element.id?null:`bs.collapse.${!0===t?this._element.id:t}`}_saveState(t){const e=this._getStorageKey(),i=this._getStorage();if(e&&i)try{i.setItem(e,t?Qi:Ui)}catch(t){}}_readState(){const t=this._getStorageKey(),e=this._getStorage();if(!t||!e)return null;try{return e.getItem(t)}catch(t){return null}}_restoreState(){const t=this._readState(),e=t===Qi;if((t===Qi||t===Ui)&&e!==this._isShown()){if(e&&this._config.parent)for(const t of this._getFirstLevelChildren(Yi)){if(t===this._element)continue;t.classList.remove(Bi);const e=Ji.getInstance(t);e&&e._saveState(!1)}this._element.classList.toggle(Bi,e)}}_getFirstLevelChildren(t){const e=Ae.find(qi,this._config.parent);return Ae.find(t,this._config.parent).filter(t=>!e.includes(t))}_addAriaAndCollapsedClass(t,e){if(t.length)for(const i of t)i.classList.toggle("collapsed",!e),i.setAttribute("aria-expanded",e)}static jQueryInterface(t){const e={};return"string"==typeof t&&/show|hide/.test(t)&&(e.toggle=!1),this.each(function(){const i=Ji.getOrCreateInstance(this,e);if("string"==typeof t){if(void 0===i[t])throw new TypeError(`No method named "${t}"`);i[t]()}})}}fe.on(document,Fi,Ki,function(t){("A"===t.target.tagName||t.delegateTarget&&"A"===t.delegateTarget.tagName)&&t.preventDefault();for(const t of Ae.getMultipleElementsFromSelector(this))Ji.getOrCreateInstance(t,{toggle:!1}).toggle()}),Kt(()=>{for(const t of Ae.find(".collapse[data-bs-persist]"))Ji.getOrCreateInstance(t,{toggle:!1})}),Ut(Ji);const Zi="virtualList",ts=`scroll.bs.${Zi}`,es={itemHeight:32,items:[],overscan:3,renderItem:null,visibleItems:10},is={itemHeight:"number",items:"array",overscan:"number",renderItem:"function",visibleItems:"number"};class ss extends ve{constructor(t,e){super(),this._element=t,this._config=this._getConfig(e),this._items=this._config.items,this._start=0,this._end=0,this._rendered=new Map,this._before=this._createSpacer(),this._after=this._createSpacer(),this._element.style.maxHeight=this._config.itemHeight*this._config.visibleItems+"px",this._element.style.overflowY="auto",fe.on(this._element,ts,()=>this._render()),this._render(!0)}static get Default(){return es}static get DefaultType(){return is}static get NAME(){return Zi}getItems(){return this._items}setItems(t){this._items=t,this._element.scrollTop=0,this._render(!0)}refresh(){this._render(!0)}scrollToIndex(t){const{itemHeight:e,visibleItems:i}=this._config,s=t*e,n=this._element.clientHeight||e*i;let{scrollTop:o}=this._element;return s<o?o=s:s+e>o+n&&(o=s+e-n),this._render(!1,o),this._element.scrollTop=o,this._rendered.get(t)||null}dispose(){fe.off(this._element,ts),this._element.replaceChildren(),this._element.style.maxHeight="",this._element.style.overflowY="",this._rendered.clear()}_createSpacer(){const t=document.createElement("li");return t.setAttribute("role","presentation"),t.setAttribute("aria-hidden","true"),t}_render(t=!1,e=this._element.scrollTop){const{itemHeight:i,overscan:s,visibleItems:n}=this._config,o=Math.max(0,Math.min(Math.floor(e/i),this._items.length-n)-s),r=Math.min(this._items.length,o+n+2*s);if(t||o!==this._start||r!==this._end){this._start=o,this._end=r,this._rendered.clear();for(let t=o;t<r;t++){const e=this._config.renderItem(this._items[t],t);e.setAttribute("aria-setsize",this._items.length),e.setAttribute("aria-posinset",t+1),e.setAttribute("data-bs-index",t),e.style.height=`${i}px`,this._rendered.set(t,e)}this._before.style.height=o*i+"px",this._after.style.height=(this._items.length-r)*i+"px",this._element.replaceChildren(this._before,...this._rendered.values(),this._after)}}}const ns="dropdown",os=".bs.dropdown",rs=".data-api",as="ArrowUp",ls="ArrowDown",cs=Qt()?"ArrowLeft":"ArrowRight",hs=Qt()?"ArrowRight":"ArrowLeft",ds="Home",us="End",_s="PageUp",fs="PageDown",gs=`hide${os}`,ps=`hidden${os}`,ms=`show${os}`,bs=`shown${os}`,vs=`click${os}${rs}`,ys=`keydown${os}${rs}`,ws=`keyup${os}${rs}`,As=`mouseenter${os}${rs}`,xs=`contextmenu${os}${rs}`,Cs=`selected${os}`,Es=`click${os}`,Ts=`keydown${os}`,Ls="[data-bs-index]",Is="show",Ss='[data-bs-toggle="dropdown"]:not(.disabled):not(:disabled)',Os='[data-bs-toggle="contextmenu"]',ks=`${Ss},${Os}`,Ms=`${Ss}.${Is},${Os}.${Is},[data-bs-toggle="combobox"].${Is}`,$s=".dropdown-menu",Ds=Qt()?"top-end":"top-start",Ps=Qt()?"top-start":"top-end",Ns=Qt()?"bottom-end":"bottom-start",js=Qt()?"bottom-start":"bottom-end",Rs=Qt()?"left-start":"right-start",Hs=Qt()?"right-start":"left-start",zs={autoClose:!0,boundary:"clippingParents",display:"dynamic",itemHeight:32,items:null,offset:[0,2],popperConfig:null,reference:"toggle",renderItem:null,selector:!1,visibleItems:10},Fs={autoClose:"(boolean|string)",boundary:"(string|element)",display:"string",itemHeight:"number",items:"(null|array)",offset:"(array|string|function)",popperConfig:"(null|object|function)",reference:"(string|element|object)",renderItem:"(null|function)",selector:"(string|boolean)",visibleItems:"number"};class Bs extends ye{constructor(t,e){super(t,e),this._popper=null,this._parent=this._element.parentNode,this._menu=Ae.next(this._element,$s)[0]||Ae.prev(this._element,$s)[0]||Ae.findOne($s,this._parent),this._inNavbar=this._detectNavbar(),this._parentMenu=this._parent.closest($s),this._virtualReference=null,this._contextTarget=null,this._typeaheadBuffer="",this._typeaheadTimeout=null,this._virtualList=this._config.items?this._createVirtualList():null}static get Default(){return zs}static get DefaultType(){return Fs}static get NAME(){return ns}toggle(){return this._isShown()?this.hide():this.show()}showAt(t,e,i=this._element){if(this._isShown()&&(this.hide(),this._isShown()))return;const s={x:t,y:e,top:e,right:t,bottom:e,left:t,width:0,height:0};this._virtualReference={getBoundingClientRect:()=>s,contextElement:i},this._contextTarget=i,this.show(),this._isShown()||(this._virtualReference=null,this._contextTarget=null)}show(){if(Ft(this._element)||this._isShown())return;const t={relatedTarget:this._contextTarget||this._element};if(!fe.trigger(this._element,ms,t).defaultPrevented){if(this._parentMenu)for(const t of this._getOpenSubmenus(this._parentMenu))t.hide();if(this._createPopper(),"ontouchstart"in document.documentElement&&!this._parent.closest(".navbar-nav"))for(const t of[].concat(...document.body.children))fe.on(t,"mouseover",Vt);this._virtualReference||this._element.focus(),this._element.setAttribute("aria-expanded",!0),this._menu.classList.add(Is),this._element.classList.add(Is),this._virtualReference&&this._selectMenuItem({key:ds}),fe.trigger(this._element,bs,t)}}hide(){if(Ft(this._element)||!this._isShown())return;const t={relatedTarget:this._contextTarget||this._element};this._completeHide(t)}setItems(t){this._virtualList?this._virtualList.setItems(t):(this._config.items=t,this._virtualList=this._createVirtualList())}dispose(){clearTimeout(this._typeaheadTimeout),this._popper&&this._popper.destroy(),this._virtualList&&(fe.off(this._menu,os),this._virtualList.dispose()),super.dispose()}update(){this._inNavbar=this._detectNavbar(),this._popper&&this._popper.update()}_completeHide(t){if(!fe.trigger(this._element,gs,t).defaultPrevented){for(const t of this._getOpenSubmenus())t.hide();if("ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))fe.off(t,"mouseover",Vt);this._popper&&this._popper.destroy(),this._menu.classList.remove(Is),this._element.classList.remove(Is),this._element.setAttribute("aria-expanded","false"),be.removeDataAttribute(this._menu,"popper"),this._virtualReference=null,this._contextTarget=null,fe.trigger(this._element,ps,t)}}_getConfig(t){if("object"==typeof(t=super._getConfig(t)).reference&&!Rt(t.reference)&&"function"!=typeof t.reference.getBoundingClientRect)throw new TypeError(`${ns.toUpperCase()}: Option "reference" provided type "object" without a required "getBoundingClientRect" method.`);return t}_createPopper(){if(void 0===Ot)throw new TypeError("Bootstrap's dropdowns require Popper (https://popper.js.org)");let t=this._element;this._virtualReference?t=this._virtualReference:"parent"===this._config.reference?t=this._parent:Rt(this._config.reference)?t=Ht(this._config.reference):"object"==typeof this._config.reference&&(t=this._config.reference);const e=this._getPopperConfig();this._popper=St(t,this._menu,e)}_isShown(){return this._menu.classList.contains(Is)}_getPlacement(){const t=this._parent;if(this._parentMenu||t.classList.contains("dropend"))return Rs;if(t.classList.contains("dropstart"))return Hs;if(t.classList.contains("dropup-center"))return"top";if(t.classList.contains("dropdown-center"))return"bottom";const e="end"===getComputedStyle(this._menu).getPropertyValue("--bs-position").trim();return t.classList.contains("dropup")?e?Ps:Ds:e?js:Ns}_detectNavbar(){return null!==this._element.closest(".navbar")}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map(t=>Number.parseInt(t,10)):"function"==typeof t?e=>t(e,this._element):t}_getPopperConfig(){const t={placement:this._getPlacement(),modifiers:[{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"offset",options:{offset:this._getOffset()}}]};return this._parentMenu&&t.modifiers.push({name:"flip",options:{fallbackPlacements:[Hs]}}),(this._inNavbar&&!this._parentMenu&&!this._virtualReference||"static"===this._config.display)&&(be.setDataAttribute(this._menu,"popper","static"),t.modifiers=[{name:"applyStyles",enabled:!1}]),{...t,...Xt(this._config.popperConfig,[t])}}_createVirtualList(){const t=new ss(this._menu,{itemHeight:this._config.itemHeight,items:this._config.items,renderItem:(t,e)=>this._config.renderItem?this._config.renderItem(t,e):this._renderItem(t),visibleItems:this._config.visibleItems});return this._menu.setAttribute("role","menu"),fe.on(this._menu,Es,Ls,e=>{const i=Number.parseInt(e.delegateTarget.getAttribute("data-bs-index"),10);fe.trigger(this._element,Cs,{item:t.getItems()[i],index:i})}),fe.on(this._menu,Ts,Ls,t=>{("Enter"===t.key||" "===t.key&&!this._typeaheadBuffer)&&(t.preventDefault(),t.delegateTarget.click())}),t}_renderItem(t){const e=document.createElement("li");return e.className="dropdown-item",e.setAttribute("role","menuitem"),e.tabIndex=-1,e.textContent=this._getItemLabel(t),e}_getItemLabel(t){return String("object"==typeof t&&null!==t?t.label:t)}_getVirtualIndex(t){const e=t&&this._menu.contains(t)?t.closest(Ls):null;return e?Number.parseInt(e.getAttribute("data-bs-index"),10):-1}_selectVirtualItem(t,e){const i=this._virtualList.getItems().length;if(!i)return;const s=this._getVirtualIndex(e),n=this._config.visibleItems,o={[ds]:0,[us]:i-1,[_s]:Math.max(s-n,0),[fs]:Math.min(s+n,i-1),[as]:-1===s?i-1:Math.max(s-1,0),[ls]:Math.min(s+1,i-1)};this._virtualList.scrollToIndex(o[t]).focus()}_getMenuItems(){return Ae.find(".dropdown-menu .dropdown-item:not(.disabled):not(:disabled)",this._menu).filter(t=>t.closest($s)===this._menu&&zt(t))}_getOpenSubmenus(t=this._menu){return Ae.find(Ms,t).filter(e=>e.parentNode.closest($s)===t).map(t=>Bs.getInstance(t)).filter(Boolean)}_getContextTarget(t){if(this._menu.contains(t))return null;if(!this._config.selector)return this._element;const e=t.closest(this._config.selector);return e&&this._element.contains(e)?e:null}_isClosingEvent(t){if(!1===this._config.autoClose)return!1;const e=t.composedPath();if("contextmenu"===t.type&&(!this._virtualReference||e.includes(this._element)||e.includes(this._menu)))return!1;if(e.includes(this._element)&&!this._virtualReference)return!1;const i=this._getOpenSubmenus().find(t=>e.includes(t._menu)||e.includes(t._element));if(i)return i._isClosingEvent(t);const s=t.target.closest&&t.target.closest(Ss);if(s&&this._menu.contains(s))return!1;const n=e.includes(this._menu);return!("inside"===this._config.autoClose&&!n||"outside"===this._config.autoClose&&n||this._menu.contains(t.target)&&("keyup"===t.type&&"Tab"===t.key||/input|select|option|textarea|form/i.test(t.target.tagName)))}_getPageSize(t){const e=t[0].offsetHeight;return e&&this._menu.clientHeight?Math.max(1,Math.floor(this._menu.clientHeight/e)):10}_selectMenuItem({key:t,target:e}){if(this._virtualList)return void this._selectVirtualItem(t,e);const i=this._getMenuItems();if(i.length)if([ds,us].includes(t))i[t===ds?0:i.length-1].focus();else{if([_s,fs].includes(t)){const s=i.indexOf(e),n=this._getPageSize(i);return void i[t===fs?Math.min(s+n,i.length-1):Math.max(s-n,0)].focus()}Jt(i,e,t===ls,!i.includes(e)).focus()}}_typeahead(t,e){clearTimeout(this._typeaheadTimeout),this._typeaheadTimeout=setTimeout(()=>{this._typeaheadBuffer=""},500),this._typeaheadBuffer+=t.toLowerCase();const i=this._typeaheadBuffer,s=this._virtualList?this._virtualList.getItems():this._getMenuItems(),n=s.map(t=>(this._virtualList?this._getItemLabel(t):t.textContent).trim().toLowerCase()),o=this._virtualList?this._getVirtualIndex(e):s.indexOf(e),r=[...i].every(t=>t===i[0]),a=r?i[0]:i,l=r?o+1:Math.max(o,0),c=[...n.keys()],h=[...c.slice(l),...c.slice(0,l)].find(t=>n[t].startsWith(a));void 0!==h&&(this._virtualList?this._virtualList.scrollToIndex(h):s[h]).focus()}static jQueryInterface(t){return this.each(function(){const e=Bs.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}})}static clearMenus(t){if(2===t.button&&"contextmenu"!==t.type||"keyup"===t.type&&"Tab"!==t.key)return;const e=Ae.find(Ms);for(const i of e){const e=Bs.getInstance(i);if(!e||!e._isShown()||!e._isClosingEvent(t))continue;const s={relatedTarget:e._element};"click"===t.type&&(s.clickEvent=t),e._completeHide(s)}}static dataApiKeydownHandler(t){const e=/input|textarea/i.test(t.target.tagName),i="Escape"===t.key,s=[as,ls].includes(t.key),n=[ds,us,_s,fs].includes(t.key),o=[cs,hs].includes(t.key),r="string"==typeof t.key&&1===t.key.length&&!t.ctrlKey&&!t.metaKey&&!t.altKey;if(!(s||i||n||r||o))return;if(e&&!i)return;const a=this.matches(Ss)?this:Ae.prev(this,ks)[0]||Ae.next(this,ks)[0]||Ae.findOne(ks,t.delegateTarget.parentNode),l=Bs.getOrCreateInstance(a),c=this===a;if(o||c&&l._parentMenu)l._parentMenu&&(c?t.key===cs:t.key===hs)&&(t.preventDefault(),t.stopPropagation(),c?(l.show(),l._selectMenuItem({key:ds})):(l.hide(),a.focus()));else{if(n||r){if(!l._isShown()||" "===t.key&&!l._typeaheadBuffer)return;return t.preventDefault(),t.stopPropagation(),void(n?l._selectMenuItem(t):l._typeahead(t.key,t.target))}if(t.preventDefault(),s)return t.stopPropagation(),l.show(),void l._selectMenuItem(t);if(l._isShown()){t.stopPropagation();const e=l._contextTarget||a;l.hide(),e.focus()}}}static dataApiContextMenuHandler(t){const e="keydown"===t.type;if(e&&!("ContextMenu"===t.key||"F10"===t.key&&t.shiftKey))return;const i=Bs.getOrCreateInstance(this),s=i._getContextTarget(t.target);if(!s||Ft(this))return;if(t.preventDefault(),!e)return void i.showAt(t.clientX,t.clientY,s);const n=s.getBoundingClientRect();i.showAt(Qt()?n.right:n.left,n.bottom,s)}}fe.on(document,ys,Ss,Bs.dataApiKeydownHandler),fe.on(document,ys,$s,Bs.dataApiKeydownHandler),fe.on(document,vs,Bs.clearMenus),fe.on(document,ws,Bs.clearMenus),fe.on(document,xs,Bs.clearMenus),fe.on(document,xs,Os,Bs.dataApiContextMenuHandler),fe.on(document,ys,Os,Bs.dataApiContextMenuHandler),fe.on(document,xs,$s,function(t){Ae.find(Ms).some(t=>{const e=Bs.getInstance(t);return e&&e._virtualReference&&e._menu===this})&&t.preventDefault()}),fe.on(document,vs,Ss,function(t){t.preventDefault(),Bs.getOrCreateInstance(this).toggle()}),fe.on(document,As,".dropdown-menu .dropdown-item",function(){const t=this.closest($s);if(!t.classList.contains(Is))return;const e=this.matches(Ss);for(const e of Ae.find(Ms,t)){const i=Bs.getInstance(e);i&&e!==this&&i._parentMenu===t&&i.hide()}e&&Bs.getOrCreateInstance(this).show()}),Ut(Bs);const Vs="backdrop",Ws="show",qs=`mousedown.bs.${Vs}`,Ys={className:"modal-backdrop",clickCallback:null,isAnimated:!1,isVisible:!0,rootElement:"body"},Ks={className:"string",clickCallback:"(function|null)",isAnimated:"boolean",isVisible:"boolean",rootElement:"(element|string)"};class Qs extends ve{constructor(t){super(),this._config=this._getConfig(t),this._isAppended=!1,this._element=null,this._opacity=null}static get Default(){return Ys}static get DefaultType(){return Ks}static get NAME(){return Vs}show(t){if(!this._config.isVisible)return void Xt(t);this._append();const e=this._getElement();this._config.isAnimated&&Wt(e),e.classList.add(Ws),this._emulateAnimation(()=>{Xt(t)})}hide(t){this._config.isVisible?(this._getElement().classList.remove(Ws),this._emulateAnimation(()=>{this.dispose(),Xt(t)})):Xt(t)}track(t){if(!this._config.isVisible)return;const e=this._getElement();if(null===t)return this._opacity=null,e.style.transition="",void(e.style.opacity="");this._append(),e.style.transition="none",e.classList.add(Ws),null===this._opacity&&(this._opacity=Number.parseFloat(getComputedStyle(e).opacity)),e.style.opacity=this._opacity*t}dispose(){this._isAppended&&(fe.off(this._element,qs),this._element.remove(),this._isAppended=!1)}_getElement(){if(!this._element){const t=document.createElement("div");t.className=this._config.className,this._config.isAnimated&&t.classList.add("fade"),this._element=t}return this._element}_configAfterMerge(t){return t.rootElement=Ht(t.rootElement),t}_append(){if(this._isAppended)return;const t=this._getElement();this._config.rootElement.append(t),fe.on(t,qs,()=>{Xt(this._config.clickCallback)}),this._isAppended=!0}_emulateAnimation(t){Gt(t,this._getElement(),this._config.isAnimated)}}const Us=".bs.focustrap",Xs=`focusin${Us}`,Gs=`keydown.tab${Us}`,Js="backward",Zs={autofocus:!0,trapElement:null},tn={autofocus:"boolean",trapElement:"element"};class en extends ve{constructor(t){super(),this._config=this._getConfig(t),this._isActive=!1,this._lastTabNavDirection=null}static get Default(){return Zs}static get DefaultType(){return tn}static get NAME(){return"focustrap"}activate(){this._isActive||(this._config.autofocus&&this._config.trapElement.focus(),fe.off(document,Us),fe.on(document,Xs,t=>this._handleFocusin(t)),fe.on(document,Gs,t=>this._handleKeydown(t)),this._isActive=!0)}deactivate(){this._isActive&&(this._isActive=!1,fe.off(document,Us))}_handleFocusin(t){const{trapElement:e}=this._config;if(t.target===document||t.target===e||e.contains(t.target))return;const i=Ae.focusableChildren(e);0===i.length?e.focus():this._lastTabNavDirection===Js?i[i.length-1].focus():i[0].focus()}_handleKeydown(t){"Tab"===t.key&&(this._lastTabNavDirection=t.shiftKey?Js:"forward")}}const sn=".fixed-top, .fixed-bottom, .is-fixed, .sticky-top",nn=".sticky-top",on="padding-right",rn="margin-right";class an{constructor(){this._element=document.body}getWidth(){const t=document.documentElement.clientWidth;return Math.abs(window.innerWidth-t)}hide(){const t=this.getWidth();this._disableOverFlow(),this._setElementAttributes(this._element,on,e=>e+t),this._setElementAttributes(sn,on,e=>e+t),this._setElementAttributes(nn,rn,e=>e-t)}reset(){this._resetElementAttributes(this._element,"overflow"),this._resetElementAttributes(this._element,on),this._resetElementAttributes(sn,on),this._resetElementAttributes(nn,rn)}isOverflowing(){return this.getWidth()>0}_disableOverFlow(){this._saveInitialAttribute(this._element,"overflow"),this._element.style.overflow="hidden"}_setElementAttributes(t,e,i){const s=this.getWidth();this._applyManipulationCallback(t,t=>{if(t!==this._element&&window.innerWidth>t.clientWidth+s)return;this._saveInitialAttribute(t,e);const n=window.getComputedStyle(t).getPropertyValue(e);t.style.setProperty(e,`${i(Number.parseFloat(n))}px`)})}_saveInitialAttribute(t,e){const i=t.style.getPropertyValue(e);i&&be.setDataAttribute(t,e,i)}_resetElementAttributes(t,e){this._applyManipulationCallback(t,t=>{const i=be.getDataAttribute(t,e);null!==i?(be.removeDataAttribute(t,e),t.style.setProperty(e,i)):t.style.removeProperty(e)})}_applyManipulationCallback(t,e){if(Rt(t))e(t);else for(const i of Ae.find(t,this._element))e(i)}}const ln="modal",cn=".bs.modal",hn=`hide${cn}`,dn=`hidePrevented${cn}`,un=`hidden${cn}`,_n=`show${cn}`,fn=`shown${cn}`,gn=`resize${cn}`,pn=`click.dismiss${cn}`,mn=`mousedown.dismiss${cn}`,bn=`keydown.dismiss${cn}`,vn=`click${cn}.data-api`,yn="modal-open",wn="show",An="modal-static",xn={backdrop:!0,focus:!0,keyboard:!0,stack:!1},Cn={backdrop:"(boolean|string)",focus:"boolean",keyboard:"boolean",stack:"boolean"},En=[],Tn={push:t=>(En.push(t),En.length-1),remove(t){const e=En.indexOf(t);-1!==e&&En.splice(e,1)},top:()=>En[En.length-1]||null,isTop(t){return this.top()===t},size:()=>En.length};class Ln extends ye{constructor(t,e){super(t,e),this._dialog=Ae.findOne(".modal-dialog",this._element),this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._isShown=!1,this._isTransitioning=!1,this._scrollBar=new an,this._previousActiveElement=null,this._addEventListeners()}static get Default(){return xn}static get DefaultType(){return Cn}static get NAME(){return ln}toggle(t){return this._isShown?this.hide():this.show(t)}show(t){this._isShown||this._isTransitioning||fe.trigger(this._element,_n,{relatedTarget:t}).defaultPrevented||(this._isShown=!0,this._isTransitioning=!0,this._pushToStack(),this._adjustDialog(),this._backdrop.show(()=>this._showElement(t)))}hide(){this._isShown&&!this._isTransitioning&&(fe.trigger(this._element,hn).defaultPrevented||(this._isShown=!1,this._isTransitioning=!0,this._focustrap.deactivate(),this._element.classList.remove(wn),this._queueCallback(()=>this._hideModal(),this._element,this._isAnimated())))}showAsync(t){return this._transitionAsync(()=>this.show(t),_n,fn,hn)}hideAsync(){return this._transitionAsync(()=>this.hide(),hn,un,_n)}dispose(){Tn.remove(this),fe.off(window,cn),fe.off(this._dialog,cn),this._backdrop.dispose(),this._focustrap.deactivate(),super.dispose()}handleUpdate(){this._adjustDialog()}_initializeBackDrop(){return new Qs({isVisible:Boolean(this._config.backdrop),isAnimated:this._isAnimated()})}_initializeFocusTrap(){return new en({trapElement:this._element})}_showElement(t){document.body.contains(this._element)||document.body.append(this._element),this._element.style.display="block",this._element.removeAttribute("aria-hidden"),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.scrollTop=0;const e=Ae.findOne(".modal-body",this._dialog);e&&(e.scrollTop=0),Wt(this._element),this._element.classList.add(wn),this._queueCallback(()=>{this._config.focus&&this._focustrap.activate(),this._isTransitioning=!1,fe.trigger(this._element,fn,{relatedTarget:t})},this._dialog,this._isAnimated())}_addEventListeners(){fe.on(this._element,bn,t=>{"Escape"===t.key&&Tn.isTop(this)&&(this._config.keyboard?this.hide():this._triggerBackdropTransition())}),fe.on(window,gn,()=>{this._isShown&&!this._isTransitioning&&this._adjustDialog()}),fe.on(this._element,mn,t=>{fe.one(this._element,pn,e=>{this._element===t.target&&this._element===e.target&&Tn.isTop(this)&&("static"!==this._config.backdrop?this._config.backdrop&&this.hide():this._triggerBackdropTransition())})})}_hideModal(){this._element.style.display="none",this._element.setAttribute("aria-hidden",!0),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._isTransitioning=!1,this._backdrop.hide(()=>{this._resetAdjustments(),this._popFromStack(),fe.trigger(this._element,un)})}_pushToStack(){const t=Tn.top(),e=Tn.push(this);if(!t)return this._scrollBar.hide(),void document.body.classList.add(yn);this._previousActiveElement=document.activeElement,t._focustrap.deactivate();const i=Number.parseInt(getComputedStyle(t._element).zIndex,10)||1055+20*(e-1);this._element.style.zIndex=i+20,this._backdrop._getElement().style.zIndex=i+10}_popFromStack(){Tn.remove(this),this._element.style.zIndex="",this._backdrop._getElement().style.zIndex="";const t=Tn.top();if(!t)return document.body.classList.remove(yn),void this._scrollBar.reset();t._config.focus&&t._focustrap.activate(),this._previousActiveElement&&t._element.contains(this._previousActiveElement)&&this._previousActiveElement.focus(),this._previousActiveElement=null}_isAnimated(){return this._element.classList.contains("fade")}_triggerBackdropTransition(){if(fe.trigger(this._element,dn).defaultPrevented)return;const t=this._element.scrollHeight>document.documentElement.clientHeight,e=this._element.style.overflowY;"hidden"===e||this._element.classList.contains(An)||(t||(this._element.style.overflowY="hidden"),this._element.classList.add(An),this._queueCallback(()=>{this._element.classList.remove(An),this._queueCallback(()=>{this._element.style.overflowY=e},this._dialog)},this._dialog),this._element.focus())}_adjustDialog(){const t=this._element.scrollHeight>document.documentElement.clientHeight,e=this._scrollBar.getWidth(),i=e>0;if(i&&!t){const t=Qt()?"paddingLeft":"paddingRight";this._element.style[t]=`${e}px`}if(!i&&t){const t=Qt()?"paddingRight":"paddingLeft";this._element.style[t]=`${e}px`}}_resetAdjustments(){this._element.style.paddingLeft="",this._element.style.paddingRight=""}static confirm(t){return new Ca(t).open()}static prompt(t){return new Ca({...t,input:!0}).open()}static jQueryInterface(t,e){return this.each(function(){const i=Ln.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===i[t])throw new TypeError(`No method named "${t}"`);i[t](e)}})}}fe.on(document,vn,'[data-bs-toggle="modal"]',function(t){const e=Ae.getElementFromSelector(this);["A","AREA"].includes(this.tagName)&&t.preventDefault(),fe.one(e,_n,t=>{t.defaultPrevented||fe.one(e,un,()=>{zt(this)&&this.focus()})});const i=Ln.getOrCreateInstance(e),s=Tn.top();s&&s!==i&&!i._config.stack&&s.hide(),i.toggle(this)}),xe(Ln),Ut(Ln);const In="offcanvas",Sn=".bs.offcanvas",On=".data-api",kn=`load${Sn}${On}`,Mn="show",$n="showing",Dn="hiding",Pn=["start","end","top","bottom"],Nn=".offcanvas.show",jn=`show${Sn}`,Rn=`shown${Sn}`,Hn=`hide${Sn}`,zn=`hidePrevented${Sn}`,Fn=`hidden${Sn}`,Bn=`resize${Sn}`,Vn=`click${Sn}${On}`,Wn=`keydown.dismiss${Sn}`,qn={backdrop:!0,edgeSwipe:!1,edgeSwipeWidth:20,keyboard:!0,scroll:!1,swipe:!0,swipeThreshold:.4},Yn={backdrop:"(boolean|string)",edgeSwipe:"boolean",edgeSwipeWidth:"number",keyboard:"boolean",scroll:"boolean",swipe:"boolean",swipeThreshold:"number"};class Kn extends ye{constructor(t,e){super(t,e),this._isShown=!1,this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._drag=null,this._gesture=null,this._edge=null,this._edgeGesture=null,this._resizeHandler=null,this._addEventListeners(),this._initializeGestures()}static get Default(){return qn}static get DefaultType(){return Yn}static get NAME(){return In}toggle(t){return this._isShown?this.hide():this.show(t)}show(t){this._isShown||fe.trigger(this._element,jn,{relatedTarget:t}).defaultPrevented||(this._isShown=!0,this._updateEdge(),this._backdrop.show(),this._config.scroll||(new an).hide(),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.classList.add($n),this._queueCallback(()=>{this._config.scroll&&!this._config.backdrop||this._focustrap.activate(),this._element.classList.add(Mn),this._element.classList.remove($n),fe.trigger(this._element,Rn,{relatedTarget:t})},this._element,!0))}hide(){this._isShown&&(fe.trigger(this._element,Hn).defaultPrevented||(this._focustrap.deactivate(),this._element.blur(),this._isShown=!1,this._element.classList.add(Dn),this._backdrop.hide(),this._queueCallback(()=>{this._element.classList.remove(Mn,Dn),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._config.scroll||(new an).reset(),this._updateEdge(),fe.trigger(this._element,Fn)},this._element,!0)))}showAsync(t){return this._transitionAsync(()=>this.show(t),jn,Rn,Hn)}hideAsync(){return this._transitionAsync(()=>this.hide(),Hn,Fn,jn)}dispose(){this._backdrop.dispose(),this._focustrap.deactivate(),this._gesture&&this._gesture.dispose(),this._edgeGesture&&(this._edgeGesture.dispose(),this._edge.remove(),fe.off(window,Bn,this._resizeHandler)),super.dispose()}_initializeBackDrop(){const t=Boolean(this._config.backdrop);return new Qs({className:"offcanvas-backdrop",isVisible:t,isAnimated:!0,rootElement:this._element.parentNode,clickCallback:t?()=>{"static"!==this._config.backdrop?this.hide():fe.trigger(this._element,zn)}:null})}_initializeFocusTrap(){return new en({trapElement:this._element})}_addEventListeners(){fe.on(this._element,Wn,t=>{"Escape"===t.key&&(this._config.keyboard?this.hide():fe.trigger(this._element,zn))})}_initializeGestures(){const t=this._getPlacement();if(!t)return;const e=e=>({panStartCallback:t=>this._startDrag(t,e),panMoveCallback:t=>this._moveDrag(t),panEndCallback:t=>this._endDrag(t),touchAction:t.isHorizontal?"pan-y":"pan-x"});this._config.swipe&&(this._gesture=new Ye(this._element,e(!1))),this._config.edgeSwipe&&(this._edge=this._createEdge(t),this._edgeGesture=new Ye(this._edge,{...e(!0),touchAction:"none"}),this._resizeHandler=()=>this._updateEdge(),fe.on(window,Bn,this._resizeHandler),this._updateEdge())}_createEdge({isHorizontal:t,direction:e}){const i=document.createElement("div");i.className="offcanvas-edge",i.style.position="fixed";const s=Number.parseInt(getComputedStyle(this._element).zIndex,10);return Number.isNaN(s)||(i.style.zIndex=s-6),i.style[t?"width":"height"]=`${this._config.edgeSwipeWidth}px`,i.style[t?"top":"left"]="0",i.style[t?"bottom":"right"]="0",t?i.style[e<0?"left":"right"]="0":i.style[e<0?"top":"bottom"]="0",this._element.before(i),i}_updateEdge(){if(!this._edge)return;const t=!this._isShown&&"fixed"===getComputedStyle(this._element).position;this._edge.style.display=t?"":"none"}_getPlacement(){const t=Pn.find(t=>this._element.classList.contains(`${In}-${t}`));if(!t)return null;const e="start"===t||"end"===t;return{isHorizontal:e,direction:("start"===t||"top"===t)!==(e&&Qt())?-1:1}}_startDrag(t,e){const i=this._getPlacement();!i||e===this._isShown||this._element.classList.contains($n)||this._element.classList.contains(Dn)||i.isHorizontal===Math.abs(t.deltaX)>Math.abs(t.deltaY)&&(e&&"fixed"!==getComputedStyle(this._element).position||(this._drag={...i,isOpening:e,openness:e?0:1,size:i.isHorizontal?this._element.offsetWidth:this._element.offsetHeight},this._element.style.transition="none",e&&(this._element.style.visibility="visible"),this._moveDrag(t)))}_moveDrag(t){if(!this._drag)return;const{isHorizontal:e,direction:i,isOpening:s,size:n}=this._drag,o=i*(e?t.deltaX:t.deltaY),r=Math.min(Math.max(s?n+o:o,0),n);this._drag.openness=n?1-r/n:1,this._element.style.transform=`translate${e?"X":"Y"}(${i*r}px)`,this._backdrop.track(this._drag.openness)}_endDrag(t){if(!this._drag)return;const{isHorizontal:e,direction:i,isOpening:s,openness:n}=this._drag;this._drag=null;const o=i*(e?t.velocityX:t.velocityY);let r=s?n>this._config.swipeThreshold:n>1-this._config.swipeThreshold;Math.abs(o)>=.3&&(r=o<0),t.isCancelled&&(r=!s),r&&!this._isShown?this.show():!r&&this._isShown&&this.hide(),this._element.style.transition="",this._element.style.transform="",this._element.style.visibility="",this._backdrop.track(null),s&&!this._isShown&&(this._element.classList.add(Dn),this._backdrop.hide(),this._queueCallback(()=>this._element.classList.remove(Dn),this._element,!0))}static jQueryInterface(t){return this.each(function(){const e=Kn.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t](this)}})}}fe.on(document,Vn,'[data-bs-toggle="offcanvas"]',function(t){const e=Ae.getElementFromSelector(this);if(["A","AREA"].includes(this.tagName)&&t.preventDefault(),Ft(this))return;fe.one(e,Fn,()=>{zt(this)&&this.focus()});const i=Ae.findOne(Nn);i&&i!==e&&Kn.getInstance(i).hide(),Kn.getOrCreateInstance(e).toggle(this)}),fe.on(window,kn,()=>{for(const t of Ae.find(Nn))Kn.getOrCreateInstance(t).show();for(const t of Ae.find(".offcanvas[data-bs-edge-swipe]"))Kn.getOrCreateInstance(t)}),fe.on(window,Bn,()=>{for(const t of Ae.find("[aria-modal][class*=show][class*=offcanvas-]"))"fixed"!==getComputedStyle(t).position&&Kn.getOrCreateInstance(t).hide()}),xe(Kn),Ut(Kn);const Qn={"*":["class","dir","id","lang","role",/^aria-[\w-]*$/i],a:["target","href","title","rel"],area:[],b:[],br:[],col:[],code:[],dd:[],div:[],dl:[],dt:[],em:[],hr:[],h1:[],h2:[],h3:[],h4:[],h5:[],h6:[],i:[],img:["src","srcset","alt","title","width","height"],li:[],ol:[],p:[],pre:[],s:[],small:[],span:[],sub:[],sup:[],strong:[],u:[],ul:[]},Un=new Set(["background","cite","href","itemtype","longdesc","poster","src","xlink:href"]),Xn=/^(?!javascript:)(?:[a-z0-9+.-]+:|[^&:/?#]*(?:[/?#]|$))/i,Gn=(t,e)=>{const i=t.nodeName.toLowerCase();return e.includes(i)?!Un.has(i)||Boolean(Xn.test(t.nodeValue)):e.filter(t=>t instanceof RegExp).some(t=>t.test(i))};function Jn(t,e,i){if(!t.length)return t;if(i&&"function"==typeof i)return i(t);const s=(new window.DOMParser).parseFromString(t,"text/html"),n=[].concat(...s.body.querySelectorAll("*"));for(const t of n){const i=t.nodeName.toLowerCase();if(!Object.keys(e).includes(i)){t.remove();continue}const s=[].concat(...t.attributes),n=[].concat(e["*"]||[],e[i]||[]);for(const e of s)Gn(e,n)||t.removeAttribute(e.nodeName)}return s.body.innerHTML}const Zn={allowList:Qn,content:{},extraClass:"",html:!1,sanitize:!0,sanitizeFn:null,template:"<div></div>"},to={allowList:"object",content:"object",extraClass:"(string|function)",html:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},eo={entry:"(string|element|function|null)",selector:"(string|element)"};class io extends ve{constructor(t){super(),this._config=this._getConfig(t)}static get Default(){return Zn}static get DefaultType(){return to}static get NAME(){return"TemplateFactory"}getContent(){return Object.values(this._config.content).map(t=>this._resolvePossibleFunction(t)).filter(Boolean)}hasContent(){return this.getContent().length>0}changeContent(t){return this._checkContent(t),this._config.content={...this._config.content,...t},this}toHtml(){const t=document.createElement("div");t.innerHTML=this._maybeSanitize(this._config.template);for(const[e,i]of Object.entries(this._config.content))this._setContent(t,i,e);const e=t.children[0],i=this._resolvePossibleFunction(this._config.extraClass);return i&&e.classList.add(...i.split(" ")),e}_typeCheckConfig(t){super._typeCheckConfig(t),this._checkContent(t.content)}_checkContent(t){for(const[e,i]of Object.entries(t))super._typeCheckConfig({selector:e,entry:i},eo)}_setContent(t,e,i){const s=Ae.findOne(i,t);s&&((e=this._resolvePossibleFunction(e))?Rt(e)?this._putElementInTemplate(Ht(e),s):this._config.html?s.innerHTML=this._maybeSanitize(e):s.textContent=e:s.remove())}_maybeSanitize(t){return this._config.sanitize?Jn(t,this._config.allowList,this._config.sanitizeFn):t}_resolvePossibleFunction(t){return Xt(t,[this])}_putElementInTemplate(t,e){if(this._config.html)return e.innerHTML="",void e.append(t);e.textContent=t.textContent}}const so=new Set(["sanitize","allowList","sanitizeFn"]),no="fade",oo="show",ro=".tooltip-inner",ao=".modal",lo="hide.bs.modal",co="hover",ho="focus",uo="tipHover",_o="tipFocus",fo="hide",go="hidden",po="show",mo="shown",bo="focusin",vo="focusout",yo="mouseenter",wo="mouseleave",Ao={AUTO:"auto",TOP:"top",RIGHT:Qt()?"left":"right",BOTTOM:"bottom",LEFT:Qt()?"right":"left"},xo={allowList:Qn,animation:!0,boundary:"clippingParents",container:!1,customClass:"",delay:0,fallbackPlacements:["top","right","bottom","left"],html:!1,interactive:!1,interactiveDelay:100,loadingContent:"Loading…",offset:[0,6],placement:"top",popperConfig:null,sanitize:!0,sanitizeFn:null,selector:!1,template:'<div class="tooltip" role="tooltip"><div class="tooltip-arrow"></div><div class="tooltip-inner"></div></div>',title:"",trigger:"hover focus",url:null},Co={allowList:"object",animation:"boolean",boundary:"(string|element)",container:"(string|element|boolean)",customClass:"(string|function)",delay:"(number|object)",fallbackPlacements:"array",html:"boolean",interactive:"boolean",interactiveDelay:"number",loadingContent:"(string|element)",offset:"(array|string|function)",placement:"(string|function)",popperConfig:"(null|object|function)",sanitize:"boolean",sanitizeFn:"(null|function)",selector:"(string|boolean)",template:"string",title:"(string|element|function)",trigger:"string",url:"(null|string)"};class Eo extends ye{constructor(t,e){if(void 0===Ot)throw new TypeError("Bootstrap's tooltips require Popper (https://popper.js.org)");super(t,e),this._isEnabled=!0,this._timeout=0,this._isHovered=null,this._activeTrigger={},this._popper=null,this._templateFactory=null,this._newContent=null,this._contentCache=new Map,this._contentRequests=new Map,this.tip=null,this._setListeners(),this._config.selector||this._fixTitle()}static get Default(){return xo}static get DefaultType(){return Co}static get NAME(){return"tooltip"}enable(){this._isEnabled=!0}disable(){this._isEnabled=!1}toggleEnabled(){this._isEnabled=!this._isEnabled}toggle(){this._isEnabled&&(this._activeTrigger.click=!this._activeTrigger.click,this._isShown()?this._leave():this._enter())}dispose(){clearTimeout(this._timeout),this._abortContentRequests(),fe.off(this._element.closest(ao),lo,this._hideModalHandler),this._element.getAttribute("data-bs-original-title")&&this._element.setAttribute("title",this._element.getAttribute("data-bs-original-title")),this._disposePopper(),super.dispose()}show(){if("none"===this._element.style.display)throw new Error("Please use show on visible elements");if(!this._isWithContent()||!this._isEnabled)return;const t=fe.trigger(this._element,this.constructor.eventName(po)),e=(Bt(this._element)||this._element.ownerDocument.documentElement).contains(this._element);if(t.defaultPrevented||!e)return;this._disposePopper();const i=this._getTipElement();this._element.setAttribute("aria-describedby",i.getAttribute("id"));const{container:s}=this._config;if(this._element.ownerDocument.documentElement.contains(this.tip)||(s.append(i),fe.trigger(this._element,this.constructor.eventName("inserted"))),this._popper=this._createPopper(i),i.classList.add(oo),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))fe.on(t,"mouseover",Vt);this._queueCallback(()=>{fe.trigger(this._element,this.constructor.eventName(mo)),!1===this._isHovered&&this._leave(),this._isHovered=!1},this.tip,this._isAnimated())}hide(){if(this._isShown()&&!fe.trigger(this._element,this.constructor.eventName(fo)).defaultPrevented){if(this._abortContentRequests(),this._getTipElement().classList.remove(oo),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))fe.off(t,"mouseover",Vt);this._activeTrigger.click=!1,this._activeTrigger[ho]=!1,this._activeTrigger[co]=!1,this._activeTrigger[uo]=!1,this._activeTrigger[_o]=!1,this._isHovered=null,this._queueCallback(()=>{this._isWithActiveTrigger()?this._cancelTransitions(this.constructor.eventName(go)):(this._isHovered||this._disposePopper(),this._element.removeAttribute("aria-describedby"),fe.trigger(this._element,this.constructor.eventName(go)))},this.tip,this._isAnimated())}}showAsync(){return this._transitionAsync(()=>this.show(),this.constructor.eventName(po),this.constructor.eventName(mo),this.constructor.eventName(fo),()=>this._isShown())}hideAsync(){return this._transitionAsync(()=>this.hide(),this.constructor.eventName(fo),this.constructor.eventName(go),this.constructor.eventName(po))}update(){this._popper&&this._popper.update()}_isWithContent(){return Boolean(this._getTitle())}_getTipElement(){return this.tip||(this.tip=this._createTipElement(this._newContent||this._getContentForTemplate())),this.tip}_createTipElement(t){const e=this._getTemplateFactory(t).toHtml();if(!e)return null;e.classList.remove(no,oo),e.classList.add(`bs-${this.constructor.NAME}-auto`);const i=Nt(this.constructor.NAME).toString();return e.setAttribute("id",i),this._isAnimated()&&e.classList.add(no),this._config.interactive&&this._setTipListeners(e),e}setContent(t){this._newContent=t,this._isShown()&&(this._disposePopper(),this.show())}_getTemplateFactory(t){return this._templateFactory?this._templateFactory.changeContent(t):this._templateFactory=new io({...this._config,content:t,extraClass:this._resolvePossibleFunction(this._config.customClass)}),this._templateFactory}_getContentForTemplate(){return{[ro]:this._getTitle()}}_getTitle(){return this._resolveContent("title",this._config.title)||this._element.getAttribute("data-bs-original-title")}_getUrlOption(){return"title"}_resolveContent(t,e){if(this._contentCache.has(t))return this._contentCache.get(t);if(this._contentRequests.has(t))return this._config.loadingContent;const i=new AbortController,s=Xt(e,[this._element,i.signal]);return s&&"function"==typeof s.then?(this._contentRequests.set(t,i),s.then(e=>{i.signal.aborted||(this._contentRequests.delete(t),this._contentCache.set(t,e),this._isWithActiveTrigger()||(this._isHovered=null),this.setContent(this._getContentForTemplate()))},()=>{i.signal.aborted||(this._contentRequests.delete(t),this.hide())}),this._config.loadingContent):s}_abortContentRequests(){for(const t of this._contentRequests.values())t.abort();this._contentRequests.clear()}_initializeOnDelegatedTarget(t){return this.constructor.getOrCreateInstance(t.delegateTarget,this._getDelegateConfig())}_isAnimated(){return this._config.animation||this.tip&&this.tip.classList.contains(no)}_isShown(){return this.tip&&this.tip.classList.contains(oo)}_createPopper(t){const e=Xt(this._config.placement,[this,t,this._element]),i=Ao[e.toUpperCase()];return St(this._element,t,this._getPopperConfig(i))}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map(t=>Number.parseInt(t,10)):"function"==typeof t?e=>t(e,this._element):t}_resolvePossibleFunction(t){return Xt(t,[this._element])}_getPopperConfig(t){const e={placement:t,modifiers:[{name:"flip",options:{fallbackPlacements:this._config.fallbackPlacements}},{name:"offset",options:{offset:this._getOffset()}},{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"arrow",options:{element:`.${this.constructor.NAME}-arrow`}},{name:"preSetPlacement",enabled:!0,phase:"beforeMain",fn:t=>{this._getTipElement().setAttribute("data-popper-placement",t.state.placement)}}]};return{...e,...Xt(this._config.popperConfig,[e])}}_setListeners(){const t=this._config.trigger.split(" ");for(const e of t)if("click"===e)fe.on(this._element,this.constructor.eventName("click"),this._config.selector,t=>{this._initializeOnDelegatedTarget(t).toggle()});else if("manual"!==e){const t=e===co?this.constructor.eventName(yo):this.constructor.eventName(bo),i=e===co?this.constructor.eventName(wo):this.constructor.eventName(vo);fe.on(this._element,t,this._config.selector,t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusin"===t.type?ho:co]=!0,e._enter()}),fe.on(this._element,i,this._config.selector,t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusout"===t.type?ho:co]=e._element.contains(t.relatedTarget),e._leave()})}this._hideModalHandler=()=>{this._element&&this.hide()},fe.on(this._element.closest(ao),lo,this._hideModalHandler)}_setTipListeners(t){fe.on(t,this.constructor.eventName(yo),()=>{this._activeTrigger[uo]=!0,this._enter()}),fe.on(t,this.constructor.eventName(wo),e=>{this._activeTrigger[uo]=t.contains(e.relatedTarget),this._leave()}),fe.on(t,this.constructor.eventName(bo),()=>{this._activeTrigger[_o]=!0,this._enter()}),fe.on(t,this.constructor.eventName(vo),e=>{this._activeTrigger[_o]=t.contains(e.relatedTarget),this._leave()})}_fixTitle(){const t=this._element.getAttribute("title");t&&(this._element.getAttribute("aria-label")||this._element.textContent.trim()||this._element.setAttribute("aria-label",t),this._element.setAttribute("data-bs-original-title",t),this._element.removeAttribute("title"))}_enter(){this._isShown()||this._isHovered?this._isHovered=!0:(this._isHovered=!0,this._setTimeout(()=>{this._isHovered&&this.show()},this._config.delay.show))}_leave(){if(this._isWithActiveTrigger())return;this._isHovered=!1;const t=this._config.interactive?Math.max(this._config.delay.hide,this._config.interactiveDelay):this._config.delay.hide;this._setTimeout(()=>{this._isHovered||this.hide()},t)}_setTimeout(t,e){clearTimeout(this._timeout),this._timeout=setTimeout(t,e)}_isWithActiveTrigger(){return Object.values(this._activeTrigger).includes(!0)}_getConfig(t){const e=be.getDataAttributes(this._element);for(const t of Object.keys(e))so.has(t)&&delete e[t];return t={...e,..."object"==typeof t&&t?t:{}},t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){if(t.container=!1===t.container?document.body:Ht(t.container),"number"==typeof t.delay&&(t.delay={show:t.delay,hide:t.delay}),"number"==typeof t.title&&(t.title=t.title.toString()),"number"==typeof t.content&&(t.content=t.content.toString()),t.url){const{url:e}=t;t[this._getUrlOption()]=(t,i)=>fetch(e,{signal:i}).then(t=>{if(!t.ok)throw new Error(`${this.constructor.NAME.toUpperCase()}: Request to "${e}" failed with status ${t.status}.`);return t.text()})}return t}_getDelegateConfig(){const t={};for(const[e,i]of Object.entries(this._config))this.constructor.Default[e]!==i&&(t[e]=i);return t.selector=!1,t.trigger="manual",t}_disposePopper(){this._popper&&(this._popper.destroy(),this._popper=null),this.tip&&(fe.off(this.tip,this.constructor.EVENT_KEY),this.tip.remove(),this.tip=null)}static jQueryInterface(t){return this.each(function(){const e=Eo.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}})}}Ut(Eo);const To=".popover-header",Lo=".popover-body",Io={...Eo.Default,content:"",offset:[0,8],placement:"right",template:'<div class="popover" role="tooltip"><div class="popover-arrow"></div><h3 class="popover-header"></h3><div class="popover-body"></div></div>',trigger:"click"},So={...Eo.DefaultType,content:"(null|string|element|function)"};class Oo extends Eo{static get Default(){return Io}static get DefaultType(){return So}static get NAME(){return"popover"}_isWithContent(){return this._getTitle()||this._getContent()}_getContentForTemplate(){return{[To]:this._getTitle(),[Lo]:this._getContent()}}_getContent(){return this._resolveContent("content",this._config.content)}_getUrlOption(){return"content"}static jQueryInterface(t){return this.each(function(){const e=Oo.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}})}}Ut(Oo);const ko=".bs.scrollspy",Mo=`activate${ko}`,$o=`click${ko}`,Do=`load${ko}.data-api`,Po="active",No="[href]",jo=".nav-link",Ro=`${jo}, .nav-item > ${jo}, .list-group-item`,Ho={offset:null,rootMargin:"0px 0px -25%",smoothScroll:!1,target:null,threshold:[.1,.5,1]},zo={offset:"(number|null)",rootMargin:"string",smoothScroll:"boolean",target:"element",threshold:"array"};class Fo extends ye{constructor(t,e){super(t,e),this._targetLinks=new Map,this._observableSections=new Map,this._rootElement="visible"===getComputedStyle(this._element).overflowY?null:this._element,this._activeTarget=null,this._observer=null,this._previousScrollData={visibleEntryTop:0,parentScrollTop:0},this.refresh()}static get Default(){return Ho}static get DefaultType(){return zo}static get NAME(){return"scrollspy"}refresh(){this._initializeTargetsAndObservables(),this._maybeEnableSmoothScroll(),this._observer?this._observer.disconnect():this._observer=this._getNewObserver();for(const t of this._observableSections.values())this._observer.observe(t)}dispose(){this._observer.disconnect(),super.dispose()}_configAfterMerge(t){return t.target=Ht(t.target)||document.body,t.rootMargin=t.offset?`${t.offset}px 0px -30%`:t.rootMargin,"string"==typeof t.threshold&&(t.threshold=t.threshold.split(",").map(t=>Number.parseFloat(t))),t}_maybeEnableSmoothScroll(){this._config.smoothScroll&&(fe.off(this._config.target,$o),fe.on(this._config.target,$o,No,t=>{const e=this._observableSections.get(t.target.hash);if(e){t.preventDefault();const i=this._rootElement||window,s=e.offsetTop-this._element.offsetTop;if(i.scrollTo)return void i.scrollTo({top:s,behavior:"smooth"});i.scrollTop=s}}))}_getNewObserver(){const t={root:this._rootElement,threshold:this._config.threshold,rootMargin:this._config.rootMargin};return new IntersectionObserver(t=>this._observerCallback(t),t)}_observerCallback(t){const e=t=>this._targetLinks.get(`#${t.target.id}`),i=t=>{this._previousScrollData.visibleEntryTop=t.target.offsetTop,this._process(e(t))},s=(this._rootElement||document.documentElement).scrollTop,n=s>=this._previousScrollData.parentScrollTop;this._previousScrollData.parentScrollTop=s;for(const o of t){if(!o.isIntersecting){this._activeTarget=null,this._clearActiveClass(e(o));continue}const t=o.target.offsetTop>=this._previousScrollData.visibleEntryTop;if(n&&t){if(i(o),!s)return}else n||t||i(o)}}_initializeTargetsAndObservables(){this._targetLinks=new Map,this._observableSections=new Map;const t=Ae.find(No,this._config.target);for(const e of t){if(!e.hash||Ft(e))continue;const t=Ae.findOne(decodeURI(e.hash),this._element);zt(t)&&(this._targetLinks.set(decodeURI(e.hash),e),this._observableSections.set(e.hash,t))}}_process(t){this._activeTarget!==t&&(this._clearActiveClass(this._config.target),this._activeTarget=t,t.classList.add(Po),this._activateParents(t),fe.trigger(this._element,Mo,{relatedTarget:t}))}_activateParents(t){if(t.classList.contains("dropdown-item"))Ae.findOne(".dropdown-toggle",t.closest(".dropdown")).classList.add(Po);else for(const e of Ae.parents(t,".nav, .list-group"))for(const t of Ae.prev(e,Ro))t.classList.add(Po)}_clearActiveClass(t){t.classList.remove(Po);const e=Ae.find(`${No}.${Po}`,t);for(const t of e)t.classList.remove(Po)}static jQueryInterface(t){return this.each(function(){const e=Fo.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}fe.on(window,Do,()=>{for(const t of Ae.find('[data-bs-spy="scroll"]'))Fo.getOrCreateInstance(t)}),Ut(Fo);const Bo=".bs.tab",Vo=`hide${Bo}`,Wo=`hidden${Bo}`,qo=`show${Bo}`,Yo=`shown${Bo}`,Ko=`click${Bo}`,Qo=`keydown${Bo}`,Uo=`load${Bo}`,Xo=`popstate${Bo}`,Go=`loaded${Bo}`,Jo=`loaderror${Bo}`,Zo=`close${Bo}`,tr=`closed${Bo}`,er=`moved${Bo}`,ir=`click${Bo}`,sr=`dragstart${Bo}`,nr=`dragover${Bo}`,or=`drop${Bo}`,rr=`dragend${Bo}`,ar=`resize${Bo}`,lr="ArrowLeft",cr="ArrowRight",hr="ArrowUp",dr="ArrowDown",ur="Home",_r="End",fr="active",gr="fade",pr="show",mr="dropdown",br="nav-item",vr="nav-link",yr="d-none",wr=".dropdown-toggle",Ar=".dropdown-menu",xr=`:not(${wr})`,Cr='.list-group, .nav, [role="tablist"]',Er='[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]',Tr=`.nav-link${xr}, .list-group-item${xr}, [role="tab"]${xr}, ${Er}`,Lr=`.${fr}[data-bs-toggle="tab"], .${fr}[data-bs-toggle="pill"], .${fr}[data-bs-toggle="list"]`,Ir="[data-bs-sync]",Sr="[data-bs-tab-overflow]",Or="query",kr={allowList:Qn,closable:!1,closeLabel:"Close",history:"replace",loader:null,loadingText:"Loading…",moreLabel:"More",overflow:!1,reload:!1,reorderable:!1,sanitize:!0,sanitizeFn:null,sync:!1,syncParam:"tab"},Mr={allowList:"object",closable:"boolean",closeLabel:"string",history:"string",loader:"(null|string|function)",loadingText:"string",moreLabel:"string",overflow:"boolean",reload:"boolean",reorderable:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",sync:"(boolean|string)",syncParam:"string"};let $r=!1;const Dr=t=>t.includes("="),Pr=new WeakMap;let Nr=null,jr=-1;const Rr=t=>[...t.children].filter(t=>!t.matches(Sr)&&(t.matches(Tr)||Ae.findOne(Tr,t))),Hr=(t,e)=>{t.classList.toggle(br,!e);const i=t.matches(Tr)?t:Ae.findOne(Tr,t);i&&(i.classList.toggle(vr,!e),i.classList.toggle("dropdown-item",e))},zr=t=>{const e=Ae.findOne(`:scope > ${Sr}`,t);if(!e)return null;for(const t of Rr(Ae.findOne(Ar,e)))Hr(t,!1),e.before(t);return e},Fr=t=>{const e=zr(t);if(!e)return;const i=Ae.findOne(Ar,e);if(e.classList.add(yr),t.scrollWidth>t.clientWidth){e.classList.remove(yr);const s=Rr(t);for(;s.length&&t.scrollWidth>t.clientWidth;){const t=s.pop();Hr(t,!0),i.prepend(t)}}const s=Ae.find(Tr,i).some(t=>t.classList.contains(fr));Ae.findOne(wr,e).classList.toggle(fr,s)},Br=()=>{const{hash:t}=window.location;if(!t||Dr(t))return null;try{return decodeURIComponent(t.slice(1))}catch(t){return null}};class Vr extends ye{constructor(t,e){super(t,e),this._parent=this._element.closest(Cr),this._parent&&(this._setInitialAttributes(this._parent,this._getChildren()),fe.on(this._element,Qo,t=>this._keydown(t)),this._isLoaded=!1,this._loadController=null,this._closeWrapper=null,this._config.loader&&this._elemIsActive(this._element)&&this._load(),this._closeButton=this._config.closable?this._createCloseButton():null,this._config.reorderable&&this._setDragListeners(),this._config.overflow&&((t,e)=>{if(Ae.findOne(`:scope > ${Sr}`,t))return;const i=document.createElement("li");i.className=`${br} ${mr}`,i.setAttribute("data-bs-tab-overflow",""),i.setAttribute("role","presentation");const s=document.createElement("button");s.type="button",s.className=`${vr} dropdown-toggle`,s.setAttribute("data-bs-toggle","dropdown"),s.setAttribute("aria-expanded","false"),s.textContent=e;const n=document.createElement("ul");n.className="dropdown-menu dropdown-menu-end",i.append(s,n),t.classList.add("flex-nowrap"),t.append(i),Fr(t)})(this._parent,this._config.moreLabel))}static get Default(){return kr}static get DefaultType(){return Mr}static get NAME(){return"tab"}show(){const t=this._element;if(this._elemIsActive(t))return;const e=this._getActiveElem(),i=e?fe.trigger(e,Vo,{relatedTarget:t}):null;fe.trigger(t,qo,{relatedTarget:e}).defaultPrevented||i&&i.defaultPrevented||(this._deactivate(e,t),this._activate(t,e),this._config.sync&&!$r&&this._updateLocation(),!this._config.loader||this._loadController||this._isLoaded&&!this._config.reload||this._load())}close(){const t=this._element,e=this._parent,i=Ae.getElementFromSelector(t);if(fe.trigger(t,Zo,{relatedTarget:i}).defaultPrevented)return;const s=document.activeElement===t,n=this._getListItem();if(this._elemIsActive(t)){const e=this._getChildren().filter(e=>e===t||!Ft(e)),i=e.indexOf(t),s=e[i+1]||e[i-1];s&&Vr.getOrCreateInstance(s).show()}n.remove(),i&&i.remove();const o=this._getActiveElem();s&&o&&o.focus(),fe.trigger(t,tr,{relatedTarget:i}),this.dispose(),Fr(e)}dispose(){if(this._abortLoad(),this._parent&&this._config.reorderable){const t=this._getListItem();fe.off(t,Bo),t.removeAttribute("draggable")}this._closeButton&&(fe.off(this._closeButton,Bo),this._closeButton.remove()),this._closeWrapper&&this._closeWrapper.replaceWith(this._element),super.dispose()}_mergeConfigObj(t,e){const i=t=>t?Object.fromEntries(Object.entries(be.getDataAttributes(t)).filter(([t])=>t in kr)):{},s=Rt(e)?e.closest(Cr):null,n=Rt(e)?Ae.getElementFromSelector(e):null,o=Rt(e)?be.getDataAttribute(e,"config"):{};return{...this.constructor.Default,...i(s),...i(n),..."object"==typeof o?o:{},...Rt(e)?be.getDataAttributes(e):{},..."object"==typeof t?t:{}}}_configAfterMerge(t){if("string"==typeof t.loader){const e=t.loader;t.loader=(t,i)=>fetch(e,{signal:i}).then(t=>{if(!t.ok)throw new Error(`${this.constructor.NAME.toUpperCase()}: Request to "${e}" failed with status ${t.status}.`);return t.text()})}return t}_load(){const t=Ae.getElementFromSelector(this._element);if(!t)return;this._abortLoad();const e=new AbortController;this._loadController=e,t.setAttribute("aria-busy","true"),t.replaceChildren(this._createSpinner()),Promise.resolve().then(()=>Xt(this._config.loader,[t,e.signal])).then(i=>{e.signal.aborted||(this._loadController=null,this._isLoaded=!0,t.removeAttribute("aria-busy"),Rt(i)?t.replaceChildren(i):t.innerHTML=this._config.sanitize?Jn(String(i),this._config.allowList,this._config.sanitizeFn):String(i),fe.trigger(this._element,Go,{relatedTarget:t}))},i=>{e.signal.aborted||(this._loadController=null,t.removeAttribute("aria-busy"),t.replaceChildren(),fe.trigger(this._element,Jo,{relatedTarget:t,error:i}))})}_abortLoad(){this._loadController&&(this._loadController.abort(),this._loadController=null)}_createSpinner(){const t=document.createElement("div");t.className="d-flex justify-content-center p-3";const e=document.createElement("div");e.className="spinner-border",e.setAttribute("role","status");const i=document.createElement("span");return i.className="visually-hidden",i.textContent=this._config.loadingText,e.append(i),t.append(e),t}_updateLocation(){const t=Ae.getElementFromSelector(this._element);if(!t||!t.id)return;const e=new URL(window.location.href);if(this._config.sync===Or)e.searchParams.set(this._config.syncParam,t.id);else{if(Dr(e.hash))return;e.hash=t.id}e.href!==window.location.href&&("push"!==this._config.history?window.history.replaceState(window.history.state,"",e.href):window.history.pushState(null,"",e.href))}_activate(t,e){t&&(t.classList.add(fr),this._activate(Ae.getElementFromSelector(t)),this._queueCallback(()=>{"tab"===t.getAttribute("role")?(t.removeAttribute("tabindex"),t.setAttribute("aria-selected",!0),this._toggleDropDown(t,!0),fe.trigger(t,Yo,{relatedTarget:e})):t.classList.add(pr)},t,t.classList.contains(gr)))}_deactivate(t,e){t&&(t.classList.remove(fr),t.blur(),this._deactivate(Ae.getElementFromSelector(t)),this._queueCallback(()=>{"tab"===t.getAttribute("role")?(t.setAttribute("aria-selected",!1),t.setAttribute("tabindex","-1"),this._toggleDropDown(t,!1),fe.trigger(t,Wo,{relatedTarget:e})):t.classList.remove(pr)},t,t.classList.contains(gr)))}_keydown(t){if("Delete"===t.key&&this._config.closable)return t.preventDefault(),void this.close();if(t.ctrlKey&&this._config.reorderable&&[lr,cr,hr,dr].includes(t.key))return t.stopPropagation(),t.preventDefault(),void this._move([cr,dr].includes(t.key)?1:-1);if(![lr,cr,hr,dr,ur,_r].includes(t.key))return;t.stopPropagation(),t.preventDefault();const e=this._getChildren().filter(t=>!Ft(t));let i;if([ur,_r].includes(t.key))i=e[t.key===ur?0:e.length-1];else{const s=[cr,dr].includes(t.key);i=Jt(e,t.target,s,!0)}i&&(i.focus({preventScroll:!0}),Vr.getOrCreateInstance(i).show())}_createCloseButton(){const t=document.createElement("button");t.type="button",t.className="btn-close",t.tabIndex=-1,t.setAttribute("aria-label",this._config.closeLabel);let e=this._getListItem();return e===this._element&&this._element.classList.contains(vr)&&(e=document.createElement("div"),e.className=br,e.setAttribute("role","presentation"),this._element.before(e),e.append(this._element),this._closeWrapper=e),this._element.after(t),e!==this._element&&e.classList.add(..."d-flex align-items-center".split(" ")),fe.on(t,ir,()=>this.close()),t}_setDragListeners(){const t=this._getListItem();t.draggable=!0,fe.on(t,sr,e=>{Nr=t,jr=Rr(t.parentElement).indexOf(t),e.dataTransfer.effectAllowed="move",e.dataTransfer.setData("text/plain",this._element.textContent.trim())}),fe.on(t,nr,e=>{if(!Nr||Nr===t||Nr.parentElement!==t.parentElement)return;e.preventDefault();const i=t.getBoundingClientRect(),s=this._parent.classList.contains("flex-column")||"vertical"===this._parent.getAttribute("aria-orientation");(s?e.clientY>i.top+i.height/2:e.clientX>i.left+i.width/2)!==(Qt()&&!s)?t.after(Nr):t.before(Nr)}),fe.on(t,or,t=>{Nr&&t.preventDefault()}),fe.on(t,rr,()=>{const e=jr,i=Rr(t.parentElement).indexOf(t);Nr=null,jr=-1,Fr(this._parent),e!==i&&fe.trigger(this._element,er,{from:e,to:i})})}_move(t){zr(this._parent);const e=this._getListItem(),i=Rr(e.parentElement),s=i.indexOf(e),n=s+t;n<0||n>=i.length?Fr(this._parent):(t>0?i[n].after(e):i[n].before(e),Fr(this._parent),this._element.focus({preventScroll:!0}),fe.trigger(this._element,er,{from:s,to:n}))}_getListItem(){if(!this._element.parentElement)return this._element;const t=this._element.parentElement.closest(`${Ar}, ${Cr}`);let e=this._element;for(;e.parentElement&&e.parentElement!==t;)e=e.parentElement;return e}_getChildren(){return Ae.find(Tr,this._parent)}_getActiveElem(){return this._getChildren().find(t=>this._elemIsActive(t))||null}_setInitialAttributes(t,e){this._setAttributeIfNotExists(t,"role","tablist");for(const t of e)this._setInitialAttributesOnChild(t)}_setInitialAttributesOnChild(t){t=this._getInnerElement(t);const e=this._elemIsActive(t),i=this._getOuterElement(t);t.setAttribute("aria-selected",e),i!==t&&this._setAttributeIfNotExists(i,"role","presentation"),e||t.setAttribute("tabindex","-1"),this._setAttributeIfNotExists(t,"role","tab"),this._setInitialAttributesOnTargetPanel(t)}_setInitialAttributesOnTargetPanel(t){const e=Ae.getElementFromSelector(t);e&&(this._setAttributeIfNotExists(e,"role","tabpanel"),t.id&&this._setAttributeIfNotExists(e,"aria-labelledby",`${t.id}`))}_toggleDropDown(t,e){const i=this._getOuterElement(t);if(!i.classList.contains(mr))return;const s=(t,s)=>{const n=Ae.findOne(t,i);n&&n.classList.toggle(s,e)};s(wr,fr),i.matches(Sr)||(s(Ar,pr),i.setAttribute("aria-expanded",e))}_setAttributeIfNotExists(t,e,i){t.hasAttribute(e)||t.setAttribute(e,i)}_elemIsActive(t){return t.classList.contains(fr)}_getInnerElement(t){return t.matches(Tr)?t:Ae.findOne(Tr,t)}_getOuterElement(t){return t.closest(".nav-item, .list-group-item")||t}static showFromLocation(t=document.documentElement){const e=Ae.find(Ir,t);t.matches(Ir)&&e.unshift(t);for(const t of e.filter(t=>t.matches(Cr))){const e=Ae.find(Tr,t).filter(e=>e.closest(Cr)===t);if(!e.length)continue;const i=Vr.getOrCreateInstance(e[0])._config;if(!i.sync)continue;Pr.has(t)||Pr.set(t,e.find(t=>t.classList.contains(fr))||e[0]);const s=i.sync===Or?new URLSearchParams(window.location.search).get(i.syncParam):Br(),n=s?document.getElementById(s):null,o=n?e.find(t=>{const e=Ae.getElementFromSelector(t);return e&&e.contains(n)}):Pr.get(t);if(o&&!Ft(o)){$r=!0;try{Vr.getOrCreateInstance(o).show()}finally{$r=!1}}}}static jQueryInterface(t){return this.each(function(){const e=Vr.getOrCreateInstance(this);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}fe.on(document,Ko,Er,function(t){["A","AREA"].includes(this.tagName)&&t.preventDefault(),Ft(this)||Vr.getOrCreateInstance(this).show()}),fe.on(window,Uo,()=>{for(const t of Ae.find(Lr))Vr.getOrCreateInstance(t);for(const t of Ae.find("[data-bs-closable], [data-bs-reorderable], [data-bs-overflow]"))for(const e of Ae.find(Er,t))Vr.getOrCreateInstance(e);Vr.showFromLocation()}),fe.on(window,ar,()=>{for(const t of Ae.find(Sr))Fr(t.parentElement)}),fe.on(window,Xo,()=>{Vr.showFromLocation()}),Ut(Vr);const Wr="toast",qr=".bs.toast",Yr=`mouseover${qr}`,Kr=`mouseout${qr}`,Qr=`focusin${qr}`,Ur=`focusout${qr}`,Xr=`hide${qr}`,Gr=`hidden${qr}`,Jr=`show${qr}`,Zr=`shown${qr}`,ta=`blur${qr}`,ea=`focus${qr}`,ia="hide",sa="show",na="showing",oa={animation:"boolean",autohide:"boolean",delay:"number",progress:"boolean"},ra={animation:!0,autohide:!0,delay:5026,progress:!1};class aa extends ye{constructor(t,e){super(t,e),this._timeout=null,this._remaining=null,this._startedAt=null,this._hasMouseInteraction=!1,this._hasKeyboardInteraction=!1,this._hasWindowBlur=!1,this._progressElement=null,this._progressBar=null,this._setListeners(),this._createProgress()}static get Default(){return ra}static get DefaultType(){return oa}static get NAME(){return Wr}show(){fe.trigger(this._element,Jr).defaultPrevented||(this._clearTimeout(),this._remaining=null,this._updateProgress(!1),this._config.animation&&this._element.classList.add("fade"),this._element.classList.remove(ia),Wt(this._element),this._element.classList.add(sa,na),this._queueCallback(()=>{this._element.classList.remove(na),fe.trigger(this._element,Zr),this._maybeScheduleHide()},this._element,this._config.animation))}hide(){this.isShown()&&(fe.trigger(this._element,Xr).defaultPrevented||(this._element.classList.add(na),this._queueCallback(()=>{this._element.classList.add(ia),this._element.classList.remove(na,sa),this._clearTimeout(),this._remaining=null,fe.trigger(this._element,Gr)},this._element,this._config.animation)))}showAsync(){return this._transitionAsync(()=>this.show(),Jr,Zr,Xr)}hideAsync(){return this._transitionAsync(()=>this.hide(),Xr,Gr,Jr)}dispose(){this._clearTimeout(),fe.off(window,ta,this._windowBlurHandler),fe.off(window,ea,this._windowFocusHandler),this._progressElement&&this._progressElement.remove(),this.isShown()&&this._element.classList.remove(sa),super.dispose()}isShown(){return this._element.classList.contains(sa)}_maybeScheduleHide(){this._config.autohide&&!this._timeout&&(null===this._remaining&&(this._remaining=this._config.delay),this._hasMouseInteraction||this._hasKeyboardInteraction||this._hasWindowBlur||(this._startedAt=Date.now(),this._timeout=setTimeout(()=>{this._timeout=null,this.hide()},this._remaining),this._updateProgress(!0)))}_pauseHide(){this._timeout&&(this._remaining=Math.max(0,this._remaining-(Date.now()-this._startedAt)),this._clearTimeout(),this._updateProgress(!1))}_createProgress(){if(!this._config.progress)return;const t=document.createElement("div");t.className="progress",t.style.setProperty("--bs-progress-height",".25rem"),t.setAttribute("aria-hidden",!0);const e=document.createElement("div");e.className="progress-bar",t.append(e),this._element.append(t),this._progressElement=t,this._progressBar=e}_updateProgress(t){if(!this._progressBar)return;const e=null===this._remaining?this._config.delay:this._remaining,i=this._config.delay>0?e/this._config.delay:0;this._progressBar.style.transition="none",this._progressBar.style.width=100*i+"%",t&&(Wt(this._progressBar),this._progressBar.style.transition=`width ${e}ms linear`,this._progressBar.style.width="0%")}_onInteraction(t,e){switch(t.type){case"mouseover":case"mouseout":this._hasMouseInteraction=e;break;case"focusin":case"focusout":this._hasKeyboardInteraction=e}if(e)return void this._pauseHide();const i=t.relatedTarget;this._element===i||this._element.contains(i)||this._maybeScheduleHide()}_setListeners(){fe.on(this._element,Yr,t=>this._onInteraction(t,!0)),fe.on(this._element,Kr,t=>this._onInteraction(t,!1)),fe.on(this._element,Qr,t=>this._onInteraction(t,!0)),fe.on(this._element,Ur,t=>this._onInteraction(t,!1)),this._windowBlurHandler=()=>{this._hasWindowBlur=!0,this._pauseHide()},this._windowFocusHandler=()=>{this._hasWindowBlur=!1,null!==this._remaining&&this._maybeScheduleHide()},fe.on(window,ta,this._windowBlurHandler),fe.on(window,ea,this._windowFocusHandler)}_clearTimeout(){clearTimeout(this._timeout),this._timeout=null}static jQueryInterface(t){return this.each(function(){const e=aa.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t](this)}})}}xe(aa),Ut(aa);const la="toastService",ca=".toast-header > strong",ha=".toast-body",da=new Set(["danger","warning"]),ua={"top-start":["top-0","start-0"],"top-center":["top-0","start-50","translate-middle-x"],"top-end":["top-0","end-0"],"middle-start":["top-50","start-0","translate-middle-y"],"middle-center":["top-50","start-50","translate-middle"],"middle-end":["top-50","end-0","translate-middle-y"],"bottom-start":["bottom-0","start-0"],"bottom-center":["bottom-0","start-50","translate-middle-x"],"bottom-end":["bottom-0","end-0"]},_a={allowList:Qn,container:"body",html:!1,maxVisible:3,placement:"top-end",sanitize:!0,sanitizeFn:null,template:'<div class="toast" role="status" aria-live="polite" aria-atomic="true"><div class="toast-header"><strong class="me-auto"></strong></div><div class="toast-body"></div></div>'},fa={allowList:"object",container:"(string|element)",html:"boolean",maxVisible:"number",placement:"string",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},ga={animation:!0,autohide:!0,body:"",delay:ra.delay,progress:!1,title:null,variant:null},pa={animation:"boolean",autohide:"boolean",body:"(string|element|function)",delay:"number",progress:"boolean",title:"(null|string|element|function)",variant:"(null|string)"},ma="modalDialog",ba=`keydown${cn}`,va=`click${cn}`,ya=".modal-title",wa=".modal-body > div",Aa={allowList:Qn,body:"",cancelText:"Cancel",confirmText:"OK",html:!1,input:!1,inputType:"text",placeholder:"",required:!1,sanitize:!0,sanitizeFn:null,template:'<div class="modal fade"><div class="modal-dialog modal-dialog-centered"><div class="modal-content"><div class="modal-header"><h5 class="modal-title"></h5></div><div class="modal-body"><div></div></div><div class="modal-footer"></div></div></div></div>',title:"",value:"",variant:"primary"},xa={allowList:"object",body:"(string|element|function)",cancelText:"string",confirmText:"string",html:"boolean",input:"boolean",inputType:"string",placeholder:"string",required:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string",title:"(string|element|function)",value:"string",variant:"string"};class Ca extends ve{constructor(t){super(),this._config=this._getConfig(t),this._input=null,this._confirmButton=null}static get Default(){return Aa}static get DefaultType(){return xa}static get NAME(){return ma}open(){const t=this._createElement(),e=this._confirmButton,i=document.activeElement;document.body.append(t);const s=new Ln(t);let n=!!this._config.input&&null;const o=()=>{if(this._input&&this._config.required&&!this._input.value.trim())return this._input.classList.add("is-invalid"),void this._input.focus();n=!this._input||this._input.value,s.hide()};return fe.on(e,va,o),this._input&&fe.on(this._input,ba,t=>{"Enter"===t.key&&(t.preventDefault(),o())}),new Promise(o=>{fe.one(t,fn,()=>{(this._input||e).focus()}),fe.one(t,un,()=>{i&&zt(i)&&i.focus(),s.dispose(),t.remove(),o(n)}),s.show()})}_createElement(){const{allowList:t,body:e,html:i,sanitize:s,sanitizeFn:n,template:o,title:r}=this._config,a=new io({allowList:t,content:{[ya]:r,[wa]:e},html:i,sanitize:s,sanitizeFn:n,template:o}).toHtml();a.setAttribute("tabindex","-1");const l=Ae.findOne(ya,a);l&&(l.id=Nt(ma),a.setAttribute("aria-labelledby",l.id)),this._config.input&&(this._input=document.createElement("input"),this._input.className="form-control mt-3",this._input.type=this._config.inputType,this._input.value=this._config.value,this._input.placeholder=this._config.placeholder,l&&this._input.setAttribute("aria-labelledby",l.id),Ae.findOne(".modal-body",a).append(this._input));const c=Ae.findOne(".modal-footer",a);return this._confirmButton=this._createButton(this._config.confirmText,`btn-${this._config.variant}`,!1),c.append(this._createButton(this._config.cancelText,"btn-secondary",!0),this._confirmButton),a}_createButton(t,e,i){const s=document.createElement("button");return s.type="button",s.className=`btn ${e}`,s.textContent=t,i&&s.setAttribute("data-bs-dismiss",ln),s}}const Ea="combobox",Ta=".bs.combobox",La="Enter",Ia="ArrowDown",Sa=`selected${Ta}`,Oa=`input${Ta}`,ka=`keydown${Ta}`,Ma=`click${Ta}`,$a=`mousedown${Ta}`,Da=`focusout${Ta}`,Pa=`focusin${Ta}.data-api`,Na="active",ja="dropdown-menu",Ra='[role="option"]',Ha={delay:150,highlight:!0,itemHeight:32,loadingText:"Loading…",maxResults:50,minLength:1,noResultsText:"No results",restricted:!1,source:null,virtual:!1,visibleItems:8},za={delay:"number",highlight:"boolean",itemHeight:"number",loadingText:"string",maxResults:"number",minLength:"number",noResultsText:"string",restricted:"boolean",source:"(null|array|function)",virtual:"boolean",visibleItems:"number"},Fa=t=>"object"==typeof t&&null!==t?{value:t.value,label:String(void 0===t.label||null===t.label?t.value:t.label)}:{value:t,label:String(t)};class Ba extends ye{constructor(t,e){super(t,e),this._generatedMenu=null,this._menu=Ae.next(this._element,".dropdown-menu")[0]||this._createMenu(),this._options=this._getStaticOptions(),this._results=[],this._query="",this._virtualList=null,this._activeIndex=-1,this._selection=null,this._timeout=null,this._controller=null,this._setAriaAttributes(),this._dropdown=Bs.getOrCreateInstance(this._element),this._addEventListeners()}static get Default(){return Ha}static get DefaultType(){return za}static get NAME(){return Ea}show(){this._search(this._element.value,!0)}hide(){this._dropdown.hide()}dispose(){this._cancelSearch(),fe.off(this._menu,Ta),this._virtualList&&this._virtualList.dispose(),this._dropdown.dispose(),this._generatedMenu&&this._generatedMenu.remove(),super.dispose()}_createMenu(){const t=document.createElement("ul");return t.className=ja,this._element.after(t),this._generatedMenu=t,t}_getStaticOptions(){return this._config.source?Array.isArray(this._config.source)?this._config.source.map(Fa):[]:Ae.find(".dropdown-item",this._menu).map(t=>{const e=t.textContent.trim();return{value:t.hasAttribute("data-bs-value")?t.getAttribute("data-bs-value"):e,label:e}})}_setAriaAttributes(){this._menu.id||(this._menu.id=Nt(Ea)),this._menu.setAttribute("role","listbox"),this._element.setAttribute("role","combobox"),this._element.setAttribute("aria-autocomplete","list"),this._element.setAttribute("aria-controls",this._menu.id),this._element.setAttribute("autocomplete","off")}_addEventListeners(){fe.on(this._element,Oa,()=>this._search(this._element.value)),fe.on(this._element,ka,t=>this._keydown(t)),fe.on(this._element,Ma,()=>{!this._dropdown._isShown()&&this._element.value.length>=this._config.minLength&&this.show()}),fe.on(this._element,Da,t=>{this._menu.contains(t.relatedTarget)||(this.hide(),this._config.restricted||this._commitText())}),fe.on(this._element,"hidden.bs.dropdown",()=>this._handleHidden()),fe.on(this._menu,$a,t=>t.preventDefault()),fe.on(this._menu,Ma,Ra,t=>{this._select(this._results[Number.parseInt(t.delegateTarget.getAttribute("data-bs-index"),10)])})}_keydown(t){const e=this._dropdown._isShown();if(t.key!==La||e&&-1!==this._activeIndex||this._config.restricted){if(t.key===Ia||"ArrowUp"===t.key)return t.preventDefault(),void(e?t.altKey||this._moveActive(t.key===Ia):this.show());if(e)return t.key===La&&this._activeIndex>-1?(t.preventDefault(),void this._select(this._results[this._activeIndex])):void("Escape"===t.key&&(t.preventDefault(),this.hide()))}else this._commitText()&&(t.preventDefault(),this.hide())}_search(t,e=!1){if(this._cancelSearch(),!e&&t.length<this._config.minLength)return void this.hide();const{source:i}=this._config;if("function"!=typeof i){const e=t.toLowerCase(),i=this._options.filter(t=>t.label.toLowerCase().includes(e));return void this._render(t,this._limit(i))}const s=new AbortController;this._controller=s,this._renderMessage(this._config.loadingText),this._timeout=setTimeout(()=>{new Promise(e=>e(i(t,s.signal))).then(t=>{if(!Array.isArray(t))throw new TypeError(`${Ea.toUpperCase()}: Option "source" must return or resolve to an array.`);return t.map(Fa)}).then(e=>{s.signal.aborted||(this._controller=null,this._render(t,this._limit(e)))},()=>{s.signal.aborted||(this._controller=null,this._render(t,[]))})},this._config.delay)}_cancelSearch(){clearTimeout(this._timeout),this._controller&&(this._controller.abort(),this._controller=null)}_limit(t){return this._config.virtual?t:t.slice(0,this._config.maxResults)}_render(t,e){this._results=e,this._query=t,this._setActive(-1),e.length?(this._config.virtual?this._getVirtualList().setItems(e):this._menu.replaceChildren(...e.map((t,e)=>this._renderOption(t,e))),this._showMenu()):this._renderMessage(this._config.noResultsText)}_renderOption(t,e){const i=e===this._activeIndex,s=document.createElement("li");return s.className="dropdown-item",s.classList.toggle(Na,i),s.id=`${this._menu.id}-option-${e}`,s.setAttribute("role","option"),s.setAttribute("aria-selected",i),s.setAttribute("data-bs-index",e),s.append(...this._highlight(t.label,this._query)),s}_getVirtualList(){return this._virtualList||(this._virtualList=new ss(this._menu,{itemHeight:this._config.itemHeight,renderItem:(t,e)=>this._renderOption(t,e),visibleItems:this._config.visibleItems})),this._virtualList}_renderMessage(t){this._virtualList&&this._virtualList.setItems([]);const e=document.createElement("li");e.className="dropdown-item-text",e.textContent=t,this._menu.replaceChildren(e),this._showMenu()}_highlight(t,e){const i=e?t.toLowerCase().indexOf(e.toLowerCase()):-1;if(!this._config.highlight||-1===i)return[t];const s=document.createElement("mark");return s.textContent=t.slice(i,i+e.length),[t.slice(0,i),s,t.slice(i+e.length)]}_showMenu(){this._dropdown._isShown()?this._dropdown.update():this._dropdown.show()}_moveActive(t){const e=this._results.length;e&&(-1!==this._activeIndex?this._setActive((this._activeIndex+(t?1:-1)+e)%e):this._setActive(t?0:e-1))}_setActive(t){this._activeIndex=t;const e=-1===t?null:this._getOption(t);for(const t of Ae.find(Ra,this._menu))t.classList.toggle(Na,t===e),t.setAttribute("aria-selected",t===e);e?(this._element.setAttribute("aria-activedescendant",e.id),e.scrollIntoView({block:"nearest"})):this._element.removeAttribute("aria-activedescendant")}_getOption(t){return this._virtualList?this._virtualList.scrollToIndex(t):Ae.find(Ra,this._menu)[t]||null}_select(t){t&&(this._selection=t,this._element.value=t.label,this.hide(),fe.trigger(this._element,Sa,{value:t.value,label:t.label}))}_commitText(){const t=this._element.value.trim();if(t===(this._selection?this._selection.label:""))return!1;const e=[...this._results,...this._options].find(e=>e.label.toLowerCase()===t.toLowerCase());return e?(this._select(e),!0):(this._selection=t?{value:t,label:t}:null,fe.trigger(this._element,Sa,{value:t||null,label:t}),!0)}_handleHidden(){this._cancelSearch(),this._setActive(-1),this._config.restricted&&this._enforceSelection()}_enforceSelection(){const t=this._element.value.trim().toLowerCase();if(this._selection&&this._selection.label.toLowerCase()===t)return;if(!t)return this._selection=null,void fe.trigger(this._element,Sa,{value:null,label:""});const e=[...this._results,...this._options].find(e=>e.label.toLowerCase()===t);e?this._select(e):this._element.value=this._selection?this._selection.label:""}static jQueryInterface(t){return this.each(function(){const e=Ba.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}fe.on(document,Pa,'[data-bs-toggle="combobox"]',function(){Ba.getOrCreateInstance(this)}),Ut(Ba);const Va="taginput",Wa=".bs.taginput",qa=`add${Wa}`,Ya=`remove${Wa}`,Ka=`invalid${Wa}`,Qa=`keydown${Wa}`,Ua=`paste${Wa}`,Xa=`click${Wa}`,Ga=`load${Wa}.data-api`,Ja="d-none",Za={allowDuplicates:!1,delimiter:",",maxTags:null,placeholder:"",suggestions:null},tl={allowDuplicates:"boolean",delimiter:"string",maxTags:"(null|number)",placeholder:"string",suggestions:"(null|array|function)"};class el extends ye{constructor(t,e){super(t,e),this._isSelect="SELECT"===this._element.tagName,this._tags=this._getInitialTags(),this._label=null,this._labelFor=null,this._control=this._createControl(),this._input=Ae.findOne("input",this._control),this._combobox=this._createCombobox(),this._element.classList.add(Ja),this._render(),this._addEventListeners()}static get Default(){return Za}static get DefaultType(){return tl}static get NAME(){return Va}getValues(){return[...this._tags]}add(t){const e=this._toValue(String(t).trim());if(!e)return!1;const i=this._getInvalidReason(e);return i?(fe.trigger(this._element,Ka,{value:e,reason:i}),!1):!fe.trigger(this._element,qa,{value:e}).defaultPrevented&&(this._tags.push(e),this._update(),!0)}remove(t){const e=this._tags.indexOf(t);return-1!==e&&(!fe.trigger(this._element,Ya,{value:t}).defaultPrevented&&(this._tags.splice(e,1),this._update(),!0))}clear(){for(const t of[...this._tags].reverse())this.remove(t)}dispose(){this._combobox&&this._combobox.dispose(),this._control.remove(),this._element.classList.remove(Ja),this._label&&(this._label.htmlFor=this._labelFor),super.dispose()}_getInitialTags(){return this._isSelect?[...this._element.selectedOptions].map(t=>t.value):this._split(this._element.value)}_split(t){return t.split(this._config.delimiter).map(t=>t.trim()).filter(Boolean)}_createControl(){const t=document.createElement("div");t.className="form-control d-flex flex-wrap align-items-center gap-1";const e=document.createElement("input");e.type="text",e.className="border-0 flex-grow-1 p-0",e.placeholder=this._config.placeholder;const i=this._element.id&&document.querySelector(`label[for="${this._element.id}"]`);return i&&(this._label=i,this._labelFor=i.htmlFor,e.id=Nt(Va),i.htmlFor=e.id),t.append(e),this._element.after(t),t}_createCombobox(){const t=this._getSuggestions();if(!t)return null;const e=document.createElement("ul");return e.className=ja,this._input.after(e),Bs.getOrCreateInstance(this._input,{reference:"parent"}),new Ba(this._input,{delay:0,source:(e,i)=>Promise.resolve(Xt(t,[e,i])).then(t=>t.filter(t=>{const e="object"==typeof t&&null!==t?t.value:t;return!this._getInvalidReason(String(e))}))})}_getSuggestions(){if("function"==typeof this._config.suggestions)return this._config.suggestions;const t=this._config.suggestions||(this._isSelect?[...this._element.options].map(t=>({value:t.value,label:t.textContent})):null);return t?e=>t.filter(t=>{const i="object"==typeof t?t.label||t.value:t;return String(i).toLowerCase().includes(e.toLowerCase())}):null}_getInvalidReason(t){return!this._config.allowDuplicates&&this._tags.some(e=>e.toLowerCase()===t.toLowerCase())?"duplicate":null!==this._config.maxTags&&this._tags.length>=this._config.maxTags?"max":null}_addEventListeners(){fe.on(this._input,Qa,t=>this._keydown(t)),fe.on(this._input,Ua,t=>{const e=(t.clipboardData||window.clipboardData).getData("text");if(e.includes(this._config.delimiter)){t.preventDefault();for(const t of this._split(e))this.add(t)}}),fe.on(this._input,"selected.bs.combobox",t=>{null!==t.value&&this.add(t.value)&&(this._input.value="")}),fe.on(this._control,Xa,t=>{const e=t.target.closest(".btn-close");e?this.remove(e.parentNode.getAttribute("data-bs-value")):this._input.focus()})}_keydown(t){if(!t.defaultPrevented){if("Enter"===t.key||t.key===this._config.delimiter){if(!this._input.value.trim())return;return t.preventDefault(),void(this.add(this._input.value)&&(this._input.value="",this._combobox&&this._combobox.hide()))}"Backspace"===t.key&&!this._input.value&&this._tags.length&&this.remove(this._tags[this._tags.length-1])}}_update(){this._render(),this._sync(),fe.trigger(this._element,"change")}_render(){const t=this._tags.map(t=>{const e=document.createElement("span");e.className="badge text-bg-secondary d-inline-flex align-items-center gap-1",e.setAttribute("data-bs-value",t);const i=this._getLabel(t);e.textContent=i;const s=document.createElement("button");return s.type="button",s.className="btn-close btn-close-white",s.setAttribute("aria-label",`Remove ${i}`),e.append(s),e});this._control.replaceChildren(...t,this._input,...this._combobox?[this._combobox._menu]:[])}_getOption(t){return this._isSelect&&[...this._element.options].find(t)||null}_getLabel(t){const e=this._getOption(e=>e.value===t);return e?e.label:t}_toValue(t){if(this._getOption(e=>e.value===t))return t;const e=this._getOption(e=>e.label.toLowerCase()===t.toLowerCase());return e?e.value:t}_sync(){if(this._isSelect){for(const t of this._tags)[...this._element.options].some(e=>e.value===t)||this._element.add(new Option(t,t));for(const t of this._element.options)t.selected=this._tags.includes(t.value)}else this._element.value=this._tags.join(this._config.delimiter)}static jQueryInterface(t){return this.each(function(){const e=el.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}fe.on(window,Ga,()=>{for(const t of Ae.find('[data-bs-toggle="taginput"]'))el.getOrCreateInstance(t)}),Ut(el);const il={autoDispose:!0,autoInit:!0,root:"body"},sl={autoDispose:"boolean",autoInit:"boolean",root:"(element|string)"},nl=new Map([['[data-bs-toggle="tooltip"]',t=>Eo.getOrCreateInstance(t)],['[data-bs-toggle="popover"]',t=>Oo.getOrCreateInstance(t)],[".toast[data-bs-autoshow]",t=>{const e=aa.getOrCreateInstance(t);e.isShown()||e.show()}],["[data-bs-spy]",t=>Fo.getOrCreateInstance(t)],['[data-bs-ride="carousel"]',t=>Pi.getOrCreateInstance(t)],['[data-bs-toggle="taginput"]',t=>el.getOrCreateInstance(t)],[".collapse[data-bs-persist]",t=>Ji.getOrCreateInstance(t,{toggle:!1})],["[data-bs-closable], [data-bs-reorderable], [data-bs-overflow]",t=>{for(const e of Ae.find('[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]',t))Vr.getOrCreateInstance(e)}],["[data-bs-sync]",t=>Vr.showFromLocation(t)],[".offcanvas[data-bs-edge-swipe]",t=>Kn.getOrCreateInstance(t)]]);let ol=null;class rl extends ve{constructor(t){super(),this._config=this._getConfig(t),this._observer=null}static get Default(){return il}static get DefaultType(){return sl}static get NAME(){return"componentObserver"}observe(){this._observer||(this._config.autoInit&&this._initialize(this._config.root),this._observer=new MutationObserver(t=>this._handleMutations(t)),this._observer.observe(this._config.root,{childList:!0,subtree:!0}))}disconnect(){this._observer&&(this._observer.disconnect(),this._observer=null)}_configAfterMerge(t){return t.root=Ht(t.root),t}_handleMutations(t){const e=[];for(const i of t){for(const t of i.addedNodes)this._config.autoInit&&t.nodeType===Node.ELEMENT_NODE&&t.isConnected&&this._initialize(t);for(const t of i.removedNodes)t.nodeType===Node.ELEMENT_NODE&&e.push(t)}this._config.autoDispose&&e.length&&this._disposeDetached(e)}_initialize(t){for(const[e,i]of nl){const s=Ae.find(e,t);t.matches(e)&&s.unshift(t);for(const t of s)i(t)}}_disposeDetached(t){for(const e of kt.keys())if(!e.isConnected&&t.some(t=>t.contains(e)))for(const t of Mt.getAll(e))t.dispose()}static register(t,e){nl.set(t,e)}static enable(t){return rl.disable(),ol=new rl(t),ol.observe(),ol}static disable(){ol&&(ol.disconnect(),ol=null)}}Kt(()=>{document.body.hasAttribute("data-bs-observe")&&rl.enable()}),t.Alert=Le,t.Button=Se,t.Carousel=Pi,t.Collapse=Ji,t.Combobox=Ba,t.ComponentObserver=rl,t.Dropdown=Bs,t.Modal=Ln,t.Offcanvas=Kn,t.Popover=Oo,t.ScrollSpy=Fo,t.Tab=Vr,t.TagInput=el,t.Toast=aa,t.ToastService=class extends ve{constructor(t){super(),this._config=this._getConfig(t),this._containerElement=null,this._visible=new Set,this._queue=[],this._keys=new Set}static get Default(){return _a}static get DefaultType(){return fa}static get NAME(){return la}push(t){t={...ga,...t},this._typeCheckConfig(t,pa);const e=this._getMessageKey(t);return!(null!==e&&this._keys.has(e)||(t.key=e,null!==e&&this._keys.add(e),this._visible.size>=this._config.maxVisible?(this._queue.push(t),0):(this._display(t),0)))}clear(){this._clearQueue();for(const t of this._visible)t.hide()}dispose(){this._clearQueue();for(const t of this._visible)t.dispose();this._visible.clear(),this._keys.clear(),this._containerElement&&(this._containerElement.remove(),this._containerElement=null)}_configAfterMerge(t){if(!ua[t.placement])throw new TypeError(`${la.toUpperCase()}: Option "placement" provided value "${t.placement}" but expected one of "${Object.keys(ua).join(", ")}".`);return t.container=Ht(t.container),t}_display(t){const e=this._createToastElement(t);this._getContainer().append(e);const i=aa.getOrCreateInstance(e,{animation:t.animation,autohide:t.autohide,delay:t.delay,progress:t.progress});this._visible.add(i),fe.one(e,Gr,()=>{this._visible.delete(i),this._keys.delete(t.key),i.dispose(),e.remove(),this._displayNext()}),i.show()}_clearQueue(){for(const t of this._queue)this._keys.delete(t.key);this._queue=[]}_displayNext(){!this._queue.length||this._visible.size>=this._config.maxVisible||this._display(this._queue.shift())}_createToastElement(t){const{allowList:e,html:i,sanitize:s,sanitizeFn:n,template:o}=this._config,r=new io({allowList:e,content:{[ca]:t.title,[ha]:t.body},extraClass:t.variant?`text-bg-${t.variant}`:"",html:i,sanitize:s,sanitizeFn:n,template:o}).toHtml();da.has(t.variant)&&(r.setAttribute("role","alert"),r.setAttribute("aria-live","assertive"));const a=Ae.findOne(".toast-header",r);if(a){const t=document.createElement("button");t.type="button",t.className="btn-close",t.setAttribute("data-bs-dismiss",Wr),t.setAttribute("aria-label","Close"),a.append(t)}return r}_getContainer(){if(!this._containerElement){const t=document.createElement("div");t.classList.add("toast-container","position-fixed","p-3",...ua[this._config.placement]),this._config.container.append(t),this._containerElement=t}return this._containerElement}_getMessageKey(t){return[t.title,t.body].every(t=>null===t||"string"==typeof t)?JSON.stringify([t.variant,t.title,t.body]):null}},t.Tooltip=Eo,Object.defineProperty(t,Symbol.toStringTag,{value:"Module"})});
+//# sourceMappingURL=bootstrap.bundle.min.js.map
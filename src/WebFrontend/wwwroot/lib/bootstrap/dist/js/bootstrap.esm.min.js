@@ -1,7 +1,7 @@
 /*!
-  * Bootstrap v5.3.3 (https://getbootstrap.com/)
+  * Bootstrap v5.3.3 (https://getbootstrap.com/), modified for WebFrontend (see src/WebFrontend.Bootstrap)
   * Copyright 2011-2024 The Bootstrap Authors (https://github.com/twbs/bootstrap/graphs/contributors)
   * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
   */
-import*as Popper from"@popperjs/core";const elementMap=new Map,Data={set(e,t,n){elementMap.has(e)||elementMap.set(e,new Map);const i=elementMap.get(e);i.has(t)||0===i.size?i.set(t,n):console.error(`Bootstrap doesn't allow more than one instance per element. Bound instance: ${Array.from(i.keys())[0]}.`)},get:(e,t)=>elementMap.has(e)&&elementMap.get(e).get(t)||null,remove(e,t){if(!elementMap.has(e))return;const n=elementMap.get(e);n.delete(t),0===n.size&&elementMap.delete(e)}},MAX_UID=1e6,MILLISECONDS_MULTIPLIER=1e3,TRANSITION_END="transitionend",parseSelector=e=>(e&&window.CSS&&window.CSS.escape&&(e=e.replace(/#([^\s"#']+)/g,((e,t)=>`#${CSS.escape(t)}`))),e),toType=e=>null==e?`${e}`:Object.prototype.toString.call(e).match(/\s([a-z]+)/i)[1].toLowerCase(),getUID=e=>{do{e+=Math.floor(1e6*Math.random())}while(document.getElementById(e));return e},getTransitionDurationFromElement=e=>{if(!e)return 0;let{transitionDuration:t,transitionDelay:n}=window.getComputedStyle(e);const i=Number.parseFloat(t),s=Number.parseFloat(n);return i||s?(t=t.split(",")[0],n=n.split(",")[0],1e3*(Number.parseFloat(t)+Number.parseFloat(n))):0},triggerTransitionEnd=e=>{e.dispatchEvent(new Event(TRANSITION_END))},isElement=e=>!(!e||"object"!=typeof e)&&(void 0!==e.jquery&&(e=e[0]),void 0!==e.nodeType),getElement=e=>isElement(e)?e.jquery?e[0]:e:"string"==typeof e&&e.length>0?document.querySelector(parseSelector(e)):null,isVisible=e=>{if(!isElement(e)||0===e.getClientRects().length)return!1;const t="visible"===getComputedStyle(e).getPropertyValue("visibility"),n=e.closest("details:not([open])");if(!n)return t;if(n!==e){const t=e.closest("summary");if(t&&t.parentNode!==n)return!1;if(null===t)return!1}return t},isDisabled=e=>!e||e.nodeType!==Node.ELEMENT_NODE||!!e.classList.contains("disabled")||(void 0!==e.disabled?e.disabled:e.hasAttribute("disabled")&&"false"!==e.getAttribute("disabled")),findShadowRoot=e=>{if(!document.documentElement.attachShadow)return null;if("function"==typeof e.getRootNode){const t=e.getRootNode();return t instanceof ShadowRoot?t:null}return e instanceof ShadowRoot?e:e.parentNode?findShadowRoot(e.parentNode):null},noop=()=>{},reflow=e=>{e.offsetHeight},getjQuery=()=>window.jQuery&&!document.body.hasAttribute("data-bs-no-jquery")?window.jQuery:null,DOMContentLoadedCallbacks=[],onDOMContentLoaded=e=>{"loading"===document.readyState?(DOMContentLoadedCallbacks.length||document.addEventListener("DOMContentLoaded",(()=>{for(const e of DOMContentLoadedCallbacks)e()})),DOMContentLoadedCallbacks.push(e)):e()},isRTL=()=>"rtl"===document.documentElement.dir,defineJQueryPlugin=e=>{onDOMContentLoaded((()=>{const t=getjQuery();if(t){const n=e.NAME,i=t.fn[n];t.fn[n]=e.jQueryInterface,t.fn[n].Constructor=e,t.fn[n].noConflict=()=>(t.fn[n]=i,e.jQueryInterface)}}))},execute=(e,t=[],n=e)=>"function"==typeof e?e(...t):n,executeAfterTransition=(e,t,n=!0)=>{if(!n)return void execute(e);const i=getTransitionDurationFromElement(t)+5;let s=!1;const o=({target:n})=>{n===t&&(s=!0,t.removeEventListener(TRANSITION_END,o),execute(e))};t.addEventListener(TRANSITION_END,o),setTimeout((()=>{s||triggerTransitionEnd(t)}),i)},getNextActiveElement=(e,t,n,i)=>{const s=e.length;let o=e.indexOf(t);return-1===o?!n&&i?e[s-1]:e[0]:(o+=n?1:-1,i&&(o=(o+s)%s),e[Math.max(0,Math.min(o,s-1))])},namespaceRegex=/[^.]*(?=\..*)\.|.*/,stripNameRegex=/\..*/,stripUidRegex=/::\d+$/,eventRegistry={};let uidEvent=1;const customEvents={mouseenter:"mouseover",mouseleave:"mouseout"},nativeEvents=new Set(["click","dblclick","mouseup","mousedown","contextmenu","mousewheel","DOMMouseScroll","mouseover","mouseout","mousemove","selectstart","selectend","keydown","keypress","keyup","orientationchange","touchstart","touchmove","touchend","touchcancel","pointerdown","pointermove","pointerup","pointerleave","pointercancel","gesturestart","gesturechange","gestureend","focus","blur","change","reset","select","submit","focusin","focusout","load","unload","beforeunload","resize","move","DOMContentLoaded","readystatechange","error","abort","scroll"]);function makeEventUid(e,t){return t&&`${t}::${uidEvent++}`||e.uidEvent||uidEvent++}function getElementEvents(e){const t=makeEventUid(e);return e.uidEvent=t,eventRegistry[t]=eventRegistry[t]||{},eventRegistry[t]}function bootstrapHandler(e,t){return function n(i){return hydrateObj(i,{delegateTarget:e}),n.oneOff&&EventHandler.off(e,i.type,t),t.apply(e,[i])}}function bootstrapDelegationHandler(e,t,n){return function i(s){const o=e.querySelectorAll(t);for(let{target:r}=s;r&&r!==this;r=r.parentNode)for(const a of o)if(a===r)return hydrateObj(s,{delegateTarget:r}),i.oneOff&&EventHandler.off(e,s.type,t,n),n.apply(r,[s])}}function findHandler(e,t,n=null){return Object.values(e).find((e=>e.callable===t&&e.delegationSelector===n))}function normalizeParameters(e,t,n){const i="string"==typeof t,s=i?n:t||n;let o=getTypeEvent(e);return nativeEvents.has(o)||(o=e),[i,s,o]}function addHandler(e,t,n,i,s){if("string"!=typeof t||!e)return;let[o,r,a]=normalizeParameters(t,n,i);if(t in customEvents){const e=e=>function(t){if(!t.relatedTarget||t.relatedTarget!==t.delegateTarget&&!t.delegateTarget.contains(t.relatedTarget))return e.call(this,t)};r=e(r)}const l=getElementEvents(e),c=l[a]||(l[a]={}),_=findHandler(c,r,o?n:null);if(_)return void(_.oneOff=_.oneOff&&s);const E=makeEventUid(r,t.replace(namespaceRegex,"")),h=o?bootstrapDelegationHandler(e,n,r):bootstrapHandler(e,r);h.delegationSelector=o?n:null,h.callable=r,h.oneOff=s,h.uidEvent=E,c[E]=h,e.addEventListener(a,h,o)}function removeHandler(e,t,n,i,s){const o=findHandler(t[n],i,s);o&&(e.removeEventListener(n,o,Boolean(s)),delete t[n][o.uidEvent])}function removeNamespacedHandlers(e,t,n,i){const s=t[n]||{};for(const[o,r]of Object.entries(s))o.includes(i)&&removeHandler(e,t,n,r.callable,r.delegationSelector)}function getTypeEvent(e){return e=e.replace(stripNameRegex,""),customEvents[e]||e}const EventHandler={on(e,t,n,i){addHandler(e,t,n,i,!1)},one(e,t,n,i){addHandler(e,t,n,i,!0)},off(e,t,n,i){if("string"!=typeof t||!e)return;const[s,o,r]=normalizeParameters(t,n,i),a=r!==t,l=getElementEvents(e),c=l[r]||{},_=t.startsWith(".");if(void 0===o){if(_)for(const n of Object.keys(l))removeNamespacedHandlers(e,l,n,t.slice(1));for(const[n,i]of Object.entries(c)){const s=n.replace(stripUidRegex,"");a&&!t.includes(s)||removeHandler(e,l,r,i.callable,i.delegationSelector)}}else{if(!Object.keys(c).length)return;removeHandler(e,l,r,o,s?n:null)}},trigger(e,t,n){if("string"!=typeof t||!e)return null;const i=getjQuery();let s=null,o=!0,r=!0,a=!1;t!==getTypeEvent(t)&&i&&(s=i.Event(t,n),i(e).trigger(s),o=!s.isPropagationStopped(),r=!s.isImmediatePropagationStopped(),a=s.isDefaultPrevented());const l=hydrateObj(new Event(t,{bubbles:o,cancelable:!0}),n);return a&&l.preventDefault(),r&&e.dispatchEvent(l),l.defaultPrevented&&s&&s.preventDefault(),l}};function hydrateObj(e,t={}){for(const[n,i]of Object.entries(t))try{e[n]=i}catch(t){Object.defineProperty(e,n,{configurable:!0,get:()=>i})}return e}function normalizeData(e){if("true"===e)return!0;if("false"===e)return!1;if(e===Number(e).toString())return Number(e);if(""===e||"null"===e)return null;if("string"!=typeof e)return e;try{return JSON.parse(decodeURIComponent(e))}catch(t){return e}}function normalizeDataKey(e){return e.replace(/[A-Z]/g,(e=>`-${e.toLowerCase()}`))}const Manipulator={setDataAttribute(e,t,n){e.setAttribute(`data-bs-${normalizeDataKey(t)}`,n)},removeDataAttribute(e,t){e.removeAttribute(`data-bs-${normalizeDataKey(t)}`)},getDataAttributes(e){if(!e)return{};const t={},n=Object.keys(e.dataset).filter((e=>e.startsWith("bs")&&!e.startsWith("bsConfig")));for(const i of n){let n=i.replace(/^bs/,"");n=n.charAt(0).toLowerCase()+n.slice(1,n.length),t[n]=normalizeData(e.dataset[i])}return t},getDataAttribute:(e,t)=>normalizeData(e.getAttribute(`data-bs-${normalizeDataKey(t)}`))};class Config{static get Default(){return{}}static get DefaultType(){return{}}static get NAME(){throw new Error('You have to implement the static method "NAME", for each component!')}_getConfig(e){return e=this._mergeConfigObj(e),e=this._configAfterMerge(e),this._typeCheckConfig(e),e}_configAfterMerge(e){return e}_mergeConfigObj(e,t){const n=isElement(t)?Manipulator.getDataAttribute(t,"config"):{};return{...this.constructor.Default,..."object"==typeof n?n:{},...isElement(t)?Manipulator.getDataAttributes(t):{},..."object"==typeof e?e:{}}}_typeCheckConfig(e,t=this.constructor.DefaultType){for(const[n,i]of Object.entries(t)){const t=e[n],s=isElement(t)?"element":toType(t);if(!new RegExp(i).test(s))throw new TypeError(`${this.constructor.NAME.toUpperCase()}: Option "${n}" provided type "${s}" but expected type "${i}".`)}}}const VERSION="5.3.3";class BaseComponent extends Config{constructor(e,t){super(),(e=getElement(e))&&(this._element=e,this._config=this._getConfig(t),Data.set(this._element,this.constructor.DATA_KEY,this))}dispose(){Data.remove(this._element,this.constructor.DATA_KEY),EventHandler.off(this._element,this.constructor.EVENT_KEY);for(const e of Object.getOwnPropertyNames(this))this[e]=null}_queueCallback(e,t,n=!0){executeAfterTransition(e,t,n)}_getConfig(e){return e=this._mergeConfigObj(e,this._element),e=this._configAfterMerge(e),this._typeCheckConfig(e),e}static getInstance(e){return Data.get(getElement(e),this.DATA_KEY)}static getOrCreateInstance(e,t={}){return this.getInstance(e)||new this(e,"object"==typeof t?t:null)}static get VERSION(){return"5.3.3"}static get DATA_KEY(){return`bs.${this.NAME}`}static get EVENT_KEY(){return`.${this.DATA_KEY}`}static eventName(e){return`${e}${this.EVENT_KEY}`}}const getSelector=e=>{let t=e.getAttribute("data-bs-target");if(!t||"#"===t){let n=e.getAttribute("href");if(!n||!n.includes("#")&&!n.startsWith("."))return null;n.includes("#")&&!n.startsWith("#")&&(n=`#${n.split("#")[1]}`),t=n&&"#"!==n?n.trim():null}return t?t.split(",").map((e=>parseSelector(e))).join(","):null},SelectorEngine={find:(e,t=document.documentElement)=>[].concat(...Element.prototype.querySelectorAll.call(t,e)),findOne:(e,t=document.documentElement)=>Element.prototype.querySelector.call(t,e),children:(e,t)=>[].concat(...e.children).filter((e=>e.matches(t))),parents(e,t){const n=[];let i=e.parentNode.closest(t);for(;i;)n.push(i),i=i.parentNode.closest(t);return n},prev(e,t){let n=e.previousElementSibling;for(;n;){if(n.matches(t))return[n];n=n.previousElementSibling}return[]},next(e,t){let n=e.nextElementSibling;for(;n;){if(n.matches(t))return[n];n=n.nextElementSibling}return[]},focusableChildren(e){const t=["a","button","input","textarea","select","details","[tabindex]",'[contenteditable="true"]'].map((e=>`${e}:not([tabindex^="-"])`)).join(",");return this.find(t,e).filter((e=>!isDisabled(e)&&isVisible(e)))},getSelectorFromElement(e){const t=getSelector(e);return t&&SelectorEngine.findOne(t)?t:null},getElementFromSelector(e){const t=getSelector(e);return t?SelectorEngine.findOne(t):null},getMultipleElementsFromSelector(e){const t=getSelector(e);return t?SelectorEngine.find(t):[]}},enableDismissTrigger=(e,t="hide")=>{const n=`click.dismiss${e.EVENT_KEY}`,i=e.NAME;EventHandler.on(document,n,`[data-bs-dismiss="${i}"]`,(function(n){if(["A","AREA"].includes(this.tagName)&&n.preventDefault(),isDisabled(this))return;const s=SelectorEngine.getElementFromSelector(this)||this.closest(`.${i}`);e.getOrCreateInstance(s)[t]()}))},NAME$f="alert",DATA_KEY$a="bs.alert",EVENT_KEY$b=".bs.alert",EVENT_CLOSE="close.bs.alert",EVENT_CLOSED="closed.bs.alert",CLASS_NAME_FADE$5="fade",CLASS_NAME_SHOW$8="show";class Alert extends BaseComponent{static get NAME(){return NAME$f}close(){if(EventHandler.trigger(this._element,EVENT_CLOSE).defaultPrevented)return;this._element.classList.remove("show");const e=this._element.classList.contains("fade");this._queueCallback((()=>this._destroyElement()),this._element,e)}_destroyElement(){this._element.remove(),EventHandler.trigger(this._element,EVENT_CLOSED),this.dispose()}static jQueryInterface(e){return this.each((function(){const t=Alert.getOrCreateInstance(this);if("string"==typeof e){if(void 0===t[e]||e.startsWith("_")||"constructor"===e)throw new TypeError(`No method named "${e}"`);t[e](this)}}))}}enableDismissTrigger(Alert,"close"),defineJQueryPlugin(Alert);const NAME$e="button",DATA_KEY$9="bs.button",EVENT_KEY$a=`.${DATA_KEY$9}`,DATA_API_KEY$6=".data-api",CLASS_NAME_ACTIVE$3="active",SELECTOR_DATA_TOGGLE$5='[data-bs-toggle="button"]',EVENT_CLICK_DATA_API$6=`click${EVENT_KEY$a}.data-api`;class Button extends BaseComponent{static get NAME(){return NAME$e}toggle(){this._element.setAttribute("aria-pressed",this._element.classList.toggle("active"))}static jQueryInterface(e){return this.each((function(){const t=Button.getOrCreateInstance(this);"toggle"===e&&t[e]()}))}}EventHandler.on(document,EVENT_CLICK_DATA_API$6,SELECTOR_DATA_TOGGLE$5,(e=>{e.preventDefault();const t=e.target.closest(SELECTOR_DATA_TOGGLE$5);Button.getOrCreateInstance(t).toggle()})),defineJQueryPlugin(Button);const NAME$d="swipe",EVENT_KEY$9=".bs.swipe",EVENT_TOUCHSTART="touchstart.bs.swipe",EVENT_TOUCHMOVE="touchmove.bs.swipe",EVENT_TOUCHEND="touchend.bs.swipe",EVENT_POINTERDOWN="pointerdown.bs.swipe",EVENT_POINTERUP="pointerup.bs.swipe",POINTER_TYPE_TOUCH="touch",POINTER_TYPE_PEN="pen",CLASS_NAME_POINTER_EVENT="pointer-event",SWIPE_THRESHOLD=40,Default$c={endCallback:null,leftCallback:null,rightCallback:null},DefaultType$c={endCallback:"(function|null)",leftCallback:"(function|null)",rightCallback:"(function|null)"};class Swipe extends Config{constructor(e,t){super(),this._element=e,e&&Swipe.isSupported()&&(this._config=this._getConfig(t),this._deltaX=0,this._supportPointerEvents=Boolean(window.PointerEvent),this._initEvents())}static get Default(){return Default$c}static get DefaultType(){return DefaultType$c}static get NAME(){return NAME$d}dispose(){EventHandler.off(this._element,".bs.swipe")}_start(e){this._supportPointerEvents?this._eventIsPointerPenTouch(e)&&(this._deltaX=e.clientX):this._deltaX=e.touches[0].clientX}_end(e){this._eventIsPointerPenTouch(e)&&(this._deltaX=e.clientX-this._deltaX),this._handleSwipe(),execute(this._config.endCallback)}_move(e){this._deltaX=e.touches&&e.touches.length>1?0:e.touches[0].clientX-this._deltaX}_handleSwipe(){const e=Math.abs(this._deltaX);if(e<=40)return;const t=e/this._deltaX;this._deltaX=0,t&&execute(t>0?this._config.rightCallback:this._config.leftCallback)}_initEvents(){this._supportPointerEvents?(EventHandler.on(this._element,EVENT_POINTERDOWN,(e=>this._start(e))),EventHandler.on(this._element,EVENT_POINTERUP,(e=>this._end(e))),this._element.classList.add("pointer-event")):(EventHandler.on(this._element,EVENT_TOUCHSTART,(e=>this._start(e))),EventHandler.on(this._element,EVENT_TOUCHMOVE,(e=>this._move(e))),EventHandler.on(this._element,EVENT_TOUCHEND,(e=>this._end(e))))}_eventIsPointerPenTouch(e){return this._supportPointerEvents&&("pen"===e.pointerType||"touch"===e.pointerType)}static isSupported(){return"ontouchstart"in document.documentElement||navigator.maxTouchPoints>0}}const NAME$c="carousel",DATA_KEY$8="bs.carousel",EVENT_KEY$8=`.${DATA_KEY$8}`,DATA_API_KEY$5=".data-api",ARROW_LEFT_KEY$1="ArrowLeft",ARROW_RIGHT_KEY$1="ArrowRight",TOUCHEVENT_COMPAT_WAIT=500,ORDER_NEXT="next",ORDER_PREV="prev",DIRECTION_LEFT="left",DIRECTION_RIGHT="right",EVENT_SLIDE=`slide${EVENT_KEY$8}`,EVENT_SLID=`slid${EVENT_KEY$8}`,EVENT_KEYDOWN$1=`keydown${EVENT_KEY$8}`,EVENT_MOUSEENTER$1=`mouseenter${EVENT_KEY$8}`,EVENT_MOUSELEAVE$1=`mouseleave${EVENT_KEY$8}`,EVENT_DRAG_START=`dragstart${EVENT_KEY$8}`,EVENT_LOAD_DATA_API$3=`load${EVENT_KEY$8}.data-api`,EVENT_CLICK_DATA_API$5=`click${EVENT_KEY$8}.data-api`,CLASS_NAME_CAROUSEL="carousel",CLASS_NAME_ACTIVE$2="active",CLASS_NAME_SLIDE="slide",CLASS_NAME_END="carousel-item-end",CLASS_NAME_START="carousel-item-start",CLASS_NAME_NEXT="carousel-item-next",CLASS_NAME_PREV="carousel-item-prev",SELECTOR_ACTIVE=".active",SELECTOR_ITEM=".carousel-item",SELECTOR_ACTIVE_ITEM=".active.carousel-item",SELECTOR_ITEM_IMG=".carousel-item img",SELECTOR_INDICATORS=".carousel-indicators",SELECTOR_DATA_SLIDE="[data-bs-slide], [data-bs-slide-to]",SELECTOR_DATA_RIDE='[data-bs-ride="carousel"]',KEY_TO_DIRECTION={ArrowLeft:"right",ArrowRight:"left"},Default$b={interval:5e3,keyboard:!0,pause:"hover",ride:!1,touch:!0,wrap:!0},DefaultType$b={interval:"(number|boolean)",keyboard:"boolean",pause:"(string|boolean)",ride:"(boolean|string)",touch:"boolean",wrap:"boolean"};class Carousel extends BaseComponent{constructor(e,t){super(e,t),this._interval=null,this._activeElement=null,this._isSliding=!1,this.touchTimeout=null,this._swipeHelper=null,this._indicatorsElement=SelectorEngine.findOne(SELECTOR_INDICATORS,this._element),this._addEventListeners(),"carousel"===this._config.ride&&this.cycle()}static get Default(){return Default$b}static get DefaultType(){return DefaultType$b}static get NAME(){return NAME$c}next(){this._slide("next")}nextWhenVisible(){!document.hidden&&isVisible(this._element)&&this.next()}prev(){this._slide("prev")}pause(){this._isSliding&&triggerTransitionEnd(this._element),this._clearInterval()}cycle(){this._clearInterval(),this._updateInterval(),this._interval=setInterval((()=>this.nextWhenVisible()),this._config.interval)}_maybeEnableCycle(){this._config.ride&&(this._isSliding?EventHandler.one(this._element,EVENT_SLID,(()=>this.cycle())):this.cycle())}to(e){const t=this._getItems();if(e>t.length-1||e<0)return;if(this._isSliding)return void EventHandler.one(this._element,EVENT_SLID,(()=>this.to(e)));const n=this._getItemIndex(this._getActive());if(n===e)return;const i=e>n?"next":"prev";this._slide(i,t[e])}dispose(){this._swipeHelper&&this._swipeHelper.dispose(),super.dispose()}_configAfterMerge(e){return e.defaultInterval=e.interval,e}_addEventListeners(){this._config.keyboard&&EventHandler.on(this._element,EVENT_KEYDOWN$1,(e=>this._keydown(e))),"hover"===this._config.pause&&(EventHandler.on(this._element,EVENT_MOUSEENTER$1,(()=>this.pause())),EventHandler.on(this._element,EVENT_MOUSELEAVE$1,(()=>this._maybeEnableCycle()))),this._config.touch&&Swipe.isSupported()&&this._addTouchEventListeners()}_addTouchEventListeners(){for(const e of SelectorEngine.find(SELECTOR_ITEM_IMG,this._element))EventHandler.on(e,EVENT_DRAG_START,(e=>e.preventDefault()));const e={leftCallback:()=>this._slide(this._directionToOrder("left")),rightCallback:()=>this._slide(this._directionToOrder("right")),endCallback:()=>{"hover"===this._config.pause&&(this.pause(),this.touchTimeout&&clearTimeout(this.touchTimeout),this.touchTimeout=setTimeout((()=>this._maybeEnableCycle()),500+this._config.interval))}};this._swipeHelper=new Swipe(this._element,e)}_keydown(e){if(/input|textarea/i.test(e.target.tagName))return;const t=KEY_TO_DIRECTION[e.key];t&&(e.preventDefault(),this._slide(this._directionToOrder(t)))}_getItemIndex(e){return this._getItems().indexOf(e)}_setActiveIndicatorElement(e){if(!this._indicatorsElement)return;const t=SelectorEngine.findOne(".active",this._indicatorsElement);t.classList.remove("active"),t.removeAttribute("aria-current");const n=SelectorEngine.findOne(`[data-bs-slide-to="${e}"]`,this._indicatorsElement);n&&(n.classList.add("active"),n.setAttribute("aria-current","true"))}_updateInterval(){const e=this._activeElement||this._getActive();if(!e)return;const t=Number.parseInt(e.getAttribute("data-bs-interval"),10);this._config.interval=t||this._config.defaultInterval}_slide(e,t=null){if(this._isSliding)return;const n=this._getActive(),i="next"===e,s=t||getNextActiveElement(this._getItems(),n,i,this._config.wrap);if(s===n)return;const o=this._getItemIndex(s),r=t=>EventHandler.trigger(this._element,t,{relatedTarget:s,direction:this._orderToDirection(e),from:this._getItemIndex(n),to:o});if(r(EVENT_SLIDE).defaultPrevented)return;if(!n||!s)return;const a=Boolean(this._interval);this.pause(),this._isSliding=!0,this._setActiveIndicatorElement(o),this._activeElement=s;const l=i?CLASS_NAME_START:CLASS_NAME_END,c=i?CLASS_NAME_NEXT:CLASS_NAME_PREV;s.classList.add(c),reflow(s),n.classList.add(l),s.classList.add(l),this._queueCallback((()=>{s.classList.remove(l,c),s.classList.add("active"),n.classList.remove("active",c,l),this._isSliding=!1,r(EVENT_SLID)}),n,this._isAnimated()),a&&this.cycle()}_isAnimated(){return this._element.classList.contains("slide")}_getActive(){return SelectorEngine.findOne(SELECTOR_ACTIVE_ITEM,this._element)}_getItems(){return SelectorEngine.find(SELECTOR_ITEM,this._element)}_clearInterval(){this._interval&&(clearInterval(this._interval),this._interval=null)}_directionToOrder(e){return isRTL()?"left"===e?"prev":"next":"left"===e?"next":"prev"}_orderToDirection(e){return isRTL()?"prev"===e?"left":"right":"prev"===e?"right":"left"}static jQueryInterface(e){return this.each((function(){const t=Carousel.getOrCreateInstance(this,e);if("number"!=typeof e){if("string"==typeof e){if(void 0===t[e]||e.startsWith("_")||"constructor"===e)throw new TypeError(`No method named "${e}"`);t[e]()}}else t.to(e)}))}}EventHandler.on(document,EVENT_CLICK_DATA_API$5,SELECTOR_DATA_SLIDE,(function(e){const t=SelectorEngine.getElementFromSelector(this);if(!t||!t.classList.contains("carousel"))return;e.preventDefault();const n=Carousel.getOrCreateInstance(t),i=this.getAttribute("data-bs-slide-to");return i?(n.to(i),void n._maybeEnableCycle()):"next"===Manipulator.getDataAttribute(this,"slide")?(n.next(),void n._maybeEnableCycle()):(n.prev(),void n._maybeEnableCycle())})),EventHandler.on(window,EVENT_LOAD_DATA_API$3,(()=>{const e=SelectorEngine.find(SELECTOR_DATA_RIDE);for(const t of e)Carousel.getOrCreateInstance(t)})),defineJQueryPlugin(Carousel);const NAME$b="collapse",DATA_KEY$7="bs.collapse",EVENT_KEY$7=`.${DATA_KEY$7}`,DATA_API_KEY$4=".data-api",EVENT_SHOW$6=`show${EVENT_KEY$7}`,EVENT_SHOWN$6=`shown${EVENT_KEY$7}`,EVENT_HIDE$6=`hide${EVENT_KEY$7}`,EVENT_HIDDEN$6=`hidden${EVENT_KEY$7}`,EVENT_CLICK_DATA_API$4=`click${EVENT_KEY$7}.data-api`,CLASS_NAME_SHOW$7="show",CLASS_NAME_COLLAPSE="collapse",CLASS_NAME_COLLAPSING="collapsing",CLASS_NAME_COLLAPSED="collapsed",CLASS_NAME_DEEPER_CHILDREN=":scope .collapse .collapse",CLASS_NAME_HORIZONTAL="collapse-horizontal",WIDTH="width",HEIGHT="height",SELECTOR_ACTIVES=".collapse.show, .collapse.collapsing",SELECTOR_DATA_TOGGLE$4='[data-bs-toggle="collapse"]',Default$a={parent:null,toggle:!0},DefaultType$a={parent:"(null|element)",toggle:"boolean"};class Collapse extends BaseComponent{constructor(e,t){super(e,t),this._isTransitioning=!1,this._triggerArray=[];const n=SelectorEngine.find(SELECTOR_DATA_TOGGLE$4);for(const e of n){const t=SelectorEngine.getSelectorFromElement(e),n=SelectorEngine.find(t).filter((e=>e===this._element));null!==t&&n.length&&this._triggerArray.push(e)}this._initializeChildren(),this._config.parent||this._addAriaAndCollapsedClass(this._triggerArray,this._isShown()),this._config.toggle&&this.toggle()}static get Default(){return Default$a}static get DefaultType(){return DefaultType$a}static get NAME(){return NAME$b}toggle(){this._isShown()?this.hide():this.show()}show(){if(this._isTransitioning||this._isShown())return;let e=[];if(this._config.parent&&(e=this._getFirstLevelChildren(SELECTOR_ACTIVES).filter((e=>e!==this._element)).map((e=>Collapse.getOrCreateInstance(e,{toggle:!1})))),e.length&&e[0]._isTransitioning)return;if(EventHandler.trigger(this._element,EVENT_SHOW$6).defaultPrevented)return;for(const t of e)t.hide();const t=this._getDimension();this._element.classList.remove("collapse"),this._element.classList.add("collapsing"),this._element.style[t]=0,this._addAriaAndCollapsedClass(this._triggerArray,!0),this._isTransitioning=!0;const n=`scroll${t[0].toUpperCase()+t.slice(1)}`;this._queueCallback((()=>{this._isTransitioning=!1,this._element.classList.remove("collapsing"),this._element.classList.add("collapse","show"),this._element.style[t]="",EventHandler.trigger(this._element,EVENT_SHOWN$6)}),this._element,!0),this._element.style[t]=`${this._element[n]}px`}hide(){if(this._isTransitioning||!this._isShown())return;if(EventHandler.trigger(this._element,EVENT_HIDE$6).defaultPrevented)return;const e=this._getDimension();this._element.style[e]=`${this._element.getBoundingClientRect()[e]}px`,reflow(this._element),this._element.classList.add("collapsing"),this._element.classList.remove("collapse","show");for(const e of this._triggerArray){const t=SelectorEngine.getElementFromSelector(e);t&&!this._isShown(t)&&this._addAriaAndCollapsedClass([e],!1)}this._isTransitioning=!0,this._element.style[e]="",this._queueCallback((()=>{this._isTransitioning=!1,this._element.classList.remove("collapsing"),this._element.classList.add("collapse"),EventHandler.trigger(this._element,EVENT_HIDDEN$6)}),this._element,!0)}_isShown(e=this._element){return e.classList.contains("show")}_configAfterMerge(e){return e.toggle=Boolean(e.toggle),e.parent=getElement(e.parent),e}_getDimension(){return this._element.classList.contains("collapse-horizontal")?WIDTH:HEIGHT}_initializeChildren(){if(!this._config.parent)return;const e=this._getFirstLevelChildren(SELECTOR_DATA_TOGGLE$4);for(const t of e){const e=SelectorEngine.getElementFromSelector(t);e&&this._addAriaAndCollapsedClass([t],this._isShown(e))}}_getFirstLevelChildren(e){const t=SelectorEngine.find(CLASS_NAME_DEEPER_CHILDREN,this._config.parent);return SelectorEngine.find(e,this._config.parent).filter((e=>!t.includes(e)))}_addAriaAndCollapsedClass(e,t){if(e.length)for(const n of e)n.classList.toggle("collapsed",!t),n.setAttribute("aria-expanded",t)}static jQueryInterface(e){const t={};return"string"==typeof e&&/show|hide/.test(e)&&(t.toggle=!1),this.each((function(){const n=Collapse.getOrCreateInstance(this,t);if("string"==typeof e){if(void 0===n[e])throw new TypeError(`No method named "${e}"`);n[e]()}}))}}EventHandler.on(document,EVENT_CLICK_DATA_API$4,SELECTOR_DATA_TOGGLE$4,(function(e){("A"===e.target.tagName||e.delegateTarget&&"A"===e.delegateTarget.tagName)&&e.preventDefault();for(const e of SelectorEngine.getMultipleElementsFromSelector(this))Collapse.getOrCreateInstance(e,{toggle:!1}).toggle()})),defineJQueryPlugin(Collapse);const NAME$a="dropdown",DATA_KEY$6="bs.dropdown",EVENT_KEY$6=`.${DATA_KEY$6}`,DATA_API_KEY$3=".data-api",ESCAPE_KEY$2="Escape",TAB_KEY$1="Tab",ARROW_UP_KEY$1="ArrowUp",ARROW_DOWN_KEY$1="ArrowDown",RIGHT_MOUSE_BUTTON=2,EVENT_HIDE$5=`hide${EVENT_KEY$6}`,EVENT_HIDDEN$5=`hidden${EVENT_KEY$6}`,EVENT_SHOW$5=`show${EVENT_KEY$6}`,EVENT_SHOWN$5=`shown${EVENT_KEY$6}`,EVENT_CLICK_DATA_API$3=`click${EVENT_KEY$6}.data-api`,EVENT_KEYDOWN_DATA_API=`keydown${EVENT_KEY$6}.data-api`,EVENT_KEYUP_DATA_API=`keyup${EVENT_KEY$6}.data-api`,CLASS_NAME_SHOW$6="show",CLASS_NAME_DROPUP="dropup",CLASS_NAME_DROPEND="dropend",CLASS_NAME_DROPSTART="dropstart",CLASS_NAME_DROPUP_CENTER="dropup-center",CLASS_NAME_DROPDOWN_CENTER="dropdown-center",SELECTOR_DATA_TOGGLE$3='[data-bs-toggle="dropdown"]:not(.disabled):not(:disabled)',SELECTOR_DATA_TOGGLE_SHOWN=`${SELECTOR_DATA_TOGGLE$3}.show`,SELECTOR_MENU=".dropdown-menu",SELECTOR_NAVBAR=".navbar",SELECTOR_NAVBAR_NAV=".navbar-nav",SELECTOR_VISIBLE_ITEMS=".dropdown-menu .dropdown-item:not(.disabled):not(:disabled)",PLACEMENT_TOP=isRTL()?"top-end":"top-start",PLACEMENT_TOPEND=isRTL()?"top-start":"top-end",PLACEMENT_BOTTOM=isRTL()?"bottom-end":"bottom-start",PLACEMENT_BOTTOMEND=isRTL()?"bottom-start":"bottom-end",PLACEMENT_RIGHT=isRTL()?"left-start":"right-start",PLACEMENT_LEFT=isRTL()?"right-start":"left-start",PLACEMENT_TOPCENTER="top",PLACEMENT_BOTTOMCENTER="bottom",Default$9={autoClose:!0,boundary:"clippingParents",display:"dynamic",offset:[0,2],popperConfig:null,reference:"toggle"},DefaultType$9={autoClose:"(boolean|string)",boundary:"(string|element)",display:"string",offset:"(array|string|function)",popperConfig:"(null|object|function)",reference:"(string|element|object)"};class Dropdown extends BaseComponent{constructor(e,t){super(e,t),this._popper=null,this._parent=this._element.parentNode,this._menu=SelectorEngine.next(this._element,SELECTOR_MENU)[0]||SelectorEngine.prev(this._element,SELECTOR_MENU)[0]||SelectorEngine.findOne(SELECTOR_MENU,this._parent),this._inNavbar=this._detectNavbar()}static get Default(){return Default$9}static get DefaultType(){return DefaultType$9}static get NAME(){return NAME$a}toggle(){return this._isShown()?this.hide():this.show()}show(){if(isDisabled(this._element)||this._isShown())return;const e={relatedTarget:this._element};if(!EventHandler.trigger(this._element,EVENT_SHOW$5,e).defaultPrevented){if(this._createPopper(),"ontouchstart"in document.documentElement&&!this._parent.closest(".navbar-nav"))for(const e of[].concat(...document.body.children))EventHandler.on(e,"mouseover",noop);this._element.focus(),this._element.setAttribute("aria-expanded",!0),this._menu.classList.add("show"),this._element.classList.add("show"),EventHandler.trigger(this._element,EVENT_SHOWN$5,e)}}hide(){if(isDisabled(this._element)||!this._isShown())return;const e={relatedTarget:this._element};this._completeHide(e)}dispose(){this._popper&&this._popper.destroy(),super.dispose()}update(){this._inNavbar=this._detectNavbar(),this._popper&&this._popper.update()}_completeHide(e){if(!EventHandler.trigger(this._element,EVENT_HIDE$5,e).defaultPrevented){if("ontouchstart"in document.documentElement)for(const e of[].concat(...document.body.children))EventHandler.off(e,"mouseover",noop);this._popper&&this._popper.destroy(),this._menu.classList.remove("show"),this._element.classList.remove("show"),this._element.setAttribute("aria-expanded","false"),Manipulator.removeDataAttribute(this._menu,"popper"),EventHandler.trigger(this._element,EVENT_HIDDEN$5,e)}}_getConfig(e){if("object"==typeof(e=super._getConfig(e)).reference&&!isElement(e.reference)&&"function"!=typeof e.reference.getBoundingClientRect)throw new TypeError(`${NAME$a.toUpperCase()}: Option "reference" provided type "object" without a required "getBoundingClientRect" method.`);return e}_createPopper(){if(void 0===Popper)throw new TypeError("Bootstrap's dropdowns require Popper (https://popper.js.org)");let e=this._element;"parent"===this._config.reference?e=this._parent:isElement(this._config.reference)?e=getElement(this._config.reference):"object"==typeof this._config.reference&&(e=this._config.reference);const t=this._getPopperConfig();this._popper=Popper.createPopper(e,this._menu,t)}_isShown(){return this._menu.classList.contains("show")}_getPlacement(){const e=this._parent;if(e.classList.contains("dropend"))return PLACEMENT_RIGHT;if(e.classList.contains("dropstart"))return PLACEMENT_LEFT;if(e.classList.contains("dropup-center"))return"top";if(e.classList.contains("dropdown-center"))return"bottom";const t="end"===getComputedStyle(this._menu).getPropertyValue("--bs-position").trim();return e.classList.contains("dropup")?t?PLACEMENT_TOPEND:PLACEMENT_TOP:t?PLACEMENT_BOTTOMEND:PLACEMENT_BOTTOM}_detectNavbar(){return null!==this._element.closest(".navbar")}_getOffset(){const{offset:e}=this._config;return"string"==typeof e?e.split(",").map((e=>Number.parseInt(e,10))):"function"==typeof e?t=>e(t,this._element):e}_getPopperConfig(){const e={placement:this._getPlacement(),modifiers:[{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"offset",options:{offset:this._getOffset()}}]};return(this._inNavbar||"static"===this._config.display)&&(Manipulator.setDataAttribute(this._menu,"popper","static"),e.modifiers=[{name:"applyStyles",enabled:!1}]),{...e,...execute(this._config.popperConfig,[e])}}_selectMenuItem({key:e,target:t}){const n=SelectorEngine.find(SELECTOR_VISIBLE_ITEMS,this._menu).filter((e=>isVisible(e)));n.length&&getNextActiveElement(n,t,e===ARROW_DOWN_KEY$1,!n.includes(t)).focus()}static jQueryInterface(e){return this.each((function(){const t=Dropdown.getOrCreateInstance(this,e);if("string"==typeof e){if(void 0===t[e])throw new TypeError(`No method named "${e}"`);t[e]()}}))}static clearMenus(e){if(2===e.button||"keyup"===e.type&&"Tab"!==e.key)return;const t=SelectorEngine.find(SELECTOR_DATA_TOGGLE_SHOWN);for(const n of t){const t=Dropdown.getInstance(n);if(!t||!1===t._config.autoClose)continue;const i=e.composedPath(),s=i.includes(t._menu);if(i.includes(t._element)||"inside"===t._config.autoClose&&!s||"outside"===t._config.autoClose&&s)continue;if(t._menu.contains(e.target)&&("keyup"===e.type&&"Tab"===e.key||/input|select|option|textarea|form/i.test(e.target.tagName)))continue;const o={relatedTarget:t._element};"click"===e.type&&(o.clickEvent=e),t._completeHide(o)}}static dataApiKeydownHandler(e){const t=/input|textarea/i.test(e.target.tagName),n="Escape"===e.key,i=[ARROW_UP_KEY$1,ARROW_DOWN_KEY$1].includes(e.key);if(!i&&!n)return;if(t&&!n)return;e.preventDefault();const s=this.matches(SELECTOR_DATA_TOGGLE$3)?this:SelectorEngine.prev(this,SELECTOR_DATA_TOGGLE$3)[0]||SelectorEngine.next(this,SELECTOR_DATA_TOGGLE$3)[0]||SelectorEngine.findOne(SELECTOR_DATA_TOGGLE$3,e.delegateTarget.parentNode),o=Dropdown.getOrCreateInstance(s);if(i)return e.stopPropagation(),o.show(),void o._selectMenuItem(e);o._isShown()&&(e.stopPropagation(),o.hide(),s.focus())}}EventHandler.on(document,EVENT_KEYDOWN_DATA_API,SELECTOR_DATA_TOGGLE$3,Dropdown.dataApiKeydownHandler),EventHandler.on(document,EVENT_KEYDOWN_DATA_API,SELECTOR_MENU,Dropdown.dataApiKeydownHandler),EventHandler.on(document,EVENT_CLICK_DATA_API$3,Dropdown.clearMenus),EventHandler.on(document,EVENT_KEYUP_DATA_API,Dropdown.clearMenus),EventHandler.on(document,EVENT_CLICK_DATA_API$3,SELECTOR_DATA_TOGGLE$3,(function(e){e.preventDefault(),Dropdown.getOrCreateInstance(this).toggle()})),defineJQueryPlugin(Dropdown);const NAME$9="backdrop",CLASS_NAME_FADE$4="fade",CLASS_NAME_SHOW$5="show",EVENT_MOUSEDOWN=`mousedown.bs.${NAME$9}`,Default$8={className:"modal-backdrop",clickCallback:null,isAnimated:!1,isVisible:!0,rootElement:"body"},DefaultType$8={className:"string",clickCallback:"(function|null)",isAnimated:"boolean",isVisible:"boolean",rootElement:"(element|string)"};class Backdrop extends Config{constructor(e){super(),this._config=this._getConfig(e),this._isAppended=!1,this._element=null}static get Default(){return Default$8}static get DefaultType(){return DefaultType$8}static get NAME(){return NAME$9}show(e){if(!this._config.isVisible)return void execute(e);this._append();const t=this._getElement();this._config.isAnimated&&reflow(t),t.classList.add("show"),this._emulateAnimation((()=>{execute(e)}))}hide(e){this._config.isVisible?(this._getElement().classList.remove("show"),this._emulateAnimation((()=>{this.dispose(),execute(e)}))):execute(e)}dispose(){this._isAppended&&(EventHandler.off(this._element,EVENT_MOUSEDOWN),this._element.remove(),this._isAppended=!1)}_getElement(){if(!this._element){const e=document.createElement("div");e.className=this._config.className,this._config.isAnimated&&e.classList.add("fade"),this._element=e}return this._element}_configAfterMerge(e){return e.rootElement=getElement(e.rootElement),e}_append(){if(this._isAppended)return;const e=this._getElement();this._config.rootElement.append(e),EventHandler.on(e,EVENT_MOUSEDOWN,(()=>{execute(this._config.clickCallback)})),this._isAppended=!0}_emulateAnimation(e){executeAfterTransition(e,this._getElement(),this._config.isAnimated)}}const NAME$8="focustrap",DATA_KEY$5="bs.focustrap",EVENT_KEY$5=`.${DATA_KEY$5}`,EVENT_FOCUSIN$2=`focusin${EVENT_KEY$5}`,EVENT_KEYDOWN_TAB=`keydown.tab${EVENT_KEY$5}`,TAB_KEY="Tab",TAB_NAV_FORWARD="forward",TAB_NAV_BACKWARD="backward",Default$7={autofocus:!0,trapElement:null},DefaultType$7={autofocus:"boolean",trapElement:"element"};class FocusTrap extends Config{constructor(e){super(),this._config=this._getConfig(e),this._isActive=!1,this._lastTabNavDirection=null}static get Default(){return Default$7}static get DefaultType(){return DefaultType$7}static get NAME(){return NAME$8}activate(){this._isActive||(this._config.autofocus&&this._config.trapElement.focus(),EventHandler.off(document,EVENT_KEY$5),EventHandler.on(document,EVENT_FOCUSIN$2,(e=>this._handleFocusin(e))),EventHandler.on(document,EVENT_KEYDOWN_TAB,(e=>this._handleKeydown(e))),this._isActive=!0)}deactivate(){this._isActive&&(this._isActive=!1,EventHandler.off(document,EVENT_KEY$5))}_handleFocusin(e){const{trapElement:t}=this._config;if(e.target===document||e.target===t||t.contains(e.target))return;const n=SelectorEngine.focusableChildren(t);0===n.length?t.focus():"backward"===this._lastTabNavDirection?n[n.length-1].focus():n[0].focus()}_handleKeydown(e){"Tab"===e.key&&(this._lastTabNavDirection=e.shiftKey?"backward":"forward")}}const SELECTOR_FIXED_CONTENT=".fixed-top, .fixed-bottom, .is-fixed, .sticky-top",SELECTOR_STICKY_CONTENT=".sticky-top",PROPERTY_PADDING="padding-right",PROPERTY_MARGIN="margin-right";class ScrollBarHelper{constructor(){this._element=document.body}getWidth(){const e=document.documentElement.clientWidth;return Math.abs(window.innerWidth-e)}hide(){const e=this.getWidth();this._disableOverFlow(),this._setElementAttributes(this._element,"padding-right",(t=>t+e)),this._setElementAttributes(SELECTOR_FIXED_CONTENT,"padding-right",(t=>t+e)),this._setElementAttributes(".sticky-top","margin-right",(t=>t-e))}reset(){this._resetElementAttributes(this._element,"overflow"),this._resetElementAttributes(this._element,"padding-right"),this._resetElementAttributes(SELECTOR_FIXED_CONTENT,"padding-right"),this._resetElementAttributes(".sticky-top","margin-right")}isOverflowing(){return this.getWidth()>0}_disableOverFlow(){this._saveInitialAttribute(this._element,"overflow"),this._element.style.overflow="hidden"}_setElementAttributes(e,t,n){const i=this.getWidth();this._applyManipulationCallback(e,(e=>{if(e!==this._element&&window.innerWidth>e.clientWidth+i)return;this._saveInitialAttribute(e,t);const s=window.getComputedStyle(e).getPropertyValue(t);e.style.setProperty(t,`${n(Number.parseFloat(s))}px`)}))}_saveInitialAttribute(e,t){const n=e.style.getPropertyValue(t);n&&Manipulator.setDataAttribute(e,t,n)}_resetElementAttributes(e,t){this._applyManipulationCallback(e,(e=>{const n=Manipulator.getDataAttribute(e,t);null!==n?(Manipulator.removeDataAttribute(e,t),e.style.setProperty(t,n)):e.style.removeProperty(t)}))}_applyManipulationCallback(e,t){if(isElement(e))t(e);else for(const n of SelectorEngine.find(e,this._element))t(n)}}const NAME$7="modal",DATA_KEY$4="bs.modal",EVENT_KEY$4=".bs.modal",DATA_API_KEY$2=".data-api",ESCAPE_KEY$1="Escape",EVENT_HIDE$4="hide.bs.modal",EVENT_HIDE_PREVENTED$1="hidePrevented.bs.modal",EVENT_HIDDEN$4="hidden.bs.modal",EVENT_SHOW$4="show.bs.modal",EVENT_SHOWN$4="shown.bs.modal",EVENT_RESIZE$1="resize.bs.modal",EVENT_CLICK_DISMISS="click.dismiss.bs.modal",EVENT_MOUSEDOWN_DISMISS="mousedown.dismiss.bs.modal",EVENT_KEYDOWN_DISMISS$1="keydown.dismiss.bs.modal",EVENT_CLICK_DATA_API$2="click.bs.modal.data-api",CLASS_NAME_OPEN="modal-open",CLASS_NAME_FADE$3="fade",CLASS_NAME_SHOW$4="show",CLASS_NAME_STATIC="modal-static",OPEN_SELECTOR$1=".modal.show",SELECTOR_DIALOG=".modal-dialog",SELECTOR_MODAL_BODY=".modal-body",SELECTOR_DATA_TOGGLE$2='[data-bs-toggle="modal"]',Default$6={backdrop:!0,focus:!0,keyboard:!0},DefaultType$6={backdrop:"(boolean|string)",focus:"boolean",keyboard:"boolean"};class Modal extends BaseComponent{constructor(e,t){super(e,t),this._dialog=SelectorEngine.findOne(".modal-dialog",this._element),this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._isShown=!1,this._isTransitioning=!1,this._scrollBar=new ScrollBarHelper,this._addEventListeners()}static get Default(){return Default$6}static get DefaultType(){return DefaultType$6}static get NAME(){return NAME$7}toggle(e){return this._isShown?this.hide():this.show(e)}show(e){this._isShown||this._isTransitioning||EventHandler.trigger(this._element,EVENT_SHOW$4,{relatedTarget:e}).defaultPrevented||(this._isShown=!0,this._isTransitioning=!0,this._scrollBar.hide(),document.body.classList.add("modal-open"),this._adjustDialog(),this._backdrop.show((()=>this._showElement(e))))}hide(){this._isShown&&!this._isTransitioning&&(EventHandler.trigger(this._element,EVENT_HIDE$4).defaultPrevented||(this._isShown=!1,this._isTransitioning=!0,this._focustrap.deactivate(),this._element.classList.remove("show"),this._queueCallback((()=>this._hideModal()),this._element,this._isAnimated())))}dispose(){EventHandler.off(window,".bs.modal"),EventHandler.off(this._dialog,".bs.modal"),this._backdrop.dispose(),this._focustrap.deactivate(),super.dispose()}handleUpdate(){this._adjustDialog()}_initializeBackDrop(){return new Backdrop({isVisible:Boolean(this._config.backdrop),isAnimated:this._isAnimated()})}_initializeFocusTrap(){return new FocusTrap({trapElement:this._element})}_showElement(e){document.body.contains(this._element)||document.body.append(this._element),this._element.style.display="block",this._element.removeAttribute("aria-hidden"),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.scrollTop=0;const t=SelectorEngine.findOne(".modal-body",this._dialog);t&&(t.scrollTop=0),reflow(this._element),this._element.classList.add("show"),this._queueCallback((()=>{this._config.focus&&this._focustrap.activate(),this._isTransitioning=!1,EventHandler.trigger(this._element,EVENT_SHOWN$4,{relatedTarget:e})}),this._dialog,this._isAnimated())}_addEventListeners(){EventHandler.on(this._element,EVENT_KEYDOWN_DISMISS$1,(e=>{"Escape"===e.key&&(this._config.keyboard?this.hide():this._triggerBackdropTransition())})),EventHandler.on(window,EVENT_RESIZE$1,(()=>{this._isShown&&!this._isTransitioning&&this._adjustDialog()})),EventHandler.on(this._element,EVENT_MOUSEDOWN_DISMISS,(e=>{EventHandler.one(this._element,EVENT_CLICK_DISMISS,(t=>{this._element===e.target&&this._element===t.target&&("static"!==this._config.backdrop?this._config.backdrop&&this.hide():this._triggerBackdropTransition())}))}))}_hideModal(){this._element.style.display="none",this._element.setAttribute("aria-hidden",!0),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._isTransitioning=!1,this._backdrop.hide((()=>{document.body.classList.remove("modal-open"),this._resetAdjustments(),this._scrollBar.reset(),EventHandler.trigger(this._element,EVENT_HIDDEN$4)}))}_isAnimated(){return this._element.classList.contains("fade")}_triggerBackdropTransition(){if(EventHandler.trigger(this._element,EVENT_HIDE_PREVENTED$1).defaultPrevented)return;const e=this._element.scrollHeight>document.documentElement.clientHeight,t=this._element.style.overflowY;"hidden"===t||this._element.classList.contains("modal-static")||(e||(this._element.style.overflowY="hidden"),this._element.classList.add("modal-static"),this._queueCallback((()=>{this._element.classList.remove("modal-static"),this._queueCallback((()=>{this._element.style.overflowY=t}),this._dialog)}),this._dialog),this._element.focus())}_adjustDialog(){const e=this._element.scrollHeight>document.documentElement.clientHeight,t=this._scrollBar.getWidth(),n=t>0;if(n&&!e){const e=isRTL()?"paddingLeft":"paddingRight";this._element.style[e]=`${t}px`}if(!n&&e){const e=isRTL()?"paddingRight":"paddingLeft";this._element.style[e]=`${t}px`}}_resetAdjustments(){this._element.style.paddingLeft="",this._element.style.paddingRight=""}static jQueryInterface(e,t){return this.each((function(){const n=Modal.getOrCreateInstance(this,e);if("string"==typeof e){if(void 0===n[e])throw new TypeError(`No method named "${e}"`);n[e](t)}}))}}EventHandler.on(document,EVENT_CLICK_DATA_API$2,SELECTOR_DATA_TOGGLE$2,(function(e){const t=SelectorEngine.getElementFromSelector(this);["A","AREA"].includes(this.tagName)&&e.preventDefault(),EventHandler.one(t,EVENT_SHOW$4,(e=>{e.defaultPrevented||EventHandler.one(t,EVENT_HIDDEN$4,(()=>{isVisible(this)&&this.focus()}))}));const n=SelectorEngine.findOne(".modal.show");n&&Modal.getInstance(n).hide(),Modal.getOrCreateInstance(t).toggle(this)})),enableDismissTrigger(Modal),defineJQueryPlugin(Modal);const NAME$6="offcanvas",DATA_KEY$3="bs.offcanvas",EVENT_KEY$3=`.${DATA_KEY$3}`,DATA_API_KEY$1=".data-api",EVENT_LOAD_DATA_API$2=`load${EVENT_KEY$3}.data-api`,ESCAPE_KEY="Escape",CLASS_NAME_SHOW$3="show",CLASS_NAME_SHOWING$1="showing",CLASS_NAME_HIDING="hiding",CLASS_NAME_BACKDROP="offcanvas-backdrop",OPEN_SELECTOR=".offcanvas.show",EVENT_SHOW$3=`show${EVENT_KEY$3}`,EVENT_SHOWN$3=`shown${EVENT_KEY$3}`,EVENT_HIDE$3=`hide${EVENT_KEY$3}`,EVENT_HIDE_PREVENTED=`hidePrevented${EVENT_KEY$3}`,EVENT_HIDDEN$3=`hidden${EVENT_KEY$3}`,EVENT_RESIZE=`resize${EVENT_KEY$3}`,EVENT_CLICK_DATA_API$1=`click${EVENT_KEY$3}.data-api`,EVENT_KEYDOWN_DISMISS=`keydown.dismiss${EVENT_KEY$3}`,SELECTOR_DATA_TOGGLE$1='[data-bs-toggle="offcanvas"]',Default$5={backdrop:!0,keyboard:!0,scroll:!1},DefaultType$5={backdrop:"(boolean|string)",keyboard:"boolean",scroll:"boolean"};class Offcanvas extends BaseComponent{constructor(e,t){super(e,t),this._isShown=!1,this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._addEventListeners()}static get Default(){return Default$5}static get DefaultType(){return DefaultType$5}static get NAME(){return NAME$6}toggle(e){return this._isShown?this.hide():this.show(e)}show(e){this._isShown||EventHandler.trigger(this._element,EVENT_SHOW$3,{relatedTarget:e}).defaultPrevented||(this._isShown=!0,this._backdrop.show(),this._config.scroll||(new ScrollBarHelper).hide(),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.classList.add("showing"),this._queueCallback((()=>{this._config.scroll&&!this._config.backdrop||this._focustrap.activate(),this._element.classList.add("show"),this._element.classList.remove("showing"),EventHandler.trigger(this._element,EVENT_SHOWN$3,{relatedTarget:e})}),this._element,!0))}hide(){this._isShown&&(EventHandler.trigger(this._element,EVENT_HIDE$3).defaultPrevented||(this._focustrap.deactivate(),this._element.blur(),this._isShown=!1,this._element.classList.add("hiding"),this._backdrop.hide(),this._queueCallback((()=>{this._element.classList.remove("show","hiding"),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._config.scroll||(new ScrollBarHelper).reset(),EventHandler.trigger(this._element,EVENT_HIDDEN$3)}),this._element,!0)))}dispose(){this._backdrop.dispose(),this._focustrap.deactivate(),super.dispose()}_initializeBackDrop(){const e=Boolean(this._config.backdrop);return new Backdrop({className:CLASS_NAME_BACKDROP,isVisible:e,isAnimated:!0,rootElement:this._element.parentNode,clickCallback:e?()=>{"static"!==this._config.backdrop?this.hide():EventHandler.trigger(this._element,EVENT_HIDE_PREVENTED)}:null})}_initializeFocusTrap(){return new FocusTrap({trapElement:this._element})}_addEventListeners(){EventHandler.on(this._element,EVENT_KEYDOWN_DISMISS,(e=>{"Escape"===e.key&&(this._config.keyboard?this.hide():EventHandler.trigger(this._element,EVENT_HIDE_PREVENTED))}))}static jQueryInterface(e){return this.each((function(){const t=Offcanvas.getOrCreateInstance(this,e);if("string"==typeof e){if(void 0===t[e]||e.startsWith("_")||"constructor"===e)throw new TypeError(`No method named "${e}"`);t[e](this)}}))}}EventHandler.on(document,EVENT_CLICK_DATA_API$1,SELECTOR_DATA_TOGGLE$1,(function(e){const t=SelectorEngine.getElementFromSelector(this);if(["A","AREA"].includes(this.tagName)&&e.preventDefault(),isDisabled(this))return;EventHandler.one(t,EVENT_HIDDEN$3,(()=>{isVisible(this)&&this.focus()}));const n=SelectorEngine.findOne(OPEN_SELECTOR);n&&n!==t&&Offcanvas.getInstance(n).hide(),Offcanvas.getOrCreateInstance(t).toggle(this)})),EventHandler.on(window,EVENT_LOAD_DATA_API$2,(()=>{for(const e of SelectorEngine.find(OPEN_SELECTOR))Offcanvas.getOrCreateInstance(e).show()})),EventHandler.on(window,EVENT_RESIZE,(()=>{for(const e of SelectorEngine.find("[aria-modal][class*=show][class*=offcanvas-]"))"fixed"!==getComputedStyle(e).position&&Offcanvas.getOrCreateInstance(e).hide()})),enableDismissTrigger(Offcanvas),defineJQueryPlugin(Offcanvas);const ARIA_ATTRIBUTE_PATTERN=/^aria-[\w-]*$/i,DefaultAllowlist={"*":["class","dir","id","lang","role",ARIA_ATTRIBUTE_PATTERN],a:["target","href","title","rel"],area:[],b:[],br:[],col:[],code:[],dd:[],div:[],dl:[],dt:[],em:[],hr:[],h1:[],h2:[],h3:[],h4:[],h5:[],h6:[],i:[],img:["src","srcset","alt","title","width","height"],li:[],ol:[],p:[],pre:[],s:[],small:[],span:[],sub:[],sup:[],strong:[],u:[],ul:[]},uriAttributes=new Set(["background","cite","href","itemtype","longdesc","poster","src","xlink:href"]),SAFE_URL_PATTERN=/^(?!javascript:)(?:[a-z0-9+.-]+:|[^&:/?#]*(?:[/?#]|$))/i,allowedAttribute=(e,t)=>{const n=e.nodeName.toLowerCase();return t.includes(n)?!uriAttributes.has(n)||Boolean(SAFE_URL_PATTERN.test(e.nodeValue)):t.filter((e=>e instanceof RegExp)).some((e=>e.test(n)))};function sanitizeHtml(e,t,n){if(!e.length)return e;if(n&&"function"==typeof n)return n(e);const i=(new window.DOMParser).parseFromString(e,"text/html"),s=[].concat(...i.body.querySelectorAll("*"));for(const e of s){const n=e.nodeName.toLowerCase();if(!Object.keys(t).includes(n)){e.remove();continue}const i=[].concat(...e.attributes),s=[].concat(t["*"]||[],t[n]||[]);for(const t of i)allowedAttribute(t,s)||e.removeAttribute(t.nodeName)}return i.body.innerHTML}const NAME$5="TemplateFactory",Default$4={allowList:DefaultAllowlist,content:{},extraClass:"",html:!1,sanitize:!0,sanitizeFn:null,template:"<div></div>"},DefaultType$4={allowList:"object",content:"object",extraClass:"(string|function)",html:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},DefaultContentType={entry:"(string|element|function|null)",selector:"(string|element)"};class TemplateFactory extends Config{constructor(e){super(),this._config=this._getConfig(e)}static get Default(){return Default$4}static get DefaultType(){return DefaultType$4}static get NAME(){return NAME$5}getContent(){return Object.values(this._config.content).map((e=>this._resolvePossibleFunction(e))).filter(Boolean)}hasContent(){return this.getContent().length>0}changeContent(e){return this._checkContent(e),this._config.content={...this._config.content,...e},this}toHtml(){const e=document.createElement("div");e.innerHTML=this._maybeSanitize(this._config.template);for(const[t,n]of Object.entries(this._config.content))this._setContent(e,n,t);const t=e.children[0],n=this._resolvePossibleFunction(this._config.extraClass);return n&&t.classList.add(...n.split(" ")),t}_typeCheckConfig(e){super._typeCheckConfig(e),this._checkContent(e.content)}_checkContent(e){for(const[t,n]of Object.entries(e))super._typeCheckConfig({selector:t,entry:n},DefaultContentType)}_setContent(e,t,n){const i=SelectorEngine.findOne(n,e);i&&((t=this._resolvePossibleFunction(t))?isElement(t)?this._putElementInTemplate(getElement(t),i):this._config.html?i.innerHTML=this._maybeSanitize(t):i.textContent=t:i.remove())}_maybeSanitize(e){return this._config.sanitize?sanitizeHtml(e,this._config.allowList,this._config.sanitizeFn):e}_resolvePossibleFunction(e){return execute(e,[this])}_putElementInTemplate(e,t){if(this._config.html)return t.innerHTML="",void t.append(e);t.textContent=e.textContent}}const NAME$4="tooltip",DISALLOWED_ATTRIBUTES=new Set(["sanitize","allowList","sanitizeFn"]),CLASS_NAME_FADE$2="fade",CLASS_NAME_MODAL="modal",CLASS_NAME_SHOW$2="show",SELECTOR_TOOLTIP_INNER=".tooltip-inner",SELECTOR_MODAL=".modal",EVENT_MODAL_HIDE="hide.bs.modal",TRIGGER_HOVER="hover",TRIGGER_FOCUS="focus",TRIGGER_CLICK="click",TRIGGER_MANUAL="manual",EVENT_HIDE$2="hide",EVENT_HIDDEN$2="hidden",EVENT_SHOW$2="show",EVENT_SHOWN$2="shown",EVENT_INSERTED="inserted",EVENT_CLICK$1="click",EVENT_FOCUSIN$1="focusin",EVENT_FOCUSOUT$1="focusout",EVENT_MOUSEENTER="mouseenter",EVENT_MOUSELEAVE="mouseleave",AttachmentMap={AUTO:"auto",TOP:"top",RIGHT:isRTL()?"left":"right",BOTTOM:"bottom",LEFT:isRTL()?"right":"left"},Default$3={allowList:DefaultAllowlist,animation:!0,boundary:"clippingParents",container:!1,customClass:"",delay:0,fallbackPlacements:["top","right","bottom","left"],html:!1,offset:[0,6],placement:"top",popperConfig:null,sanitize:!0,sanitizeFn:null,selector:!1,template:'<div class="tooltip" role="tooltip"><div class="tooltip-arrow"></div><div class="tooltip-inner"></div></div>',title:"",trigger:"hover focus"},DefaultType$3={allowList:"object",animation:"boolean",boundary:"(string|element)",container:"(string|element|boolean)",customClass:"(string|function)",delay:"(number|object)",fallbackPlacements:"array",html:"boolean",offset:"(array|string|function)",placement:"(string|function)",popperConfig:"(null|object|function)",sanitize:"boolean",sanitizeFn:"(null|function)",selector:"(string|boolean)",template:"string",title:"(string|element|function)",trigger:"string"};class Tooltip extends BaseComponent{constructor(e,t){if(void 0===Popper)throw new TypeError("Bootstrap's tooltips require Popper (https://popper.js.org)");super(e,t),this._isEnabled=!0,this._timeout=0,this._isHovered=null,this._activeTrigger={},this._popper=null,this._templateFactory=null,this._newContent=null,this.tip=null,this._setListeners(),this._config.selector||this._fixTitle()}static get Default(){return Default$3}static get DefaultType(){return DefaultType$3}static get NAME(){return NAME$4}enable(){this._isEnabled=!0}disable(){this._isEnabled=!1}toggleEnabled(){this._isEnabled=!this._isEnabled}toggle(){this._isEnabled&&(this._activeTrigger.click=!this._activeTrigger.click,this._isShown()?this._leave():this._enter())}dispose(){clearTimeout(this._timeout),EventHandler.off(this._element.closest(".modal"),"hide.bs.modal",this._hideModalHandler),this._element.getAttribute("data-bs-original-title")&&this._element.setAttribute("title",this._element.getAttribute("data-bs-original-title")),this._disposePopper(),super.dispose()}show(){if("none"===this._element.style.display)throw new Error("Please use show on visible elements");if(!this._isWithContent()||!this._isEnabled)return;const e=EventHandler.trigger(this._element,this.constructor.eventName("show")),t=(findShadowRoot(this._element)||this._element.ownerDocument.documentElement).contains(this._element);if(e.defaultPrevented||!t)return;this._disposePopper();const n=this._getTipElement();this._element.setAttribute("aria-describedby",n.getAttribute("id"));const{container:i}=this._config;if(this._element.ownerDocument.documentElement.contains(this.tip)||(i.append(n),EventHandler.trigger(this._element,this.constructor.eventName("inserted"))),this._popper=this._createPopper(n),n.classList.add("show"),"ontouchstart"in document.documentElement)for(const e of[].concat(...document.body.children))EventHandler.on(e,"mouseover",noop);this._queueCallback((()=>{EventHandler.trigger(this._element,this.constructor.eventName("shown")),!1===this._isHovered&&this._leave(),this._isHovered=!1}),this.tip,this._isAnimated())}hide(){if(this._isShown()&&!EventHandler.trigger(this._element,this.constructor.eventName("hide")).defaultPrevented){if(this._getTipElement().classList.remove("show"),"ontouchstart"in document.documentElement)for(const e of[].concat(...document.body.children))EventHandler.off(e,"mouseover",noop);this._activeTrigger.click=!1,this._activeTrigger.focus=!1,this._activeTrigger.hover=!1,this._isHovered=null,this._queueCallback((()=>{this._isWithActiveTrigger()||(this._isHovered||this._disposePopper(),this._element.removeAttribute("aria-describedby"),EventHandler.trigger(this._element,this.constructor.eventName("hidden")))}),this.tip,this._isAnimated())}}update(){this._popper&&this._popper.update()}_isWithContent(){return Boolean(this._getTitle())}_getTipElement(){return this.tip||(this.tip=this._createTipElement(this._newContent||this._getContentForTemplate())),this.tip}_createTipElement(e){const t=this._getTemplateFactory(e).toHtml();if(!t)return null;t.classList.remove("fade","show"),t.classList.add(`bs-${this.constructor.NAME}-auto`);const n=getUID(this.constructor.NAME).toString();return t.setAttribute("id",n),this._isAnimated()&&t.classList.add("fade"),t}setContent(e){this._newContent=e,this._isShown()&&(this._disposePopper(),this.show())}_getTemplateFactory(e){return this._templateFactory?this._templateFactory.changeContent(e):this._templateFactory=new TemplateFactory({...this._config,content:e,extraClass:this._resolvePossibleFunction(this._config.customClass)}),this._templateFactory}_getContentForTemplate(){return{".tooltip-inner":this._getTitle()}}_getTitle(){return this._resolvePossibleFunction(this._config.title)||this._element.getAttribute("data-bs-original-title")}_initializeOnDelegatedTarget(e){return this.constructor.getOrCreateInstance(e.delegateTarget,this._getDelegateConfig())}_isAnimated(){return this._config.animation||this.tip&&this.tip.classList.contains("fade")}_isShown(){return this.tip&&this.tip.classList.contains("show")}_createPopper(e){const t=execute(this._config.placement,[this,e,this._element]),n=AttachmentMap[t.toUpperCase()];return Popper.createPopper(this._element,e,this._getPopperConfig(n))}_getOffset(){const{offset:e}=this._config;return"string"==typeof e?e.split(",").map((e=>Number.parseInt(e,10))):"function"==typeof e?t=>e(t,this._element):e}_resolvePossibleFunction(e){return execute(e,[this._element])}_getPopperConfig(e){const t={placement:e,modifiers:[{name:"flip",options:{fallbackPlacements:this._config.fallbackPlacements}},{name:"offset",options:{offset:this._getOffset()}},{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"arrow",options:{element:`.${this.constructor.NAME}-arrow`}},{name:"preSetPlacement",enabled:!0,phase:"beforeMain",fn:e=>{this._getTipElement().setAttribute("data-popper-placement",e.state.placement)}}]};return{...t,...execute(this._config.popperConfig,[t])}}_setListeners(){const e=this._config.trigger.split(" ");for(const t of e)if("click"===t)EventHandler.on(this._element,this.constructor.eventName("click"),this._config.selector,(e=>{this._initializeOnDelegatedTarget(e).toggle()}));else if("manual"!==t){const e="hover"===t?this.constructor.eventName("mouseenter"):this.constructor.eventName("focusin"),n="hover"===t?this.constructor.eventName("mouseleave"):this.constructor.eventName("focusout");EventHandler.on(this._element,e,this._config.selector,(e=>{const t=this._initializeOnDelegatedTarget(e);t._activeTrigger["focusin"===e.type?"focus":"hover"]=!0,t._enter()})),EventHandler.on(this._element,n,this._config.selector,(e=>{const t=this._initializeOnDelegatedTarget(e);t._activeTrigger["focusout"===e.type?"focus":"hover"]=t._element.contains(e.relatedTarget),t._leave()}))}this._hideModalHandler=()=>{this._element&&this.hide()},EventHandler.on(this._element.closest(".modal"),"hide.bs.modal",this._hideModalHandler)}_fixTitle(){const e=this._element.getAttribute("title");e&&(this._element.getAttribute("aria-label")||this._element.textContent.trim()||this._element.setAttribute("aria-label",e),this._element.setAttribute("data-bs-original-title",e),this._element.removeAttribute("title"))}_enter(){this._isShown()||this._isHovered?this._isHovered=!0:(this._isHovered=!0,this._setTimeout((()=>{this._isHovered&&this.show()}),this._config.delay.show))}_leave(){this._isWithActiveTrigger()||(this._isHovered=!1,this._setTimeout((()=>{this._isHovered||this.hide()}),this._config.delay.hide))}_setTimeout(e,t){clearTimeout(this._timeout),this._timeout=setTimeout(e,t)}_isWithActiveTrigger(){return Object.values(this._activeTrigger).includes(!0)}_getConfig(e){const t=Manipulator.getDataAttributes(this._element);for(const e of Object.keys(t))DISALLOWED_ATTRIBUTES.has(e)&&delete t[e];return e={...t,..."object"==typeof e&&e?e:{}},e=this._mergeConfigObj(e),e=this._configAfterMerge(e),this._typeCheckConfig(e),e}_configAfterMerge(e){return e.container=!1===e.container?document.body:getElement(e.container),"number"==typeof e.delay&&(e.delay={show:e.delay,hide:e.delay}),"number"==typeof e.title&&(e.title=e.title.toString()),"number"==typeof e.content&&(e.content=e.content.toString()),e}_getDelegateConfig(){const e={};for(const[t,n]of Object.entries(this._config))this.constructor.Default[t]!==n&&(e[t]=n);return e.selector=!1,e.trigger="manual",e}_disposePopper(){this._popper&&(this._popper.destroy(),this._popper=null),this.tip&&(this.tip.remove(),this.tip=null)}static jQueryInterface(e){return this.each((function(){const t=Tooltip.getOrCreateInstance(this,e);if("string"==typeof e){if(void 0===t[e])throw new TypeError(`No method named "${e}"`);t[e]()}}))}}defineJQueryPlugin(Tooltip);const NAME$3="popover",SELECTOR_TITLE=".popover-header",SELECTOR_CONTENT=".popover-body",Default$2={...Tooltip.Default,content:"",offset:[0,8],placement:"right",template:'<div class="popover" role="tooltip"><div class="popover-arrow"></div><h3 class="popover-header"></h3><div class="popover-body"></div></div>',trigger:"click"},DefaultType$2={...Tooltip.DefaultType,content:"(null|string|element|function)"};class Popover extends Tooltip{static get Default(){return Default$2}static get DefaultType(){return DefaultType$2}static get NAME(){return NAME$3}_isWithContent(){return this._getTitle()||this._getContent()}_getContentForTemplate(){return{[SELECTOR_TITLE]:this._getTitle(),".popover-body":this._getContent()}}_getContent(){return this._resolvePossibleFunction(this._config.content)}static jQueryInterface(e){return this.each((function(){const t=Popover.getOrCreateInstance(this,e);if("string"==typeof e){if(void 0===t[e])throw new TypeError(`No method named "${e}"`);t[e]()}}))}}defineJQueryPlugin(Popover);const NAME$2="scrollspy",DATA_KEY$2="bs.scrollspy",EVENT_KEY$2=`.${DATA_KEY$2}`,DATA_API_KEY=".data-api",EVENT_ACTIVATE=`activate${EVENT_KEY$2}`,EVENT_CLICK=`click${EVENT_KEY$2}`,EVENT_LOAD_DATA_API$1=`load${EVENT_KEY$2}.data-api`,CLASS_NAME_DROPDOWN_ITEM="dropdown-item",CLASS_NAME_ACTIVE$1="active",SELECTOR_DATA_SPY='[data-bs-spy="scroll"]',SELECTOR_TARGET_LINKS="[href]",SELECTOR_NAV_LIST_GROUP=".nav, .list-group",SELECTOR_NAV_LINKS=".nav-link",SELECTOR_NAV_ITEMS=".nav-item",SELECTOR_LIST_ITEMS=".list-group-item",SELECTOR_LINK_ITEMS=".nav-link, .nav-item > .nav-link, .list-group-item",SELECTOR_DROPDOWN=".dropdown",SELECTOR_DROPDOWN_TOGGLE$1=".dropdown-toggle",Default$1={offset:null,rootMargin:"0px 0px -25%",smoothScroll:!1,target:null,threshold:[.1,.5,1]},DefaultType$1={offset:"(number|null)",rootMargin:"string",smoothScroll:"boolean",target:"element",threshold:"array"};class ScrollSpy extends BaseComponent{constructor(e,t){super(e,t),this._targetLinks=new Map,this._observableSections=new Map,this._rootElement="visible"===getComputedStyle(this._element).overflowY?null:this._element,this._activeTarget=null,this._observer=null,this._previousScrollData={visibleEntryTop:0,parentScrollTop:0},this.refresh()}static get Default(){return Default$1}static get DefaultType(){return DefaultType$1}static get NAME(){return NAME$2}refresh(){this._initializeTargetsAndObservables(),this._maybeEnableSmoothScroll(),this._observer?this._observer.disconnect():this._observer=this._getNewObserver();for(const e of this._observableSections.values())this._observer.observe(e)}dispose(){this._observer.disconnect(),super.dispose()}_configAfterMerge(e){return e.target=getElement(e.target)||document.body,e.rootMargin=e.offset?`${e.offset}px 0px -30%`:e.rootMargin,"string"==typeof e.threshold&&(e.threshold=e.threshold.split(",").map((e=>Number.parseFloat(e)))),e}_maybeEnableSmoothScroll(){this._config.smoothScroll&&(EventHandler.off(this._config.target,EVENT_CLICK),EventHandler.on(this._config.target,EVENT_CLICK,"[href]",(e=>{const t=this._observableSections.get(e.target.hash);if(t){e.preventDefault();const n=this._rootElement||window,i=t.offsetTop-this._element.offsetTop;if(n.scrollTo)return void n.scrollTo({top:i,behavior:"smooth"});n.scrollTop=i}})))}_getNewObserver(){const e={root:this._rootElement,threshold:this._config.threshold,rootMargin:this._config.rootMargin};return new IntersectionObserver((e=>this._observerCallback(e)),e)}_observerCallback(e){const t=e=>this._targetLinks.get(`#${e.target.id}`),n=e=>{this._previousScrollData.visibleEntryTop=e.target.offsetTop,this._process(t(e))},i=(this._rootElement||document.documentElement).scrollTop,s=i>=this._previousScrollData.parentScrollTop;this._previousScrollData.parentScrollTop=i;for(const o of e){if(!o.isIntersecting){this._activeTarget=null,this._clearActiveClass(t(o));continue}const e=o.target.offsetTop>=this._previousScrollData.visibleEntryTop;if(s&&e){if(n(o),!i)return}else s||e||n(o)}}_initializeTargetsAndObservables(){this._targetLinks=new Map,this._observableSections=new Map;const e=SelectorEngine.find("[href]",this._config.target);for(const t of e){if(!t.hash||isDisabled(t))continue;const e=SelectorEngine.findOne(decodeURI(t.hash),this._element);isVisible(e)&&(this._targetLinks.set(decodeURI(t.hash),t),this._observableSections.set(t.hash,e))}}_process(e){this._activeTarget!==e&&(this._clearActiveClass(this._config.target),this._activeTarget=e,e.classList.add("active"),this._activateParents(e),EventHandler.trigger(this._element,EVENT_ACTIVATE,{relatedTarget:e}))}_activateParents(e){if(e.classList.contains("dropdown-item"))SelectorEngine.findOne(".dropdown-toggle",e.closest(".dropdown")).classList.add("active");else for(const t of SelectorEngine.parents(e,".nav, .list-group"))for(const e of SelectorEngine.prev(t,SELECTOR_LINK_ITEMS))e.classList.add("active")}_clearActiveClass(e){e.classList.remove("active");const t=SelectorEngine.find("[href].active",e);for(const e of t)e.classList.remove("active")}static jQueryInterface(e){return this.each((function(){const t=ScrollSpy.getOrCreateInstance(this,e);if("string"==typeof e){if(void 0===t[e]||e.startsWith("_")||"constructor"===e)throw new TypeError(`No method named "${e}"`);t[e]()}}))}}EventHandler.on(window,EVENT_LOAD_DATA_API$1,(()=>{for(const e of SelectorEngine.find(SELECTOR_DATA_SPY))ScrollSpy.getOrCreateInstance(e)})),defineJQueryPlugin(ScrollSpy);const NAME$1="tab",DATA_KEY$1="bs.tab",EVENT_KEY$1=".bs.tab",EVENT_HIDE$1="hide.bs.tab",EVENT_HIDDEN$1="hidden.bs.tab",EVENT_SHOW$1="show.bs.tab",EVENT_SHOWN$1="shown.bs.tab",EVENT_CLICK_DATA_API="click.bs.tab",EVENT_KEYDOWN="keydown.bs.tab",EVENT_LOAD_DATA_API="load.bs.tab",ARROW_LEFT_KEY="ArrowLeft",ARROW_RIGHT_KEY="ArrowRight",ARROW_UP_KEY="ArrowUp",ARROW_DOWN_KEY="ArrowDown",HOME_KEY="Home",END_KEY="End",CLASS_NAME_ACTIVE="active",CLASS_NAME_FADE$1="fade",CLASS_NAME_SHOW$1="show",CLASS_DROPDOWN="dropdown",SELECTOR_DROPDOWN_TOGGLE=".dropdown-toggle",SELECTOR_DROPDOWN_MENU=".dropdown-menu",NOT_SELECTOR_DROPDOWN_TOGGLE=":not(.dropdown-toggle)",SELECTOR_TAB_PANEL='.list-group, .nav, [role="tablist"]',SELECTOR_OUTER=".nav-item, .list-group-item",SELECTOR_INNER='.nav-link:not(.dropdown-toggle), .list-group-item:not(.dropdown-toggle), [role="tab"]:not(.dropdown-toggle)',SELECTOR_DATA_TOGGLE='[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]',SELECTOR_INNER_ELEM=`${SELECTOR_INNER}, ${SELECTOR_DATA_TOGGLE}`,SELECTOR_DATA_TOGGLE_ACTIVE='.active[data-bs-toggle="tab"], .active[data-bs-toggle="pill"], .active[data-bs-toggle="list"]';class Tab extends BaseComponent{constructor(e){super(e),this._parent=this._element.closest(SELECTOR_TAB_PANEL),this._parent&&(this._setInitialAttributes(this._parent,this._getChildren()),EventHandler.on(this._element,EVENT_KEYDOWN,(e=>this._keydown(e))))}static get NAME(){return"tab"}show(){const e=this._element;if(this._elemIsActive(e))return;const t=this._getActiveElem(),n=t?EventHandler.trigger(t,EVENT_HIDE$1,{relatedTarget:e}):null;EventHandler.trigger(e,EVENT_SHOW$1,{relatedTarget:t}).defaultPrevented||n&&n.defaultPrevented||(this._deactivate(t,e),this._activate(e,t))}_activate(e,t){e&&(e.classList.add("active"),this._activate(SelectorEngine.getElementFromSelector(e)),this._queueCallback((()=>{"tab"===e.getAttribute("role")?(e.removeAttribute("tabindex"),e.setAttribute("aria-selected",!0),this._toggleDropDown(e,!0),EventHandler.trigger(e,EVENT_SHOWN$1,{relatedTarget:t})):e.classList.add("show")}),e,e.classList.contains("fade")))}_deactivate(e,t){e&&(e.classList.remove("active"),e.blur(),this._deactivate(SelectorEngine.getElementFromSelector(e)),this._queueCallback((()=>{"tab"===e.getAttribute("role")?(e.setAttribute("aria-selected",!1),e.setAttribute("tabindex","-1"),this._toggleDropDown(e,!1),EventHandler.trigger(e,EVENT_HIDDEN$1,{relatedTarget:t})):e.classList.remove("show")}),e,e.classList.contains("fade")))}_keydown(e){if(![ARROW_LEFT_KEY,ARROW_RIGHT_KEY,ARROW_UP_KEY,ARROW_DOWN_KEY,HOME_KEY,END_KEY].includes(e.key))return;e.stopPropagation(),e.preventDefault();const t=this._getChildren().filter((e=>!isDisabled(e)));let n;if([HOME_KEY,END_KEY].includes(e.key))n=t[e.key===HOME_KEY?0:t.length-1];else{const i=[ARROW_RIGHT_KEY,ARROW_DOWN_KEY].includes(e.key);n=getNextActiveElement(t,e.target,i,!0)}n&&(n.focus({preventScroll:!0}),Tab.getOrCreateInstance(n).show())}_getChildren(){return SelectorEngine.find(SELECTOR_INNER_ELEM,this._parent)}_getActiveElem(){return this._getChildren().find((e=>this._elemIsActive(e)))||null}_setInitialAttributes(e,t){this._setAttributeIfNotExists(e,"role","tablist");for(const e of t)this._setInitialAttributesOnChild(e)}_setInitialAttributesOnChild(e){e=this._getInnerElement(e);const t=this._elemIsActive(e),n=this._getOuterElement(e);e.setAttribute("aria-selected",t),n!==e&&this._setAttributeIfNotExists(n,"role","presentation"),t||e.setAttribute("tabindex","-1"),this._setAttributeIfNotExists(e,"role","tab"),this._setInitialAttributesOnTargetPanel(e)}_setInitialAttributesOnTargetPanel(e){const t=SelectorEngine.getElementFromSelector(e);t&&(this._setAttributeIfNotExists(t,"role","tabpanel"),e.id&&this._setAttributeIfNotExists(t,"aria-labelledby",`${e.id}`))}_toggleDropDown(e,t){const n=this._getOuterElement(e);if(!n.classList.contains("dropdown"))return;const i=(e,i)=>{const s=SelectorEngine.findOne(e,n);s&&s.classList.toggle(i,t)};i(".dropdown-toggle","active"),i(".dropdown-menu","show"),n.setAttribute("aria-expanded",t)}_setAttributeIfNotExists(e,t,n){e.hasAttribute(t)||e.setAttribute(t,n)}_elemIsActive(e){return e.classList.contains("active")}_getInnerElement(e){return e.matches(SELECTOR_INNER_ELEM)?e:SelectorEngine.findOne(SELECTOR_INNER_ELEM,e)}_getOuterElement(e){return e.closest(SELECTOR_OUTER)||e}static jQueryInterface(e){return this.each((function(){const t=Tab.getOrCreateInstance(this);if("string"==typeof e){if(void 0===t[e]||e.startsWith("_")||"constructor"===e)throw new TypeError(`No method named "${e}"`);t[e]()}}))}}EventHandler.on(document,"click.bs.tab",SELECTOR_DATA_TOGGLE,(function(e){["A","AREA"].includes(this.tagName)&&e.preventDefault(),isDisabled(this)||Tab.getOrCreateInstance(this).show()})),EventHandler.on(window,"load.bs.tab",(()=>{for(const e of SelectorEngine.find(SELECTOR_DATA_TOGGLE_ACTIVE))Tab.getOrCreateInstance(e)})),defineJQueryPlugin(Tab);const NAME="toast",DATA_KEY="bs.toast",EVENT_KEY=`.${DATA_KEY}`,EVENT_MOUSEOVER=`mouseover${EVENT_KEY}`,EVENT_MOUSEOUT=`mouseout${EVENT_KEY}`,EVENT_FOCUSIN=`focusin${EVENT_KEY}`,EVENT_FOCUSOUT=`focusout${EVENT_KEY}`,EVENT_HIDE=`hide${EVENT_KEY}`,EVENT_HIDDEN=`hidden${EVENT_KEY}`,EVENT_SHOW=`show${EVENT_KEY}`,EVENT_SHOWN=`shown${EVENT_KEY}`,CLASS_NAME_FADE="fade",CLASS_NAME_HIDE="hide",CLASS_NAME_SHOW="show",CLASS_NAME_SHOWING="showing",DefaultType={animation:"boolean",autohide:"boolean",delay:"number"},Default={animation:!0,autohide:!0,delay:5e3};class Toast extends BaseComponent{constructor(e,t){super(e,t),this._timeout=null,this._hasMouseInteraction=!1,this._hasKeyboardInteraction=!1,this._setListeners()}static get Default(){return Default}static get DefaultType(){return DefaultType}static get NAME(){return NAME}show(){EventHandler.trigger(this._element,EVENT_SHOW).defaultPrevented||(this._clearTimeout(),this._config.animation&&this._element.classList.add("fade"),this._element.classList.remove("hide"),reflow(this._element),this._element.classList.add("show","showing"),this._queueCallback((()=>{this._element.classList.remove("showing"),EventHandler.trigger(this._element,EVENT_SHOWN),this._maybeScheduleHide()}),this._element,this._config.animation))}hide(){this.isShown()&&(EventHandler.trigger(this._element,EVENT_HIDE).defaultPrevented||(this._element.classList.add("showing"),this._queueCallback((()=>{this._element.classList.add("hide"),this._element.classList.remove("showing","show"),EventHandler.trigger(this._element,EVENT_HIDDEN)}),this._element,this._config.animation)))}dispose(){this._clearTimeout(),this.isShown()&&this._element.classList.remove("show"),super.dispose()}isShown(){return this._element.classList.contains("show")}_maybeScheduleHide(){this._config.autohide&&(this._hasMouseInteraction||this._hasKeyboardInteraction||(this._timeout=setTimeout((()=>{this.hide()}),this._config.delay)))}_onInteraction(e,t){switch(e.type){case"mouseover":case"mouseout":this._hasMouseInteraction=t;break;case"focusin":case"focusout":this._hasKeyboardInteraction=t}if(t)return void this._clearTimeout();const n=e.relatedTarget;this._element===n||this._element.contains(n)||this._maybeScheduleHide()}_setListeners(){EventHandler.on(this._element,EVENT_MOUSEOVER,(e=>this._onInteraction(e,!0))),EventHandler.on(this._element,EVENT_MOUSEOUT,(e=>this._onInteraction(e,!1))),EventHandler.on(this._element,EVENT_FOCUSIN,(e=>this._onInteraction(e,!0))),EventHandler.on(this._element,EVENT_FOCUSOUT,(e=>this._onInteraction(e,!1)))}_clearTimeout(){clearTimeout(this._timeout),this._timeout=null}static jQueryInterface(e){return this.each((function(){const t=Toast.getOrCreateInstance(this,e);if("string"==typeof e){if(void 0===t[e])throw new TypeError(`No method named "${e}"`);t[e](this)}}))}}enableDismissTrigger(Toast),defineJQueryPlugin(Toast);export{Alert,Button,Carousel,Collapse,Dropdown,Modal,Offcanvas,Popover,ScrollSpy,Tab,Toast,Tooltip};
-//# sourceMappingURL=bootstrap.esm.min.js.map
\ No newline at end of file
+import*as t from"@popperjs/core";const e=new Map,i={set(t,i,s){e.has(t)||e.set(t,new Map),e.get(t).set(i,s)},get:(t,i)=>e.has(t)&&e.get(t).get(i)||null,getAll:t=>e.has(t)?Array.from(e.get(t).values()):[],remove(t,i){if(!e.has(t))return;const s=e.get(t);s.delete(i),0===s.size&&e.delete(t)}},s="transitionend",n=t=>(t&&window.CSS&&window.CSS.escape&&(t=t.replace(/#([^\s"#']+)/g,(t,e)=>`#${CSS.escape(e)}`)),t),o=t=>null==t?`${t}`:Object.prototype.toString.call(t).match(/\s([a-z]+)/i)[1].toLowerCase(),r=t=>{do{t+=Math.floor(1e6*Math.random())}while(document.getElementById(t));return t},a=t=>{t.dispatchEvent(new Event(s))},l=t=>!(!t||"object"!=typeof t)&&(void 0!==t.jquery&&(t=t[0]),void 0!==t.nodeType),h=t=>l(t)?t.jquery?t[0]:t:"string"==typeof t&&t.length>0?document.querySelector(n(t)):null,c=t=>{if(!l(t)||0===t.getClientRects().length)return!1;const e="visible"===getComputedStyle(t).getPropertyValue("visibility"),i=t.closest("details:not([open])");if(!i)return e;if(i!==t){const e=t.closest("summary");if(e&&e.parentNode!==i)return!1;if(null===e)return!1}return e},d=t=>!t||t.nodeType!==Node.ELEMENT_NODE||!!t.classList.contains("disabled")||(void 0!==t.disabled?t.disabled:t.hasAttribute("disabled")&&"false"!==t.getAttribute("disabled")),u=t=>{if(!document.documentElement.attachShadow)return null;if("function"==typeof t.getRootNode){const e=t.getRootNode();return e instanceof ShadowRoot?e:null}return t instanceof ShadowRoot?t:t.parentNode?u(t.parentNode):null},_=()=>{},g=t=>{t.offsetHeight},m=()=>window.jQuery&&!document.body.hasAttribute("data-bs-no-jquery")?window.jQuery:null,f=[],p=t=>{"loading"===document.readyState?(f.length||document.addEventListener("DOMContentLoaded",()=>{for(const t of f)t()}),f.push(t)):t()},b=()=>"rtl"===document.documentElement.dir,v=t=>{p(()=>{const e=m();if(e){const i=t.NAME,s=e.fn[i];e.fn[i]=t.jQueryInterface,e.fn[i].Constructor=t,e.fn[i].noConflict=()=>(e.fn[i]=s,t.jQueryInterface)}})},y=(t,e=[],i=t)=>"function"==typeof t?t(...e):i,w=(t,e,i=!0)=>{if(!i)return void y(t);const n=(t=>{if(!t)return 0;let{transitionDuration:e,transitionDelay:i}=window.getComputedStyle(t);const s=Number.parseFloat(e),n=Number.parseFloat(i);return s||n?(e=e.split(",")[0],i=i.split(",")[0],1e3*(Number.parseFloat(e)+Number.parseFloat(i))):0})(e)+5;let o=!1;const r=({target:i})=>{i===e&&(o=!0,e.removeEventListener(s,r),y(t))};e.addEventListener(s,r),setTimeout(()=>{o||a(e)},n)},A=(t,e,i,s)=>{const n=t.length;let o=t.indexOf(e);return-1===o?!i&&s?t[n-1]:t[0]:(o+=i?1:-1,s&&(o=(o+n)%n),t[Math.max(0,Math.min(o,n-1))])},C=/[^.]*(?=\..*)\.|.*/,E=/\..*/,T=/::\d+$/,x={};let I=1;const L={mouseenter:"mouseover",mouseleave:"mouseout"},S=new Set(["click","dblclick","mouseup","mousedown","contextmenu","mousewheel","DOMMouseScroll","mouseover","mouseout","mousemove","selectstart","selectend","dragstart","dragover","drop","dragend","keydown","keypress","keyup","orientationchange","touchstart","touchmove","touchend","touchcancel","pointerdown","pointermove","pointerup","pointerleave","pointercancel","lostpointercapture","gesturestart","gesturechange","gestureend","focus","blur","change","input","paste","reset","select","submit","focusin","focusout","load","unload","popstate","beforeunload","resize","move","DOMContentLoaded","readystatechange","error","abort","scroll"]);function k(t,e){return e&&`${e}::${I++}`||t.uidEvent||I++}function $(t){const e=k(t);return t.uidEvent=e,x[e]=x[e]||{},x[e]}function M(t,e,i=null){return Object.values(t).find(t=>t.callable===e&&t.delegationSelector===i)}function O(t,e,i){const s="string"==typeof e,n=s?i:e||i;let o=z(t);return S.has(o)||(o=t),[s,n,o]}function P(t,e,i,s,n){if("string"!=typeof e||!t)return;let[o,r,a]=O(e,i,s);if(e in L){const t=t=>function(e){if(!e.relatedTarget||e.relatedTarget!==e.delegateTarget&&!e.delegateTarget.contains(e.relatedTarget))return t.call(this,e)};r=t(r)}const l=$(t),h=l[a]||(l[a]={}),c=M(h,r,o?i:null);if(c)return void(c.oneOff=c.oneOff&&n);const d=k(r,e.replace(C,"")),u=o?function(t,e,i){return function s(n){const o=t.querySelectorAll(e);for(let{target:r}=n;r&&r!==this;r=r.parentNode)for(const a of o)if(a===r)return H(n,{delegateTarget:r}),s.oneOff&&R.off(t,n.type,e,i),i.apply(r,[n])}}(t,i,r):function(t,e){return function i(s){return H(s,{delegateTarget:t}),i.oneOff&&R.off(t,s.type,e),e.apply(t,[s])}}(t,r);u.delegationSelector=o?i:null,u.callable=r,u.oneOff=n,u.uidEvent=d,h[d]=u,t.addEventListener(a,u,o)}function D(t,e,i,s,n){const o=M(e[i],s,n);o&&(t.removeEventListener(i,o,Boolean(n)),delete e[i][o.uidEvent])}function N(t,e,i,s){const n=e[i]||{};for(const[o,r]of Object.entries(n))o.includes(s)&&D(t,e,i,r.callable,r.delegationSelector)}function z(t){return t=t.replace(E,""),L[t]||t}const R={on(t,e,i,s){P(t,e,i,s,!1)},one(t,e,i,s){P(t,e,i,s,!0)},off(t,e,i,s){if("string"!=typeof e||!t)return;const[n,o,r]=O(e,i,s),a=r!==e,l=$(t),h=l[r]||{},c=e.startsWith(".");if(void 0===o){if(c)for(const i of Object.keys(l))N(t,l,i,e.slice(1));for(const[i,s]of Object.entries(h)){const n=i.replace(T,"");a&&!e.includes(n)||D(t,l,r,s.callable,s.delegationSelector)}}else{if(!Object.keys(h).length)return;D(t,l,r,o,n?i:null)}},trigger(t,e,i){if("string"!=typeof e||!t)return null;const s=m();let n=null,o=!0,r=!0,a=!1;e!==z(e)&&s&&(n=s.Event(e,i),s(t).trigger(n),o=!n.isPropagationStopped(),r=!n.isImmediatePropagationStopped(),a=n.isDefaultPrevented());const l=H(new Event(e,{bubbles:o,cancelable:!0}),i);return a&&l.preventDefault(),r&&t.dispatchEvent(l),l.defaultPrevented&&n&&n.preventDefault(),l}};function H(t,e={}){for(const[i,s]of Object.entries(e))try{t[i]=s}catch(e){Object.defineProperty(t,i,{configurable:!0,get:()=>s})}return t}function F(t){if("true"===t)return!0;if("false"===t)return!1;if(t===Number(t).toString())return Number(t);if(""===t||"null"===t)return null;if("string"!=typeof t)return t;try{return JSON.parse(decodeURIComponent(t))}catch(e){return t}}function j(t){return t.replace(/[A-Z]/g,t=>`-${t.toLowerCase()}`)}const B={setDataAttribute(t,e,i){t.setAttribute(`data-bs-${j(e)}`,i)},removeDataAttribute(t,e){t.removeAttribute(`data-bs-${j(e)}`)},getDataAttributes(t){if(!t)return{};const e={},i=Object.keys(t.dataset).filter(t=>t.startsWith("bs")&&!t.startsWith("bsConfig"));for(const s of i){let i=s.replace(/^bs/,"");i=i.charAt(0).toLowerCase()+i.slice(1,i.length),e[i]=F(t.dataset[s])}return e},getDataAttribute:(t,e)=>F(t.getAttribute(`data-bs-${j(e)}`))};class V{static get Default(){return{}}static get DefaultType(){return{}}static get NAME(){throw new Error('You have to implement the static method "NAME", for each component!')}_getConfig(t){return t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){return t}_mergeConfigObj(t,e){const i=l(e)?B.getDataAttribute(e,"config"):{};return{...this.constructor.Default,..."object"==typeof i?i:{},...l(e)?B.getDataAttributes(e):{},..."object"==typeof t?t:{}}}_typeCheckConfig(t,e=this.constructor.DefaultType){for(const[i,s]of Object.entries(e)){const e=t[i],n=l(e)?"element":o(e);if(!new RegExp(s).test(n))throw new TypeError(`${this.constructor.NAME.toUpperCase()}: Option "${i}" provided type "${n}" but expected type "${s}".`)}}}class q extends V{constructor(t,e){super(),(t=h(t))&&(this._element=t,this._config=this._getConfig(e),this._pendingTransitions=new Map,i.set(this._element,this.constructor.DATA_KEY,this))}dispose(){this._cancelTransitions(),i.remove(this._element,this.constructor.DATA_KEY),R.off(this._element,this.constructor.EVENT_KEY);for(const t of Object.getOwnPropertyNames(this))this[t]=null}_queueCallback(t,e,i=!0){w(t,e,i)}_transitionAsync(t,e,i,s=null,n=()=>!0){const o=this._element,r=this._pendingTransitions;return new Promise(a=>{let l=null,h=!1;const c=t=>{t.target===o&&(l=t)},d=t=>{h||(h=!0,R.off(o,i,u),s&&R.off(o,s,_),r.delete(d),a(t))},u=t=>{t.target===o&&d(!0)},_=t=>{t.target===o&&Promise.resolve().then(()=>{t.defaultPrevented||d(!1)})};R.on(o,i,u),R.on(o,e,c);try{t()}catch(t){throw R.off(o,i,u),t}finally{R.off(o,e,c)}h||(l&&!l.defaultPrevented&&n()?(r.set(d,i),s&&R.on(o,s,_)):d(!1))})}_cancelTransitions(t=null){for(const[e,i]of this._pendingTransitions)t&&i!==t||e(!1)}_getConfig(t){return t=this._mergeConfigObj(t,this._element),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}static getInstance(t){return i.get(h(t),this.DATA_KEY)}static getOrCreateInstance(t,e={}){return t=h(t),this.getInstance(t)||new this(t,"object"==typeof e?e:null)}static get VERSION(){return"5.3.3"}static get DATA_KEY(){return`bs.${this.NAME}`}static get EVENT_KEY(){return`.${this.DATA_KEY}`}static eventName(t){return`${t}${this.EVENT_KEY}`}}const W=t=>{let e=t.getAttribute("data-bs-target");if(!e||"#"===e){let i=t.getAttribute("href");if(!i||!i.includes("#")&&!i.startsWith("."))return null;i.includes("#")&&!i.startsWith("#")&&(i=`#${i.split("#")[1]}`),e=i&&"#"!==i?i.trim():null}return e?e.split(",").map(t=>n(t)).join(","):null},Y={find:(t,e=document.documentElement)=>[].concat(...Element.prototype.querySelectorAll.call(e,t)),findOne:(t,e=document.documentElement)=>Element.prototype.querySelector.call(e,t),children:(t,e)=>[].concat(...t.children).filter(t=>t.matches(e)),parents(t,e){const i=[];let s=t.parentNode.closest(e);for(;s;)i.push(s),s=s.parentNode.closest(e);return i},prev(t,e){let i=t.previousElementSibling;for(;i;){if(i.matches(e))return[i];i=i.previousElementSibling}return[]},next(t,e){let i=t.nextElementSibling;for(;i;){if(i.matches(e))return[i];i=i.nextElementSibling}return[]},focusableChildren(t){const e=["a","button","input","textarea","select","details","[tabindex]",'[contenteditable="true"]'].map(t=>`${t}:not([tabindex^="-"])`).join(",");return this.find(e,t).filter(t=>!d(t)&&c(t))},getSelectorFromElement(t){const e=W(t);return e&&Y.findOne(e)?e:null},getElementFromSelector(t){const e=W(t);return e?Y.findOne(e):null},getMultipleElementsFromSelector(t){const e=W(t);return e?Y.find(e):[]}},K=(t,e="hide")=>{const i=`click.dismiss${t.EVENT_KEY}`,s=t.NAME;R.on(document,i,`[data-bs-dismiss="${s}"]`,function(i){if(["A","AREA"].includes(this.tagName)&&i.preventDefault(),d(this))return;const n=Y.getElementFromSelector(this)||this.closest(`.${s}`);t.getOrCreateInstance(n)[e]()})},Q=".bs.alert",U=`close${Q}`,X=`closed${Q}`;class G extends q{static get NAME(){return"alert"}close(){if(R.trigger(this._element,U).defaultPrevented)return;this._element.classList.remove("show");const t=this._element.classList.contains("fade");this._queueCallback(()=>this._destroyElement(),this._element,t)}_destroyElement(){this._element.remove(),R.trigger(this._element,X),this.dispose()}static jQueryInterface(t){return this.each(function(){const e=G.getOrCreateInstance(this);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t](this)}})}}K(G,"close"),v(G);const J='[data-bs-toggle="button"]';class Z extends q{static get NAME(){return"button"}toggle(){this._element.setAttribute("aria-pressed",this._element.classList.toggle("active"))}static jQueryInterface(t){return this.each(function(){const e=Z.getOrCreateInstance(this);"toggle"===t&&e[t]()})}}R.on(document,"click.bs.button.data-api",J,t=>{t.preventDefault();const e=t.target.closest(J);Z.getOrCreateInstance(e).toggle()}),v(Z);const tt=".bs.gesture",et=`touchstart${tt}`,it=`touchmove${tt}`,st=`touchend${tt}`,nt=`touchcancel${tt}`,ot=`pointerdown${tt}`,rt=`pointermove${tt}`,at=`pointerup${tt}`,lt=`pointercancel${tt}`,ht=`pointerleave${tt}`,ct=`lostpointercapture${tt}`,dt="left",ut="right",_t={endCallback:null,longPressCallback:null,longPressDelay:500,mouse:!1,panEndCallback:null,panMoveCallback:null,panStartCallback:null,pinchCallback:null,pinchEndCallback:null,pinchStartCallback:null,swipeCallback:null,swipeThreshold:40,swipeVelocity:.3,tolerance:10,touchAction:null},gt={endCallback:"(function|null)",longPressCallback:"(function|null)",longPressDelay:"number",mouse:"boolean",panEndCallback:"(function|null)",panMoveCallback:"(function|null)",panStartCallback:"(function|null)",pinchCallback:"(function|null)",pinchEndCallback:"(function|null)",pinchStartCallback:"(function|null)",swipeCallback:"(function|null)",swipeThreshold:"number",swipeVelocity:"number",tolerance:"number",touchAction:"(string|null)"},mt=([t,e])=>Math.hypot(e.x-t.x,e.y-t.y);class ft extends V{constructor(t,e){super(),this._element=t,this._config=this._getConfig(e),t&&(this._config.mouse||ft.isSupported())&&(this._pointers=new Map,this._capturedPointers=new Set,this._start=null,this._samples=[],this._isPanning=!1,this._isPinching=!1,this._isLongPress=!1,this._pinchDistance=0,this._longPressTimeout=null,this._supportPointerEvents=Boolean(window.PointerEvent),this._initEvents())}static get Default(){return _t}static get DefaultType(){return gt}static get NAME(){return"gesture"}dispose(){clearTimeout(this._longPressTimeout),R.off(this._element,tt)}_down(t,e,i){if(this._pointers.set(t,{x:e,y:i}),1===this._pointers.size)return this._start={x:e,y:i},this._samples=[{x:e,y:i,time:Date.now()}],this._isLongPress=!1,void(this._config.longPressCallback&&(this._longPressTimeout=setTimeout(()=>{this._isLongPress=!0,y(this._config.longPressCallback,[this._getState()])},this._config.longPressDelay)));clearTimeout(this._longPressTimeout),2===this._pointers.size&&(this._isPanning&&(this._isPanning=!1,y(this._config.panEndCallback,[this._getState(!0)])),this._isPinching=!0,this._pinchDistance=mt([...this._pointers.values()]),y(this._config.pinchStartCallback,[this._getState()]))}_moveTo(t,e,i){const s=this._pointers.get(t);s&&(s.x=e,s.y=i,this._isPinching?this._pointers.size>1&&y(this._config.pinchCallback,[this._getState()]):(this._addSample(e,i),!this._isPanning&&!this._isLongPress&&Math.hypot(e-this._start.x,i-this._start.y)>this._config.tolerance&&(clearTimeout(this._longPressTimeout),this._isPanning=!0,y(this._config.panStartCallback,[this._getState()])),this._isPanning&&y(this._config.panMoveCallback,[this._getState()])))}_up(t,e=!1){if(!this._pointers.has(t))return;if(clearTimeout(this._longPressTimeout),this._capturedPointers.delete(t),!this._isPinching){const{x:e,y:i}=this._pointers.get(t);this._addSample(e,i)}const i=this._getState(e);if(this._pointers.delete(t),this._isPinching)return this._pointers.size<2&&(this._isPinching=!1,y(this._config.pinchEndCallback,[i])),void(this._pointers.size||y(this._config.endCallback,[i]));this._isPanning&&(this._isPanning=!1,y(this._config.panEndCallback,[i])),e||this._isLongPress||this._handleSwipe(i),y(this._config.endCallback,[i])}_addSample(t,e){const i=Date.now();this._samples=[...this._samples.filter(t=>i-t.time<=100),{x:t,y:e,time:i}]}_handleSwipe(t){const{deltaX:e,deltaY:i,velocityX:s,velocityY:n}=t,o=Math.abs(e)>=Math.abs(i),r=o?e:i,a=o?s:n;(Math.abs(r)>this._config.swipeThreshold||Math.abs(r)>this._config.tolerance&&Math.abs(a)>=this._config.swipeVelocity)&&(t.direction=o?r>0?ut:dt:r>0?"down":"up",y(this._config.swipeCallback,[t]))}_getState(t=!1){const e=[...this._pointers.values()],[i=this._start]=e,s=this._samples[0],n=this._samples[this._samples.length-1],o=n.time-s.time;return{clientX:i.x,clientY:i.y,deltaX:i.x-this._start.x,deltaY:i.y-this._start.y,velocityX:o?(n.x-s.x)/o:0,velocityY:o?(n.y-s.y)/o:0,direction:null,scale:this._isPinching&&e.length>1?mt(e)/this._pinchDistance:1,isCancelled:t}}_initEvents(){if(this._supportPointerEvents)R.on(this._element,ot,t=>{this._isTrackedPointer(t)&&this._down(t.pointerId,t.clientX,t.clientY)}),R.on(this._element,rt,t=>{this._moveTo(t.pointerId,t.clientX,t.clientY),(this._isPanning||this._isPinching)&&this._pointers.has(t.pointerId)&&!this._element.hasPointerCapture(t.pointerId)&&(this._element.setPointerCapture(t.pointerId),this._capturedPointers.add(t.pointerId))}),R.on(this._element,at,t=>this._up(t.pointerId)),R.on(this._element,lt,t=>this._up(t.pointerId,!0)),R.on(this._element,ct,t=>{t.target===this._element&&this._capturedPointers.has(t.pointerId)&&this._up(t.pointerId,!0)}),R.on(this._element,ht,t=>{this._element.hasPointerCapture(t.pointerId)||this._up(t.pointerId,!0)}),this._element.classList.add("pointer-event");else{const t=(t,e)=>{for(const i of t.changedTouches)e(i)};R.on(this._element,et,e=>t(e,t=>this._down(t.identifier,t.clientX,t.clientY))),R.on(this._element,it,e=>t(e,t=>this._moveTo(t.identifier,t.clientX,t.clientY))),R.on(this._element,st,e=>t(e,t=>this._up(t.identifier))),R.on(this._element,nt,e=>t(e,t=>this._up(t.identifier,!0)))}this._config.touchAction&&(this._element.style.touchAction=this._config.touchAction)}_isTrackedPointer(t){return"pen"===t.pointerType||"touch"===t.pointerType||this._config.mouse}static isSupported(){return"ontouchstart"in document.documentElement||navigator.maxTouchPoints>0}}const pt="carousel",bt=".bs.carousel",vt=".data-api",yt="ArrowLeft",wt="ArrowRight",At="data-bs-clone",Ct={xs:0,sm:576,md:768,lg:992,xl:1200,xxl:1400},Et="next",Tt="prev",xt="left",It="right",Lt=`slide${bt}`,St=`slid${bt}`,kt=`keydown${bt}`,$t=`mouseenter${bt}`,Mt=`mouseleave${bt}`,Ot=`dragstart${bt}`,Pt=`lazyloaded${bt}`,Dt=`lazyerror${bt}`,Nt=`load${bt}`,zt=`error${bt}`,Rt=`resize${bt}`,Ht=`focusin${bt}`,Ft=`click${bt}`,jt=`load${bt}${vt}`,Bt=`click${bt}${vt}`,Vt="carousel",qt="active",Wt="carousel-item-next",Yt="carousel-item-prev",Kt="placeholder",Qt=".active",Ut=".carousel-item",Xt=`${Ut}:not([${At}])`,Gt=`[${At}]`,Jt=Qt+Ut,Zt="[data-bs-src], [data-bs-srcset]",te={[yt]:It,[wt]:xt},ee={announce:!0,announcement:"Slide {current} of {total}",decode:!1,interval:5026,keyboard:!0,lazy:!1,pause:"hover",pauseLabel:"Stop automatic slide show",playLabel:"Start automatic slide show",preload:1,ride:!1,rotationControl:!1,slideBy:"one",slidesPerView:1,stopOnInteraction:!0,touch:!0,wrap:!0},ie={announce:"boolean",announcement:"string",decode:"boolean",interval:"(number|boolean)",keyboard:"boolean",lazy:"boolean",pause:"(string|boolean)",pauseLabel:"string",playLabel:"string",preload:"number",ride:"(boolean|string)",rotationControl:"boolean",slideBy:"string",slidesPerView:"(number|object)",stopOnInteraction:"boolean",touch:"boolean",wrap:"boolean"},se=t=>{for(const e of["srcset","src"]){const i=t.getAttribute(`data-bs-${e}`);null!==i&&(t.setAttribute(e,i),t.removeAttribute(`data-bs-${e}`))}},ne=(...t)=>{for(const e of t)e.style.transition="",e.style.transform=""};class oe extends q{constructor(t,e){super(t,e),this._interval=null,this._activeElement=null,this._isSliding=!1,this.touchTimeout=null,this._swipeHelper=null,this._drag=null,this._mediaLoads=new Map,this._indicatorsElement=Y.findOne(".carousel-indicators",this._element),this._isMultiItem="object"==typeof this._config.slidesPerView||this._config.slidesPerView>1,this._slidesPerView=1,this._index=0,this._originalIndicators=null,this._resizeHandler=null,this._isRotationStopped=!1,this._isStoppedForMotion=!1,this._isHoverPaused=!1,this._rotationControl=null,this._liveRegion=null,this._motionQuery="function"==typeof window.matchMedia?window.matchMedia("(prefers-reduced-motion: reduce)"):null,this._motionHandler=null,this._addEventListeners(),this._isMultiItem&&this._initializeMultiItem(),this._config.lazy&&this._initializeLazyMedia(),this._config.ride&&this._motionQuery&&this._motionQuery.matches?(this._isRotationStopped=!0,this._isStoppedForMotion=!0):this._config.ride===Vt&&this.cycle(),this._config.rotationControl&&this._createRotationControl(),this._config.announce&&this._createLiveRegion()}static get Default(){return ee}static get DefaultType(){return ie}static get NAME(){return pt}next(){this._slide(Et)}nextWhenVisible(){!document.hidden&&c(this._element)&&this.next()}prev(){this._slide(Tt)}pause(){this._isSliding&&a(this._element),this._clearInterval(),this._updateRotationState()}cycle(){this._clearInterval(),this._updateInterval(),this._interval=setInterval(()=>this.nextWhenVisible(),this._config.interval),this._updateRotationState()}_maybeEnableCycle(){this._config.ride&&!this._isRotationStopped&&(this._isSliding?R.one(this._element,St,()=>this.cycle()):this.cycle())}to(t){const e=this._getItems();if(t>e.length-1||t<0)return;if(this._isSliding)return void R.one(this._element,St,()=>this.to(t));const i=this._getItemIndex(this._getActive());if(i===t)return;const s=t>i?Et:Tt;this._slide(s,e[t])}toAsync(t){return this._isSliding?new Promise(e=>{R.one(this._element,St,()=>e(this.toAsync(t)))}):this._transitionAsync(()=>this.to(t),Lt,St,null,()=>this._isSliding)}dispose(){this._swipeHelper&&this._swipeHelper.dispose();for(const t of this._mediaLoads.keys())R.off(t,Nt),R.off(t,zt);this._isMultiItem&&this._disposeMultiItem(),this._rotationControl&&this._rotationControl.remove(),this._liveRegion&&this._liveRegion.remove(),this._motionHandler&&this._motionQuery.removeEventListener("change",this._motionHandler),super.dispose()}_configAfterMerge(t){return t.defaultInterval=t.interval,t}_addEventListeners(){this._config.keyboard&&R.on(this._element,kt,t=>this._keydown(t)),"hover"===this._config.pause&&(R.on(this._element,$t,()=>{this._isHoverPaused=Boolean(this._interval),this.pause()}),R.on(this._element,Mt,()=>{this._isHoverPaused=!1,this._maybeEnableCycle(),this._updateRotationState()})),this._config.touch&&ft.isSupported()&&this._addTouchEventListeners(),this._motionQuery&&"function"==typeof this._motionQuery.addEventListener&&(this._motionHandler=t=>this._handleMotionChange(t.matches),this._motionQuery.addEventListener("change",this._motionHandler)),this._config.stopOnInteraction&&R.on(this._element,Ht,t=>{t.target!==this._rotationControl&&this._stopRotation()}),R.on(this._element,St,t=>{t.target===this._element&&this._announce(t.to)})}_handleInteraction(){this._config.stopOnInteraction?this._stopRotation():this._maybeEnableCycle()}_isRotating(){return!this._isRotationStopped&&(Boolean(this._interval)||this._isHoverPaused)}_stopRotation(){this._isStoppedForMotion=!1,this._isRotationStopped||(this._isRotationStopped=!0,this._isHoverPaused=!1,this.pause(),this._updateRotationState())}_startRotation(){this._isRotationStopped=!1,this._isStoppedForMotion=!1,this._config.ride=this._config.ride||!0,this.cycle(),this._updateRotationState()}_handleMotionChange(t){this._config.ride&&(t?this._isRotationStopped||(this._stopRotation(),this._isStoppedForMotion=!0):this._isStoppedForMotion&&(this._isStoppedForMotion=!1,this._isRotationStopped=!1,this._config.ride===Vt&&this.cycle(),this._updateRotationState()))}_createRotationControl(){const t=document.createElement("button");t.type="button",t.className="carousel-rotation-control btn btn-sm btn-light position-absolute top-0 end-0 m-2",t.style.zIndex=3;const e=document.createElement("span");e.setAttribute("aria-hidden","true"),t.append(e),R.on(t,Ft,()=>{this._isRotating()?this._stopRotation():this._startRotation()}),this._element.prepend(t),this._rotationControl=t,this._updateRotationState()}_createLiveRegion(){const t=document.createElement("div");t.className="visually-hidden",t.setAttribute("aria-atomic","true"),this._element.append(t),this._liveRegion=t,this._updateRotationState()}_updateRotationState(){const t=this._isRotating();this._rotationControl&&(this._rotationControl.setAttribute("aria-label",t?this._config.pauseLabel:this._config.playLabel),this._rotationControl.firstElementChild.textContent=t?"⏸":"▶"),this._liveRegion&&this._liveRegion.setAttribute("aria-live",t?"off":"polite")}_announce(t){this._liveRegion&&(this._liveRegion.textContent=this._config.announcement.replace("{current}",t+1).replace("{total}",this._getItems().length))}_addTouchEventListeners(){for(const t of Y.find(".carousel-item img",this._element))R.on(t,Ot,t=>t.preventDefault());const t=()=>{"hover"===this._config.pause&&(this.pause(),this.touchTimeout&&clearTimeout(this.touchTimeout),this.touchTimeout=setTimeout(()=>this._maybeEnableCycle(),500+this._config.interval))},e={panStartCallback:()=>this._startDrag(),panMoveCallback:({deltaX:t})=>this._moveDrag(t),swipeCallback:({direction:t})=>{t!==dt&&t!==ut||this._releaseDrag(this._directionToOrder(t===dt?xt:It))},endCallback:()=>{this._releaseDrag(null),t()}};this._swipeHelper=new ft(this._element,e)}_startDrag(){this._isSliding||this._getItems().length<2||(this.pause(),this._drag={activeElement:this._getActive(),neighbour:null})}_moveDrag(t){if(!this._drag)return;const e=this._directionToOrder(t<0?xt:It)===Et;if(this._isMultiItem){const i=this._getNextPosition(e)===this._index?t/3:t;for(const t of Y.find(Ut,this._inner))t.style.transition="none",t.style.transform=`translateX(calc(${this._getOffset(this._index)}% + ${i}px))`;return}const{activeElement:i}=this._drag,s=A(this._getItems(),i,e,this._config.wrap);if(this._drag.neighbour&&this._drag.neighbour!==s&&(ne(this._drag.neighbour),this._drag.neighbour.classList.remove(Wt,Yt)),s===i)return this._drag.neighbour=null,i.style.transition="none",void(i.style.transform=`translateX(${t/3}px)`);this._drag.neighbour=s,s.classList.add(e?Wt:Yt);for(const t of[i,s])t.style.transition="none";i.style.transform=`translateX(${t}px)`,s.style.transform=`translateX(calc(${t<0?100:-100}% + ${t}px))`}_releaseDrag(t){if(!this._drag)return;const{activeElement:e,neighbour:i}=this._drag;if(this._drag=null,t&&this._slide(t),this._isMultiItem)return this._isSliding||this._translate(this._index,this._isAnimated()),void this._handleInteraction();this._isSliding&&this._activeElement===i||(ne(e),i&&(ne(i),w(()=>{i===this._activeElement||this._drag&&this._drag.neighbour===i||i.classList.remove(Wt,Yt)},e,this._isAnimated()))),this._handleInteraction()}_keydown(t){if(/input|textarea/i.test(t.target.tagName))return;const e=te[t.key];e&&(t.preventDefault(),this._slide(this._directionToOrder(e)),this._handleInteraction())}_getItemIndex(t){return this._getItems().indexOf(t)}_setActiveIndicatorElement(t){if(!this._indicatorsElement)return;const e=Y.findOne(Qt,this._indicatorsElement);e.classList.remove(qt),e.removeAttribute("aria-current");const i=Y.findOne(`[data-bs-slide-to="${t}"]`,this._indicatorsElement);i&&(i.classList.add(qt),i.setAttribute("aria-current","true"))}_updateInterval(){const t=this._activeElement||this._getActive();if(!t)return;const e=Number.parseInt(t.getAttribute("data-bs-interval"),10);this._config.interval=e||this._config.defaultInterval}_slide(t,e=null){if(this._isSliding)return;if(this._isMultiItem)return void this._slideMultiItem(t,e);const i=this._getActive(),s=t===Et,n=e||A(this._getItems(),i,s,this._config.wrap);if(n===i)return;const o=this._getItemIndex(n),r=e=>R.trigger(this._element,e,{relatedTarget:n,direction:this._orderToDirection(t),from:this._getItemIndex(i),to:o});if(r(Lt).defaultPrevented)return;if(!i||!n)return;const a=Boolean(this._interval);this.pause(),this._isSliding=!0,this._activeElement=n;const l=()=>{if(!this._element)return;this._setActiveIndicatorElement(o);const t=s?"carousel-item-start":"carousel-item-end",e=s?Wt:Yt;n.classList.add(e),g(n),i.classList.add(t),n.classList.add(t),ne(i,n),this._queueCallback(()=>{n.classList.remove(t,e),n.classList.add(qt),i.classList.remove(qt,e,t),this._isSliding=!1,r(St)},i,this._isAnimated())};this._config.lazy&&this._loadAround(n),this._config.decode?this._decodeItem(n).then(l):l(),a&&this.cycle()}_isAnimated(){return this._element.classList.contains("slide")}_initializeLazyMedia(){for(const t of Y.find(Zt,this._element))"IMG"===t.tagName&&t.classList.add(Kt);const t=this._getActive();t&&this._loadVisible(this._getItems().indexOf(t))}_loadVisible(t){const e=this._getItems();for(let i=0;i<this._slidesPerView;i++)this._loadAround(e[(t+i)%e.length])}_loadAround(t){const e=this._getItems(),i=e.indexOf(t);for(let t=-this._config.preload;t<=this._config.preload;t++){const s=i+t;(this._config.wrap||s>=0&&s<e.length)&&this._loadItem(e[(s%e.length+e.length)%e.length])}}_loadItem(t){const e=Y.find(`[${At}="${this._getItems().indexOf(t)}"]`,this._element).map(t=>Y.find(Zt,t));return Promise.all(Y.find(Zt,t).map((t,i)=>{const s=e.map(t=>t[i]).filter(Boolean);for(const t of s)se(t);return this._loadMedia(t).then(()=>{for(const t of s)t.classList.remove(Kt)})}))}_loadMedia(t){if(this._mediaLoads.has(t))return this._mediaLoads.get(t);const e=new Promise(e=>{if("IMG"!==t.tagName)return void e();const i=i=>{R.off(t,Nt),R.off(t,zt),t.classList.remove(Kt),R.trigger(this._element,i,{relatedTarget:t}),e()};R.on(t,Nt,()=>i(Pt)),R.on(t,zt,()=>i(Dt))});return this._mediaLoads.set(t,e),se(t),e}_decodeItem(t){const e=Y.find("img",t);return Promise.all(e.map(t=>(this._mediaLoads.get(t)||Promise.resolve()).then(()=>t.decode?t.decode():null).catch(_)))}_getActive(){return Y.findOne(Jt,this._element)}_getItems(){return Y.find(Xt,this._element)}_initializeMultiItem(){const t=this._getItemIndex(this._getActive());this._index=Math.max(t,0),this._inner=Y.findOne(".carousel-inner",this._element),this._inner.style.display="flex",this._indicatorsElement&&(this._originalIndicators=[...this._indicatorsElement.children]),this._resizeHandler=()=>{this._layoutMultiItem(),this._config.lazy&&this._loadVisible(this._index)},R.on(window,Rt,this._resizeHandler),this._layoutMultiItem(!0)}_disposeMultiItem(){R.off(window,Rt,this._resizeHandler);for(const t of Y.find(Gt,this._inner))t.remove();for(const t of this._getItems()){for(const e of["display","flex","float","marginRight","transform","transition"])t.style[e]="";t.removeAttribute("aria-hidden")}this._inner.style.display="",this._originalIndicators&&this._indicatorsElement.replaceChildren(...this._originalIndicators)}_getSlidesPerView(){const{slidesPerView:t}=this._config;if("number"==typeof t)return Math.max(Math.floor(t),1);const e=Object.entries(t).map(([t,e])=>[t in Ct?Ct[t]:Number.parseInt(t,10),e]).sort(([t],[e])=>t-e);let i=1;for(const[t,s]of e)window.innerWidth>=t&&(i=s);return Math.max(Math.floor(i),1)}_layoutMultiItem(t=!1){const e=this._getSlidesPerView();if(!t&&e===this._slidesPerView)return;this._slidesPerView=e;const i=this._getItems();this._config.wrap||(this._index=Math.min(this._index,Math.max(i.length-e,0)));for(const t of Y.find(Gt,this._inner))t.remove();this._config.wrap&&i.length>e&&(i[0].before(...i.slice(-e).map(t=>this._createClone(t))),i[i.length-1].after(...i.slice(0,e).map(t=>this._createClone(t))));for(const t of Y.find(Ut,this._inner))t.style.display="block",t.style.flex=`0 0 ${100/e}%`,t.style.float="none",t.style.marginRight="0";this._renderPageIndicators(),this._translate(this._index,!1),this._updateVisibleItems()}_createClone(t){const e=t.cloneNode(!0);e.setAttribute(At,this._getItems().indexOf(t)),e.setAttribute("aria-hidden","true"),e.classList.remove(qt);for(const t of[e,...Y.find("[id]",e)])t.removeAttribute("id");return e}_renderPageIndicators(){if(!this._indicatorsElement)return;this._element.id||(this._element.id=r(pt));const t=this._slidesPerView,e=Math.ceil(this._getItems().length/t),i=[];for(let s=0;s<e;s++){const e=document.createElement("button");e.type="button",e.setAttribute("data-bs-target",`#${this._element.id}`),e.setAttribute("data-bs-slide-to",s*t),e.setAttribute("aria-label",`Page ${s+1}`),i.push(e)}const s=i[this._getPage(this._index)];s.classList.add(qt),s.setAttribute("aria-current","true"),this._indicatorsElement.replaceChildren(...i)}_getPage(t){const e=this._getItems().length,i=this._slidesPerView;return t>=e-i?Math.ceil(e/i)-1:Math.floor(t/i)}_translate(t,e){const i=this._getOffset(t),s=Y.find(Ut,this._inner);for(const t of s)t.style.transition=e?"":"none",t.style.transform=`translateX(${i}%)`;if(!e){g(this._inner);for(const t of s)t.style.transition=""}}_getOffset(t){return 100*(t+Y.find(Gt,this._inner).length/2)*(b()?1:-1)}_updateVisibleItems(){const t=this._getItems();for(const[e,i]of t.entries()){const s=(e-this._index+t.length)%t.length<this._slidesPerView;i.classList.toggle(qt,e===this._index),i.setAttribute("aria-hidden",!s)}}_getNextPosition(t){const e=this._getItems().length,i="page"===this._config.slideBy?this._slidesPerView:1;if(!this._config.wrap){const s=this._index+(t?i:-i);return Math.min(Math.max(s,0),Math.max(e-this._slidesPerView,0))}return t?Math.min(this._index+i,e):0===this._index&&i>1?Math.floor((e-1)/i)*i-e:this._index-i}_slideMultiItem(t,e){const i=this._getItems(),s=i.length;if(s<=this._slidesPerView)return;let n=e?i.indexOf(e):this._getNextPosition(t===Et);this._config.wrap||(n=Math.min(n,Math.max(s-this._slidesPerView,0)));const o=this._index,r=(n%s+s)%s;if(r===o)return;const a=i[r],l=e=>R.trigger(this._element,e,{relatedTarget:a,direction:this._orderToDirection(t),from:o,to:r});if(l(Lt).defaultPrevented)return;const h=Boolean(this._interval);this.pause(),this._isSliding=!0,this._activeElement=a,this._config.lazy&&this._loadVisible(r);const c=()=>{if(!this._element)return;this._setActiveIndicatorElement(this._getPage(r)*this._slidesPerView);const t=this._isAnimated();this._translate(n,t),this._queueCallback(()=>{this._index=r,n!==r&&this._translate(r,!1),this._updateVisibleItems(),this._isSliding=!1,l(St)},a,t)};this._config.decode?this._decodeItem(a).then(c):c(),h&&this.cycle()}_clearInterval(){this._interval&&(clearInterval(this._interval),this._interval=null)}_directionToOrder(t){return b()?t===xt?Tt:Et:t===xt?Et:Tt}_orderToDirection(t){return b()?t===Tt?xt:It:t===Tt?It:xt}static jQueryInterface(t){return this.each(function(){const e=oe.getOrCreateInstance(this,t);if("number"!=typeof t){if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}}else e.to(t)})}}R.on(document,Bt,"[data-bs-slide], [data-bs-slide-to]",function(t){const e=Y.getElementFromSelector(this);if(!e||!e.classList.contains(Vt))return;t.preventDefault();const i=oe.getOrCreateInstance(e),s=this.getAttribute("data-bs-slide-to");return s?(i.to(s),void i._handleInteraction()):"next"===B.getDataAttribute(this,"slide")?(i.next(),void i._handleInteraction()):(i.prev(),void i._handleInteraction())}),R.on(window,jt,()=>{const t=Y.find('[data-bs-ride="carousel"]');for(const e of t)oe.getOrCreateInstance(e)}),v(oe);const re=".bs.collapse",ae=`show${re}`,le=`shown${re}`,he=`hide${re}`,ce=`hidden${re}`,de=`click${re}.data-api`,ue="show",_e="collapse",ge="collapsing",me=`:scope .${_e} .${_e}`,fe=".collapse.show, .collapse.collapsing",pe='[data-bs-toggle="collapse"]',be="shown",ve="hidden",ye={parent:null,persist:!1,storage:"local",toggle:!0},we={parent:"(null|element)",persist:"(boolean|string)",storage:"(string|object)",toggle:"boolean"};class Ae extends q{constructor(t,e){super(t,e),this._isTransitioning=!1,this._triggerArray=[];const i=Y.find(pe);for(const t of i){const e=Y.getSelectorFromElement(t),i=Y.find(e).filter(t=>t===this._element);null!==e&&i.length&&this._triggerArray.push(t)}this._restoreState(),this._initializeChildren(),this._config.parent||this._addAriaAndCollapsedClass(this._triggerArray,this._isShown()),this._config.toggle&&this.toggle()}static get Default(){return ye}static get DefaultType(){return we}static get NAME(){return"collapse"}toggle(){this._isShown()?this.hide():this.show()}show(){if(this._isTransitioning||this._isShown())return;let t=[];if(this._config.parent&&(t=this._getFirstLevelChildren(fe).filter(t=>t!==this._element).map(t=>Ae.getOrCreateInstance(t,{toggle:!1}))),t.length&&t[0]._isTransitioning)return;if(R.trigger(this._element,ae).defaultPrevented)return;for(const e of t)e.hide();const e=this._getDimension();this._element.classList.remove(_e),this._element.classList.add(ge),this._element.style[e]=0,this._addAriaAndCollapsedClass(this._triggerArray,!0),this._saveState(!0),this._isTransitioning=!0;const i=`scroll${e[0].toUpperCase()+e.slice(1)}`;this._queueCallback(()=>{this._isTransitioning=!1,this._element.classList.remove(ge),this._element.classList.add(_e,ue),this._element.style[e]="",R.trigger(this._element,le)},this._element,!0),this._element.style[e]=`${this._element[i]}px`}hide(){if(this._isTransitioning||!this._isShown())return;if(R.trigger(this._element,he).defaultPrevented)return;const t=this._getDimension();this._element.style[t]=`${this._element.getBoundingClientRect()[t]}px`,g(this._element),this._element.classList.add(ge),this._element.classList.remove(_e,ue);for(const t of this._triggerArray){const e=Y.getElementFromSelector(t);e&&!this._isShown(e)&&this._addAriaAndCollapsedClass([t],!1)}this._saveState(!1),this._isTransitioning=!0,this._element.style[t]="",this._queueCallback(()=>{this._isTransitioning=!1,this._element.classList.remove(ge),this._element.classList.add(_e),R.trigger(this._element,ce)},this._element,!0)}showAsync(){return this._transitionAsync(()=>this.show(),ae,le,he)}hideAsync(){return this._transitionAsync(()=>this.hide(),he,ce,ae)}_isShown(t=this._element){return t.classList.contains(ue)}_configAfterMerge(t){return t.toggle=Boolean(t.toggle),t.parent=h(t.parent),null===t.persist?t.persist=!0:"number"==typeof t.persist&&(t.persist=String(t.persist)),t}_getDimension(){return this._element.classList.contains("collapse-horizontal")?"width":"height"}_initializeChildren(){if(!this._config.parent)return;const t=this._getFirstLevelChildren(pe);for(const e of t){const t=Y.getElementFromSelector(e);t&&this._addAriaAndCollapsedClass([e],this._isShown(t))}}_getStorage(){if("object"==typeof this._config.storage)return this._config.storage;try{return"session"===this._config.storage?window.sessionStorage:window.localStorage}catch(t){return null}}_getStorageKey(){const{persist:t}=this._config;return!t||!0===t&&!this._element.id?null:`bs.collapse.${!0===t?this._element.id:t}`}_saveState(t){const e=this._getStorageKey(),i=this._getStorage();if(e&&i)try{i.setItem(e,t?be:ve)}catch(t){}}_readState(){const t=this._getStorageKey(),e=this._getStorage();if(!t||!e)return null;try{return e.getItem(t)}catch(t){return null}}_restoreState(){const t=this._readState(),e=t===be;if((t===be||t===ve)&&e!==this._isShown()){if(e&&this._config.parent)for(const t of this._getFirstLevelChildren(fe)){if(t===this._element)continue;t.classList.remove(ue);const e=Ae.getInstance(t);e&&e._saveState(!1)}this._element.classList.toggle(ue,e)}}_getFirstLevelChildren(t){const e=Y.find(me,this._config.parent);return Y.find(t,this._config.parent).filter(t=>!e.includes(t))}_addAriaAndCollapsedClass(t,e){if(t.length)for(const i of t)i.classList.toggle("collapsed",!e),i.setAttribute("aria-expanded",e)}static jQueryInterface(t){const e={};return"string"==typeof t&&/show|hide/.test(t)&&(e.toggle=!1),this.each(function(){const i=Ae.getOrCreateInstance(this,e);if("string"==typeof t){if(void 0===i[t])throw new TypeError(`No method named "${t}"`);i[t]()}})}}R.on(document,de,pe,function(t){("A"===t.target.tagName||t.delegateTarget&&"A"===t.delegateTarget.tagName)&&t.preventDefault();for(const t of Y.getMultipleElementsFromSelector(this))Ae.getOrCreateInstance(t,{toggle:!1}).toggle()}),p(()=>{for(const t of Y.find(".collapse[data-bs-persist]"))Ae.getOrCreateInstance(t,{toggle:!1})}),v(Ae);const Ce="virtualList",Ee=`scroll.bs.${Ce}`,Te={itemHeight:32,items:[],overscan:3,renderItem:null,visibleItems:10},xe={itemHeight:"number",items:"array",overscan:"number",renderItem:"function",visibleItems:"number"};class Ie extends V{constructor(t,e){super(),this._element=t,this._config=this._getConfig(e),this._items=this._config.items,this._start=0,this._end=0,this._rendered=new Map,this._before=this._createSpacer(),this._after=this._createSpacer(),this._element.style.maxHeight=this._config.itemHeight*this._config.visibleItems+"px",this._element.style.overflowY="auto",R.on(this._element,Ee,()=>this._render()),this._render(!0)}static get Default(){return Te}static get DefaultType(){return xe}static get NAME(){return Ce}getItems(){return this._items}setItems(t){this._items=t,this._element.scrollTop=0,this._render(!0)}refresh(){this._render(!0)}scrollToIndex(t){const{itemHeight:e,visibleItems:i}=this._config,s=t*e,n=this._element.clientHeight||e*i;let{scrollTop:o}=this._element;return s<o?o=s:s+e>o+n&&(o=s+e-n),this._render(!1,o),this._element.scrollTop=o,this._rendered.get(t)||null}dispose(){R.off(this._element,Ee),this._element.replaceChildren(),this._element.style.maxHeight="",this._element.style.overflowY="",this._rendered.clear()}_createSpacer(){const t=document.createElement("li");return t.setAttribute("role","presentation"),t.setAttribute("aria-hidden","true"),t}_render(t=!1,e=this._element.scrollTop){const{itemHeight:i,overscan:s,visibleItems:n}=this._config,o=Math.max(0,Math.min(Math.floor(e/i),this._items.length-n)-s),r=Math.min(this._items.length,o+n+2*s);if(t||o!==this._start||r!==this._end){this._start=o,this._end=r,this._rendered.clear();for(let t=o;t<r;t++){const e=this._config.renderItem(this._items[t],t);e.setAttribute("aria-setsize",this._items.length),e.setAttribute("aria-posinset",t+1),e.setAttribute("data-bs-index",t),e.style.height=`${i}px`,this._rendered.set(t,e)}this._before.style.height=o*i+"px",this._after.style.height=(this._items.length-r)*i+"px",this._element.replaceChildren(this._before,...this._rendered.values(),this._after)}}}const Le="dropdown",Se=".bs.dropdown",ke=".data-api",$e="ArrowUp",Me="ArrowDown",Oe=b()?"ArrowLeft":"ArrowRight",Pe=b()?"ArrowRight":"ArrowLeft",De="Home",Ne="End",ze="PageUp",Re="PageDown",He=`hide${Se}`,Fe=`hidden${Se}`,je=`show${Se}`,Be=`shown${Se}`,Ve=`click${Se}${ke}`,qe=`keydown${Se}${ke}`,We=`keyup${Se}${ke}`,Ye=`mouseenter${Se}${ke}`,Ke=`contextmenu${Se}${ke}`,Qe=`selected${Se}`,Ue=`click${Se}`,Xe=`keydown${Se}`,Ge="[data-bs-index]",Je="show",Ze='[data-bs-toggle="dropdown"]:not(.disabled):not(:disabled)',ti='[data-bs-toggle="contextmenu"]',ei=`${Ze},${ti}`,ii=`${Ze}.${Je},${ti}.${Je},[data-bs-toggle="combobox"].${Je}`,si=".dropdown-menu",ni=b()?"top-end":"top-start",oi=b()?"top-start":"top-end",ri=b()?"bottom-end":"bottom-start",ai=b()?"bottom-start":"bottom-end",li=b()?"left-start":"right-start",hi=b()?"right-start":"left-start",ci={autoClose:!0,boundary:"clippingParents",display:"dynamic",itemHeight:32,items:null,offset:[0,2],popperConfig:null,reference:"toggle",renderItem:null,selector:!1,visibleItems:10},di={autoClose:"(boolean|string)",boundary:"(string|element)",display:"string",itemHeight:"number",items:"(null|array)",offset:"(array|string|function)",popperConfig:"(null|object|function)",reference:"(string|element|object)",renderItem:"(null|function)",selector:"(string|boolean)",visibleItems:"number"};class ui extends q{constructor(t,e){super(t,e),this._popper=null,this._parent=this._element.parentNode,this._menu=Y.next(this._element,si)[0]||Y.prev(this._element,si)[0]||Y.findOne(si,this._parent),this._inNavbar=this._detectNavbar(),this._parentMenu=this._parent.closest(si),this._virtualReference=null,this._contextTarget=null,this._typeaheadBuffer="",this._typeaheadTimeout=null,this._virtualList=this._config.items?this._createVirtualList():null}static get Default(){return ci}static get DefaultType(){return di}static get NAME(){return Le}toggle(){return this._isShown()?this.hide():this.show()}showAt(t,e,i=this._element){if(this._isShown()&&(this.hide(),this._isShown()))return;const s={x:t,y:e,top:e,right:t,bottom:e,left:t,width:0,height:0};this._virtualReference={getBoundingClientRect:()=>s,contextElement:i},this._contextTarget=i,this.show(),this._isShown()||(this._virtualReference=null,this._contextTarget=null)}show(){if(d(this._element)||this._isShown())return;const t={relatedTarget:this._contextTarget||this._element};if(!R.trigger(this._element,je,t).defaultPrevented){if(this._parentMenu)for(const t of this._getOpenSubmenus(this._parentMenu))t.hide();if(this._createPopper(),"ontouchstart"in document.documentElement&&!this._parent.closest(".navbar-nav"))for(const t of[].concat(...document.body.children))R.on(t,"mouseover",_);this._virtualReference||this._element.focus(),this._element.setAttribute("aria-expanded",!0),this._menu.classList.add(Je),this._element.classList.add(Je),this._virtualReference&&this._selectMenuItem({key:De}),R.trigger(this._element,Be,t)}}hide(){if(d(this._element)||!this._isShown())return;const t={relatedTarget:this._contextTarget||this._element};this._completeHide(t)}setItems(t){this._virtualList?this._virtualList.setItems(t):(this._config.items=t,this._virtualList=this._createVirtualList())}dispose(){clearTimeout(this._typeaheadTimeout),this._popper&&this._popper.destroy(),this._virtualList&&(R.off(this._menu,Se),this._virtualList.dispose()),super.dispose()}update(){this._inNavbar=this._detectNavbar(),this._popper&&this._popper.update()}_completeHide(t){if(!R.trigger(this._element,He,t).defaultPrevented){for(const t of this._getOpenSubmenus())t.hide();if("ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))R.off(t,"mouseover",_);this._popper&&this._popper.destroy(),this._menu.classList.remove(Je),this._element.classList.remove(Je),this._element.setAttribute("aria-expanded","false"),B.removeDataAttribute(this._menu,"popper"),this._virtualReference=null,this._contextTarget=null,R.trigger(this._element,Fe,t)}}_getConfig(t){if("object"==typeof(t=super._getConfig(t)).reference&&!l(t.reference)&&"function"!=typeof t.reference.getBoundingClientRect)throw new TypeError(`${Le.toUpperCase()}: Option "reference" provided type "object" without a required "getBoundingClientRect" method.`);return t}_createPopper(){if(void 0===t)throw new TypeError("Bootstrap's dropdowns require Popper (https://popper.js.org)");let e=this._element;this._virtualReference?e=this._virtualReference:"parent"===this._config.reference?e=this._parent:l(this._config.reference)?e=h(this._config.reference):"object"==typeof this._config.reference&&(e=this._config.reference);const i=this._getPopperConfig();this._popper=t.createPopper(e,this._menu,i)}_isShown(){return this._menu.classList.contains(Je)}_getPlacement(){const t=this._parent;if(this._parentMenu||t.classList.contains("dropend"))return li;if(t.classList.contains("dropstart"))return hi;if(t.classList.contains("dropup-center"))return"top";if(t.classList.contains("dropdown-center"))return"bottom";const e="end"===getComputedStyle(this._menu).getPropertyValue("--bs-position").trim();return t.classList.contains("dropup")?e?oi:ni:e?ai:ri}_detectNavbar(){return null!==this._element.closest(".navbar")}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map(t=>Number.parseInt(t,10)):"function"==typeof t?e=>t(e,this._element):t}_getPopperConfig(){const t={placement:this._getPlacement(),modifiers:[{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"offset",options:{offset:this._getOffset()}}]};return this._parentMenu&&t.modifiers.push({name:"flip",options:{fallbackPlacements:[hi]}}),(this._inNavbar&&!this._parentMenu&&!this._virtualReference||"static"===this._config.display)&&(B.setDataAttribute(this._menu,"popper","static"),t.modifiers=[{name:"applyStyles",enabled:!1}]),{...t,...y(this._config.popperConfig,[t])}}_createVirtualList(){const t=new Ie(this._menu,{itemHeight:this._config.itemHeight,items:this._config.items,renderItem:(t,e)=>this._config.renderItem?this._config.renderItem(t,e):this._renderItem(t),visibleItems:this._config.visibleItems});return this._menu.setAttribute("role","menu"),R.on(this._menu,Ue,Ge,e=>{const i=Number.parseInt(e.delegateTarget.getAttribute("data-bs-index"),10);R.trigger(this._element,Qe,{item:t.getItems()[i],index:i})}),R.on(this._menu,Xe,Ge,t=>{("Enter"===t.key||" "===t.key&&!this._typeaheadBuffer)&&(t.preventDefault(),t.delegateTarget.click())}),t}_renderItem(t){const e=document.createElement("li");return e.className="dropdown-item",e.setAttribute("role","menuitem"),e.tabIndex=-1,e.textContent=this._getItemLabel(t),e}_getItemLabel(t){return String("object"==typeof t&&null!==t?t.label:t)}_getVirtualIndex(t){const e=t&&this._menu.contains(t)?t.closest(Ge):null;return e?Number.parseInt(e.getAttribute("data-bs-index"),10):-1}_selectVirtualItem(t,e){const i=this._virtualList.getItems().length;if(!i)return;const s=this._getVirtualIndex(e),n=this._config.visibleItems,o={[De]:0,[Ne]:i-1,[ze]:Math.max(s-n,0),[Re]:Math.min(s+n,i-1),[$e]:-1===s?i-1:Math.max(s-1,0),[Me]:Math.min(s+1,i-1)};this._virtualList.scrollToIndex(o[t]).focus()}_getMenuItems(){return Y.find(".dropdown-menu .dropdown-item:not(.disabled):not(:disabled)",this._menu).filter(t=>t.closest(si)===this._menu&&c(t))}_getOpenSubmenus(t=this._menu){return Y.find(ii,t).filter(e=>e.parentNode.closest(si)===t).map(t=>ui.getInstance(t)).filter(Boolean)}_getContextTarget(t){if(this._menu.contains(t))return null;if(!this._config.selector)return this._element;const e=t.closest(this._config.selector);return e&&this._element.contains(e)?e:null}_isClosingEvent(t){if(!1===this._config.autoClose)return!1;const e=t.composedPath();if("contextmenu"===t.type&&(!this._virtualReference||e.includes(this._element)||e.includes(this._menu)))return!1;if(e.includes(this._element)&&!this._virtualReference)return!1;const i=this._getOpenSubmenus().find(t=>e.includes(t._menu)||e.includes(t._element));if(i)return i._isClosingEvent(t);const s=t.target.closest&&t.target.closest(Ze);if(s&&this._menu.contains(s))return!1;const n=e.includes(this._menu);return!("inside"===this._config.autoClose&&!n||"outside"===this._config.autoClose&&n||this._menu.contains(t.target)&&("keyup"===t.type&&"Tab"===t.key||/input|select|option|textarea|form/i.test(t.target.tagName)))}_getPageSize(t){const e=t[0].offsetHeight;return e&&this._menu.clientHeight?Math.max(1,Math.floor(this._menu.clientHeight/e)):10}_selectMenuItem({key:t,target:e}){if(this._virtualList)return void this._selectVirtualItem(t,e);const i=this._getMenuItems();if(i.length)if([De,Ne].includes(t))i[t===De?0:i.length-1].focus();else{if([ze,Re].includes(t)){const s=i.indexOf(e),n=this._getPageSize(i);return void i[t===Re?Math.min(s+n,i.length-1):Math.max(s-n,0)].focus()}A(i,e,t===Me,!i.includes(e)).focus()}}_typeahead(t,e){clearTimeout(this._typeaheadTimeout),this._typeaheadTimeout=setTimeout(()=>{this._typeaheadBuffer=""},500),this._typeaheadBuffer+=t.toLowerCase();const i=this._typeaheadBuffer,s=this._virtualList?this._virtualList.getItems():this._getMenuItems(),n=s.map(t=>(this._virtualList?this._getItemLabel(t):t.textContent).trim().toLowerCase()),o=this._virtualList?this._getVirtualIndex(e):s.indexOf(e),r=[...i].every(t=>t===i[0]),a=r?i[0]:i,l=r?o+1:Math.max(o,0),h=[...n.keys()],c=[...h.slice(l),...h.slice(0,l)].find(t=>n[t].startsWith(a));void 0!==c&&(this._virtualList?this._virtualList.scrollToIndex(c):s[c]).focus()}static jQueryInterface(t){return this.each(function(){const e=ui.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}})}static clearMenus(t){if(2===t.button&&"contextmenu"!==t.type||"keyup"===t.type&&"Tab"!==t.key)return;const e=Y.find(ii);for(const i of e){const e=ui.getInstance(i);if(!e||!e._isShown()||!e._isClosingEvent(t))continue;const s={relatedTarget:e._element};"click"===t.type&&(s.clickEvent=t),e._completeHide(s)}}static dataApiKeydownHandler(t){const e=/input|textarea/i.test(t.target.tagName),i="Escape"===t.key,s=[$e,Me].includes(t.key),n=[De,Ne,ze,Re].includes(t.key),o=[Oe,Pe].includes(t.key),r="string"==typeof t.key&&1===t.key.length&&!t.ctrlKey&&!t.metaKey&&!t.altKey;if(!(s||i||n||r||o))return;if(e&&!i)return;const a=this.matches(Ze)?this:Y.prev(this,ei)[0]||Y.next(this,ei)[0]||Y.findOne(ei,t.delegateTarget.parentNode),l=ui.getOrCreateInstance(a),h=this===a;if(o||h&&l._parentMenu)l._parentMenu&&(h?t.key===Oe:t.key===Pe)&&(t.preventDefault(),t.stopPropagation(),h?(l.show(),l._selectMenuItem({key:De})):(l.hide(),a.focus()));else{if(n||r){if(!l._isShown()||" "===t.key&&!l._typeaheadBuffer)return;return t.preventDefault(),t.stopPropagation(),void(n?l._selectMenuItem(t):l._typeahead(t.key,t.target))}if(t.preventDefault(),s)return t.stopPropagation(),l.show(),void l._selectMenuItem(t);if(l._isShown()){t.stopPropagation();const e=l._contextTarget||a;l.hide(),e.focus()}}}static dataApiContextMenuHandler(t){const e="keydown"===t.type;if(e&&!("ContextMenu"===t.key||"F10"===t.key&&t.shiftKey))return;const i=ui.getOrCreateInstance(this),s=i._getContextTarget(t.target);if(!s||d(this))return;if(t.preventDefault(),!e)return void i.showAt(t.clientX,t.clientY,s);const n=s.getBoundingClientRect();i.showAt(b()?n.right:n.left,n.bottom,s)}}R.on(document,qe,Ze,ui.dataApiKeydownHandler),R.on(document,qe,si,ui.dataApiKeydownHandler),R.on(document,Ve,ui.clearMenus),R.on(document,We,ui.clearMenus),R.on(document,Ke,ui.clearMenus),R.on(document,Ke,ti,ui.dataApiContextMenuHandler),R.on(document,qe,ti,ui.dataApiContextMenuHandler),R.on(document,Ke,si,function(t){Y.find(ii).some(t=>{const e=ui.getInstance(t);return e&&e._virtualReference&&e._menu===this})&&t.preventDefault()}),R.on(document,Ve,Ze,function(t){t.preventDefault(),ui.getOrCreateInstance(this).toggle()}),R.on(document,Ye,".dropdown-menu .dropdown-item",function(){const t=this.closest(si);if(!t.classList.contains(Je))return;const e=this.matches(Ze);for(const e of Y.find(ii,t)){const i=ui.getInstance(e);i&&e!==this&&i._parentMenu===t&&i.hide()}e&&ui.getOrCreateInstance(this).show()}),v(ui);const _i="backdrop",gi="show",mi=`mousedown.bs.${_i}`,fi={className:"modal-backdrop",clickCallback:null,isAnimated:!1,isVisible:!0,rootElement:"body"},pi={className:"string",clickCallback:"(function|null)",isAnimated:"boolean",isVisible:"boolean",rootElement:"(element|string)"};class bi extends V{constructor(t){super(),this._config=this._getConfig(t),this._isAppended=!1,this._element=null,this._opacity=null}static get Default(){return fi}static get DefaultType(){return pi}static get NAME(){return _i}show(t){if(!this._config.isVisible)return void y(t);this._append();const e=this._getElement();this._config.isAnimated&&g(e),e.classList.add(gi),this._emulateAnimation(()=>{y(t)})}hide(t){this._config.isVisible?(this._getElement().classList.remove(gi),this._emulateAnimation(()=>{this.dispose(),y(t)})):y(t)}track(t){if(!this._config.isVisible)return;const e=this._getElement();if(null===t)return this._opacity=null,e.style.transition="",void(e.style.opacity="");this._append(),e.style.transition="none",e.classList.add(gi),null===this._opacity&&(this._opacity=Number.parseFloat(getComputedStyle(e).opacity)),e.style.opacity=this._opacity*t}dispose(){this._isAppended&&(R.off(this._element,mi),this._element.remove(),this._isAppended=!1)}_getElement(){if(!this._element){const t=document.createElement("div");t.className=this._config.className,this._config.isAnimated&&t.classList.add("fade"),this._element=t}return this._element}_configAfterMerge(t){return t.rootElement=h(t.rootElement),t}_append(){if(this._isAppended)return;const t=this._getElement();this._config.rootElement.append(t),R.on(t,mi,()=>{y(this._config.clickCallback)}),this._isAppended=!0}_emulateAnimation(t){w(t,this._getElement(),this._config.isAnimated)}}const vi=".bs.focustrap",yi=`focusin${vi}`,wi=`keydown.tab${vi}`,Ai="backward",Ci={autofocus:!0,trapElement:null},Ei={autofocus:"boolean",trapElement:"element"};class Ti extends V{constructor(t){super(),this._config=this._getConfig(t),this._isActive=!1,this._lastTabNavDirection=null}static get Default(){return Ci}static get DefaultType(){return Ei}static get NAME(){return"focustrap"}activate(){this._isActive||(this._config.autofocus&&this._config.trapElement.focus(),R.off(document,vi),R.on(document,yi,t=>this._handleFocusin(t)),R.on(document,wi,t=>this._handleKeydown(t)),this._isActive=!0)}deactivate(){this._isActive&&(this._isActive=!1,R.off(document,vi))}_handleFocusin(t){const{trapElement:e}=this._config;if(t.target===document||t.target===e||e.contains(t.target))return;const i=Y.focusableChildren(e);0===i.length?e.focus():this._lastTabNavDirection===Ai?i[i.length-1].focus():i[0].focus()}_handleKeydown(t){"Tab"===t.key&&(this._lastTabNavDirection=t.shiftKey?Ai:"forward")}}const xi=".fixed-top, .fixed-bottom, .is-fixed, .sticky-top",Ii=".sticky-top",Li="padding-right",Si="margin-right";class ki{constructor(){this._element=document.body}getWidth(){const t=document.documentElement.clientWidth;return Math.abs(window.innerWidth-t)}hide(){const t=this.getWidth();this._disableOverFlow(),this._setElementAttributes(this._element,Li,e=>e+t),this._setElementAttributes(xi,Li,e=>e+t),this._setElementAttributes(Ii,Si,e=>e-t)}reset(){this._resetElementAttributes(this._element,"overflow"),this._resetElementAttributes(this._element,Li),this._resetElementAttributes(xi,Li),this._resetElementAttributes(Ii,Si)}isOverflowing(){return this.getWidth()>0}_disableOverFlow(){this._saveInitialAttribute(this._element,"overflow"),this._element.style.overflow="hidden"}_setElementAttributes(t,e,i){const s=this.getWidth();this._applyManipulationCallback(t,t=>{if(t!==this._element&&window.innerWidth>t.clientWidth+s)return;this._saveInitialAttribute(t,e);const n=window.getComputedStyle(t).getPropertyValue(e);t.style.setProperty(e,`${i(Number.parseFloat(n))}px`)})}_saveInitialAttribute(t,e){const i=t.style.getPropertyValue(e);i&&B.setDataAttribute(t,e,i)}_resetElementAttributes(t,e){this._applyManipulationCallback(t,t=>{const i=B.getDataAttribute(t,e);null!==i?(B.removeDataAttribute(t,e),t.style.setProperty(e,i)):t.style.removeProperty(e)})}_applyManipulationCallback(t,e){if(l(t))e(t);else for(const i of Y.find(t,this._element))e(i)}}const $i="modal",Mi=".bs.modal",Oi=`hide${Mi}`,Pi=`hidePrevented${Mi}`,Di=`hidden${Mi}`,Ni=`show${Mi}`,zi=`shown${Mi}`,Ri=`resize${Mi}`,Hi=`click.dismiss${Mi}`,Fi=`mousedown.dismiss${Mi}`,ji=`keydown.dismiss${Mi}`,Bi=`click${Mi}.data-api`,Vi="modal-open",qi="show",Wi="modal-static",Yi={backdrop:!0,focus:!0,keyboard:!0,stack:!1},Ki={backdrop:"(boolean|string)",focus:"boolean",keyboard:"boolean",stack:"boolean"},Qi=[],Ui={push:t=>(Qi.push(t),Qi.length-1),remove(t){const e=Qi.indexOf(t);-1!==e&&Qi.splice(e,1)},top:()=>Qi[Qi.length-1]||null,isTop(t){return this.top()===t},size:()=>Qi.length};class Xi extends q{constructor(t,e){super(t,e),this._dialog=Y.findOne(".modal-dialog",this._element),this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._isShown=!1,this._isTransitioning=!1,this._scrollBar=new ki,this._previousActiveElement=null,this._addEventListeners()}static get Default(){return Yi}static get DefaultType(){return Ki}static get NAME(){return $i}toggle(t){return this._isShown?this.hide():this.show(t)}show(t){this._isShown||this._isTransitioning||R.trigger(this._element,Ni,{relatedTarget:t}).defaultPrevented||(this._isShown=!0,this._isTransitioning=!0,this._pushToStack(),this._adjustDialog(),this._backdrop.show(()=>this._showElement(t)))}hide(){this._isShown&&!this._isTransitioning&&(R.trigger(this._element,Oi).defaultPrevented||(this._isShown=!1,this._isTransitioning=!0,this._focustrap.deactivate(),this._element.classList.remove(qi),this._queueCallback(()=>this._hideModal(),this._element,this._isAnimated())))}showAsync(t){return this._transitionAsync(()=>this.show(t),Ni,zi,Oi)}hideAsync(){return this._transitionAsync(()=>this.hide(),Oi,Di,Ni)}dispose(){Ui.remove(this),R.off(window,Mi),R.off(this._dialog,Mi),this._backdrop.dispose(),this._focustrap.deactivate(),super.dispose()}handleUpdate(){this._adjustDialog()}_initializeBackDrop(){return new bi({isVisible:Boolean(this._config.backdrop),isAnimated:this._isAnimated()})}_initializeFocusTrap(){return new Ti({trapElement:this._element})}_showElement(t){document.body.contains(this._element)||document.body.append(this._element),this._element.style.display="block",this._element.removeAttribute("aria-hidden"),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.scrollTop=0;const e=Y.findOne(".modal-body",this._dialog);e&&(e.scrollTop=0),g(this._element),this._element.classList.add(qi),this._queueCallback(()=>{this._config.focus&&this._focustrap.activate(),this._isTransitioning=!1,R.trigger(this._element,zi,{relatedTarget:t})},this._dialog,this._isAnimated())}_addEventListeners(){R.on(this._element,ji,t=>{"Escape"===t.key&&Ui.isTop(this)&&(this._config.keyboard?this.hide():this._triggerBackdropTransition())}),R.on(window,Ri,()=>{this._isShown&&!this._isTransitioning&&this._adjustDialog()}),R.on(this._element,Fi,t=>{R.one(this._element,Hi,e=>{this._element===t.target&&this._element===e.target&&Ui.isTop(this)&&("static"!==this._config.backdrop?this._config.backdrop&&this.hide():this._triggerBackdropTransition())})})}_hideModal(){this._element.style.display="none",this._element.setAttribute("aria-hidden",!0),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._isTransitioning=!1,this._backdrop.hide(()=>{this._resetAdjustments(),this._popFromStack(),R.trigger(this._element,Di)})}_pushToStack(){const t=Ui.top(),e=Ui.push(this);if(!t)return this._scrollBar.hide(),void document.body.classList.add(Vi);this._previousActiveElement=document.activeElement,t._focustrap.deactivate();const i=Number.parseInt(getComputedStyle(t._element).zIndex,10)||1055+20*(e-1);this._element.style.zIndex=i+20,this._backdrop._getElement().style.zIndex=i+10}_popFromStack(){Ui.remove(this),this._element.style.zIndex="",this._backdrop._getElement().style.zIndex="";const t=Ui.top();if(!t)return document.body.classList.remove(Vi),void this._scrollBar.reset();t._config.focus&&t._focustrap.activate(),this._previousActiveElement&&t._element.contains(this._previousActiveElement)&&this._previousActiveElement.focus(),this._previousActiveElement=null}_isAnimated(){return this._element.classList.contains("fade")}_triggerBackdropTransition(){if(R.trigger(this._element,Pi).defaultPrevented)return;const t=this._element.scrollHeight>document.documentElement.clientHeight,e=this._element.style.overflowY;"hidden"===e||this._element.classList.contains(Wi)||(t||(this._element.style.overflowY="hidden"),this._element.classList.add(Wi),this._queueCallback(()=>{this._element.classList.remove(Wi),this._queueCallback(()=>{this._element.style.overflowY=e},this._dialog)},this._dialog),this._element.focus())}_adjustDialog(){const t=this._element.scrollHeight>document.documentElement.clientHeight,e=this._scrollBar.getWidth(),i=e>0;if(i&&!t){const t=b()?"paddingLeft":"paddingRight";this._element.style[t]=`${e}px`}if(!i&&t){const t=b()?"paddingRight":"paddingLeft";this._element.style[t]=`${e}px`}}_resetAdjustments(){this._element.style.paddingLeft="",this._element.style.paddingRight=""}static confirm(t){return new Uo(t).open()}static prompt(t){return new Uo({...t,input:!0}).open()}static jQueryInterface(t,e){return this.each(function(){const i=Xi.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===i[t])throw new TypeError(`No method named "${t}"`);i[t](e)}})}}R.on(document,Bi,'[data-bs-toggle="modal"]',function(t){const e=Y.getElementFromSelector(this);["A","AREA"].includes(this.tagName)&&t.preventDefault(),R.one(e,Ni,t=>{t.defaultPrevented||R.one(e,Di,()=>{c(this)&&this.focus()})});const i=Xi.getOrCreateInstance(e),s=Ui.top();s&&s!==i&&!i._config.stack&&s.hide(),i.toggle(this)}),K(Xi),v(Xi);const Gi="offcanvas",Ji=".bs.offcanvas",Zi=".data-api",ts=`load${Ji}${Zi}`,es="show",is="showing",ss="hiding",ns=["start","end","top","bottom"],os=".offcanvas.show",rs=`show${Ji}`,as=`shown${Ji}`,ls=`hide${Ji}`,hs=`hidePrevented${Ji}`,cs=`hidden${Ji}`,ds=`resize${Ji}`,us=`click${Ji}${Zi}`,_s=`keydown.dismiss${Ji}`,gs={backdrop:!0,edgeSwipe:!1,edgeSwipeWidth:20,keyboard:!0,scroll:!1,swipe:!0,swipeThreshold:.4},ms={backdrop:"(boolean|string)",edgeSwipe:"boolean",edgeSwipeWidth:"number",keyboard:"boolean",scroll:"boolean",swipe:"boolean",swipeThreshold:"number"};class fs extends q{constructor(t,e){super(t,e),this._isShown=!1,this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._drag=null,this._gesture=null,this._edge=null,this._edgeGesture=null,this._resizeHandler=null,this._addEventListeners(),this._initializeGestures()}static get Default(){return gs}static get DefaultType(){return ms}static get NAME(){return Gi}toggle(t){return this._isShown?this.hide():this.show(t)}show(t){this._isShown||R.trigger(this._element,rs,{relatedTarget:t}).defaultPrevented||(this._isShown=!0,this._updateEdge(),this._backdrop.show(),this._config.scroll||(new ki).hide(),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.classList.add(is),this._queueCallback(()=>{this._config.scroll&&!this._config.backdrop||this._focustrap.activate(),this._element.classList.add(es),this._element.classList.remove(is),R.trigger(this._element,as,{relatedTarget:t})},this._element,!0))}hide(){this._isShown&&(R.trigger(this._element,ls).defaultPrevented||(this._focustrap.deactivate(),this._element.blur(),this._isShown=!1,this._element.classList.add(ss),this._backdrop.hide(),this._queueCallback(()=>{this._element.classList.remove(es,ss),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._config.scroll||(new ki).reset(),this._updateEdge(),R.trigger(this._element,cs)},this._element,!0)))}showAsync(t){return this._transitionAsync(()=>this.show(t),rs,as,ls)}hideAsync(){return this._transitionAsync(()=>this.hide(),ls,cs,rs)}dispose(){this._backdrop.dispose(),this._focustrap.deactivate(),this._gesture&&this._gesture.dispose(),this._edgeGesture&&(this._edgeGesture.dispose(),this._edge.remove(),R.off(window,ds,this._resizeHandler)),super.dispose()}_initializeBackDrop(){const t=Boolean(this._config.backdrop);return new bi({className:"offcanvas-backdrop",isVisible:t,isAnimated:!0,rootElement:this._element.parentNode,clickCallback:t?()=>{"static"!==this._config.backdrop?this.hide():R.trigger(this._element,hs)}:null})}_initializeFocusTrap(){return new Ti({trapElement:this._element})}_addEventListeners(){R.on(this._element,_s,t=>{"Escape"===t.key&&(this._config.keyboard?this.hide():R.trigger(this._element,hs))})}_initializeGestures(){const t=this._getPlacement();if(!t)return;const e=e=>({panStartCallback:t=>this._startDrag(t,e),panMoveCallback:t=>this._moveDrag(t),panEndCallback:t=>this._endDrag(t),touchAction:t.isHorizontal?"pan-y":"pan-x"});this._config.swipe&&(this._gesture=new ft(this._element,e(!1))),this._config.edgeSwipe&&(this._edge=this._createEdge(t),this._edgeGesture=new ft(this._edge,{...e(!0),touchAction:"none"}),this._resizeHandler=()=>this._updateEdge(),R.on(window,ds,this._resizeHandler),this._updateEdge())}_createEdge({isHorizontal:t,direction:e}){const i=document.createElement("div");i.className="offcanvas-edge",i.style.position="fixed";const s=Number.parseInt(getComputedStyle(this._element).zIndex,10);return Number.isNaN(s)||(i.style.zIndex=s-6),i.style[t?"width":"height"]=`${this._config.edgeSwipeWidth}px`,i.style[t?"top":"left"]="0",i.style[t?"bottom":"right"]="0",t?i.style[e<0?"left":"right"]="0":i.style[e<0?"top":"bottom"]="0",this._element.before(i),i}_updateEdge(){if(!this._edge)return;const t=!this._isShown&&"fixed"===getComputedStyle(this._element).position;this._edge.style.display=t?"":"none"}_getPlacement(){const t=ns.find(t=>this._element.classList.contains(`${Gi}-${t}`));if(!t)return null;const e="start"===t||"end"===t;return{isHorizontal:e,direction:("start"===t||"top"===t)!==(e&&b())?-1:1}}_startDrag(t,e){const i=this._getPlacement();!i||e===this._isShown||this._element.classList.contains(is)||this._element.classList.contains(ss)||i.isHorizontal===Math.abs(t.deltaX)>Math.abs(t.deltaY)&&(e&&"fixed"!==getComputedStyle(this._element).position||(this._drag={...i,isOpening:e,openness:e?0:1,size:i.isHorizontal?this._element.offsetWidth:this._element.offsetHeight},this._element.style.transition="none",e&&(this._element.style.visibility="visible"),this._moveDrag(t)))}_moveDrag(t){if(!this._drag)return;const{isHorizontal:e,direction:i,isOpening:s,size:n}=this._drag,o=i*(e?t.deltaX:t.deltaY),r=Math.min(Math.max(s?n+o:o,0),n);this._drag.openness=n?1-r/n:1,this._element.style.transform=`translate${e?"X":"Y"}(${i*r}px)`,this._backdrop.track(this._drag.openness)}_endDrag(t){if(!this._drag)return;const{isHorizontal:e,direction:i,isOpening:s,openness:n}=this._drag;this._drag=null;const o=i*(e?t.velocityX:t.velocityY);let r=s?n>this._config.swipeThreshold:n>1-this._config.swipeThreshold;Math.abs(o)>=.3&&(r=o<0),t.isCancelled&&(r=!s),r&&!this._isShown?this.show():!r&&this._isShown&&this.hide(),this._element.style.transition="",this._element.style.transform="",this._element.style.visibility="",this._backdrop.track(null),s&&!this._isShown&&(this._element.classList.add(ss),this._backdrop.hide(),this._queueCallback(()=>this._element.classList.remove(ss),this._element,!0))}static jQueryInterface(t){return this.each(function(){const e=fs.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t](this)}})}}R.on(document,us,'[data-bs-toggle="offcanvas"]',function(t){const e=Y.getElementFromSelector(this);if(["A","AREA"].includes(this.tagName)&&t.preventDefault(),d(this))return;R.one(e,cs,()=>{c(this)&&this.focus()});const i=Y.findOne(os);i&&i!==e&&fs.getInstance(i).hide(),fs.getOrCreateInstance(e).toggle(this)}),R.on(window,ts,()=>{for(const t of Y.find(os))fs.getOrCreateInstance(t).show();for(const t of Y.find(".offcanvas[data-bs-edge-swipe]"))fs.getOrCreateInstance(t)}),R.on(window,ds,()=>{for(const t of Y.find("[aria-modal][class*=show][class*=offcanvas-]"))"fixed"!==getComputedStyle(t).position&&fs.getOrCreateInstance(t).hide()}),K(fs),v(fs);const ps={"*":["class","dir","id","lang","role",/^aria-[\w-]*$/i],a:["target","href","title","rel"],area:[],b:[],br:[],col:[],code:[],dd:[],div:[],dl:[],dt:[],em:[],hr:[],h1:[],h2:[],h3:[],h4:[],h5:[],h6:[],i:[],img:["src","srcset","alt","title","width","height"],li:[],ol:[],p:[],pre:[],s:[],small:[],span:[],sub:[],sup:[],strong:[],u:[],ul:[]},bs=new Set(["background","cite","href","itemtype","longdesc","poster","src","xlink:href"]),vs=/^(?!javascript:)(?:[a-z0-9+.-]+:|[^&:/?#]*(?:[/?#]|$))/i,ys=(t,e)=>{const i=t.nodeName.toLowerCase();return e.includes(i)?!bs.has(i)||Boolean(vs.test(t.nodeValue)):e.filter(t=>t instanceof RegExp).some(t=>t.test(i))};function ws(t,e,i){if(!t.length)return t;if(i&&"function"==typeof i)return i(t);const s=(new window.DOMParser).parseFromString(t,"text/html"),n=[].concat(...s.body.querySelectorAll("*"));for(const t of n){const i=t.nodeName.toLowerCase();if(!Object.keys(e).includes(i)){t.remove();continue}const s=[].concat(...t.attributes),n=[].concat(e["*"]||[],e[i]||[]);for(const e of s)ys(e,n)||t.removeAttribute(e.nodeName)}return s.body.innerHTML}const As={allowList:ps,content:{},extraClass:"",html:!1,sanitize:!0,sanitizeFn:null,template:"<div></div>"},Cs={allowList:"object",content:"object",extraClass:"(string|function)",html:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},Es={entry:"(string|element|function|null)",selector:"(string|element)"};class Ts extends V{constructor(t){super(),this._config=this._getConfig(t)}static get Default(){return As}static get DefaultType(){return Cs}static get NAME(){return"TemplateFactory"}getContent(){return Object.values(this._config.content).map(t=>this._resolvePossibleFunction(t)).filter(Boolean)}hasContent(){return this.getContent().length>0}changeContent(t){return this._checkContent(t),this._config.content={...this._config.content,...t},this}toHtml(){const t=document.createElement("div");t.innerHTML=this._maybeSanitize(this._config.template);for(const[e,i]of Object.entries(this._config.content))this._setContent(t,i,e);const e=t.children[0],i=this._resolvePossibleFunction(this._config.extraClass);return i&&e.classList.add(...i.split(" ")),e}_typeCheckConfig(t){super._typeCheckConfig(t),this._checkContent(t.content)}_checkContent(t){for(const[e,i]of Object.entries(t))super._typeCheckConfig({selector:e,entry:i},Es)}_setContent(t,e,i){const s=Y.findOne(i,t);s&&((e=this._resolvePossibleFunction(e))?l(e)?this._putElementInTemplate(h(e),s):this._config.html?s.innerHTML=this._maybeSanitize(e):s.textContent=e:s.remove())}_maybeSanitize(t){return this._config.sanitize?ws(t,this._config.allowList,this._config.sanitizeFn):t}_resolvePossibleFunction(t){return y(t,[this])}_putElementInTemplate(t,e){if(this._config.html)return e.innerHTML="",void e.append(t);e.textContent=t.textContent}}const xs=new Set(["sanitize","allowList","sanitizeFn"]),Is="fade",Ls="show",Ss=".tooltip-inner",ks=".modal",$s="hide.bs.modal",Ms="hover",Os="focus",Ps="tipHover",Ds="tipFocus",Ns="hide",zs="hidden",Rs="show",Hs="shown",Fs="focusin",js="focusout",Bs="mouseenter",Vs="mouseleave",qs={AUTO:"auto",TOP:"top",RIGHT:b()?"left":"right",BOTTOM:"bottom",LEFT:b()?"right":"left"},Ws={allowList:ps,animation:!0,boundary:"clippingParents",container:!1,customClass:"",delay:0,fallbackPlacements:["top","right","bottom","left"],html:!1,interactive:!1,interactiveDelay:100,loadingContent:"Loading…",offset:[0,6],placement:"top",popperConfig:null,sanitize:!0,sanitizeFn:null,selector:!1,template:'<div class="tooltip" role="tooltip"><div class="tooltip-arrow"></div><div class="tooltip-inner"></div></div>',title:"",trigger:"hover focus",url:null},Ys={allowList:"object",animation:"boolean",boundary:"(string|element)",container:"(string|element|boolean)",customClass:"(string|function)",delay:"(number|object)",fallbackPlacements:"array",html:"boolean",interactive:"boolean",interactiveDelay:"number",loadingContent:"(string|element)",offset:"(array|string|function)",placement:"(string|function)",popperConfig:"(null|object|function)",sanitize:"boolean",sanitizeFn:"(null|function)",selector:"(string|boolean)",template:"string",title:"(string|element|function)",trigger:"string",url:"(null|string)"};class Ks extends q{constructor(e,i){if(void 0===t)throw new TypeError("Bootstrap's tooltips require Popper (https://popper.js.org)");super(e,i),this._isEnabled=!0,this._timeout=0,this._isHovered=null,this._activeTrigger={},this._popper=null,this._templateFactory=null,this._newContent=null,this._contentCache=new Map,this._contentRequests=new Map,this.tip=null,this._setListeners(),this._config.selector||this._fixTitle()}static get Default(){return Ws}static get DefaultType(){return Ys}static get NAME(){return"tooltip"}enable(){this._isEnabled=!0}disable(){this._isEnabled=!1}toggleEnabled(){this._isEnabled=!this._isEnabled}toggle(){this._isEnabled&&(this._activeTrigger.click=!this._activeTrigger.click,this._isShown()?this._leave():this._enter())}dispose(){clearTimeout(this._timeout),this._abortContentRequests(),R.off(this._element.closest(ks),$s,this._hideModalHandler),this._element.getAttribute("data-bs-original-title")&&this._element.setAttribute("title",this._element.getAttribute("data-bs-original-title")),this._disposePopper(),super.dispose()}show(){if("none"===this._element.style.display)throw new Error("Please use show on visible elements");if(!this._isWithContent()||!this._isEnabled)return;const t=R.trigger(this._element,this.constructor.eventName(Rs)),e=(u(this._element)||this._element.ownerDocument.documentElement).contains(this._element);if(t.defaultPrevented||!e)return;this._disposePopper();const i=this._getTipElement();this._element.setAttribute("aria-describedby",i.getAttribute("id"));const{container:s}=this._config;if(this._element.ownerDocument.documentElement.contains(this.tip)||(s.append(i),R.trigger(this._element,this.constructor.eventName("inserted"))),this._popper=this._createPopper(i),i.classList.add(Ls),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))R.on(t,"mouseover",_);this._queueCallback(()=>{R.trigger(this._element,this.constructor.eventName(Hs)),!1===this._isHovered&&this._leave(),this._isHovered=!1},this.tip,this._isAnimated())}hide(){if(this._isShown()&&!R.trigger(this._element,this.constructor.eventName(Ns)).defaultPrevented){if(this._abortContentRequests(),this._getTipElement().classList.remove(Ls),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))R.off(t,"mouseover",_);this._activeTrigger.click=!1,this._activeTrigger[Os]=!1,this._activeTrigger[Ms]=!1,this._activeTrigger[Ps]=!1,this._activeTrigger[Ds]=!1,this._isHovered=null,this._queueCallback(()=>{this._isWithActiveTrigger()?this._cancelTransitions(this.constructor.eventName(zs)):(this._isHovered||this._disposePopper(),this._element.removeAttribute("aria-describedby"),R.trigger(this._element,this.constructor.eventName(zs)))},this.tip,this._isAnimated())}}showAsync(){return this._transitionAsync(()=>this.show(),this.constructor.eventName(Rs),this.constructor.eventName(Hs),this.constructor.eventName(Ns),()=>this._isShown())}hideAsync(){return this._transitionAsync(()=>this.hide(),this.constructor.eventName(Ns),this.constructor.eventName(zs),this.constructor.eventName(Rs))}update(){this._popper&&this._popper.update()}_isWithContent(){return Boolean(this._getTitle())}_getTipElement(){return this.tip||(this.tip=this._createTipElement(this._newContent||this._getContentForTemplate())),this.tip}_createTipElement(t){const e=this._getTemplateFactory(t).toHtml();if(!e)return null;e.classList.remove(Is,Ls),e.classList.add(`bs-${this.constructor.NAME}-auto`);const i=r(this.constructor.NAME).toString();return e.setAttribute("id",i),this._isAnimated()&&e.classList.add(Is),this._config.interactive&&this._setTipListeners(e),e}setContent(t){this._newContent=t,this._isShown()&&(this._disposePopper(),this.show())}_getTemplateFactory(t){return this._templateFactory?this._templateFactory.changeContent(t):this._templateFactory=new Ts({...this._config,content:t,extraClass:this._resolvePossibleFunction(this._config.customClass)}),this._templateFactory}_getContentForTemplate(){return{[Ss]:this._getTitle()}}_getTitle(){return this._resolveContent("title",this._config.title)||this._element.getAttribute("data-bs-original-title")}_getUrlOption(){return"title"}_resolveContent(t,e){if(this._contentCache.has(t))return this._contentCache.get(t);if(this._contentRequests.has(t))return this._config.loadingContent;const i=new AbortController,s=y(e,[this._element,i.signal]);return s&&"function"==typeof s.then?(this._contentRequests.set(t,i),s.then(e=>{i.signal.aborted||(this._contentRequests.delete(t),this._contentCache.set(t,e),this._isWithActiveTrigger()||(this._isHovered=null),this.setContent(this._getContentForTemplate()))},()=>{i.signal.aborted||(this._contentRequests.delete(t),this.hide())}),this._config.loadingContent):s}_abortContentRequests(){for(const t of this._contentRequests.values())t.abort();this._contentRequests.clear()}_initializeOnDelegatedTarget(t){return this.constructor.getOrCreateInstance(t.delegateTarget,this._getDelegateConfig())}_isAnimated(){return this._config.animation||this.tip&&this.tip.classList.contains(Is)}_isShown(){return this.tip&&this.tip.classList.contains(Ls)}_createPopper(e){const i=y(this._config.placement,[this,e,this._element]),s=qs[i.toUpperCase()];return t.createPopper(this._element,e,this._getPopperConfig(s))}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map(t=>Number.parseInt(t,10)):"function"==typeof t?e=>t(e,this._element):t}_resolvePossibleFunction(t){return y(t,[this._element])}_getPopperConfig(t){const e={placement:t,modifiers:[{name:"flip",options:{fallbackPlacements:this._config.fallbackPlacements}},{name:"offset",options:{offset:this._getOffset()}},{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"arrow",options:{element:`.${this.constructor.NAME}-arrow`}},{name:"preSetPlacement",enabled:!0,phase:"beforeMain",fn:t=>{this._getTipElement().setAttribute("data-popper-placement",t.state.placement)}}]};return{...e,...y(this._config.popperConfig,[e])}}_setListeners(){const t=this._config.trigger.split(" ");for(const e of t)if("click"===e)R.on(this._element,this.constructor.eventName("click"),this._config.selector,t=>{this._initializeOnDelegatedTarget(t).toggle()});else if("manual"!==e){const t=e===Ms?this.constructor.eventName(Bs):this.constructor.eventName(Fs),i=e===Ms?this.constructor.eventName(Vs):this.constructor.eventName(js);R.on(this._element,t,this._config.selector,t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusin"===t.type?Os:Ms]=!0,e._enter()}),R.on(this._element,i,this._config.selector,t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusout"===t.type?Os:Ms]=e._element.contains(t.relatedTarget),e._leave()})}this._hideModalHandler=()=>{this._element&&this.hide()},R.on(this._element.closest(ks),$s,this._hideModalHandler)}_setTipListeners(t){R.on(t,this.constructor.eventName(Bs),()=>{this._activeTrigger[Ps]=!0,this._enter()}),R.on(t,this.constructor.eventName(Vs),e=>{this._activeTrigger[Ps]=t.contains(e.relatedTarget),this._leave()}),R.on(t,this.constructor.eventName(Fs),()=>{this._activeTrigger[Ds]=!0,this._enter()}),R.on(t,this.constructor.eventName(js),e=>{this._activeTrigger[Ds]=t.contains(e.relatedTarget),this._leave()})}_fixTitle(){const t=this._element.getAttribute("title");t&&(this._element.getAttribute("aria-label")||this._element.textContent.trim()||this._element.setAttribute("aria-label",t),this._element.setAttribute("data-bs-original-title",t),this._element.removeAttribute("title"))}_enter(){this._isShown()||this._isHovered?this._isHovered=!0:(this._isHovered=!0,this._setTimeout(()=>{this._isHovered&&this.show()},this._config.delay.show))}_leave(){if(this._isWithActiveTrigger())return;this._isHovered=!1;const t=this._config.interactive?Math.max(this._config.delay.hide,this._config.interactiveDelay):this._config.delay.hide;this._setTimeout(()=>{this._isHovered||this.hide()},t)}_setTimeout(t,e){clearTimeout(this._timeout),this._timeout=setTimeout(t,e)}_isWithActiveTrigger(){return Object.values(this._activeTrigger).includes(!0)}_getConfig(t){const e=B.getDataAttributes(this._element);for(const t of Object.keys(e))xs.has(t)&&delete e[t];return t={...e,..."object"==typeof t&&t?t:{}},t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){if(t.container=!1===t.container?document.body:h(t.container),"number"==typeof t.delay&&(t.delay={show:t.delay,hide:t.delay}),"number"==typeof t.title&&(t.title=t.title.toString()),"number"==typeof t.content&&(t.content=t.content.toString()),t.url){const{url:e}=t;t[this._getUrlOption()]=(t,i)=>fetch(e,{signal:i}).then(t=>{if(!t.ok)throw new Error(`${this.constructor.NAME.toUpperCase()}: Request to "${e}" failed with status ${t.status}.`);return t.text()})}return t}_getDelegateConfig(){const t={};for(const[e,i]of Object.entries(this._config))this.constructor.Default[e]!==i&&(t[e]=i);return t.selector=!1,t.trigger="manual",t}_disposePopper(){this._popper&&(this._popper.destroy(),this._popper=null),this.tip&&(R.off(this.tip,this.constructor.EVENT_KEY),this.tip.remove(),this.tip=null)}static jQueryInterface(t){return this.each(function(){const e=Ks.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}})}}v(Ks);const Qs=".popover-header",Us=".popover-body",Xs={...Ks.Default,content:"",offset:[0,8],placement:"right",template:'<div class="popover" role="tooltip"><div class="popover-arrow"></div><h3 class="popover-header"></h3><div class="popover-body"></div></div>',trigger:"click"},Gs={...Ks.DefaultType,content:"(null|string|element|function)"};class Js extends Ks{static get Default(){return Xs}static get DefaultType(){return Gs}static get NAME(){return"popover"}_isWithContent(){return this._getTitle()||this._getContent()}_getContentForTemplate(){return{[Qs]:this._getTitle(),[Us]:this._getContent()}}_getContent(){return this._resolveContent("content",this._config.content)}_getUrlOption(){return"content"}static jQueryInterface(t){return this.each(function(){const e=Js.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}})}}v(Js);const Zs=".bs.scrollspy",tn=`activate${Zs}`,en=`click${Zs}`,sn=`load${Zs}.data-api`,nn="active",on="[href]",rn=".nav-link",an=`${rn}, .nav-item > ${rn}, .list-group-item`,ln={offset:null,rootMargin:"0px 0px -25%",smoothScroll:!1,target:null,threshold:[.1,.5,1]},hn={offset:"(number|null)",rootMargin:"string",smoothScroll:"boolean",target:"element",threshold:"array"};class cn extends q{constructor(t,e){super(t,e),this._targetLinks=new Map,this._observableSections=new Map,this._rootElement="visible"===getComputedStyle(this._element).overflowY?null:this._element,this._activeTarget=null,this._observer=null,this._previousScrollData={visibleEntryTop:0,parentScrollTop:0},this.refresh()}static get Default(){return ln}static get DefaultType(){return hn}static get NAME(){return"scrollspy"}refresh(){this._initializeTargetsAndObservables(),this._maybeEnableSmoothScroll(),this._observer?this._observer.disconnect():this._observer=this._getNewObserver();for(const t of this._observableSections.values())this._observer.observe(t)}dispose(){this._observer.disconnect(),super.dispose()}_configAfterMerge(t){return t.target=h(t.target)||document.body,t.rootMargin=t.offset?`${t.offset}px 0px -30%`:t.rootMargin,"string"==typeof t.threshold&&(t.threshold=t.threshold.split(",").map(t=>Number.parseFloat(t))),t}_maybeEnableSmoothScroll(){this._config.smoothScroll&&(R.off(this._config.target,en),R.on(this._config.target,en,on,t=>{const e=this._observableSections.get(t.target.hash);if(e){t.preventDefault();const i=this._rootElement||window,s=e.offsetTop-this._element.offsetTop;if(i.scrollTo)return void i.scrollTo({top:s,behavior:"smooth"});i.scrollTop=s}}))}_getNewObserver(){const t={root:this._rootElement,threshold:this._config.threshold,rootMargin:this._config.rootMargin};return new IntersectionObserver(t=>this._observerCallback(t),t)}_observerCallback(t){const e=t=>this._targetLinks.get(`#${t.target.id}`),i=t=>{this._previousScrollData.visibleEntryTop=t.target.offsetTop,this._process(e(t))},s=(this._rootElement||document.documentElement).scrollTop,n=s>=this._previousScrollData.parentScrollTop;this._previousScrollData.parentScrollTop=s;for(const o of t){if(!o.isIntersecting){this._activeTarget=null,this._clearActiveClass(e(o));continue}const t=o.target.offsetTop>=this._previousScrollData.visibleEntryTop;if(n&&t){if(i(o),!s)return}else n||t||i(o)}}_initializeTargetsAndObservables(){this._targetLinks=new Map,this._observableSections=new Map;const t=Y.find(on,this._config.target);for(const e of t){if(!e.hash||d(e))continue;const t=Y.findOne(decodeURI(e.hash),this._element);c(t)&&(this._targetLinks.set(decodeURI(e.hash),e),this._observableSections.set(e.hash,t))}}_process(t){this._activeTarget!==t&&(this._clearActiveClass(this._config.target),this._activeTarget=t,t.classList.add(nn),this._activateParents(t),R.trigger(this._element,tn,{relatedTarget:t}))}_activateParents(t){if(t.classList.contains("dropdown-item"))Y.findOne(".dropdown-toggle",t.closest(".dropdown")).classList.add(nn);else for(const e of Y.parents(t,".nav, .list-group"))for(const t of Y.prev(e,an))t.classList.add(nn)}_clearActiveClass(t){t.classList.remove(nn);const e=Y.find(`${on}.${nn}`,t);for(const t of e)t.classList.remove(nn)}static jQueryInterface(t){return this.each(function(){const e=cn.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}R.on(window,sn,()=>{for(const t of Y.find('[data-bs-spy="scroll"]'))cn.getOrCreateInstance(t)}),v(cn);const dn=".bs.tab",un=`hide${dn}`,_n=`hidden${dn}`,gn=`show${dn}`,mn=`shown${dn}`,fn=`click${dn}`,pn=`keydown${dn}`,bn=`load${dn}`,vn=`popstate${dn}`,yn=`loaded${dn}`,wn=`loaderror${dn}`,An=`close${dn}`,Cn=`closed${dn}`,En=`moved${dn}`,Tn=`click${dn}`,xn=`dragstart${dn}`,In=`dragover${dn}`,Ln=`drop${dn}`,Sn=`dragend${dn}`,kn=`resize${dn}`,$n="ArrowLeft",Mn="ArrowRight",On="ArrowUp",Pn="ArrowDown",Dn="Home",Nn="End",zn="active",Rn="fade",Hn="show",Fn="dropdown",jn="nav-item",Bn="nav-link",Vn="d-none",qn=".dropdown-toggle",Wn=".dropdown-menu",Yn=`:not(${qn})`,Kn='.list-group, .nav, [role="tablist"]',Qn='[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]',Un=`.nav-link${Yn}, .list-group-item${Yn}, [role="tab"]${Yn}, ${Qn}`,Xn=`.${zn}[data-bs-toggle="tab"], .${zn}[data-bs-toggle="pill"], .${zn}[data-bs-toggle="list"]`,Gn="[data-bs-sync]",Jn="[data-bs-tab-overflow]",Zn="query",to={allowList:ps,closable:!1,closeLabel:"Close",history:"replace",loader:null,loadingText:"Loading…",moreLabel:"More",overflow:!1,reload:!1,reorderable:!1,sanitize:!0,sanitizeFn:null,sync:!1,syncParam:"tab"},eo={allowList:"object",closable:"boolean",closeLabel:"string",history:"string",loader:"(null|string|function)",loadingText:"string",moreLabel:"string",overflow:"boolean",reload:"boolean",reorderable:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",sync:"(boolean|string)",syncParam:"string"};let io=!1;const so=t=>t.includes("="),no=new WeakMap;let oo=null,ro=-1;const ao=t=>[...t.children].filter(t=>!t.matches(Jn)&&(t.matches(Un)||Y.findOne(Un,t))),lo=(t,e)=>{t.classList.toggle(jn,!e);const i=t.matches(Un)?t:Y.findOne(Un,t);i&&(i.classList.toggle(Bn,!e),i.classList.toggle("dropdown-item",e))},ho=t=>{const e=Y.findOne(`:scope > ${Jn}`,t);if(!e)return null;for(const t of ao(Y.findOne(Wn,e)))lo(t,!1),e.before(t);return e},co=t=>{const e=ho(t);if(!e)return;const i=Y.findOne(Wn,e);if(e.classList.add(Vn),t.scrollWidth>t.clientWidth){e.classList.remove(Vn);const s=ao(t);for(;s.length&&t.scrollWidth>t.clientWidth;){const t=s.pop();lo(t,!0),i.prepend(t)}}const s=Y.find(Un,i).some(t=>t.classList.contains(zn));Y.findOne(qn,e).classList.toggle(zn,s)},uo=()=>{const{hash:t}=window.location;if(!t||so(t))return null;try{return decodeURIComponent(t.slice(1))}catch(t){return null}};class _o extends q{constructor(t,e){super(t,e),this._parent=this._element.closest(Kn),this._parent&&(this._setInitialAttributes(this._parent,this._getChildren()),R.on(this._element,pn,t=>this._keydown(t)),this._isLoaded=!1,this._loadController=null,this._closeWrapper=null,this._config.loader&&this._elemIsActive(this._element)&&this._load(),this._closeButton=this._config.closable?this._createCloseButton():null,this._config.reorderable&&this._setDragListeners(),this._config.overflow&&((t,e)=>{if(Y.findOne(`:scope > ${Jn}`,t))return;const i=document.createElement("li");i.className=`${jn} ${Fn}`,i.setAttribute("data-bs-tab-overflow",""),i.setAttribute("role","presentation");const s=document.createElement("button");s.type="button",s.className=`${Bn} dropdown-toggle`,s.setAttribute("data-bs-toggle","dropdown"),s.setAttribute("aria-expanded","false"),s.textContent=e;const n=document.createElement("ul");n.className="dropdown-menu dropdown-menu-end",i.append(s,n),t.classList.add("flex-nowrap"),t.append(i),co(t)})(this._parent,this._config.moreLabel))}static get Default(){return to}static get DefaultType(){return eo}static get NAME(){return"tab"}show(){const t=this._element;if(this._elemIsActive(t))return;const e=this._getActiveElem(),i=e?R.trigger(e,un,{relatedTarget:t}):null;R.trigger(t,gn,{relatedTarget:e}).defaultPrevented||i&&i.defaultPrevented||(this._deactivate(e,t),this._activate(t,e),this._config.sync&&!io&&this._updateLocation(),!this._config.loader||this._loadController||this._isLoaded&&!this._config.reload||this._load())}close(){const t=this._element,e=this._parent,i=Y.getElementFromSelector(t);if(R.trigger(t,An,{relatedTarget:i}).defaultPrevented)return;const s=document.activeElement===t,n=this._getListItem();if(this._elemIsActive(t)){const e=this._getChildren().filter(e=>e===t||!d(e)),i=e.indexOf(t),s=e[i+1]||e[i-1];s&&_o.getOrCreateInstance(s).show()}n.remove(),i&&i.remove();const o=this._getActiveElem();s&&o&&o.focus(),R.trigger(t,Cn,{relatedTarget:i}),this.dispose(),co(e)}dispose(){if(this._abortLoad(),this._parent&&this._config.reorderable){const t=this._getListItem();R.off(t,dn),t.removeAttribute("draggable")}this._closeButton&&(R.off(this._closeButton,dn),this._closeButton.remove()),this._closeWrapper&&this._closeWrapper.replaceWith(this._element),super.dispose()}_mergeConfigObj(t,e){const i=t=>t?Object.fromEntries(Object.entries(B.getDataAttributes(t)).filter(([t])=>t in to)):{},s=l(e)?e.closest(Kn):null,n=l(e)?Y.getElementFromSelector(e):null,o=l(e)?B.getDataAttribute(e,"config"):{};return{...this.constructor.Default,...i(s),...i(n),..."object"==typeof o?o:{},...l(e)?B.getDataAttributes(e):{},..."object"==typeof t?t:{}}}_configAfterMerge(t){if("string"==typeof t.loader){const e=t.loader;t.loader=(t,i)=>fetch(e,{signal:i}).then(t=>{if(!t.ok)throw new Error(`${this.constructor.NAME.toUpperCase()}: Request to "${e}" failed with status ${t.status}.`);return t.text()})}return t}_load(){const t=Y.getElementFromSelector(this._element);if(!t)return;this._abortLoad();const e=new AbortController;this._loadController=e,t.setAttribute("aria-busy","true"),t.replaceChildren(this._createSpinner()),Promise.resolve().then(()=>y(this._config.loader,[t,e.signal])).then(i=>{e.signal.aborted||(this._loadController=null,this._isLoaded=!0,t.removeAttribute("aria-busy"),l(i)?t.replaceChildren(i):t.innerHTML=this._config.sanitize?ws(String(i),this._config.allowList,this._config.sanitizeFn):String(i),R.trigger(this._element,yn,{relatedTarget:t}))},i=>{e.signal.aborted||(this._loadController=null,t.removeAttribute("aria-busy"),t.replaceChildren(),R.trigger(this._element,wn,{relatedTarget:t,error:i}))})}_abortLoad(){this._loadController&&(this._loadController.abort(),this._loadController=null)}_createSpinner(){const t=document.createElement("div");t.className="d-flex justify-content-center p-3";const e=document.createElement("div");e.className="spinner-border",e.setAttribute("role","status");const i=document.createElement("span");return i.className="visually-hidden",i.textContent=this._config.loadingText,e.append(i),t.append(e),t}_updateLocation(){const t=Y.getElementFromSelector(this._element);if(!t||!t.id)return;const e=new URL(window.location.href);if(this._config.sync===Zn)e.searchParams.set(this._config.syncParam,t.id);else{if(so(e.hash))return;e.hash=t.id}e.href!==window.location.href&&("push"!==this._config.history?window.history.replaceState(window.history.state,"",e.href):window.history.pushState(null,"",e.href))}_activate(t,e){t&&(t.classList.add(zn),this._activate(Y.getElementFromSelector(t)),this._queueCallback(()=>{"tab"===t.getAttribute("role")?(t.removeAttribute("tabindex"),t.setAttribute("aria-selected",!0),this._toggleDropDown(t,!0),R.trigger(t,mn,{relatedTarget:e})):t.classList.add(Hn)},t,t.classList.contains(Rn)))}_deactivate(t,e){t&&(t.classList.remove(zn),t.blur(),this._deactivate(Y.getElementFromSelector(t)),this._queueCallback(()=>{"tab"===t.getAttribute("role")?(t.setAttribute("aria-selected",!1),t.setAttribute("tabindex","-1"),this._toggleDropDown(t,!1),R.trigger(t,_n,{relatedTarget:e})):t.classList.remove(Hn)},t,t.classList.contains(Rn)))}_keydown(t){if("Delete"===t.key&&this._config.closable)return t.preventDefault(),void this.close();if(t.ctrlKey&&this._config.reorderable&&[$n,Mn,On,Pn].includes(t.key))return t.stopPropagation(),t.preventDefault(),void this._move([Mn,Pn].includes(t.key)?1:-1);if(![$n,Mn,On,Pn,Dn,Nn].includes(t.key))return;t.stopPropagation(),t.preventDefault();const e=this._getChildren().filter(t=>!d(t));let i;if([Dn,Nn].includes(t.key))i=e[t.key===Dn?0:e.length-1];else{const s=[Mn,Pn].includes(t.key);i=A(e,t.target,s,!0)}i&&(i.focus({preventScroll:!0}),_o.getOrCreateInstance(i).show())}_createCloseButton(){const t=document.createElement("button");t.type="button",t.className="btn-close",t.tabIndex=-1,t.setAttribute("aria-label",this._config.closeLabel);let e=this._getListItem();return e===this._element&&this._element.classList.contains(Bn)&&(e=document.createElement("div"),e.className=jn,e.setAttribute("role","presentation"),this._element.before(e),e.append(this._element),this._closeWrapper=e),this._element.after(t),e!==this._element&&e.classList.add(..."d-flex align-items-center".split(" ")),R.on(t,Tn,()=>this.close()),t}_setDragListeners(){const t=this._getListItem();t.draggable=!0,R.on(t,xn,e=>{oo=t,ro=ao(t.parentElement).indexOf(t),e.dataTransfer.effectAllowed="move",e.dataTransfer.setData("text/plain",this._element.textContent.trim())}),R.on(t,In,e=>{if(!oo||oo===t||oo.parentElement!==t.parentElement)return;e.preventDefault();const i=t.getBoundingClientRect(),s=this._parent.classList.contains("flex-column")||"vertical"===this._parent.getAttribute("aria-orientation");(s?e.clientY>i.top+i.height/2:e.clientX>i.left+i.width/2)!==(b()&&!s)?t.after(oo):t.before(oo)}),R.on(t,Ln,t=>{oo&&t.preventDefault()}),R.on(t,Sn,()=>{const e=ro,i=ao(t.parentElement).indexOf(t);oo=null,ro=-1,co(this._parent),e!==i&&R.trigger(this._element,En,{from:e,to:i})})}_move(t){ho(this._parent);const e=this._getListItem(),i=ao(e.parentElement),s=i.indexOf(e),n=s+t;n<0||n>=i.length?co(this._parent):(t>0?i[n].after(e):i[n].before(e),co(this._parent),this._element.focus({preventScroll:!0}),R.trigger(this._element,En,{from:s,to:n}))}_getListItem(){if(!this._element.parentElement)return this._element;const t=this._element.parentElement.closest(`${Wn}, ${Kn}`);let e=this._element;for(;e.parentElement&&e.parentElement!==t;)e=e.parentElement;return e}_getChildren(){return Y.find(Un,this._parent)}_getActiveElem(){return this._getChildren().find(t=>this._elemIsActive(t))||null}_setInitialAttributes(t,e){this._setAttributeIfNotExists(t,"role","tablist");for(const t of e)this._setInitialAttributesOnChild(t)}_setInitialAttributesOnChild(t){t=this._getInnerElement(t);const e=this._elemIsActive(t),i=this._getOuterElement(t);t.setAttribute("aria-selected",e),i!==t&&this._setAttributeIfNotExists(i,"role","presentation"),e||t.setAttribute("tabindex","-1"),this._setAttributeIfNotExists(t,"role","tab"),this._setInitialAttributesOnTargetPanel(t)}_setInitialAttributesOnTargetPanel(t){const e=Y.getElementFromSelector(t);e&&(this._setAttributeIfNotExists(e,"role","tabpanel"),t.id&&this._setAttributeIfNotExists(e,"aria-labelledby",`${t.id}`))}_toggleDropDown(t,e){const i=this._getOuterElement(t);if(!i.classList.contains(Fn))return;const s=(t,s)=>{const n=Y.findOne(t,i);n&&n.classList.toggle(s,e)};s(qn,zn),i.matches(Jn)||(s(Wn,Hn),i.setAttribute("aria-expanded",e))}_setAttributeIfNotExists(t,e,i){t.hasAttribute(e)||t.setAttribute(e,i)}_elemIsActive(t){return t.classList.contains(zn)}_getInnerElement(t){return t.matches(Un)?t:Y.findOne(Un,t)}_getOuterElement(t){return t.closest(".nav-item, .list-group-item")||t}static showFromLocation(t=document.documentElement){const e=Y.find(Gn,t);t.matches(Gn)&&e.unshift(t);for(const t of e.filter(t=>t.matches(Kn))){const e=Y.find(Un,t).filter(e=>e.closest(Kn)===t);if(!e.length)continue;const i=_o.getOrCreateInstance(e[0])._config;if(!i.sync)continue;no.has(t)||no.set(t,e.find(t=>t.classList.contains(zn))||e[0]);const s=i.sync===Zn?new URLSearchParams(window.location.search).get(i.syncParam):uo(),n=s?document.getElementById(s):null,o=n?e.find(t=>{const e=Y.getElementFromSelector(t);return e&&e.contains(n)}):no.get(t);if(o&&!d(o)){io=!0;try{_o.getOrCreateInstance(o).show()}finally{io=!1}}}}static jQueryInterface(t){return this.each(function(){const e=_o.getOrCreateInstance(this);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}R.on(document,fn,Qn,function(t){["A","AREA"].includes(this.tagName)&&t.preventDefault(),d(this)||_o.getOrCreateInstance(this).show()}),R.on(window,bn,()=>{for(const t of Y.find(Xn))_o.getOrCreateInstance(t);for(const t of Y.find("[data-bs-closable], [data-bs-reorderable], [data-bs-overflow]"))for(const e of Y.find(Qn,t))_o.getOrCreateInstance(e);_o.showFromLocation()}),R.on(window,kn,()=>{for(const t of Y.find(Jn))co(t.parentElement)}),R.on(window,vn,()=>{_o.showFromLocation()}),v(_o);const go="toast",mo=".bs.toast",fo=`mouseover${mo}`,po=`mouseout${mo}`,bo=`focusin${mo}`,vo=`focusout${mo}`,yo=`hide${mo}`,wo=`hidden${mo}`,Ao=`show${mo}`,Co=`shown${mo}`,Eo=`blur${mo}`,To=`focus${mo}`,xo="hide",Io="show",Lo="showing",So={animation:"boolean",autohide:"boolean",delay:"number",progress:"boolean"},ko={animation:!0,autohide:!0,delay:5026,progress:!1};class $o extends q{constructor(t,e){super(t,e),this._timeout=null,this._remaining=null,this._startedAt=null,this._hasMouseInteraction=!1,this._hasKeyboardInteraction=!1,this._hasWindowBlur=!1,this._progressElement=null,this._progressBar=null,this._setListeners(),this._createProgress()}static get Default(){return ko}static get DefaultType(){return So}static get NAME(){return go}show(){R.trigger(this._element,Ao).defaultPrevented||(this._clearTimeout(),this._remaining=null,this._updateProgress(!1),this._config.animation&&this._element.classList.add("fade"),this._element.classList.remove(xo),g(this._element),this._element.classList.add(Io,Lo),this._queueCallback(()=>{this._element.classList.remove(Lo),R.trigger(this._element,Co),this._maybeScheduleHide()},this._element,this._config.animation))}hide(){this.isShown()&&(R.trigger(this._element,yo).defaultPrevented||(this._element.classList.add(Lo),this._queueCallback(()=>{this._element.classList.add(xo),this._element.classList.remove(Lo,Io),this._clearTimeout(),this._remaining=null,R.trigger(this._element,wo)},this._element,this._config.animation)))}showAsync(){return this._transitionAsync(()=>this.show(),Ao,Co,yo)}hideAsync(){return this._transitionAsync(()=>this.hide(),yo,wo,Ao)}dispose(){this._clearTimeout(),R.off(window,Eo,this._windowBlurHandler),R.off(window,To,this._windowFocusHandler),this._progressElement&&this._progressElement.remove(),this.isShown()&&this._element.classList.remove(Io),super.dispose()}isShown(){return this._element.classList.contains(Io)}_maybeScheduleHide(){this._config.autohide&&!this._timeout&&(null===this._remaining&&(this._remaining=this._config.delay),this._hasMouseInteraction||this._hasKeyboardInteraction||this._hasWindowBlur||(this._startedAt=Date.now(),this._timeout=setTimeout(()=>{this._timeout=null,this.hide()},this._remaining),this._updateProgress(!0)))}_pauseHide(){this._timeout&&(this._remaining=Math.max(0,this._remaining-(Date.now()-this._startedAt)),this._clearTimeout(),this._updateProgress(!1))}_createProgress(){if(!this._config.progress)return;const t=document.createElement("div");t.className="progress",t.style.setProperty("--bs-progress-height",".25rem"),t.setAttribute("aria-hidden",!0);const e=document.createElement("div");e.className="progress-bar",t.append(e),this._element.append(t),this._progressElement=t,this._progressBar=e}_updateProgress(t){if(!this._progressBar)return;const e=null===this._remaining?this._config.delay:this._remaining,i=this._config.delay>0?e/this._config.delay:0;this._progressBar.style.transition="none",this._progressBar.style.width=100*i+"%",t&&(g(this._progressBar),this._progressBar.style.transition=`width ${e}ms linear`,this._progressBar.style.width="0%")}_onInteraction(t,e){switch(t.type){case"mouseover":case"mouseout":this._hasMouseInteraction=e;break;case"focusin":case"focusout":this._hasKeyboardInteraction=e}if(e)return void this._pauseHide();const i=t.relatedTarget;this._element===i||this._element.contains(i)||this._maybeScheduleHide()}_setListeners(){R.on(this._element,fo,t=>this._onInteraction(t,!0)),R.on(this._element,po,t=>this._onInteraction(t,!1)),R.on(this._element,bo,t=>this._onInteraction(t,!0)),R.on(this._element,vo,t=>this._onInteraction(t,!1)),this._windowBlurHandler=()=>{this._hasWindowBlur=!0,this._pauseHide()},this._windowFocusHandler=()=>{this._hasWindowBlur=!1,null!==this._remaining&&this._maybeScheduleHide()},R.on(window,Eo,this._windowBlurHandler),R.on(window,To,this._windowFocusHandler)}_clearTimeout(){clearTimeout(this._timeout),this._timeout=null}static jQueryInterface(t){return this.each(function(){const e=$o.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t](this)}})}}K($o),v($o);const Mo="toastService",Oo=".toast-header > strong",Po=".toast-body",Do=new Set(["danger","warning"]),No={"top-start":["top-0","start-0"],"top-center":["top-0","start-50","translate-middle-x"],"top-end":["top-0","end-0"],"middle-start":["top-50","start-0","translate-middle-y"],"middle-center":["top-50","start-50","translate-middle"],"middle-end":["top-50","end-0","translate-middle-y"],"bottom-start":["bottom-0","start-0"],"bottom-center":["bottom-0","start-50","translate-middle-x"],"bottom-end":["bottom-0","end-0"]},zo={allowList:ps,container:"body",html:!1,maxVisible:3,placement:"top-end",sanitize:!0,sanitizeFn:null,template:'<div class="toast" role="status" aria-live="polite" aria-atomic="true"><div class="toast-header"><strong class="me-auto"></strong></div><div class="toast-body"></div></div>'},Ro={allowList:"object",container:"(string|element)",html:"boolean",maxVisible:"number",placement:"string",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},Ho={animation:!0,autohide:!0,body:"",delay:ko.delay,progress:!1,title:null,variant:null},Fo={animation:"boolean",autohide:"boolean",body:"(string|element|function)",delay:"number",progress:"boolean",title:"(null|string|element|function)",variant:"(null|string)"};class jo extends V{constructor(t){super(),this._config=this._getConfig(t),this._containerElement=null,this._visible=new Set,this._queue=[],this._keys=new Set}static get Default(){return zo}static get DefaultType(){return Ro}static get NAME(){return Mo}push(t){t={...Ho,...t},this._typeCheckConfig(t,Fo);const e=this._getMessageKey(t);return!(null!==e&&this._keys.has(e)||(t.key=e,null!==e&&this._keys.add(e),this._visible.size>=this._config.maxVisible?(this._queue.push(t),0):(this._display(t),0)))}clear(){this._clearQueue();for(const t of this._visible)t.hide()}dispose(){this._clearQueue();for(const t of this._visible)t.dispose();this._visible.clear(),this._keys.clear(),this._containerElement&&(this._containerElement.remove(),this._containerElement=null)}_configAfterMerge(t){if(!No[t.placement])throw new TypeError(`${Mo.toUpperCase()}: Option "placement" provided value "${t.placement}" but expected one of "${Object.keys(No).join(", ")}".`);return t.container=h(t.container),t}_display(t){const e=this._createToastElement(t);this._getContainer().append(e);const i=$o.getOrCreateInstance(e,{animation:t.animation,autohide:t.autohide,delay:t.delay,progress:t.progress});this._visible.add(i),R.one(e,wo,()=>{this._visible.delete(i),this._keys.delete(t.key),i.dispose(),e.remove(),this._displayNext()}),i.show()}_clearQueue(){for(const t of this._queue)this._keys.delete(t.key);this._queue=[]}_displayNext(){!this._queue.length||this._visible.size>=this._config.maxVisible||this._display(this._queue.shift())}_createToastElement(t){const{allowList:e,html:i,sanitize:s,sanitizeFn:n,template:o}=this._config,r=new Ts({allowList:e,content:{[Oo]:t.title,[Po]:t.body},extraClass:t.variant?`text-bg-${t.variant}`:"",html:i,sanitize:s,sanitizeFn:n,template:o}).toHtml();Do.has(t.variant)&&(r.setAttribute("role","alert"),r.setAttribute("aria-live","assertive"));const a=Y.findOne(".toast-header",r);if(a){const t=document.createElement("button");t.type="button",t.className="btn-close",t.setAttribute("data-bs-dismiss",go),t.setAttribute("aria-label","Close"),a.append(t)}return r}_getContainer(){if(!this._containerElement){const t=document.createElement("div");t.classList.add("toast-container","position-fixed","p-3",...No[this._config.placement]),this._config.container.append(t),this._containerElement=t}return this._containerElement}_getMessageKey(t){return[t.title,t.body].every(t=>null===t||"string"==typeof t)?JSON.stringify([t.variant,t.title,t.body]):null}}const Bo="modalDialog",Vo=`keydown${Mi}`,qo=`click${Mi}`,Wo=".modal-title",Yo=".modal-body > div",Ko={allowList:ps,body:"",cancelText:"Cancel",confirmText:"OK",html:!1,input:!1,inputType:"text",placeholder:"",required:!1,sanitize:!0,sanitizeFn:null,template:'<div class="modal fade"><div class="modal-dialog modal-dialog-centered"><div class="modal-content"><div class="modal-header"><h5 class="modal-title"></h5></div><div class="modal-body"><div></div></div><div class="modal-footer"></div></div></div></div>',title:"",value:"",variant:"primary"},Qo={allowList:"object",body:"(string|element|function)",cancelText:"string",confirmText:"string",html:"boolean",input:"boolean",inputType:"string",placeholder:"string",required:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string",title:"(string|element|function)",value:"string",variant:"string"};class Uo extends V{constructor(t){super(),this._config=this._getConfig(t),this._input=null,this._confirmButton=null}static get Default(){return Ko}static get DefaultType(){return Qo}static get NAME(){return Bo}open(){const t=this._createElement(),e=this._confirmButton,i=document.activeElement;document.body.append(t);const s=new Xi(t);let n=!!this._config.input&&null;const o=()=>{if(this._input&&this._config.required&&!this._input.value.trim())return this._input.classList.add("is-invalid"),void this._input.focus();n=!this._input||this._input.value,s.hide()};return R.on(e,qo,o),this._input&&R.on(this._input,Vo,t=>{"Enter"===t.key&&(t.preventDefault(),o())}),new Promise(o=>{R.one(t,zi,()=>{(this._input||e).focus()}),R.one(t,Di,()=>{i&&c(i)&&i.focus(),s.dispose(),t.remove(),o(n)}),s.show()})}_createElement(){const{allowList:t,body:e,html:i,sanitize:s,sanitizeFn:n,template:o,title:a}=this._config,l=new Ts({allowList:t,content:{[Wo]:a,[Yo]:e},html:i,sanitize:s,sanitizeFn:n,template:o}).toHtml();l.setAttribute("tabindex","-1");const h=Y.findOne(Wo,l);h&&(h.id=r(Bo),l.setAttribute("aria-labelledby",h.id)),this._config.input&&(this._input=document.createElement("input"),this._input.className="form-control mt-3",this._input.type=this._config.inputType,this._input.value=this._config.value,this._input.placeholder=this._config.placeholder,h&&this._input.setAttribute("aria-labelledby",h.id),Y.findOne(".modal-body",l).append(this._input));const c=Y.findOne(".modal-footer",l);return this._confirmButton=this._createButton(this._config.confirmText,`btn-${this._config.variant}`,!1),c.append(this._createButton(this._config.cancelText,"btn-secondary",!0),this._confirmButton),l}_createButton(t,e,i){const s=document.createElement("button");return s.type="button",s.className=`btn ${e}`,s.textContent=t,i&&s.setAttribute("data-bs-dismiss",$i),s}}const Xo="combobox",Go=".bs.combobox",Jo="Enter",Zo="ArrowDown",tr=`selected${Go}`,er=`input${Go}`,ir=`keydown${Go}`,sr=`click${Go}`,nr=`mousedown${Go}`,or=`focusout${Go}`,rr=`focusin${Go}.data-api`,ar="active",lr="dropdown-menu",hr='[role="option"]',cr={delay:150,highlight:!0,itemHeight:32,loadingText:"Loading…",maxResults:50,minLength:1,noResultsText:"No results",restricted:!1,source:null,virtual:!1,visibleItems:8},dr={delay:"number",highlight:"boolean",itemHeight:"number",loadingText:"string",maxResults:"number",minLength:"number",noResultsText:"string",restricted:"boolean",source:"(null|array|function)",virtual:"boolean",visibleItems:"number"},ur=t=>"object"==typeof t&&null!==t?{value:t.value,label:String(void 0===t.label||null===t.label?t.value:t.label)}:{value:t,label:String(t)};class _r extends q{constructor(t,e){super(t,e),this._generatedMenu=null,this._menu=Y.next(this._element,".dropdown-menu")[0]||this._createMenu(),this._options=this._getStaticOptions(),this._results=[],this._query="",this._virtualList=null,this._activeIndex=-1,this._selection=null,this._timeout=null,this._controller=null,this._setAriaAttributes(),this._dropdown=ui.getOrCreateInstance(this._element),this._addEventListeners()}static get Default(){return cr}static get DefaultType(){return dr}static get NAME(){return Xo}show(){this._search(this._element.value,!0)}hide(){this._dropdown.hide()}dispose(){this._cancelSearch(),R.off(this._menu,Go),this._virtualList&&this._virtualList.dispose(),this._dropdown.dispose(),this._generatedMenu&&this._generatedMenu.remove(),super.dispose()}_createMenu(){const t=document.createElement("ul");return t.className=lr,this._element.after(t),this._generatedMenu=t,t}_getStaticOptions(){return this._config.source?Array.isArray(this._config.source)?this._config.source.map(ur):[]:Y.find(".dropdown-item",this._menu).map(t=>{const e=t.textContent.trim();return{value:t.hasAttribute("data-bs-value")?t.getAttribute("data-bs-value"):e,label:e}})}_setAriaAttributes(){this._menu.id||(this._menu.id=r(Xo)),this._menu.setAttribute("role","listbox"),this._element.setAttribute("role","combobox"),this._element.setAttribute("aria-autocomplete","list"),this._element.setAttribute("aria-controls",this._menu.id),this._element.setAttribute("autocomplete","off")}_addEventListeners(){R.on(this._element,er,()=>this._search(this._element.value)),R.on(this._element,ir,t=>this._keydown(t)),R.on(this._element,sr,()=>{!this._dropdown._isShown()&&this._element.value.length>=this._config.minLength&&this.show()}),R.on(this._element,or,t=>{this._menu.contains(t.relatedTarget)||(this.hide(),this._config.restricted||this._commitText())}),R.on(this._element,"hidden.bs.dropdown",()=>this._handleHidden()),R.on(this._menu,nr,t=>t.preventDefault()),R.on(this._menu,sr,hr,t=>{this._select(this._results[Number.parseInt(t.delegateTarget.getAttribute("data-bs-index"),10)])})}_keydown(t){const e=this._dropdown._isShown();if(t.key!==Jo||e&&-1!==this._activeIndex||this._config.restricted){if(t.key===Zo||"ArrowUp"===t.key)return t.preventDefault(),void(e?t.altKey||this._moveActive(t.key===Zo):this.show());if(e)return t.key===Jo&&this._activeIndex>-1?(t.preventDefault(),void this._select(this._results[this._activeIndex])):void("Escape"===t.key&&(t.preventDefault(),this.hide()))}else this._commitText()&&(t.preventDefault(),this.hide())}_search(t,e=!1){if(this._cancelSearch(),!e&&t.length<this._config.minLength)return void this.hide();const{source:i}=this._config;if("function"!=typeof i){const e=t.toLowerCase(),i=this._options.filter(t=>t.label.toLowerCase().includes(e));return void this._render(t,this._limit(i))}const s=new AbortController;this._controller=s,this._renderMessage(this._config.loadingText),this._timeout=setTimeout(()=>{new Promise(e=>e(i(t,s.signal))).then(t=>{if(!Array.isArray(t))throw new TypeError(`${Xo.toUpperCase()}: Option "source" must return or resolve to an array.`);return t.map(ur)}).then(e=>{s.signal.aborted||(this._controller=null,this._render(t,this._limit(e)))},()=>{s.signal.aborted||(this._controller=null,this._render(t,[]))})},this._config.delay)}_cancelSearch(){clearTimeout(this._timeout),this._controller&&(this._controller.abort(),this._controller=null)}_limit(t){return this._config.virtual?t:t.slice(0,this._config.maxResults)}_render(t,e){this._results=e,this._query=t,this._setActive(-1),e.length?(this._config.virtual?this._getVirtualList().setItems(e):this._menu.replaceChildren(...e.map((t,e)=>this._renderOption(t,e))),this._showMenu()):this._renderMessage(this._config.noResultsText)}_renderOption(t,e){const i=e===this._activeIndex,s=document.createElement("li");return s.className="dropdown-item",s.classList.toggle(ar,i),s.id=`${this._menu.id}-option-${e}`,s.setAttribute("role","option"),s.setAttribute("aria-selected",i),s.setAttribute("data-bs-index",e),s.append(...this._highlight(t.label,this._query)),s}_getVirtualList(){return this._virtualList||(this._virtualList=new Ie(this._menu,{itemHeight:this._config.itemHeight,renderItem:(t,e)=>this._renderOption(t,e),visibleItems:this._config.visibleItems})),this._virtualList}_renderMessage(t){this._virtualList&&this._virtualList.setItems([]);const e=document.createElement("li");e.className="dropdown-item-text",e.textContent=t,this._menu.replaceChildren(e),this._showMenu()}_highlight(t,e){const i=e?t.toLowerCase().indexOf(e.toLowerCase()):-1;if(!this._config.highlight||-1===i)return[t];const s=document.createElement("mark");return s.textContent=t.slice(i,i+e.length),[t.slice(0,i),s,t.slice(i+e.length)]}_showMenu(){this._dropdown._isShown()?this._dropdown.update():this._dropdown.show()}_moveActive(t){const e=this._results.length;e&&(-1!==this._activeIndex?this._setActive((this._activeIndex+(t?1:-1)+e)%e):this._setActive(t?0:e-1))}_setActive(t){this._activeIndex=t;const e=-1===t?null:this._getOption(t);for(const t of Y.find(hr,this._menu))t.classList.toggle(ar,t===e),t.setAttribute("aria-selected",t===e);e?(this._element.setAttribute("aria-activedescendant",e.id),e.scrollIntoView({block:"nearest"})):this._element.removeAttribute("aria-activedescendant")}_getOption(t){return this._virtualList?this._virtualList.scrollToIndex(t):Y.find(hr,this._menu)[t]||null}_select(t){t&&(this._selection=t,this._element.value=t.label,this.hide(),R.trigger(this._element,tr,{value:t.value,label:t.label}))}_commitText(){const t=this._element.value.trim();if(t===(this._selection?this._selection.label:""))return!1;const e=[...this._results,...this._options].find(e=>e.label.toLowerCase()===t.toLowerCase());return e?(this._select(e),!0):(this._selection=t?{value:t,label:t}:null,R.trigger(this._element,tr,{value:t||null,label:t}),!0)}_handleHidden(){this._cancelSearch(),this._setActive(-1),this._config.restricted&&this._enforceSelection()}_enforceSelection(){const t=this._element.value.trim().toLowerCase();if(this._selection&&this._selection.label.toLowerCase()===t)return;if(!t)return this._selection=null,void R.trigger(this._element,tr,{value:null,label:""});const e=[...this._results,...this._options].find(e=>e.label.toLowerCase()===t);e?this._select(e):this._element.value=this._selection?this._selection.label:""}static jQueryInterface(t){return this.each(function(){const e=_r.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}R.on(document,rr,'[data-bs-toggle="combobox"]',function(){_r.getOrCreateInstance(this)}),v(_r);const gr="taginput",mr=".bs.taginput",fr=`add${mr}`,pr=`remove${mr}`,br=`invalid${mr}`,vr=`keydown${mr}`,yr=`paste${mr}`,wr=`click${mr}`,Ar=`load${mr}.data-api`,Cr="d-none",Er={allowDuplicates:!1,delimiter:",",maxTags:null,placeholder:"",suggestions:null},Tr={allowDuplicates:"boolean",delimiter:"string",maxTags:"(null|number)",placeholder:"string",suggestions:"(null|array|function)"};class xr extends q{constructor(t,e){super(t,e),this._isSelect="SELECT"===this._element.tagName,this._tags=this._getInitialTags(),this._label=null,this._labelFor=null,this._control=this._createControl(),this._input=Y.findOne("input",this._control),this._combobox=this._createCombobox(),this._element.classList.add(Cr),this._render(),this._addEventListeners()}static get Default(){return Er}static get DefaultType(){return Tr}static get NAME(){return gr}getValues(){return[...this._tags]}add(t){const e=this._toValue(String(t).trim());if(!e)return!1;const i=this._getInvalidReason(e);return i?(R.trigger(this._element,br,{value:e,reason:i}),!1):!R.trigger(this._element,fr,{value:e}).defaultPrevented&&(this._tags.push(e),this._update(),!0)}remove(t){const e=this._tags.indexOf(t);return-1!==e&&(!R.trigger(this._element,pr,{value:t}).defaultPrevented&&(this._tags.splice(e,1),this._update(),!0))}clear(){for(const t of[...this._tags].reverse())this.remove(t)}dispose(){this._combobox&&this._combobox.dispose(),this._control.remove(),this._element.classList.remove(Cr),this._label&&(this._label.htmlFor=this._labelFor),super.dispose()}_getInitialTags(){return this._isSelect?[...this._element.selectedOptions].map(t=>t.value):this._split(this._element.value)}_split(t){return t.split(this._config.delimiter).map(t=>t.trim()).filter(Boolean)}_createControl(){const t=document.createElement("div");t.className="form-control d-flex flex-wrap align-items-center gap-1";const e=document.createElement("input");e.type="text",e.className="border-0 flex-grow-1 p-0",e.placeholder=this._config.placeholder;const i=this._element.id&&document.querySelector(`label[for="${this._element.id}"]`);return i&&(this._label=i,this._labelFor=i.htmlFor,e.id=r(gr),i.htmlFor=e.id),t.append(e),this._element.after(t),t}_createCombobox(){const t=this._getSuggestions();if(!t)return null;const e=document.createElement("ul");return e.className=lr,this._input.after(e),ui.getOrCreateInstance(this._input,{reference:"parent"}),new _r(this._input,{delay:0,source:(e,i)=>Promise.resolve(y(t,[e,i])).then(t=>t.filter(t=>{const e="object"==typeof t&&null!==t?t.value:t;return!this._getInvalidReason(String(e))}))})}_getSuggestions(){if("function"==typeof this._config.suggestions)return this._config.suggestions;const t=this._config.suggestions||(this._isSelect?[...this._element.options].map(t=>({value:t.value,label:t.textContent})):null);return t?e=>t.filter(t=>{const i="object"==typeof t?t.label||t.value:t;return String(i).toLowerCase().includes(e.toLowerCase())}):null}_getInvalidReason(t){return!this._config.allowDuplicates&&this._tags.some(e=>e.toLowerCase()===t.toLowerCase())?"duplicate":null!==this._config.maxTags&&this._tags.length>=this._config.maxTags?"max":null}_addEventListeners(){R.on(this._input,vr,t=>this._keydown(t)),R.on(this._input,yr,t=>{const e=(t.clipboardData||window.clipboardData).getData("text");if(e.includes(this._config.delimiter)){t.preventDefault();for(const t of this._split(e))this.add(t)}}),R.on(this._input,"selected.bs.combobox",t=>{null!==t.value&&this.add(t.value)&&(this._input.value="")}),R.on(this._control,wr,t=>{const e=t.target.closest(".btn-close");e?this.remove(e.parentNode.getAttribute("data-bs-value")):this._input.focus()})}_keydown(t){if(!t.defaultPrevented){if("Enter"===t.key||t.key===this._config.delimiter){if(!this._input.value.trim())return;return t.preventDefault(),void(this.add(this._input.value)&&(this._input.value="",this._combobox&&this._combobox.hide()))}"Backspace"===t.key&&!this._input.value&&this._tags.length&&this.remove(this._tags[this._tags.length-1])}}_update(){this._render(),this._sync(),R.trigger(this._element,"change")}_render(){const t=this._tags.map(t=>{const e=document.createElement("span");e.className="badge text-bg-secondary d-inline-flex align-items-center gap-1",e.setAttribute("data-bs-value",t);const i=this._getLabel(t);e.textContent=i;const s=document.createElement("button");return s.type="button",s.className="btn-close btn-close-white",s.setAttribute("aria-label",`Remove ${i}`),e.append(s),e});this._control.replaceChildren(...t,this._input,...this._combobox?[this._combobox._menu]:[])}_getOption(t){return this._isSelect&&[...this._element.options].find(t)||null}_getLabel(t){const e=this._getOption(e=>e.value===t);return e?e.label:t}_toValue(t){if(this._getOption(e=>e.value===t))return t;const e=this._getOption(e=>e.label.toLowerCase()===t.toLowerCase());return e?e.value:t}_sync(){if(this._isSelect){for(const t of this._tags)[...this._element.options].some(e=>e.value===t)||this._element.add(new Option(t,t));for(const t of this._element.options)t.selected=this._tags.includes(t.value)}else this._element.value=this._tags.join(this._config.delimiter)}static jQueryInterface(t){return this.each(function(){const e=xr.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}R.on(window,Ar,()=>{for(const t of Y.find('[data-bs-toggle="taginput"]'))xr.getOrCreateInstance(t)}),v(xr);const Ir={autoDispose:!0,autoInit:!0,root:"body"},Lr={autoDispose:"boolean",autoInit:"boolean",root:"(element|string)"},Sr=new Map([['[data-bs-toggle="tooltip"]',t=>Ks.getOrCreateInstance(t)],['[data-bs-toggle="popover"]',t=>Js.getOrCreateInstance(t)],[".toast[data-bs-autoshow]",t=>{const e=$o.getOrCreateInstance(t);e.isShown()||e.show()}],["[data-bs-spy]",t=>cn.getOrCreateInstance(t)],['[data-bs-ride="carousel"]',t=>oe.getOrCreateInstance(t)],['[data-bs-toggle="taginput"]',t=>xr.getOrCreateInstance(t)],[".collapse[data-bs-persist]",t=>Ae.getOrCreateInstance(t,{toggle:!1})],["[data-bs-closable], [data-bs-reorderable], [data-bs-overflow]",t=>{for(const e of Y.find('[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]',t))_o.getOrCreateInstance(e)}],["[data-bs-sync]",t=>_o.showFromLocation(t)],[".offcanvas[data-bs-edge-swipe]",t=>fs.getOrCreateInstance(t)]]);let kr=null;class $r extends V{constructor(t){super(),this._config=this._getConfig(t),this._observer=null}static get Default(){return Ir}static get DefaultType(){return Lr}static get NAME(){return"componentObserver"}observe(){this._observer||(this._config.autoInit&&this._initialize(this._config.root),this._observer=new MutationObserver(t=>this._handleMutations(t)),this._observer.observe(this._config.root,{childList:!0,subtree:!0}))}disconnect(){this._observer&&(this._observer.disconnect(),this._observer=null)}_configAfterMerge(t){return t.root=h(t.root),t}_handleMutations(t){const e=[];for(const i of t){for(const t of i.addedNodes)this._config.autoInit&&t.nodeType===Node.ELEMENT_NODE&&t.isConnected&&this._initialize(t);for(const t of i.removedNodes)t.nodeType===Node.ELEMENT_NODE&&e.push(t)}this._config.autoDispose&&e.length&&this._disposeDetached(e)}_initialize(t){for(const[e,i]of Sr){const s=Y.find(e,t);t.matches(e)&&s.unshift(t);for(const t of s)i(t)}}_disposeDetached(t){for(const s of e.keys())if(!s.isConnected&&t.some(t=>t.contains(s)))for(const t of i.getAll(s))t.dispose()}static register(t,e){Sr.set(t,e)}static enable(t){return $r.disable(),kr=new $r(t),kr.observe(),kr}static disable(){kr&&(kr.disconnect(),kr=null)}}p(()=>{document.body.hasAttribute("data-bs-observe")&&$r.enable()});export{G as Alert,Z as Button,oe as Carousel,Ae as Collapse,_r as Combobox,$r as ComponentObserver,ui as Dropdown,Xi as Modal,fs as Offcanvas,Js as Popover,cn as ScrollSpy,_o as Tab,xr as TagInput,$o as Toast,jo as ToastService,Ks as Tooltip};
+//# sourceMappingURL=bootstrap.esm.min.js.map
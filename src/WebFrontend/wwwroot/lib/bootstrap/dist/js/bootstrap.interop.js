@@ -0,0 +1,221 @@
+/**
+ * --------------------------------------------------------------------------
+ * Bootstrap interop.js
+ * Bridges Bootstrap components to Blazor through `IJSObjectReference`.
+ * --------------------------------------------------------------------------
+ *
+ * The module drives the components of the `bootstrap` global, so the page has to load `bootstrap.bundle.min.js`
+ * (or `bootstrap.js` with Popper) first. It doesn't import `bootstrap.esm.js`: that would be a second copy with
+ * its own instance store and data-api handlers, and `@popperjs/core` doesn't resolve without an import map.
+ *
+ * Usage from .NET:
+ *
+ *   var module = await js.InvokeAsync<IJSObjectReference>("import", "./lib/bootstrap/dist/js/bootstrap.interop.js");
+ *   await module.InvokeVoidAsync("create", elementRef, "modal", new { backdrop = "static" });
+ *   await module.InvokeVoidAsync("subscribe", elementRef, "modal", DotNetObjectReference.Create(this), new { veto = new[] { "hide" } });
+ *   var hidden = await module.InvokeAsync<bool>("hide", elementRef, "modal");
+ *
+ * Subscribed events are forwarded to `[JSInvokable] OnBootstrapEvent(string type, BootstrapEventArgs args)`.
+ * Vetoable events are asked through `[JSInvokable] Task<bool> OnBootstrapVeto(string type, BootstrapEventArgs args)`
+ * first; the event is prevented while .NET decides and replayed if it returns `true`.
+ */
+
+/**
+ * Constants
+ */
+
+// Component names mapped to their class on the `bootstrap` global
+const COMPONENTS = {
+  alert: 'Alert',
+  button: 'Button',
+  carousel: 'Carousel',
+  collapse: 'Collapse',
+  combobox: 'Combobox',
+  dropdown: 'Dropdown',
+  modal: 'Modal',
+  offcanvas: 'Offcanvas',
+  popover: 'Popover',
+  scrollspy: 'ScrollSpy',
+  tab: 'Tab',
+  taginput: 'TagInput',
+  toast: 'Toast',
+  tooltip: 'Tooltip'
+};
+const COMPONENT_EVENTS = {
+  alert: ['close', 'closed'],
+  button: [],
+  carousel: ['slide', 'slid', 'lazyloaded', 'lazyerror'],
+  collapse: ['show', 'shown', 'hide', 'hidden'],
+  combobox: ['selected'],
+  dropdown: ['show', 'shown', 'hide', 'hidden', 'selected'],
+  modal: ['show', 'shown', 'hide', 'hidePrevented', 'hidden'],
+  offcanvas: ['show', 'shown', 'hide', 'hidePrevented', 'hidden'],
+  popover: ['show', 'shown', 'hide', 'hidden', 'inserted'],
+  scrollspy: ['activate'],
+  tab: ['show', 'shown', 'hide', 'hidden', 'loaded', 'loaderror', 'close', 'closed', 'moved'],
+  taginput: ['add', 'remove', 'invalid'],
+  toast: ['show', 'shown', 'hide', 'hidden'],
+  tooltip: ['show', 'shown', 'hide', 'hidden', 'inserted']
+};
+
+// How to replay a vetoable event once .NET approved it
+const REPLAY = {
+  close: instance => instance.close(),
+  hide: instance => instance.hide(),
+  show: (instance, event) => instance.show(event.relatedTarget),
+  slide: (instance, event) => instance.to(event.to)
+};
+const DefaultSubscription = {
+  callback: 'OnBootstrapEvent',
+  veto: [],
+  vetoCallback: 'OnBootstrapVeto'
+};
+const subscriptions = new WeakMap();
+
+/**
+ * Private methods
+ */
+
+function getComponent(name) {
+  if (!Object.prototype.hasOwnProperty.call(COMPONENTS, name)) {
+    throw new TypeError(`No component named "${name}"`);
+  }
+  const {
+    bootstrap
+  } = window;
+  if (!bootstrap) {
+    throw new Error('Bootstrap is not loaded, add bootstrap.bundle.min.js to the page before using the interop');
+  }
+  return bootstrap[COMPONENTS[name]];
+}
+function getSubscriptions(element) {
+  if (!subscriptions.has(element)) {
+    subscriptions.set(element, new Map());
+  }
+  return subscriptions.get(element);
+}
+function toEventArgs(event) {
+  const {
+    relatedTarget
+  } = event;
+  return {
+    type: event.type,
+    relatedTargetId: relatedTarget && relatedTarget.id ? relatedTarget.id : null,
+    direction: event.direction || null,
+    from: typeof event.from === 'number' ? event.from : null,
+    to: typeof event.to === 'number' ? event.to : null,
+    index: typeof event.index === 'number' ? event.index : null,
+    value: event.value === undefined ? null : event.value,
+    reason: event.reason || null
+  };
+}
+// event notifications are fire and forget, a failing .NET callback must not surface as an unhandled rejection
+function notify(dotNetRef, callback, type, args) {
+  dotNetRef.invokeMethodAsync(callback, type, args).catch(() => {});
+}
+function createHandler(element, name, dotNetRef, config) {
+  const approved = new Set();
+  return async event => {
+    if (event.target !== element) {
+      return;
+    }
+    const [type] = event.type.split('.');
+    const args = toEventArgs(event);
+    if (!config.veto.includes(type) || !REPLAY[type]) {
+      notify(dotNetRef, config.callback, event.type, args);
+      return;
+    }
+
+    // a replayed event was already approved by .NET, let it through this once
+    if (approved.has(type)) {
+      approved.delete(type);
+      notify(dotNetRef, config.callback, event.type, args);
+      return;
+    }
+    event.preventDefault();
+    let isAllowed;
+    try {
+      isAllowed = await dotNetRef.invokeMethodAsync(config.vetoCallback, event.type, args);
+    } catch (_unused) {
+      // a throwing or disposed .NET side must not leave the component stuck, the event goes ahead as if nobody vetoed it
+      isAllowed = true;
+    }
+    const instance = getComponent(name).getInstance(element);
+    if (!isAllowed || !instance) {
+      return;
+    }
+    approved.add(type);
+    REPLAY[type](instance, event);
+    // replaying can be a no-op (e.g. the component changed state meanwhile) and never fire the event
+    approved.delete(type);
+  };
+}
+
+/**
+ * Public API
+ */
+
+export function create(element, name, config = {}) {
+  getComponent(name).getOrCreateInstance(element, config || {});
+}
+export async function show(element, name, relatedTarget = null) {
+  const instance = getComponent(name).getOrCreateInstance(element);
+  if (typeof instance.showAsync === 'function') {
+    return instance.showAsync(relatedTarget || undefined);
+  }
+  instance.show(relatedTarget || undefined);
+  return true;
+}
+export async function hide(element, name) {
+  const instance = getComponent(name).getInstance(element);
+  if (!instance) {
+    return false;
+  }
+  if (typeof instance.hideAsync === 'function') {
+    return instance.hideAsync();
+  }
+  instance.hide();
+  return true;
+}
+export function invoke(element, name, method, ...args) {
+  const instance = getComponent(name).getOrCreateInstance(element);
+  if (typeof instance[method] !== 'function' || method.startsWith('_') || method === 'constructor') {
+    throw new TypeError(`No method named "${method}"`);
+  }
+  return instance[method](...args);
+}
+export function subscribe(element, name, dotNetRef, config = {}) {
+  unsubscribe(element, name);
+  getComponent(name);
+  const subscriptionConfig = {
+    ...DefaultSubscription,
+    ...(config || {})
+  };
+  const handler = createHandler(element, name, dotNetRef, subscriptionConfig);
+  const eventNames = COMPONENT_EVENTS[name].map(type => `${type}.bs.${name}`);
+  for (const eventName of eventNames) {
+    element.addEventListener(eventName, handler);
+  }
+  getSubscriptions(element).set(name, {
+    eventNames,
+    handler
+  });
+}
+export function unsubscribe(element, name) {
+  const elementSubscriptions = getSubscriptions(element);
+  const subscription = elementSubscriptions.get(name);
+  if (!subscription) {
+    return;
+  }
+  for (const eventName of subscription.eventNames) {
+    element.removeEventListener(eventName, subscription.handler);
+  }
+  elementSubscriptions.delete(name);
+}
+export function dispose(element, name) {
+  unsubscribe(element, name);
+  const instance = getComponent(name).getInstance(element);
+  if (instance) {
+    instance.dispose();
+  }
+}
@@ -1,7 +1,7 @@
 /*!
-  * Bootstrap v5.3.3 (https://getbootstrap.com/)
+  * Bootstrap v5.3.3 (https://getbootstrap.com/), modified for WebFrontend (see src/WebFrontend.Bootstrap)
   * Copyright 2011-2024 The Bootstrap Authors (https://github.com/twbs/bootstrap/graphs/contributors)
   * Licensed under MIT (https://github.com/twbs/bootstrap/blob/main/LICENSE)
   */
-!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?module.exports=e(require("@popperjs/core")):"function"==typeof define&&define.amd?define(["@popperjs/core"],e):(t="undefined"!=typeof globalThis?globalThis:t||self).bootstrap=e(t.Popper)}(this,(function(t){"use strict";function e(t){const e=Object.create(null,{[Symbol.toStringTag]:{value:"Module"}});if(t)for(const i in t)if("default"!==i){const s=Object.getOwnPropertyDescriptor(t,i);Object.defineProperty(e,i,s.get?s:{enumerable:!0,get:()=>t[i]})}return e.default=t,Object.freeze(e)}const i=e(t),s=new Map,n={set(t,e,i){s.has(t)||s.set(t,new Map);const n=s.get(t);n.has(e)||0===n.size?n.set(e,i):console.error(`Bootstrap doesn't allow more than one instance per element. Bound instance: ${Array.from(n.keys())[0]}.`)},get:(t,e)=>s.has(t)&&s.get(t).get(e)||null,remove(t,e){if(!s.has(t))return;const i=s.get(t);i.delete(e),0===i.size&&s.delete(t)}},o="transitionend",r=t=>(t&&window.CSS&&window.CSS.escape&&(t=t.replace(/#([^\s"#']+)/g,((t,e)=>`#${CSS.escape(e)}`))),t),a=t=>{t.dispatchEvent(new Event(o))},l=t=>!(!t||"object"!=typeof t)&&(void 0!==t.jquery&&(t=t[0]),void 0!==t.nodeType),c=t=>l(t)?t.jquery?t[0]:t:"string"==typeof t&&t.length>0?document.querySelector(r(t)):null,h=t=>{if(!l(t)||0===t.getClientRects().length)return!1;const e="visible"===getComputedStyle(t).getPropertyValue("visibility"),i=t.closest("details:not([open])");if(!i)return e;if(i!==t){const e=t.closest("summary");if(e&&e.parentNode!==i)return!1;if(null===e)return!1}return e},d=t=>!t||t.nodeType!==Node.ELEMENT_NODE||!!t.classList.contains("disabled")||(void 0!==t.disabled?t.disabled:t.hasAttribute("disabled")&&"false"!==t.getAttribute("disabled")),u=t=>{if(!document.documentElement.attachShadow)return null;if("function"==typeof t.getRootNode){const e=t.getRootNode();return e instanceof ShadowRoot?e:null}return t instanceof ShadowRoot?t:t.parentNode?u(t.parentNode):null},_=()=>{},g=t=>{t.offsetHeight},f=()=>window.jQuery&&!document.body.hasAttribute("data-bs-no-jquery")?window.jQuery:null,m=[],p=()=>"rtl"===document.documentElement.dir,b=t=>{var e;e=()=>{const e=f();if(e){const i=t.NAME,s=e.fn[i];e.fn[i]=t.jQueryInterface,e.fn[i].Constructor=t,e.fn[i].noConflict=()=>(e.fn[i]=s,t.jQueryInterface)}},"loading"===document.readyState?(m.length||document.addEventListener("DOMContentLoaded",(()=>{for(const t of m)t()})),m.push(e)):e()},v=(t,e=[],i=t)=>"function"==typeof t?t(...e):i,y=(t,e,i=!0)=>{if(!i)return void v(t);const s=(t=>{if(!t)return 0;let{transitionDuration:e,transitionDelay:i}=window.getComputedStyle(t);const s=Number.parseFloat(e),n=Number.parseFloat(i);return s||n?(e=e.split(",")[0],i=i.split(",")[0],1e3*(Number.parseFloat(e)+Number.parseFloat(i))):0})(e)+5;let n=!1;const r=({target:i})=>{i===e&&(n=!0,e.removeEventListener(o,r),v(t))};e.addEventListener(o,r),setTimeout((()=>{n||a(e)}),s)},w=(t,e,i,s)=>{const n=t.length;let o=t.indexOf(e);return-1===o?!i&&s?t[n-1]:t[0]:(o+=i?1:-1,s&&(o=(o+n)%n),t[Math.max(0,Math.min(o,n-1))])},A=/[^.]*(?=\..*)\.|.*/,E=/\..*/,C=/::\d+$/,T={};let k=1;const $={mouseenter:"mouseover",mouseleave:"mouseout"},S=new Set(["click","dblclick","mouseup","mousedown","contextmenu","mousewheel","DOMMouseScroll","mouseover","mouseout","mousemove","selectstart","selectend","keydown","keypress","keyup","orientationchange","touchstart","touchmove","touchend","touchcancel","pointerdown","pointermove","pointerup","pointerleave","pointercancel","gesturestart","gesturechange","gestureend","focus","blur","change","reset","select","submit","focusin","focusout","load","unload","beforeunload","resize","move","DOMContentLoaded","readystatechange","error","abort","scroll"]);function L(t,e){return e&&`${e}::${k++}`||t.uidEvent||k++}function O(t){const e=L(t);return t.uidEvent=e,T[e]=T[e]||{},T[e]}function I(t,e,i=null){return Object.values(t).find((t=>t.callable===e&&t.delegationSelector===i))}function D(t,e,i){const s="string"==typeof e,n=s?i:e||i;let o=M(t);return S.has(o)||(o=t),[s,n,o]}function N(t,e,i,s,n){if("string"!=typeof e||!t)return;let[o,r,a]=D(e,i,s);if(e in $){const t=t=>function(e){if(!e.relatedTarget||e.relatedTarget!==e.delegateTarget&&!e.delegateTarget.contains(e.relatedTarget))return t.call(this,e)};r=t(r)}const l=O(t),c=l[a]||(l[a]={}),h=I(c,r,o?i:null);if(h)return void(h.oneOff=h.oneOff&&n);const d=L(r,e.replace(A,"")),u=o?function(t,e,i){return function s(n){const o=t.querySelectorAll(e);for(let{target:r}=n;r&&r!==this;r=r.parentNode)for(const a of o)if(a===r)return F(n,{delegateTarget:r}),s.oneOff&&j.off(t,n.type,e,i),i.apply(r,[n])}}(t,i,r):function(t,e){return function i(s){return F(s,{delegateTarget:t}),i.oneOff&&j.off(t,s.type,e),e.apply(t,[s])}}(t,r);u.delegationSelector=o?i:null,u.callable=r,u.oneOff=n,u.uidEvent=d,c[d]=u,t.addEventListener(a,u,o)}function P(t,e,i,s,n){const o=I(e[i],s,n);o&&(t.removeEventListener(i,o,Boolean(n)),delete e[i][o.uidEvent])}function x(t,e,i,s){const n=e[i]||{};for(const[o,r]of Object.entries(n))o.includes(s)&&P(t,e,i,r.callable,r.delegationSelector)}function M(t){return t=t.replace(E,""),$[t]||t}const j={on(t,e,i,s){N(t,e,i,s,!1)},one(t,e,i,s){N(t,e,i,s,!0)},off(t,e,i,s){if("string"!=typeof e||!t)return;const[n,o,r]=D(e,i,s),a=r!==e,l=O(t),c=l[r]||{},h=e.startsWith(".");if(void 0===o){if(h)for(const i of Object.keys(l))x(t,l,i,e.slice(1));for(const[i,s]of Object.entries(c)){const n=i.replace(C,"");a&&!e.includes(n)||P(t,l,r,s.callable,s.delegationSelector)}}else{if(!Object.keys(c).length)return;P(t,l,r,o,n?i:null)}},trigger(t,e,i){if("string"!=typeof e||!t)return null;const s=f();let n=null,o=!0,r=!0,a=!1;e!==M(e)&&s&&(n=s.Event(e,i),s(t).trigger(n),o=!n.isPropagationStopped(),r=!n.isImmediatePropagationStopped(),a=n.isDefaultPrevented());const l=F(new Event(e,{bubbles:o,cancelable:!0}),i);return a&&l.preventDefault(),r&&t.dispatchEvent(l),l.defaultPrevented&&n&&n.preventDefault(),l}};function F(t,e={}){for(const[i,s]of Object.entries(e))try{t[i]=s}catch(e){Object.defineProperty(t,i,{configurable:!0,get:()=>s})}return t}function z(t){if("true"===t)return!0;if("false"===t)return!1;if(t===Number(t).toString())return Number(t);if(""===t||"null"===t)return null;if("string"!=typeof t)return t;try{return JSON.parse(decodeURIComponent(t))}catch(e){return t}}function H(t){return t.replace(/[A-Z]/g,(t=>`-${t.toLowerCase()}`))}const B={setDataAttribute(t,e,i){t.setAttribute(`data-bs-${H(e)}`,i)},removeDataAttribute(t,e){t.removeAttribute(`data-bs-${H(e)}`)},getDataAttributes(t){if(!t)return{};const e={},i=Object.keys(t.dataset).filter((t=>t.startsWith("bs")&&!t.startsWith("bsConfig")));for(const s of i){let i=s.replace(/^bs/,"");i=i.charAt(0).toLowerCase()+i.slice(1,i.length),e[i]=z(t.dataset[s])}return e},getDataAttribute:(t,e)=>z(t.getAttribute(`data-bs-${H(e)}`))};class q{static get Default(){return{}}static get DefaultType(){return{}}static get NAME(){throw new Error('You have to implement the static method "NAME", for each component!')}_getConfig(t){return t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){return t}_mergeConfigObj(t,e){const i=l(e)?B.getDataAttribute(e,"config"):{};return{...this.constructor.Default,..."object"==typeof i?i:{},...l(e)?B.getDataAttributes(e):{},..."object"==typeof t?t:{}}}_typeCheckConfig(t,e=this.constructor.DefaultType){for(const[s,n]of Object.entries(e)){const e=t[s],o=l(e)?"element":null==(i=e)?`${i}`:Object.prototype.toString.call(i).match(/\s([a-z]+)/i)[1].toLowerCase();if(!new RegExp(n).test(o))throw new TypeError(`${this.constructor.NAME.toUpperCase()}: Option "${s}" provided type "${o}" but expected type "${n}".`)}var i}}class W extends q{constructor(t,e){super(),(t=c(t))&&(this._element=t,this._config=this._getConfig(e),n.set(this._element,this.constructor.DATA_KEY,this))}dispose(){n.remove(this._element,this.constructor.DATA_KEY),j.off(this._element,this.constructor.EVENT_KEY);for(const t of Object.getOwnPropertyNames(this))this[t]=null}_queueCallback(t,e,i=!0){y(t,e,i)}_getConfig(t){return t=this._mergeConfigObj(t,this._element),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}static getInstance(t){return n.get(c(t),this.DATA_KEY)}static getOrCreateInstance(t,e={}){return this.getInstance(t)||new this(t,"object"==typeof e?e:null)}static get VERSION(){return"5.3.3"}static get DATA_KEY(){return`bs.${this.NAME}`}static get EVENT_KEY(){return`.${this.DATA_KEY}`}static eventName(t){return`${t}${this.EVENT_KEY}`}}const R=t=>{let e=t.getAttribute("data-bs-target");if(!e||"#"===e){let i=t.getAttribute("href");if(!i||!i.includes("#")&&!i.startsWith("."))return null;i.includes("#")&&!i.startsWith("#")&&(i=`#${i.split("#")[1]}`),e=i&&"#"!==i?i.trim():null}return e?e.split(",").map((t=>r(t))).join(","):null},K={find:(t,e=document.documentElement)=>[].concat(...Element.prototype.querySelectorAll.call(e,t)),findOne:(t,e=document.documentElement)=>Element.prototype.querySelector.call(e,t),children:(t,e)=>[].concat(...t.children).filter((t=>t.matches(e))),parents(t,e){const i=[];let s=t.parentNode.closest(e);for(;s;)i.push(s),s=s.parentNode.closest(e);return i},prev(t,e){let i=t.previousElementSibling;for(;i;){if(i.matches(e))return[i];i=i.previousElementSibling}return[]},next(t,e){let i=t.nextElementSibling;for(;i;){if(i.matches(e))return[i];i=i.nextElementSibling}return[]},focusableChildren(t){const e=["a","button","input","textarea","select","details","[tabindex]",'[contenteditable="true"]'].map((t=>`${t}:not([tabindex^="-"])`)).join(",");return this.find(e,t).filter((t=>!d(t)&&h(t)))},getSelectorFromElement(t){const e=R(t);return e&&K.findOne(e)?e:null},getElementFromSelector(t){const e=R(t);return e?K.findOne(e):null},getMultipleElementsFromSelector(t){const e=R(t);return e?K.find(e):[]}},V=(t,e="hide")=>{const i=`click.dismiss${t.EVENT_KEY}`,s=t.NAME;j.on(document,i,`[data-bs-dismiss="${s}"]`,(function(i){if(["A","AREA"].includes(this.tagName)&&i.preventDefault(),d(this))return;const n=K.getElementFromSelector(this)||this.closest(`.${s}`);t.getOrCreateInstance(n)[e]()}))},Q=".bs.alert",X=`close${Q}`,Y=`closed${Q}`;class U extends W{static get NAME(){return"alert"}close(){if(j.trigger(this._element,X).defaultPrevented)return;this._element.classList.remove("show");const t=this._element.classList.contains("fade");this._queueCallback((()=>this._destroyElement()),this._element,t)}_destroyElement(){this._element.remove(),j.trigger(this._element,Y),this.dispose()}static jQueryInterface(t){return this.each((function(){const e=U.getOrCreateInstance(this);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t](this)}}))}}V(U,"close"),b(U);const G='[data-bs-toggle="button"]';class J extends W{static get NAME(){return"button"}toggle(){this._element.setAttribute("aria-pressed",this._element.classList.toggle("active"))}static jQueryInterface(t){return this.each((function(){const e=J.getOrCreateInstance(this);"toggle"===t&&e[t]()}))}}j.on(document,"click.bs.button.data-api",G,(t=>{t.preventDefault();const e=t.target.closest(G);J.getOrCreateInstance(e).toggle()})),b(J);const Z=".bs.swipe",tt=`touchstart${Z}`,et=`touchmove${Z}`,it=`touchend${Z}`,st=`pointerdown${Z}`,nt=`pointerup${Z}`,ot={endCallback:null,leftCallback:null,rightCallback:null},rt={endCallback:"(function|null)",leftCallback:"(function|null)",rightCallback:"(function|null)"};class at extends q{constructor(t,e){super(),this._element=t,t&&at.isSupported()&&(this._config=this._getConfig(e),this._deltaX=0,this._supportPointerEvents=Boolean(window.PointerEvent),this._initEvents())}static get Default(){return ot}static get DefaultType(){return rt}static get NAME(){return"swipe"}dispose(){j.off(this._element,Z)}_start(t){this._supportPointerEvents?this._eventIsPointerPenTouch(t)&&(this._deltaX=t.clientX):this._deltaX=t.touches[0].clientX}_end(t){this._eventIsPointerPenTouch(t)&&(this._deltaX=t.clientX-this._deltaX),this._handleSwipe(),v(this._config.endCallback)}_move(t){this._deltaX=t.touches&&t.touches.length>1?0:t.touches[0].clientX-this._deltaX}_handleSwipe(){const t=Math.abs(this._deltaX);if(t<=40)return;const e=t/this._deltaX;this._deltaX=0,e&&v(e>0?this._config.rightCallback:this._config.leftCallback)}_initEvents(){this._supportPointerEvents?(j.on(this._element,st,(t=>this._start(t))),j.on(this._element,nt,(t=>this._end(t))),this._element.classList.add("pointer-event")):(j.on(this._element,tt,(t=>this._start(t))),j.on(this._element,et,(t=>this._move(t))),j.on(this._element,it,(t=>this._end(t))))}_eventIsPointerPenTouch(t){return this._supportPointerEvents&&("pen"===t.pointerType||"touch"===t.pointerType)}static isSupported(){return"ontouchstart"in document.documentElement||navigator.maxTouchPoints>0}}const lt=".bs.carousel",ct=".data-api",ht="next",dt="prev",ut="left",_t="right",gt=`slide${lt}`,ft=`slid${lt}`,mt=`keydown${lt}`,pt=`mouseenter${lt}`,bt=`mouseleave${lt}`,vt=`dragstart${lt}`,yt=`load${lt}${ct}`,wt=`click${lt}${ct}`,At="carousel",Et="active",Ct=".active",Tt=".carousel-item",kt=Ct+Tt,$t={ArrowLeft:_t,ArrowRight:ut},St={interval:5e3,keyboard:!0,pause:"hover",ride:!1,touch:!0,wrap:!0},Lt={interval:"(number|boolean)",keyboard:"boolean",pause:"(string|boolean)",ride:"(boolean|string)",touch:"boolean",wrap:"boolean"};class Ot extends W{constructor(t,e){super(t,e),this._interval=null,this._activeElement=null,this._isSliding=!1,this.touchTimeout=null,this._swipeHelper=null,this._indicatorsElement=K.findOne(".carousel-indicators",this._element),this._addEventListeners(),this._config.ride===At&&this.cycle()}static get Default(){return St}static get DefaultType(){return Lt}static get NAME(){return"carousel"}next(){this._slide(ht)}nextWhenVisible(){!document.hidden&&h(this._element)&&this.next()}prev(){this._slide(dt)}pause(){this._isSliding&&a(this._element),this._clearInterval()}cycle(){this._clearInterval(),this._updateInterval(),this._interval=setInterval((()=>this.nextWhenVisible()),this._config.interval)}_maybeEnableCycle(){this._config.ride&&(this._isSliding?j.one(this._element,ft,(()=>this.cycle())):this.cycle())}to(t){const e=this._getItems();if(t>e.length-1||t<0)return;if(this._isSliding)return void j.one(this._element,ft,(()=>this.to(t)));const i=this._getItemIndex(this._getActive());if(i===t)return;const s=t>i?ht:dt;this._slide(s,e[t])}dispose(){this._swipeHelper&&this._swipeHelper.dispose(),super.dispose()}_configAfterMerge(t){return t.defaultInterval=t.interval,t}_addEventListeners(){this._config.keyboard&&j.on(this._element,mt,(t=>this._keydown(t))),"hover"===this._config.pause&&(j.on(this._element,pt,(()=>this.pause())),j.on(this._element,bt,(()=>this._maybeEnableCycle()))),this._config.touch&&at.isSupported()&&this._addTouchEventListeners()}_addTouchEventListeners(){for(const t of K.find(".carousel-item img",this._element))j.on(t,vt,(t=>t.preventDefault()));const t={leftCallback:()=>this._slide(this._directionToOrder(ut)),rightCallback:()=>this._slide(this._directionToOrder(_t)),endCallback:()=>{"hover"===this._config.pause&&(this.pause(),this.touchTimeout&&clearTimeout(this.touchTimeout),this.touchTimeout=setTimeout((()=>this._maybeEnableCycle()),500+this._config.interval))}};this._swipeHelper=new at(this._element,t)}_keydown(t){if(/input|textarea/i.test(t.target.tagName))return;const e=$t[t.key];e&&(t.preventDefault(),this._slide(this._directionToOrder(e)))}_getItemIndex(t){return this._getItems().indexOf(t)}_setActiveIndicatorElement(t){if(!this._indicatorsElement)return;const e=K.findOne(Ct,this._indicatorsElement);e.classList.remove(Et),e.removeAttribute("aria-current");const i=K.findOne(`[data-bs-slide-to="${t}"]`,this._indicatorsElement);i&&(i.classList.add(Et),i.setAttribute("aria-current","true"))}_updateInterval(){const t=this._activeElement||this._getActive();if(!t)return;const e=Number.parseInt(t.getAttribute("data-bs-interval"),10);this._config.interval=e||this._config.defaultInterval}_slide(t,e=null){if(this._isSliding)return;const i=this._getActive(),s=t===ht,n=e||w(this._getItems(),i,s,this._config.wrap);if(n===i)return;const o=this._getItemIndex(n),r=e=>j.trigger(this._element,e,{relatedTarget:n,direction:this._orderToDirection(t),from:this._getItemIndex(i),to:o});if(r(gt).defaultPrevented)return;if(!i||!n)return;const a=Boolean(this._interval);this.pause(),this._isSliding=!0,this._setActiveIndicatorElement(o),this._activeElement=n;const l=s?"carousel-item-start":"carousel-item-end",c=s?"carousel-item-next":"carousel-item-prev";n.classList.add(c),g(n),i.classList.add(l),n.classList.add(l),this._queueCallback((()=>{n.classList.remove(l,c),n.classList.add(Et),i.classList.remove(Et,c,l),this._isSliding=!1,r(ft)}),i,this._isAnimated()),a&&this.cycle()}_isAnimated(){return this._element.classList.contains("slide")}_getActive(){return K.findOne(kt,this._element)}_getItems(){return K.find(Tt,this._element)}_clearInterval(){this._interval&&(clearInterval(this._interval),this._interval=null)}_directionToOrder(t){return p()?t===ut?dt:ht:t===ut?ht:dt}_orderToDirection(t){return p()?t===dt?ut:_t:t===dt?_t:ut}static jQueryInterface(t){return this.each((function(){const e=Ot.getOrCreateInstance(this,t);if("number"!=typeof t){if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}}else e.to(t)}))}}j.on(document,wt,"[data-bs-slide], [data-bs-slide-to]",(function(t){const e=K.getElementFromSelector(this);if(!e||!e.classList.contains(At))return;t.preventDefault();const i=Ot.getOrCreateInstance(e),s=this.getAttribute("data-bs-slide-to");return s?(i.to(s),void i._maybeEnableCycle()):"next"===B.getDataAttribute(this,"slide")?(i.next(),void i._maybeEnableCycle()):(i.prev(),void i._maybeEnableCycle())})),j.on(window,yt,(()=>{const t=K.find('[data-bs-ride="carousel"]');for(const e of t)Ot.getOrCreateInstance(e)})),b(Ot);const It=".bs.collapse",Dt=`show${It}`,Nt=`shown${It}`,Pt=`hide${It}`,xt=`hidden${It}`,Mt=`click${It}.data-api`,jt="show",Ft="collapse",zt="collapsing",Ht=`:scope .${Ft} .${Ft}`,Bt='[data-bs-toggle="collapse"]',qt={parent:null,toggle:!0},Wt={parent:"(null|element)",toggle:"boolean"};class Rt extends W{constructor(t,e){super(t,e),this._isTransitioning=!1,this._triggerArray=[];const i=K.find(Bt);for(const t of i){const e=K.getSelectorFromElement(t),i=K.find(e).filter((t=>t===this._element));null!==e&&i.length&&this._triggerArray.push(t)}this._initializeChildren(),this._config.parent||this._addAriaAndCollapsedClass(this._triggerArray,this._isShown()),this._config.toggle&&this.toggle()}static get Default(){return qt}static get DefaultType(){return Wt}static get NAME(){return"collapse"}toggle(){this._isShown()?this.hide():this.show()}show(){if(this._isTransitioning||this._isShown())return;let t=[];if(this._config.parent&&(t=this._getFirstLevelChildren(".collapse.show, .collapse.collapsing").filter((t=>t!==this._element)).map((t=>Rt.getOrCreateInstance(t,{toggle:!1})))),t.length&&t[0]._isTransitioning)return;if(j.trigger(this._element,Dt).defaultPrevented)return;for(const e of t)e.hide();const e=this._getDimension();this._element.classList.remove(Ft),this._element.classList.add(zt),this._element.style[e]=0,this._addAriaAndCollapsedClass(this._triggerArray,!0),this._isTransitioning=!0;const i=`scroll${e[0].toUpperCase()+e.slice(1)}`;this._queueCallback((()=>{this._isTransitioning=!1,this._element.classList.remove(zt),this._element.classList.add(Ft,jt),this._element.style[e]="",j.trigger(this._element,Nt)}),this._element,!0),this._element.style[e]=`${this._element[i]}px`}hide(){if(this._isTransitioning||!this._isShown())return;if(j.trigger(this._element,Pt).defaultPrevented)return;const t=this._getDimension();this._element.style[t]=`${this._element.getBoundingClientRect()[t]}px`,g(this._element),this._element.classList.add(zt),this._element.classList.remove(Ft,jt);for(const t of this._triggerArray){const e=K.getElementFromSelector(t);e&&!this._isShown(e)&&this._addAriaAndCollapsedClass([t],!1)}this._isTransitioning=!0,this._element.style[t]="",this._queueCallback((()=>{this._isTransitioning=!1,this._element.classList.remove(zt),this._element.classList.add(Ft),j.trigger(this._element,xt)}),this._element,!0)}_isShown(t=this._element){return t.classList.contains(jt)}_configAfterMerge(t){return t.toggle=Boolean(t.toggle),t.parent=c(t.parent),t}_getDimension(){return this._element.classList.contains("collapse-horizontal")?"width":"height"}_initializeChildren(){if(!this._config.parent)return;const t=this._getFirstLevelChildren(Bt);for(const e of t){const t=K.getElementFromSelector(e);t&&this._addAriaAndCollapsedClass([e],this._isShown(t))}}_getFirstLevelChildren(t){const e=K.find(Ht,this._config.parent);return K.find(t,this._config.parent).filter((t=>!e.includes(t)))}_addAriaAndCollapsedClass(t,e){if(t.length)for(const i of t)i.classList.toggle("collapsed",!e),i.setAttribute("aria-expanded",e)}static jQueryInterface(t){const e={};return"string"==typeof t&&/show|hide/.test(t)&&(e.toggle=!1),this.each((function(){const i=Rt.getOrCreateInstance(this,e);if("string"==typeof t){if(void 0===i[t])throw new TypeError(`No method named "${t}"`);i[t]()}}))}}j.on(document,Mt,Bt,(function(t){("A"===t.target.tagName||t.delegateTarget&&"A"===t.delegateTarget.tagName)&&t.preventDefault();for(const t of K.getMultipleElementsFromSelector(this))Rt.getOrCreateInstance(t,{toggle:!1}).toggle()})),b(Rt);const Kt="dropdown",Vt=".bs.dropdown",Qt=".data-api",Xt="ArrowUp",Yt="ArrowDown",Ut=`hide${Vt}`,Gt=`hidden${Vt}`,Jt=`show${Vt}`,Zt=`shown${Vt}`,te=`click${Vt}${Qt}`,ee=`keydown${Vt}${Qt}`,ie=`keyup${Vt}${Qt}`,se="show",ne='[data-bs-toggle="dropdown"]:not(.disabled):not(:disabled)',oe=`${ne}.${se}`,re=".dropdown-menu",ae=p()?"top-end":"top-start",le=p()?"top-start":"top-end",ce=p()?"bottom-end":"bottom-start",he=p()?"bottom-start":"bottom-end",de=p()?"left-start":"right-start",ue=p()?"right-start":"left-start",_e={autoClose:!0,boundary:"clippingParents",display:"dynamic",offset:[0,2],popperConfig:null,reference:"toggle"},ge={autoClose:"(boolean|string)",boundary:"(string|element)",display:"string",offset:"(array|string|function)",popperConfig:"(null|object|function)",reference:"(string|element|object)"};class fe extends W{constructor(t,e){super(t,e),this._popper=null,this._parent=this._element.parentNode,this._menu=K.next(this._element,re)[0]||K.prev(this._element,re)[0]||K.findOne(re,this._parent),this._inNavbar=this._detectNavbar()}static get Default(){return _e}static get DefaultType(){return ge}static get NAME(){return Kt}toggle(){return this._isShown()?this.hide():this.show()}show(){if(d(this._element)||this._isShown())return;const t={relatedTarget:this._element};if(!j.trigger(this._element,Jt,t).defaultPrevented){if(this._createPopper(),"ontouchstart"in document.documentElement&&!this._parent.closest(".navbar-nav"))for(const t of[].concat(...document.body.children))j.on(t,"mouseover",_);this._element.focus(),this._element.setAttribute("aria-expanded",!0),this._menu.classList.add(se),this._element.classList.add(se),j.trigger(this._element,Zt,t)}}hide(){if(d(this._element)||!this._isShown())return;const t={relatedTarget:this._element};this._completeHide(t)}dispose(){this._popper&&this._popper.destroy(),super.dispose()}update(){this._inNavbar=this._detectNavbar(),this._popper&&this._popper.update()}_completeHide(t){if(!j.trigger(this._element,Ut,t).defaultPrevented){if("ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))j.off(t,"mouseover",_);this._popper&&this._popper.destroy(),this._menu.classList.remove(se),this._element.classList.remove(se),this._element.setAttribute("aria-expanded","false"),B.removeDataAttribute(this._menu,"popper"),j.trigger(this._element,Gt,t)}}_getConfig(t){if("object"==typeof(t=super._getConfig(t)).reference&&!l(t.reference)&&"function"!=typeof t.reference.getBoundingClientRect)throw new TypeError(`${Kt.toUpperCase()}: Option "reference" provided type "object" without a required "getBoundingClientRect" method.`);return t}_createPopper(){if(void 0===i)throw new TypeError("Bootstrap's dropdowns require Popper (https://popper.js.org)");let t=this._element;"parent"===this._config.reference?t=this._parent:l(this._config.reference)?t=c(this._config.reference):"object"==typeof this._config.reference&&(t=this._config.reference);const e=this._getPopperConfig();this._popper=i.createPopper(t,this._menu,e)}_isShown(){return this._menu.classList.contains(se)}_getPlacement(){const t=this._parent;if(t.classList.contains("dropend"))return de;if(t.classList.contains("dropstart"))return ue;if(t.classList.contains("dropup-center"))return"top";if(t.classList.contains("dropdown-center"))return"bottom";const e="end"===getComputedStyle(this._menu).getPropertyValue("--bs-position").trim();return t.classList.contains("dropup")?e?le:ae:e?he:ce}_detectNavbar(){return null!==this._element.closest(".navbar")}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map((t=>Number.parseInt(t,10))):"function"==typeof t?e=>t(e,this._element):t}_getPopperConfig(){const t={placement:this._getPlacement(),modifiers:[{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"offset",options:{offset:this._getOffset()}}]};return(this._inNavbar||"static"===this._config.display)&&(B.setDataAttribute(this._menu,"popper","static"),t.modifiers=[{name:"applyStyles",enabled:!1}]),{...t,...v(this._config.popperConfig,[t])}}_selectMenuItem({key:t,target:e}){const i=K.find(".dropdown-menu .dropdown-item:not(.disabled):not(:disabled)",this._menu).filter((t=>h(t)));i.length&&w(i,e,t===Yt,!i.includes(e)).focus()}static jQueryInterface(t){return this.each((function(){const e=fe.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}}))}static clearMenus(t){if(2===t.button||"keyup"===t.type&&"Tab"!==t.key)return;const e=K.find(oe);for(const i of e){const e=fe.getInstance(i);if(!e||!1===e._config.autoClose)continue;const s=t.composedPath(),n=s.includes(e._menu);if(s.includes(e._element)||"inside"===e._config.autoClose&&!n||"outside"===e._config.autoClose&&n)continue;if(e._menu.contains(t.target)&&("keyup"===t.type&&"Tab"===t.key||/input|select|option|textarea|form/i.test(t.target.tagName)))continue;const o={relatedTarget:e._element};"click"===t.type&&(o.clickEvent=t),e._completeHide(o)}}static dataApiKeydownHandler(t){const e=/input|textarea/i.test(t.target.tagName),i="Escape"===t.key,s=[Xt,Yt].includes(t.key);if(!s&&!i)return;if(e&&!i)return;t.preventDefault();const n=this.matches(ne)?this:K.prev(this,ne)[0]||K.next(this,ne)[0]||K.findOne(ne,t.delegateTarget.parentNode),o=fe.getOrCreateInstance(n);if(s)return t.stopPropagation(),o.show(),void o._selectMenuItem(t);o._isShown()&&(t.stopPropagation(),o.hide(),n.focus())}}j.on(document,ee,ne,fe.dataApiKeydownHandler),j.on(document,ee,re,fe.dataApiKeydownHandler),j.on(document,te,fe.clearMenus),j.on(document,ie,fe.clearMenus),j.on(document,te,ne,(function(t){t.preventDefault(),fe.getOrCreateInstance(this).toggle()})),b(fe);const me="backdrop",pe="show",be=`mousedown.bs.${me}`,ve={className:"modal-backdrop",clickCallback:null,isAnimated:!1,isVisible:!0,rootElement:"body"},ye={className:"string",clickCallback:"(function|null)",isAnimated:"boolean",isVisible:"boolean",rootElement:"(element|string)"};class we extends q{constructor(t){super(),this._config=this._getConfig(t),this._isAppended=!1,this._element=null}static get Default(){return ve}static get DefaultType(){return ye}static get NAME(){return me}show(t){if(!this._config.isVisible)return void v(t);this._append();const e=this._getElement();this._config.isAnimated&&g(e),e.classList.add(pe),this._emulateAnimation((()=>{v(t)}))}hide(t){this._config.isVisible?(this._getElement().classList.remove(pe),this._emulateAnimation((()=>{this.dispose(),v(t)}))):v(t)}dispose(){this._isAppended&&(j.off(this._element,be),this._element.remove(),this._isAppended=!1)}_getElement(){if(!this._element){const t=document.createElement("div");t.className=this._config.className,this._config.isAnimated&&t.classList.add("fade"),this._element=t}return this._element}_configAfterMerge(t){return t.rootElement=c(t.rootElement),t}_append(){if(this._isAppended)return;const t=this._getElement();this._config.rootElement.append(t),j.on(t,be,(()=>{v(this._config.clickCallback)})),this._isAppended=!0}_emulateAnimation(t){y(t,this._getElement(),this._config.isAnimated)}}const Ae=".bs.focustrap",Ee=`focusin${Ae}`,Ce=`keydown.tab${Ae}`,Te="backward",ke={autofocus:!0,trapElement:null},$e={autofocus:"boolean",trapElement:"element"};class Se extends q{constructor(t){super(),this._config=this._getConfig(t),this._isActive=!1,this._lastTabNavDirection=null}static get Default(){return ke}static get DefaultType(){return $e}static get NAME(){return"focustrap"}activate(){this._isActive||(this._config.autofocus&&this._config.trapElement.focus(),j.off(document,Ae),j.on(document,Ee,(t=>this._handleFocusin(t))),j.on(document,Ce,(t=>this._handleKeydown(t))),this._isActive=!0)}deactivate(){this._isActive&&(this._isActive=!1,j.off(document,Ae))}_handleFocusin(t){const{trapElement:e}=this._config;if(t.target===document||t.target===e||e.contains(t.target))return;const i=K.focusableChildren(e);0===i.length?e.focus():this._lastTabNavDirection===Te?i[i.length-1].focus():i[0].focus()}_handleKeydown(t){"Tab"===t.key&&(this._lastTabNavDirection=t.shiftKey?Te:"forward")}}const Le=".fixed-top, .fixed-bottom, .is-fixed, .sticky-top",Oe=".sticky-top",Ie="padding-right",De="margin-right";class Ne{constructor(){this._element=document.body}getWidth(){const t=document.documentElement.clientWidth;return Math.abs(window.innerWidth-t)}hide(){const t=this.getWidth();this._disableOverFlow(),this._setElementAttributes(this._element,Ie,(e=>e+t)),this._setElementAttributes(Le,Ie,(e=>e+t)),this._setElementAttributes(Oe,De,(e=>e-t))}reset(){this._resetElementAttributes(this._element,"overflow"),this._resetElementAttributes(this._element,Ie),this._resetElementAttributes(Le,Ie),this._resetElementAttributes(Oe,De)}isOverflowing(){return this.getWidth()>0}_disableOverFlow(){this._saveInitialAttribute(this._element,"overflow"),this._element.style.overflow="hidden"}_setElementAttributes(t,e,i){const s=this.getWidth();this._applyManipulationCallback(t,(t=>{if(t!==this._element&&window.innerWidth>t.clientWidth+s)return;this._saveInitialAttribute(t,e);const n=window.getComputedStyle(t).getPropertyValue(e);t.style.setProperty(e,`${i(Number.parseFloat(n))}px`)}))}_saveInitialAttribute(t,e){const i=t.style.getPropertyValue(e);i&&B.setDataAttribute(t,e,i)}_resetElementAttributes(t,e){this._applyManipulationCallback(t,(t=>{const i=B.getDataAttribute(t,e);null!==i?(B.removeDataAttribute(t,e),t.style.setProperty(e,i)):t.style.removeProperty(e)}))}_applyManipulationCallback(t,e){if(l(t))e(t);else for(const i of K.find(t,this._element))e(i)}}const Pe=".bs.modal",xe=`hide${Pe}`,Me=`hidePrevented${Pe}`,je=`hidden${Pe}`,Fe=`show${Pe}`,ze=`shown${Pe}`,He=`resize${Pe}`,Be=`click.dismiss${Pe}`,qe=`mousedown.dismiss${Pe}`,We=`keydown.dismiss${Pe}`,Re=`click${Pe}.data-api`,Ke="modal-open",Ve="show",Qe="modal-static",Xe={backdrop:!0,focus:!0,keyboard:!0},Ye={backdrop:"(boolean|string)",focus:"boolean",keyboard:"boolean"};class Ue extends W{constructor(t,e){super(t,e),this._dialog=K.findOne(".modal-dialog",this._element),this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._isShown=!1,this._isTransitioning=!1,this._scrollBar=new Ne,this._addEventListeners()}static get Default(){return Xe}static get DefaultType(){return Ye}static get NAME(){return"modal"}toggle(t){return this._isShown?this.hide():this.show(t)}show(t){this._isShown||this._isTransitioning||j.trigger(this._element,Fe,{relatedTarget:t}).defaultPrevented||(this._isShown=!0,this._isTransitioning=!0,this._scrollBar.hide(),document.body.classList.add(Ke),this._adjustDialog(),this._backdrop.show((()=>this._showElement(t))))}hide(){this._isShown&&!this._isTransitioning&&(j.trigger(this._element,xe).defaultPrevented||(this._isShown=!1,this._isTransitioning=!0,this._focustrap.deactivate(),this._element.classList.remove(Ve),this._queueCallback((()=>this._hideModal()),this._element,this._isAnimated())))}dispose(){j.off(window,Pe),j.off(this._dialog,Pe),this._backdrop.dispose(),this._focustrap.deactivate(),super.dispose()}handleUpdate(){this._adjustDialog()}_initializeBackDrop(){return new we({isVisible:Boolean(this._config.backdrop),isAnimated:this._isAnimated()})}_initializeFocusTrap(){return new Se({trapElement:this._element})}_showElement(t){document.body.contains(this._element)||document.body.append(this._element),this._element.style.display="block",this._element.removeAttribute("aria-hidden"),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.scrollTop=0;const e=K.findOne(".modal-body",this._dialog);e&&(e.scrollTop=0),g(this._element),this._element.classList.add(Ve),this._queueCallback((()=>{this._config.focus&&this._focustrap.activate(),this._isTransitioning=!1,j.trigger(this._element,ze,{relatedTarget:t})}),this._dialog,this._isAnimated())}_addEventListeners(){j.on(this._element,We,(t=>{"Escape"===t.key&&(this._config.keyboard?this.hide():this._triggerBackdropTransition())})),j.on(window,He,(()=>{this._isShown&&!this._isTransitioning&&this._adjustDialog()})),j.on(this._element,qe,(t=>{j.one(this._element,Be,(e=>{this._element===t.target&&this._element===e.target&&("static"!==this._config.backdrop?this._config.backdrop&&this.hide():this._triggerBackdropTransition())}))}))}_hideModal(){this._element.style.display="none",this._element.setAttribute("aria-hidden",!0),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._isTransitioning=!1,this._backdrop.hide((()=>{document.body.classList.remove(Ke),this._resetAdjustments(),this._scrollBar.reset(),j.trigger(this._element,je)}))}_isAnimated(){return this._element.classList.contains("fade")}_triggerBackdropTransition(){if(j.trigger(this._element,Me).defaultPrevented)return;const t=this._element.scrollHeight>document.documentElement.clientHeight,e=this._element.style.overflowY;"hidden"===e||this._element.classList.contains(Qe)||(t||(this._element.style.overflowY="hidden"),this._element.classList.add(Qe),this._queueCallback((()=>{this._element.classList.remove(Qe),this._queueCallback((()=>{this._element.style.overflowY=e}),this._dialog)}),this._dialog),this._element.focus())}_adjustDialog(){const t=this._element.scrollHeight>document.documentElement.clientHeight,e=this._scrollBar.getWidth(),i=e>0;if(i&&!t){const t=p()?"paddingLeft":"paddingRight";this._element.style[t]=`${e}px`}if(!i&&t){const t=p()?"paddingRight":"paddingLeft";this._element.style[t]=`${e}px`}}_resetAdjustments(){this._element.style.paddingLeft="",this._element.style.paddingRight=""}static jQueryInterface(t,e){return this.each((function(){const i=Ue.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===i[t])throw new TypeError(`No method named "${t}"`);i[t](e)}}))}}j.on(document,Re,'[data-bs-toggle="modal"]',(function(t){const e=K.getElementFromSelector(this);["A","AREA"].includes(this.tagName)&&t.preventDefault(),j.one(e,Fe,(t=>{t.defaultPrevented||j.one(e,je,(()=>{h(this)&&this.focus()}))}));const i=K.findOne(".modal.show");i&&Ue.getInstance(i).hide(),Ue.getOrCreateInstance(e).toggle(this)})),V(Ue),b(Ue);const Ge=".bs.offcanvas",Je=".data-api",Ze=`load${Ge}${Je}`,ti="show",ei="showing",ii="hiding",si=".offcanvas.show",ni=`show${Ge}`,oi=`shown${Ge}`,ri=`hide${Ge}`,ai=`hidePrevented${Ge}`,li=`hidden${Ge}`,ci=`resize${Ge}`,hi=`click${Ge}${Je}`,di=`keydown.dismiss${Ge}`,ui={backdrop:!0,keyboard:!0,scroll:!1},_i={backdrop:"(boolean|string)",keyboard:"boolean",scroll:"boolean"};class gi extends W{constructor(t,e){super(t,e),this._isShown=!1,this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._addEventListeners()}static get Default(){return ui}static get DefaultType(){return _i}static get NAME(){return"offcanvas"}toggle(t){return this._isShown?this.hide():this.show(t)}show(t){this._isShown||j.trigger(this._element,ni,{relatedTarget:t}).defaultPrevented||(this._isShown=!0,this._backdrop.show(),this._config.scroll||(new Ne).hide(),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.classList.add(ei),this._queueCallback((()=>{this._config.scroll&&!this._config.backdrop||this._focustrap.activate(),this._element.classList.add(ti),this._element.classList.remove(ei),j.trigger(this._element,oi,{relatedTarget:t})}),this._element,!0))}hide(){this._isShown&&(j.trigger(this._element,ri).defaultPrevented||(this._focustrap.deactivate(),this._element.blur(),this._isShown=!1,this._element.classList.add(ii),this._backdrop.hide(),this._queueCallback((()=>{this._element.classList.remove(ti,ii),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._config.scroll||(new Ne).reset(),j.trigger(this._element,li)}),this._element,!0)))}dispose(){this._backdrop.dispose(),this._focustrap.deactivate(),super.dispose()}_initializeBackDrop(){const t=Boolean(this._config.backdrop);return new we({className:"offcanvas-backdrop",isVisible:t,isAnimated:!0,rootElement:this._element.parentNode,clickCallback:t?()=>{"static"!==this._config.backdrop?this.hide():j.trigger(this._element,ai)}:null})}_initializeFocusTrap(){return new Se({trapElement:this._element})}_addEventListeners(){j.on(this._element,di,(t=>{"Escape"===t.key&&(this._config.keyboard?this.hide():j.trigger(this._element,ai))}))}static jQueryInterface(t){return this.each((function(){const e=gi.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t](this)}}))}}j.on(document,hi,'[data-bs-toggle="offcanvas"]',(function(t){const e=K.getElementFromSelector(this);if(["A","AREA"].includes(this.tagName)&&t.preventDefault(),d(this))return;j.one(e,li,(()=>{h(this)&&this.focus()}));const i=K.findOne(si);i&&i!==e&&gi.getInstance(i).hide(),gi.getOrCreateInstance(e).toggle(this)})),j.on(window,Ze,(()=>{for(const t of K.find(si))gi.getOrCreateInstance(t).show()})),j.on(window,ci,(()=>{for(const t of K.find("[aria-modal][class*=show][class*=offcanvas-]"))"fixed"!==getComputedStyle(t).position&&gi.getOrCreateInstance(t).hide()})),V(gi),b(gi);const fi={"*":["class","dir","id","lang","role",/^aria-[\w-]*$/i],a:["target","href","title","rel"],area:[],b:[],br:[],col:[],code:[],dd:[],div:[],dl:[],dt:[],em:[],hr:[],h1:[],h2:[],h3:[],h4:[],h5:[],h6:[],i:[],img:["src","srcset","alt","title","width","height"],li:[],ol:[],p:[],pre:[],s:[],small:[],span:[],sub:[],sup:[],strong:[],u:[],ul:[]},mi=new Set(["background","cite","href","itemtype","longdesc","poster","src","xlink:href"]),pi=/^(?!javascript:)(?:[a-z0-9+.-]+:|[^&:/?#]*(?:[/?#]|$))/i,bi=(t,e)=>{const i=t.nodeName.toLowerCase();return e.includes(i)?!mi.has(i)||Boolean(pi.test(t.nodeValue)):e.filter((t=>t instanceof RegExp)).some((t=>t.test(i)))},vi={allowList:fi,content:{},extraClass:"",html:!1,sanitize:!0,sanitizeFn:null,template:"<div></div>"},yi={allowList:"object",content:"object",extraClass:"(string|function)",html:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},wi={entry:"(string|element|function|null)",selector:"(string|element)"};class Ai extends q{constructor(t){super(),this._config=this._getConfig(t)}static get Default(){return vi}static get DefaultType(){return yi}static get NAME(){return"TemplateFactory"}getContent(){return Object.values(this._config.content).map((t=>this._resolvePossibleFunction(t))).filter(Boolean)}hasContent(){return this.getContent().length>0}changeContent(t){return this._checkContent(t),this._config.content={...this._config.content,...t},this}toHtml(){const t=document.createElement("div");t.innerHTML=this._maybeSanitize(this._config.template);for(const[e,i]of Object.entries(this._config.content))this._setContent(t,i,e);const e=t.children[0],i=this._resolvePossibleFunction(this._config.extraClass);return i&&e.classList.add(...i.split(" ")),e}_typeCheckConfig(t){super._typeCheckConfig(t),this._checkContent(t.content)}_checkContent(t){for(const[e,i]of Object.entries(t))super._typeCheckConfig({selector:e,entry:i},wi)}_setContent(t,e,i){const s=K.findOne(i,t);s&&((e=this._resolvePossibleFunction(e))?l(e)?this._putElementInTemplate(c(e),s):this._config.html?s.innerHTML=this._maybeSanitize(e):s.textContent=e:s.remove())}_maybeSanitize(t){return this._config.sanitize?function(t,e,i){if(!t.length)return t;if(i&&"function"==typeof i)return i(t);const s=(new window.DOMParser).parseFromString(t,"text/html"),n=[].concat(...s.body.querySelectorAll("*"));for(const t of n){const i=t.nodeName.toLowerCase();if(!Object.keys(e).includes(i)){t.remove();continue}const s=[].concat(...t.attributes),n=[].concat(e["*"]||[],e[i]||[]);for(const e of s)bi(e,n)||t.removeAttribute(e.nodeName)}return s.body.innerHTML}(t,this._config.allowList,this._config.sanitizeFn):t}_resolvePossibleFunction(t){return v(t,[this])}_putElementInTemplate(t,e){if(this._config.html)return e.innerHTML="",void e.append(t);e.textContent=t.textContent}}const Ei=new Set(["sanitize","allowList","sanitizeFn"]),Ci="fade",Ti="show",ki=".modal",$i="hide.bs.modal",Si="hover",Li="focus",Oi={AUTO:"auto",TOP:"top",RIGHT:p()?"left":"right",BOTTOM:"bottom",LEFT:p()?"right":"left"},Ii={allowList:fi,animation:!0,boundary:"clippingParents",container:!1,customClass:"",delay:0,fallbackPlacements:["top","right","bottom","left"],html:!1,offset:[0,6],placement:"top",popperConfig:null,sanitize:!0,sanitizeFn:null,selector:!1,template:'<div class="tooltip" role="tooltip"><div class="tooltip-arrow"></div><div class="tooltip-inner"></div></div>',title:"",trigger:"hover focus"},Di={allowList:"object",animation:"boolean",boundary:"(string|element)",container:"(string|element|boolean)",customClass:"(string|function)",delay:"(number|object)",fallbackPlacements:"array",html:"boolean",offset:"(array|string|function)",placement:"(string|function)",popperConfig:"(null|object|function)",sanitize:"boolean",sanitizeFn:"(null|function)",selector:"(string|boolean)",template:"string",title:"(string|element|function)",trigger:"string"};class Ni extends W{constructor(t,e){if(void 0===i)throw new TypeError("Bootstrap's tooltips require Popper (https://popper.js.org)");super(t,e),this._isEnabled=!0,this._timeout=0,this._isHovered=null,this._activeTrigger={},this._popper=null,this._templateFactory=null,this._newContent=null,this.tip=null,this._setListeners(),this._config.selector||this._fixTitle()}static get Default(){return Ii}static get DefaultType(){return Di}static get NAME(){return"tooltip"}enable(){this._isEnabled=!0}disable(){this._isEnabled=!1}toggleEnabled(){this._isEnabled=!this._isEnabled}toggle(){this._isEnabled&&(this._activeTrigger.click=!this._activeTrigger.click,this._isShown()?this._leave():this._enter())}dispose(){clearTimeout(this._timeout),j.off(this._element.closest(ki),$i,this._hideModalHandler),this._element.getAttribute("data-bs-original-title")&&this._element.setAttribute("title",this._element.getAttribute("data-bs-original-title")),this._disposePopper(),super.dispose()}show(){if("none"===this._element.style.display)throw new Error("Please use show on visible elements");if(!this._isWithContent()||!this._isEnabled)return;const t=j.trigger(this._element,this.constructor.eventName("show")),e=(u(this._element)||this._element.ownerDocument.documentElement).contains(this._element);if(t.defaultPrevented||!e)return;this._disposePopper();const i=this._getTipElement();this._element.setAttribute("aria-describedby",i.getAttribute("id"));const{container:s}=this._config;if(this._element.ownerDocument.documentElement.contains(this.tip)||(s.append(i),j.trigger(this._element,this.constructor.eventName("inserted"))),this._popper=this._createPopper(i),i.classList.add(Ti),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))j.on(t,"mouseover",_);this._queueCallback((()=>{j.trigger(this._element,this.constructor.eventName("shown")),!1===this._isHovered&&this._leave(),this._isHovered=!1}),this.tip,this._isAnimated())}hide(){if(this._isShown()&&!j.trigger(this._element,this.constructor.eventName("hide")).defaultPrevented){if(this._getTipElement().classList.remove(Ti),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))j.off(t,"mouseover",_);this._activeTrigger.click=!1,this._activeTrigger[Li]=!1,this._activeTrigger[Si]=!1,this._isHovered=null,this._queueCallback((()=>{this._isWithActiveTrigger()||(this._isHovered||this._disposePopper(),this._element.removeAttribute("aria-describedby"),j.trigger(this._element,this.constructor.eventName("hidden")))}),this.tip,this._isAnimated())}}update(){this._popper&&this._popper.update()}_isWithContent(){return Boolean(this._getTitle())}_getTipElement(){return this.tip||(this.tip=this._createTipElement(this._newContent||this._getContentForTemplate())),this.tip}_createTipElement(t){const e=this._getTemplateFactory(t).toHtml();if(!e)return null;e.classList.remove(Ci,Ti),e.classList.add(`bs-${this.constructor.NAME}-auto`);const i=(t=>{do{t+=Math.floor(1e6*Math.random())}while(document.getElementById(t));return t})(this.constructor.NAME).toString();return e.setAttribute("id",i),this._isAnimated()&&e.classList.add(Ci),e}setContent(t){this._newContent=t,this._isShown()&&(this._disposePopper(),this.show())}_getTemplateFactory(t){return this._templateFactory?this._templateFactory.changeContent(t):this._templateFactory=new Ai({...this._config,content:t,extraClass:this._resolvePossibleFunction(this._config.customClass)}),this._templateFactory}_getContentForTemplate(){return{".tooltip-inner":this._getTitle()}}_getTitle(){return this._resolvePossibleFunction(this._config.title)||this._element.getAttribute("data-bs-original-title")}_initializeOnDelegatedTarget(t){return this.constructor.getOrCreateInstance(t.delegateTarget,this._getDelegateConfig())}_isAnimated(){return this._config.animation||this.tip&&this.tip.classList.contains(Ci)}_isShown(){return this.tip&&this.tip.classList.contains(Ti)}_createPopper(t){const e=v(this._config.placement,[this,t,this._element]),s=Oi[e.toUpperCase()];return i.createPopper(this._element,t,this._getPopperConfig(s))}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map((t=>Number.parseInt(t,10))):"function"==typeof t?e=>t(e,this._element):t}_resolvePossibleFunction(t){return v(t,[this._element])}_getPopperConfig(t){const e={placement:t,modifiers:[{name:"flip",options:{fallbackPlacements:this._config.fallbackPlacements}},{name:"offset",options:{offset:this._getOffset()}},{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"arrow",options:{element:`.${this.constructor.NAME}-arrow`}},{name:"preSetPlacement",enabled:!0,phase:"beforeMain",fn:t=>{this._getTipElement().setAttribute("data-popper-placement",t.state.placement)}}]};return{...e,...v(this._config.popperConfig,[e])}}_setListeners(){const t=this._config.trigger.split(" ");for(const e of t)if("click"===e)j.on(this._element,this.constructor.eventName("click"),this._config.selector,(t=>{this._initializeOnDelegatedTarget(t).toggle()}));else if("manual"!==e){const t=e===Si?this.constructor.eventName("mouseenter"):this.constructor.eventName("focusin"),i=e===Si?this.constructor.eventName("mouseleave"):this.constructor.eventName("focusout");j.on(this._element,t,this._config.selector,(t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusin"===t.type?Li:Si]=!0,e._enter()})),j.on(this._element,i,this._config.selector,(t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusout"===t.type?Li:Si]=e._element.contains(t.relatedTarget),e._leave()}))}this._hideModalHandler=()=>{this._element&&this.hide()},j.on(this._element.closest(ki),$i,this._hideModalHandler)}_fixTitle(){const t=this._element.getAttribute("title");t&&(this._element.getAttribute("aria-label")||this._element.textContent.trim()||this._element.setAttribute("aria-label",t),this._element.setAttribute("data-bs-original-title",t),this._element.removeAttribute("title"))}_enter(){this._isShown()||this._isHovered?this._isHovered=!0:(this._isHovered=!0,this._setTimeout((()=>{this._isHovered&&this.show()}),this._config.delay.show))}_leave(){this._isWithActiveTrigger()||(this._isHovered=!1,this._setTimeout((()=>{this._isHovered||this.hide()}),this._config.delay.hide))}_setTimeout(t,e){clearTimeout(this._timeout),this._timeout=setTimeout(t,e)}_isWithActiveTrigger(){return Object.values(this._activeTrigger).includes(!0)}_getConfig(t){const e=B.getDataAttributes(this._element);for(const t of Object.keys(e))Ei.has(t)&&delete e[t];return t={...e,..."object"==typeof t&&t?t:{}},t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){return t.container=!1===t.container?document.body:c(t.container),"number"==typeof t.delay&&(t.delay={show:t.delay,hide:t.delay}),"number"==typeof t.title&&(t.title=t.title.toString()),"number"==typeof t.content&&(t.content=t.content.toString()),t}_getDelegateConfig(){const t={};for(const[e,i]of Object.entries(this._config))this.constructor.Default[e]!==i&&(t[e]=i);return t.selector=!1,t.trigger="manual",t}_disposePopper(){this._popper&&(this._popper.destroy(),this._popper=null),this.tip&&(this.tip.remove(),this.tip=null)}static jQueryInterface(t){return this.each((function(){const e=Ni.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}}))}}b(Ni);const Pi={...Ni.Default,content:"",offset:[0,8],placement:"right",template:'<div class="popover" role="tooltip"><div class="popover-arrow"></div><h3 class="popover-header"></h3><div class="popover-body"></div></div>',trigger:"click"},xi={...Ni.DefaultType,content:"(null|string|element|function)"};class Mi extends Ni{static get Default(){return Pi}static get DefaultType(){return xi}static get NAME(){return"popover"}_isWithContent(){return this._getTitle()||this._getContent()}_getContentForTemplate(){return{".popover-header":this._getTitle(),".popover-body":this._getContent()}}_getContent(){return this._resolvePossibleFunction(this._config.content)}static jQueryInterface(t){return this.each((function(){const e=Mi.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}}))}}b(Mi);const ji=".bs.scrollspy",Fi=`activate${ji}`,zi=`click${ji}`,Hi=`load${ji}.data-api`,Bi="active",qi="[href]",Wi=".nav-link",Ri=`${Wi}, .nav-item > ${Wi}, .list-group-item`,Ki={offset:null,rootMargin:"0px 0px -25%",smoothScroll:!1,target:null,threshold:[.1,.5,1]},Vi={offset:"(number|null)",rootMargin:"string",smoothScroll:"boolean",target:"element",threshold:"array"};class Qi extends W{constructor(t,e){super(t,e),this._targetLinks=new Map,this._observableSections=new Map,this._rootElement="visible"===getComputedStyle(this._element).overflowY?null:this._element,this._activeTarget=null,this._observer=null,this._previousScrollData={visibleEntryTop:0,parentScrollTop:0},this.refresh()}static get Default(){return Ki}static get DefaultType(){return Vi}static get NAME(){return"scrollspy"}refresh(){this._initializeTargetsAndObservables(),this._maybeEnableSmoothScroll(),this._observer?this._observer.disconnect():this._observer=this._getNewObserver();for(const t of this._observableSections.values())this._observer.observe(t)}dispose(){this._observer.disconnect(),super.dispose()}_configAfterMerge(t){return t.target=c(t.target)||document.body,t.rootMargin=t.offset?`${t.offset}px 0px -30%`:t.rootMargin,"string"==typeof t.threshold&&(t.threshold=t.threshold.split(",").map((t=>Number.parseFloat(t)))),t}_maybeEnableSmoothScroll(){this._config.smoothScroll&&(j.off(this._config.target,zi),j.on(this._config.target,zi,qi,(t=>{const e=this._observableSections.get(t.target.hash);if(e){t.preventDefault();const i=this._rootElement||window,s=e.offsetTop-this._element.offsetTop;if(i.scrollTo)return void i.scrollTo({top:s,behavior:"smooth"});i.scrollTop=s}})))}_getNewObserver(){const t={root:this._rootElement,threshold:this._config.threshold,rootMargin:this._config.rootMargin};return new IntersectionObserver((t=>this._observerCallback(t)),t)}_observerCallback(t){const e=t=>this._targetLinks.get(`#${t.target.id}`),i=t=>{this._previousScrollData.visibleEntryTop=t.target.offsetTop,this._process(e(t))},s=(this._rootElement||document.documentElement).scrollTop,n=s>=this._previousScrollData.parentScrollTop;this._previousScrollData.parentScrollTop=s;for(const o of t){if(!o.isIntersecting){this._activeTarget=null,this._clearActiveClass(e(o));continue}const t=o.target.offsetTop>=this._previousScrollData.visibleEntryTop;if(n&&t){if(i(o),!s)return}else n||t||i(o)}}_initializeTargetsAndObservables(){this._targetLinks=new Map,this._observableSections=new Map;const t=K.find(qi,this._config.target);for(const e of t){if(!e.hash||d(e))continue;const t=K.findOne(decodeURI(e.hash),this._element);h(t)&&(this._targetLinks.set(decodeURI(e.hash),e),this._observableSections.set(e.hash,t))}}_process(t){this._activeTarget!==t&&(this._clearActiveClass(this._config.target),this._activeTarget=t,t.classList.add(Bi),this._activateParents(t),j.trigger(this._element,Fi,{relatedTarget:t}))}_activateParents(t){if(t.classList.contains("dropdown-item"))K.findOne(".dropdown-toggle",t.closest(".dropdown")).classList.add(Bi);else for(const e of K.parents(t,".nav, .list-group"))for(const t of K.prev(e,Ri))t.classList.add(Bi)}_clearActiveClass(t){t.classList.remove(Bi);const e=K.find(`${qi}.${Bi}`,t);for(const t of e)t.classList.remove(Bi)}static jQueryInterface(t){return this.each((function(){const e=Qi.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}}))}}j.on(window,Hi,(()=>{for(const t of K.find('[data-bs-spy="scroll"]'))Qi.getOrCreateInstance(t)})),b(Qi);const Xi=".bs.tab",Yi=`hide${Xi}`,Ui=`hidden${Xi}`,Gi=`show${Xi}`,Ji=`shown${Xi}`,Zi=`click${Xi}`,ts=`keydown${Xi}`,es=`load${Xi}`,is="ArrowLeft",ss="ArrowRight",ns="ArrowUp",os="ArrowDown",rs="Home",as="End",ls="active",cs="fade",hs="show",ds=".dropdown-toggle",us=`:not(${ds})`,_s='[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]',gs=`.nav-link${us}, .list-group-item${us}, [role="tab"]${us}, ${_s}`,fs=`.${ls}[data-bs-toggle="tab"], .${ls}[data-bs-toggle="pill"], .${ls}[data-bs-toggle="list"]`;class ms extends W{constructor(t){super(t),this._parent=this._element.closest('.list-group, .nav, [role="tablist"]'),this._parent&&(this._setInitialAttributes(this._parent,this._getChildren()),j.on(this._element,ts,(t=>this._keydown(t))))}static get NAME(){return"tab"}show(){const t=this._element;if(this._elemIsActive(t))return;const e=this._getActiveElem(),i=e?j.trigger(e,Yi,{relatedTarget:t}):null;j.trigger(t,Gi,{relatedTarget:e}).defaultPrevented||i&&i.defaultPrevented||(this._deactivate(e,t),this._activate(t,e))}_activate(t,e){t&&(t.classList.add(ls),this._activate(K.getElementFromSelector(t)),this._queueCallback((()=>{"tab"===t.getAttribute("role")?(t.removeAttribute("tabindex"),t.setAttribute("aria-selected",!0),this._toggleDropDown(t,!0),j.trigger(t,Ji,{relatedTarget:e})):t.classList.add(hs)}),t,t.classList.contains(cs)))}_deactivate(t,e){t&&(t.classList.remove(ls),t.blur(),this._deactivate(K.getElementFromSelector(t)),this._queueCallback((()=>{"tab"===t.getAttribute("role")?(t.setAttribute("aria-selected",!1),t.setAttribute("tabindex","-1"),this._toggleDropDown(t,!1),j.trigger(t,Ui,{relatedTarget:e})):t.classList.remove(hs)}),t,t.classList.contains(cs)))}_keydown(t){if(![is,ss,ns,os,rs,as].includes(t.key))return;t.stopPropagation(),t.preventDefault();const e=this._getChildren().filter((t=>!d(t)));let i;if([rs,as].includes(t.key))i=e[t.key===rs?0:e.length-1];else{const s=[ss,os].includes(t.key);i=w(e,t.target,s,!0)}i&&(i.focus({preventScroll:!0}),ms.getOrCreateInstance(i).show())}_getChildren(){return K.find(gs,this._parent)}_getActiveElem(){return this._getChildren().find((t=>this._elemIsActive(t)))||null}_setInitialAttributes(t,e){this._setAttributeIfNotExists(t,"role","tablist");for(const t of e)this._setInitialAttributesOnChild(t)}_setInitialAttributesOnChild(t){t=this._getInnerElement(t);const e=this._elemIsActive(t),i=this._getOuterElement(t);t.setAttribute("aria-selected",e),i!==t&&this._setAttributeIfNotExists(i,"role","presentation"),e||t.setAttribute("tabindex","-1"),this._setAttributeIfNotExists(t,"role","tab"),this._setInitialAttributesOnTargetPanel(t)}_setInitialAttributesOnTargetPanel(t){const e=K.getElementFromSelector(t);e&&(this._setAttributeIfNotExists(e,"role","tabpanel"),t.id&&this._setAttributeIfNotExists(e,"aria-labelledby",`${t.id}`))}_toggleDropDown(t,e){const i=this._getOuterElement(t);if(!i.classList.contains("dropdown"))return;const s=(t,s)=>{const n=K.findOne(t,i);n&&n.classList.toggle(s,e)};s(ds,ls),s(".dropdown-menu",hs),i.setAttribute("aria-expanded",e)}_setAttributeIfNotExists(t,e,i){t.hasAttribute(e)||t.setAttribute(e,i)}_elemIsActive(t){return t.classList.contains(ls)}_getInnerElement(t){return t.matches(gs)?t:K.findOne(gs,t)}_getOuterElement(t){return t.closest(".nav-item, .list-group-item")||t}static jQueryInterface(t){return this.each((function(){const e=ms.getOrCreateInstance(this);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}}))}}j.on(document,Zi,_s,(function(t){["A","AREA"].includes(this.tagName)&&t.preventDefault(),d(this)||ms.getOrCreateInstance(this).show()})),j.on(window,es,(()=>{for(const t of K.find(fs))ms.getOrCreateInstance(t)})),b(ms);const ps=".bs.toast",bs=`mouseover${ps}`,vs=`mouseout${ps}`,ys=`focusin${ps}`,ws=`focusout${ps}`,As=`hide${ps}`,Es=`hidden${ps}`,Cs=`show${ps}`,Ts=`shown${ps}`,ks="hide",$s="show",Ss="showing",Ls={animation:"boolean",autohide:"boolean",delay:"number"},Os={animation:!0,autohide:!0,delay:5e3};class Is extends W{constructor(t,e){super(t,e),this._timeout=null,this._hasMouseInteraction=!1,this._hasKeyboardInteraction=!1,this._setListeners()}static get Default(){return Os}static get DefaultType(){return Ls}static get NAME(){return"toast"}show(){j.trigger(this._element,Cs).defaultPrevented||(this._clearTimeout(),this._config.animation&&this._element.classList.add("fade"),this._element.classList.remove(ks),g(this._element),this._element.classList.add($s,Ss),this._queueCallback((()=>{this._element.classList.remove(Ss),j.trigger(this._element,Ts),this._maybeScheduleHide()}),this._element,this._config.animation))}hide(){this.isShown()&&(j.trigger(this._element,As).defaultPrevented||(this._element.classList.add(Ss),this._queueCallback((()=>{this._element.classList.add(ks),this._element.classList.remove(Ss,$s),j.trigger(this._element,Es)}),this._element,this._config.animation)))}dispose(){this._clearTimeout(),this.isShown()&&this._element.classList.remove($s),super.dispose()}isShown(){return this._element.classList.contains($s)}_maybeScheduleHide(){this._config.autohide&&(this._hasMouseInteraction||this._hasKeyboardInteraction||(this._timeout=setTimeout((()=>{this.hide()}),this._config.delay)))}_onInteraction(t,e){switch(t.type){case"mouseover":case"mouseout":this._hasMouseInteraction=e;break;case"focusin":case"focusout":this._hasKeyboardInteraction=e}if(e)return void this._clearTimeout();const i=t.relatedTarget;this._element===i||this._element.contains(i)||this._maybeScheduleHide()}_setListeners(){j.on(this._element,bs,(t=>this._onInteraction(t,!0))),j.on(this._element,vs,(t=>this._onInteraction(t,!1))),j.on(this._element,ys,(t=>this._onInteraction(t,!0))),j.on(this._element,ws,(t=>this._onInteraction(t,!1)))}_clearTimeout(){clearTimeout(this._timeout),this._timeout=null}static jQueryInterface(t){return this.each((function(){const e=Is.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t](this)}}))}}return V(Is),b(Is),{Alert:U,Button:J,Carousel:Ot,Collapse:Rt,Dropdown:fe,Modal:Ue,Offcanvas:gi,Popover:Mi,ScrollSpy:Qi,Tab:ms,Toast:Is,Tooltip:Ni}}));
-//# sourceMappingURL=bootstrap.min.js.map
\ No newline at end of file
+!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?e(exports,require("@popperjs/core")):"function"==typeof define&&define.amd?define(["exports","@popperjs/core"],e):e((t="undefined"!=typeof globalThis?globalThis:t||self).bootstrap={},t.Popper)}(this,function(t,e){"use strict";function i(t){const e=Object.create(null,{[Symbol.toStringTag]:{value:"Module"}});if(t)for(const i in t)if("default"!==i){const s=Object.getOwnPropertyDescriptor(t,i);Object.defineProperty(e,i,s.get?s:{enumerable:!0,get:()=>t[i]})}return e.default=t,Object.freeze(e)}const s=i(e),n=new Map,o={set(t,e,i){n.has(t)||n.set(t,new Map),n.get(t).set(e,i)},get:(t,e)=>n.has(t)&&n.get(t).get(e)||null,getAll:t=>n.has(t)?Array.from(n.get(t).values()):[],remove(t,e){if(!n.has(t))return;const i=n.get(t);i.delete(e),0===i.size&&n.delete(t)}},r="transitionend",a=t=>(t&&window.CSS&&window.CSS.escape&&(t=t.replace(/#([^\s"#']+)/g,(t,e)=>`#${CSS.escape(e)}`)),t),l=t=>null==t?`${t}`:Object.prototype.toString.call(t).match(/\s([a-z]+)/i)[1].toLowerCase(),h=t=>{do{t+=Math.floor(1e6*Math.random())}while(document.getElementById(t));return t},c=t=>{t.dispatchEvent(new Event(r))},d=t=>!(!t||"object"!=typeof t)&&(void 0!==t.jquery&&(t=t[0]),void 0!==t.nodeType),u=t=>d(t)?t.jquery?t[0]:t:"string"==typeof t&&t.length>0?document.querySelector(a(t)):null,_=t=>{if(!d(t)||0===t.getClientRects().length)return!1;const e="visible"===getComputedStyle(t).getPropertyValue("visibility"),i=t.closest("details:not([open])");if(!i)return e;if(i!==t){const e=t.closest("summary");if(e&&e.parentNode!==i)return!1;if(null===e)return!1}return e},g=t=>!t||t.nodeType!==Node.ELEMENT_NODE||!!t.classList.contains("disabled")||(void 0!==t.disabled?t.disabled:t.hasAttribute("disabled")&&"false"!==t.getAttribute("disabled")),m=t=>{if(!document.documentElement.attachShadow)return null;if("function"==typeof t.getRootNode){const e=t.getRootNode();return e instanceof ShadowRoot?e:null}return t instanceof ShadowRoot?t:t.parentNode?m(t.parentNode):null},f=()=>{},p=t=>{t.offsetHeight},b=()=>window.jQuery&&!document.body.hasAttribute("data-bs-no-jquery")?window.jQuery:null,v=[],y=t=>{"loading"===document.readyState?(v.length||document.addEventListener("DOMContentLoaded",()=>{for(const t of v)t()}),v.push(t)):t()},w=()=>"rtl"===document.documentElement.dir,A=t=>{y(()=>{const e=b();if(e){const i=t.NAME,s=e.fn[i];e.fn[i]=t.jQueryInterface,e.fn[i].Constructor=t,e.fn[i].noConflict=()=>(e.fn[i]=s,t.jQueryInterface)}})},C=(t,e=[],i=t)=>"function"==typeof t?t(...e):i,E=(t,e,i=!0)=>{if(!i)return void C(t);const s=(t=>{if(!t)return 0;let{transitionDuration:e,transitionDelay:i}=window.getComputedStyle(t);const s=Number.parseFloat(e),n=Number.parseFloat(i);return s||n?(e=e.split(",")[0],i=i.split(",")[0],1e3*(Number.parseFloat(e)+Number.parseFloat(i))):0})(e)+5;let n=!1;const o=({target:i})=>{i===e&&(n=!0,e.removeEventListener(r,o),C(t))};e.addEventListener(r,o),setTimeout(()=>{n||c(e)},s)},T=(t,e,i,s)=>{const n=t.length;let o=t.indexOf(e);return-1===o?!i&&s?t[n-1]:t[0]:(o+=i?1:-1,s&&(o=(o+n)%n),t[Math.max(0,Math.min(o,n-1))])},x=/[^.]*(?=\..*)\.|.*/,I=/\..*/,L=/::\d+$/,S={};let k=1;const $={mouseenter:"mouseover",mouseleave:"mouseout"},M=new Set(["click","dblclick","mouseup","mousedown","contextmenu","mousewheel","DOMMouseScroll","mouseover","mouseout","mousemove","selectstart","selectend","dragstart","dragover","drop","dragend","keydown","keypress","keyup","orientationchange","touchstart","touchmove","touchend","touchcancel","pointerdown","pointermove","pointerup","pointerleave","pointercancel","lostpointercapture","gesturestart","gesturechange","gestureend","focus","blur","change","input","paste","reset","select","submit","focusin","focusout","load","unload","popstate","beforeunload","resize","move","DOMContentLoaded","readystatechange","error","abort","scroll"]);function O(t,e){return e&&`${e}::${k++}`||t.uidEvent||k++}function P(t){const e=O(t);return t.uidEvent=e,S[e]=S[e]||{},S[e]}function D(t,e,i=null){return Object.values(t).find(t=>t.callable===e&&t.delegationSelector===i)}function N(t,e,i){const s="string"==typeof e,n=s?i:e||i;let o=F(t);return M.has(o)||(o=t),[s,n,o]}function z(t,e,i,s,n){if("string"!=typeof e||!t)return;let[o,r,a]=N(e,i,s);if(e in $){const t=t=>function(e){if(!e.relatedTarget||e.relatedTarget!==e.delegateTarget&&!e.delegateTarget.contains(e.relatedTarget))return t.call(this,e)};r=t(r)}const l=P(t),h=l[a]||(l[a]={}),c=D(h,r,o?i:null);if(c)return void(c.oneOff=c.oneOff&&n);const d=O(r,e.replace(x,"")),u=o?function(t,e,i){return function s(n){const o=t.querySelectorAll(e);for(let{target:r}=n;r&&r!==this;r=r.parentNode)for(const a of o)if(a===r)return B(n,{delegateTarget:r}),s.oneOff&&j.off(t,n.type,e,i),i.apply(r,[n])}}(t,i,r):function(t,e){return function i(s){return B(s,{delegateTarget:t}),i.oneOff&&j.off(t,s.type,e),e.apply(t,[s])}}(t,r);u.delegationSelector=o?i:null,u.callable=r,u.oneOff=n,u.uidEvent=d,h[d]=u,t.addEventListener(a,u,o)}function R(t,e,i,s,n){const o=D(e[i],s,n);o&&(t.removeEventListener(i,o,Boolean(n)),delete e[i][o.uidEvent])}function H(t,e,i,s){const n=e[i]||{};for(const[o,r]of Object.entries(n))o.includes(s)&&R(t,e,i,r.callable,r.delegationSelector)}function F(t){return t=t.replace(I,""),$[t]||t}const j={on(t,e,i,s){z(t,e,i,s,!1)},one(t,e,i,s){z(t,e,i,s,!0)},off(t,e,i,s){if("string"!=typeof e||!t)return;const[n,o,r]=N(e,i,s),a=r!==e,l=P(t),h=l[r]||{},c=e.startsWith(".");if(void 0===o){if(c)for(const i of Object.keys(l))H(t,l,i,e.slice(1));for(const[i,s]of Object.entries(h)){const n=i.replace(L,"");a&&!e.includes(n)||R(t,l,r,s.callable,s.delegationSelector)}}else{if(!Object.keys(h).length)return;R(t,l,r,o,n?i:null)}},trigger(t,e,i){if("string"!=typeof e||!t)return null;const s=b();let n=null,o=!0,r=!0,a=!1;e!==F(e)&&s&&(n=s.Event(e,i),s(t).trigger(n),o=!n.isPropagationStopped(),r=!n.isImmediatePropagationStopped(),a=n.isDefaultPrevented());const l=B(new Event(e,{bubbles:o,cancelable:!0}),i);return a&&l.preventDefault(),r&&t.dispatchEvent(l),l.defaultPrevented&&n&&n.preventDefault(),l}};function B(t,e={}){for(const[i,s]of Object.entries(e))try{t[i]=s}catch(e){Object.defineProperty(t,i,{configurable:!0,get:()=>s})}return t}function V(t){if("true"===t)return!0;if("false"===t)return!1;if(t===Number(t).toString())return Number(t);if(""===t||"null"===t)return null;if("string"!=typeof t)return t;try{return JSON.parse(decodeURIComponent(t))}catch(e){return t}}function q(t){return t.replace(/[A-Z]/g,t=>`-${t.toLowerCase()}`)}const W={setDataAttribute(t,e,i){t.setAttribute(`data-bs-${q(e)}`,i)},removeDataAttribute(t,e){t.removeAttribute(`data-bs-${q(e)}`)},getDataAttributes(t){if(!t)return{};const e={},i=Object.keys(t.dataset).filter(t=>t.startsWith("bs")&&!t.startsWith("bsConfig"));for(const s of i){let i=s.replace(/^bs/,"");i=i.charAt(0).toLowerCase()+i.slice(1,i.length),e[i]=V(t.dataset[s])}return e},getDataAttribute:(t,e)=>V(t.getAttribute(`data-bs-${q(e)}`))};class Y{static get Default(){return{}}static get DefaultType(){return{}}static get NAME(){throw new Error('You have to implement the static method "NAME", for each component!')}_getConfig(t){return t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){return t}_mergeConfigObj(t,e){const i=d(e)?W.getDataAttribute(e,"config"):{};return{...this.constructor.Default,..."object"==typeof i?i:{},...d(e)?W.getDataAttributes(e):{},..."object"==typeof t?t:{}}}_typeCheckConfig(t,e=this.constructor.DefaultType){for(const[i,s]of Object.entries(e)){const e=t[i],n=d(e)?"element":l(e);if(!new RegExp(s).test(n))throw new TypeError(`${this.constructor.NAME.toUpperCase()}: Option "${i}" provided type "${n}" but expected type "${s}".`)}}}class K extends Y{constructor(t,e){super(),(t=u(t))&&(this._element=t,this._config=this._getConfig(e),this._pendingTransitions=new Map,o.set(this._element,this.constructor.DATA_KEY,this))}dispose(){this._cancelTransitions(),o.remove(this._element,this.constructor.DATA_KEY),j.off(this._element,this.constructor.EVENT_KEY);for(const t of Object.getOwnPropertyNames(this))this[t]=null}_queueCallback(t,e,i=!0){E(t,e,i)}_transitionAsync(t,e,i,s=null,n=()=>!0){const o=this._element,r=this._pendingTransitions;return new Promise(a=>{let l=null,h=!1;const c=t=>{t.target===o&&(l=t)},d=t=>{h||(h=!0,j.off(o,i,u),s&&j.off(o,s,_),r.delete(d),a(t))},u=t=>{t.target===o&&d(!0)},_=t=>{t.target===o&&Promise.resolve().then(()=>{t.defaultPrevented||d(!1)})};j.on(o,i,u),j.on(o,e,c);try{t()}catch(t){throw j.off(o,i,u),t}finally{j.off(o,e,c)}h||(l&&!l.defaultPrevented&&n()?(r.set(d,i),s&&j.on(o,s,_)):d(!1))})}_cancelTransitions(t=null){for(const[e,i]of this._pendingTransitions)t&&i!==t||e(!1)}_getConfig(t){return t=this._mergeConfigObj(t,this._element),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}static getInstance(t){return o.get(u(t),this.DATA_KEY)}static getOrCreateInstance(t,e={}){return t=u(t),this.getInstance(t)||new this(t,"object"==typeof e?e:null)}static get VERSION(){return"5.3.3"}static get DATA_KEY(){return`bs.${this.NAME}`}static get EVENT_KEY(){return`.${this.DATA_KEY}`}static eventName(t){return`${t}${this.EVENT_KEY}`}}const Q=t=>{let e=t.getAttribute("data-bs-target");if(!e||"#"===e){let i=t.getAttribute("href");if(!i||!i.includes("#")&&!i.startsWith("."))return null;i.includes("#")&&!i.startsWith("#")&&(i=`#${i.split("#")[1]}`),e=i&&"#"!==i?i.trim():null}return e?e.split(",").map(t=>a(t)).join(","):null},U={find:(t,e=document.documentElement)=>[].concat(...Element.prototype.querySelectorAll.call(e,t)),findOne:(t,e=document.documentElement)=>Element.prototype.querySelector.call(e,t),children:(t,e)=>[].concat(...t.children).filter(t=>t.matches(e)),parents(t,e){const i=[];let s=t.parentNode.closest(e);for(;s;)i.push(s),s=s.parentNode.closest(e);return i},prev(t,e){let i=t.previousElementSibling;for(;i;){if(i.matches(e))return[i];i=i.previousElementSibling}return[]},next(t,e){let i=t.nextElementSibling;for(;i;){if(i.matches(e))return[i];i=i.nextElementSibling}return[]},focusableChildren(t){const e=["a","button","input","textarea","select","details","[tabindex]",'[contenteditable="true"]'].map(t=>`${t}:not([tabindex^="-"])`).join(",");return this.find(e,t).filter(t=>!g(t)&&_(t))},getSelectorFromElement(t){const e=Q(t);return e&&U.findOne(e)?e:null},getElementFromSelector(t){const e=Q(t);return e?U.findOne(e):null},getMultipleElementsFromSelector(t){const e=Q(t);return e?U.find(e):[]}},X=(t,e="hide")=>{const i=`click.dismiss${t.EVENT_KEY}`,s=t.NAME;j.on(document,i,`[data-bs-dismiss="${s}"]`,function(i){if(["A","AREA"].includes(this.tagName)&&i.preventDefault(),g(this))return;const n=U.getElementFromSelector(this)||this.closest(`.${s}`);t.getOrCreateInstance(n)[e]()})},G=".bs.alert",J=`close${G}`,Z=`closed${G}`;class tt extends K{static get NAME(){return"alert"}close(){if(j.trigger(this._element,J).defaultPrevented)return;this._element.classList.remove("show");const t=this._element.classList.contains("fade");this._queueCallback(()=>this._destroyElement(),this._element,t)}_destroyElement(){this._element.remove(),j.trigger(this._element,Z),this.dispose()}static jQueryInterface(t){return this.each(function(){const e=tt.getOrCreateInstance(this);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t](this)}})}}X(tt,"close"),A(tt);const et='[data-bs-toggle="button"]';class it extends K{static get NAME(){return"button"}toggle(){this._element.setAttribute("aria-pressed",this._element.classList.toggle("active"))}static jQueryInterface(t){return this.each(function(){const e=it.getOrCreateInstance(this);"toggle"===t&&e[t]()})}}j.on(document,"click.bs.button.data-api",et,t=>{t.preventDefault();const e=t.target.closest(et);it.getOrCreateInstance(e).toggle()}),A(it);const st=".bs.gesture",nt=`touchstart${st}`,ot=`touchmove${st}`,rt=`touchend${st}`,at=`touchcancel${st}`,lt=`pointerdown${st}`,ht=`pointermove${st}`,ct=`pointerup${st}`,dt=`pointercancel${st}`,ut=`pointerleave${st}`,_t=`lostpointercapture${st}`,gt="left",mt="right",ft={endCallback:null,longPressCallback:null,longPressDelay:500,mouse:!1,panEndCallback:null,panMoveCallback:null,panStartCallback:null,pinchCallback:null,pinchEndCallback:null,pinchStartCallback:null,swipeCallback:null,swipeThreshold:40,swipeVelocity:.3,tolerance:10,touchAction:null},pt={endCallback:"(function|null)",longPressCallback:"(function|null)",longPressDelay:"number",mouse:"boolean",panEndCallback:"(function|null)",panMoveCallback:"(function|null)",panStartCallback:"(function|null)",pinchCallback:"(function|null)",pinchEndCallback:"(function|null)",pinchStartCallback:"(function|null)",swipeCallback:"(function|null)",swipeThreshold:"number",swipeVelocity:"number",tolerance:"number",touchAction:"(string|null)"},bt=([t,e])=>Math.hypot(e.x-t.x,e.y-t.y);class vt extends Y{constructor(t,e){super(),this._element=t,this._config=this._getConfig(e),t&&(this._config.mouse||vt.isSupported())&&(this._pointers=new Map,this._capturedPointers=new Set,this._start=null,this._samples=[],this._isPanning=!1,this._isPinching=!1,this._isLongPress=!1,this._pinchDistance=0,this._longPressTimeout=null,this._supportPointerEvents=Boolean(window.PointerEvent),this._initEvents())}static get Default(){return ft}static get DefaultType(){return pt}static get NAME(){return"gesture"}dispose(){clearTimeout(this._longPressTimeout),j.off(this._element,st)}_down(t,e,i){if(this._pointers.set(t,{x:e,y:i}),1===this._pointers.size)return this._start={x:e,y:i},this._samples=[{x:e,y:i,time:Date.now()}],this._isLongPress=!1,void(this._config.longPressCallback&&(this._longPressTimeout=setTimeout(()=>{this._isLongPress=!0,C(this._config.longPressCallback,[this._getState()])},this._config.longPressDelay)));clearTimeout(this._longPressTimeout),2===this._pointers.size&&(this._isPanning&&(this._isPanning=!1,C(this._config.panEndCallback,[this._getState(!0)])),this._isPinching=!0,this._pinchDistance=bt([...this._pointers.values()]),C(this._config.pinchStartCallback,[this._getState()]))}_moveTo(t,e,i){const s=this._pointers.get(t);s&&(s.x=e,s.y=i,this._isPinching?this._pointers.size>1&&C(this._config.pinchCallback,[this._getState()]):(this._addSample(e,i),!this._isPanning&&!this._isLongPress&&Math.hypot(e-this._start.x,i-this._start.y)>this._config.tolerance&&(clearTimeout(this._longPressTimeout),this._isPanning=!0,C(this._config.panStartCallback,[this._getState()])),this._isPanning&&C(this._config.panMoveCallback,[this._getState()])))}_up(t,e=!1){if(!this._pointers.has(t))return;if(clearTimeout(this._longPressTimeout),this._capturedPointers.delete(t),!this._isPinching){const{x:e,y:i}=this._pointers.get(t);this._addSample(e,i)}const i=this._getState(e);if(this._pointers.delete(t),this._isPinching)return this._pointers.size<2&&(this._isPinching=!1,C(this._config.pinchEndCallback,[i])),void(this._pointers.size||C(this._config.endCallback,[i]));this._isPanning&&(this._isPanning=!1,C(this._config.panEndCallback,[i])),e||this._isLongPress||this._handleSwipe(i),C(this._config.endCallback,[i])}_addSample(t,e){const i=Date.now();this._samples=[...this._samples.filter(t=>i-t.time<=100),{x:t,y:e,time:i}]}_handleSwipe(t){const{deltaX:e,deltaY:i,velocityX:s,velocityY:n}=t,o=Math.abs(e)>=Math.abs(i),r=o?e:i,a=o?s:n;(Math.abs(r)>this._config.swipeThreshold||Math.abs(r)>this._config.tolerance&&Math.abs(a)>=this._config.swipeVelocity)&&(t.direction=o?r>0?mt:gt:r>0?"down":"up",C(this._config.swipeCallback,[t]))}_getState(t=!1){const e=[...this._pointers.values()],[i=this._start]=e,s=this._samples[0],n=this._samples[this._samples.length-1],o=n.time-s.time;return{clientX:i.x,clientY:i.y,deltaX:i.x-this._start.x,deltaY:i.y-this._start.y,velocityX:o?(n.x-s.x)/o:0,velocityY:o?(n.y-s.y)/o:0,direction:null,scale:this._isPinching&&e.length>1?bt(e)/this._pinchDistance:1,isCancelled:t}}_initEvents(){if(this._supportPointerEvents)j.on(this._element,lt,t=>{this._isTrackedPointer(t)&&this._down(t.pointerId,t.clientX,t.clientY)}),j.on(this._element,ht,t=>{this._moveTo(t.pointerId,t.clientX,t.clientY),(this._isPanning||this._isPinching)&&this._pointers.has(t.pointerId)&&!this._element.hasPointerCapture(t.pointerId)&&(this._element.setPointerCapture(t.pointerId),this._capturedPointers.add(t.pointerId))}),j.on(this._element,ct,t=>this._up(t.pointerId)),j.on(this._element,dt,t=>this._up(t.pointerId,!0)),j.on(this._element,_t,t=>{t.target===this._element&&this._capturedPointers.has(t.pointerId)&&this._up(t.pointerId,!0)}),j.on(this._element,ut,t=>{this._element.hasPointerCapture(t.pointerId)||this._up(t.pointerId,!0)}),this._element.classList.add("pointer-event");else{const t=(t,e)=>{for(const i of t.changedTouches)e(i)};j.on(this._element,nt,e=>t(e,t=>this._down(t.identifier,t.clientX,t.clientY))),j.on(this._element,ot,e=>t(e,t=>this._moveTo(t.identifier,t.clientX,t.clientY))),j.on(this._element,rt,e=>t(e,t=>this._up(t.identifier))),j.on(this._element,at,e=>t(e,t=>this._up(t.identifier,!0)))}this._config.touchAction&&(this._element.style.touchAction=this._config.touchAction)}_isTrackedPointer(t){return"pen"===t.pointerType||"touch"===t.pointerType||this._config.mouse}static isSupported(){return"ontouchstart"in document.documentElement||navigator.maxTouchPoints>0}}const yt="carousel",wt=".bs.carousel",At=".data-api",Ct="ArrowLeft",Et="ArrowRight",Tt="data-bs-clone",xt={xs:0,sm:576,md:768,lg:992,xl:1200,xxl:1400},It="next",Lt="prev",St="left",kt="right",$t=`slide${wt}`,Mt=`slid${wt}`,Ot=`keydown${wt}`,Pt=`mouseenter${wt}`,Dt=`mouseleave${wt}`,Nt=`dragstart${wt}`,zt=`lazyloaded${wt}`,Rt=`lazyerror${wt}`,Ht=`load${wt}`,Ft=`error${wt}`,jt=`resize${wt}`,Bt=`focusin${wt}`,Vt=`click${wt}`,qt=`load${wt}${At}`,Wt=`click${wt}${At}`,Yt="carousel",Kt="active",Qt="carousel-item-next",Ut="carousel-item-prev",Xt="placeholder",Gt=".active",Jt=".carousel-item",Zt=`${Jt}:not([${Tt}])`,te=`[${Tt}]`,ee=Gt+Jt,ie="[data-bs-src], [data-bs-srcset]",se={[Ct]:kt,[Et]:St},ne={announce:!0,announcement:"Slide {current} of {total}",decode:!1,interval:5026,keyboard:!0,lazy:!1,pause:"hover",pauseLabel:"Stop automatic slide show",playLabel:"Start automatic slide show",preload:1,ride:!1,rotationControl:!1,slideBy:"one",slidesPerView:1,stopOnInteraction:!0,touch:!0,wrap:!0},oe={announce:"boolean",announcement:"string",decode:"boolean",interval:"(number|boolean)",keyboard:"boolean",lazy:"boolean",pause:"(string|boolean)",pauseLabel:"string",playLabel:"string",preload:"number",ride:"(boolean|string)",rotationControl:"boolean",slideBy:"string",slidesPerView:"(number|object)",stopOnInteraction:"boolean",touch:"boolean",wrap:"boolean"},re=t=>{for(const e of["srcset","src"]){const i=t.getAttribute(`data-bs-${e}`);null!==i&&(t.setAttribute(e,i),t.removeAttribute(`data-bs-${e}`))}},ae=(...t)=>{for(const e of t)e.style.transition="",e.style.transform=""};class le extends K{constructor(t,e){super(t,e),this._interval=null,this._activeElement=null,this._isSliding=!1,this.touchTimeout=null,this._swipeHelper=null,this._drag=null,this._mediaLoads=new Map,this._indicatorsElement=U.findOne(".carousel-indicators",this._element),this._isMultiItem="object"==typeof this._config.slidesPerView||this._config.slidesPerView>1,this._slidesPerView=1,this._index=0,this._originalIndicators=null,this._resizeHandler=null,this._isRotationStopped=!1,this._isStoppedForMotion=!1,this._isHoverPaused=!1,this._rotationControl=null,this._liveRegion=null,this._motionQuery="function"==typeof window.matchMedia?window.matchMedia("(prefers-reduced-motion: reduce)"):null,this._motionHandler=null,this._addEventListeners(),this._isMultiItem&&this._initializeMultiItem(),this._config.lazy&&this._initializeLazyMedia(),this._config.ride&&this._motionQuery&&this._motionQuery.matches?(this._isRotationStopped=!0,this._isStoppedForMotion=!0):this._config.ride===Yt&&this.cycle(),this._config.rotationControl&&this._createRotationControl(),this._config.announce&&this._createLiveRegion()}static get Default(){return ne}static get DefaultType(){return oe}static get NAME(){return yt}next(){this._slide(It)}nextWhenVisible(){!document.hidden&&_(this._element)&&this.next()}prev(){this._slide(Lt)}pause(){this._isSliding&&c(this._element),this._clearInterval(),this._updateRotationState()}cycle(){this._clearInterval(),this._updateInterval(),this._interval=setInterval(()=>this.nextWhenVisible(),this._config.interval),this._updateRotationState()}_maybeEnableCycle(){this._config.ride&&!this._isRotationStopped&&(this._isSliding?j.one(this._element,Mt,()=>this.cycle()):this.cycle())}to(t){const e=this._getItems();if(t>e.length-1||t<0)return;if(this._isSliding)return void j.one(this._element,Mt,()=>this.to(t));const i=this._getItemIndex(this._getActive());if(i===t)return;const s=t>i?It:Lt;this._slide(s,e[t])}toAsync(t){return this._isSliding?new Promise(e=>{j.one(this._element,Mt,()=>e(this.toAsync(t)))}):this._transitionAsync(()=>this.to(t),$t,Mt,null,()=>this._isSliding)}dispose(){this._swipeHelper&&this._swipeHelper.dispose();for(const t of this._mediaLoads.keys())j.off(t,Ht),j.off(t,Ft);this._isMultiItem&&this._disposeMultiItem(),this._rotationControl&&this._rotationControl.remove(),this._liveRegion&&this._liveRegion.remove(),this._motionHandler&&this._motionQuery.removeEventListener("change",this._motionHandler),super.dispose()}_configAfterMerge(t){return t.defaultInterval=t.interval,t}_addEventListeners(){this._config.keyboard&&j.on(this._element,Ot,t=>this._keydown(t)),"hover"===this._config.pause&&(j.on(this._element,Pt,()=>{this._isHoverPaused=Boolean(this._interval),this.pause()}),j.on(this._element,Dt,()=>{this._isHoverPaused=!1,this._maybeEnableCycle(),this._updateRotationState()})),this._config.touch&&vt.isSupported()&&this._addTouchEventListeners(),this._motionQuery&&"function"==typeof this._motionQuery.addEventListener&&(this._motionHandler=t=>this._handleMotionChange(t.matches),this._motionQuery.addEventListener("change",this._motionHandler)),this._config.stopOnInteraction&&j.on(this._element,Bt,t=>{t.target!==this._rotationControl&&this._stopRotation()}),j.on(this._element,Mt,t=>{t.target===this._element&&this._announce(t.to)})}_handleInteraction(){this._config.stopOnInteraction?this._stopRotation():this._maybeEnableCycle()}_isRotating(){return!this._isRotationStopped&&(Boolean(this._interval)||this._isHoverPaused)}_stopRotation(){this._isStoppedForMotion=!1,this._isRotationStopped||(this._isRotationStopped=!0,this._isHoverPaused=!1,this.pause(),this._updateRotationState())}_startRotation(){this._isRotationStopped=!1,this._isStoppedForMotion=!1,this._config.ride=this._config.ride||!0,this.cycle(),this._updateRotationState()}_handleMotionChange(t){this._config.ride&&(t?this._isRotationStopped||(this._stopRotation(),this._isStoppedForMotion=!0):this._isStoppedForMotion&&(this._isStoppedForMotion=!1,this._isRotationStopped=!1,this._config.ride===Yt&&this.cycle(),this._updateRotationState()))}_createRotationControl(){const t=document.createElement("button");t.type="button",t.className="carousel-rotation-control btn btn-sm btn-light position-absolute top-0 end-0 m-2",t.style.zIndex=3;const e=document.createElement("span");e.setAttribute("aria-hidden","true"),t.append(e),j.on(t,Vt,()=>{this._isRotating()?this._stopRotation():this._startRotation()}),this._element.prepend(t),this._rotationControl=t,this._updateRotationState()}_createLiveRegion(){const t=document.createElement("div");t.className="visually-hidden",t.setAttribute("aria-atomic","true"),this._element.append(t),this._liveRegion=t,this._updateRotationState()}_updateRotationState(){const t=this._isRotating();this._rotationControl&&(this._rotationControl.setAttribute("aria-label",t?this._config.pauseLabel:this._config.playLabel),this._rotationControl.firstElementChild.textContent=t?"⏸":"▶"),this._liveRegion&&this._liveRegion.setAttribute("aria-live",t?"off":"polite")}_announce(t){this._liveRegion&&(this._liveRegion.textContent=this._config.announcement.replace("{current}",t+1).replace("{total}",this._getItems().length))}_addTouchEventListeners(){for(const t of U.find(".carousel-item img",this._element))j.on(t,Nt,t=>t.preventDefault());const t=()=>{"hover"===this._config.pause&&(this.pause(),this.touchTimeout&&clearTimeout(this.touchTimeout),this.touchTimeout=setTimeout(()=>this._maybeEnableCycle(),500+this._config.interval))},e={panStartCallback:()=>this._startDrag(),panMoveCallback:({deltaX:t})=>this._moveDrag(t),swipeCallback:({direction:t})=>{t!==gt&&t!==mt||this._releaseDrag(this._directionToOrder(t===gt?St:kt))},endCallback:()=>{this._releaseDrag(null),t()}};this._swipeHelper=new vt(this._element,e)}_startDrag(){this._isSliding||this._getItems().length<2||(this.pause(),this._drag={activeElement:this._getActive(),neighbour:null})}_moveDrag(t){if(!this._drag)return;const e=this._directionToOrder(t<0?St:kt)===It;if(this._isMultiItem){const i=this._getNextPosition(e)===this._index?t/3:t;for(const t of U.find(Jt,this._inner))t.style.transition="none",t.style.transform=`translateX(calc(${this._getOffset(this._index)}% + ${i}px))`;return}const{activeElement:i}=this._drag,s=T(this._getItems(),i,e,this._config.wrap);if(this._drag.neighbour&&this._drag.neighbour!==s&&(ae(this._drag.neighbour),this._drag.neighbour.classList.remove(Qt,Ut)),s===i)return this._drag.neighbour=null,i.style.transition="none",void(i.style.transform=`translateX(${t/3}px)`);this._drag.neighbour=s,s.classList.add(e?Qt:Ut);for(const t of[i,s])t.style.transition="none";i.style.transform=`translateX(${t}px)`,s.style.transform=`translateX(calc(${t<0?100:-100}% + ${t}px))`}_releaseDrag(t){if(!this._drag)return;const{activeElement:e,neighbour:i}=this._drag;if(this._drag=null,t&&this._slide(t),this._isMultiItem)return this._isSliding||this._translate(this._index,this._isAnimated()),void this._handleInteraction();this._isSliding&&this._activeElement===i||(ae(e),i&&(ae(i),E(()=>{i===this._activeElement||this._drag&&this._drag.neighbour===i||i.classList.remove(Qt,Ut)},e,this._isAnimated()))),this._handleInteraction()}_keydown(t){if(/input|textarea/i.test(t.target.tagName))return;const e=se[t.key];e&&(t.preventDefault(),this._slide(this._directionToOrder(e)),this._handleInteraction())}_getItemIndex(t){return this._getItems().indexOf(t)}_setActiveIndicatorElement(t){if(!this._indicatorsElement)return;const e=U.findOne(Gt,this._indicatorsElement);e.classList.remove(Kt),e.removeAttribute("aria-current");const i=U.findOne(`[data-bs-slide-to="${t}"]`,this._indicatorsElement);i&&(i.classList.add(Kt),i.setAttribute("aria-current","true"))}_updateInterval(){const t=this._activeElement||this._getActive();if(!t)return;const e=Number.parseInt(t.getAttribute("data-bs-interval"),10);this._config.interval=e||this._config.defaultInterval}_slide(t,e=null){if(this._isSliding)return;if(this._isMultiItem)return void this._slideMultiItem(t,e);const i=this._getActive(),s=t===It,n=e||T(this._getItems(),i,s,this._config.wrap);if(n===i)return;const o=this._getItemIndex(n),r=e=>j.trigger(this._element,e,{relatedTarget:n,direction:this._orderToDirection(t),from:this._getItemIndex(i),to:o});if(r($t).defaultPrevented)return;if(!i||!n)return;const a=Boolean(this._interval);this.pause(),this._isSliding=!0,this._activeElement=n;const l=()=>{if(!this._element)return;this._setActiveIndicatorElement(o);const t=s?"carousel-item-start":"carousel-item-end",e=s?Qt:Ut;n.classList.add(e),p(n),i.classList.add(t),n.classList.add(t),ae(i,n),this._queueCallback(()=>{n.classList.remove(t,e),n.classList.add(Kt),i.classList.remove(Kt,e,t),this._isSliding=!1,r(Mt)},i,this._isAnimated())};this._config.lazy&&this._loadAround(n),this._config.decode?this._decodeItem(n).then(l):l(),a&&this.cycle()}_isAnimated(){return this._element.classList.contains("slide")}_initializeLazyMedia(){for(const t of U.find(ie,this._element))"IMG"===t.tagName&&t.classList.add(Xt);const t=this._getActive();t&&this._loadVisible(this._getItems().indexOf(t))}_loadVisible(t){const e=this._getItems();for(let i=0;i<this._slidesPerView;i++)this._loadAround(e[(t+i)%e.length])}_loadAround(t){const e=this._getItems(),i=e.indexOf(t);for(let t=-this._config.preload;t<=this._config.preload;t++){const s=i+t;(this._config.wrap||s>=0&&s<e.length)&&this._loadItem(e[(s%e.length+e.length)%e.length])}}_loadItem(t){const e=U.find(`[${Tt}="${this._getItems().indexOf(t)}"]`,this._element).map(t=>U.find(ie,t));return Promise.all(U.find(ie,t).map((t,i)=>{const s=e.map(t=>t[i]).filter(Boolean);for(const t of s)re(t);return this._loadMedia(t).then(()=>{for(const t of s)t.classList.remove(Xt)})}))}_loadMedia(t){if(this._mediaLoads.has(t))return this._mediaLoads.get(t);const e=new Promise(e=>{if("IMG"!==t.tagName)return void e();const i=i=>{j.off(t,Ht),j.off(t,Ft),t.classList.remove(Xt),j.trigger(this._element,i,{relatedTarget:t}),e()};j.on(t,Ht,()=>i(zt)),j.on(t,Ft,()=>i(Rt))});return this._mediaLoads.set(t,e),re(t),e}_decodeItem(t){const e=U.find("img",t);return Promise.all(e.map(t=>(this._mediaLoads.get(t)||Promise.resolve()).then(()=>t.decode?t.decode():null).catch(f)))}_getActive(){return U.findOne(ee,this._element)}_getItems(){return U.find(Zt,this._element)}_initializeMultiItem(){const t=this._getItemIndex(this._getActive());this._index=Math.max(t,0),this._inner=U.findOne(".carousel-inner",this._element),this._inner.style.display="flex",this._indicatorsElement&&(this._originalIndicators=[...this._indicatorsElement.children]),this._resizeHandler=()=>{this._layoutMultiItem(),this._config.lazy&&this._loadVisible(this._index)},j.on(window,jt,this._resizeHandler),this._layoutMultiItem(!0)}_disposeMultiItem(){j.off(window,jt,this._resizeHandler);for(const t of U.find(te,this._inner))t.remove();for(const t of this._getItems()){for(const e of["display","flex","float","marginRight","transform","transition"])t.style[e]="";t.removeAttribute("aria-hidden")}this._inner.style.display="",this._originalIndicators&&this._indicatorsElement.replaceChildren(...this._originalIndicators)}_getSlidesPerView(){const{slidesPerView:t}=this._config;if("number"==typeof t)return Math.max(Math.floor(t),1);const e=Object.entries(t).map(([t,e])=>[t in xt?xt[t]:Number.parseInt(t,10),e]).sort(([t],[e])=>t-e);let i=1;for(const[t,s]of e)window.innerWidth>=t&&(i=s);return Math.max(Math.floor(i),1)}_layoutMultiItem(t=!1){const e=this._getSlidesPerView();if(!t&&e===this._slidesPerView)return;this._slidesPerView=e;const i=this._getItems();this._config.wrap||(this._index=Math.min(this._index,Math.max(i.length-e,0)));for(const t of U.find(te,this._inner))t.remove();this._config.wrap&&i.length>e&&(i[0].before(...i.slice(-e).map(t=>this._createClone(t))),i[i.length-1].after(...i.slice(0,e).map(t=>this._createClone(t))));for(const t of U.find(Jt,this._inner))t.style.display="block",t.style.flex=`0 0 ${100/e}%`,t.style.float="none",t.style.marginRight="0";this._renderPageIndicators(),this._translate(this._index,!1),this._updateVisibleItems()}_createClone(t){const e=t.cloneNode(!0);e.setAttribute(Tt,this._getItems().indexOf(t)),e.setAttribute("aria-hidden","true"),e.classList.remove(Kt);for(const t of[e,...U.find("[id]",e)])t.removeAttribute("id");return e}_renderPageIndicators(){if(!this._indicatorsElement)return;this._element.id||(this._element.id=h(yt));const t=this._slidesPerView,e=Math.ceil(this._getItems().length/t),i=[];for(let s=0;s<e;s++){const e=document.createElement("button");e.type="button",e.setAttribute("data-bs-target",`#${this._element.id}`),e.setAttribute("data-bs-slide-to",s*t),e.setAttribute("aria-label",`Page ${s+1}`),i.push(e)}const s=i[this._getPage(this._index)];s.classList.add(Kt),s.setAttribute("aria-current","true"),this._indicatorsElement.replaceChildren(...i)}_getPage(t){const e=this._getItems().length,i=this._slidesPerView;return t>=e-i?Math.ceil(e/i)-1:Math.floor(t/i)}_translate(t,e){const i=this._getOffset(t),s=U.find(Jt,this._inner);for(const t of s)t.style.transition=e?"":"none",t.style.transform=`translateX(${i}%)`;if(!e){p(this._inner);for(const t of s)t.style.transition=""}}_getOffset(t){return 100*(t+U.find(te,this._inner).length/2)*(w()?1:-1)}_updateVisibleItems(){const t=this._getItems();for(const[e,i]of t.entries()){const s=(e-this._index+t.length)%t.length<this._slidesPerView;i.classList.toggle(Kt,e===this._index),i.setAttribute("aria-hidden",!s)}}_getNextPosition(t){const e=this._getItems().length,i="page"===this._config.slideBy?this._slidesPerView:1;if(!this._config.wrap){const s=this._index+(t?i:-i);return Math.min(Math.max(s,0),Math.max(e-this._slidesPerView,0))}return t?Math.min(this._index+i,e):0===this._index&&i>1?Math.floor((e-1)/i)*i-e:this._index-i}_slideMultiItem(t,e){const i=this._getItems(),s=i.length;if(s<=this._slidesPerView)return;let n=e?i.indexOf(e):this._getNextPosition(t===It);this._config.wrap||(n=Math.min(n,Math.max(s-this._slidesPerView,0)));const o=this._index,r=(n%s+s)%s;if(r===o)return;const a=i[r],l=e=>j.trigger(this._element,e,{relatedTarget:a,direction:this._orderToDirection(t),from:o,to:r});if(l($t).defaultPrevented)return;const h=Boolean(this._interval);this.pause(),this._isSliding=!0,this._activeElement=a,this._config.lazy&&this._loadVisible(r);const c=()=>{if(!this._element)return;this._setActiveIndicatorElement(this._getPage(r)*this._slidesPerView);const t=this._isAnimated();this._translate(n,t),this._queueCallback(()=>{this._index=r,n!==r&&this._translate(r,!1),this._updateVisibleItems(),this._isSliding=!1,l(Mt)},a,t)};this._config.decode?this._decodeItem(a).then(c):c(),h&&this.cycle()}_clearInterval(){this._interval&&(clearInterval(this._interval),this._interval=null)}_directionToOrder(t){return w()?t===St?Lt:It:t===St?It:Lt}_orderToDirection(t){return w()?t===Lt?St:kt:t===Lt?kt:St}static jQueryInterface(t){return this.each(function(){const e=le.getOrCreateInstance(this,t);if("number"!=typeof t){if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}}else e.to(t)})}}j.on(document,Wt,"[data-bs-slide], [data-bs-slide-to]",function(t){const e=U.getElementFromSelector(this);if(!e||!e.classList.contains(Yt))return;t.preventDefault();const i=le.getOrCreateInstance(e),s=this.getAttribute("data-bs-slide-to");return s?(i.to(s),void i._handleInteraction()):"next"===W.getDataAttribute(this,"slide")?(i.next(),void i._handleInteraction()):(i.prev(),void i._handleInteraction())}),j.on(window,qt,()=>{const t=U.find('[data-bs-ride="carousel"]');for(const e of t)le.getOrCreateInstance(e)}),A(le);const he=".bs.collapse",ce=`show${he}`,de=`shown${he}`,ue=`hide${he}`,_e=`hidden${he}`,ge=`click${he}.data-api`,me="show",fe="collapse",pe="collapsing",be=`:scope .${fe} .${fe}`,ve=".collapse.show, .collapse.collapsing",ye='[data-bs-toggle="collapse"]',we="shown",Ae="hidden",Ce={parent:null,persist:!1,storage:"local",toggle:!0},Ee={parent:"(null|element)",persist:"(boolean|string)",storage:"(string|object)",toggle:"boolean"};class Te extends K{constructor(t,e){super(t,e),this._isTransitioning=!1,this._triggerArray=[];const i=U.find(ye);for(const t of i){const e=U.getSelectorFromElement(t),i=U.find(e).filter(t=>t===this._element);null!==e&&i.length&&this._triggerArray.push(t)}this._restoreState(),this._initializeChildren(),this._config.parent||this._addAriaAndCollapsedClass(this._triggerArray,this._isShown()),this._config.toggle&&this.toggle()}static get Default(){return Ce}static get DefaultType(){return Ee}static get NAME(){return"collapse"}toggle(){this._isShown()?this.hide():this.show()}show(){if(this._isTransitioning||this._isShown())return;let t=[];if(this._config.parent&&(t=this._getFirstLevelChildren(ve).filter(t=>t!==this._element).map(t=>Te.getOrCreateInstance(t,{toggle:!1}))),t.length&&t[0]._isTransitioning)return;if(j.trigger(this._element,ce).defaultPrevented)return;for(const e of t)e.hide();const e=this._getDimension();this._element.classList.remove(fe),this._element.classList.add(pe),this._element.style[e]=0,this._addAriaAndCollapsedClass(this._triggerArray,!0),this._saveState(!0),this._isTransitioning=!0;const i=`scroll${e[0].toUpperCase()+e.slice(1)}`;this._queueCallback(()=>{this._isTransitioning=!1,this._element.classList.remove(pe),this._element.classList.add(fe,me),this._element.style[e]="",j.trigger(this._element,de)},this._element,!0),this._element.style[e]=`${this._element[i]}px`}hide(){if(this._isTransitioning||!this._isShown())return;if(j.trigger(this._element,ue).defaultPrevented)return;const t=this._getDimension();this._element.style[t]=`${this._element.getBoundingClientRect()[t]}px`,p(this._element),this._element.classList.add(pe),this._element.classList.remove(fe,me);for(const t of this._triggerArray){const e=U.getElementFromSelector(t);e&&!this._isShown(e)&&this._addAriaAndCollapsedClass([t],!1)}this._saveState(!1),this._isTransitioning=!0,this._element.style[t]="",this._queueCallback(()=>{this._isTransitioning=!1,this._element.classList.remove(pe),this._element.classList.add(fe),j.trigger(this._element,_e)},this._element,!0)}showAsync(){return this._transitionAsync(()=>this.show(),ce,de,ue)}hideAsync(){return this._transitionAsync(()=>this.hide(),ue,_e,ce)}_isShown(t=this._element){return t.classList.contains(me)}_configAfterMerge(t){return t.toggle=Boolean(t.toggle),t.parent=u(t.parent),null===t.persist?t.persist=!0:"number"==typeof t.persist&&(t.persist=String(t.persist)),t}_getDimension(){return this._element.classList.contains("collapse-horizontal")?"width":"height"}_initializeChildren(){if(!this._config.parent)return;const t=this._getFirstLevelChildren(ye);for(const e of t){const t=U.getElementFromSelector(e);t&&this._addAriaAndCollapsedClass([e],this._isShown(t))}}_getStorage(){if("object"==typeof this._config.storage)return this._config.storage;try{return"session"===this._config.storage?window.sessionStorage:window.localStorage}catch(t){return null}}_getStorageKey(){const{persist:t}=this._config;return!t||!0===t&&!this._element.id?null:`bs.collapse.${!0===t?this._element.id:t}`}_saveState(t){const e=this._getStorageKey(),i=this._getStorage();if(e&&i)try{i.setItem(e,t?we:Ae)}catch(t){}}_readState(){const t=this._getStorageKey(),e=this._getStorage();if(!t||!e)return null;try{return e.getItem(t)}catch(t){return null}}_restoreState(){const t=this._readState(),e=t===we;if((t===we||t===Ae)&&e!==this._isShown()){if(e&&this._config.parent)for(const t of this._getFirstLevelChildren(ve)){if(t===this._element)continue;t.classList.remove(me);const e=Te.getInstance(t);e&&e._saveState(!1)}this._element.classList.toggle(me,e)}}_getFirstLevelChildren(t){const e=U.find(be,this._config.parent);return U.find(t,this._config.parent).filter(t=>!e.includes(t))}_addAriaAndCollapsedClass(t,e){if(t.length)for(const i of t)i.classList.toggle("collapsed",!e),i.setAttribute("aria-expanded",e)}static jQueryInterface(t){const e={};return"string"==typeof t&&/show|hide/.test(t)&&(e.toggle=!1),this.each(function(){const i=Te.getOrCreateInstance(this,e);if("string"==typeof t){if(void 0===i[t])throw new TypeError(`No method named "${t}"`);i[t]()}})}}j.on(document,ge,ye,function(t){("A"===t.target.tagName||t.delegateTarget&&"A"===t.delegateTarget.tagName)&&t.preventDefault();for(const t of U.getMultipleElementsFromSelector(this))Te.getOrCreateInstance(t,{toggle:!1}).toggle()}),y(()=>{for(const t of U.find(".collapse[data-bs-persist]"))Te.getOrCreateInstance(t,{toggle:!1})}),A(Te);const xe="virtualList",Ie=`scroll.bs.${xe}`,Le={itemHeight:32,items:[],overscan:3,renderItem:null,visibleItems:10},Se={itemHeight:"number",items:"array",overscan:"number",renderItem:"function",visibleItems:"number"};class ke extends Y{constructor(t,e){super(),this._element=t,this._config=this._getConfig(e),this._items=this._config.items,this._start=0,this._end=0,this._rendered=new Map,this._before=this._createSpacer(),this._after=this._createSpacer(),this._element.style.maxHeight=this._config.itemHeight*this._config.visibleItems+"px",this._element.style.overflowY="auto",j.on(this._element,Ie,()=>this._render()),this._render(!0)}static get Default(){return Le}static get DefaultType(){return Se}static get NAME(){return xe}getItems(){return this._items}setItems(t){this._items=t,this._element.scrollTop=0,this._render(!0)}refresh(){this._render(!0)}scrollToIndex(t){const{itemHeight:e,visibleItems:i}=this._config,s=t*e,n=this._element.clientHeight||e*i;let{scrollTop:o}=this._element;return s<o?o=s:s+e>o+n&&(o=s+e-n),this._render(!1,o),this._element.scrollTop=o,this._rendered.get(t)||null}dispose(){j.off(this._element,Ie),this._element.replaceChildren(),this._element.style.maxHeight="",this._element.style.overflowY="",this._rendered.clear()}_createSpacer(){const t=document.createElement("li");return t.setAttribute("role","presentation"),t.setAttribute("aria-hidden","true"),t}_render(t=!1,e=this._element.scrollTop){const{itemHeight:i,overscan:s,visibleItems:n}=this._config,o=Math.max(0,Math.min(Math.floor(e/i),this._items.length-n)-s),r=Math.min(this._items.length,o+n+2*s);if(t||o!==this._start||r!==this._end){this._start=o,this._end=r,this._rendered.clear();for(let t=o;t<r;t++){const e=this._config.renderItem(this._items[t],t);e.setAttribute("aria-setsize",this._items.length),e.setAttribute("aria-posinset",t+1),e.setAttribute("data-bs-index",t),e.style.height=`${i}px`,this._rendered.set(t,e)}this._before.style.height=o*i+"px",this._after.style.height=(this._items.length-r)*i+"px",this._element.replaceChildren(this._before,...this._rendered.values(),this._after)}}}const $e="dropdown",Me=".bs.dropdown",Oe=".data-api",Pe="ArrowUp",De="ArrowDown",Ne=w()?"ArrowLeft":"ArrowRight",ze=w()?"ArrowRight":"ArrowLeft",Re="Home",He="End",Fe="PageUp",je="PageDown",Be=`hide${Me}`,Ve=`hidden${Me}`,qe=`show${Me}`,We=`shown${Me}`,Ye=`click${Me}${Oe}`,Ke=`keydown${Me}${Oe}`,Qe=`keyup${Me}${Oe}`,Ue=`mouseenter${Me}${Oe}`,Xe=`contextmenu${Me}${Oe}`,Ge=`selected${Me}`,Je=`click${Me}`,Ze=`keydown${Me}`,ti="[data-bs-index]",ei="show",ii='[data-bs-toggle="dropdown"]:not(.disabled):not(:disabled)',si='[data-bs-toggle="contextmenu"]',ni=`${ii},${si}`,oi=`${ii}.${ei},${si}.${ei},[data-bs-toggle="combobox"].${ei}`,ri=".dropdown-menu",ai=w()?"top-end":"top-start",li=w()?"top-start":"top-end",hi=w()?"bottom-end":"bottom-start",ci=w()?"bottom-start":"bottom-end",di=w()?"left-start":"right-start",ui=w()?"right-start":"left-start",_i={autoClose:!0,boundary:"clippingParents",display:"dynamic",itemHeight:32,items:null,offset:[0,2],popperConfig:null,reference:"toggle",renderItem:null,selector:!1,visibleItems:10},gi={autoClose:"(boolean|string)",boundary:"(string|element)",display:"string",itemHeight:"number",items:"(null|array)",offset:"(array|string|function)",popperConfig:"(null|object|function)",reference:"(string|element|object)",renderItem:"(null|function)",selector:"(string|boolean)",visibleItems:"number"};class mi extends K{constructor(t,e){super(t,e),this._popper=null,this._parent=this._element.parentNode,this._menu=U.next(this._element,ri)[0]||U.prev(this._element,ri)[0]||U.findOne(ri,this._parent),this._inNavbar=this._detectNavbar(),this._parentMenu=this._parent.closest(ri),this._virtualReference=null,this._contextTarget=null,this._typeaheadBuffer="",this._typeaheadTimeout=null,this._virtualList=this._config.items?this._createVirtualList():null}static get Default(){return _i}static get DefaultType(){return gi}static get NAME(){return $e}toggle(){return this._isShown()?this.hide():this.show()}showAt(t,e,i=this._element){if(this._isShown()&&(this.hide(),this._isShown()))return;const s={x:t,y:e,top:e,right:t,bottom:e,left:t,width:0,height:0};this._virtualReference={getBoundingClientRect:()=>s,contextElement:i},this._contextTarget=i,this.show(),this._isShown()||(this._virtualReference=null,this._contextTarget=null)}show(){if(g(this._element)||this._isShown())return;const t={relatedTarget:this._contextTarget||this._element};if(!j.trigger(this._element,qe,t).defaultPrevented){if(this._parentMenu)for(const t of this._getOpenSubmenus(this._parentMenu))t.hide();if(this._createPopper(),"ontouchstart"in document.documentElement&&!this._parent.closest(".navbar-nav"))for(const t of[].concat(...document.body.children))j.on(t,"mouseover",f);this._virtualReference||this._element.focus(),this._element.setAttribute("aria-expanded",!0),this._menu.classList.add(ei),this._element.classList.add(ei),this._virtualReference&&this._selectMenuItem({key:Re}),j.trigger(this._element,We,t)}}hide(){if(g(this._element)||!this._isShown())return;const t={relatedTarget:this._contextTarget||this._element};this._completeHide(t)}setItems(t){this._virtualList?this._virtualList.setItems(t):(this._config.items=t,this._virtualList=this._createVirtualList())}dispose(){clearTimeout(this._typeaheadTimeout),this._popper&&this._popper.destroy(),this._virtualList&&(j.off(this._menu,Me),this._virtualList.dispose()),super.dispose()}update(){this._inNavbar=this._detectNavbar(),this._popper&&this._popper.update()}_completeHide(t){if(!j.trigger(this._element,Be,t).defaultPrevented){for(const t of this._getOpenSubmenus())t.hide();if("ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))j.off(t,"mouseover",f);this._popper&&this._popper.destroy(),this._menu.classList.remove(ei),this._element.classList.remove(ei),this._element.setAttribute("aria-expanded","false"),W.removeDataAttribute(this._menu,"popper"),this._virtualReference=null,this._contextTarget=null,j.trigger(this._element,Ve,t)}}_getConfig(t){if("object"==typeof(t=super._getConfig(t)).reference&&!d(t.reference)&&"function"!=typeof t.reference.getBoundingClientRect)throw new TypeError(`${$e.toUpperCase()}: Option "reference" provided type "object" without a required "getBoundingClientRect" method.`);return t}_createPopper(){if(void 0===s)throw new TypeError("Bootstrap's dropdowns require Popper (https://popper.js.org)");let t=this._element;this._virtualReference?t=this._virtualReference:"parent"===this._config.reference?t=this._parent:d(this._config.reference)?t=u(this._config.reference):"object"==typeof this._config.reference&&(t=this._config.reference);const e=this._getPopperConfig();this._popper=s.createPopper(t,this._menu,e)}_isShown(){return this._menu.classList.contains(ei)}_getPlacement(){const t=this._parent;if(this._parentMenu||t.classList.contains("dropend"))return di;if(t.classList.contains("dropstart"))return ui;if(t.classList.contains("dropup-center"))return"top";if(t.classList.contains("dropdown-center"))return"bottom";const e="end"===getComputedStyle(this._menu).getPropertyValue("--bs-position").trim();return t.classList.contains("dropup")?e?li:ai:e?ci:hi}_detectNavbar(){return null!==this._element.closest(".navbar")}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map(t=>Number.parseInt(t,10)):"function"==typeof t?e=>t(e,this._element):t}_getPopperConfig(){const t={placement:this._getPlacement(),modifiers:[{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"offset",options:{offset:this._getOffset()}}]};return this._parentMenu&&t.modifiers.push({name:"flip",options:{fallbackPlacements:[ui]}}),(this._inNavbar&&!this._parentMenu&&!this._virtualReference||"static"===this._config.display)&&(W.setDataAttribute(this._menu,"popper","static"),t.modifiers=[{name:"applyStyles",enabled:!1}]),{...t,...C(this._config.popperConfig,[t])}}_createVirtualList(){const t=new ke(this._menu,{itemHeight:this._config.itemHeight,items:this._config.items,renderItem:(t,e)=>this._config.renderItem?this._config.renderItem(t,e):this._renderItem(t),visibleItems:this._config.visibleItems});return this._menu.setAttribute("role","menu"),j.on(this._menu,Je,ti,e=>{const i=Number.parseInt(e.delegateTarget.getAttribute("data-bs-index"),10);j.trigger(this._element,Ge,{item:t.getItems()[i],index:i})}),j.on(this._menu,Ze,ti,t=>{("Enter"===t.key||" "===t.key&&!this._typeaheadBuffer)&&(t.preventDefault(),t.delegateTarget.click())}),t}_renderItem(t){const e=document.createElement("li");return e.className="dropdown-item",e.setAttribute("role","menuitem"),e.tabIndex=-1,e.textContent=this._getItemLabel(t),e}_getItemLabel(t){return String("object"==typeof t&&null!==t?t.label:t)}_getVirtualIndex(t){const e=t&&this._menu.contains(t)?t.closest(ti):null;return e?Number.parseInt(e.getAttribute("data-bs-index"),10):-1}_selectVirtualItem(t,e){const i=this._virtualList.getItems().length;if(!i)return;const s=this._getVirtualIndex(e),n=this._config.visibleItems,o={[Re]:0,[He]:i-1,[Fe]:Math.max(s-n,0),[je]:Math.min(s+n,i-1),[Pe]:-1===s?i-1:Math.max(s-1,0),[De]:Math.min(s+1,i-1)};this._virtualList.scrollToIndex(o[t]).focus()}_getMenuItems(){return U.find(".dropdown-menu .dropdown-item:not(.disabled):not(:disabled)",this._menu).filter(t=>t.closest(ri)===this._menu&&_(t))}_getOpenSubmenus(t=this._menu){return U.find(oi,t).filter(e=>e.parentNode.closest(ri)===t).map(t=>mi.getInstance(t)).filter(Boolean)}_getContextTarget(t){if(this._menu.contains(t))return null;if(!this._config.selector)return this._element;const e=t.closest(this._config.selector);return e&&this._element.contains(e)?e:null}_isClosingEvent(t){if(!1===this._config.autoClose)return!1;const e=t.composedPath();if("contextmenu"===t.type&&(!this._virtualReference||e.includes(this._element)||e.includes(this._menu)))return!1;if(e.includes(this._element)&&!this._virtualReference)return!1;const i=this._getOpenSubmenus().find(t=>e.includes(t._menu)||e.includes(t._element));if(i)return i._isClosingEvent(t);const s=t.target.closest&&t.target.closest(ii);if(s&&this._menu.contains(s))return!1;const n=e.includes(this._menu);return!("inside"===this._config.autoClose&&!n||"outside"===this._config.autoClose&&n||this._menu.contains(t.target)&&("keyup"===t.type&&"Tab"===t.key||/input|select|option|textarea|form/i.test(t.target.tagName)))}_getPageSize(t){const e=t[0].offsetHeight;return e&&this._menu.clientHeight?Math.max(1,Math.floor(this._menu.clientHeight/e)):10}_selectMenuItem({key:t,target:e}){if(this._virtualList)return void this._selectVirtualItem(t,e);const i=this._getMenuItems();if(i.length)if([Re,He].includes(t))i[t===Re?0:i.length-1].focus();else{if([Fe,je].includes(t)){const s=i.indexOf(e),n=this._getPageSize(i);return void i[t===je?Math.min(s+n,i.length-1):Math.max(s-n,0)].focus()}T(i,e,t===De,!i.includes(e)).focus()}}_typeahead(t,e){clearTimeout(this._typeaheadTimeout),this._typeaheadTimeout=setTimeout(()=>{this._typeaheadBuffer=""},500),this._typeaheadBuffer+=t.toLowerCase();const i=this._typeaheadBuffer,s=this._virtualList?this._virtualList.getItems():this._getMenuItems(),n=s.map(t=>(this._virtualList?this._getItemLabel(t):t.textContent).trim().toLowerCase()),o=this._virtualList?this._getVirtualIndex(e):s.indexOf(e),r=[...i].every(t=>t===i[0]),a=r?i[0]:i,l=r?o+1:Math.max(o,0),h=[...n.keys()],c=[...h.slice(l),...h.slice(0,l)].find(t=>n[t].startsWith(a));void 0!==c&&(this._virtualList?this._virtualList.scrollToIndex(c):s[c]).focus()}static jQueryInterface(t){return this.each(function(){const e=mi.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}})}static clearMenus(t){if(2===t.button&&"contextmenu"!==t.type||"keyup"===t.type&&"Tab"!==t.key)return;const e=U.find(oi);for(const i of e){const e=mi.getInstance(i);if(!e||!e._isShown()||!e._isClosingEvent(t))continue;const s={relatedTarget:e._element};"click"===t.type&&(s.clickEvent=t),e._completeHide(s)}}static dataApiKeydownHandler(t){const e=/input|textarea/i.test(t.target.tagName),i="Escape"===t.key,s=[Pe,De].includes(t.key),n=[Re,He,Fe,je].includes(t.key),o=[Ne,ze].includes(t.key),r="string"==typeof t.key&&1===t.key.length&&!t.ctrlKey&&!t.metaKey&&!t.altKey;if(!(s||i||n||r||o))return;if(e&&!i)return;const a=this.matches(ii)?this:U.prev(this,ni)[0]||U.next(this,ni)[0]||U.findOne(ni,t.delegateTarget.parentNode),l=mi.getOrCreateInstance(a),h=this===a;if(o||h&&l._parentMenu)l._parentMenu&&(h?t.key===Ne:t.key===ze)&&(t.preventDefault(),t.stopPropagation(),h?(l.show(),l._selectMenuItem({key:Re})):(l.hide(),a.focus()));else{if(n||r){if(!l._isShown()||" "===t.key&&!l._typeaheadBuffer)return;return t.preventDefault(),t.stopPropagation(),void(n?l._selectMenuItem(t):l._typeahead(t.key,t.target))}if(t.preventDefault(),s)return t.stopPropagation(),l.show(),void l._selectMenuItem(t);if(l._isShown()){t.stopPropagation();const e=l._contextTarget||a;l.hide(),e.focus()}}}static dataApiContextMenuHandler(t){const e="keydown"===t.type;if(e&&!("ContextMenu"===t.key||"F10"===t.key&&t.shiftKey))return;const i=mi.getOrCreateInstance(this),s=i._getContextTarget(t.target);if(!s||g(this))return;if(t.preventDefault(),!e)return void i.showAt(t.clientX,t.clientY,s);const n=s.getBoundingClientRect();i.showAt(w()?n.right:n.left,n.bottom,s)}}j.on(document,Ke,ii,mi.dataApiKeydownHandler),j.on(document,Ke,ri,mi.dataApiKeydownHandler),j.on(document,Ye,mi.clearMenus),j.on(document,Qe,mi.clearMenus),j.on(document,Xe,mi.clearMenus),j.on(document,Xe,si,mi.dataApiContextMenuHandler),j.on(document,Ke,si,mi.dataApiContextMenuHandler),j.on(document,Xe,ri,function(t){U.find(oi).some(t=>{const e=mi.getInstance(t);return e&&e._virtualReference&&e._menu===this})&&t.preventDefault()}),j.on(document,Ye,ii,function(t){t.preventDefault(),mi.getOrCreateInstance(this).toggle()}),j.on(document,Ue,".dropdown-menu .dropdown-item",function(){const t=this.closest(ri);if(!t.classList.contains(ei))return;const e=this.matches(ii);for(const e of U.find(oi,t)){const i=mi.getInstance(e);i&&e!==this&&i._parentMenu===t&&i.hide()}e&&mi.getOrCreateInstance(this).show()}),A(mi);const fi="backdrop",pi="show",bi=`mousedown.bs.${fi}`,vi={className:"modal-backdrop",clickCallback:null,isAnimated:!1,isVisible:!0,rootElement:"body"},yi={className:"string",clickCallback:"(function|null)",isAnimated:"boolean",isVisible:"boolean",rootElement:"(element|string)"};class wi extends Y{constructor(t){super(),this._config=this._getConfig(t),this._isAppended=!1,this._element=null,this._opacity=null}static get Default(){return vi}static get DefaultType(){return yi}static get NAME(){return fi}show(t){if(!this._config.isVisible)return void C(t);this._append();const e=this._getElement();this._config.isAnimated&&p(e),e.classList.add(pi),this._emulateAnimation(()=>{C(t)})}hide(t){this._config.isVisible?(this._getElement().classList.remove(pi),this._emulateAnimation(()=>{this.dispose(),C(t)})):C(t)}track(t){if(!this._config.isVisible)return;const e=this._getElement();if(null===t)return this._opacity=null,e.style.transition="",void(e.style.opacity="");this._append(),e.style.transition="none",e.classList.add(pi),null===this._opacity&&(this._opacity=Number.parseFloat(getComputedStyle(e).opacity)),e.style.opacity=this._opacity*t}dispose(){this._isAppended&&(j.off(this._element,bi),this._element.remove(),this._isAppended=!1)}_getElement(){if(!this._element){const t=document.createElement("div");t.className=this._config.className,this._config.isAnimated&&t.classList.add("fade"),this._element=t}return this._element}_configAfterMerge(t){return t.rootElement=u(t.rootElement),t}_append(){if(this._isAppended)return;const t=this._getElement();this._config.rootElement.append(t),j.on(t,bi,()=>{C(this._config.clickCallback)}),this._isAppended=!0}_emulateAnimation(t){E(t,this._getElement(),this._config.isAnimated)}}const Ai=".bs.focustrap",Ci=`focusin${Ai}`,Ei=`keydown.tab${Ai}`,Ti="backward",xi={autofocus:!0,trapElement:null},Ii={autofocus:"boolean",trapElement:"element"};class Li extends Y{constructor(t){super(),this._config=this._getConfig(t),this._isActive=!1,this._lastTabNavDirection=null}static get Default(){return xi}static get DefaultType(){return Ii}static get NAME(){return"focustrap"}activate(){this._isActive||(this._config.autofocus&&this._config.trapElement.focus(),j.off(document,Ai),j.on(document,Ci,t=>this._handleFocusin(t)),j.on(document,Ei,t=>this._handleKeydown(t)),this._isActive=!0)}deactivate(){this._isActive&&(this._isActive=!1,j.off(document,Ai))}_handleFocusin(t){const{trapElement:e}=this._config;if(t.target===document||t.target===e||e.contains(t.target))return;const i=U.focusableChildren(e);0===i.length?e.focus():this._lastTabNavDirection===Ti?i[i.length-1].focus():i[0].focus()}_handleKeydown(t){"Tab"===t.key&&(this._lastTabNavDirection=t.shiftKey?Ti:"forward")}}const Si=".fixed-top, .fixed-bottom, .is-fixed, .sticky-top",ki=".sticky-top",$i="padding-right",Mi="margin-right";class Oi{constructor(){this._element=document.body}getWidth(){const t=document.documentElement.clientWidth;return Math.abs(window.innerWidth-t)}hide(){const t=this.getWidth();this._disableOverFlow(),this._setElementAttributes(this._element,$i,e=>e+t),this._setElementAttributes(Si,$i,e=>e+t),this._setElementAttributes(ki,Mi,e=>e-t)}reset(){this._resetElementAttributes(this._element,"overflow"),this._resetElementAttributes(this._element,$i),this._resetElementAttributes(Si,$i),this._resetElementAttributes(ki,Mi)}isOverflowing(){return this.getWidth()>0}_disableOverFlow(){this._saveInitialAttribute(this._element,"overflow"),this._element.style.overflow="hidden"}_setElementAttributes(t,e,i){const s=this.getWidth();this._applyManipulationCallback(t,t=>{if(t!==this._element&&window.innerWidth>t.clientWidth+s)return;this._saveInitialAttribute(t,e);const n=window.getComputedStyle(t).getPropertyValue(e);t.style.setProperty(e,`${i(Number.parseFloat(n))}px`)})}_saveInitialAttribute(t,e){const i=t.style.getPropertyValue(e);i&&W.setDataAttribute(t,e,i)}_resetElementAttributes(t,e){this._applyManipulationCallback(t,t=>{const i=W.getDataAttribute(t,e);null!==i?(W.removeDataAttribute(t,e),t.style.setProperty(e,i)):t.style.removeProperty(e)})}_applyManipulationCallback(t,e){if(d(t))e(t);else for(const i of U.find(t,this._element))e(i)}}const Pi="modal",Di=".bs.modal",Ni=`hide${Di}`,zi=`hidePrevented${Di}`,Ri=`hidden${Di}`,Hi=`show${Di}`,Fi=`shown${Di}`,ji=`resize${Di}`,Bi=`click.dismiss${Di}`,Vi=`mousedown.dismiss${Di}`,qi=`keydown.dismiss${Di}`,Wi=`click${Di}.data-api`,Yi="modal-open",Ki="show",Qi="modal-static",Ui={backdrop:!0,focus:!0,keyboard:!0,stack:!1},Xi={backdrop:"(boolean|string)",focus:"boolean",keyboard:"boolean",stack:"boolean"},Gi=[],Ji={push:t=>(Gi.push(t),Gi.length-1),remove(t){const e=Gi.indexOf(t);-1!==e&&Gi.splice(e,1)},top:()=>Gi[Gi.length-1]||null,isTop(t){return this.top()===t},size:()=>Gi.length};class Zi extends K{constructor(t,e){super(t,e),this._dialog=U.findOne(".modal-dialog",this._element),this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._isShown=!1,this._isTransitioning=!1,this._scrollBar=new Oi,this._previousActiveElement=null,this._addEventListeners()}static get Default(){return Ui}static get DefaultType(){return Xi}static get NAME(){return Pi}toggle(t){return this._isShown?this.hide():this.show(t)}show(t){this._isShown||this._isTransitioning||j.trigger(this._element,Hi,{relatedTarget:t}).defaultPrevented||(this._isShown=!0,this._isTransitioning=!0,this._pushToStack(),this._adjustDialog(),this._backdrop.show(()=>this._showElement(t)))}hide(){this._isShown&&!this._isTransitioning&&(j.trigger(this._element,Ni).defaultPrevented||(this._isShown=!1,this._isTransitioning=!0,this._focustrap.deactivate(),this._element.classList.remove(Ki),this._queueCallback(()=>this._hideModal(),this._element,this._isAnimated())))}showAsync(t){return this._transitionAsync(()=>this.show(t),Hi,Fi,Ni)}hideAsync(){return this._transitionAsync(()=>this.hide(),Ni,Ri,Hi)}dispose(){Ji.remove(this),j.off(window,Di),j.off(this._dialog,Di),this._backdrop.dispose(),this._focustrap.deactivate(),super.dispose()}handleUpdate(){this._adjustDialog()}_initializeBackDrop(){return new wi({isVisible:Boolean(this._config.backdrop),isAnimated:this._isAnimated()})}_initializeFocusTrap(){return new Li({trapElement:this._element})}_showElement(t){document.body.contains(this._element)||document.body.append(this._element),this._element.style.display="block",this._element.removeAttribute("aria-hidden"),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.scrollTop=0;const e=U.findOne(".modal-body",this._dialog);e&&(e.scrollTop=0),p(this._element),this._element.classList.add(Ki),this._queueCallback(()=>{this._config.focus&&this._focustrap.activate(),this._isTransitioning=!1,j.trigger(this._element,Fi,{relatedTarget:t})},this._dialog,this._isAnimated())}_addEventListeners(){j.on(this._element,qi,t=>{"Escape"===t.key&&Ji.isTop(this)&&(this._config.keyboard?this.hide():this._triggerBackdropTransition())}),j.on(window,ji,()=>{this._isShown&&!this._isTransitioning&&this._adjustDialog()}),j.on(this._element,Vi,t=>{j.one(this._element,Bi,e=>{this._element===t.target&&this._element===e.target&&Ji.isTop(this)&&("static"!==this._config.backdrop?this._config.backdrop&&this.hide():this._triggerBackdropTransition())})})}_hideModal(){this._element.style.display="none",this._element.setAttribute("aria-hidden",!0),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._isTransitioning=!1,this._backdrop.hide(()=>{this._resetAdjustments(),this._popFromStack(),j.trigger(this._element,Ri)})}_pushToStack(){const t=Ji.top(),e=Ji.push(this);if(!t)return this._scrollBar.hide(),void document.body.classList.add(Yi);this._previousActiveElement=document.activeElement,t._focustrap.deactivate();const i=Number.parseInt(getComputedStyle(t._element).zIndex,10)||1055+20*(e-1);this._element.style.zIndex=i+20,this._backdrop._getElement().style.zIndex=i+10}_popFromStack(){Ji.remove(this),this._element.style.zIndex="",this._backdrop._getElement().style.zIndex="";const t=Ji.top();if(!t)return document.body.classList.remove(Yi),void this._scrollBar.reset();t._config.focus&&t._focustrap.activate(),this._previousActiveElement&&t._element.contains(this._previousActiveElement)&&this._previousActiveElement.focus(),this._previousActiveElement=null}_isAnimated(){return this._element.classList.contains("fade")}_triggerBackdropTransition(){if(j.trigger(this._element,zi).defaultPrevented)return;const t=this._element.scrollHeight>document.documentElement.clientHeight,e=this._element.style.overflowY;"hidden"===e||this._element.classList.contains(Qi)||(t||(this._element.style.overflowY="hidden"),this._element.classList.add(Qi),this._queueCallback(()=>{this._element.classList.remove(Qi),this._queueCallback(()=>{this._element.style.overflowY=e},this._dialog)},this._dialog),this._element.focus())}_adjustDialog(){const t=this._element.scrollHeight>document.documentElement.clientHeight,e=this._scrollBar.getWidth(),i=e>0;if(i&&!t){const t=w()?"paddingLeft":"paddingRight";this._element.style[t]=`${e}px`}if(!i&&t){const t=w()?"paddingRight":"paddingLeft";this._element.style[t]=`${e}px`}}_resetAdjustments(){this._element.style.paddingLeft="",this._element.style.paddingRight=""}static confirm(t){return new Go(t).open()}static prompt(t){return new Go({...t,input:!0}).open()}static jQueryInterface(t,e){return this.each(function(){const i=Zi.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===i[t])throw new TypeError(`No method named "${t}"`);i[t](e)}})}}j.on(document,Wi,'[data-bs-toggle="modal"]',function(t){const e=U.getElementFromSelector(this);["A","AREA"].includes(this.tagName)&&t.preventDefault(),j.one(e,Hi,t=>{t.defaultPrevented||j.one(e,Ri,()=>{_(this)&&this.focus()})});const i=Zi.getOrCreateInstance(e),s=Ji.top();s&&s!==i&&!i._config.stack&&s.hide(),i.toggle(this)}),X(Zi),A(Zi);const ts="offcanvas",es=".bs.offcanvas",is=".data-api",ss=`load${es}${is}`,ns="show",os="showing",rs="hiding",as=["start","end","top","bottom"],ls=".offcanvas.show",hs=`show${es}`,cs=`shown${es}`,ds=`hide${es}`,us=`hidePrevented${es}`,_s=`hidden${es}`,gs=`resize${es}`,ms=`click${es}${is}`,fs=`keydown.dismiss${es}`,ps={backdrop:!0,edgeSwipe:!1,edgeSwipeWidth:20,keyboard:!0,scroll:!1,swipe:!0,swipeThreshold:.4},bs={backdrop:"(boolean|string)",edgeSwipe:"boolean",edgeSwipeWidth:"number",keyboard:"boolean",scroll:"boolean",swipe:"boolean",swipeThreshold:"number"};class vs extends K{constructor(t,e){super(t,e),this._isShown=!1,this._backdrop=this._initializeBackDrop(),this._focustrap=this._initializeFocusTrap(),this._drag=null,this._gesture=null,this._edge=null,this._edgeGesture=null,this._resizeHandler=null,this._addEventListeners(),this._initializeGestures()}static get Default(){return ps}static get DefaultType(){return bs}static get NAME(){return ts}toggle(t){return this._isShown?this.hide():this.show(t)}show(t){this._isShown||j.trigger(this._element,hs,{relatedTarget:t}).defaultPrevented||(this._isShown=!0,this._updateEdge(),this._backdrop.show(),this._config.scroll||(new Oi).hide(),this._element.setAttribute("aria-modal",!0),this._element.setAttribute("role","dialog"),this._element.classList.add(os),this._queueCallback(()=>{this._config.scroll&&!this._config.backdrop||this._focustrap.activate(),this._element.classList.add(ns),this._element.classList.remove(os),j.trigger(this._element,cs,{relatedTarget:t})},this._element,!0))}hide(){this._isShown&&(j.trigger(this._element,ds).defaultPrevented||(this._focustrap.deactivate(),this._element.blur(),this._isShown=!1,this._element.classList.add(rs),this._backdrop.hide(),this._queueCallback(()=>{this._element.classList.remove(ns,rs),this._element.removeAttribute("aria-modal"),this._element.removeAttribute("role"),this._config.scroll||(new Oi).reset(),this._updateEdge(),j.trigger(this._element,_s)},this._element,!0)))}showAsync(t){return this._transitionAsync(()=>this.show(t),hs,cs,ds)}hideAsync(){return this._transitionAsync(()=>this.hide(),ds,_s,hs)}dispose(){this._backdrop.dispose(),this._focustrap.deactivate(),this._gesture&&this._gesture.dispose(),this._edgeGesture&&(this._edgeGesture.dispose(),this._edge.remove(),j.off(window,gs,this._resizeHandler)),super.dispose()}_initializeBackDrop(){const t=Boolean(this._config.backdrop);return new wi({className:"offcanvas-backdrop",isVisible:t,isAnimated:!0,rootElement:this._element.parentNode,clickCallback:t?()=>{"static"!==this._config.backdrop?this.hide():j.trigger(this._element,us)}:null})}_initializeFocusTrap(){return new Li({trapElement:this._element})}_addEventListeners(){j.on(this._element,fs,t=>{"Escape"===t.key&&(this._config.keyboard?this.hide():j.trigger(this._element,us))})}_initializeGestures(){const t=this._getPlacement();if(!t)return;const e=e=>({panStartCallback:t=>this._startDrag(t,e),panMoveCallback:t=>this._moveDrag(t),panEndCallback:t=>this._endDrag(t),touchAction:t.isHorizontal?"pan-y":"pan-x"});this._config.swipe&&(this._gesture=new vt(this._element,e(!1))),this._config.edgeSwipe&&(this._edge=this._createEdge(t),this._edgeGesture=new vt(this._edge,{...e(!0),touchAction:"none"}),this._resizeHandler=()=>this._updateEdge(),j.on(window,gs,this._resizeHandler),this._updateEdge())}_createEdge({isHorizontal:t,direction:e}){const i=document.createElement("div");i.className="offcanvas-edge",i.style.position="fixed";const s=Number.parseInt(getComputedStyle(this._element).zIndex,10);return Number.isNaN(s)||(i.style.zIndex=s-6),i.style[t?"width":"height"]=`${this._config.edgeSwipeWidth}px`,i.style[t?"top":"left"]="0",i.style[t?"bottom":"right"]="0",t?i.style[e<0?"left":"right"]="0":i.style[e<0?"top":"bottom"]="0",this._element.before(i),i}_updateEdge(){if(!this._edge)return;const t=!this._isShown&&"fixed"===getComputedStyle(this._element).position;this._edge.style.display=t?"":"none"}_getPlacement(){const t=as.find(t=>this._element.classList.contains(`${ts}-${t}`));if(!t)return null;const e="start"===t||"end"===t;return{isHorizontal:e,direction:("start"===t||"top"===t)!==(e&&w())?-1:1}}_startDrag(t,e){const i=this._getPlacement();!i||e===this._isShown||this._element.classList.contains(os)||this._element.classList.contains(rs)||i.isHorizontal===Math.abs(t.deltaX)>Math.abs(t.deltaY)&&(e&&"fixed"!==getComputedStyle(this._element).position||(this._drag={...i,isOpening:e,openness:e?0:1,size:i.isHorizontal?this._element.offsetWidth:this._element.offsetHeight},this._element.style.transition="none",e&&(this._element.style.visibility="visible"),this._moveDrag(t)))}_moveDrag(t){if(!this._drag)return;const{isHorizontal:e,direction:i,isOpening:s,size:n}=this._drag,o=i*(e?t.deltaX:t.deltaY),r=Math.min(Math.max(s?n+o:o,0),n);this._drag.openness=n?1-r/n:1,this._element.style.transform=`translate${e?"X":"Y"}(${i*r}px)`,this._backdrop.track(this._drag.openness)}_endDrag(t){if(!this._drag)return;const{isHorizontal:e,direction:i,isOpening:s,openness:n}=this._drag;this._drag=null;const o=i*(e?t.velocityX:t.velocityY);let r=s?n>this._config.swipeThreshold:n>1-this._config.swipeThreshold;Math.abs(o)>=.3&&(r=o<0),t.isCancelled&&(r=!s),r&&!this._isShown?this.show():!r&&this._isShown&&this.hide(),this._element.style.transition="",this._element.style.transform="",this._element.style.visibility="",this._backdrop.track(null),s&&!this._isShown&&(this._element.classList.add(rs),this._backdrop.hide(),this._queueCallback(()=>this._element.classList.remove(rs),this._element,!0))}static jQueryInterface(t){return this.each(function(){const e=vs.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t](this)}})}}j.on(document,ms,'[data-bs-toggle="offcanvas"]',function(t){const e=U.getElementFromSelector(this);if(["A","AREA"].includes(this.tagName)&&t.preventDefault(),g(this))return;j.one(e,_s,()=>{_(this)&&this.focus()});const i=U.findOne(ls);i&&i!==e&&vs.getInstance(i).hide(),vs.getOrCreateInstance(e).toggle(this)}),j.on(window,ss,()=>{for(const t of U.find(ls))vs.getOrCreateInstance(t).show();for(const t of U.find(".offcanvas[data-bs-edge-swipe]"))vs.getOrCreateInstance(t)}),j.on(window,gs,()=>{for(const t of U.find("[aria-modal][class*=show][class*=offcanvas-]"))"fixed"!==getComputedStyle(t).position&&vs.getOrCreateInstance(t).hide()}),X(vs),A(vs);const ys={"*":["class","dir","id","lang","role",/^aria-[\w-]*$/i],a:["target","href","title","rel"],area:[],b:[],br:[],col:[],code:[],dd:[],div:[],dl:[],dt:[],em:[],hr:[],h1:[],h2:[],h3:[],h4:[],h5:[],h6:[],i:[],img:["src","srcset","alt","title","width","height"],li:[],ol:[],p:[],pre:[],s:[],small:[],span:[],sub:[],sup:[],strong:[],u:[],ul:[]},ws=new Set(["background","cite","href","itemtype","longdesc","poster","src","xlink:href"]),As=/^(?!javascript:)(?:[a-z0-9+.-]+:|[^&:/?#]*(?:[/?#]|$))/i,Cs=(t,e)=>{const i=t.nodeName.toLowerCase();return e.includes(i)?!ws.has(i)||Boolean(As.test(t.nodeValue)):e.filter(t=>t instanceof RegExp).some(t=>t.test(i))};function Es(t,e,i){if(!t.length)return t;if(i&&"function"==typeof i)return i(t);const s=(new window.DOMParser).parseFromString(t,"text/html"),n=[].concat(...s.body.querySelectorAll("*"));for(const t of n){const i=t.nodeName.toLowerCase();if(!Object.keys(e).includes(i)){t.remove();continue}const s=[].concat(...t.attributes),n=[].concat(e["*"]||[],e[i]||[]);for(const e of s)Cs(e,n)||t.removeAttribute(e.nodeName)}return s.body.innerHTML}const Ts={allowList:ys,content:{},extraClass:"",html:!1,sanitize:!0,sanitizeFn:null,template:"<div></div>"},xs={allowList:"object",content:"object",extraClass:"(string|function)",html:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},Is={entry:"(string|element|function|null)",selector:"(string|element)"};class Ls extends Y{constructor(t){super(),this._config=this._getConfig(t)}static get Default(){return Ts}static get DefaultType(){return xs}static get NAME(){return"TemplateFactory"}getContent(){return Object.values(this._config.content).map(t=>this._resolvePossibleFunction(t)).filter(Boolean)}hasContent(){return this.getContent().length>0}changeContent(t){return this._checkContent(t),this._config.content={...this._config.content,...t},this}toHtml(){const t=document.createElement("div");t.innerHTML=this._maybeSanitize(this._config.template);for(const[e,i]of Object.entries(this._config.content))this._setContent(t,i,e);const e=t.children[0],i=this._resolvePossibleFunction(this._config.extraClass);return i&&e.classList.add(...i.split(" ")),e}_typeCheckConfig(t){super._typeCheckConfig(t),this._checkContent(t.content)}_checkContent(t){for(const[e,i]of Object.entries(t))super._typeCheckConfig({selector:e,entry:i},Is)}_setContent(t,e,i){const s=U.findOne(i,t);s&&((e=this._resolvePossibleFunction(e))?d(e)?this._putElementInTemplate(u(e),s):this._config.html?s.innerHTML=this._maybeSanitize(e):s.textContent=e:s.remove())}_maybeSanitize(t){return this._config.sanitize?Es(t,this._config.allowList,this._config.sanitizeFn):t}_resolvePossibleFunction(t){return C(t,[this])}_putElementInTemplate(t,e){if(this._config.html)return e.innerHTML="",void e.append(t);e.textContent=t.textContent}}const Ss=new Set(["sanitize","allowList","sanitizeFn"]),ks="fade",$s="show",Ms=".tooltip-inner",Os=".modal",Ps="hide.bs.modal",Ds="hover",Ns="focus",zs="tipHover",Rs="tipFocus",Hs="hide",Fs="hidden",js="show",Bs="shown",Vs="focusin",qs="focusout",Ws="mouseenter",Ys="mouseleave",Ks={AUTO:"auto",TOP:"top",RIGHT:w()?"left":"right",BOTTOM:"bottom",LEFT:w()?"right":"left"},Qs={allowList:ys,animation:!0,boundary:"clippingParents",container:!1,customClass:"",delay:0,fallbackPlacements:["top","right","bottom","left"],html:!1,interactive:!1,interactiveDelay:100,loadingContent:"Loading…",offset:[0,6],placement:"top",popperConfig:null,sanitize:!0,sanitizeFn:null,selector:!1,template:'<div class="tooltip" role="tooltip"><div class="tooltip-arrow"></div><div class="tooltip-inner"></div></div>',title:"",trigger:"hover focus",url:null},Us={allowList:"object",animation:"boolean",boundary:"(string|element)",container:"(string|element|boolean)",customClass:"(string|function)",delay:"(number|object)",fallbackPlacements:"array",html:"boolean",interactive:"boolean",interactiveDelay:"number",loadingContent:"(string|element)",offset:"(array|string|function)",placement:"(string|function)",popperConfig:"(null|object|function)",sanitize:"boolean",sanitizeFn:"(null|function)",selector:"(string|boolean)",template:"string",title:"(string|element|function)",trigger:"string",url:"(null|string)"};class Xs extends K{constructor(t,e){if(void 0===s)throw new TypeError("Bootstrap's tooltips require Popper (https://popper.js.org)");super(t,e),this._isEnabled=!0,this._timeout=0,this._isHovered=null,this._activeTrigger={},this._popper=null,this._templateFactory=null,this._newContent=null,this._contentCache=new Map,this._contentRequests=new Map,this.tip=null,this._setListeners(),this._config.selector||this._fixTitle()}static get Default(){return Qs}static get DefaultType(){return Us}static get NAME(){return"tooltip"}enable(){this._isEnabled=!0}disable(){this._isEnabled=!1}toggleEnabled(){this._isEnabled=!this._isEnabled}toggle(){this._isEnabled&&(this._activeTrigger.click=!this._activeTrigger.click,this._isShown()?this._leave():this._enter())}dispose(){clearTimeout(this._timeout),this._abortContentRequests(),j.off(this._element.closest(Os),Ps,this._hideModalHandler),this._element.getAttribute("data-bs-original-title")&&this._element.setAttribute("title",this._element.getAttribute("data-bs-original-title")),this._disposePopper(),super.dispose()}show(){if("none"===this._element.style.display)throw new Error("Please use show on visible elements");if(!this._isWithContent()||!this._isEnabled)return;const t=j.trigger(this._element,this.constructor.eventName(js)),e=(m(this._element)||this._element.ownerDocument.documentElement).contains(this._element);if(t.defaultPrevented||!e)return;this._disposePopper();const i=this._getTipElement();this._element.setAttribute("aria-describedby",i.getAttribute("id"));const{container:s}=this._config;if(this._element.ownerDocument.documentElement.contains(this.tip)||(s.append(i),j.trigger(this._element,this.constructor.eventName("inserted"))),this._popper=this._createPopper(i),i.classList.add($s),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))j.on(t,"mouseover",f);this._queueCallback(()=>{j.trigger(this._element,this.constructor.eventName(Bs)),!1===this._isHovered&&this._leave(),this._isHovered=!1},this.tip,this._isAnimated())}hide(){if(this._isShown()&&!j.trigger(this._element,this.constructor.eventName(Hs)).defaultPrevented){if(this._abortContentRequests(),this._getTipElement().classList.remove($s),"ontouchstart"in document.documentElement)for(const t of[].concat(...document.body.children))j.off(t,"mouseover",f);this._activeTrigger.click=!1,this._activeTrigger[Ns]=!1,this._activeTrigger[Ds]=!1,this._activeTrigger[zs]=!1,this._activeTrigger[Rs]=!1,this._isHovered=null,this._queueCallback(()=>{this._isWithActiveTrigger()?this._cancelTransitions(this.constructor.eventName(Fs)):(this._isHovered||this._disposePopper(),this._element.removeAttribute("aria-describedby"),j.trigger(this._element,this.constructor.eventName(Fs)))},this.tip,this._isAnimated())}}showAsync(){return this._transitionAsync(()=>this.show(),this.constructor.eventName(js),this.constructor.eventName(Bs),this.constructor.eventName(Hs),()=>this._isShown())}hideAsync(){return this._transitionAsync(()=>this.hide(),this.constructor.eventName(Hs),this.constructor.eventName(Fs),this.constructor.eventName(js))}update(){this._popper&&this._popper.update()}_isWithContent(){return Boolean(this._getTitle())}_getTipElement(){return this.tip||(this.tip=this._createTipElement(this._newContent||this._getContentForTemplate())),this.tip}_createTipElement(t){const e=this._getTemplateFactory(t).toHtml();if(!e)return null;e.classList.remove(ks,$s),e.classList.add(`bs-${this.constructor.NAME}-auto`);const i=h(this.constructor.NAME).toString();return e.setAttribute("id",i),this._isAnimated()&&e.classList.add(ks),this._config.interactive&&this._setTipListeners(e),e}setContent(t){this._newContent=t,this._isShown()&&(this._disposePopper(),this.show())}_getTemplateFactory(t){return this._templateFactory?this._templateFactory.changeContent(t):this._templateFactory=new Ls({...this._config,content:t,extraClass:this._resolvePossibleFunction(this._config.customClass)}),this._templateFactory}_getContentForTemplate(){return{[Ms]:this._getTitle()}}_getTitle(){return this._resolveContent("title",this._config.title)||this._element.getAttribute("data-bs-original-title")}_getUrlOption(){return"title"}_resolveContent(t,e){if(this._contentCache.has(t))return this._contentCache.get(t);if(this._contentRequests.has(t))return this._config.loadingContent;const i=new AbortController,s=C(e,[this._element,i.signal]);return s&&"function"==typeof s.then?(this._contentRequests.set(t,i),s.then(e=>{i.signal.aborted||(this._contentRequests.delete(t),this._contentCache.set(t,e),this._isWithActiveTrigger()||(this._isHovered=null),this.setContent(this._getContentForTemplate()))},()=>{i.signal.aborted||(this._contentRequests.delete(t),this.hide())}),this._config.loadingContent):s}_abortContentRequests(){for(const t of this._contentRequests.values())t.abort();this._contentRequests.clear()}_initializeOnDelegatedTarget(t){return this.constructor.getOrCreateInstance(t.delegateTarget,this._getDelegateConfig())}_isAnimated(){return this._config.animation||this.tip&&this.tip.classList.contains(ks)}_isShown(){return this.tip&&this.tip.classList.contains($s)}_createPopper(t){const e=C(this._config.placement,[this,t,this._element]),i=Ks[e.toUpperCase()];return s.createPopper(this._element,t,this._getPopperConfig(i))}_getOffset(){const{offset:t}=this._config;return"string"==typeof t?t.split(",").map(t=>Number.parseInt(t,10)):"function"==typeof t?e=>t(e,this._element):t}_resolvePossibleFunction(t){return C(t,[this._element])}_getPopperConfig(t){const e={placement:t,modifiers:[{name:"flip",options:{fallbackPlacements:this._config.fallbackPlacements}},{name:"offset",options:{offset:this._getOffset()}},{name:"preventOverflow",options:{boundary:this._config.boundary}},{name:"arrow",options:{element:`.${this.constructor.NAME}-arrow`}},{name:"preSetPlacement",enabled:!0,phase:"beforeMain",fn:t=>{this._getTipElement().setAttribute("data-popper-placement",t.state.placement)}}]};return{...e,...C(this._config.popperConfig,[e])}}_setListeners(){const t=this._config.trigger.split(" ");for(const e of t)if("click"===e)j.on(this._element,this.constructor.eventName("click"),this._config.selector,t=>{this._initializeOnDelegatedTarget(t).toggle()});else if("manual"!==e){const t=e===Ds?this.constructor.eventName(Ws):this.constructor.eventName(Vs),i=e===Ds?this.constructor.eventName(Ys):this.constructor.eventName(qs);j.on(this._element,t,this._config.selector,t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusin"===t.type?Ns:Ds]=!0,e._enter()}),j.on(this._element,i,this._config.selector,t=>{const e=this._initializeOnDelegatedTarget(t);e._activeTrigger["focusout"===t.type?Ns:Ds]=e._element.contains(t.relatedTarget),e._leave()})}this._hideModalHandler=()=>{this._element&&this.hide()},j.on(this._element.closest(Os),Ps,this._hideModalHandler)}_setTipListeners(t){j.on(t,this.constructor.eventName(Ws),()=>{this._activeTrigger[zs]=!0,this._enter()}),j.on(t,this.constructor.eventName(Ys),e=>{this._activeTrigger[zs]=t.contains(e.relatedTarget),this._leave()}),j.on(t,this.constructor.eventName(Vs),()=>{this._activeTrigger[Rs]=!0,this._enter()}),j.on(t,this.constructor.eventName(qs),e=>{this._activeTrigger[Rs]=t.contains(e.relatedTarget),this._leave()})}_fixTitle(){const t=this._element.getAttribute("title");t&&(this._element.getAttribute("aria-label")||this._element.textContent.trim()||this._element.setAttribute("aria-label",t),this._element.setAttribute("data-bs-original-title",t),this._element.removeAttribute("title"))}_enter(){this._isShown()||this._isHovered?this._isHovered=!0:(this._isHovered=!0,this._setTimeout(()=>{this._isHovered&&this.show()},this._config.delay.show))}_leave(){if(this._isWithActiveTrigger())return;this._isHovered=!1;const t=this._config.interactive?Math.max(this._config.delay.hide,this._config.interactiveDelay):this._config.delay.hide;this._setTimeout(()=>{this._isHovered||this.hide()},t)}_setTimeout(t,e){clearTimeout(this._timeout),this._timeout=setTimeout(t,e)}_isWithActiveTrigger(){return Object.values(this._activeTrigger).includes(!0)}_getConfig(t){const e=W.getDataAttributes(this._element);for(const t of Object.keys(e))Ss.has(t)&&delete e[t];return t={...e,..."object"==typeof t&&t?t:{}},t=this._mergeConfigObj(t),t=this._configAfterMerge(t),this._typeCheckConfig(t),t}_configAfterMerge(t){if(t.container=!1===t.container?document.body:u(t.container),"number"==typeof t.delay&&(t.delay={show:t.delay,hide:t.delay}),"number"==typeof t.title&&(t.title=t.title.toString()),"number"==typeof t.content&&(t.content=t.content.toString()),t.url){const{url:e}=t;t[this._getUrlOption()]=(t,i)=>fetch(e,{signal:i}).then(t=>{if(!t.ok)throw new Error(`${this.constructor.NAME.toUpperCase()}: Request to "${e}" failed with status ${t.status}.`);return t.text()})}return t}_getDelegateConfig(){const t={};for(const[e,i]of Object.entries(this._config))this.constructor.Default[e]!==i&&(t[e]=i);return t.selector=!1,t.trigger="manual",t}_disposePopper(){this._popper&&(this._popper.destroy(),this._popper=null),this.tip&&(j.off(this.tip,this.constructor.EVENT_KEY),this.tip.remove(),this.tip=null)}static jQueryInterface(t){return this.each(function(){const e=Xs.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}})}}A(Xs);const Gs=".popover-header",Js=".popover-body",Zs={...Xs.Default,content:"",offset:[0,8],placement:"right",template:'<div class="popover" role="tooltip"><div class="popover-arrow"></div><h3 class="popover-header"></h3><div class="popover-body"></div></div>',trigger:"click"},tn={...Xs.DefaultType,content:"(null|string|element|function)"};class en extends Xs{static get Default(){return Zs}static get DefaultType(){return tn}static get NAME(){return"popover"}_isWithContent(){return this._getTitle()||this._getContent()}_getContentForTemplate(){return{[Gs]:this._getTitle(),[Js]:this._getContent()}}_getContent(){return this._resolveContent("content",this._config.content)}_getUrlOption(){return"content"}static jQueryInterface(t){return this.each(function(){const e=en.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t]()}})}}A(en);const sn=".bs.scrollspy",nn=`activate${sn}`,on=`click${sn}`,rn=`load${sn}.data-api`,an="active",ln="[href]",hn=".nav-link",cn=`${hn}, .nav-item > ${hn}, .list-group-item`,dn={offset:null,rootMargin:"0px 0px -25%",smoothScroll:!1,target:null,threshold:[.1,.5,1]},un={offset:"(number|null)",rootMargin:"string",smoothScroll:"boolean",target:"element",threshold:"array"};class _n extends K{constructor(t,e){super(t,e),this._targetLinks=new Map,this._observableSections=new Map,this._rootElement="visible"===getComputedStyle(this._element).overflowY?null:this._element,this._activeTarget=null,this._observer=null,this._previousScrollData={visibleEntryTop:0,parentScrollTop:0},this.refresh()}static get Default(){return dn}static get DefaultType(){return un}static get NAME(){return"scrollspy"}refresh(){this._initializeTargetsAndObservables(),this._maybeEnableSmoothScroll(),this._observer?this._observer.disconnect():this._observer=this._getNewObserver();for(const t of this._observableSections.values())this._observer.observe(t)}dispose(){this._observer.disconnect(),super.dispose()}_configAfterMerge(t){return t.target=u(t.target)||document.body,t.rootMargin=t.offset?`${t.offset}px 0px -30%`:t.rootMargin,"string"==typeof t.threshold&&(t.threshold=t.threshold.split(",").map(t=>Number.parseFloat(t))),t}_maybeEnableSmoothScroll(){this._config.smoothScroll&&(j.off(this._config.target,on),j.on(this._config.target,on,ln,t=>{const e=this._observableSections.get(t.target.hash);if(e){t.preventDefault();const i=this._rootElement||window,s=e.offsetTop-this._element.offsetTop;if(i.scrollTo)return void i.scrollTo({top:s,behavior:"smooth"});i.scrollTop=s}}))}_getNewObserver(){const t={root:this._rootElement,threshold:this._config.threshold,rootMargin:this._config.rootMargin};return new IntersectionObserver(t=>this._observerCallback(t),t)}_observerCallback(t){const e=t=>this._targetLinks.get(`#${t.target.id}`),i=t=>{this._previousScrollData.visibleEntryTop=t.target.offsetTop,this._process(e(t))},s=(this._rootElement||document.documentElement).scrollTop,n=s>=this._previousScrollData.parentScrollTop;this._previousScrollData.parentScrollTop=s;for(const o of t){if(!o.isIntersecting){this._activeTarget=null,this._clearActiveClass(e(o));continue}const t=o.target.offsetTop>=this._previousScrollData.visibleEntryTop;if(n&&t){if(i(o),!s)return}else n||t||i(o)}}_initializeTargetsAndObservables(){this._targetLinks=new Map,this._observableSections=new Map;const t=U.find(ln,this._config.target);for(const e of t){if(!e.hash||g(e))continue;const t=U.findOne(decodeURI(e.hash),this._element);_(t)&&(this._targetLinks.set(decodeURI(e.hash),e),this._observableSections.set(e.hash,t))}}_process(t){this._activeTarget!==t&&(this._clearActiveClass(this._config.target),this._activeTarget=t,t.classList.add(an),this._activateParents(t),j.trigger(this._element,nn,{relatedTarget:t}))}_activateParents(t){if(t.classList.contains("dropdown-item"))U.findOne(".dropdown-toggle",t.closest(".dropdown")).classList.add(an);else for(const e of U.parents(t,".nav, .list-group"))for(const t of U.prev(e,cn))t.classList.add(an)}_clearActiveClass(t){t.classList.remove(an);const e=U.find(`${ln}.${an}`,t);for(const t of e)t.classList.remove(an)}static jQueryInterface(t){return this.each(function(){const e=_n.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}j.on(window,rn,()=>{for(const t of U.find('[data-bs-spy="scroll"]'))_n.getOrCreateInstance(t)}),A(_n);const gn=".bs.tab",mn=`hide${gn}`,fn=`hidden${gn}`,pn=`show${gn}`,bn=`shown${gn}`,vn=`click${gn}`,yn=`keydown${gn}`,wn=`load${gn}`,An=`popstate${gn}`,Cn=`loaded${gn}`,En=`loaderror${gn}`,Tn=`close${gn}`,xn=`closed${gn}`,In=`moved${gn}`,Ln=`click${gn}`,Sn=`dragstart${gn}`,kn=`dragover${gn}`,$n=`drop${gn}`,Mn=`dragend${gn}`,On=`resize${gn}`,Pn="ArrowLeft",Dn="ArrowRight",Nn="ArrowUp",zn="ArrowDown",Rn="Home",Hn="End",Fn="active",jn="fade",Bn="show",Vn="dropdown",qn="nav-item",Wn="nav-link",Yn="d-none",Kn=".dropdown-toggle",Qn=".dropdown-menu",Un=`:not(${Kn})`,Xn='.list-group, .nav, [role="tablist"]',Gn='[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]',Jn=`.nav-link${Un}, .list-group-item${Un}, [role="tab"]${Un}, ${Gn}`,Zn=`.${Fn}[data-bs-toggle="tab"], .${Fn}[data-bs-toggle="pill"], .${Fn}[data-bs-toggle="list"]`,to="[data-bs-sync]",eo="[data-bs-tab-overflow]",io="query",so={allowList:ys,closable:!1,closeLabel:"Close",history:"replace",loader:null,loadingText:"Loading…",moreLabel:"More",overflow:!1,reload:!1,reorderable:!1,sanitize:!0,sanitizeFn:null,sync:!1,syncParam:"tab"},no={allowList:"object",closable:"boolean",closeLabel:"string",history:"string",loader:"(null|string|function)",loadingText:"string",moreLabel:"string",overflow:"boolean",reload:"boolean",reorderable:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",sync:"(boolean|string)",syncParam:"string"};let oo=!1;const ro=t=>t.includes("="),ao=new WeakMap;let lo=null,ho=-1;const co=t=>[...t.children].filter(t=>!t.matches(eo)&&(t.matches(Jn)||U.findOne(Jn,t))),uo=(t,e)=>{t.classList.toggle(qn,!e);const i=t.matches(Jn)?t:U.findOne(Jn,t);i&&(i.classList.toggle(Wn,!e),i.classList.toggle("dropdown-item",e))},_o=t=>{const e=U.findOne(`:scope > ${eo}`,t);if(!e)return null;for(const t of co(U.findOne(Qn,e)))uo(t,!1),e.before(t);return e},go=t=>{const e=_o(t);if(!e)return;const i=U.findOne(Qn,e);if(e.classList.add(Yn),t.scrollWidth>t.clientWidth){e.classList.remove(Yn);const s=co(t);for(;s.length&&t.scrollWidth>t.clientWidth;){const t=s.pop();uo(t,!0),i.prepend(t)}}const s=U.find(Jn,i).some(t=>t.classList.contains(Fn));U.findOne(Kn,e).classList.toggle(Fn,s)},mo=()=>{const{hash:t}=window.location;if(!t||ro(t))return null;try{return decodeURIComponent(t.slice(1))}catch(t){return null}};class fo extends K{constructor(t,e){super(t,e),this._parent=this._element.closest(Xn),this._parent&&(this._setInitialAttributes(this._parent,this._getChildren()),j.on(this._element,yn,t=>this._keydown(t)),this._isLoaded=!1,this._loadController=null,this._closeWrapper=null,this._config.loader&&this._elemIsActive(this._element)&&this._load(),this._closeButton=this._config.closable?this._createCloseButton():null,this._config.reorderable&&this._setDragListeners(),this._config.overflow&&((t,e)=>{if(U.findOne(`:scope > ${eo}`,t))return;const i=document.createElement("li");i.className=`${qn} ${Vn}`,i.setAttribute("data-bs-tab-overflow",""),i.setAttribute("role","presentation");const s=document.createElement("button");s.type="button",s.className=`${Wn} dropdown-toggle`,s.setAttribute("data-bs-toggle","dropdown"),s.setAttribute("aria-expanded","false"),s.textContent=e;const n=document.createElement("ul");n.className="dropdown-menu dropdown-menu-end",i.append(s,n),t.classList.add("flex-nowrap"),t.append(i),go(t)})(this._parent,this._config.moreLabel))}static get Default(){return so}static get DefaultType(){return no}static get NAME(){return"tab"}show(){const t=this._element;if(this._elemIsActive(t))return;const e=this._getActiveElem(),i=e?j.trigger(e,mn,{relatedTarget:t}):null;j.trigger(t,pn,{relatedTarget:e}).defaultPrevented||i&&i.defaultPrevented||(this._deactivate(e,t),this._activate(t,e),this._config.sync&&!oo&&this._updateLocation(),!this._config.loader||this._loadController||this._isLoaded&&!this._config.reload||this._load())}close(){const t=this._element,e=this._parent,i=U.getElementFromSelector(t);if(j.trigger(t,Tn,{relatedTarget:i}).defaultPrevented)return;const s=document.activeElement===t,n=this._getListItem();if(this._elemIsActive(t)){const e=this._getChildren().filter(e=>e===t||!g(e)),i=e.indexOf(t),s=e[i+1]||e[i-1];s&&fo.getOrCreateInstance(s).show()}n.remove(),i&&i.remove();const o=this._getActiveElem();s&&o&&o.focus(),j.trigger(t,xn,{relatedTarget:i}),this.dispose(),go(e)}dispose(){if(this._abortLoad(),this._parent&&this._config.reorderable){const t=this._getListItem();j.off(t,gn),t.removeAttribute("draggable")}this._closeButton&&(j.off(this._closeButton,gn),this._closeButton.remove()),this._closeWrapper&&this._closeWrapper.replaceWith(this._element),super.dispose()}_mergeConfigObj(t,e){const i=t=>t?Object.fromEntries(Object.entries(W.getDataAttributes(t)).filter(([t])=>t in so)):{},s=d(e)?e.closest(Xn):null,n=d(e)?U.getElementFromSelector(e):null,o=d(e)?W.getDataAttribute(e,"config"):{};return{...this.constructor.Default,...i(s),...i(n),..."object"==typeof o?o:{},...d(e)?W.getDataAttributes(e):{},..."object"==typeof t?t:{}}}_configAfterMerge(t){if("string"==typeof t.loader){const e=t.loader;t.loader=(t,i)=>fetch(e,{signal:i}).then(t=>{if(!t.ok)throw new Error(`${this.constructor.NAME.toUpperCase()}: Request to "${e}" failed with status ${t.status}.`);return t.text()})}return t}_load(){const t=U.getElementFromSelector(this._element);if(!t)return;this._abortLoad();const e=new AbortController;this._loadController=e,t.setAttribute("aria-busy","true"),t.replaceChildren(this._createSpinner()),Promise.resolve().then(()=>C(this._config.loader,[t,e.signal])).then(i=>{e.signal.aborted||(this._loadController=null,this._isLoaded=!0,t.removeAttribute("aria-busy"),d(i)?t.replaceChildren(i):t.innerHTML=this._config.sanitize?Es(String(i),this._config.allowList,this._config.sanitizeFn):String(i),j.trigger(this._element,Cn,{relatedTarget:t}))},i=>{e.signal.aborted||(this._loadController=null,t.removeAttribute("aria-busy"),t.replaceChildren(),j.trigger(this._element,En,{relatedTarget:t,error:i}))})}_abortLoad(){this._loadController&&(this._loadController.abort(),this._loadController=null)}_createSpinner(){const t=document.createElement("div");t.className="d-flex justify-content-center p-3";const e=document.createElement("div");e.className="spinner-border",e.setAttribute("role","status");const i=document.createElement("span");return i.className="visually-hidden",i.textContent=this._config.loadingText,e.append(i),t.append(e),t}_updateLocation(){const t=U.getElementFromSelector(this._element);if(!t||!t.id)return;const e=new URL(window.location.href);if(this._config.sync===io)e.searchParams.set(this._config.syncParam,t.id);else{if(ro(e.hash))return;e.hash=t.id}e.href!==window.location.href&&("push"!==this._config.history?window.history.replaceState(window.history.state,"",e.href):window.history.pushState(null,"",e.href))}_activate(t,e){t&&(t.classList.add(Fn),this._activate(U.getElementFromSelector(t)),this._queueCallback(()=>{"tab"===t.getAttribute("role")?(t.removeAttribute("tabindex"),t.setAttribute("aria-selected",!0),this._toggleDropDown(t,!0),j.trigger(t,bn,{relatedTarget:e})):t.classList.add(Bn)},t,t.classList.contains(jn)))}_deactivate(t,e){t&&(t.classList.remove(Fn),t.blur(),this._deactivate(U.getElementFromSelector(t)),this._queueCallback(()=>{"tab"===t.getAttribute("role")?(t.setAttribute("aria-selected",!1),t.setAttribute("tabindex","-1"),this._toggleDropDown(t,!1),j.trigger(t,fn,{relatedTarget:e})):t.classList.remove(Bn)},t,t.classList.contains(jn)))}_keydown(t){if("Delete"===t.key&&this._config.closable)return t.preventDefault(),void this.close();if(t.ctrlKey&&this._config.reorderable&&[Pn,Dn,Nn,zn].includes(t.key))return t.stopPropagation(),t.preventDefault(),void this._move([Dn,zn].includes(t.key)?1:-1);if(![Pn,Dn,Nn,zn,Rn,Hn].includes(t.key))return;t.stopPropagation(),t.preventDefault();const e=this._getChildren().filter(t=>!g(t));let i;if([Rn,Hn].includes(t.key))i=e[t.key===Rn?0:e.length-1];else{const s=[Dn,zn].includes(t.key);i=T(e,t.target,s,!0)}i&&(i.focus({preventScroll:!0}),fo.getOrCreateInstance(i).show())}_createCloseButton(){const t=document.createElement("button");t.type="button",t.className="btn-close",t.tabIndex=-1,t.setAttribute("aria-label",this._config.closeLabel);let e=this._getListItem();return e===this._element&&this._element.classList.contains(Wn)&&(e=document.createElement("div"),e.className=qn,e.setAttribute("role","presentation"),this._element.before(e),e.append(this._element),this._closeWrapper=e),this._element.after(t),e!==this._element&&e.classList.add(..."d-flex align-items-center".split(" ")),j.on(t,Ln,()=>this.close()),t}_setDragListeners(){const t=this._getListItem();t.draggable=!0,j.on(t,Sn,e=>{lo=t,ho=co(t.parentElement).indexOf(t),e.dataTransfer.effectAllowed="move",e.dataTransfer.setData("text/plain",this._element.textContent.trim())}),j.on(t,kn,e=>{if(!lo||lo===t||lo.parentElement!==t.parentElement)return;e.preventDefault();const i=t.getBoundingClientRect(),s=this._parent.classList.contains("flex-column")||"vertical"===this._parent.getAttribute("aria-orientation");(s?e.clientY>i.top+i.height/2:e.clientX>i.left+i.width/2)!==(w()&&!s)?t.after(lo):t.before(lo)}),j.on(t,$n,t=>{lo&&t.preventDefault()}),j.on(t,Mn,()=>{const e=ho,i=co(t.parentElement).indexOf(t);lo=null,ho=-1,go(this._parent),e!==i&&j.trigger(this._element,In,{from:e,to:i})})}_move(t){_o(this._parent);const e=this._getListItem(),i=co(e.parentElement),s=i.indexOf(e),n=s+t;n<0||n>=i.length?go(this._parent):(t>0?i[n].after(e):i[n].before(e),go(this._parent),this._element.focus({preventScroll:!0}),j.trigger(this._element,In,{from:s,to:n}))}_getListItem(){if(!this._element.parentElement)return this._element;const t=this._element.parentElement.closest(`${Qn}, ${Xn}`);let e=this._element;for(;e.parentElement&&e.parentElement!==t;)e=e.parentElement;return e}_getChildren(){return U.find(Jn,this._parent)}_getActiveElem(){return this._getChildren().find(t=>this._elemIsActive(t))||null}_setInitialAttributes(t,e){this._setAttributeIfNotExists(t,"role","tablist");for(const t of e)this._setInitialAttributesOnChild(t)}_setInitialAttributesOnChild(t){t=this._getInnerElement(t);const e=this._elemIsActive(t),i=this._getOuterElement(t);t.setAttribute("aria-selected",e),i!==t&&this._setAttributeIfNotExists(i,"role","presentation"),e||t.setAttribute("tabindex","-1"),this._setAttributeIfNotExists(t,"role","tab"),this._setInitialAttributesOnTargetPanel(t)}_setInitialAttributesOnTargetPanel(t){const e=U.getElementFromSelector(t);e&&(this._setAttributeIfNotExists(e,"role","tabpanel"),t.id&&this._setAttributeIfNotExists(e,"aria-labelledby",`${t.id}`))}_toggleDropDown(t,e){const i=this._getOuterElement(t);if(!i.classList.contains(Vn))return;const s=(t,s)=>{const n=U.findOne(t,i);n&&n.classList.toggle(s,e)};s(Kn,Fn),i.matches(eo)||(s(Qn,Bn),i.setAttribute("aria-expanded",e))}_setAttributeIfNotExists(t,e,i){t.hasAttribute(e)||t.setAttribute(e,i)}_elemIsActive(t){return t.classList.contains(Fn)}_getInnerElement(t){return t.matches(Jn)?t:U.findOne(Jn,t)}_getOuterElement(t){return t.closest(".nav-item, .list-group-item")||t}static showFromLocation(t=document.documentElement){const e=U.find(to,t);t.matches(to)&&e.unshift(t);for(const t of e.filter(t=>t.matches(Xn))){const e=U.find(Jn,t).filter(e=>e.closest(Xn)===t);if(!e.length)continue;const i=fo.getOrCreateInstance(e[0])._config;if(!i.sync)continue;ao.has(t)||ao.set(t,e.find(t=>t.classList.contains(Fn))||e[0]);const s=i.sync===io?new URLSearchParams(window.location.search).get(i.syncParam):mo(),n=s?document.getElementById(s):null,o=n?e.find(t=>{const e=U.getElementFromSelector(t);return e&&e.contains(n)}):ao.get(t);if(o&&!g(o)){oo=!0;try{fo.getOrCreateInstance(o).show()}finally{oo=!1}}}}static jQueryInterface(t){return this.each(function(){const e=fo.getOrCreateInstance(this);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}j.on(document,vn,Gn,function(t){["A","AREA"].includes(this.tagName)&&t.preventDefault(),g(this)||fo.getOrCreateInstance(this).show()}),j.on(window,wn,()=>{for(const t of U.find(Zn))fo.getOrCreateInstance(t);for(const t of U.find("[data-bs-closable], [data-bs-reorderable], [data-bs-overflow]"))for(const e of U.find(Gn,t))fo.getOrCreateInstance(e);fo.showFromLocation()}),j.on(window,On,()=>{for(const t of U.find(eo))go(t.parentElement)}),j.on(window,An,()=>{fo.showFromLocation()}),A(fo);const po="toast",bo=".bs.toast",vo=`mouseover${bo}`,yo=`mouseout${bo}`,wo=`focusin${bo}`,Ao=`focusout${bo}`,Co=`hide${bo}`,Eo=`hidden${bo}`,To=`show${bo}`,xo=`shown${bo}`,Io=`blur${bo}`,Lo=`focus${bo}`,So="hide",ko="show",$o="showing",Mo={animation:"boolean",autohide:"boolean",delay:"number",progress:"boolean"},Oo={animation:!0,autohide:!0,delay:5026,progress:!1};class Po extends K{constructor(t,e){super(t,e),this._timeout=null,this._remaining=null,this._startedAt=null,this._hasMouseInteraction=!1,this._hasKeyboardInteraction=!1,this._hasWindowBlur=!1,this._progressElement=null,this._progressBar=null,this._setListeners(),this._createProgress()}static get Default(){return Oo}static get DefaultType(){return Mo}static get NAME(){return po}show(){j.trigger(this._element,To).defaultPrevented||(this._clearTimeout(),this._remaining=null,this._updateProgress(!1),this._config.animation&&this._element.classList.add("fade"),this._element.classList.remove(So),p(this._element),this._element.classList.add(ko,$o),this._queueCallback(()=>{this._element.classList.remove($o),j.trigger(this._element,xo),this._maybeScheduleHide()},this._element,this._config.animation))}hide(){this.isShown()&&(j.trigger(this._element,Co).defaultPrevented||(this._element.classList.add($o),this._queueCallback(()=>{this._element.classList.add(So),this._element.classList.remove($o,ko),this._clearTimeout(),this._remaining=null,j.trigger(this._element,Eo)},this._element,this._config.animation)))}showAsync(){return this._transitionAsync(()=>this.show(),To,xo,Co)}hideAsync(){return this._transitionAsync(()=>this.hide(),Co,Eo,To)}dispose(){this._clearTimeout(),j.off(window,Io,this._windowBlurHandler),j.off(window,Lo,this._windowFocusHandler),this._progressElement&&this._progressElement.remove(),this.isShown()&&this._element.classList.remove(ko),super.dispose()}isShown(){return this._element.classList.contains(ko)}_maybeScheduleHide(){this._config.autohide&&!this._timeout&&(null===this._remaining&&(this._remaining=this._config.delay),this._hasMouseInteraction||this._hasKeyboardInteraction||this._hasWindowBlur||(this._startedAt=Date.now(),this._timeout=setTimeout(()=>{this._timeout=null,this.hide()},this._remaining),this._updateProgress(!0)))}_pauseHide(){this._timeout&&(this._remaining=Math.max(0,this._remaining-(Date.now()-this._startedAt)),this._clearTimeout(),this._updateProgress(!1))}_createProgress(){if(!this._config.progress)return;const t=document.createElement("div");t.className="progress",t.style.setProperty("--bs-progress-height",".25rem"),t.setAttribute("aria-hidden",!0);const e=document.createElement("div");e.className="progress-bar",t.append(e),this._element.append(t),this._progressElement=t,this._progressBar=e}_updateProgress(t){if(!this._progressBar)return;const e=null===this._remaining?this._config.delay:this._remaining,i=this._config.delay>0?e/this._config.delay:0;this._progressBar.style.transition="none",this._progressBar.style.width=100*i+"%",t&&(p(this._progressBar),this._progressBar.style.transition=`width ${e}ms linear`,this._progressBar.style.width="0%")}_onInteraction(t,e){switch(t.type){case"mouseover":case"mouseout":this._hasMouseInteraction=e;break;case"focusin":case"focusout":this._hasKeyboardInteraction=e}if(e)return void this._pauseHide();const i=t.relatedTarget;this._element===i||this._element.contains(i)||this._maybeScheduleHide()}_setListeners(){j.on(this._element,vo,t=>this._onInteraction(t,!0)),j.on(this._element,yo,t=>this._onInteraction(t,!1)),j.on(this._element,wo,t=>this._onInteraction(t,!0)),j.on(this._element,Ao,t=>this._onInteraction(t,!1)),this._windowBlurHandler=()=>{this._hasWindowBlur=!0,this._pauseHide()},this._windowFocusHandler=()=>{this._hasWindowBlur=!1,null!==this._remaining&&this._maybeScheduleHide()},j.on(window,Io,this._windowBlurHandler),j.on(window,Lo,this._windowFocusHandler)}_clearTimeout(){clearTimeout(this._timeout),this._timeout=null}static jQueryInterface(t){return this.each(function(){const e=Po.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t])throw new TypeError(`No method named "${t}"`);e[t](this)}})}}X(Po),A(Po);const Do="toastService",No=".toast-header > strong",zo=".toast-body",Ro=new Set(["danger","warning"]),Ho={"top-start":["top-0","start-0"],"top-center":["top-0","start-50","translate-middle-x"],"top-end":["top-0","end-0"],"middle-start":["top-50","start-0","translate-middle-y"],"middle-center":["top-50","start-50","translate-middle"],"middle-end":["top-50","end-0","translate-middle-y"],"bottom-start":["bottom-0","start-0"],"bottom-center":["bottom-0","start-50","translate-middle-x"],"bottom-end":["bottom-0","end-0"]},Fo={allowList:ys,container:"body",html:!1,maxVisible:3,placement:"top-end",sanitize:!0,sanitizeFn:null,template:'<div class="toast" role="status" aria-live="polite" aria-atomic="true"><div class="toast-header"><strong class="me-auto"></strong></div><div class="toast-body"></div></div>'},jo={allowList:"object",container:"(string|element)",html:"boolean",maxVisible:"number",placement:"string",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string"},Bo={animation:!0,autohide:!0,body:"",delay:Oo.delay,progress:!1,title:null,variant:null},Vo={animation:"boolean",autohide:"boolean",body:"(string|element|function)",delay:"number",progress:"boolean",title:"(null|string|element|function)",variant:"(null|string)"},qo="modalDialog",Wo=`keydown${Di}`,Yo=`click${Di}`,Ko=".modal-title",Qo=".modal-body > div",Uo={allowList:ys,body:"",cancelText:"Cancel",confirmText:"OK",html:!1,input:!1,inputType:"text",placeholder:"",required:!1,sanitize:!0,sanitizeFn:null,template:'<div class="modal fade"><div class="modal-dialog modal-dialog-centered"><div class="modal-content"><div class="modal-header"><h5 class="modal-title"></h5></div><div class="modal-body"><div></div></div><div class="modal-footer"></div></div></div></div>',title:"",value:"",variant:"primary"},Xo={allowList:"object",body:"(string|element|function)",cancelText:"string",confirmText:"string",html:"boolean",input:"boolean",inputType:"string",placeholder:"string",required:"boolean",sanitize:"boolean",sanitizeFn:"(null|function)",template:"string",title:"(string|element|function)",value:"string",variant:"string"};class Go extends Y{constructor(t){super(),this._config=this._getConfig(t),this._input=null,this._confirmButton=null}static get Default(){return Uo}static get DefaultType(){return Xo}static get NAME(){return qo}open(){const t=this._createElement(),e=this._confirmButton,i=document.activeElement;document.body.append(t);const s=new Zi(t);let n=!!this._config.input&&null;const o=()=>{if(this._input&&this._config.required&&!this._input.value.trim())return this._input.classList.add("is-invalid"),void this._input.focus();n=!this._input||this._input.value,s.hide()};return j.on(e,Yo,o),this._input&&j.on(this._input,Wo,t=>{"Enter"===t.key&&(t.preventDefault(),o())}),new Promise(o=>{j.one(t,Fi,()=>{(this._input||e).focus()}),j.one(t,Ri,()=>{i&&_(i)&&i.focus(),s.dispose(),t.remove(),o(n)}),s.show()})}_createElement(){const{allowList:t,body:e,html:i,sanitize:s,sanitizeFn:n,template:o,title:r}=this._config,a=new Ls({allowList:t,content:{[Ko]:r,[Qo]:e},html:i,sanitize:s,sanitizeFn:n,template:o}).toHtml();a.setAttribute("tabindex","-1");const l=U.findOne(Ko,a);l&&(l.id=h(qo),a.setAttribute("aria-labelledby",l.id)),this._config.input&&(this._input=document.createElement("input"),this._input.className="form-control mt-3",this._input.type=this._config.inputType,this._input.value=this._config.value,this._input.placeholder=this._config.placeholder,l&&this._input.setAttribute("aria-labelledby",l.id),U.findOne(".modal-body",a).append(this._input));const c=U.findOne(".modal-footer",a);return this._confirmButton=this._createButton(this._config.confirmText,`btn-${this._config.variant}`,!1),c.append(this._createButton(this._config.cancelText,"btn-secondary",!0),this._confirmButton),a}_createButton(t,e,i){const s=document.createElement("button");return s.type="button",s.className=`btn ${e}`,s.textContent=t,i&&s.setAttribute("data-bs-dismiss",Pi),s}}const Jo="combobox",Zo=".bs.combobox",tr="Enter",er="ArrowDown",ir=`selected${Zo}`,sr=`input${Zo}`,nr=`keydown${Zo}`,or=`click${Zo}`,rr=`mousedown${Zo}`,ar=`focusout${Zo}`,lr=`focusin${Zo}.data-api`,hr="active",cr="dropdown-menu",dr='[role="option"]',ur={delay:150,highlight:!0,itemHeight:32,loadingText:"Loading…",maxResults:50,minLength:1,noResultsText:"No results",restricted:!1,source:null,virtual:!1,visibleItems:8},_r={delay:"number",highlight:"boolean",itemHeight:"number",loadingText:"string",maxResults:"number",minLength:"number",noResultsText:"string",restricted:"boolean",source:"(null|array|function)",virtual:"boolean",visibleItems:"number"},gr=t=>"object"==typeof t&&null!==t?{value:t.value,label:String(void 0===t.label||null===t.label?t.value:t.label)}:{value:t,label:String(t)};class mr extends K{constructor(t,e){super(t,e),this._generatedMenu=null,this._menu=U.next(this._element,".dropdown-menu")[0]||this._createMenu(),this._options=this._getStaticOptions(),this._results=[],this._query="",this._virtualList=null,this._activeIndex=-1,this._selection=null,this._timeout=null,this._controller=null,this._setAriaAttributes(),this._dropdown=mi.getOrCreateInstance(this._element),this._addEventListeners()}static get Default(){return ur}static get DefaultType(){return _r}static get NAME(){return Jo}show(){this._search(this._element.value,!0)}hide(){this._dropdown.hide()}dispose(){this._cancelSearch(),j.off(this._menu,Zo),this._virtualList&&this._virtualList.dispose(),this._dropdown.dispose(),this._generatedMenu&&this._generatedMenu.remove(),super.dispose()}_createMenu(){const t=document.createElement("ul");return t.className=cr,this._element.after(t),this._generatedMenu=t,t}_getStaticOptions(){return this._config.source?Array.isArray(this._config.source)?this._config.source.map(gr):[]:U.find(".dropdown-item",this._menu).map(t=>{const e=t.textContent.trim();return{value:t.hasAttribute("data-bs-value")?t.getAttribute("data-bs-value"):e,label:e}})}_setAriaAttributes(){this._menu.id||(this._menu.id=h(Jo)),this._menu.setAttribute("role","listbox"),this._element.setAttribute("role","combobox"),this._element.setAttribute("aria-autocomplete","list"),this._element.setAttribute("aria-controls",this._menu.id),this._element.setAttribute("autocomplete","off")}_addEventListeners(){j.on(this._element,sr,()=>this._search(this._element.value)),j.on(this._element,nr,t=>this._keydown(t)),j.on(this._element,or,()=>{!this._dropdown._isShown()&&this._element.value.length>=this._config.minLength&&this.show()}),j.on(this._element,ar,t=>{this._menu.contains(t.relatedTarget)||(this.hide(),this._config.restricted||this._commitText())}),j.on(this._element,"hidden.bs.dropdown",()=>this._handleHidden()),j.on(this._menu,rr,t=>t.preventDefault()),j.on(this._menu,or,dr,t=>{this._select(this._results[Number.parseInt(t.delegateTarget.getAttribute("data-bs-index"),10)])})}_keydown(t){const e=this._dropdown._isShown();if(t.key!==tr||e&&-1!==this._activeIndex||this._config.restricted){if(t.key===er||"ArrowUp"===t.key)return t.preventDefault(),void(e?t.altKey||this._moveActive(t.key===er):this.show());if(e)return t.key===tr&&this._activeIndex>-1?(t.preventDefault(),void this._select(this._results[this._activeIndex])):void("Escape"===t.key&&(t.preventDefault(),this.hide()))}else this._commitText()&&(t.preventDefault(),this.hide())}_search(t,e=!1){if(this._cancelSearch(),!e&&t.length<this._config.minLength)return void this.hide();const{source:i}=this._config;if("function"!=typeof i){const e=t.toLowerCase(),i=this._options.filter(t=>t.label.toLowerCase().includes(e));return void this._render(t,this._limit(i))}const s=new AbortController;this._controller=s,this._renderMessage(this._config.loadingText),this._timeout=setTimeout(()=>{new Promise(e=>e(i(t,s.signal))).then(t=>{if(!Array.isArray(t))throw new TypeError(`${Jo.toUpperCase()}: Option "source" must return or resolve to an array.`);return t.map(gr)}).then(e=>{s.signal.aborted||(this._controller=null,this._render(t,this._limit(e)))},()=>{s.signal.aborted||(this._controller=null,this._render(t,[]))})},this._config.delay)}_cancelSearch(){clearTimeout(this._timeout),this._controller&&(this._controller.abort(),this._controller=null)}_limit(t){return this._config.virtual?t:t.slice(0,this._config.maxResults)}_render(t,e){this._results=e,this._query=t,this._setActive(-1),e.length?(this._config.virtual?this._getVirtualList().setItems(e):this._menu.replaceChildren(...e.map((t,e)=>this._renderOption(t,e))),this._showMenu()):this._renderMessage(this._config.noResultsText)}_renderOption(t,e){const i=e===this._activeIndex,s=document.createElement("li");return s.className="dropdown-item",s.classList.toggle(hr,i),s.id=`${this._menu.id}-option-${e}`,s.setAttribute("role","option"),s.setAttribute("aria-selected",i),s.setAttribute("data-bs-index",e),s.append(...this._highlight(t.label,this._query)),s}_getVirtualList(){return this._virtualList||(this._virtualList=new ke(this._menu,{itemHeight:this._config.itemHeight,renderItem:(t,e)=>this._renderOption(t,e),visibleItems:this._config.visibleItems})),this._virtualList}_renderMessage(t){this._virtualList&&this._virtualList.setItems([]);const e=document.createElement("li");e.className="dropdown-item-text",e.textContent=t,this._menu.replaceChildren(e),this._showMenu()}_highlight(t,e){const i=e?t.toLowerCase().indexOf(e.toLowerCase()):-1;if(!this._config.highlight||-1===i)return[t];const s=document.createElement("mark");return s.textContent=t.slice(i,i+e.length),[t.slice(0,i),s,t.slice(i+e.length)]}_showMenu(){this._dropdown._isShown()?this._dropdown.update():this._dropdown.show()}_moveActive(t){const e=this._results.length;e&&(-1!==this._activeIndex?this._setActive((this._activeIndex+(t?1:-1)+e)%e):this._setActive(t?0:e-1))}_setActive(t){this._activeIndex=t;const e=-1===t?null:this._getOption(t);for(const t of U.find(dr,this._menu))t.classList.toggle(hr,t===e),t.setAttribute("aria-selected",t===e);e?(this._element.setAttribute("aria-activedescendant",e.id),e.scrollIntoView({block:"nearest"})):this._element.removeAttribute("aria-activedescendant")}_getOption(t){return this._virtualList?this._virtualList.scrollToIndex(t):U.find(dr,this._menu)[t]||null}_select(t){t&&(this._selection=t,this._element.value=t.label,this.hide(),j.trigger(this._element,ir,{value:t.value,label:t.label}))}_commitText(){const t=this._element.value.trim();if(t===(this._selection?this._selection.label:""))return!1;const e=[...this._results,...this._options].find(e=>e.label.toLowerCase()===t.toLowerCase());return e?(this._select(e),!0):(this._selection=t?{value:t,label:t}:null,j.trigger(this._element,ir,{value:t||null,label:t}),!0)}_handleHidden(){this._cancelSearch(),this._setActive(-1),this._config.restricted&&this._enforceSelection()}_enforceSelection(){const t=this._element.value.trim().toLowerCase();if(this._selection&&this._selection.label.toLowerCase()===t)return;if(!t)return this._selection=null,void j.trigger(this._element,ir,{value:null,label:""});const e=[...this._results,...this._options].find(e=>e.label.toLowerCase()===t);e?this._select(e):this._element.value=this._selection?this._selection.label:""}static jQueryInterface(t){return this.each(function(){const e=mr.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}j.on(document,lr,'[data-bs-toggle="combobox"]',function(){mr.getOrCreateInstance(this)}),A(mr);const fr="taginput",pr=".bs.taginput",br=`add${pr}`,vr=`remove${pr}`,yr=`invalid${pr}`,wr=`keydown${pr}`,Ar=`paste${pr}`,Cr=`click${pr}`,Er=`load${pr}.data-api`,Tr="d-none",xr={allowDuplicates:!1,delimiter:",",maxTags:null,placeholder:"",suggestions:null},Ir={allowDuplicates:"boolean",delimiter:"string",maxTags:"(null|number)",placeholder:"string",suggestions:"(null|array|function)"};class Lr extends K{constructor(t,e){super(t,e),this._isSelect="SELECT"===this._element.tagName,this._tags=this._getInitialTags(),this._label=null,this._labelFor=null,this._control=this._createControl(),this._input=U.findOne("input",this._control),this._combobox=this._createCombobox(),this._element.classList.add(Tr),this._render(),this._addEventListeners()}static get Default(){return xr}static get DefaultType(){return Ir}static get NAME(){return fr}getValues(){return[...this._tags]}add(t){const e=this._toValue(String(t).trim());if(!e)return!1;const i=this._getInvalidReason(e);return i?(j.trigger(this._element,yr,{value:e,reason:i}),!1):!j.trigger(this._element,br,{value:e}).defaultPrevented&&(this._tags.push(e),this._update(),!0)}remove(t){const e=this._tags.indexOf(t);return-1!==e&&(!j.trigger(this._element,vr,{value:t}).defaultPrevented&&(this._tags.splice(e,1),this._update(),!0))}clear(){for(const t of[...this._tags].reverse())this.remove(t)}dispose(){this._combobox&&this._combobox.dispose(),this._control.remove(),this._element.classList.remove(Tr),this._label&&(this._label.htmlFor=this._labelFor),super.dispose()}_getInitialTags(){return this._isSelect?[...this._element.selectedOptions].map(t=>t.value):this._split(this._element.value)}_split(t){return t.split(this._config.delimiter).map(t=>t.trim()).filter(Boolean)}_createControl(){const t=document.createElement("div");t.className="form-control d-flex flex-wrap align-items-center gap-1";const e=document.createElement("input");e.type="text",e.className="border-0 flex-grow-1 p-0",e.placeholder=this._config.placeholder;const i=this._element.id&&document.querySelector(`label[for="${this._element.id}"]`);return i&&(this._label=i,this._labelFor=i.htmlFor,e.id=h(fr),i.htmlFor=e.id),t.append(e),this._element.after(t),t}_createCombobox(){const t=this._getSuggestions();if(!t)return null;const e=document.createElement("ul");return e.className=cr,this._input.after(e),mi.getOrCreateInstance(this._input,{reference:"parent"}),new mr(this._input,{delay:0,source:(e,i)=>Promise.resolve(C(t,[e,i])).then(t=>t.filter(t=>{const e="object"==typeof t&&null!==t?t.value:t;return!this._getInvalidReason(String(e))}))})}_getSuggestions(){if("function"==typeof this._config.suggestions)return this._config.suggestions;const t=this._config.suggestions||(this._isSelect?[...this._element.options].map(t=>({value:t.value,label:t.textContent})):null);return t?e=>t.filter(t=>{const i="object"==typeof t?t.label||t.value:t;return String(i).toLowerCase().includes(e.toLowerCase())}):null}_getInvalidReason(t){return!this._config.allowDuplicates&&this._tags.some(e=>e.toLowerCase()===t.toLowerCase())?"duplicate":null!==this._config.maxTags&&this._tags.length>=this._config.maxTags?"max":null}_addEventListeners(){j.on(this._input,wr,t=>this._keydown(t)),j.on(this._input,Ar,t=>{const e=(t.clipboardData||window.clipboardData).getData("text");if(e.includes(this._config.delimiter)){t.preventDefault();for(const t of this._split(e))this.add(t)}}),j.on(this._input,"selected.bs.combobox",t=>{null!==t.value&&this.add(t.value)&&(this._input.value="")}),j.on(this._control,Cr,t=>{const e=t.target.closest(".btn-close");e?this.remove(e.parentNode.getAttribute("data-bs-value")):this._input.focus()})}_keydown(t){if(!t.defaultPrevented){if("Enter"===t.key||t.key===this._config.delimiter){if(!this._input.value.trim())return;return t.preventDefault(),void(this.add(this._input.value)&&(this._input.value="",this._combobox&&this._combobox.hide()))}"Backspace"===t.key&&!this._input.value&&this._tags.length&&this.remove(this._tags[this._tags.length-1])}}_update(){this._render(),this._sync(),j.trigger(this._element,"change")}_render(){const t=this._tags.map(t=>{const e=document.createElement("span");e.className="badge text-bg-secondary d-inline-flex align-items-center gap-1",e.setAttribute("data-bs-value",t);const i=this._getLabel(t);e.textContent=i;const s=document.createElement("button");return s.type="button",s.className="btn-close btn-close-white",s.setAttribute("aria-label",`Remove ${i}`),e.append(s),e});this._control.replaceChildren(...t,this._input,...this._combobox?[this._combobox._menu]:[])}_getOption(t){return this._isSelect&&[...this._element.options].find(t)||null}_getLabel(t){const e=this._getOption(e=>e.value===t);return e?e.label:t}_toValue(t){if(this._getOption(e=>e.value===t))return t;const e=this._getOption(e=>e.label.toLowerCase()===t.toLowerCase());return e?e.value:t}_sync(){if(this._isSelect){for(const t of this._tags)[...this._element.options].some(e=>e.value===t)||this._element.add(new Option(t,t));for(const t of this._element.options)t.selected=this._tags.includes(t.value)}else this._element.value=this._tags.join(this._config.delimiter)}static jQueryInterface(t){return this.each(function(){const e=Lr.getOrCreateInstance(this,t);if("string"==typeof t){if(void 0===e[t]||t.startsWith("_")||"constructor"===t)throw new TypeError(`No method named "${t}"`);e[t]()}})}}j.on(window,Er,()=>{for(const t of U.find('[data-bs-toggle="taginput"]'))Lr.getOrCreateInstance(t)}),A(Lr);const Sr={autoDispose:!0,autoInit:!0,root:"body"},kr={autoDispose:"boolean",autoInit:"boolean",root:"(element|string)"},$r=new Map([['[data-bs-toggle="tooltip"]',t=>Xs.getOrCreateInstance(t)],['[data-bs-toggle="popover"]',t=>en.getOrCreateInstance(t)],[".toast[data-bs-autoshow]",t=>{const e=Po.getOrCreateInstance(t);e.isShown()||e.show()}],["[data-bs-spy]",t=>_n.getOrCreateInstance(t)],['[data-bs-ride="carousel"]',t=>le.getOrCreateInstance(t)],['[data-bs-toggle="taginput"]',t=>Lr.getOrCreateInstance(t)],[".collapse[data-bs-persist]",t=>Te.getOrCreateInstance(t,{toggle:!1})],["[data-bs-closable], [data-bs-reorderable], [data-bs-overflow]",t=>{for(const e of U.find('[data-bs-toggle="tab"], [data-bs-toggle="pill"], [data-bs-toggle="list"]',t))fo.getOrCreateInstance(e)}],["[data-bs-sync]",t=>fo.showFromLocation(t)],[".offcanvas[data-bs-edge-swipe]",t=>vs.getOrCreateInstance(t)]]);let Mr=null;class Or extends Y{constructor(t){super(),this._config=this._getConfig(t),this._observer=null}static get Default(){return Sr}static get DefaultType(){return kr}static get NAME(){return"componentObserver"}observe(){this._observer||(this._config.autoInit&&this._initialize(this._config.root),this._observer=new MutationObserver(t=>this._handleMutations(t)),this._observer.observe(this._config.root,{childList:!0,subtree:!0}))}disconnect(){this._observer&&(this._observer.disconnect(),this._observer=null)}_configAfterMerge(t){return t.root=u(t.root),t}_handleMutations(t){const e=[];for(const i of t){for(const t of i.addedNodes)this._config.autoInit&&t.nodeType===Node.ELEMENT_NODE&&t.isConnected&&this._initialize(t);for(const t of i.removedNodes)t.nodeType===Node.ELEMENT_NODE&&e.push(t)}this._config.autoDispose&&e.length&&this._disposeDetached(e)}_initialize(t){for(const[e,i]of $r){const s=U.find(e,t);t.matches(e)&&s.unshift(t);for(const t of s)i(t)}}_disposeDetached(t){for(const e of n.keys())if(!e.isConnected&&t.some(t=>t.contains(e)))for(const t of o.getAll(e))t.dispose()}static register(t,e){$r.set(t,e)}static enable(t){return Or.disable(),Mr=new Or(t),Mr.observe(),Mr}static disable(){Mr&&(Mr.disconnect(),Mr=null)}}y(()=>{document.body.hasAttribute("data-bs-observe")&&Or.enable()}),t.Alert=tt,t.Button=it,t.Carousel=le,t.Collapse=Te,t.Combobox=mr,t.ComponentObserver=Or,t.Dropdown=mi,t.Modal=Zi,t.Offcanvas=vs,t.Popover=en,t.ScrollSpy=_n,t.Tab=fo,t.TagInput=Lr,t.Toast=Po,t.ToastService=class extends Y{constructor(t){super(),this._config=this._getConfig(t),this._containerElement=null,this._visible=new Set,this._queue=[],this._keys=new Set}static get Default(){return Fo}static get DefaultType(){return jo}static get NAME(){return Do}push(t){t={...Bo,...t},this._typeCheckConfig(t,Vo);const e=this._getMessageKey(t);return!(null!==e&&this._keys.has(e)||(t.key=e,null!==e&&this._keys.add(e),this._visible.size>=this._config.maxVisible?(this._queue.push(t),0):(this._display(t),0)))}clear(){this._clearQueue();for(const t of this._visible)t.hide()}dispose(){this._clearQueue();for(const t of this._visible)t.dispose();this._visible.clear(),this._keys.clear(),this._containerElement&&(this._containerElement.remove(),this._containerElement=null)}_configAfterMerge(t){if(!Ho[t.placement])throw new TypeError(`${Do.toUpperCase()}: Option "placement" provided value "${t.placement}" but expected one of "${Object.keys(Ho).join(", ")}".`);return t.container=u(t.container),t}_display(t){const e=this._createToastElement(t);this._getContainer().append(e);const i=Po.getOrCreateInstance(e,{animation:t.animation,autohide:t.autohide,delay:t.delay,progress:t.progress});this._visible.add(i),j.one(e,Eo,()=>{this._visible.delete(i),this._keys.delete(t.key),i.dispose(),e.remove(),this._displayNext()}),i.show()}_clearQueue(){for(const t of this._queue)this._keys.delete(t.key);this._queue=[]}_displayNext(){!this._queue.length||this._visible.size>=this._config.maxVisible||this._display(this._queue.shift())}_createToastElement(t){const{allowList:e,html:i,sanitize:s,sanitizeFn:n,template:o}=this._config,r=new Ls({allowList:e,content:{[No]:t.title,[zo]:t.body},extraClass:t.variant?`text-bg-${t.variant}`:"",html:i,sanitize:s,sanitizeFn:n,template:o}).toHtml();Ro.has(t.variant)&&(r.setAttribute("role","alert"),r.setAttribute("aria-live","assertive"));const a=U.findOne(".toast-header",r);if(a){const t=document.createElement("button");t.type="button",t.className="btn-close",t.setAttribute("data-bs-dismiss",po),t.setAttribute("aria-label","Close"),a.append(t)}return r}_getContainer(){if(!this._containerElement){const t=document.createElement("div");t.classList.add("toast-container","position-fixed","p-3",...Ho[this._config.placement]),this._config.container.append(t),this._containerElement=t}return this._containerElement}_getMessageKey(t){return[t.title,t.body].every(t=>null===t||"string"==typeof t)?JSON.stringify([t.variant,t.title,t.body]):null}},t.Tooltip=Xs,Object.defineProperty(t,Symbol.toStringTag,{value:"Module"})});
+//# sourceMappingURL=bootstrap.min.js.map
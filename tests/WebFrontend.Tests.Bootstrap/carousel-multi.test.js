@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadPage } from './support/page.js';
+
+const carousel = (attributes = '') => `
+  <div class="carousel slide" id="products" ${attributes}>
+    <div class="carousel-indicators"><button type="button" data-bs-target="#products" data-bs-slide-to="0" class="active"></button></div>
+    <div class="carousel-inner">
+      ${[1, 2, 3, 4, 5].map(index => `<div class="carousel-item${index === 1 ? ' active' : ''}" id="item-${index}">Product ${index}</div>`).join('')}
+    </div>
+  </div>`;
+
+function setup(attributes) {
+  const page = loadPage(carousel(attributes));
+  const element = page.document.getElementById('products');
+  const instance = new page.bootstrap.Carousel(element);
+
+  return {
+    page,
+    element,
+    instance,
+    clones: () => [...element.querySelectorAll('[data-bs-clone]')],
+    inView: () => [...element.querySelectorAll('.carousel-item:not([data-bs-clone])')].filter(item => item.getAttribute('aria-hidden') === 'false').map(item => item.id),
+    indicators: () => [...element.querySelectorAll('.carousel-indicators button')],
+    // resolves with the `from` and `to` of the next slide
+    slid: () => new Promise(resolve => {
+      element.addEventListener('slid.bs.carousel', event => resolve([event.from, event.to]), { once: true });
+    })
+  };
+}
+
+describe('Multi-item carousel', () => {
+  it('lays out several slides per view with clones at both ends', () => {
+    const { clones, inView, indicators } = setup('data-bs-slides-per-view="3"');
+
+    assert.deepEqual(clones().map(clone => clone.getAttribute('data-bs-clone')), ['2', '3', '4', '0', '1', '2']);
+    assert.ok(clones().every(clone => clone.getAttribute('aria-hidden') === 'true' && !clone.id && !clone.classList.contains('active')));
+    assert.deepEqual(inView(), ['item-1', 'item-2', 'item-3']);
+    assert.deepEqual(indicators().map(indicator => indicator.getAttribute('data-bs-slide-to')), ['0', '3']);
+  });
+
+  it('moves by one slide, or by a page with slideBy', async () => {
+    const one = setup('data-bs-slides-per-view="3"');
+    const slidByOne = one.slid();
+    one.instance.next();
+    assert.deepEqual(await slidByOne, [0, 1]);
+    assert.deepEqual(one.inView(), ['item-2', 'item-3', 'item-4']);
+
+    const paged = setup('data-bs-slides-per-view="3" data-bs-slide-by="page"');
+    const slidByPage = paged.slid();
+    paged.instance.next();
+    assert.deepEqual(await slidByPage, [0, 3]);
+    // the view wraps around to the first item
+    assert.deepEqual(paged.inView(), ['item-1', 'item-4', 'item-5']);
+    assert.ok(paged.indicators()[1].classList.contains('active'));
+  });
+
+  it('wraps from the first item back to the last', async () => {
+    const { instance, inView, slid } = setup('data-bs-slides-per-view="2"');
+    const done = slid();
+
+    instance.prev();
+
+    assert.deepEqual(await done, [0, 4]);
+    assert.deepEqual(inView(), ['item-1', 'item-5']);
+  });
+
+  it('stops at the last full view without wrap', async () => {
+    const { instance, clones, slid } = setup('data-bs-slides-per-view="3" data-bs-wrap="false"');
+    assert.equal(clones().length, 0);
+
+    let done = slid();
+    instance.to(4);
+    assert.deepEqual(await done, [0, 2]);
+
+    done = slid();
+    instance.prev();
+    assert.deepEqual(await done, [2, 1]);
+  });
+
+  it('picks the slides per view of the widest matching breakpoint', () => {
+    const { page, inView, clones } = setup(`data-bs-slides-per-view='{"xs": 1, "md": 2, "xl": 4}'`);
+
+    // jsdom windows are 1024 pixels wide
+    assert.deepEqual(inView(), ['item-1', 'item-2']);
+
+    page.window.innerWidth = 1300;
+    page.window.dispatchEvent(new page.window.Event('resize'));
+
+    assert.deepEqual(inView(), ['item-1', 'item-2', 'item-3', 'item-4']);
+    assert.equal(clones().length, 8);
+  });
+
+  it('restores the markup on dispose', () => {
+    const { element, instance, clones } = setup('data-bs-slides-per-view="3"');
+
+    instance.dispose();
+
+    assert.equal(clones().length, 0);
+    assert.equal(element.querySelectorAll('.carousel-indicators button').length, 1);
+    assert.ok(!element.querySelector('.carousel-item[aria-hidden]'));
+    assert.equal(element.querySelector('.carousel-item').getAttribute('style'), '');
+  });
+});
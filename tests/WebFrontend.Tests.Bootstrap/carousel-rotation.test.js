@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { loadPage, waitFor } from './support/page.js';
+
+const CAROUSEL = `
+  <div class="carousel slide" id="hero" data-bs-ride="carousel" data-bs-interval="60000" data-bs-rotation-control="true">
+    <div class="carousel-inner">
+      <div class="carousel-item active"><a href="#" id="link">One</a></div>
+      <div class="carousel-item">Two</div>
+      <div class="carousel-item">Three</div>
+    </div>
+    <button class="carousel-control-next" type="button" data-bs-target="#hero" data-bs-slide="next">Next</button>
+  </div>`;
+
+// A `prefers-reduced-motion` query whose answer the test can change
+function createMotionQuery(matches) {
+  const listeners = new Set();
+  return {
+    matches,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    change(value) {
+      this.matches = value;
+      for (const listener of listeners) {
+        listener({ matches: value });
+      }
+    }
+  };
+}
+
+let page;
+
+function setup({ reducedMotion = false } = {}) {
+  const motionQuery = createMotionQuery(reducedMotion);
+  page = loadPage(CAROUSEL, {
+    beforeLoad: window => {
+      window.matchMedia = () => motionQuery;
+    }
+  });
+  const element = page.document.getElementById('hero');
+
+  return {
+    page,
+    element,
+    motionQuery,
+    instance: page.bootstrap.Carousel.getInstance(element),
+    control: element.querySelector('.carousel-rotation-control'),
+    liveRegion: element.querySelector('[aria-live]')
+  };
+}
+
+describe('Carousel auto-rotation', () => {
+  // a rotating carousel keeps its interval, and with it the test run, alive
+  afterEach(() => page.window.close());
+
+  it('rotates with a pause control and a silent live region', () => {
+    const { element, instance, control, liveRegion } = setup();
+
+    assert.ok(instance._interval);
+    assert.equal(element.firstElementChild, control);
+    assert.equal(control.getAttribute('aria-label'), 'Stop automatic slide show');
+    assert.equal(liveRegion.getAttribute('aria-live'), 'off');
+  });
+
+  it('waits for the user when reduced motion is preferred', () => {
+    const { instance, control, liveRegion, motionQuery } = setup({ reducedMotion: true });
+
+    assert.equal(instance._interval, null);
+    assert.equal(control.getAttribute('aria-label'), 'Start automatic slide show');
+    assert.equal(liveRegion.getAttribute('aria-live'), 'polite');
+
+    motionQuery.change(false);
+    assert.ok(instance._interval);
+
+    motionQuery.change(true);
+    assert.equal(instance._interval, null);
+  });
+
+  it('stops for good once the user slides, and announces the slides from then on', async () => {
+    const { page, element, instance, liveRegion, motionQuery } = setup();
+
+    element.querySelector('[data-bs-slide="next"]').click();
+    element.dispatchEvent(new page.window.MouseEvent('mouseenter'));
+    element.dispatchEvent(new page.window.MouseEvent('mouseleave'));
+    motionQuery.change(true);
+    motionQuery.change(false);
+
+    assert.equal(instance._interval, null);
+    assert.equal(liveRegion.getAttribute('aria-live'), 'polite');
+    await waitFor(() => liveRegion.textContent === 'Slide 2 of 3');
+  });
+
+  it('stops when the focus moves into the slides, but not onto the control', () => {
+    const { element, instance, control } = setup();
+
+    control.focus();
+    assert.ok(instance._interval);
+
+    element.querySelector('#link').focus();
+    assert.equal(instance._interval, null);
+  });
+
+  it('starts and stops from the rotation control', () => {
+    const { instance, control } = setup();
+
+    control.click();
+    assert.equal(instance._interval, null);
+    assert.equal(control.getAttribute('aria-label'), 'Start automatic slide show');
+
+    control.click();
+    assert.ok(instance._interval);
+    assert.equal(control.getAttribute('aria-label'), 'Stop automatic slide show');
+  });
+
+  it('removes the control and the live region on dispose', () => {
+    const { element, instance } = setup();
+
+    instance.dispose();
+
+    assert.equal(element.querySelector('.carousel-rotation-control'), null);
+    assert.equal(element.querySelector('[aria-live]'), null);
+  });
+});
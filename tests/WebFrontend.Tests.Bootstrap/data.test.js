@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { loadPage, sleep } from './support/page.js';
+
+describe('Data store', () => {
+  let page;
+  let element;
+
+  beforeEach(() => {
+    page = loadPage(`
+      <div class="dropdown">
+        <button type="button" id="menu" title="More actions" data-bs-toggle="dropdown">Menu</button>
+        <ul class="dropdown-menu"><li><a class="dropdown-item" href="#">Edit</a></li></ul>
+      </div>`);
+    element = page.document.getElementById('menu');
+  });
+
+  it('keeps one instance per component type on an element', () => {
+    const { Dropdown, Tooltip } = page.bootstrap;
+
+    const tooltip = Tooltip.getOrCreateInstance(element);
+    const dropdown = Dropdown.getOrCreateInstance(element);
+
+    assert.ok(tooltip instanceof Tooltip);
+    assert.ok(dropdown instanceof Dropdown);
+    assert.equal(Tooltip.getInstance(element), tooltip);
+    assert.equal(Dropdown.getInstance(element), dropdown);
+    assert.equal(Tooltip.getOrCreateInstance(element), tooltip);
+  });
+
+  it('disposes each instance on its own', () => {
+    const { Dropdown, Tooltip } = page.bootstrap;
+    const dropdown = Dropdown.getOrCreateInstance(element);
+    Tooltip.getOrCreateInstance(element).dispose();
+
+    assert.equal(Tooltip.getInstance(element), null);
+    assert.equal(Dropdown.getInstance(element), dropdown);
+
+    dropdown.show();
+    assert.ok(element.classList.contains('show'));
+  });
+
+  it('disposes every instance of an element removed from the page', async () => {
+    const { ComponentObserver, Dropdown, Tooltip } = page.bootstrap;
+    ComponentObserver.enable();
+    Tooltip.getOrCreateInstance(element);
+    Dropdown.getOrCreateInstance(element);
+
+    element.closest('.dropdown').remove();
+    await sleep(0);
+
+    assert.equal(Tooltip.getInstance(element), null);
+    assert.equal(Dropdown.getInstance(element), null);
+    ComponentObserver.disable();
+  });
+});
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { loadPage } from './support/page.js';
+
+describe('Dropdown context menus', () => {
+  let page;
+  let list;
+  let menu;
+
+  const rows = () => [...page.document.querySelectorAll('.todo')];
+  const isOpen = () => menu.classList.contains('show');
+  const instance = () => page.bootstrap.Dropdown.getInstance(list);
+
+  function rightClick(target, x, y) {
+    const event = new page.window.MouseEvent('contextmenu', { bubbles: true, cancelable: true, button: 2, clientX: x, clientY: y });
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  function press(target, key, init = {}) {
+    const event = new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  beforeEach(() => {
+    page = loadPage(`
+      <div id="todos" data-bs-toggle="contextmenu" data-bs-selector=".todo">
+        <div class="todo" tabindex="0">Buy milk</div>
+        <div class="todo" tabindex="0">Call the bank</div>
+      </div>
+      <ul class="dropdown-menu" id="row-actions"><li><a class="dropdown-item" href="#">Delete</a></li></ul>`);
+    list = page.document.getElementById('todos');
+    menu = page.document.getElementById('row-actions');
+  });
+
+  it('opens at the pointer for the row that was right-clicked', () => {
+    const shown = [];
+    list.addEventListener('show.bs.dropdown', event => shown.push(event.relatedTarget));
+
+    const event = rightClick(rows()[1], 120, 80);
+
+    assert.ok(event.defaultPrevented);
+    assert.ok(isOpen());
+    assert.deepEqual(shown, [rows()[1]]);
+    const rect = instance()._virtualReference.getBoundingClientRect();
+    assert.deepEqual([rect.left, rect.top, rect.width], [120, 80, 0]);
+  });
+
+  it('moves to the new pointer position on the next right click', () => {
+    rightClick(rows()[0], 10, 10);
+    rightClick(rows()[1], 200, 150);
+
+    assert.ok(isOpen());
+    assert.equal(instance()._contextTarget, rows()[1]);
+    assert.equal(instance()._virtualReference.getBoundingClientRect().left, 200);
+  });
+
+  it('opens from the keyboard with Shift+F10 or the Menu key, and gives focus back on Escape', () => {
+    rows()[0].focus();
+    press(rows()[0], 'F10');
+    assert.ok(!isOpen());
+
+    assert.ok(press(rows()[0], 'F10', { shiftKey: true }).defaultPrevented);
+    assert.ok(isOpen());
+
+    press(page.document.activeElement, 'Escape');
+    assert.ok(!isOpen());
+    assert.equal(page.document.activeElement, rows()[0]);
+
+    press(rows()[1], 'ContextMenu');
+    assert.equal(instance()._contextTarget, rows()[1]);
+  });
+
+  it('ignores right clicks outside the rows and closes on clicks elsewhere', () => {
+    rightClick(list, 5, 5);
+    assert.ok(!isOpen());
+
+    rightClick(rows()[0], 10, 10);
+    page.document.body.click();
+    assert.ok(!isOpen());
+  });
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { loadPage, sleep } from './support/page.js';
+
+const LABELS = ['Apple', 'Banana', 'Blueberry', 'Cherry', 'Date', ...Array.from({ length: 20 }, (_, index) => `Item ${index + 1}`), 'Zucchini'];
+
+describe('Dropdown keyboard navigation', () => {
+  let page;
+
+  const focused = () => page.document.activeElement.textContent;
+
+  function press(key) {
+    page.document.activeElement.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+  }
+
+  beforeEach(() => {
+    const items = LABELS.map(label => `<li><a class="dropdown-item" href="#">${label}</a></li>`).join('');
+    page = loadPage(`
+      <div class="dropdown">
+        <button type="button" id="toggle" data-bs-toggle="dropdown">Tags</button>
+        <ul class="dropdown-menu">${items}<li><a class="dropdown-item disabled" href="#">Archived</a></li></ul>
+      </div>`);
+    page.document.getElementById('toggle').focus();
+    press('ArrowDown');
+  });
+
+  it('jumps to the first and last enabled items with Home and End', () => {
+    press('End');
+    assert.equal(focused(), 'Zucchini');
+
+    press('Home');
+    assert.equal(focused(), 'Apple');
+  });
+
+  it('moves by a page with PageDown and PageUp, stopping at the ends', () => {
+    press('PageDown');
+    assert.equal(focused(), LABELS[10]);
+
+    press('PageDown');
+    press('PageDown');
+    assert.equal(focused(), 'Zucchini');
+
+    press('PageUp');
+    assert.equal(focused(), LABELS[LABELS.length - 11]);
+  });
+
+  it('jumps to the item starting with the typed prefix', () => {
+    press('b');
+    press('l');
+    assert.equal(focused(), 'Blueberry');
+  });
+
+  it('cycles through the items starting with a repeated character', () => {
+    press('b');
+    assert.equal(focused(), 'Banana');
+
+    press('b');
+    assert.equal(focused(), 'Blueberry');
+
+    press('b');
+    assert.equal(focused(), 'Banana');
+  });
+
+  it('starts a new search once the typing pauses', async () => {
+    press('c');
+    await sleep(600);
+    press('d');
+
+    assert.equal(focused(), 'Date');
+  });
+
+  it('leaves the keys alone while the menu is closed', () => {
+    press('Escape');
+    assert.equal(page.document.activeElement.id, 'toggle');
+
+    press('End');
+    press('z');
+    assert.equal(page.document.activeElement.id, 'toggle');
+  });
+});
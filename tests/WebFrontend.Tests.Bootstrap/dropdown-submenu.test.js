@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadPage, waitFor } from './support/page.js';
+
+const MENU = `
+  <div class="dropdown">
+    <button type="button" id="actions" data-bs-toggle="dropdown">Actions</button>
+    <ul class="dropdown-menu" id="actions-menu">
+      <li><a class="dropdown-item" id="edit" href="#">Edit</a></li>
+      <li class="dropend">
+        <a class="dropdown-item dropdown-toggle" id="move" href="#" data-bs-toggle="dropdown">Move to</a>
+        <ul class="dropdown-menu" id="move-menu">
+          <li><a class="dropdown-item" id="inbox" href="#">Inbox</a></li>
+          <li><a class="dropdown-item" id="archive" href="#">Archive</a></li>
+        </ul>
+      </li>
+    </ul>
+  </div>`;
+
+describe('Dropdown submenus', () => {
+  const setUp = options => {
+    const page = loadPage(MENU, options);
+    const byId = id => page.document.getElementById(id);
+    const isOpen = id => byId(id).classList.contains('show');
+    const press = key => page.document.activeElement.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    const hover = id => byId(id).dispatchEvent(new page.window.MouseEvent('mouseover', { bubbles: true, relatedTarget: page.document.body }));
+
+    byId('actions').click();
+    return { ...page, byId, isOpen, press, hover };
+  };
+
+  it('opens on hover and closes when a sibling item is hovered', () => {
+    const { hover, isOpen } = setUp();
+
+    hover('move');
+    assert.ok(isOpen('move-menu'));
+
+    hover('edit');
+    assert.ok(!isOpen('move-menu'));
+    assert.ok(isOpen('actions-menu'));
+  });
+
+  it('opens with ArrowRight and closes with ArrowLeft or Escape, keeping the parent open', () => {
+    const { document, byId, isOpen, press } = setUp();
+
+    byId('move').focus();
+    press('ArrowRight');
+    assert.ok(isOpen('move-menu'));
+    assert.equal(document.activeElement.id, 'inbox');
+
+    press('ArrowLeft');
+    assert.ok(!isOpen('move-menu'));
+    assert.equal(document.activeElement.id, 'move');
+
+    press('ArrowRight');
+    press('Escape');
+    assert.ok(!isOpen('move-menu'));
+    assert.ok(isOpen('actions-menu'));
+    assert.equal(document.activeElement.id, 'move');
+  });
+
+  it('keeps the parent open when its submenu toggle is clicked, and closes both from outside', () => {
+    const { document, byId, isOpen } = setUp();
+
+    byId('move').click();
+    assert.ok(isOpen('move-menu'));
+    assert.ok(isOpen('actions-menu'));
+
+    document.body.click();
+    assert.ok(!isOpen('move-menu'));
+    assert.ok(!isOpen('actions-menu'));
+  });
+
+  it('positions each submenu with its own Popper beside the parent menu', async () => {
+    const { bootstrap, byId, hover } = setUp();
+
+    hover('move');
+    const submenu = bootstrap.Dropdown.getInstance(byId('move'));
+
+    assert.notEqual(submenu._popper, bootstrap.Dropdown.getInstance(byId('actions'))._popper);
+    await waitFor(() => byId('move-menu').getAttribute('data-popper-placement'));
+    assert.match(byId('move-menu').getAttribute('data-popper-placement'), /^(right|left)-start$/);
+  });
+
+  it('mirrors the keys and the side in right-to-left documents', () => {
+    const { document, byId, isOpen, press, bootstrap } = setUp({ beforeLoad: window => window.document.documentElement.setAttribute('dir', 'rtl') });
+
+    byId('move').focus();
+    press('ArrowRight');
+    assert.ok(!isOpen('move-menu'));
+
+    press('ArrowLeft');
+    assert.ok(isOpen('move-menu'));
+    assert.equal(document.activeElement.id, 'inbox');
+    assert.equal(bootstrap.Dropdown.getInstance(byId('move'))._getPlacement(), 'left-start');
+  });
+});
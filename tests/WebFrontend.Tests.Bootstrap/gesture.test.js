@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { loadPage, sleep } from './support/page.js';
+
+const CAROUSEL = `
+  <div class="carousel slide" id="carousel">
+    <div class="carousel-inner">
+      <div class="carousel-item active"><span id="first">One</span></div>
+      <div class="carousel-item">Two</div>
+    </div>
+  </div>`;
+
+describe('Gesture', () => {
+  let page;
+  let element;
+
+  function pointer(type, { id = 1, x = 200, y = 100, pointerType = 'touch', target = element } = {}) {
+    target.dispatchEvent(new page.window.PointerEvent(type, { bubbles: true, pointerId: id, pointerType, clientX: x, clientY: y }));
+  }
+
+  function move(id, from, to, { y = 100 } = {}) {
+    for (let step = 1; step <= 5; step++) {
+      pointer('pointermove', { id, x: from + (to - from) * step / 5, y });
+    }
+  }
+
+  const activeIndex = async () => {
+    await sleep(20);
+    return [...element.querySelectorAll('.carousel-item')].findIndex(item => item.classList.contains('active'));
+  };
+
+  beforeEach(() => {
+    // carousels only listen for gestures where touch is supported
+    page = loadPage(CAROUSEL, { beforeLoad: window => Object.defineProperty(window.navigator, 'maxTouchPoints', { value: 5 }) });
+    element = page.document.getElementById('carousel');
+    new page.bootstrap.Carousel(element);
+  });
+
+  it('turns a horizontal touch swipe into a slide', async () => {
+    pointer('pointerdown');
+    move(1, 200, 100);
+    pointer('pointerup', { x: 100 });
+
+    assert.equal(await activeIndex(), 1);
+  });
+
+  it('ignores vertical swipes and mouse drags', async () => {
+    pointer('pointerdown');
+    move(1, 200, 200, { y: 300 });
+    pointer('pointerup', { y: 300 });
+
+    pointer('pointerdown', { id: 2, pointerType: 'mouse' });
+    move(2, 200, 100);
+    pointer('pointerup', { id: 2, pointerType: 'mouse', x: 100 });
+
+    assert.equal(await activeIndex(), 0);
+  });
+
+  it('captures a panning pointer', () => {
+    pointer('pointerdown');
+    move(1, 200, 150);
+
+    assert.ok(element.hasPointerCapture(1));
+  });
+
+  it('keeps panning when a child loses its implicit touch capture', async () => {
+    const child = page.document.getElementById('first');
+
+    pointer('pointerdown', { target: child });
+    move(1, 200, 150);
+    pointer('lostpointercapture', { target: child });
+    move(1, 150, 100);
+    pointer('pointerup', { x: 100 });
+
+    assert.equal(await activeIndex(), 1);
+  });
+
+  it('cancels the pan when the element loses its own capture', async () => {
+    pointer('pointerdown');
+    move(1, 200, 100);
+    pointer('lostpointercapture');
+    pointer('pointerup', { x: 100 });
+
+    assert.equal(await activeIndex(), 0);
+  });
+
+  it('ignores a lost capture it never took', async () => {
+    pointer('pointerdown');
+    pointer('lostpointercapture');
+    move(1, 200, 100);
+    pointer('pointerup', { x: 100 });
+
+    assert.equal(await activeIndex(), 1);
+  });
+
+  it('does not slide on a pinch', async () => {
+    pointer('pointerdown', { id: 1, x: 200 });
+    pointer('pointerdown', { id: 2, x: 250 });
+    move(1, 200, 100);
+    pointer('pointerup', { id: 1, x: 100 });
+    pointer('pointerup', { id: 2, x: 250 });
+
+    assert.equal(await activeIndex(), 0);
+  });
+});
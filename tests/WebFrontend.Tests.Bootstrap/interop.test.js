@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { loadPage, waitFor } from './support/page.js';
+
+const interop = await import('../../src/WebFrontend/wwwroot/lib/bootstrap/dist/js/bootstrap.interop.js');
+
+const MODAL = `
+  <button type="button" id="toggler" data-bs-toggle="modal" data-bs-target="#modal">Open</button>
+  <div class="modal" id="modal" tabindex="-1"><div class="modal-dialog"></div></div>`;
+
+// Records what the module sends to .NET, answering veto requests with `allow`
+function createDotNetRef(allow = true) {
+  const calls = [];
+  return {
+    calls,
+    invokeMethodAsync(method, type, args) {
+      calls.push({ method, type, args });
+      return Promise.resolve(method === 'OnBootstrapVeto' ? allow : undefined);
+    }
+  };
+}
+
+describe('bootstrap.interop.js', () => {
+  let page;
+
+  beforeEach(() => {
+    page = loadPage(MODAL);
+    // the module runs in the page, where `window` is the global the bundle defined `bootstrap` on
+    globalThis.window = page.window;
+  });
+
+  afterEach(() => {
+    delete globalThis.window;
+  });
+
+  it('drives the instances of the bundle loaded on the page', async () => {
+    const element = page.document.getElementById('modal');
+
+    interop.create(element, 'modal', { backdrop: 'static' });
+    const instance = page.bootstrap.Modal.getInstance(element);
+
+    assert.ok(instance);
+    assert.equal(instance._config.backdrop, 'static');
+    assert.equal(await interop.show(element, 'modal'), true);
+    assert.equal(page.bootstrap.Modal.getInstance(element), instance);
+    assert.equal(await interop.hide(element, 'modal'), true);
+  });
+
+  it('shares instances with the data api of the page', async () => {
+    const element = page.document.getElementById('modal');
+    interop.create(element, 'modal');
+
+    page.document.getElementById('toggler').click();
+    await waitFor(() => element.classList.contains('show'));
+
+    assert.equal(await interop.hide(element, 'modal'), true);
+    assert.ok(!element.classList.contains('show'));
+  });
+
+  it('forwards subscribed events to .NET', async () => {
+    const element = page.document.getElementById('modal');
+    const dotNetRef = createDotNetRef();
+
+    interop.subscribe(element, 'modal', dotNetRef);
+    await interop.show(element, 'modal');
+    interop.unsubscribe(element, 'modal');
+    await interop.hide(element, 'modal');
+
+    assert.deepEqual(dotNetRef.calls.map(call => call.type), ['show.bs.modal', 'shown.bs.modal']);
+  });
+
+  it('replays a vetoable event once .NET allows it', async () => {
+    const element = page.document.getElementById('modal');
+    const dotNetRef = createDotNetRef(true);
+
+    interop.subscribe(element, 'modal', dotNetRef, { veto: ['show'] });
+    await interop.show(element, 'modal');
+    await waitFor(() => element.classList.contains('show'));
+
+    assert.deepEqual(dotNetRef.calls.map(call => `${call.method} ${call.type}`), [
+      'OnBootstrapVeto show.bs.modal',
+      'OnBootstrapEvent show.bs.modal',
+      'OnBootstrapEvent shown.bs.modal'
+    ]);
+  });
+
+  it('keeps the component as it was when .NET vetoes', async () => {
+    const element = page.document.getElementById('modal');
+
+    interop.subscribe(element, 'modal', createDotNetRef(false), { veto: ['show'] });
+
+    assert.equal(await interop.show(element, 'modal'), false);
+    assert.ok(!element.classList.contains('show'));
+  });
+
+  it('rejects unknown components and private methods', () => {
+    const element = page.document.getElementById('modal');
+
+    assert.throws(() => interop.create(element, 'toString'), TypeError);
+    assert.throws(() => interop.invoke(element, 'modal', '_showElement'), TypeError);
+  });
+
+  it('explains a page without the bundle', () => {
+    delete page.window.bootstrap;
+
+    assert.throws(() => interop.create(page.document.getElementById('modal'), 'modal'), /Bootstrap is not loaded/);
+  });
+});
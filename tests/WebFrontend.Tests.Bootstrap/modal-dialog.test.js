@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { loadPage, waitFor } from './support/page.js';
+
+describe('Modal.confirm / Modal.prompt', () => {
+  let page;
+  let opener;
+
+  const dialog = () => page.document.querySelector('.modal.show');
+  // the dialog moves focus to its control once shown
+  const opened = () => waitFor(() => dialog() && dialog().contains(page.document.activeElement));
+  const button = text => [...dialog().querySelectorAll('.modal-footer button')].find(element => element.textContent === text);
+
+  beforeEach(() => {
+    page = loadPage('<button type="button" id="delete">Delete</button>');
+    opener = page.document.getElementById('delete');
+    opener.focus();
+  });
+
+  it('resolves true when confirmed and removes the dialog', async () => {
+    const result = page.bootstrap.Modal.confirm({ title: 'Delete?', body: 'Really', confirmText: 'Delete' });
+    await opened();
+
+    assert.equal(dialog().getAttribute('aria-labelledby'), dialog().querySelector('.modal-title').id);
+    button('Delete').click();
+
+    assert.equal(await result, true);
+    assert.equal(page.document.querySelector('.modal'), null);
+  });
+
+  it('resolves false when cancelled', async () => {
+    const result = page.bootstrap.Modal.confirm({ title: 'Delete?' });
+    await opened();
+
+    button('Cancel').click();
+
+    assert.equal(await result, false);
+  });
+
+  it('resolves the entered value of a prompt, and null when cancelled', async () => {
+    let result = page.bootstrap.Modal.prompt({ title: 'Name', value: 'Draft' });
+    await opened();
+    dialog().querySelector('input').value = 'Report';
+    button('OK').click();
+
+    assert.equal(await result, 'Report');
+
+    result = page.bootstrap.Modal.prompt({ title: 'Name' });
+    await opened();
+    button('Cancel').click();
+
+    assert.equal(await result, null);
+  });
+
+  it('keeps a required prompt open while it is empty', async () => {
+    const result = page.bootstrap.Modal.prompt({ title: 'Name', required: true });
+    await opened();
+    const input = dialog().querySelector('input');
+
+    button('OK').click();
+    assert.ok(input.classList.contains('is-invalid'));
+    assert.ok(dialog());
+
+    input.value = 'Report';
+    button('OK').click();
+    assert.equal(await result, 'Report');
+  });
+
+  it('focuses the dialog control, then gives focus back to the opener', async () => {
+    const result = page.bootstrap.Modal.prompt({ title: 'Name' });
+    await opened();
+
+    assert.equal(page.document.activeElement, dialog().querySelector('input'));
+    button('Cancel').click();
+    await result;
+
+    assert.equal(page.document.activeElement, opener);
+  });
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadPage } from './support/page.js';
+
+// The "Toggle between modals" markup from the Bootstrap docs, with `secondAttributes` on the second modal
+const modals = (secondAttributes = '') => `
+  <button type="button" id="open-first" data-bs-toggle="modal" data-bs-target="#first">Open first</button>
+  <div class="modal" id="first" tabindex="-1">
+    <div class="modal-dialog"><div class="modal-content">
+      <button type="button" id="open-second" data-bs-toggle="modal" data-bs-target="#second">Open second</button>
+    </div></div>
+  </div>
+  <div class="modal" id="second" tabindex="-1" ${secondAttributes}>
+    <div class="modal-dialog"><div class="modal-content">
+      <button type="button" id="close-second" data-bs-dismiss="modal">Close</button>
+    </div></div>
+  </div>`;
+
+describe('Modal stacking', () => {
+  it('hides the open modal when a toggler inside it opens another one', () => {
+    const { document } = loadPage(modals());
+
+    document.getElementById('open-first').click();
+    document.getElementById('open-second').click();
+
+    assert.ok(!document.getElementById('first').classList.contains('show'));
+    assert.ok(document.getElementById('second').classList.contains('show'));
+    assert.equal(document.querySelectorAll('.modal-backdrop').length, 1);
+  });
+
+  it('opens a modal with data-bs-stack on top of the open one', () => {
+    const { document } = loadPage(modals('data-bs-stack="true"'));
+    const first = document.getElementById('first');
+    const second = document.getElementById('second');
+
+    document.getElementById('open-first').click();
+    document.getElementById('open-second').click();
+
+    assert.ok(first.classList.contains('show'));
+    assert.ok(second.classList.contains('show'));
+    assert.ok(Number(second.style.zIndex) > 1055);
+    assert.ok(document.body.classList.contains('modal-open'));
+
+    document.getElementById('close-second').click();
+
+    assert.ok(first.classList.contains('show'));
+    assert.equal(second.style.zIndex, '');
+    assert.ok(document.body.classList.contains('modal-open'));
+  });
+
+  it('stacks modals shown with stack: true from script', () => {
+    const { document, bootstrap } = loadPage(modals());
+
+    new bootstrap.Modal('#first').show();
+    new bootstrap.Modal('#second', { stack: true });
+    document.getElementById('open-second').click();
+
+    assert.ok(document.getElementById('first').classList.contains('show'));
+    assert.ok(document.getElementById('second').classList.contains('show'));
+  });
+
+  it('only closes the topmost modal on Escape', () => {
+    const { window, document } = loadPage(modals('data-bs-stack="true"'));
+    const second = document.getElementById('second');
+
+    document.getElementById('open-first').click();
+    document.getElementById('open-second').click();
+    second.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    assert.ok(!second.classList.contains('show'));
+    assert.ok(document.getElementById('first').classList.contains('show'));
+  });
+});
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadPage, waitFor } from './support/page.js';
+
+const TRIGGER = '<button type="button" id="details" title="Todo">Details</button>';
+
+// A promise the test settles by hand
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((resolvePromise, rejectPromise) => {
+    resolve = resolvePromise;
+    reject = rejectPromise;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('Popover async content', () => {
+  const body = document => {
+    const element = document.querySelector('.popover.show .popover-body');
+    return element ? element.textContent : null;
+  };
+
+  it('shows the loading placeholder until the promise resolves', async () => {
+    const { document, bootstrap } = loadPage(TRIGGER);
+    const request = deferred();
+    const popover = new bootstrap.Popover('#details', { animation: false, trigger: 'manual', content: () => request.promise });
+
+    popover.show();
+    assert.equal(body(document), 'Loading…');
+
+    request.resolve('Buy milk');
+    await waitFor(() => body(document) === 'Buy milk');
+  });
+
+  it('caches the content per trigger', async () => {
+    const { document, bootstrap } = loadPage(TRIGGER);
+    let requests = 0;
+    const popover = new bootstrap.Popover('#details', {
+      animation: false,
+      trigger: 'manual',
+      content() {
+        requests++;
+        return Promise.resolve('Buy milk');
+      }
+    });
+
+    popover.show();
+    await waitFor(() => body(document) === 'Buy milk');
+    popover.hide();
+    popover.show();
+
+    assert.equal(body(document), 'Buy milk');
+    assert.equal(requests, 1);
+  });
+
+  it('cancels the request on hide and asks again on the next show', async () => {
+    const { document, bootstrap } = loadPage(TRIGGER);
+    const signals = [];
+    const popover = new bootstrap.Popover('#details', {
+      animation: false,
+      trigger: 'manual',
+      content(element, signal) {
+        signals.push(signal);
+        return signals.length === 1 ? deferred().promise : Promise.resolve('Buy milk');
+      }
+    });
+
+    popover.show();
+    popover.hide();
+    assert.ok(signals[0].aborted);
+
+    popover.show();
+    await waitFor(() => body(document) === 'Buy milk');
+    assert.equal(signals.length, 2);
+  });
+
+  it('hides when the content fails to load', async () => {
+    const { document, bootstrap } = loadPage(TRIGGER);
+    const request = deferred();
+    const popover = new bootstrap.Popover('#details', { animation: false, trigger: 'manual', content: () => request.promise });
+
+    popover.show();
+    request.reject(new Error('offline'));
+
+    await waitFor(() => !document.querySelector('.popover.show'));
+  });
+
+  it('loads the content from the url option', async () => {
+    const urls = [];
+    const { document, bootstrap } = loadPage(TRIGGER, {
+      beforeLoad(window) {
+        window.fetch = url => {
+          urls.push(url);
+          return Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve('From the server') });
+        };
+      }
+    });
+    const popover = new bootstrap.Popover('#details', { animation: false, trigger: 'manual', url: '/todos/1/preview' });
+
+    popover.show();
+
+    await waitFor(() => body(document) === 'From the server');
+    assert.deepEqual(urls, ['/todos/1/preview']);
+  });
+
+  it('also resolves tooltip titles', async () => {
+    const { document, bootstrap } = loadPage('<button type="button" id="tip">Tip</button>');
+    const tooltip = new bootstrap.Tooltip('#tip', { animation: false, trigger: 'manual', title: () => Promise.resolve('Later') });
+
+    tooltip.show();
+
+    await waitFor(() => {
+      const inner = document.querySelector('.tooltip.show .tooltip-inner');
+      return inner && inner.textContent === 'Later';
+    });
+  });
+});
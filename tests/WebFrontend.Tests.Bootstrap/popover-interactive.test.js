@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { loadPage, sleep, waitFor } from './support/page.js';
+
+const GRACE = 50;
+
+describe('Interactive popovers', () => {
+  let page;
+  let trigger;
+
+  const tip = () => page.document.querySelector('.popover.show');
+
+  // mouseenter and mouseleave are derived from mouseover and mouseout, as in a browser
+  function pointerMove(from, to) {
+    from.dispatchEvent(new page.window.MouseEvent('mouseout', { bubbles: true, relatedTarget: to }));
+    to.dispatchEvent(new page.window.MouseEvent('mouseover', { bubbles: true, relatedTarget: from }));
+  }
+
+  function createPopover(config) {
+    return new page.bootstrap.Popover(trigger, {
+      animation: false,
+      content: '<a href="/todos/1">Open todo</a>',
+      html: true,
+      interactiveDelay: GRACE,
+      ...config
+    });
+  }
+
+  beforeEach(() => {
+    page = loadPage('<button type="button" id="trigger">Todo</button><p id="outside">Elsewhere</p>');
+    trigger = page.document.getElementById('trigger');
+  });
+
+  it('hides as soon as the pointer leaves the trigger when not interactive', async () => {
+    createPopover({ trigger: 'hover' });
+
+    pointerMove(page.document.getElementById('outside'), trigger);
+    await waitFor(tip);
+    pointerMove(trigger, page.document.getElementById('outside'));
+
+    await waitFor(() => !tip(), GRACE);
+  });
+
+  it('stays open while the pointer crosses from the trigger into the tip', async () => {
+    createPopover({ trigger: 'hover', interactive: true });
+
+    pointerMove(page.document.getElementById('outside'), trigger);
+    const element = await waitFor(tip);
+    pointerMove(trigger, page.document.body);
+    await sleep(GRACE / 2);
+    pointerMove(page.document.body, element);
+    await sleep(GRACE * 2);
+    assert.ok(tip());
+
+    pointerMove(element, page.document.getElementById('outside'));
+    await waitFor(() => !tip(), GRACE * 3);
+  });
+
+  it('hides once the grace period passes without reaching the tip', async () => {
+    createPopover({ trigger: 'hover', interactive: true });
+
+    pointerMove(page.document.getElementById('outside'), trigger);
+    await waitFor(tip);
+    pointerMove(trigger, page.document.getElementById('outside'));
+    await sleep(GRACE / 2);
+    assert.ok(tip());
+
+    await waitFor(() => !tip(), GRACE * 3);
+  });
+
+  it('stays open while focus moves into the tip', async () => {
+    createPopover({ trigger: 'focus', interactive: true });
+
+    trigger.focus();
+    const link = (await waitFor(tip)).querySelector('a');
+    link.focus();
+    await sleep(GRACE * 2);
+    assert.ok(tip());
+
+    link.blur();
+    await waitFor(() => !tip(), GRACE * 3);
+  });
+});
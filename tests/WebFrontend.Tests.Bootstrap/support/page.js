@@ -0,0 +1,75 @@
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const DIST = new URL('../../../src/WebFrontend/wwwroot/lib/bootstrap/dist/js/', import.meta.url);
+const ORIGIN = 'http://bootstrap.test';
+
+export const sleep = ms => new Promise(resolve => {
+  setTimeout(resolve, ms);
+});
+
+/**
+ * Builds a page with `body` and the site's `bootstrap.bundle.js`, the same file `BootstrapPageTest` serves.
+ * jsdom has no layout, so the few layout and pointer APIs the components call are stubbed; `beforeLoad`
+ * can replace more of them before the bundle runs.
+ */
+export function loadPage(body, { path = '/', beforeLoad } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><html lang="en"><head></head><body>${body}</body></html>`, {
+    url: ORIGIN + path,
+    pretendToBeVisual: true,
+    runScripts: 'outside-only'
+  });
+  const { window } = dom;
+  const captures = new Set();
+
+  window.Element.prototype.getClientRects = function () {
+    return [this.getBoundingClientRect()];
+  };
+
+  window.Element.prototype.scrollIntoView = () => {};
+  window.Element.prototype.setPointerCapture = pointerId => captures.add(pointerId);
+  window.Element.prototype.releasePointerCapture = pointerId => captures.delete(pointerId);
+  window.Element.prototype.hasPointerCapture = pointerId => captures.has(pointerId);
+  window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+  window.PointerEvent = window.PointerEvent || class extends window.MouseEvent {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.pointerId = init.pointerId || 0;
+      this.pointerType = init.pointerType || '';
+    }
+  };
+
+  if (beforeLoad) {
+    beforeLoad(window);
+  }
+
+  window.eval(readFileSync(new URL('bootstrap.bundle.js', DIST), 'utf8'));
+  // in a browser the script runs before the page finishes loading
+  window.dispatchEvent(new window.Event('load'));
+
+  return {
+    window,
+    document: window.document,
+    bootstrap: window.bootstrap
+  };
+}
+
+/**
+ * Polls `condition` until it returns a truthy value, for results that land after timers or fetches.
+ */
+export async function waitFor(condition, timeout = 2000) {
+  const end = Date.now() + timeout;
+
+  for (;;) {
+    const result = await condition();
+    if (result) {
+      return result;
+    }
+
+    if (Date.now() > end) {
+      throw new Error(`Timed out waiting for ${condition}`);
+    }
+
+    await sleep(10);
+  }
+}
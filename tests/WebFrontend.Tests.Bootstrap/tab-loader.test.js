@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadPage, sleep, waitFor } from './support/page.js';
+
+const tabs = (paneAttributes = '') => `
+  <ul class="nav nav-tabs" role="tablist">
+    <li class="nav-item" role="presentation"><button class="nav-link active" id="home-tab" data-bs-toggle="tab" data-bs-target="#home" type="button" role="tab">Home</button></li>
+    <li class="nav-item" role="presentation"><button class="nav-link" id="orders-tab" data-bs-toggle="tab" data-bs-target="#orders" type="button" role="tab">Orders</button></li>
+  </ul>
+  <div class="tab-content">
+    <div class="tab-pane active" id="home" role="tabpanel">Home pane</div>
+    <div class="tab-pane" id="orders" role="tabpanel" ${paneAttributes}></div>
+  </div>`;
+
+// Answers every request with `body`, recording the requested URLs
+function stubFetch(requests, body, status = 200) {
+  return window => {
+    window.fetch = url => {
+      requests.push(url);
+      return Promise.resolve({ ok: status < 400, status, text: () => Promise.resolve(body) });
+    };
+  };
+}
+
+describe('Lazy tab panes', () => {
+  it('shows the loading text until the loader settles, then the content', async () => {
+    const { document, bootstrap } = loadPage(tabs());
+    const tab = document.getElementById('orders-tab');
+    const pane = document.getElementById('orders');
+    let resolve;
+    const calls = [];
+    const instance = new bootstrap.Tab(tab, {
+      loadingText: 'Fetching orders',
+      loader: (panel, signal) => {
+        calls.push([panel, signal.aborted]);
+        return new Promise(done => {
+          resolve = done;
+        });
+      }
+    });
+    const loaded = [];
+    tab.addEventListener('loaded.bs.tab', event => loaded.push(event.relatedTarget));
+
+    instance.show();
+    await waitFor(() => resolve);
+
+    assert.deepEqual(calls, [[pane, false]]);
+    assert.equal(pane.getAttribute('aria-busy'), 'true');
+    assert.equal(pane.querySelector('[role="status"]').textContent, 'Fetching orders');
+
+    resolve('<p>3 orders</p>');
+    await waitFor(() => loaded.length);
+
+    assert.deepEqual(loaded, [pane]);
+    assert.equal(pane.innerHTML, '<p>3 orders</p>');
+    assert.ok(!pane.hasAttribute('aria-busy'));
+  });
+
+  it('fetches a loader URL from the pane once, unless reload is set', async () => {
+    const requests = [];
+    const { document } = loadPage(tabs('data-bs-loader="/orders.html"'), {
+      beforeLoad: stubFetch(requests, '<p>Orders</p><img src="x" onerror="alert(1)">')
+    });
+    const pane = document.getElementById('orders');
+
+    document.getElementById('orders-tab').click();
+    await waitFor(() => pane.querySelector('p'));
+    document.getElementById('home-tab').click();
+    document.getElementById('orders-tab').click();
+    await sleep(0);
+
+    assert.deepEqual(requests, ['/orders.html']);
+    // loaded markup goes through the sanitizer like popover content does
+    assert.ok(!pane.querySelector('img').hasAttribute('onerror'));
+  });
+
+  it('loads again on every show with reload', async () => {
+    const requests = [];
+    const { document } = loadPage(tabs('data-bs-loader="/orders.html" data-bs-reload="true"'), {
+      beforeLoad: stubFetch(requests, 'Orders')
+    });
+    const pane = document.getElementById('orders');
+
+    document.getElementById('orders-tab').click();
+    await waitFor(() => pane.textContent === 'Orders');
+    document.getElementById('home-tab').click();
+    document.getElementById('orders-tab').click();
+
+    await waitFor(() => requests.length === 2);
+  });
+
+  it('reports a failed request and leaves the pane empty', async () => {
+    const { document } = loadPage(tabs('data-bs-loader="/orders.html"'), {
+      beforeLoad: stubFetch([], 'Not found', 404)
+    });
+    const tab = document.getElementById('orders-tab');
+    const errors = [];
+    tab.addEventListener('loaderror.bs.tab', event => errors.push(event.error.message));
+
+    tab.click();
+    await waitFor(() => errors.length);
+
+    assert.match(errors[0], /"\/orders.html" failed with status 404/);
+    assert.equal(document.getElementById('orders').childElementCount, 0);
+  });
+
+  it('loads the pane of a tab that starts out active', async () => {
+    const { document, bootstrap } = loadPage(tabs());
+    const pane = document.getElementById('home');
+
+    new bootstrap.Tab(document.getElementById('home-tab'), { loader: () => 'Welcome back' });
+    await waitFor(() => pane.textContent === 'Welcome back');
+  });
+});
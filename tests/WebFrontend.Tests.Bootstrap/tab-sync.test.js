@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadPage } from './support/page.js';
+
+const tabs = (listAttributes = '', profileAttributes = '', paneAttributes = '') => `
+  <ul class="nav nav-tabs" role="tablist" data-bs-sync="hash" ${listAttributes}>
+    <li class="nav-item" role="presentation"><button class="nav-link active" id="home-tab" data-bs-toggle="tab" data-bs-target="#home" type="button" role="tab">Home</button></li>
+    <li class="nav-item" role="presentation"><button class="nav-link" id="profile-tab" data-bs-toggle="tab" data-bs-target="#profile" type="button" role="tab" ${profileAttributes}>Profile</button></li>
+  </ul>
+  <div class="tab-content">
+    <div class="tab-pane active" id="home" role="tabpanel">Home pane</div>
+    <div class="tab-pane" id="profile" role="tabpanel" ${paneAttributes}>Profile pane</div>
+  </div>`;
+
+describe('Tab URL sync', () => {
+  it('selects the tab named by the hash on load', () => {
+    const { document } = loadPage(tabs(), { path: '/#profile' });
+
+    assert.equal(document.getElementById('profile-tab').getAttribute('aria-selected'), 'true');
+    assert.ok(document.getElementById('profile').classList.contains('active'));
+  });
+
+  it('writes the selected tab to the hash', () => {
+    const { window, document } = loadPage(tabs());
+
+    document.getElementById('profile-tab').click();
+
+    assert.equal(window.location.hash, '#profile');
+  });
+
+  it('takes options from the tab list, then the pane, then the tab, then the JS config', () => {
+    const { document, bootstrap } = loadPage(tabs(
+      'data-bs-history="push" data-bs-loading-text="From the list"',
+      'data-bs-history="replace"',
+      'data-bs-loading-text="From the pane" data-bs-sync-param="pane"'
+    ));
+    const element = document.getElementById('profile-tab');
+
+    const config = new bootstrap.Tab(element, { syncParam: 'js' })._config;
+
+    assert.equal(config.sync, 'hash');
+    assert.equal(config.history, 'replace');
+    assert.equal(config.loadingText, 'From the pane');
+    assert.equal(config.syncParam, 'js');
+    assert.equal(config.closeLabel, 'Close');
+  });
+});
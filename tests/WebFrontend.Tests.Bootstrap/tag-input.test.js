@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { loadPage } from './support/page.js';
+
+describe('TagInput', () => {
+  let page;
+  let element;
+
+  const chips = () => [...element.nextElementSibling.querySelectorAll('.badge')].map(chip => chip.textContent);
+
+  function type(text, key = 'Enter') {
+    const input = page.document.querySelector('#tags + .form-control input');
+    input.value = text;
+    input.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true }));
+  }
+
+  beforeEach(() => {
+    page = loadPage(`
+      <label for="tags">Tags</label>
+      <input id="tags" name="tags" value="work" data-bs-toggle="taginput" data-bs-max-tags="2">`);
+    element = page.document.getElementById('tags');
+  });
+
+  it('adds typed tags and writes them back to the field', () => {
+    type('home');
+
+    assert.deepEqual(chips(), ['work', 'home']);
+    assert.equal(element.value, 'work,home');
+  });
+
+  it('rejects duplicates and tags past the maximum', () => {
+    const reasons = [];
+    element.addEventListener('invalid.bs.taginput', event => reasons.push(event.reason));
+
+    type('Work');
+    type('home');
+    type('urgent');
+
+    assert.deepEqual(chips(), ['work', 'home']);
+    assert.deepEqual(reasons, ['duplicate', 'max']);
+  });
+
+  it('points the label at the text input while active', () => {
+    const label = page.document.querySelector('label');
+    const input = element.nextElementSibling.querySelector('input');
+
+    assert.equal(label.htmlFor, input.id);
+    assert.ok(element.classList.contains('d-none'));
+  });
+
+  it('restores the label and the field when disposed', () => {
+    const label = page.document.querySelector('label');
+
+    page.bootstrap.TagInput.getInstance(element).dispose();
+
+    assert.equal(label.htmlFor, 'tags');
+    assert.ok(!element.classList.contains('d-none'));
+    assert.equal(page.document.querySelector('.form-control'), null);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { loadPage, sleep, waitFor } from './support/page.js';
+
+const DELAY = 100;
+
+describe('Toast autohide', () => {
+  let page;
+  let element;
+  let toast;
+
+  const isShown = () => element.classList.contains('show');
+
+  beforeEach(() => {
+    page = loadPage('<div class="toast" id="toast"><div class="toast-body">Saved</div></div>');
+    element = page.document.getElementById('toast');
+    toast = new page.bootstrap.Toast(element, { animation: false, delay: DELAY, progress: true });
+  });
+
+  it('hides after the delay', async () => {
+    toast.show();
+
+    assert.ok(isShown());
+    await waitFor(() => !isShown(), DELAY * 3);
+  });
+
+  it('pauses while hovered and resumes with the time that was left', async () => {
+    toast.show();
+    await sleep(DELAY / 2);
+
+    element.dispatchEvent(new page.window.MouseEvent('mouseover', { bubbles: true }));
+    await sleep(DELAY * 2);
+    assert.ok(isShown());
+
+    element.dispatchEvent(new page.window.MouseEvent('mouseout', { bubbles: true }));
+    const resumedAt = Date.now();
+    await waitFor(() => !isShown(), DELAY * 3);
+
+    assert.ok(Date.now() - resumedAt < DELAY * 0.9);
+  });
+
+  it('pauses while the window is blurred', async () => {
+    toast.show();
+    page.window.dispatchEvent(new page.window.FocusEvent('blur'));
+    await sleep(DELAY * 2);
+    assert.ok(isShown());
+
+    page.window.dispatchEvent(new page.window.FocusEvent('focus'));
+    await waitFor(() => !isShown(), DELAY * 3);
+  });
+
+  it('starts the countdown of a toast shown while the window was blurred once it gets focus', async () => {
+    page.window.dispatchEvent(new page.window.FocusEvent('blur'));
+    toast.show();
+    await sleep(DELAY * 2);
+    assert.ok(isShown());
+
+    page.window.dispatchEvent(new page.window.FocusEvent('focus'));
+    await waitFor(() => !isShown(), DELAY * 3);
+  });
+
+  it('does not show a hidden toast again on focus', async () => {
+    toast.show();
+    toast.hide();
+
+    page.window.dispatchEvent(new page.window.FocusEvent('blur'));
+    page.window.dispatchEvent(new page.window.FocusEvent('focus'));
+    await sleep(DELAY * 2);
+
+    assert.ok(!isShown());
+  });
+
+  it('runs the progress bar down over the remaining time', async () => {
+    toast.show();
+    const bar = element.querySelector('.progress .progress-bar');
+
+    assert.equal(bar.style.width, '0%');
+    assert.equal(bar.style.transition, `width ${DELAY}ms linear`);
+
+    element.dispatchEvent(new page.window.MouseEvent('mouseover', { bubbles: true }));
+    assert.equal(bar.style.transition, 'none');
+    assert.notEqual(bar.style.width, '0%');
+  });
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadPage } from './support/page.js';
+
+describe('showAsync / hideAsync', () => {
+  it('resolves true once a modal is shown and hidden', async () => {
+    const { document, bootstrap } = loadPage('<div class="modal" id="modal" tabindex="-1"><div class="modal-dialog"></div></div>');
+    const modal = new bootstrap.Modal('#modal');
+
+    assert.equal(await modal.showAsync(), true);
+    assert.ok(document.getElementById('modal').classList.contains('show'));
+    assert.equal(await modal.hideAsync(), true);
+    assert.ok(!document.getElementById('modal').classList.contains('show'));
+  });
+
+  it('resolves false when the component is already in that state', async () => {
+    const { bootstrap } = loadPage('<div class="collapse show" id="panel">Panel</div>');
+    const collapse = new bootstrap.Collapse('#panel', { toggle: false });
+
+    assert.equal(await collapse.showAsync(), false);
+  });
+
+  it('resolves false when the start event is prevented', async () => {
+    const { document, bootstrap } = loadPage('<div class="collapse" id="panel">Panel</div>');
+    document.getElementById('panel').addEventListener('show.bs.collapse', event => event.preventDefault());
+
+    assert.equal(await new bootstrap.Collapse('#panel', { toggle: false }).showAsync(), false);
+    assert.ok(!document.getElementById('panel').classList.contains('show'));
+  });
+
+  it('resolves false when hidden before the show finished', async () => {
+    const { bootstrap } = loadPage('<button id="tip" title="Hello">Tip</button>');
+    const tooltip = new bootstrap.Tooltip('#tip');
+
+    const shown = tooltip.showAsync();
+    const hidden = tooltip.hideAsync();
+
+    assert.deepEqual([await shown, await hidden], [false, true]);
+  });
+
+  it('resolves toast transitions', async () => {
+    const { bootstrap } = loadPage('<div class="toast" id="toast"></div>');
+    const toast = new bootstrap.Toast('#toast', { animation: false, autohide: false });
+
+    assert.equal(await toast.showAsync(), true);
+    assert.equal(await toast.hideAsync(), true);
+  });
+
+  it('resolves carousel slides, and false for the slide already active', async () => {
+    const { bootstrap } = loadPage(`
+      <div class="carousel slide" id="carousel">
+        <div class="carousel-inner">
+          <div class="carousel-item active">One</div>
+          <div class="carousel-item">Two</div>
+        </div>
+      </div>`);
+    const carousel = new bootstrap.Carousel('#carousel');
+
+    assert.equal(await carousel.toAsync(1), true);
+    assert.equal(await carousel.toAsync(1), false);
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadPage } from './support/page.js';
+
+const ITEMS = Array.from({ length: 1000 }, (_, index) => ({ label: `Customer ${index + 1}`, id: index + 1 }));
+
+describe('Virtualized dropdowns', () => {
+  function openDropdown(getConfig = () => ({})) {
+    const page = loadPage(`
+      <div class="dropdown">
+        <button type="button" id="toggle" data-bs-toggle="dropdown">Customers</button>
+        <ul class="dropdown-menu" id="menu"></ul>
+      </div>`);
+    const toggle = page.document.getElementById('toggle');
+    const dropdown = new page.bootstrap.Dropdown(toggle, { items: ITEMS, itemHeight: 30, visibleItems: 5, ...getConfig(page.document) });
+    dropdown.show();
+
+    return {
+      page,
+      toggle,
+      dropdown,
+      rendered: () => [...page.document.querySelectorAll('#menu [data-bs-index]')]
+    };
+  }
+
+  const press = (page, target, key) => target.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+
+  it('renders a window of the items and describes the full set to assistive technology', () => {
+    const { page, rendered } = openDropdown();
+    const menu = page.document.getElementById('menu');
+
+    // the visible items plus the overscan, which all goes below them at the top of the list
+    assert.equal(rendered().length, 11);
+    assert.equal(rendered()[0].textContent, 'Customer 1');
+    assert.equal(rendered()[0].getAttribute('aria-setsize'), '1000');
+    assert.equal(rendered()[0].getAttribute('aria-posinset'), '1');
+    assert.equal(menu.style.maxHeight, '150px');
+    assert.equal(menu.lastElementChild.style.height, `${(1000 - 11) * 30}px`);
+  });
+
+  it('renders the item the keyboard moves to', () => {
+    const { page, toggle, rendered } = openDropdown();
+
+    press(page, toggle, 'End');
+
+    const last = page.document.activeElement;
+    assert.equal(last.textContent, 'Customer 1000');
+    assert.equal(last.getAttribute('aria-posinset'), '1000');
+    assert.ok(!rendered().some(item => item.textContent === 'Customer 1'));
+
+    press(page, last, 'Home');
+    assert.equal(page.document.activeElement.textContent, 'Customer 1');
+  });
+
+  it('reports the picked item with its index', () => {
+    const renderItem = document => item => {
+      const element = document.createElement('li');
+      element.className = 'dropdown-item';
+      element.textContent = `#${item.id}`;
+      return element;
+    };
+    const { toggle, rendered } = openDropdown(document => ({ renderItem: renderItem(document) }));
+    const selected = [];
+    toggle.addEventListener('selected.bs.dropdown', event => selected.push([event.item.id, event.index]));
+
+    rendered()[2].click();
+
+    assert.equal(rendered()[2].textContent, '#3');
+    assert.deepEqual(selected, [[3, 2]]);
+  });
+
+  it('swaps the items of an open menu with setItems', () => {
+    const { dropdown, rendered } = openDropdown();
+
+    dropdown.setItems(['Alpha', 'Beta']);
+
+    assert.deepEqual(rendered().map(item => item.textContent), ['Alpha', 'Beta']);
+    assert.equal(rendered()[1].getAttribute('aria-setsize'), '2');
+  });
+
+  it('shows every result of a virtual combobox', () => {
+    const page = loadPage('<input type="text" id="customer" class="form-control">');
+    const input = page.document.getElementById('customer');
+    new page.bootstrap.Combobox(input, { source: ITEMS.map(item => item.label), virtual: true, visibleItems: 5 });
+
+    input.value = 'customer';
+    input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+    const options = [...page.document.querySelectorAll('[role="option"]')];
+
+    assert.equal(options.length, 11);
+    assert.equal(options[0].getAttribute('aria-setsize'), '1000');
+
+    press(page, input, 'ArrowUp');
+    const active = page.document.getElementById(input.getAttribute('aria-activedescendant'));
+    assert.equal(active.textContent, 'Customer 1000');
+  });
+});
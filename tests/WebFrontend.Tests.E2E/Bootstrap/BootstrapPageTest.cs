@@ -0,0 +1,53 @@
+using Microsoft.Playwright;
+using Microsoft.Playwright.NUnit;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+/// <summary>
+/// Serves a page with the site's Bootstrap build from a fake origin, so the components
+/// can be driven with real history, storage and layout without starting the compose stack.
+/// </summary>
+public abstract class BootstrapPageTest : PageTest
+{
+    protected const string Origin = "http://bootstrap.test";
+
+    protected async Task LoadAsync(string body, string path = "/")
+    {
+        var distDirectory = Path.Combine(FindSolutionRoot(), "src", "WebFrontend", "wwwroot", "lib", "bootstrap", "dist");
+        var html = $"""
+            <!DOCTYPE html>
+            <html lang="en">
+            <head><link rel="stylesheet" href="/css/bootstrap.min.css"></head>
+            <body>
+            {body}
+            <script src="/js/bootstrap.bundle.js"></script>
+            </body>
+            </html>
+            """;
+
+        await Page.RouteAsync($"{Origin}/**", async route =>
+        {
+            var requestPath = new Uri(route.Request.Url).AbsolutePath;
+            if (requestPath.StartsWith("/css/") || requestPath.StartsWith("/js/"))
+            {
+                await route.FulfillAsync(new RouteFulfillOptions { Path = Path.Combine(distDirectory, requestPath.TrimStart('/')) });
+                return;
+            }
+
+            await route.FulfillAsync(new RouteFulfillOptions { ContentType = "text/html", Body = html });
+        });
+
+        await Page.GotoAsync(Origin + path);
+    }
+
+    private static string FindSolutionRoot()
+    {
+        var directory = new DirectoryInfo(TestContext.CurrentContext.TestDirectory);
+        while (directory != null && !File.Exists(Path.Combine(directory.FullName, "AspTemplate.sln")))
+        {
+            directory = directory.Parent;
+        }
+
+        return directory?.FullName ?? throw new DirectoryNotFoundException("AspTemplate.sln was not found above the test directory.");
+    }
+}
@@ -0,0 +1,60 @@
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class CarouselLazyTests : BootstrapPageTest
+{
+    [Test]
+    public async Task Start_LoadsTheActiveSlideAndItsNeighbours()
+    {
+        await LoadAsync(Carousel("single", string.Empty));
+        await Page.EvaluateAsync("() => { new bootstrap.Carousel('#single'); }");
+
+        await Expect(Page.Locator("img[alt='Slide 0']")).ToHaveAttributeAsync("src", "/slides/0.svg");
+        await Expect(Page.Locator("img[alt='Slide 1']")).ToHaveAttributeAsync("src", "/slides/1.svg");
+        await Expect(Page.Locator("img[alt='Slide 3']")).ToHaveAttributeAsync("src", "/slides/3.svg");
+        await Expect(Page.Locator("img[alt='Slide 2']")).ToHaveAttributeAsync("data-bs-src", "/slides/2.svg");
+    }
+
+    [Test]
+    public async Task Sliding_LoadsTheNextNeighbour()
+    {
+        await LoadAsync(Carousel("single", string.Empty));
+        await Page.EvaluateAsync("() => { new bootstrap.Carousel('#single'); }");
+
+        await Page.GetByRole(AriaRole.Button, new PageGetByRoleOptions { Name = "Next" }).ClickAsync();
+
+        await Expect(Page.Locator("img[alt='Slide 2']")).ToHaveAttributeAsync("src", "/slides/2.svg");
+    }
+
+    [Test]
+    public async Task MultiItem_LoadsTheSlidesInView_AndTheirClones()
+    {
+        await LoadAsync(Carousel("multi", "data-bs-preload=\"0\" data-bs-slides-per-view=\"2\""));
+        await Page.EvaluateAsync("() => { new bootstrap.Carousel('#multi'); }");
+
+        await Expect(Page.Locator(".carousel-item:not([data-bs-clone]) img[alt='Slide 1']")).ToHaveAttributeAsync("src", "/slides/1.svg");
+        await Expect(Page.Locator("[data-bs-clone] img[alt='Slide 0']")).ToHaveAttributeAsync("src", "/slides/0.svg");
+        await Expect(Page.Locator("[data-bs-clone] img[alt='Slide 1']")).ToHaveAttributeAsync("src", "/slides/1.svg");
+        await Expect(Page.Locator("[data-bs-clone] img[alt='Slide 2']")).ToHaveAttributeAsync("data-bs-src", "/slides/2.svg");
+        await Expect(Page.Locator("[data-bs-clone] img[alt='Slide 3']")).ToHaveAttributeAsync("data-bs-src", "/slides/3.svg");
+    }
+
+    private static string Carousel(string id, string attributes)
+    {
+        var slides = string.Concat(Enumerable.Range(0, 4).Select(index =>
+            $"<div class=\"carousel-item{(index == 0 ? " active" : string.Empty)}\"><img class=\"d-block w-100\" data-bs-src=\"/slides/{index}.svg\" alt=\"Slide {index}\"></div>"));
+
+        return $"""
+            <div id="{id}" class="carousel slide" data-bs-lazy="true" {attributes}>
+              <div class="carousel-inner">{slides}</div>
+              <button class="carousel-control-next" type="button" data-bs-target="#{id}" data-bs-slide="next">
+                <span class="carousel-control-next-icon" aria-hidden="true"></span>
+                <span class="visually-hidden">Next</span>
+              </button>
+            </div>
+            """;
+    }
+}
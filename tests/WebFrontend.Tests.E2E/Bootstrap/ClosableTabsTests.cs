@@ -0,0 +1,66 @@
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class ClosableTabsTests : BootstrapPageTest
+{
+    private const string Markup = """
+        <ul class="nav nav-tabs" role="tablist" data-bs-closable="true">
+          <li class="nav-item" role="presentation"><button class="nav-link active" id="home-tab" data-bs-toggle="tab" data-bs-target="#home" type="button" role="tab">Home</button></li>
+          <li class="nav-item" role="presentation"><button class="nav-link" id="profile-tab" data-bs-toggle="tab" data-bs-target="#profile" type="button" role="tab">Profile</button></li>
+        </ul>
+        <div class="tab-content">
+          <div class="tab-pane active" id="home" role="tabpanel">Home pane</div>
+          <div class="tab-pane" id="profile" role="tabpanel">Profile pane</div>
+        </div>
+        <nav class="nav nav-pills" role="tablist" data-bs-closable="true">
+          <button class="nav-link active" id="one-tab" data-bs-toggle="pill" data-bs-target="#one" type="button" role="tab">One</button>
+          <button class="nav-link" id="two-tab" data-bs-toggle="pill" data-bs-target="#two" type="button" role="tab">Two</button>
+        </nav>
+        <div class="tab-content">
+          <div class="tab-pane active" id="one" role="tabpanel">One pane</div>
+          <div class="tab-pane" id="two" role="tabpanel">Two pane</div>
+        </div>
+        """;
+
+    [SetUp]
+    public async Task SetUp()
+    {
+        await LoadAsync(Markup);
+    }
+
+    [Test]
+    public async Task CloseButton_RemovesTabAndPanel_AndSelectsTheNeighbour()
+    {
+        await Page.Locator("#home-tab + .btn-close").ClickAsync();
+
+        await Expect(Page.Locator("#home-tab")).ToHaveCountAsync(0);
+        await Expect(Page.Locator("#home")).ToHaveCountAsync(0);
+        await Expect(Page.Locator("#profile-tab")).ToHaveAttributeAsync("aria-selected", "true");
+        await Expect(Page.Locator("ul .btn-close")).ToHaveCountAsync(1);
+    }
+
+    [Test]
+    public async Task BareNavLink_IsClosedTogetherWithItsButton()
+    {
+        await Page.Locator("#one-tab + .btn-close").ClickAsync();
+
+        await Expect(Page.Locator("#one-tab")).ToHaveCountAsync(0);
+        await Expect(Page.Locator("#one")).ToHaveCountAsync(0);
+        await Expect(Page.Locator("nav .btn-close")).ToHaveCountAsync(1);
+        await Expect(Page.Locator("#two-tab")).ToHaveAttributeAsync("aria-selected", "true");
+    }
+
+    [Test]
+    public async Task DeleteKey_ClosesTheFocusedTab()
+    {
+        await Page.Locator("#profile-tab").FocusAsync();
+        await Page.Keyboard.PressAsync("Delete");
+
+        await Expect(Page.Locator("#profile-tab")).ToHaveCountAsync(0);
+        await Expect(Page.Locator("#profile")).ToHaveCountAsync(0);
+        await Expect(Page.Locator("#home-tab")).ToHaveAttributeAsync("aria-selected", "true");
+    }
+}
@@ -0,0 +1,40 @@
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class CollapsePersistTests : BootstrapPageTest
+{
+    private const string Markup = """
+        <button type="button" data-bs-toggle="collapse" data-bs-target="#faq" aria-expanded="false" aria-controls="faq">FAQ</button>
+        <div class="collapse" id="faq" data-bs-persist>Answers</div>
+        <button type="button" data-bs-toggle="collapse" data-bs-target="#more" aria-expanded="false" aria-controls="more">More</button>
+        <div class="collapse" id="more" data-bs-persist="2">Details</div>
+        """;
+
+    [Test]
+    public async Task OpenedPanel_StaysOpenAfterReload()
+    {
+        await LoadAsync(Markup);
+        await Page.GetByRole(AriaRole.Button, new PageGetByRoleOptions { Name = "FAQ" }).ClickAsync();
+        await Expect(Page.GetByText("Answers")).ToBeVisibleAsync();
+
+        await Page.ReloadAsync();
+
+        await Expect(Page.GetByText("Answers")).ToBeVisibleAsync();
+        await Expect(Page.GetByRole(AriaRole.Button, new PageGetByRoleOptions { Name = "FAQ" })).ToHaveAttributeAsync("aria-expanded", "true");
+        await Expect(Page.GetByText("Details")).ToBeHiddenAsync();
+    }
+
+    [Test]
+    public async Task NumericKey_IsUsedAsTheStorageKey()
+    {
+        await LoadAsync(Markup);
+
+        await Page.GetByRole(AriaRole.Button, new PageGetByRoleOptions { Name = "More" }).ClickAsync();
+        await Expect(Page.GetByText("Details")).ToBeVisibleAsync();
+
+        Assert.That(await Page.EvaluateAsync<string?>("() => localStorage.getItem('bs.collapse.2')"), Is.EqualTo("shown"));
+    }
+}
@@ -0,0 +1,79 @@
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class ComboboxTests : BootstrapPageTest
+{
+    private const string Markup = """
+        <div class="dropdown">
+          <input id="city" class="form-control" data-bs-toggle="combobox" aria-label="City">
+          <ul class="dropdown-menu">
+            <li><a class="dropdown-item" data-bs-value="ams">Amsterdam</a></li>
+            <li><a class="dropdown-item" data-bs-value="ath">Athens</a></li>
+            <li><a class="dropdown-item" data-bs-value="ber">Berlin</a></li>
+          </ul>
+        </div>
+        <div id="remote-wrapper"><input id="remote" class="form-control" aria-label="Remote"></div>
+        """;
+
+    [SetUp]
+    public async Task SetUp()
+    {
+        await LoadAsync(Markup);
+        await Page.EvaluateAsync("() => { window.selections = []; document.getElementById('city').addEventListener('selected.bs.combobox', event => selections.push(event.value)); }");
+    }
+
+    [Test]
+    public async Task Typing_FiltersOptions()
+    {
+        await Page.GetByRole(AriaRole.Combobox, new PageGetByRoleOptions { Name = "City" }).FillAsync("am");
+
+        await Expect(Page.GetByRole(AriaRole.Option)).ToHaveTextAsync(new[] { "Amsterdam" });
+    }
+
+    [Test]
+    public async Task ArrowDownAndEnter_SelectsTheFirstMatch()
+    {
+        var city = Page.GetByRole(AriaRole.Combobox, new PageGetByRoleOptions { Name = "City" });
+
+        await city.FillAsync("a");
+        await city.PressAsync("ArrowDown");
+        await city.PressAsync("Enter");
+
+        await Expect(city).ToHaveValueAsync("Amsterdam");
+        await Expect(Page.GetByRole(AriaRole.Listbox)).ToBeHiddenAsync();
+        Assert.That(await Page.EvaluateAsync<string[]>("() => selections"), Is.EqualTo(new[] { "ams" }));
+    }
+
+    [Test]
+    public async Task Enter_ReportsFreeText()
+    {
+        var city = Page.GetByRole(AriaRole.Combobox, new PageGetByRoleOptions { Name = "City" });
+
+        await city.FillAsync("Paris");
+        await Expect(Page.Locator("#city + .dropdown-menu")).ToHaveTextAsync("No results");
+        await city.PressAsync("Enter");
+
+        Assert.That(await Page.EvaluateAsync<string[]>("() => selections"), Is.EqualTo(new[] { "Paris" }));
+    }
+
+    [Test]
+    public async Task SourceNotReturningAnArray_ShowsNoResults()
+    {
+        await Page.EvaluateAsync("() => { new bootstrap.Combobox('#remote', { source: () => 'not an array', delay: 0 }); }");
+
+        await Page.GetByRole(AriaRole.Combobox, new PageGetByRoleOptions { Name = "Remote" }).FillAsync("x");
+
+        await Expect(Page.Locator("#remote + .dropdown-menu")).ToHaveTextAsync("No results");
+    }
+
+    [Test]
+    public async Task Dispose_RemovesTheGeneratedMenu()
+    {
+        await Page.EvaluateAsync("() => { new bootstrap.Combobox('#remote', { source: ['One', 'Two'] }).dispose(); }");
+
+        await Expect(Page.Locator("#remote-wrapper .dropdown-menu")).ToHaveCountAsync(0);
+    }
+}
@@ -0,0 +1,47 @@
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class ComponentObserverTests : BootstrapPageTest
+{
+    private const string Toggle = "<button id=\"tip\" data-bs-toggle=\"tooltip\" title=\"Hello\">Hover</button>";
+
+    [Test]
+    public async Task RenderedToggle_IsInitialized()
+    {
+        await LoadAsync("<main id=\"app\"></main>");
+        await Page.EvaluateAsync("() => { bootstrap.ComponentObserver.enable(); }");
+
+        await Page.EvaluateAsync($"() => {{ document.getElementById('app').innerHTML = '{Toggle}'; }}");
+        await Page.HoverAsync("#tip");
+
+        await Expect(Page.GetByRole(AriaRole.Tooltip)).ToHaveTextAsync("Hello");
+    }
+
+    [Test]
+    public async Task MovedToggle_KeepsItsInstance()
+    {
+        await LoadAsync($"<main id=\"app\">{Toggle}</main><aside id=\"aside\"></aside>");
+        await Page.EvaluateAsync("() => { bootstrap.ComponentObserver.enable(); }");
+        var instance = await Page.EvaluateHandleAsync("() => bootstrap.Tooltip.getInstance('#tip')");
+
+        await Page.EvaluateAsync("() => { document.getElementById('aside').append(document.getElementById('tip')); }");
+        await Page.EvaluateAsync("() => new Promise(resolve => setTimeout(resolve))");
+
+        Assert.That(await Page.EvaluateAsync<bool>("instance => instance !== null && bootstrap.Tooltip.getInstance('#tip') === instance", instance), Is.True);
+    }
+
+    [Test]
+    public async Task RemovedToggle_IsDisposed()
+    {
+        await LoadAsync($"<main id=\"app\">{Toggle}</main>");
+        await Page.EvaluateAsync("() => { bootstrap.ComponentObserver.enable(); }");
+        var toggle = await Page.EvaluateHandleAsync("() => document.getElementById('tip')");
+
+        await Page.EvaluateAsync("toggle => toggle.remove()", toggle);
+
+        await Page.WaitForFunctionAsync("toggle => bootstrap.Tooltip.getInstance(toggle) === null", toggle);
+    }
+}
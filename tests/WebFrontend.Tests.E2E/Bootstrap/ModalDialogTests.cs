@@ -0,0 +1,56 @@
+using System.Text.RegularExpressions;
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class ModalDialogTests : BootstrapPageTest
+{
+    [Test]
+    public async Task Confirm_FocusesOk_AndResolvesTrueWhenClicked()
+    {
+        await LoadAsync(string.Empty);
+
+        var result = Page.EvaluateAsync<bool>("() => bootstrap.Modal.confirm({ title: 'Delete item?', body: 'This cannot be undone.' })");
+        var dialog = Page.GetByRole(AriaRole.Dialog, new PageGetByRoleOptions { Name = "Delete item?" });
+        var ok = dialog.GetByRole(AriaRole.Button, new LocatorGetByRoleOptions { Name = "OK" });
+
+        await Expect(ok).ToBeFocusedAsync();
+        await ok.ClickAsync();
+
+        Assert.That(await result, Is.True);
+        await Expect(dialog).ToHaveCountAsync(0);
+    }
+
+    [Test]
+    public async Task Confirm_ResolvesFalse_WhenCancelled()
+    {
+        await LoadAsync(string.Empty);
+
+        var result = Page.EvaluateAsync<bool>("() => bootstrap.Modal.confirm({ title: 'Delete item?' })");
+        await Page.GetByRole(AriaRole.Button, new PageGetByRoleOptions { Name = "Cancel" }).ClickAsync();
+
+        Assert.That(await result, Is.False);
+    }
+
+    [Test]
+    public async Task Prompt_Required_StaysOpenUntilAValueIsEntered()
+    {
+        await LoadAsync(string.Empty);
+
+        var result = Page.EvaluateAsync<string?>("() => bootstrap.Modal.prompt({ title: 'Name', required: true })");
+        var input = Page.GetByRole(AriaRole.Textbox, new PageGetByRoleOptions { Name = "Name" });
+
+        await Expect(input).ToBeFocusedAsync();
+        await Page.GetByRole(AriaRole.Button, new PageGetByRoleOptions { Name = "OK" }).ClickAsync();
+
+        await Expect(input).ToHaveClassAsync(new Regex("is-invalid"));
+        await Expect(Page.GetByRole(AriaRole.Dialog)).ToBeVisibleAsync();
+
+        await input.FillAsync("Ada");
+        await input.PressAsync("Enter");
+
+        Assert.That(await result, Is.EqualTo("Ada"));
+    }
+}
@@ -0,0 +1,82 @@
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class OffcanvasSwipeTests : BootstrapPageTest
+{
+    private const string Markup = """
+        <div class="offcanvas offcanvas-start" id="drawer" tabindex="-1" data-bs-edge-swipe="true" aria-labelledby="drawer-title">
+          <div class="offcanvas-header"><h5 class="offcanvas-title" id="drawer-title">Menu</h5></div>
+          <div class="offcanvas-body">Links</div>
+        </div>
+        """;
+
+    // gestures only follow touch and pen pointers, and only where touch is supported
+    public override BrowserNewContextOptions ContextOptions()
+        => new() { HasTouch = true };
+
+    [SetUp]
+    public async Task SetUp()
+    {
+        await LoadAsync(Markup);
+    }
+
+    [Test]
+    public async Task SwipingThePanelOut_DismissesIt()
+    {
+        await Page.EvaluateAsync("() => bootstrap.Offcanvas.getOrCreateInstance('#drawer').showAsync()");
+        await Expect(Page.GetByRole(AriaRole.Dialog)).ToBeVisibleAsync();
+
+        await SwipeAsync(300, 50);
+
+        await Expect(Page.Locator("#drawer")).ToBeHiddenAsync();
+    }
+
+    [Test]
+    public async Task SwipingInFromTheEdge_OpensThePanel()
+    {
+        await SwipeAsync(5, 300);
+
+        await Expect(Page.GetByRole(AriaRole.Dialog)).ToBeVisibleAsync();
+    }
+
+    [Test]
+    public async Task EdgeStrip_OnlyTakesPointersWhileThePanelIsHidden()
+    {
+        var edge = Page.Locator(".offcanvas-edge");
+        await Expect(edge).ToBeVisibleAsync();
+
+        await Page.EvaluateAsync("() => bootstrap.Offcanvas.getInstance('#drawer').showAsync()");
+        await Expect(edge).ToBeHiddenAsync();
+
+        await Page.EvaluateAsync("() => bootstrap.Offcanvas.getInstance('#drawer').hideAsync()");
+        await Expect(edge).ToBeVisibleAsync();
+    }
+
+    // Real touch input through the DevTools protocol, so the pointers can be captured like a finger's
+    private async Task SwipeAsync(int fromX, int toX, int y = 200, int steps = 10)
+    {
+        var session = await Page.Context.NewCDPSessionAsync(Page);
+
+        await session.SendAsync("Input.dispatchTouchEvent", Touch("touchStart", fromX, y));
+        for (var step = 1; step <= steps; step++)
+        {
+            await session.SendAsync("Input.dispatchTouchEvent", Touch("touchMove", fromX + (toX - fromX) * step / steps, y));
+        }
+
+        await session.SendAsync("Input.dispatchTouchEvent", new Dictionary<string, object>
+        {
+            ["type"] = "touchEnd",
+            ["touchPoints"] = Array.Empty<object>()
+        });
+    }
+
+    private static Dictionary<string, object> Touch(string type, int x, int y)
+        => new()
+        {
+            ["type"] = type,
+            ["touchPoints"] = new[] { new Dictionary<string, object> { ["x"] = x, ["y"] = y } }
+        };
+}
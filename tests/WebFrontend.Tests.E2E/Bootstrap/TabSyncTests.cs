@@ -0,0 +1,58 @@
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class TabSyncTests : BootstrapPageTest
+{
+    private const string Markup = """
+        <ul class="nav nav-tabs" role="tablist" data-bs-sync="hash" data-bs-history="push">
+          <li class="nav-item" role="presentation"><button class="nav-link active" data-bs-toggle="tab" data-bs-target="#home" type="button" role="tab">Home</button></li>
+          <li class="nav-item" role="presentation"><button class="nav-link" data-bs-toggle="tab" data-bs-target="#profile" type="button" role="tab">Profile</button></li>
+          <li class="nav-item" role="presentation"><button class="nav-link" data-bs-toggle="tab" data-bs-target="#settings" type="button" role="tab">Settings</button></li>
+        </ul>
+        <div class="tab-content">
+          <div class="tab-pane active" id="home" role="tabpanel">Home pane</div>
+          <div class="tab-pane" id="profile" role="tabpanel">Profile pane</div>
+          <div class="tab-pane" id="settings" role="tabpanel">Settings pane</div>
+        </div>
+        """;
+
+    [Test]
+    public async Task Hash_SelectsItsTabOnLoad()
+    {
+        await LoadAsync(Markup, "/#profile");
+
+        await Expect(Tab("Profile")).ToHaveAttributeAsync("aria-selected", "true");
+        await Expect(Page.GetByText("Profile pane")).ToBeVisibleAsync();
+    }
+
+    [Test]
+    public async Task SelectingTab_UpdatesHash()
+    {
+        await LoadAsync(Markup);
+
+        await Tab("Settings").ClickAsync();
+
+        await Expect(Page).ToHaveURLAsync($"{Origin}/#settings");
+    }
+
+    [Test]
+    public async Task GoingBack_FollowsTheHistory_UpToTheInitialTab()
+    {
+        await LoadAsync(Markup);
+        await Tab("Profile").ClickAsync();
+        await Tab("Settings").ClickAsync();
+
+        await Page.GoBackAsync();
+        await Expect(Tab("Profile")).ToHaveAttributeAsync("aria-selected", "true");
+
+        await Page.GoBackAsync();
+        await Expect(Page).ToHaveURLAsync($"{Origin}/");
+        await Expect(Tab("Home")).ToHaveAttributeAsync("aria-selected", "true");
+    }
+
+    private ILocator Tab(string name)
+        => Page.GetByRole(AriaRole.Tab, new PageGetByRoleOptions { Name = name });
+}
@@ -0,0 +1,76 @@
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class TagInputTests : BootstrapPageTest
+{
+    private const string Markup = """
+        <form>
+          <label for="tags">Tags</label>
+          <input id="tags" name="tags" value="work" data-bs-toggle="taginput">
+          <label for="topics">Topics</label>
+          <select id="topics" name="topics" multiple data-bs-toggle="taginput">
+            <option value="1" selected>Work</option>
+            <option value="2">Home</option>
+            <option value="3">Urgent</option>
+          </select>
+        </form>
+        """;
+
+    [SetUp]
+    public async Task SetUp()
+    {
+        await LoadAsync(Markup);
+    }
+
+    [Test]
+    public async Task Delimiter_AddsTag_AndUpdatesTheField()
+    {
+        var input = Page.GetByLabel("Tags");
+
+        await input.FillAsync("home");
+        await input.PressAsync(",");
+
+        await Expect(Page.Locator("#tags + .form-control .badge")).ToHaveTextAsync(new[] { "work", "home" });
+        await Expect(Page.Locator("#tags")).ToHaveValueAsync("work,home");
+        await Expect(input).ToHaveValueAsync(string.Empty);
+    }
+
+    [Test]
+    public async Task Duplicate_IsRejected()
+    {
+        await Page.EvaluateAsync("() => { window.reasons = []; document.getElementById('tags').addEventListener('invalid.bs.taginput', event => reasons.push(event.reason)); }");
+        var input = Page.GetByLabel("Tags");
+
+        await input.FillAsync("Work");
+        await input.PressAsync("Enter");
+
+        await Expect(Page.Locator("#tags + .form-control .badge")).ToHaveTextAsync(new[] { "work" });
+        Assert.That(await Page.EvaluateAsync<string[]>("() => reasons"), Is.EqualTo(new[] { "duplicate" }));
+    }
+
+    [Test]
+    public async Task RemoveButton_RemovesTag()
+    {
+        await Page.GetByRole(AriaRole.Button, new PageGetByRoleOptions { Name = "Remove work" }).ClickAsync();
+
+        await Expect(Page.Locator("#tags + .form-control .badge")).ToHaveCountAsync(0);
+        await Expect(Page.Locator("#tags")).ToHaveValueAsync(string.Empty);
+    }
+
+    [Test]
+    public async Task Select_ShowsOptionLabels_AndSelectsTheirValues()
+    {
+        var input = Page.GetByLabel("Topics");
+
+        await Expect(Page.Locator("#topics + .form-control .badge")).ToHaveTextAsync(new[] { "Work" });
+
+        await input.FillAsync("Urgent");
+        await input.PressAsync("Enter");
+
+        await Expect(Page.Locator("#topics + .form-control .badge")).ToHaveTextAsync(new[] { "Work", "Urgent" });
+        await Expect(Page.Locator("#topics")).ToHaveValuesAsync(new[] { "1", "3" });
+    }
+}
@@ -0,0 +1,73 @@
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class ToastServiceTests : BootstrapPageTest
+{
+    [Test]
+    public async Task Push_ShowsToast()
+    {
+        await LoadAsync(string.Empty);
+
+        var pushed = await Page.EvaluateAsync<bool>("() => new bootstrap.ToastService().push({ title: 'Saved', body: 'Changes saved', autohide: false })");
+
+        Assert.That(pushed, Is.True);
+        await Expect(Page.GetByRole(AriaRole.Status)).ToContainTextAsync("Changes saved");
+    }
+
+    [Test]
+    public async Task Push_SameMessage_IsShownOnce()
+    {
+        await LoadAsync(string.Empty);
+
+        var pushed = await Page.EvaluateAsync<bool[]>("""
+            () => {
+              const toasts = new bootstrap.ToastService();
+              return [toasts.push({ body: 'Changes saved', autohide: false }), toasts.push({ body: 'Changes saved', autohide: false })];
+            }
+            """);
+
+        Assert.That(pushed, Is.EqualTo(new[] { true, false }));
+        await Expect(Page.GetByRole(AriaRole.Status)).ToHaveCountAsync(1);
+    }
+
+    [Test]
+    public async Task Push_BeyondMaxVisible_WaitsForAToastToClose()
+    {
+        await LoadAsync(string.Empty);
+        await Page.EvaluateAsync("""
+            () => {
+              const toasts = new bootstrap.ToastService({ maxVisible: 1 });
+              toasts.push({ body: 'First', autohide: false });
+              toasts.push({ body: 'Second', autohide: false });
+            }
+            """);
+
+        await Expect(Page.GetByRole(AriaRole.Status)).ToHaveTextAsync("First");
+
+        await Page.GetByRole(AriaRole.Button, new PageGetByRoleOptions { Name = "Close" }).ClickAsync();
+
+        await Expect(Page.GetByRole(AriaRole.Status)).ToHaveTextAsync("Second");
+    }
+
+    [Test]
+    public async Task Clear_LetsDroppedMessagesBePushedAgain()
+    {
+        await LoadAsync(string.Empty);
+
+        var pushedAgain = await Page.EvaluateAsync<bool>("""
+            () => {
+              const toasts = new bootstrap.ToastService({ maxVisible: 1 });
+              toasts.push({ body: 'First', autohide: false });
+              toasts.push({ body: 'Second', autohide: false });
+              toasts.clear();
+              return toasts.push({ body: 'Second', autohide: false });
+            }
+            """);
+
+        Assert.That(pushedAgain, Is.True);
+        await Expect(Page.GetByRole(AriaRole.Status)).ToHaveTextAsync("Second");
+    }
+}
@@ -0,0 +1,67 @@
+using Microsoft.Playwright;
+
+namespace WebFrontend.Tests.E2E.Bootstrap;
+
+[TestFixture]
+[Category("E2E")]
+public class TransitionAsyncTests : BootstrapPageTest
+{
+    [Test]
+    public async Task ShowAsync_ResolvesTrue_OnceShown()
+    {
+        await LoadAsync("""
+            <div class="modal fade" id="modal" tabindex="-1" aria-label="Greeting">
+              <div class="modal-dialog"><div class="modal-content"><div class="modal-body">Hello</div></div></div>
+            </div>
+            """);
+
+        var shown = await Page.EvaluateAsync<bool>("async () => await new bootstrap.Modal('#modal').showAsync() && document.getElementById('modal').classList.contains('show')");
+
+        Assert.That(shown, Is.True);
+        await Expect(Page.GetByRole(AriaRole.Dialog)).ToBeVisibleAsync();
+    }
+
+    [Test]
+    public async Task ShowAsync_ResolvesFalse_WhenShowIsPrevented()
+    {
+        await LoadAsync("<div class=\"collapse\" id=\"panel\">Panel</div>");
+
+        var shown = await Page.EvaluateAsync<bool>("""
+            () => {
+              document.getElementById('panel').addEventListener('show.bs.collapse', event => event.preventDefault());
+              return new bootstrap.Collapse('#panel', { toggle: false }).showAsync();
+            }
+            """);
+
+        Assert.That(shown, Is.False);
+        await Expect(Page.Locator("#panel")).ToBeHiddenAsync();
+    }
+
+    [Test]
+    public async Task ShowAsync_ResolvesFalse_WhenAlreadyShown()
+    {
+        await LoadAsync("<div class=\"collapse show\" id=\"panel\">Panel</div>");
+
+        var shown = await Page.EvaluateAsync<bool>("() => new bootstrap.Collapse('#panel', { toggle: false }).showAsync()");
+
+        Assert.That(shown, Is.False);
+    }
+
+    [Test]
+    public async Task ShowAsync_ResolvesFalse_WhenHiddenBeforeShown()
+    {
+        await LoadAsync("<button id=\"tip\" title=\"Hello\">Tip</button>");
+
+        var results = await Page.EvaluateAsync<bool[]>("""
+            async () => {
+              const tooltip = new bootstrap.Tooltip('#tip');
+              const shown = tooltip.showAsync();
+              const hidden = tooltip.hideAsync();
+              return [await shown, await hidden];
+            }
+            """);
+
+        Assert.That(results, Is.EqualTo(new[] { false, true }));
+        await Expect(Page.GetByRole(AriaRole.Tooltip)).ToHaveCountAsync(0);
+    }
+}